@@ -52,3 +52,25 @@ Blockly.Blocks['matrix'] = {
     });
   }
 };
+
+Blockly.Blocks['matrix_animation'] = {
+  /**
+   * Block for an animation of matrix frames.
+   * @this Blockly.Block
+   */
+  init: function() {
+    this.jsonInit({
+      "message0": "%1",
+      "args0": [
+        {
+          "type": "field_matrix",
+          "name": "MATRIX",
+          "frames": true
+        }
+      ],
+      "outputShape": Blockly.OUTPUT_SHAPE_ROUND,
+      "output": "String",
+      "extensions": ["colours_pen"]
+    });
+  }
+};
@@ -214,7 +214,7 @@ Blockly.Blocks['control_stop'] = {
     this.setPreviousStatement(true);
   },
   mutationToDom: function() {
-    var container = document.createElement('mutation');
+    var container = Blockly.Xml.createElement('mutation');
     container.setAttribute('hasnext', this.nextConnection != null);
     return container;
   },
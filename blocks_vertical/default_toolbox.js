@@ -548,6 +548,13 @@ Blockly.Blocks.defaultToolbox = '<xml id="toolbox-categories" style="display: no
         '</shadow>' +
       '</value>' +
     '</block>' +
+    '<block type="extension_microbit_display" id="extension_microbit_display_animation">' +
+      '<value name="MATRIX">' +
+        '<shadow type="matrix_animation">' +
+          '<field name="MATRIX">0000000100011100010000000,0010001110110110111000100</field>' +
+        '</shadow>' +
+      '</value>' +
+    '</block>' +
     '<block type="extension_music_play_note" id="extension_music_play_note">' +
       '<value name="NOTE">' +
         '<shadow type="note">' +
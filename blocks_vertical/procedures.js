@@ -39,7 +39,7 @@ goog.require('Blockly.ScratchBlocks.VerticalExtensions');
  * @this Blockly.Block
  */
 Blockly.ScratchBlocks.ProcedureUtils.callerMutationToDom = function() {
-  var container = document.createElement('mutation');
+  var container = Blockly.Xml.createElement('mutation');
   container.setAttribute('proccode', this.procCode_);
   container.setAttribute('argumentids', JSON.stringify(this.argumentIds_));
   container.setAttribute('warp', JSON.stringify(this.warp_));
@@ -71,7 +71,7 @@ Blockly.ScratchBlocks.ProcedureUtils.callerDomToMutation = function(xmlElement)
  */
 Blockly.ScratchBlocks.ProcedureUtils.definitionMutationToDom = function(
     opt_generateShadows) {
-  var container = document.createElement('mutation');
+  var container = Blockly.Xml.createElement('mutation');
 
   if (opt_generateShadows) {
     container.setAttribute('generateshadows', true);
@@ -295,7 +295,7 @@ Blockly.ScratchBlocks.ProcedureUtils.addLabelEditor_ = function(text) {
  * @this Blockly.Block
  */
 Blockly.ScratchBlocks.ProcedureUtils.buildShadowDom_ = function(type) {
-  var shadowDom = goog.dom.createDom('shadow');
+  var shadowDom = Blockly.Xml.createElement('shadow');
   if (type == 'n') {
     var shadowType = 'math_number';
     var fieldName = 'NUM';
@@ -306,7 +306,7 @@ Blockly.ScratchBlocks.ProcedureUtils.buildShadowDom_ = function(type) {
     var fieldValue = '';
   }
   shadowDom.setAttribute('type', shadowType);
-  var fieldDom = goog.dom.createDom('field', null, fieldValue);
+  var fieldDom = Blockly.Xml.createElement('field', fieldValue);
   fieldDom.setAttribute('name', fieldName);
   shadowDom.appendChild(fieldDom);
   return shadowDom;
@@ -333,7 +333,7 @@ Blockly.ScratchBlocks.ProcedureUtils.attachShadow_ = function(input,
         newBlock.setFieldValue('', 'TEXT');
       }
       newBlock.setShadow(true);
-      if (!this.isInsertionMarker()) {
+      if (this.workspace.rendered && !this.isInsertionMarker()) {
         newBlock.initSvg();
         newBlock.render(false);
       }
@@ -369,7 +369,7 @@ Blockly.ScratchBlocks.ProcedureUtils.createArgumentReporter_ = function(
     var newBlock = this.workspace.newBlock(blockType);
     newBlock.setShadow(true);
     newBlock.setFieldValue(displayName, 'VALUE');
-    if (!this.isInsertionMarker()) {
+    if (this.workspace.rendered && !this.isInsertionMarker()) {
       newBlock.initSvg();
       newBlock.render(false);
     }
@@ -545,7 +545,7 @@ Blockly.ScratchBlocks.ProcedureUtils.createArgumentEditor_ = function(
     }
     newBlock.setFieldValue(displayName, 'TEXT');
     newBlock.setShadow(true);
-    if (!this.isInsertionMarker()) {
+    if (this.workspace.rendered && !this.isInsertionMarker()) {
       newBlock.initSvg();
       newBlock.render(false);
     }
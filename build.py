@@ -29,9 +29,12 @@
 # cycle since there is no need to rebuild or recompile, just reload.
 #
 # This script also generates:
+#   blockly_compressed_headless.js: The compressed core for use without a DOM.
 #   blocks_compressed.js: The compressed common blocks.
 #   blocks_horizontal_compressed.js: The compressed Scratch horizontal blocks.
 #   blocks_vertical_compressed.js: The compressed Scratch vertical blocks.
+#   javascript_compressed.js: The compressed JavaScript generator.
+#   python_compressed.js: The compressed Python generator.
 #   msg/js/<LANG>.js for every language <LANG> defined in msg/js/<LANG>.json.
 
 import sys
@@ -226,12 +229,19 @@ class Gen_compressed(threading.Thread):
   def run(self):
     self.gen_core(True)
     self.gen_core(False)
+    self.gen_core(True, headless=True)
     self.gen_blocks("horizontal")
     self.gen_blocks("vertical")
     self.gen_blocks("common")
+    self.gen_generator("javascript")
+    self.gen_generator("python")
 
-  def gen_core(self, vertical):
-    if vertical:
+  def gen_core(self, vertical, headless=False):
+    if headless:
+      # The vertical core, entered through the DOM-free setup.
+      target_filename = 'blockly_compressed_headless.js'
+      search_paths = self.search_paths_vertical
+    elif vertical:
       target_filename = 'blockly_compressed_vertical.js'
       search_paths = self.search_paths_vertical
     else:
@@ -252,8 +262,9 @@ class Gen_compressed(threading.Thread):
     ]
 
     # Read in all the source files.
+    entry_point = "headless.js" if headless else "blockly.js"
     filenames = calcdeps.CalculateDependencies(search_paths,
-      [os.path.join("core", "blockly.js")])
+      [os.path.join("core", entry_point)])
     filenames.sort()  # Deterministic build.
     for filename in filenames:
       # Append filenames as false arguments the step before compiling will
@@ -297,6 +308,28 @@ class Gen_compressed(threading.Thread):
     remove = "var Blockly={Blocks:{}};"
     self.do_compile(params, target_filename, filenames, remove)
 
+  def gen_generator(self, language):
+    target_filename = language + "_compressed.js"
+    # Define the parameters for the POST request.
+    params = [
+      ("compilation_level", "SIMPLE"),
+    ]
+
+    # Read in all the source files.
+    # Add Blockly.Generator to be compatible with the compiler.
+    params.append(("js_file", os.path.join("build", "gen_generator.js")))
+    filenames = glob.glob(os.path.join("generators", language, "*.js"))
+    filenames.sort()  # Deterministic build.
+    filenames.insert(0, os.path.join("generators", language + ".js"))
+    for filename in filenames:
+      # Append filenames as false arguments the step before compiling will
+      # either transform them into arguments for local or remote compilation
+      params.append(("js_file", filename))
+
+    # Remove Blockly.Generator to be compatible with Blockly.
+    remove = "var Blockly={Generator:{}};"
+    self.do_compile(params, target_filename, filenames, remove)
+
   def do_compile(self, params, target_filename, filenames, remove):
     if self.closure_env["closure_compiler"] == REMOTE_COMPILER:
       do_compile = self.do_compile_remote
@@ -0,0 +1,407 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Screen reader view of a workspace.  Blocks are drawn as SVG
+ * paths that assistive technology can't make sense of, so this keeps a hidden
+ * ARIA tree of the scripts alongside them: stacks, then blocks, then their
+ * slots and editable fields.  A live region announces blocks being attached,
+ * detached and deleted.
+ */
+'use strict';
+
+goog.provide('Blockly.AriaTree');
+
+goog.require('Blockly.Events');
+
+goog.require('goog.dom');
+goog.require('goog.string');
+
+
+/**
+ * Class for a screen reader view of a workspace.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to describe.
+ * @constructor
+ */
+Blockly.AriaTree = function(workspace) {
+  /**
+   * @type {!Blockly.WorkspaceSvg}
+   * @private
+   */
+  this.workspace_ = workspace;
+
+  /**
+   * The element with the tree role.
+   * @type {Element}
+   * @private
+   */
+  this.tree_ = null;
+
+  /**
+   * The live region announcements are spoken from.
+   * @type {Element}
+   * @private
+   */
+  this.live_ = null;
+
+  /**
+   * Last known label of each block, for announcing blocks that have since
+   * been deleted.
+   * @type {!Object.<string, string>}
+   * @private
+   */
+  this.labels_ = Object.create(null);
+
+  /**
+   * PID of the pending render, if any.
+   * @type {?number}
+   * @private
+   */
+  this.renderPid_ = null;
+
+  /**
+   * Event bindings to remove on dispose.
+   * @type {!Array.<!Array>}
+   * @private
+   */
+  this.bindings_ = [];
+
+  this.changeWrapper_ = this.onChange_.bind(this);
+  workspace.addChangeListener(this.changeWrapper_);
+};
+
+/**
+ * Create the tree and the live region.  Both are hidden from view but read by
+ * screen readers.
+ * @param {Element=} opt_container Element to put them in.  Defaults to the
+ *     workspace's injection div.
+ * @return {!Element} The element with the tree role.
+ */
+Blockly.AriaTree.prototype.createDom = function(opt_container) {
+  this.tree_ = goog.dom.createDom('div', {
+    'class': 'blocklyAriaTree',
+    'role': 'tree',
+    'tabindex': 0,
+    'aria-label': Blockly.Msg.ARIA_WORKSPACE
+  });
+  this.live_ = goog.dom.createDom('div', {
+    'class': 'blocklyAriaLive',
+    'role': 'status',
+    'aria-live': 'polite'
+  });
+  var container = opt_container || this.workspace_.getInjectionDiv();
+  container.appendChild(this.tree_);
+  container.appendChild(this.live_);
+  this.bindings_.push(
+      Blockly.bindEvent_(this.tree_, 'focus', this, this.onFocus_));
+  this.render();
+  return this.tree_;
+};
+
+/**
+ * Rebuild the tree from the workspace.
+ */
+Blockly.AriaTree.prototype.render = function() {
+  if (this.renderPid_) {
+    clearTimeout(this.renderPid_);
+    this.renderPid_ = null;
+  }
+  if (!this.tree_) {
+    return;
+  }
+  goog.dom.removeChildren(this.tree_);
+  var stacks = this.workspace_.getTopBlocks(true);
+  for (var i = 0, stack; stack = stacks[i]; i++) {
+    var label = Blockly.Msg.ARIA_STACK.replace('%1', i + 1)
+        .replace('%2', this.getLabel_(stack));
+    var item = this.createItem_(label, null);
+    this.addBlocks_(stack, item);
+    this.tree_.appendChild(item);
+  }
+  var selected = Blockly.selected;
+  this.setActive_(selected && !selected.isComment ? selected.id : null);
+};
+
+/**
+ * Get the element with the tree role.
+ * @return {Element} The tree, or null before createDom.
+ */
+Blockly.AriaTree.prototype.getTree = function() {
+  return this.tree_;
+};
+
+/**
+ * Speak a message through the live region.
+ * @param {string} text The message.
+ */
+Blockly.AriaTree.prototype.announce = function(text) {
+  if (this.live_) {
+    this.live_.textContent = text;
+  }
+};
+
+/**
+ * Get the last message spoken through the live region.
+ * @return {string} The message.
+ */
+Blockly.AriaTree.prototype.getAnnouncement = function() {
+  return this.live_ ? this.live_.textContent : '';
+};
+
+/**
+ * Remove the tree and stop listening to the workspace.
+ */
+Blockly.AriaTree.prototype.dispose = function() {
+  clearTimeout(this.renderPid_);
+  this.workspace_.removeChangeListener(this.changeWrapper_);
+  while (this.bindings_.length) {
+    Blockly.unbindEvent_(this.bindings_.pop());
+  }
+  goog.dom.removeNode(this.tree_);
+  goog.dom.removeNode(this.live_);
+  this.tree_ = null;
+  this.live_ = null;
+};
+
+/**
+ * Get the spoken label of a block, read from its inputs in the order its
+ * message lays them out: the text of each field, and the label of each block
+ * in a slot.  Blocks inside statement inputs are left out; they have items of
+ * their own.
+ * @param {!Blockly.Block} block The block.
+ * @return {string} The label, e.g. "move 10 steps".
+ */
+Blockly.AriaTree.getBlockLabel = function(block) {
+  if (block.isCollapsed()) {
+    return block.toString();
+  }
+  var words = [];
+  for (var i = 0, input; input = block.inputList[i]; i++) {
+    if (!input.isVisible()) {
+      continue;
+    }
+    for (var j = 0, field; field = input.fieldRow[j]; j++) {
+      var text = field.isVisible() && goog.string.trim(field.getText());
+      if (text) {
+        words.push(text);
+      }
+    }
+    if (input.type == Blockly.INPUT_VALUE && input.connection) {
+      var child = input.connection.targetBlock();
+      words.push(child ? Blockly.AriaTree.getBlockLabel(child) :
+          Blockly.Msg.ARIA_EMPTY_INPUT);
+    }
+  }
+  return words.join(' ') || block.type;
+};
+
+/**
+ * Get a block's label and remember it.
+ * @param {!Blockly.Block} block The block.
+ * @return {string} The label.
+ * @private
+ */
+Blockly.AriaTree.prototype.getLabel_ = function(block) {
+  var label = Blockly.AriaTree.getBlockLabel(block);
+  this.labels_[block.id] = label;
+  return label;
+};
+
+/**
+ * Get the ID of the tree item for a block.
+ * @param {string} blockId ID of the block.
+ * @return {string} The element ID.
+ * @private
+ */
+Blockly.AriaTree.prototype.getItemId_ = function(blockId) {
+  return 'blocklyAria:' + this.workspace_.id + ':' + blockId;
+};
+
+/**
+ * Create a tree item.
+ * @param {string} label The item's spoken label.
+ * @param {?string} id The item's element ID, if it needs one.
+ * @return {!Element} The item.
+ * @private
+ */
+Blockly.AriaTree.prototype.createItem_ = function(label, id) {
+  var item = goog.dom.createDom('div', {
+    'class': 'blocklyAriaItem',
+    'role': 'treeitem',
+    'aria-label': label
+  });
+  if (id) {
+    item.id = id;
+  }
+  return item;
+};
+
+/**
+ * Add a child item to a tree item, creating its group if needed.
+ * @param {!Element} parent The parent item.
+ * @param {!Element} child The child item.
+ * @private
+ */
+Blockly.AriaTree.addChild_ = function(parent, child) {
+  var group = parent.lastChild;
+  if (!group) {
+    group = goog.dom.createDom('div', {'role': 'group'});
+    parent.appendChild(group);
+    parent.setAttribute('aria-expanded', 'true');
+  }
+  group.appendChild(child);
+};
+
+/**
+ * Add items for a block and the blocks below it.
+ * @param {Blockly.Block} block The first block.
+ * @param {!Element} parent The item to add them to.
+ * @private
+ */
+Blockly.AriaTree.prototype.addBlocks_ = function(block, parent) {
+  for (; block; block = block.getNextBlock()) {
+    var item = this.createItem_(this.getLabel_(block),
+        this.getItemId_(block.id));
+    this.addInputs_(block, item);
+    Blockly.AriaTree.addChild_(parent, item);
+  }
+};
+
+/**
+ * Add items for a block's editable fields, slots and statement inputs.
+ * @param {!Blockly.Block} block The block.
+ * @param {!Element} parent The block's item.
+ * @private
+ */
+Blockly.AriaTree.prototype.addInputs_ = function(block, parent) {
+  if (block.isCollapsed()) {
+    return;
+  }
+  for (var i = 0, input; input = block.inputList[i]; i++) {
+    if (!input.isVisible()) {
+      continue;
+    }
+    this.addFields_(input, parent);
+    if (!input.connection) {
+      continue;
+    }
+    var child = input.connection.targetBlock();
+    var item;
+    if (input.type == Blockly.NEXT_STATEMENT) {
+      item = this.createItem_(child ? Blockly.Msg.ARIA_STATEMENT_INPUT :
+          Blockly.Msg.ARIA_EMPTY_STATEMENT_INPUT, null);
+      this.addBlocks_(child, item);
+    } else {
+      item = this.createItem_(Blockly.Msg.ARIA_VALUE_INPUT.replace('%1',
+          child ? this.getLabel_(child) : Blockly.Msg.ARIA_EMPTY_INPUT), null);
+      if (child && child.isShadow()) {
+        // A shadow block is edited in place, as part of the slot.
+        for (var j = 0, shadowInput; shadowInput = child.inputList[j]; j++) {
+          this.addFields_(shadowInput, item);
+        }
+      } else if (child) {
+        this.addBlocks_(child, item);
+      }
+    }
+    Blockly.AriaTree.addChild_(parent, item);
+  }
+};
+
+/**
+ * Add items for an input's editable fields.
+ * @param {!Blockly.Input} input The input.
+ * @param {!Element} parent The item to add them to.
+ * @private
+ */
+Blockly.AriaTree.prototype.addFields_ = function(input, parent) {
+  for (var i = 0, field; field = input.fieldRow[i]; i++) {
+    if (field.isVisible() && field.isCurrentlyEditable()) {
+      Blockly.AriaTree.addChild_(parent, this.createItem_(
+          Blockly.Msg.ARIA_FIELD.replace('%1', field.getText()), null));
+    }
+  }
+};
+
+/**
+ * Point the tree's active item at a block.
+ * @param {?string} blockId ID of the block, or null for none.
+ * @private
+ */
+Blockly.AriaTree.prototype.setActive_ = function(blockId) {
+  var item = blockId && document.getElementById(this.getItemId_(blockId));
+  if (item && goog.dom.contains(this.tree_, item)) {
+    this.tree_.setAttribute('aria-activedescendant', item.id);
+  } else {
+    this.tree_.removeAttribute('aria-activedescendant');
+  }
+};
+
+/**
+ * Turn on the keyboard cursor when the tree gets focus, so that the arrow keys
+ * walk the scripts.
+ * @private
+ */
+Blockly.AriaTree.prototype.onFocus_ = function() {
+  var cursor = this.workspace_.getKeyboardCursor();
+  if (!cursor.isEnabled()) {
+    cursor.setEnabled(true);
+  }
+};
+
+/**
+ * Announce connections and deletions, and redraw the tree once the current
+ * batch of events has been handled.
+ * @param {!Blockly.Events.Abstract} event Change event.
+ * @private
+ */
+Blockly.AriaTree.prototype.onChange_ = function(event) {
+  if (event.type == Blockly.Events.UI) {
+    if (event.element == 'selected' && this.tree_) {
+      this.setActive_(event.newValue);
+    }
+    return;
+  }
+  var block = event.blockId && this.workspace_.getBlockById(event.blockId);
+  if (event.type == Blockly.Events.BLOCK_DELETE) {
+    if (!event.oldXml || !event.oldXml.getAttribute('shadow')) {
+      var label = block ? this.getLabel_(block) :
+          this.labels_[event.blockId] || event.oldXml.getAttribute('type');
+      this.announce(Blockly.Msg.ARIA_DELETED.replace('%1', label));
+    }
+    for (var i = 0; i < event.ids.length; i++) {
+      delete this.labels_[event.ids[i]];
+    }
+  } else if (event.type == Blockly.Events.BLOCK_MOVE && block &&
+      !block.isShadow() && event.oldParentId != event.newParentId) {
+    var parent = event.newParentId &&
+        this.workspace_.getBlockById(event.newParentId);
+    if (parent) {
+      this.announce(Blockly.Msg.ARIA_CONNECTED
+          .replace('%1', this.getLabel_(block))
+          .replace('%2', this.getLabel_(parent)));
+    } else if (event.oldParentId) {
+      this.announce(Blockly.Msg.ARIA_DISCONNECTED.replace('%1',
+          this.getLabel_(block)));
+    }
+  }
+  if (this.tree_ && !this.renderPid_) {
+    this.renderPid_ = setTimeout(this.render.bind(this), 0);
+  }
+};
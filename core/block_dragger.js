@@ -106,6 +106,29 @@ Blockly.BlockDragger = function(block, workspace) {
    * @private
    */
   this.dragIconData_ = Blockly.BlockDragger.initIconData_(block);
+
+  /**
+   * Other selected blocks that move along with the dragging block, and where
+   * each of them started.  Only the dragging block connects when dropped.
+   * @type {!Array.<!{block: !Blockly.BlockSvg, startXY: !goog.math.Coordinate}>}
+   * @private
+   */
+  this.groupData_ = [];
+  var descendants = block.getDescendants(false);
+  var stacks = workspace.getSelectedStacks();
+  for (var i = 0, other; other = stacks[i]; i++) {
+    // Blocks in the same stack as the dragging block stay where they are.
+    if (!other.isMovable() || descendants.indexOf(other) != -1 ||
+        other.getDescendants(false).indexOf(block) != -1) {
+      continue;
+    }
+    this.groupData_.push({
+      block: other,
+      startXY: other.getRelativeToSurfaceXY()
+    });
+    this.dragIconData_ = this.dragIconData_.concat(
+        Blockly.BlockDragger.initIconData_(other));
+  }
 };
 
 /**
@@ -117,6 +140,7 @@ Blockly.BlockDragger.prototype.dispose = function() {
   this.workspace_ = null;
   this.startWorkspace_ = null;
   this.dragIconData_.length = 0;
+  this.groupData_.length = 0;
 
   if (this.draggedConnectionManager_) {
     this.draggedConnectionManager_.dispose();
@@ -174,6 +198,13 @@ Blockly.BlockDragger.prototype.startBlockDrag = function(currentDragDeltaXY) {
     Blockly.BlockAnimations.disconnectUiEffect(this.draggingBlock_);
   }
   this.draggingBlock_.setDragging(true);
+  for (var i = 0, data; data = this.groupData_[i]; i++) {
+    if (data.block.getParent()) {
+      data.block.unplug();
+      data.block.translate(data.startXY.x, data.startXY.y);
+    }
+    data.block.setDragging(true);
+  }
   // For future consideration: we may be able to put moveToDragSurface inside
   // the block dragger, which would also let the block not track the block drag
   // surface.
@@ -201,6 +232,7 @@ Blockly.BlockDragger.prototype.dragBlock = function(e, currentDragDeltaXY) {
   var newLoc = goog.math.Coordinate.sum(this.startXY_, delta);
 
   this.draggingBlock_.moveDuringDrag(newLoc);
+  this.dragGroup_(delta);
   this.dragIcons_(delta);
 
   this.deleteArea_ = this.workspace_.isDeleteArea(e);
@@ -250,6 +282,7 @@ Blockly.BlockDragger.prototype.endBlockDrag = function(e, currentDragDeltaXY) {
     this.fireMoveEvent_();
     this.draggingBlock_.scheduleSnapAndBump();
   }
+  this.endGroupDrag_(delta, deleted);
   this.workspace_.setResizesEnabled(true);
 
   var toolbox = this.workspace_.getToolbox();
@@ -326,6 +359,48 @@ Blockly.BlockDragger.prototype.fireMoveEvent_ = function() {
   Blockly.Events.fire(event);
 };
 
+/**
+ * Move the other selected blocks along with the dragging block.
+ * @param {!goog.math.Coordinate} delta How far the blocks have moved from
+ *     their original positions, in workspace units.
+ * @private
+ */
+Blockly.BlockDragger.prototype.dragGroup_ = function(delta) {
+  for (var i = 0, data; data = this.groupData_[i]; i++) {
+    var newLoc = goog.math.Coordinate.sum(data.startXY, delta);
+    data.block.translate(newLoc.x, newLoc.y);
+  }
+};
+
+/**
+ * Drop the other selected blocks, or delete them along with the dragging
+ * block.  Undeletable blocks are dropped where they are.
+ * @param {!goog.math.Coordinate} delta How far the blocks have moved from
+ *     their original positions, in workspace units.
+ * @param {boolean} deleted Whether the dragging block was deleted.
+ * @private
+ */
+Blockly.BlockDragger.prototype.endGroupDrag_ = function(delta, deleted) {
+  for (var i = 0, data; data = this.groupData_[i]; i++) {
+    var block = data.block;
+    if (!block.workspace) {
+      // Deleted along with the dragging block.
+      continue;
+    }
+    var event = new Blockly.Events.BlockMove(block);
+    event.oldCoordinate = data.startXY;
+    event.recordNew();
+    Blockly.Events.fire(event);
+    if (deleted && block.isDeletable()) {
+      block.dispose(false, true);
+      continue;
+    }
+    block.moveConnections_(delta.x, delta.y);
+    block.setDragging(false);
+    block.scheduleSnapAndBump();
+  }
+};
+
 /**
  * Shut the trash can and, if necessary, delete the dragging block.
  * Should be called at the end of a block drag.
@@ -358,6 +433,10 @@ Blockly.BlockDragger.prototype.maybeDeleteBlock_ = function() {
 Blockly.BlockDragger.prototype.updateCursorDuringBlockDrag_ = function(isOutside) {
   this.wouldDeleteBlock_ = this.draggedConnectionManager_.wouldDeleteBlock();
   var trashcan = this.workspace_.trashcan;
+  for (var i = 0, data; data = this.groupData_[i]; i++) {
+    data.block.setDeleteStyle(
+        this.wouldDeleteBlock_ && data.block.isDeletable());
+  }
   if (this.wouldDeleteBlock_) {
     this.draggingBlock_.setDeleteStyle(true);
     if (this.deleteArea_ == Blockly.DELETE_AREA_TRASH && trashcan) {
@@ -311,7 +311,8 @@ Blockly.BlockSvg.prototype.updateColour = function() {
   var strokeColour = this.getColourTertiary();
 
   // Render block stroke
-  this.svgPath_.setAttribute('stroke', strokeColour);
+  this.svgPath_.setAttribute('stroke',
+      this.remoteSelectionColour_ || strokeColour);
 
   // Render block fill
   var fillColour = (this.isGlowingBlock_) ? this.getColourSecondary() : this.getColour();
@@ -30,6 +30,8 @@ goog.require('Blockly.BlockSvg');
 goog.require('Blockly.scratchBlocksUtils');
 goog.require('Blockly.utils');
 
+goog.require('goog.dom');
+
 
 // UI constants for rendering blocks.
 /**
@@ -519,7 +521,8 @@ Blockly.BlockSvg.prototype.updateColour = function() {
   }
 
   // Render block stroke
-  this.svgPath_.setAttribute('stroke', strokeColour);
+  this.svgPath_.setAttribute('stroke',
+      this.remoteSelectionColour_ || strokeColour);
 
   // Render block fill
   if (this.isGlowingBlock_ || renderShadowed) {
@@ -1169,6 +1172,36 @@ Blockly.BlockSvg.prototype.renderDraw_ = function(iconWidth, inputRows) {
     // This is awesome.
     this.svgPath_.setAttribute('transform', 'scale(-1 1)');
   }
+  this.renderCategoryPattern_();
+};
+
+/**
+ * Draw the block's category pattern over its outline, or remove it if the
+ * block shouldn't have one.
+ * @private
+ */
+Blockly.BlockSvg.prototype.renderCategoryPattern_ = function() {
+  var patternIds = this.workspace.options.categoryPatternIds;
+  var patternId = patternIds && !this.isShadow() &&
+      !this.isInsertionMarker() && patternIds[this.getCategory()];
+  if (!patternId) {
+    if (this.svgCategoryPattern_) {
+      goog.dom.removeNode(this.svgCategoryPattern_);
+      this.svgCategoryPattern_ = null;
+    }
+    return;
+  }
+  if (!this.svgCategoryPattern_) {
+    this.svgCategoryPattern_ = Blockly.utils.createSvgElement('path',
+        {'class': 'blocklyCategoryPatternPath'}, null);
+    this.svgGroup_.insertBefore(this.svgCategoryPattern_,
+        this.svgPath_.nextSibling);
+  }
+  this.svgCategoryPattern_.setAttribute('fill', 'url(#' + patternId + ')');
+  this.svgCategoryPattern_.setAttribute('d', this.svgPath_.getAttribute('d'));
+  if (this.RTL) {
+    this.svgCategoryPattern_.setAttribute('transform', 'scale(-1 1)');
+  }
 };
 
 /**
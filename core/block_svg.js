@@ -32,6 +32,7 @@ goog.require('Blockly.ContextMenu');
 goog.require('Blockly.Events.Ui');
 goog.require('Blockly.Events.BlockMove');
 goog.require('Blockly.Grid');
+goog.require('Blockly.ImageExport');
 goog.require('Blockly.RenderedConnection');
 goog.require('Blockly.scratchBlocksUtils');
 goog.require('Blockly.Tooltip');
@@ -137,6 +138,21 @@ Blockly.BlockSvg.prototype.isGlowingBlock_ = false;
  */
 Blockly.BlockSvg.prototype.isGlowingStack_ = false;
 
+/**
+ * Colour of another user who has this block selected, if any.
+ * @type {?string}
+ * @private
+ */
+Blockly.BlockSvg.prototype.remoteSelectionColour_ = null;
+
+/**
+ * Copy of the block's outline filled with its category's pattern, if the
+ * workspace shows category patterns.
+ * @type {SVGElement}
+ * @private
+ */
+Blockly.BlockSvg.prototype.svgCategoryPattern_ = null;
+
 /**
  * Constant for identifying rows that are to be rendered inline.
  * Don't collide with Blockly.INPUT_VALUE and friends.
@@ -186,6 +202,9 @@ Blockly.BlockSvg.prototype.select = function() {
   if (Blockly.selected == this) {
     return;
   }
+  // Selecting one of several selected blocks keeps the others selected.
+  var selection = this.workspace.getSelectedBlocks();
+  var keepSelection = selection.indexOf(this) != -1;
   var oldId = null;
   if (Blockly.selected) {
     oldId = Blockly.selected.id;
@@ -202,6 +221,11 @@ Blockly.BlockSvg.prototype.select = function() {
   Blockly.Events.fire(event);
   Blockly.selected = this;
   this.addSelect();
+  if (keepSelection) {
+    for (var i = 0; i < selection.length; i++) {
+      this.workspace.addToSelection(selection[i]);
+    }
+  }
 };
 
 /**
@@ -216,6 +240,7 @@ Blockly.BlockSvg.prototype.unselect = function() {
   Blockly.Events.fire(event);
   Blockly.selected = null;
   this.removeSelect();
+  this.workspace.clearMultiSelection();
 };
 
 /**
@@ -243,6 +268,22 @@ Blockly.BlockSvg.prototype.setGlowStack = function(isGlowingStack) {
   }
 };
 
+/**
+ * Outline this block in the colour of another user who has it selected.
+ * @param {?string} colour The user's colour, or null to remove the outline.
+ */
+Blockly.BlockSvg.prototype.setRemoteSelection = function(colour) {
+  this.remoteSelectionColour_ = colour;
+  if (colour) {
+    Blockly.utils.addClass(
+        /** @type {!Element} */ (this.svgGroup_), 'blocklyRemoteSelected');
+  } else {
+    Blockly.utils.removeClass(
+        /** @type {!Element} */ (this.svgGroup_), 'blocklyRemoteSelected');
+  }
+  this.updateColour();
+};
+
 /**
  * Block's mutator icon (if any).
  * @type {Blockly.Mutator}
@@ -680,6 +721,7 @@ Blockly.BlockSvg.prototype.showContextMenu_ = function(e) {
       menuOptions.push(Blockly.ContextMenu.blockCommentOption(block));
     }
     menuOptions.push(Blockly.ContextMenu.blockDeleteOption(block));
+    menuOptions.push(Blockly.ContextMenu.blockSavePictureOption(block));
   } else if (this.parentBlock_ && this.isShadow_) {
     this.parentBlock_.showContextMenu_(e);
     return;
@@ -693,6 +735,26 @@ Blockly.BlockSvg.prototype.showContextMenu_ = function(e) {
   Blockly.ContextMenu.currentBlock = this;
 };
 
+/**
+ * Export this block and the blocks below it as a standalone SVG image.
+ * @param {function(?string, number, number)} callback Called with the SVG
+ *     text and its width and height.
+ */
+Blockly.BlockSvg.prototype.toSvg = function(callback) {
+  Blockly.ImageExport.blocksToSvg([this], callback);
+};
+
+/**
+ * Export this block and the blocks below it as a PNG image.
+ * @param {function(?string)} callback Called with a data URI of the PNG
+ *     image, or with null if the browser can't draw the image.
+ * @param {number=} opt_scale Pixels per workspace unit.  Defaults to
+ *     Blockly.ImageExport.PNG_SCALE.
+ */
+Blockly.BlockSvg.prototype.toPng = function(callback, opt_scale) {
+  Blockly.ImageExport.blocksToPng([this], callback, opt_scale);
+};
+
 /**
  * Move the connections for this block and all blocks attached under it.
  * Also update any attached bubbles.
@@ -831,6 +893,8 @@ Blockly.BlockSvg.prototype.dispose = function(healStack, animate) {
   if (Blockly.selected == this) {
     this.unselect();
     this.workspace.cancelCurrentGesture();
+  } else if (this.workspace.rendered) {
+    this.workspace.removeFromSelection(this);
   }
   // If this block has a context menu open, close it.
   if (Blockly.ContextMenu.currentBlock == this) {
@@ -30,18 +30,21 @@
  **/
 goog.provide('Blockly');
 
+goog.require('Blockly.AriaTree');
 goog.require('Blockly.BlockSvg.render');
+goog.require('Blockly.Collaboration.Client');
+goog.require('Blockly.Collaboration.Server');
 goog.require('Blockly.DropDownDiv');
 goog.require('Blockly.Events');
+goog.require('Blockly.EventPlayer');
+goog.require('Blockly.EventRecorder');
 goog.require('Blockly.FieldAngle');
 goog.require('Blockly.FieldPercent');
 goog.require('Blockly.FieldUntiangle');
 goog.require('Blockly.FieldCheckbox');
 goog.require('Blockly.FieldColour');
 goog.require('Blockly.FieldColourSlider');
-// Date picker commented out since it increases footprint by 60%.
-// Add it only if you need it.
-//goog.require('Blockly.FieldDate');
+goog.require('Blockly.FieldDate');
 goog.require('Blockly.FieldDropdown');
 goog.require('Blockly.FieldIconMenu');
 goog.require('Blockly.FieldImage');
@@ -55,11 +58,18 @@ goog.require('Blockly.FieldMatrix');
 goog.require('Blockly.FieldVariable');
 goog.require('Blockly.FieldVerticalSeparator');
 goog.require('Blockly.Generator');
+goog.require('Blockly.Json');
+goog.require('Blockly.KeyboardCursor');
+goog.require('Blockly.Linter');
 goog.require('Blockly.Msg');
 goog.require('Blockly.Procedures');
 goog.require('Blockly.ScratchMsgs');
+goog.require('Blockly.ScratchProject');
+goog.require('Blockly.TextNotation');
 goog.require('Blockly.Toolbox');
 goog.require('Blockly.Touch');
+goog.require('Blockly.UndoHistory');
+goog.require('Blockly.UndoHistoryPanel');
 goog.require('Blockly.WidgetDiv');
 goog.require('Blockly.WorkspaceSvg');
 goog.require('Blockly.constants');
@@ -193,7 +203,16 @@ Blockly.onKeyDown_ = function(e) {
     // hidden.
     return;
   }
+  // Only make the keyboard cursor when the key press turns it on.
+  if (Blockly.mainWorkspace.rendered &&
+      (Blockly.mainWorkspace.isKeyboardCursorEnabled() ||
+      Blockly.KeyboardCursor.isToggleKey(e)) &&
+      Blockly.mainWorkspace.getKeyboardCursor().onKeyDown(e)) {
+    e.preventDefault();
+    return;
+  }
   var deleteBlock = false;
+  var selection = Blockly.getSelection_(false);
   if (e.keyCode == 27) {
     // Pressing esc closes the context menu and any drop-down
     Blockly.hideChaff();
@@ -208,27 +227,29 @@ Blockly.onKeyDown_ = function(e) {
     if (Blockly.mainWorkspace.isDragging()) {
       return;
     }
-    if (Blockly.selected && Blockly.selected.isDeletable()) {
-      deleteBlock = true;
-    }
+    deleteBlock = selection.some(function(item) {
+      return item.isDeletable();
+    });
   } else if (e.altKey || e.ctrlKey || e.metaKey) {
     // Don't use meta keys during drags.
     if (Blockly.mainWorkspace.isDragging()) {
       return;
     }
-    if (Blockly.selected &&
-        Blockly.selected.isDeletable() && Blockly.selected.isMovable()) {
-      // Don't allow copying immovable or undeletable blocks. The next step
-      // would be to paste, which would create additional undeletable/immovable
-      // blocks on the workspace.
+    // Don't allow copying immovable or undeletable blocks. The next step
+    // would be to paste, which would create additional undeletable/immovable
+    // blocks on the workspace.
+    var toCopy = Blockly.getSelection_(true).filter(function(item) {
+      return item.isDeletable() && item.isMovable();
+    });
+    if (toCopy.length) {
       if (e.keyCode == 67) {
         // 'c' for copy.
         Blockly.hideChaff();
-        Blockly.copy_(Blockly.selected);
-      } else if (e.keyCode == 88 && !Blockly.selected.workspace.isFlyout) {
+        Blockly.copyGroup_(toCopy);
+      } else if (e.keyCode == 88 && !toCopy[0].workspace.isFlyout) {
         // 'x' for cut, but not in a flyout.
         // Don't even copy the selected item in the flyout.
-        Blockly.copy_(Blockly.selected);
+        Blockly.copyGroup_(toCopy);
         deleteBlock = true;
       }
     }
@@ -249,18 +270,50 @@ Blockly.onKeyDown_ = function(e) {
       // 'z' for undo 'Z' is for redo.
       Blockly.hideChaff();
       Blockly.mainWorkspace.undo(e.shiftKey);
+    } else if (e.keyCode == 70 && (e.ctrlKey || e.metaKey) &&
+        Blockly.mainWorkspace.rendered) {
+      // 'f' for find.  Use ours rather than the browser's.
+      e.preventDefault();
+      Blockly.hideChaff();
+      Blockly.mainWorkspace.getSearch().show();
     }
   }
   // Common code for delete and cut.
   // Don't delete in the flyout.
-  if (deleteBlock && !Blockly.selected.workspace.isFlyout) {
+  // Delete every selected item in one event group, so one undo restores them.
+  if (deleteBlock && !selection[0].workspace.isFlyout) {
     Blockly.Events.setGroup(true);
     Blockly.hideChaff();
-    Blockly.selected.dispose(/* heal */ true, true);
+    for (var i = 0; i < selection.length; i++) {
+      if (selection[i].isDeletable()) {
+        selection[i].dispose(/* heal */ true, true);
+      }
+    }
     Blockly.Events.setGroup(false);
   }
 };
 
+/**
+ * Get the selected items: the selected workspace comment, or every selected
+ * block on the workspace of Blockly.selected.
+ * @param {boolean} stacksOnly If true, leave out blocks that are below or
+ *     inside other selected blocks.
+ * @return {!Array.<!Blockly.BlockSvg|!Blockly.WorkspaceCommentSvg>} The
+ *     selected items, or an empty list if nothing is selected.
+ * @private
+ */
+Blockly.getSelection_ = function(stacksOnly) {
+  if (!Blockly.selected) {
+    return [];
+  }
+  if (Blockly.selected.isComment) {
+    return [Blockly.selected];
+  }
+  var workspace = Blockly.selected.workspace;
+  return stacksOnly ? workspace.getSelectedStacks() :
+      workspace.getSelectedBlocks();
+};
+
 /**
  * Copy a block or workspace comment onto the local clipboard.
  * @param {!Blockly.Block | !Blockly.WorkspaceComment} toCopy Block or Workspace Comment
@@ -281,6 +334,25 @@ Blockly.copy_ = function(toCopy) {
   Blockly.clipboardSource_ = toCopy.workspace;
 };
 
+/**
+ * Copy several blocks onto the local clipboard, to be pasted together.
+ * @param {!Array.<!Blockly.Block | !Blockly.WorkspaceComment>} items Blocks,
+ *     or a single workspace comment, to be copied.
+ * @private
+ */
+Blockly.copyGroup_ = function(items) {
+  if (items.length == 1) {
+    Blockly.copy_(items[0]);
+    return;
+  }
+  var xml = Blockly.Xml.createElement('xml');
+  for (var i = 0; i < items.length; i++) {
+    Blockly.copy_(items[i]);
+    xml.appendChild(Blockly.clipboardXml_);
+  }
+  Blockly.clipboardXml_ = xml;
+};
+
 /**
  * Duplicate this block and its children, or a workspace comment.
  * @param {!Blockly.Block | !Blockly.WorkspaceComment} toDuplicate Block or
@@ -0,0 +1,96 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Patterns drawn over blocks so that categories can be told
+ * apart without relying on their colour.
+ */
+'use strict';
+
+goog.provide('Blockly.CategoryPatterns');
+
+goog.require('Blockly.constants');
+goog.require('Blockly.utils');
+
+
+/**
+ * Width and height of one tile of a pattern.
+ * @type {number}
+ * @const
+ */
+Blockly.CategoryPatterns.SIZE = 8;
+
+/**
+ * Path data for one tile of each category's pattern, keyed by category
+ * (see Blockly.Categories).
+ * @type {!Object.<string, string>}
+ */
+Blockly.CategoryPatterns.PATHS = {};
+Blockly.CategoryPatterns.PATHS[Blockly.Categories.motion] = 'M 0 8 L 8 0';
+Blockly.CategoryPatterns.PATHS[Blockly.Categories.looks] =
+    'M 3 4 a 1 1 0 1 0 2 0 a 1 1 0 1 0 -2 0';
+Blockly.CategoryPatterns.PATHS[Blockly.Categories.sound] =
+    'M 0 4 Q 2 1 4 4 T 8 4';
+Blockly.CategoryPatterns.PATHS[Blockly.Categories.event] = 'M 0 4 L 8 4';
+Blockly.CategoryPatterns.PATHS[Blockly.Categories.control] = 'M 4 0 L 4 8';
+Blockly.CategoryPatterns.PATHS[Blockly.Categories.sensing] = 'M 0 0 L 8 8';
+Blockly.CategoryPatterns.PATHS[Blockly.Categories.pen] =
+    'M 0 0 L 8 8 M 8 0 L 0 8';
+Blockly.CategoryPatterns.PATHS[Blockly.Categories.operators] =
+    'M 4 2 L 4 6 M 2 4 L 6 4';
+Blockly.CategoryPatterns.PATHS[Blockly.Categories.data] =
+    'M 0 4 L 8 4 M 4 0 L 4 8';
+Blockly.CategoryPatterns.PATHS[Blockly.Categories.dataLists] =
+    'M 2 2 L 6 2 L 6 6 L 2 6 Z';
+Blockly.CategoryPatterns.PATHS[Blockly.Categories.more] =
+    'M 0 6 L 2 2 L 4 6 L 6 2 L 8 6';
+
+/**
+ * Create the SVG patterns for every category.  Their colour comes from the
+ * CSS, so that it follows the theme.
+ * @param {string} rnd A random ID to append on to the patterns' IDs.
+ * @param {!Element} defs The root SVG element for this workspace's defs.
+ * @return {!Object.<string, string>} Pattern IDs keyed by category.
+ */
+Blockly.CategoryPatterns.createDom = function(rnd, defs) {
+  /*
+    <pattern id="blocklyCategoryPattern-motion837493"
+             class="blocklyCategoryPattern" patternUnits="userSpaceOnUse"
+             width="8" height="8">
+      <path d="M 0 8 L 8 0" />
+    </pattern>
+  */
+  var ids = {};
+  var size = Blockly.CategoryPatterns.SIZE;
+  for (var category in Blockly.CategoryPatterns.PATHS) {
+    var pattern = Blockly.utils.createSvgElement('pattern',
+        {
+          'id': 'blocklyCategoryPattern-' + category + rnd,
+          'class': 'blocklyCategoryPattern',
+          'patternUnits': 'userSpaceOnUse',
+          'width': size,
+          'height': size
+        }, defs);
+    Blockly.utils.createSvgElement('path',
+        {'d': Blockly.CategoryPatterns.PATHS[category]}, pattern);
+    ids[category] = pattern.id;
+  }
+  return ids;
+};
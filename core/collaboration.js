@@ -0,0 +1,152 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Shared rules for real-time collaborative editing.
+ *
+ * Clients exchange the JSON form of Blockly events with a server, which puts
+ * every change into a single order.  Messages are plain objects:
+ *
+ *   client -> server
+ *     {type: 'event', id, event}       A local change, not yet sequenced.
+ *     {type: 'presence', blockId, x, y}
+ *                                      The selected block and the mouse
+ *                                      position in workspace coordinates.
+ *   server -> client
+ *     {type: 'welcome', userId, colour, revision, xml, users}
+ *                                      Sent once on connecting.
+ *     {type: 'event', userId, revision, event}
+ *                                      Another user's sequenced change.
+ *     {type: 'ack', id, revision, applied}
+ *                                      This user's change was sequenced, or
+ *                                      dropped if not applied.
+ *     {type: 'presence', userId, name, colour, blockId, x, y}
+ *     {type: 'leave', userId}
+ *
+ * An event that no longer makes sense by the time it is sequenced (it moves a
+ * block someone else deleted, or renames a variable to a name someone else
+ * just took) is dropped everywhere rather than half-applied.
+ */
+'use strict';
+
+/**
+ * @name Blockly.Collaboration
+ * @namespace
+ **/
+goog.provide('Blockly.Collaboration');
+
+goog.require('Blockly.Events');
+
+
+/**
+ * Colours handed out to users, in order of connection.
+ * @type {!Array.<string>}
+ */
+Blockly.Collaboration.COLOURS = ['#E6194B', '#3CB44B', '#4363D8', '#F58231',
+  '#911EB4', '#0099B0', '#F032E6', '#9A6324'];
+
+/**
+ * Whether an event can still be applied to a workspace.  Both the server and
+ * the clients use this, so that they agree on which events are dropped.
+ * @param {!Blockly.Events.Abstract} event Event to check.
+ * @param {!Blockly.Workspace} workspace Workspace it would be applied to.
+ * @return {boolean} True if running the event forward is safe.
+ */
+Blockly.Collaboration.canApply = function(event, workspace) {
+  switch (event.type) {
+    case Blockly.Events.CREATE:
+      for (var i = 0; i < event.ids.length; i++) {
+        if (workspace.getBlockById(event.ids[i])) {
+          return false;
+        }
+      }
+      return true;
+    case Blockly.Events.DELETE:
+      return !!workspace.getBlockById(event.blockId);
+    case Blockly.Events.CHANGE:
+      var block = workspace.getBlockById(event.blockId);
+      return !!block && (event.element != 'field' || !!block.getField(event.name));
+    case Blockly.Events.MOVE:
+      return Blockly.Collaboration.canMove_(event, workspace);
+    case Blockly.Events.VAR_CREATE:
+      return !workspace.getVariableById(event.varId) &&
+          !workspace.getVariable(event.varName, event.varType);
+    case Blockly.Events.VAR_DELETE:
+      return !!workspace.getVariableById(event.varId);
+    case Blockly.Events.VAR_RENAME:
+      var variable = workspace.getVariableById(event.varId);
+      if (!variable) {
+        return false;
+      }
+      var existing = workspace.getVariable(event.newName, variable.type);
+      return !existing || existing == variable;
+    case Blockly.Events.COMMENT_CREATE:
+      return !workspace.getCommentById(event.commentId) &&
+          (!event.blockId || !!workspace.getBlockById(event.blockId));
+    case Blockly.Events.COMMENT_DELETE:
+    case Blockly.Events.COMMENT_CHANGE:
+    case Blockly.Events.COMMENT_MOVE:
+      return !!workspace.getCommentById(event.commentId);
+  }
+  return true;
+};
+
+/**
+ * Whether a move event can still be applied.  Besides the blocks existing,
+ * two users dragging blocks into each other at the same time must not make a
+ * cycle.
+ * @param {!Blockly.Events.Move} event Move event to check.
+ * @param {!Blockly.Workspace} workspace Workspace it would be applied to.
+ * @return {boolean} True if the move is safe.
+ * @private
+ */
+Blockly.Collaboration.canMove_ = function(event, workspace) {
+  var block = workspace.getBlockById(event.blockId);
+  if (!block) {
+    return false;
+  }
+  if (!event.newParentId) {
+    return true;
+  }
+  var parent = workspace.getBlockById(event.newParentId);
+  if (!parent) {
+    return false;
+  }
+  for (var ancestor = parent; ancestor; ancestor = ancestor.getParent()) {
+    if (ancestor == block) {
+      return false;
+    }
+  }
+  if (event.newInputName) {
+    var input = parent.getInput(event.newInputName);
+    return !!input && !!input.connection;
+  }
+  return !!parent.nextConnection;
+};
+
+/**
+ * Copy a message, as sending it over a network would.  Keeps the in-process
+ * server honest about not sharing objects with its clients.
+ * @param {!Object} message Message to copy.
+ * @return {!Object} The copy.
+ */
+Blockly.Collaboration.copyMessage = function(message) {
+  return JSON.parse(JSON.stringify(message));
+};
@@ -0,0 +1,544 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Client side of collaborative editing.  Local changes are
+ * applied at once and sent to the server; until the server acknowledges them
+ * they are pending.  When another user's change arrives, the pending changes
+ * are undone, the remote change is applied, and the pending changes are redone
+ * on top of it, dropping any that no longer apply.  A change the server
+ * rejects is taken back the same way.  The result is the order the server
+ * chose, so every client ends up with the server's project.
+ */
+'use strict';
+
+goog.provide('Blockly.Collaboration.Client');
+
+goog.require('Blockly.Collaboration');
+goog.require('Blockly.Events');
+goog.require('Blockly.Xml');
+goog.require('Blockly.utils');
+
+goog.require('goog.dom');
+goog.require('goog.math.Coordinate');
+
+
+/**
+ * Class for a collaboration client attached to a workspace.
+ * @param {!Blockly.Workspace} workspace The workspace to keep in sync.  It may
+ *     be rendered or headless.
+ * @param {function(!Object)} send Function that sends a message to the
+ *     server.
+ * @constructor
+ */
+Blockly.Collaboration.Client = function(workspace, send) {
+  /**
+   * @type {!Blockly.Workspace}
+   * @private
+   */
+  this.workspace_ = workspace;
+
+  /**
+   * @type {function(!Object)}
+   * @private
+   */
+  this.send_ = send;
+
+  /**
+   * This user's ID, assigned by the server when it welcomes us.
+   * @type {?string}
+   * @private
+   */
+  this.userId_ = null;
+
+  /**
+   * This user's colour, assigned by the server.
+   * @type {?string}
+   * @private
+   */
+  this.colour_ = null;
+
+  /**
+   * Revision of the last change received from the server.
+   * @type {number}
+   * @private
+   */
+  this.revision_ = 0;
+
+  /**
+   * Local changes sent but not yet acknowledged, oldest first.  Each records
+   * whether it is currently applied to the workspace.
+   * @type {!Array.<!{id: number, event: !Blockly.Events.Abstract,
+   *     applied: boolean}>}
+   * @private
+   */
+  this.pending_ = [];
+
+  /**
+   * Number of changes sent so far, used for their IDs.
+   * @type {number}
+   * @private
+   */
+  this.sentCount_ = 0;
+
+  /**
+   * Other users, keyed by user ID.
+   * @type {!Object.<string, !Object>}
+   * @private
+   */
+  this.users_ = Object.create(null);
+
+  /**
+   * ID of the block this user has selected.
+   * @type {?string}
+   * @private
+   */
+  this.selectedId_ = null;
+
+  /**
+   * This user's mouse position in workspace coordinates, if known.
+   * @type {goog.math.Coordinate}
+   * @private
+   */
+  this.cursorXY_ = null;
+
+  /**
+   * Time the mouse position was last sent.
+   * @type {number}
+   * @private
+   */
+  this.cursorSentTime_ = 0;
+
+  /**
+   * True while changes from the server are being applied, so that the events
+   * they cause are not sent back.
+   * @type {boolean}
+   * @private
+   */
+  this.applyingRemote_ = false;
+
+  this.changeWrapper_ = this.onChange_.bind(this);
+  workspace.addChangeListener(this.changeWrapper_);
+
+  /**
+   * Mouse move binding on a rendered workspace.
+   * @type {Array.<!Array>}
+   * @private
+   */
+  this.onMouseMoveWrapper_ = workspace.rendered ?
+      Blockly.bindEvent_(workspace.getParentSvg(), 'mousemove', this,
+          this.onMouseMove_) : null;
+};
+
+/**
+ * Event types that change the project and are shared with other users.
+ * @type {!Object.<string, boolean>}
+ * @private
+ */
+Blockly.Collaboration.Client.SHARED_TYPES_ = {};
+[Blockly.Events.CREATE, Blockly.Events.DELETE, Blockly.Events.CHANGE,
+  Blockly.Events.MOVE, Blockly.Events.VAR_CREATE, Blockly.Events.VAR_DELETE,
+  Blockly.Events.VAR_RENAME, Blockly.Events.COMMENT_CREATE,
+  Blockly.Events.COMMENT_CHANGE, Blockly.Events.COMMENT_MOVE,
+  Blockly.Events.COMMENT_DELETE].forEach(function(type) {
+  Blockly.Collaboration.Client.SHARED_TYPES_[type] = true;
+});
+
+/**
+ * Minimum time in milliseconds between sending mouse positions.
+ * @type {number}
+ */
+Blockly.Collaboration.Client.CURSOR_INTERVAL = 100;
+
+/**
+ * SVG path of the arrow drawn at another user's mouse position.
+ * @type {string}
+ * @const
+ */
+Blockly.Collaboration.Client.CURSOR_PATH =
+    'M 0,0 L 0,16 L 4,12 L 7,19 L 10,18 L 7,11 L 12,11 Z';
+
+/**
+ * Get this user's ID.
+ * @return {?string} The ID, or null until the server has welcomed us.
+ */
+Blockly.Collaboration.Client.prototype.getUserId = function() {
+  return this.userId_;
+};
+
+/**
+ * Get this user's colour.
+ * @return {?string} The colour, or null until the server has welcomed us.
+ */
+Blockly.Collaboration.Client.prototype.getColour = function() {
+  return this.colour_;
+};
+
+/**
+ * Get the revision of the last change received from the server.
+ * @return {number} The revision.
+ */
+Blockly.Collaboration.Client.prototype.getRevision = function() {
+  return this.revision_;
+};
+
+/**
+ * Whether some local changes have not been acknowledged by the server yet.
+ * @return {boolean} True if changes are pending.
+ */
+Blockly.Collaboration.Client.prototype.hasPendingChanges = function() {
+  return this.pending_.length > 0;
+};
+
+/**
+ * Get the other users editing the project.
+ * @return {!Array.<!{userId: string, name: string, colour: string,
+ *     blockId: ?string, x: ?number, y: ?number}>} The users.
+ */
+Blockly.Collaboration.Client.prototype.getUsers = function() {
+  var users = [];
+  for (var userId in this.users_) {
+    var user = this.users_[userId];
+    users.push({
+      userId: user.userId,
+      name: user.name,
+      colour: user.colour,
+      blockId: user.blockId,
+      x: user.x,
+      y: user.y
+    });
+  }
+  return users;
+};
+
+/**
+ * Handle a message from the server.
+ * @param {!Object} message The message.
+ */
+Blockly.Collaboration.Client.prototype.receive = function(message) {
+  switch (message.type) {
+    case 'welcome':
+      this.welcome_(message);
+      break;
+    case 'event':
+      this.revision_ = message.revision;
+      this.applyRemote_(message.event);
+      break;
+    case 'ack':
+      this.revision_ = message.revision;
+      var change = this.pending_.shift();
+      if (!change || change.id != message.id) {
+        console.warn('Unexpected acknowledgement: ' + message.id);
+      } else if (!message.applied) {
+        this.dropRejected_(change);
+      }
+      break;
+    case 'presence':
+      this.updateUser_(message);
+      break;
+    case 'leave':
+      this.removeUser_(message.userId);
+      break;
+    default:
+      console.warn('Unknown collaboration message: ' + message.type);
+  }
+};
+
+/**
+ * Stop listening to the workspace and remove other users' highlights.
+ */
+Blockly.Collaboration.Client.prototype.dispose = function() {
+  this.workspace_.removeChangeListener(this.changeWrapper_);
+  if (this.onMouseMoveWrapper_) {
+    Blockly.unbindEvent_(this.onMouseMoveWrapper_);
+    this.onMouseMoveWrapper_ = null;
+  }
+  for (var userId in this.users_) {
+    this.removeUser_(userId);
+  }
+};
+
+/**
+ * Replace the workspace contents with the server's project.
+ * @param {!Object} message The welcome message.
+ * @private
+ */
+Blockly.Collaboration.Client.prototype.welcome_ = function(message) {
+  this.userId_ = message.userId;
+  this.colour_ = message.colour;
+  this.revision_ = message.revision;
+  this.pending_.length = 0;
+  var workspace = this.workspace_;
+  this.runRemote_(function() {
+    workspace.clear();
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(message.xml), workspace);
+  });
+  for (var i = 0; i < message.users.length; i++) {
+    this.updateUser_(message.users[i]);
+  }
+};
+
+/**
+ * Send local changes to the server, and this user's selection to the other
+ * users.
+ * @param {!Blockly.Events.Abstract} event Change event.
+ * @private
+ */
+Blockly.Collaboration.Client.prototype.onChange_ = function(event) {
+  if (this.applyingRemote_ || !this.userId_) {
+    return;
+  }
+  if (event.type == Blockly.Events.UI) {
+    if (event.element == 'selected') {
+      this.selectedId_ = event.newValue;
+      this.sendPresence_();
+    }
+    return;
+  }
+  if (!Blockly.Collaboration.Client.SHARED_TYPES_[event.type] ||
+      event.isNull()) {
+    return;
+  }
+  var change = {id: ++this.sentCount_, event: event, applied: true};
+  this.pending_.push(change);
+  this.send_({type: 'event', id: change.id, event: event.toJson()});
+};
+
+/**
+ * Track the mouse so other users can see where this user is working.
+ * @param {!Event} e Mouse move event.
+ * @private
+ */
+Blockly.Collaboration.Client.prototype.onMouseMove_ = function(e) {
+  var now = Date.now();
+  if (now - this.cursorSentTime_ < Blockly.Collaboration.Client.CURSOR_INTERVAL) {
+    return;
+  }
+  this.cursorSentTime_ = now;
+  var workspace = this.workspace_;
+  var point = Blockly.utils.mouseToSvg(e, workspace.getParentSvg(),
+      workspace.getCanvas().getScreenCTM().inverse());
+  this.cursorXY_ = new goog.math.Coordinate(Math.round(point.x),
+      Math.round(point.y));
+  this.sendPresence_();
+};
+
+/**
+ * Tell the other users what this user has selected and where the mouse is.
+ * @private
+ */
+Blockly.Collaboration.Client.prototype.sendPresence_ = function() {
+  this.send_({
+    type: 'presence',
+    blockId: this.selectedId_,
+    x: this.cursorXY_ ? this.cursorXY_.x : null,
+    y: this.cursorXY_ ? this.cursorXY_.y : null
+  });
+};
+
+/**
+ * Apply another user's change underneath the pending local changes.
+ * @param {!Object} json JSON form of the remote event.
+ * @private
+ */
+Blockly.Collaboration.Client.prototype.applyRemote_ = function(json) {
+  this.closeDeletedEditor_(json);
+  var workspace = this.workspace_;
+  this.rebase_(function() {
+    var event = Blockly.Events.fromJson(json, workspace);
+    if (Blockly.Collaboration.canApply(event, workspace)) {
+      event.run(true);
+    } else {
+      console.warn('Out of sync with the server, dropped ' + json.type);
+    }
+  });
+  for (var userId in this.users_) {
+    this.highlightBlock_(this.users_[userId].blockId);
+  }
+};
+
+/**
+ * Take back a local change the server did not apply.  It usually stopped
+ * applying here too when the change that beat it arrived, but the server may
+ * also have dropped it for its own reasons.
+ * @param {!{id: number, event: !Blockly.Events.Abstract, applied: boolean}}
+ *     change The rejected change, no longer pending.
+ * @private
+ */
+Blockly.Collaboration.Client.prototype.dropRejected_ = function(change) {
+  if (!change.applied) {
+    return;
+  }
+  this.rebase_(function() {
+    change.event.run(false);
+  });
+};
+
+/**
+ * Undo the pending local changes, change the workspace underneath them, then
+ * redo those that still apply.
+ * @param {function()} func Function changing the workspace.
+ * @private
+ */
+Blockly.Collaboration.Client.prototype.rebase_ = function(func) {
+  // Local events still in the queue must become pending before rebasing.
+  Blockly.Events.fireNow_();
+  var workspace = this.workspace_;
+  var pending = this.pending_;
+  this.runRemote_(function() {
+    for (var i = pending.length - 1; i >= 0; i--) {
+      if (pending[i].applied) {
+        pending[i].event.run(false);
+      }
+    }
+    func();
+    for (var i = 0; i < pending.length; i++) {
+      pending[i].applied =
+          Blockly.Collaboration.canApply(pending[i].event, workspace);
+      if (pending[i].applied) {
+        pending[i].event.run(true);
+      }
+    }
+  });
+};
+
+/**
+ * If another user deleted the block this user is editing, close the editor
+ * first, so that the edit becomes a pending change and is dropped cleanly.
+ * @param {!Object} json JSON form of the remote event.
+ * @private
+ */
+Blockly.Collaboration.Client.prototype.closeDeletedEditor_ = function(json) {
+  if (!this.workspace_.rendered || json.type != Blockly.Events.DELETE ||
+      !Blockly.selected || Blockly.selected.workspace != this.workspace_) {
+    return;
+  }
+  if (json.ids.indexOf(Blockly.selected.id) != -1) {
+    Blockly.hideChaff();
+  }
+};
+
+/**
+ * Run a function that changes the workspace on behalf of the server.  Events
+ * it causes are delivered to other listeners straight away, are not sent back
+ * and are not added to the undo stack.
+ * @param {function()} func Function to run.
+ * @private
+ */
+Blockly.Collaboration.Client.prototype.runRemote_ = function(func) {
+  var recordUndo = Blockly.Events.recordUndo;
+  Blockly.Events.recordUndo = false;
+  this.applyingRemote_ = true;
+  try {
+    func();
+    Blockly.Events.fireNow_();
+  } finally {
+    this.applyingRemote_ = false;
+    Blockly.Events.recordUndo = recordUndo;
+  }
+};
+
+/**
+ * Record another user's presence and show it on a rendered workspace.
+ * @param {!Object} message The presence message.
+ * @private
+ */
+Blockly.Collaboration.Client.prototype.updateUser_ = function(message) {
+  if (message.userId == this.userId_) {
+    return;
+  }
+  var user = this.users_[message.userId];
+  if (!user) {
+    user = this.users_[message.userId] = {userId: message.userId, svg: null};
+  }
+  var oldBlockId = user.blockId;
+  user.name = message.name;
+  user.colour = message.colour;
+  user.blockId = message.blockId;
+  user.x = message.x;
+  user.y = message.y;
+  this.highlightBlock_(oldBlockId);
+  this.highlightBlock_(user.blockId);
+  this.drawCursor_(user);
+};
+
+/**
+ * Forget another user and remove their highlights.
+ * @param {string} userId ID of the user.
+ * @private
+ */
+Blockly.Collaboration.Client.prototype.removeUser_ = function(userId) {
+  var user = this.users_[userId];
+  if (!user) {
+    return;
+  }
+  delete this.users_[userId];
+  this.highlightBlock_(user.blockId);
+  goog.dom.removeNode(user.svg);
+};
+
+/**
+ * Outline a block in the colour of the last user to select it, or remove the
+ * outline if no other user has it selected.
+ * @param {?string} blockId ID of the block.
+ * @private
+ */
+Blockly.Collaboration.Client.prototype.highlightBlock_ = function(blockId) {
+  var block = blockId && this.workspace_.rendered &&
+      this.workspace_.getBlockById(blockId);
+  if (!block) {
+    return;
+  }
+  var colour = null;
+  for (var userId in this.users_) {
+    if (this.users_[userId].blockId == blockId) {
+      colour = this.users_[userId].colour;
+    }
+  }
+  block.setRemoteSelection(colour);
+};
+
+/**
+ * Draw another user's mouse pointer and name on a rendered workspace.
+ * @param {!Object} user The user.
+ * @private
+ */
+Blockly.Collaboration.Client.prototype.drawCursor_ = function(user) {
+  if (!this.workspace_.rendered) {
+    return;
+  }
+  if (!goog.isNumber(user.x) || !goog.isNumber(user.y)) {
+    goog.dom.removeNode(user.svg);
+    user.svg = null;
+    return;
+  }
+  if (!user.svg) {
+    user.svg = Blockly.utils.createSvgElement('g',
+        {'class': 'blocklyRemoteCursor'}, this.workspace_.getBubbleCanvas());
+    Blockly.utils.createSvgElement('path',
+        {'d': Blockly.Collaboration.Client.CURSOR_PATH}, user.svg);
+    Blockly.utils.createSvgElement('text', {'x': 12, 'y': 26}, user.svg);
+  }
+  user.svg.firstChild.setAttribute('fill', user.colour);
+  user.svg.lastChild.setAttribute('fill', user.colour);
+  user.svg.lastChild.textContent = user.name;
+  user.svg.setAttribute('transform',
+      'translate(' + user.x + ',' + user.y + ')');
+};
@@ -0,0 +1,309 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview In-process reference server for collaborative editing.  It
+ * keeps the authoritative copy of the project in a headless workspace and
+ * sequences the events sent by its clients.  Real deployments put the same
+ * logic behind a socket; tests and demos connect clients to it directly.
+ */
+'use strict';
+
+goog.provide('Blockly.Collaboration.Server');
+
+goog.require('Blockly.Collaboration');
+goog.require('Blockly.Events');
+goog.require('Blockly.Workspace');
+goog.require('Blockly.Xml');
+goog.require('Blockly.utils');
+
+
+/**
+ * Class for a collaboration server.
+ * @param {Object=} opt_options Dictionary of options:
+ *     xml: text of the project to start from.
+ *     autoFlush: deliver messages on a timeout rather than waiting for
+ *     flush() to be called.
+ * @constructor
+ */
+Blockly.Collaboration.Server = function(opt_options) {
+  var options = opt_options || {};
+  /**
+   * The authoritative copy of the project.
+   * @type {!Blockly.Workspace}
+   * @private
+   */
+  this.workspace_ = new Blockly.Workspace();
+  if (options.xml) {
+    Blockly.Events.disable();
+    try {
+      Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(options.xml),
+          this.workspace_);
+    } finally {
+      Blockly.Events.enable();
+    }
+  }
+
+  /**
+   * Number of changes sequenced so far.
+   * @type {number}
+   * @private
+   */
+  this.revision_ = 0;
+
+  /**
+   * Connected users, in order of connection.
+   * @type {!Array.<!Object>}
+   * @private
+   */
+  this.users_ = [];
+
+  /**
+   * Number of users that have ever connected, used to pick colours.
+   * @type {number}
+   * @private
+   */
+  this.userCount_ = 0;
+
+  /**
+   * Messages waiting to be delivered, each with the user it is for.
+   * @type {!Array.<!{user: !Object, message: !Object}>}
+   * @private
+   */
+  this.outbox_ = [];
+
+  /**
+   * Whether messages are delivered without calling flush().
+   * @type {boolean}
+   * @private
+   */
+  this.autoFlush_ = !!options.autoFlush;
+
+  /**
+   * PID of the pending delivery, if any.
+   * @type {?number}
+   * @private
+   */
+  this.flushPid_ = null;
+};
+
+/**
+ * Connect a user.  The welcome message is queued straight away.
+ * @param {function(!Object)} receive Function that delivers a message to the
+ *     user's client, e.g. the client's receive method.
+ * @param {string=} opt_name Name shown to other users.
+ * @return {!{send: function(!Object), close: function()}} The connection.
+ *     The client sends its messages with send(); close() disconnects it.
+ */
+Blockly.Collaboration.Server.prototype.connect = function(receive, opt_name) {
+  var colours = Blockly.Collaboration.COLOURS;
+  var user = {
+    userId: Blockly.utils.genUid(),
+    name: opt_name || '',
+    colour: colours[this.userCount_ % colours.length],
+    blockId: null,
+    x: null,
+    y: null,
+    receive: receive
+  };
+  this.userCount_++;
+  this.queue_(user, {
+    type: 'welcome',
+    userId: user.userId,
+    colour: user.colour,
+    revision: this.revision_,
+    xml: Blockly.Xml.domToText(Blockly.Xml.workspaceToDom(this.workspace_)),
+    users: this.users_.map(Blockly.Collaboration.Server.presence_)
+  });
+  this.users_.push(user);
+  this.broadcast_(user, Blockly.Collaboration.Server.presence_(user));
+
+  var server = this;
+  return {
+    send: function(message) {
+      server.receive_(user, Blockly.Collaboration.copyMessage(message));
+    },
+    close: function() {
+      server.disconnect_(user);
+    }
+  };
+};
+
+/**
+ * Deliver all queued messages, including any queued while delivering.
+ */
+Blockly.Collaboration.Server.prototype.flush = function() {
+  if (this.flushPid_) {
+    clearTimeout(this.flushPid_);
+    this.flushPid_ = null;
+  }
+  while (this.outbox_.length) {
+    var item = this.outbox_.shift();
+    if (this.users_.indexOf(item.user) != -1) {
+      item.user.receive(item.message);
+    }
+  }
+};
+
+/**
+ * Get the authoritative copy of the project.
+ * @return {!Blockly.Workspace} The server's workspace.
+ */
+Blockly.Collaboration.Server.prototype.getWorkspace = function() {
+  return this.workspace_;
+};
+
+/**
+ * Get the number of changes sequenced so far.
+ * @return {number} The current revision.
+ */
+Blockly.Collaboration.Server.prototype.getRevision = function() {
+  return this.revision_;
+};
+
+/**
+ * Handle a message from a user.
+ * @param {!Object} user The sender.
+ * @param {!Object} message The message.
+ * @private
+ */
+Blockly.Collaboration.Server.prototype.receive_ = function(user, message) {
+  if (this.users_.indexOf(user) == -1) {
+    return;
+  }
+  switch (message.type) {
+    case 'event':
+      var applied = this.apply_(message.event);
+      if (applied) {
+        this.revision_++;
+        this.broadcast_(user, {
+          type: 'event',
+          userId: user.userId,
+          revision: this.revision_,
+          event: message.event
+        });
+      }
+      this.queue_(user, {
+        type: 'ack',
+        id: message.id,
+        revision: this.revision_,
+        applied: applied
+      });
+      break;
+    case 'presence':
+      user.blockId = message.blockId || null;
+      user.x = goog.isNumber(message.x) ? message.x : null;
+      user.y = goog.isNumber(message.y) ? message.y : null;
+      this.broadcast_(user, Blockly.Collaboration.Server.presence_(user));
+      break;
+    default:
+      console.warn('Unknown collaboration message: ' + message.type);
+  }
+};
+
+/**
+ * Apply an event to the authoritative workspace, unless it is obsolete.
+ * @param {!Object} json JSON form of the event.
+ * @return {boolean} True if the event was applied.
+ * @private
+ */
+Blockly.Collaboration.Server.prototype.apply_ = function(json) {
+  Blockly.Events.disable();
+  try {
+    try {
+      var event = Blockly.Events.fromJson(json, this.workspace_);
+    } catch (e) {
+      // E.g. an event type this version doesn't know.  The sender takes it
+      // back when the acknowledgement says it wasn't applied.
+      console.warn('Dropped an unreadable event: ' + e);
+      return false;
+    }
+    if (!Blockly.Collaboration.canApply(event, this.workspace_)) {
+      return false;
+    }
+    event.run(true);
+  } finally {
+    Blockly.Events.enable();
+  }
+  return true;
+};
+
+/**
+ * Disconnect a user and tell everyone else.
+ * @param {!Object} user The user leaving.
+ * @private
+ */
+Blockly.Collaboration.Server.prototype.disconnect_ = function(user) {
+  var index = this.users_.indexOf(user);
+  if (index == -1) {
+    return;
+  }
+  this.users_.splice(index, 1);
+  this.broadcast_(user, {type: 'leave', userId: user.userId});
+};
+
+/**
+ * Queue a message for every user except one.
+ * @param {!Object} sender The user not to send to.
+ * @param {!Object} message The message.
+ * @private
+ */
+Blockly.Collaboration.Server.prototype.broadcast_ = function(sender,
+    message) {
+  for (var i = 0, user; user = this.users_[i]; i++) {
+    if (user != sender) {
+      this.queue_(user, message);
+    }
+  }
+};
+
+/**
+ * Queue a message for a user.
+ * @param {!Object} user The recipient.
+ * @param {!Object} message The message.
+ * @private
+ */
+Blockly.Collaboration.Server.prototype.queue_ = function(user, message) {
+  this.outbox_.push({
+    user: user,
+    message: Blockly.Collaboration.copyMessage(message)
+  });
+  if (this.autoFlush_ && !this.flushPid_) {
+    this.flushPid_ = setTimeout(this.flush.bind(this), 0);
+  }
+};
+
+/**
+ * Build the presence message describing a user.
+ * @param {!Object} user The user.
+ * @return {!Object} The message.
+ * @private
+ */
+Blockly.Collaboration.Server.presence_ = function(user) {
+  return {
+    type: 'presence',
+    userId: user.userId,
+    name: user.name,
+    colour: user.colour,
+    blockId: user.blockId,
+    x: user.x,
+    y: user.y
+  };
+};
@@ -83,7 +83,9 @@ Blockly.Colours = {
     "tertiary": "#FF3355"
   },
   "text": "#575E75",
+  "blockText": "#FFFFFF",
   "workspace": "#F9F9F9",
+  "grid": "#888888",
   "toolboxHover": "#4C97FF",
   "toolboxSelected": "#e9eef2",
   "toolboxText": "#575E75",
@@ -98,13 +100,23 @@ Blockly.Colours = {
   "stackGlow": "#FFF200",
   "stackGlowSize": 4,
   "stackGlowOpacity": 1,
+  "multiSelection": "#4C97FF",
+  "keyboardCursor": "#FFAB19",
+  "searchMatch": "#FFD500",
   "replacementGlow": "#FFFFFF",
   "replacementGlowSize": 2,
   "replacementGlowOpacity": 1,
   "colourPickerStroke": "#FFFFFF",
+  "categoryPattern": "#FFFFFF",
+  "categoryPatternOpacity": 0.35,
   // CSS colours: support RGBA
   "fieldShadow": "rgba(0,0,0,0.1)",
   "dropDownShadow": "rgba(0, 0, 0, .3)",
+  "dropDownBackground": "#FFFFFF",
+  "dropDownBorder": "#DDDDDD",
+  "menuBackground": "#FFFFFF",
+  "menuText": "#000000",
+  "menuHover": "#D6E9F8",
   "numPadBackground": "#547AB2",
   "numPadBorder": "#435F91",
   "numPadActiveBackground": "#435F91",
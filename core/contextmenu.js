@@ -31,6 +31,7 @@
 goog.provide('Blockly.ContextMenu');
 
 goog.require('Blockly.Events.BlockCreate');
+goog.require('Blockly.ImageExport');
 goog.require('Blockly.scratchBlocksUtils');
 goog.require('Blockly.utils');
 goog.require('Blockly.utils.uiMenu');
@@ -271,6 +272,29 @@ Blockly.ContextMenu.blockDuplicateOption = function(block, event) {
   return duplicateOption;
 };
 
+/**
+ * Make a context menu option for saving a picture of the script holding the
+ * current block.
+ * @param {!Blockly.BlockSvg} block The block where the right-click originated.
+ * @return {!Object} A menu option, containing text, enabled, and a callback.
+ * @package
+ */
+Blockly.ContextMenu.blockSavePictureOption = function(block) {
+  var savePictureOption = {
+    text: Blockly.Msg.SAVE_PICTURE_OF_SCRIPT,
+    enabled: true,
+    callback: function() {
+      block.getRootBlock().toPng(function(dataUri) {
+        if (dataUri) {
+          Blockly.ImageExport.download(dataUri,
+              Blockly.ImageExport.PICTURE_FILENAME);
+        }
+      });
+    }
+  };
+  return savePictureOption;
+};
+
 /**
  * Make a context menu option for adding or removing comments on the current
  * block.
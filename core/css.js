@@ -65,6 +65,20 @@ Blockly.Css.styleSheet_ = null;
  */
 Blockly.Css.mediaPath_ = '';
 
+/**
+ * The style element holding the injected CSS.
+ * @type {Element}
+ * @private
+ */
+Blockly.Css.cssNode_ = null;
+
+/**
+ * Whether Blockly's own CSS was injected, rather than left to the page.
+ * @type {boolean}
+ * @private
+ */
+Blockly.Css.hasCss_ = false;
+
 /**
  * Inject the CSS into the DOM.  This is preferable over using a regular CSS
  * file since:
@@ -80,36 +94,81 @@ Blockly.Css.inject = function(hasCss, pathToMedia) {
   if (Blockly.Css.styleSheet_) {
     return;
   }
+  // Strip off any trailing slash (either Unix or Windows).
+  Blockly.Css.mediaPath_ = pathToMedia.replace(/[\\\/]$/, '');
+  Blockly.Css.hasCss_ = hasCss;
+
+  // Inject CSS tag at start of head.
+  var cssNode = document.createElement('style');
+  document.head.insertBefore(cssNode, document.head.firstChild);
+
+  var cssTextNode = document.createTextNode(Blockly.Css.getText_());
+  cssNode.appendChild(cssTextNode);
+  Blockly.Css.cssNode_ = cssNode;
+  Blockly.Css.styleSheet_ = cssNode.sheet;
+};
+
+/**
+ * Fill the current colours into the injected CSS again, e.g. after the
+ * theme has changed.  Does nothing if the CSS hasn't been injected yet.
+ */
+Blockly.Css.refresh = function() {
+  var cssNode = Blockly.Css.cssNode_;
+  if (!cssNode) {
+    return;
+  }
+  cssNode.firstChild.nodeValue = Blockly.Css.getText_();
+  Blockly.Css.styleSheet_ = cssNode.sheet;
+};
+
+/**
+ * Get the text of the injected style element.
+ * @return {string} The CSS text.
+ * @private
+ */
+Blockly.Css.getText_ = function() {
   // Placeholder for cursor rule.  Must be first rule (index 0).
   var text = '.blocklyDraggable {}\n';
-  if (hasCss) {
-    text += Blockly.Css.CONTENT.join('\n');
+  if (Blockly.Css.hasCss_) {
+    text += Blockly.Css.getContent();
     if (Blockly.FieldDate) {
-      text += Blockly.FieldDate.CSS.join('\n');
+      text += Blockly.Css.fillIn_(Blockly.FieldDate.CSS.join('\n'));
     }
   }
-  // Strip off any trailing slash (either Unix or Windows).
-  Blockly.Css.mediaPath_ = pathToMedia.replace(/[\\\/]$/, '');
+  return text;
+};
+
+/**
+ * Get Blockly's CSS as injected, with the media path and colours filled in.
+ * Also used to style images of blocks exported outside the page.
+ * @return {string} The CSS text.
+ * @package
+ */
+Blockly.Css.getContent = function() {
+  return Blockly.Css.fillIn_(Blockly.Css.CONTENT.join('\n'));
+};
+
+/**
+ * Fill in the media path and colours of CSS text.
+ * @param {string} text CSS text with <<<PATH>>> and $colour_ placeholders.
+ * @return {string} The CSS text.
+ * @private
+ */
+Blockly.Css.fillIn_ = function(text) {
   text = text.replace(/<<<PATH>>>/g, Blockly.Css.mediaPath_);
   // Dynamically replace colours in the CSS text, in case they have
-  // been set at run-time injection.
+  // been set at run-time injection or by a theme.
   for (var colourProperty in Blockly.Colours) {
     if (Blockly.Colours.hasOwnProperty(colourProperty)) {
-      // Replace all
+      // Replace all, without replacing the start of a longer name (e.g.
+      // scrollbar in scrollbarHover).
       text = text.replace(
-        new RegExp('\\$colour\\_' + colourProperty, 'g'),
+        new RegExp('\\$colour\\_' + colourProperty + '\\b', 'g'),
         Blockly.Colours[colourProperty]
       );
     }
   }
-
-  // Inject CSS tag at start of head.
-  var cssNode = document.createElement('style');
-  document.head.insertBefore(cssNode, document.head.firstChild);
-
-  var cssTextNode = document.createTextNode(text);
-  cssNode.appendChild(cssTextNode);
-  Blockly.Css.styleSheet_ = cssNode.sheet;
+  return text;
 };
 
 /**
@@ -243,7 +302,7 @@ Blockly.Css.CONTENT = [
     'display: none;',
     'border: 1px solid;',
     'border-radius: 4px;',
-    'box-shadow: 0px 0px 8px 1px ' + Blockly.Colours.dropDownShadow + ';',
+    'box-shadow: 0px 0px 8px 1px $colour_dropDownShadow;',
     'padding: 4px;',
     '-webkit-user-select: none;',
     'min-height: 15px',
@@ -378,6 +437,17 @@ Blockly.Css.CONTENT = [
     'stroke-width: 1px;',
   '}',
 
+  '.blocklyCategoryPattern>path {',
+    'fill: none;',
+    'stroke: $colour_categoryPattern;',
+    'stroke-opacity: $colour_categoryPatternOpacity;',
+    'stroke-width: 1px;',
+  '}',
+
+  '.blocklyCategoryPatternPath {',
+    'pointer-events: none;',
+  '}',
+
   '.blocklySelected>.blocklyPath {',
     // 'stroke: #fc3;',
     // 'stroke-width: 3px;',
@@ -387,6 +457,193 @@ Blockly.Css.CONTENT = [
     'display: none;',
   '}',
 
+  '.blocklyMultiSelection .blocklySelected>.blocklyPath {',
+    'stroke: $colour_multiSelection;',
+    'stroke-width: 3px;',
+  '}',
+
+  '.blocklySelectionMarquee {',
+    'fill: $colour_multiSelection;',
+    'fill-opacity: .1;',
+    'stroke: $colour_multiSelection;',
+    'stroke-width: 1px;',
+    'pointer-events: none;',
+  '}',
+
+  '.blocklyKeyboardCursor>.blocklyPath,',
+  '.blocklyKeyboardCursor>rect {',
+    'stroke: $colour_keyboardCursor;',
+    'stroke-width: 3px;',
+  '}',
+
+  '.blocklyKeyboardMoving>.blocklyPath {',
+    'stroke: $colour_keyboardCursor;',
+    'stroke-width: 3px;',
+    'stroke-dasharray: 6 4;',
+  '}',
+
+  '.blocklyKeyboardCursorConnection {',
+    'fill: none;',
+    'stroke: $colour_keyboardCursor;',
+    'stroke-width: 4px;',
+    'stroke-linecap: round;',
+    'pointer-events: none;',
+  '}',
+
+  '.blocklySearchMatch>.blocklyPath {',
+    'stroke: $colour_searchMatch;',
+    'stroke-width: 2px;',
+  '}',
+
+  '.blocklySearchCurrent>.blocklyPath {',
+    'stroke-width: 4px;',
+  '}',
+
+  '.blocklySearch {',
+    'position: absolute;',
+    'top: 8px;',
+    'right: 8px;',
+    'z-index: 30;',
+    'display: flex;',
+    'align-items: center;',
+    'padding: 4px;',
+    'background: $colour_toolbox;',
+    'border: 1px solid $colour_toolboxHover;',
+    'border-radius: 4px;',
+    'font-family: "Helvetica Neue", Helvetica, sans-serif;',
+    'font-size: .75rem;',
+  '}',
+
+  '.blocklySearchInput,',
+  '.blocklySearchReplaceInput {',
+    'width: 10em;',
+    'margin: 0 4px;',
+  '}',
+
+  '.blocklySearchCount {',
+    'min-width: 5em;',
+    'color: $colour_text;',
+  '}',
+
+  '.blocklySearchButton {',
+    'margin: 0 2px;',
+  '}',
+
+  '.blocklyAriaTree,',
+  '.blocklyAriaLive {',
+    'position: absolute;',
+    'width: 1px;',
+    'height: 1px;',
+    'overflow: hidden;',
+    'clip: rect(0 0 0 0);',
+    'white-space: nowrap;',
+  '}',
+
+  '.blocklyRemoteSelected>.blocklyPath {',
+    'stroke-width: 3px;',
+  '}',
+
+  '.blocklyRemoteCursor {',
+    'pointer-events: none;',
+  '}',
+
+  '.blocklyRemoteCursor>text {',
+    'font-family: "Helvetica Neue", Helvetica, sans-serif;',
+    'font-size: 12px;',
+  '}',
+
+  '.blocklyUndoHistory {',
+    'position: absolute;',
+    'top: 0;',
+    'right: 0;',
+    'width: 220px;',
+    'max-height: 100%;',
+    'overflow-y: auto;',
+    'box-sizing: border-box;',
+    'padding: 8px;',
+    'background: $colour_toolbox;',
+    'border-left: 1px solid $colour_scrollbar;',
+    'color: $colour_toolboxText;',
+    'font-family: "Helvetica Neue", Helvetica, sans-serif;',
+    'font-size: 12px;',
+    'z-index: 40;',
+  '}',
+
+  '.blocklyUndoHistoryTitle {',
+    'font-weight: bold;',
+    'margin: 4px 0;',
+  '}',
+
+  '.blocklyUndoHistoryList,',
+  '.blocklyUndoHistoryCheckpoints {',
+    'list-style: none;',
+    'margin: 0 0 8px;',
+    'padding: 0;',
+  '}',
+
+  '.blocklyUndoHistoryStep,',
+  '.blocklyUndoHistoryCheckpoint {',
+    'cursor: pointer;',
+    'padding: 2px 4px;',
+    'border-radius: 4px;',
+  '}',
+
+  '.blocklyUndoHistoryStep:hover,',
+  '.blocklyUndoHistoryCheckpoint:hover {',
+    'background: $colour_toolboxSelected;',
+  '}',
+
+  '.blocklyUndoHistoryCurrent {',
+    'font-weight: bold;',
+  '}',
+
+  '.blocklyUndoHistoryUndone {',
+    'opacity: 0.5;',
+  '}',
+
+  '.blocklyLint {',
+    'position: absolute;',
+    'bottom: 0;',
+    'right: 0;',
+    'width: 220px;',
+    'max-height: 40%;',
+    'overflow-y: auto;',
+    'box-sizing: border-box;',
+    'padding: 8px;',
+    'background: $colour_toolbox;',
+    'border-left: 1px solid $colour_scrollbar;',
+    'border-top: 1px solid $colour_scrollbar;',
+    'color: $colour_toolboxText;',
+    'font-family: "Helvetica Neue", Helvetica, sans-serif;',
+    'font-size: 12px;',
+    'z-index: 40;',
+  '}',
+
+  '.blocklyLintTitle {',
+    'font-weight: bold;',
+    'margin: 4px 0;',
+  '}',
+
+  '.blocklyLintList {',
+    'list-style: none;',
+    'margin: 0;',
+    'padding: 0;',
+  '}',
+
+  '.blocklyLintProblem,',
+  '.blocklyLintEmpty {',
+    'padding: 2px 4px;',
+    'border-radius: 4px;',
+  '}',
+
+  '.blocklyLintHasBlock {',
+    'cursor: pointer;',
+  '}',
+
+  '.blocklyLintHasBlock:hover {',
+    'background: $colour_toolboxSelected;',
+  '}',
+
   '.blocklyDraggable {',
     /* backup for browsers (e.g. IE11) that don't support grab */
     'cursor: url("<<<PATH>>>/handopen.cur"), auto;',
@@ -459,7 +716,7 @@ Blockly.Css.CONTENT = [
   '}',
 
   '.blocklyText {',
-    'fill: #fff;',
+    'fill: $colour_blockText;',
     'font-family: "Helvetica Neue", Helvetica, sans-serif;',
     'font-size: 12pt;',
     'font-weight: 500;',
@@ -478,11 +735,11 @@ Blockly.Css.CONTENT = [
   '}',
 
   '.blocklyEditableText>.blocklyEditableLabel {',
-    'fill: #fff;',
+    'fill: $colour_blockText;',
   '}',
 
   '.blocklyDropdownText {',
-    'fill: #fff !important;',
+    'fill: $colour_blockText !important;',
   '}',
 
   '.blocklyBubbleText {',
@@ -756,6 +1013,26 @@ Blockly.Css.CONTENT = [
     'fill: $colour_scrollbarHover;',
   '}',
 
+  '.blocklyMinimapBackground {',
+    'fill: $colour_workspace;',
+    'stroke: $colour_scrollbarHover;',
+    'fill-opacity: .9;',
+  '}',
+
+  '.blocklyMinimap {',
+    'cursor: pointer;',
+  '}',
+
+  '.blocklyMinimapComment {',
+    'fill: #fef49c;',
+  '}',
+
+  '.blocklyMinimapViewport {',
+    'fill: $colour_scrollbar;',
+    'fill-opacity: .3;',
+    'stroke: $colour_scrollbarHover;',
+  '}',
+
   '.blocklyZoom>image {',
     'opacity: 1;',
   '}',
@@ -818,46 +1095,42 @@ Blockly.Css.CONTENT = [
   '}',
 
   '.blocklyPercentCircle {',
-  'stroke: ' + Blockly.Colours.motion.tertiary + ';',
-  'stroke-width: 1;',
-  'fill: ' + Blockly.Colours.motion.secondary + ';',
-'}',
-
-'.blocklyPercentCenterPoint {',
-  'stroke: #fff;',
-  'stroke-width: 1;',
-  'fill: #fff;',
-'}',
+    'stroke: ' + Blockly.Colours.motion.tertiary + ';',
+    'stroke-width: 1;',
+    'fill: ' + Blockly.Colours.motion.secondary + ';',
+  '}',
 
-'.blocklyPercentDragHandle {',
-  'stroke: #fff;',
-  'stroke-width: 5;',
-  'stroke-opacity: 0.25;',
-  'fill: #fff;',
-  'cursor: pointer;',
-'}',
+  '.blocklyPercentCenterPoint {',
+    'stroke: #fff;',
+    'stroke-width: 1;',
+    'fill: #fff;',
+  '}',
 
-'.blocklyPercentDragArrow {',
-  'pointer-events: none',
-'}',
+  '.blocklyPercentDragHandle {',
+    'stroke: #fff;',
+    'stroke-width: 5;',
+    'stroke-opacity: 0.25;',
+    'fill: #fff;',
+    'cursor: pointer;',
+  '}',
 
-'.blocklyPercentMarks {',
-  'stroke: #fff;',
-  'stroke-width: 1;',
-  'stroke-opacity: 0.5;',
-'}',
+  '.blocklyPercentMarks {',
+    'stroke: #fff;',
+    'stroke-width: 1;',
+    'stroke-opacity: 0.5;',
+  '}',
 
-'.blocklyPercentGauge {',
-  'fill: #fff;',
-  'fill-opacity: 0.20;',
-'}',
+  '.blocklyPercentGauge {',
+    'fill: #fff;',
+    'fill-opacity: 0.20;',
+  '}',
 
-'.blocklyPercentLine {',
-  'stroke: #fff;',
-  'stroke-width: 1;',
-  'stroke-linecap: round;',
-  'pointer-events: none;',
-'}',
+  '.blocklyPercentLine {',
+    'stroke: #fff;',
+    'stroke-width: 1;',
+    'stroke-linecap: round;',
+    'pointer-events: none;',
+  '}',
 
 '.blocklyUntiangleCircle {',
 'stroke: ' + Blockly.Colours.motion.tertiary + ';',
@@ -1079,10 +1352,61 @@ Blockly.Css.CONTENT = [
     'margin-left: 10px;',
   '}',
 
+  '.scratchMatrixButtons {',
+    'text-align: center;',
+  '}',
+
   '.scratchMatrixButtonDiv {',
-    'width: 50%;',
+    'display: inline-block;',
+    'margin: 0 4px;',
+    'cursor: pointer;',
+  '}',
+
+  '.scratchMatrixTool {',
+    'fill: none;',
+    'stroke: #FFFFFF;',
+    'stroke-width: 2;',
+    'stroke-linecap: round;',
+    'stroke-linejoin: round;',
+  '}',
+
+  '.scratchMatrixPalette {',
     'text-align: center;',
-    'float: left;',
+    'margin-bottom: 4px;',
+  '}',
+
+  '.scratchMatrixSwatch {',
+    'display: inline-block;',
+    'width: 16px;',
+    'height: 16px;',
+    'margin: 0 2px;',
+    'border: 2px solid transparent;',
+    'border-radius: 4px;',
+    'cursor: pointer;',
+  '}',
+
+  '.scratchMatrixSwatch.scratchMatrixSwatchSelected {',
+    'border-color: #FFFFFF;',
+  '}',
+
+  '.scratchMatrixFilmstrip {',
+    'max-width: 240px;',
+    'margin: 8px auto 4px;',
+    'overflow-x: auto;',
+    'white-space: nowrap;',
+  '}',
+
+  '.scratchMatrixFrame {',
+    'display: inline-block;',
+    'margin: 0 2px;',
+    'border: 2px solid transparent;',
+    'border-radius: 4px;',
+    'cursor: pointer;',
+    'line-height: 0;',
+  '}',
+
+  '.scratchMatrixFrame.scratchMatrixFrameSelected {',
+    'border-color: #FFFFFF;',
   '}',
 
   '.scratchNotePickerKeyLabel {',
@@ -1107,7 +1431,7 @@ Blockly.Css.CONTENT = [
    */
 
   '.blocklyWidgetDiv .goog-menu {',
-    'background: #fff;',
+    'background: $colour_menuBackground;',
     'border-color: #ccc #666 #666 #ccc;',
     'border-style: solid;',
     'border-width: 1px;',
@@ -1159,7 +1483,7 @@ Blockly.Css.CONTENT = [
    * #noflip to .goog-menuitem.
    */
   '.blocklyWidgetDiv .goog-menuitem {',
-    'color: #000;',
+    'color: $colour_menuText;',
     'font: normal 13px "Helvetica Neue", Helvetica, sans-serif;',
     'list-style: none;',
     'margin: 0;',
@@ -1208,7 +1532,7 @@ Blockly.Css.CONTENT = [
 
   '.blocklyWidgetDiv .goog-menuitem-content ',
   '.blocklyDropDownDiv .goog-menuitem-content {',
-    'color: #000;',
+    'color: $colour_menuText;',
     'font: normal 13px "Helvetica Neue", Helvetica, sans-serif;',
   '}',
 
@@ -1230,10 +1554,10 @@ Blockly.Css.CONTENT = [
   /* State: hover. */
   '.blocklyWidgetDiv .goog-menuitem-highlight,',
   '.blocklyWidgetDiv .goog-menuitem-hover {',
-    'background-color: #d6e9f8;',
+    'background-color: $colour_menuHover;',
      /* Use an explicit top and bottom border so that the selection is visible',
       * in high contrast mode. */
-    'border-color: #d6e9f8;',
+    'border-color: $colour_menuHover;',
     'border-style: dotted;',
     'border-width: 1px 0;',
     'padding-bottom: 3px;',
@@ -1367,6 +1691,19 @@ Blockly.Css.CONTENT = [
     '-ms-user-select: none;',
   '}',
 
+  '.scratchCategorySearch {',
+    'display: block;',
+    'box-sizing: border-box;',
+    'width: 60px;',
+    'margin: 0;',
+    'padding: .25rem;',
+    'border: none;',
+    'border-bottom: 1px solid $colour_flyout;',
+    'background: $colour_toolbox;',
+    'color: $colour_toolboxText;',
+    'font-size: .7rem;',
+  '}',
+
   '.scratchCategoryMenuHorizontal {',
     'width: 100%;',
     'height: 50px;',
@@ -382,7 +382,7 @@ Blockly.DataCategory.addHideList = function(xmlList, variable) {
  *     'VARIABLE'.
  */
 Blockly.DataCategory.addCreateButton = function(xmlList, workspace, type) {
-  var button = goog.dom.createDom('button');
+  var button = Blockly.Xml.createElement('button');
   // Set default msg, callbackKey, and callback values for type 'VARIABLE'
   var msg = Blockly.Msg.NEW_VARIABLE;
   var callbackKey = 'CREATE_VARIABLE';
@@ -0,0 +1,324 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Replays a recording made by Blockly.EventRecorder onto a
+ * workspace, with play, pause, seek and speed controls.
+ */
+'use strict';
+
+goog.provide('Blockly.EventPlayer');
+
+goog.require('Blockly.Events');
+goog.require('Blockly.EventRecorder');
+goog.require('Blockly.Xml');
+
+
+/**
+ * Class for playing back a recording.  The workspace is cleared and loaded
+ * with the state the recording started from.
+ * @param {!Blockly.Workspace} workspace The workspace to play onto.  It should
+ *     not be edited by anyone else during playback.
+ * @param {!Object|string} recording The recording, or its serialized text.
+ * @constructor
+ */
+Blockly.EventPlayer = function(workspace, recording) {
+  if (goog.isString(recording)) {
+    recording = Blockly.EventRecorder.parse(recording);
+  }
+  /**
+   * @type {!Blockly.Workspace}
+   * @private
+   */
+  this.workspace_ = workspace;
+
+  /**
+   * @type {!Object}
+   * @private
+   */
+  this.recording_ = recording;
+
+  /**
+   * Time of each event from the start of the recording.
+   * @type {!Array.<number>}
+   * @private
+   */
+  this.times_ = [];
+  var time = 0;
+  for (var i = 0; i < recording['events'].length; i++) {
+    time += recording['events'][i][0];
+    this.times_.push(time);
+  }
+
+  /**
+   * Index of the next event to play.
+   * @type {number}
+   * @private
+   */
+  this.index_ = 0;
+
+  /**
+   * Playback position when playback was last paused or rescheduled.
+   * @type {number}
+   * @private
+   */
+  this.time_ = 0;
+
+  /**
+   * Real time at which playback was last started or rescheduled.
+   * @type {number}
+   * @private
+   */
+  this.resumeTime_ = 0;
+
+  /**
+   * Playback speed, as a multiple of the recorded speed.
+   * @type {number}
+   * @private
+   */
+  this.speed_ = 1;
+
+  /**
+   * PID of the timeout that plays the next event, while playing.
+   * @type {?number}
+   * @private
+   */
+  this.pid_ = null;
+
+  /**
+   * Whether the player is playing.
+   * @type {boolean}
+   * @private
+   */
+  this.playing_ = false;
+
+  this.reset_();
+};
+
+/**
+ * Get the length of the recording.
+ * @return {number} Time of the last event in milliseconds.
+ */
+Blockly.EventPlayer.prototype.getDuration = function() {
+  return this.times_.length ? this.times_[this.times_.length - 1] : 0;
+};
+
+/**
+ * Get the playback position.
+ * @return {number} Milliseconds from the start of the recording.
+ */
+Blockly.EventPlayer.prototype.getTime = function() {
+  if (!this.playing_) {
+    return this.time_;
+  }
+  var elapsed = (goog.now() - this.resumeTime_) * this.speed_;
+  return Math.min(this.time_ + elapsed, this.getDuration());
+};
+
+/**
+ * Whether the player is playing.
+ * @return {boolean} True if playing.
+ */
+Blockly.EventPlayer.prototype.isPlaying = function() {
+  return this.playing_;
+};
+
+/**
+ * Get the playback speed.
+ * @return {number} Multiple of the recorded speed.
+ */
+Blockly.EventPlayer.prototype.getSpeed = function() {
+  return this.speed_;
+};
+
+/**
+ * Set the playback speed.
+ * @param {number} speed Multiple of the recorded speed, e.g. 2 for twice as
+ *     fast.
+ */
+Blockly.EventPlayer.prototype.setSpeed = function(speed) {
+  if (!(speed > 0)) {
+    throw new Error('Playback speed must be positive: ' + speed);
+  }
+  this.time_ = this.getTime();
+  this.resumeTime_ = goog.now();
+  this.speed_ = speed;
+  if (this.playing_) {
+    this.schedule_();
+  }
+};
+
+/**
+ * Start or resume playback.  At the end of the recording, start again.
+ */
+Blockly.EventPlayer.prototype.play = function() {
+  if (this.playing_) {
+    return;
+  }
+  if (this.index_ >= this.times_.length) {
+    this.seek(0);
+  }
+  this.playing_ = true;
+  this.resumeTime_ = goog.now();
+  this.schedule_();
+};
+
+/**
+ * Pause playback.
+ */
+Blockly.EventPlayer.prototype.pause = function() {
+  if (!this.playing_) {
+    return;
+  }
+  this.time_ = this.getTime();
+  this.playing_ = false;
+  clearTimeout(this.pid_);
+  this.pid_ = null;
+};
+
+/**
+ * Jump to a point in the recording.  Every event up to that point is applied
+ * at once.  Going backwards replays from the start.
+ * @param {number} time Milliseconds from the start of the recording.
+ */
+Blockly.EventPlayer.prototype.seek = function(time) {
+  time = Math.max(0, Math.min(time, this.getDuration()));
+  if (this.index_ > 0 && time < this.times_[this.index_ - 1]) {
+    this.reset_();
+  }
+  this.playUntil_(time);
+  this.time_ = time;
+  this.resumeTime_ = goog.now();
+  if (this.playing_) {
+    this.schedule_();
+  }
+};
+
+/**
+ * Stop playback.  The workspace keeps its current state.
+ */
+Blockly.EventPlayer.prototype.dispose = function() {
+  this.pause();
+};
+
+/**
+ * Load the state the recording started from.
+ * @private
+ */
+Blockly.EventPlayer.prototype.reset_ = function() {
+  var workspace = this.workspace_;
+  this.withoutUndo_(function() {
+    workspace.clear();
+    Blockly.Xml.domToWorkspace(
+        Blockly.Xml.textToDom(this.recording_['xml']), workspace);
+  });
+  workspace.clearUndo();
+  this.index_ = 0;
+  this.time_ = 0;
+};
+
+/**
+ * Set a timeout for the next event, or stop at the end of the recording.
+ * @private
+ */
+Blockly.EventPlayer.prototype.schedule_ = function() {
+  clearTimeout(this.pid_);
+  this.pid_ = null;
+  if (this.index_ >= this.times_.length) {
+    this.time_ = this.getDuration();
+    this.playing_ = false;
+    return;
+  }
+  var delay = (this.times_[this.index_] - this.getTime()) / this.speed_;
+  this.pid_ = setTimeout(this.tick_.bind(this), Math.max(0, delay));
+};
+
+/**
+ * Play the events that are due and wait for the next one.
+ * @private
+ */
+Blockly.EventPlayer.prototype.tick_ = function() {
+  this.pid_ = null;
+  this.time_ = this.getTime();
+  this.resumeTime_ = goog.now();
+  this.playUntil_(this.time_);
+  this.schedule_();
+};
+
+/**
+ * Apply every event up to a point in the recording.
+ * @param {number} time Milliseconds from the start of the recording.
+ * @private
+ */
+Blockly.EventPlayer.prototype.playUntil_ = function(time) {
+  this.withoutUndo_(function() {
+    while (this.index_ < this.times_.length &&
+        this.times_[this.index_] <= time) {
+      this.apply_(this.recording_['events'][this.index_][1]);
+      this.index_++;
+    }
+  });
+};
+
+/**
+ * Apply one recorded event.  Changes are run; UI and drag events are fired
+ * again so that listeners can show them.
+ * @param {!Object} json JSON form of the event.
+ * @private
+ */
+Blockly.EventPlayer.prototype.apply_ = function(json) {
+  var workspace = this.workspace_;
+  var event = Blockly.Events.fromJson(json, workspace);
+  switch (event.type) {
+    case Blockly.Events.UI:
+      if (event.element == 'selected' && workspace.rendered) {
+        var block = event.newValue && workspace.getBlockById(event.newValue);
+        if (block) {
+          block.select();
+        } else if (Blockly.selected &&
+            Blockly.selected.workspace == workspace) {
+          Blockly.selected.unselect();
+        }
+        break;
+      }
+      // Falls through.
+    case Blockly.Events.DRAG_OUTSIDE:
+    case Blockly.Events.END_DRAG:
+      Blockly.Events.fire(event);
+      break;
+    default:
+      event.run(true);
+  }
+};
+
+/**
+ * Run a function without adding the events it causes to the undo stack.
+ * @param {function(this:Blockly.EventPlayer)} func Function to run.
+ * @private
+ */
+Blockly.EventPlayer.prototype.withoutUndo_ = function(func) {
+  var recordUndo = Blockly.Events.recordUndo;
+  Blockly.Events.recordUndo = false;
+  try {
+    func.call(this);
+  } finally {
+    Blockly.Events.recordUndo = recordUndo;
+  }
+};
@@ -0,0 +1,192 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Records the events of a workspace with timestamps, so that a
+ * teacher can later replay how a project was built.  See
+ * Blockly.EventPlayer.
+ *
+ * A recording is a JSON object:
+ *   {version: 1, xml: <the workspace when recording started>,
+ *    events: [[<ms since the previous event>, <event JSON>], ...]}
+ * Event groups are renumbered from 1 to keep recordings small.
+ */
+'use strict';
+
+goog.provide('Blockly.EventRecorder');
+
+goog.require('Blockly.Events');
+goog.require('Blockly.Xml');
+
+
+/**
+ * Class for recording the events of a workspace.
+ * @param {!Blockly.Workspace} workspace The workspace to record.
+ * @constructor
+ */
+Blockly.EventRecorder = function(workspace) {
+  /**
+   * @type {!Blockly.Workspace}
+   * @private
+   */
+  this.workspace_ = workspace;
+
+  /**
+   * Text of the workspace when recording started.
+   * @type {?string}
+   * @private
+   */
+  this.xml_ = null;
+
+  /**
+   * Recorded events, each with the time since the previous one.
+   * @type {!Array.<!Array>}
+   * @private
+   */
+  this.events_ = [];
+
+  /**
+   * Time of the last recorded event, or of the start of recording.
+   * @type {number}
+   * @private
+   */
+  this.lastTime_ = 0;
+
+  /**
+   * Short names for the event groups seen so far.
+   * @type {!Object.<string, string>}
+   * @private
+   */
+  this.groups_ = Object.create(null);
+
+  /**
+   * Number of event groups seen so far.
+   * @type {number}
+   * @private
+   */
+  this.groupCount_ = 0;
+
+  /**
+   * The change listener, while recording.
+   * @type {Function}
+   * @private
+   */
+  this.listener_ = null;
+};
+
+/**
+ * Version of the recording format.
+ * @type {number}
+ * @const
+ */
+Blockly.EventRecorder.VERSION = 1;
+
+/**
+ * Start recording.  Any earlier recording is discarded.
+ */
+Blockly.EventRecorder.prototype.start = function() {
+  this.stop();
+  // Events already queued happened before the snapshot.
+  Blockly.Events.fireNow_();
+  this.xml_ = Blockly.Xml.domToText(
+      Blockly.Xml.workspaceToDom(this.workspace_));
+  this.events_ = [];
+  this.groups_ = Object.create(null);
+  this.groupCount_ = 0;
+  this.lastTime_ = goog.now();
+  this.listener_ = this.record_.bind(this);
+  this.workspace_.addChangeListener(this.listener_);
+};
+
+/**
+ * Stop recording.  The recording so far is kept.
+ */
+Blockly.EventRecorder.prototype.stop = function() {
+  if (this.listener_) {
+    this.workspace_.removeChangeListener(this.listener_);
+    this.listener_ = null;
+  }
+};
+
+/**
+ * Whether the recorder is listening to the workspace.
+ * @return {boolean} True if recording.
+ */
+Blockly.EventRecorder.prototype.isRecording = function() {
+  return !!this.listener_;
+};
+
+/**
+ * Get the recording.
+ * @return {!Object} The recording, in the format described above.
+ */
+Blockly.EventRecorder.prototype.getRecording = function() {
+  return {
+    'version': Blockly.EventRecorder.VERSION,
+    'xml': this.xml_ || '<xml></xml>',
+    'events': this.events_.slice()
+  };
+};
+
+/**
+ * Get the recording as text, e.g. to save it to a file.
+ * @return {string} The recording as JSON text.
+ */
+Blockly.EventRecorder.prototype.serialize = function() {
+  return JSON.stringify(this.getRecording());
+};
+
+/**
+ * Read a recording saved with serialize.
+ * @param {string} text The recording as JSON text.
+ * @return {!Object} The recording.
+ * @throws {Error} If the text is not a recording this version understands.
+ */
+Blockly.EventRecorder.parse = function(text) {
+  var recording = JSON.parse(text);
+  if (!recording || recording['version'] != Blockly.EventRecorder.VERSION ||
+      !goog.isString(recording['xml']) || !goog.isArray(recording['events'])) {
+    throw new Error('Not a recording: ' + text.substring(0, 40));
+  }
+  return recording;
+};
+
+/**
+ * Record one event.
+ * @param {!Blockly.Events.Abstract} event The event.
+ * @private
+ */
+Blockly.EventRecorder.prototype.record_ = function(event) {
+  var json = event.toJson();
+  if (json['group']) {
+    var group = this.groups_[json['group']];
+    if (!group) {
+      group = this.groups_[json['group']] = String(++this.groupCount_);
+    }
+    json['group'] = group;
+  }
+  // EndBlockDrag keeps the dragged block as DOM, which does not stringify.
+  if (json['xml'] && !goog.isString(json['xml'])) {
+    json['xml'] = Blockly.Xml.domToText(json['xml']);
+  }
+  var now = goog.now();
+  this.events_.push([now - this.lastTime_, json]);
+  this.lastTime_ = now;
+};
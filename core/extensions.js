@@ -329,7 +329,7 @@ Blockly.Extensions.buildTooltipForDropdown = function(dropdownName,
   // Wait for load, in case Blockly.Msg is not yet populated.
   // runAfterPageLoad() does not run in a Node.js environment due to lack of
   // document object, in which case skip the validation.
-  if (document) { // Relies on document.readyState
+  if (typeof document == 'object') { // Relies on document.readyState
     Blockly.utils.runAfterPageLoad(function() {
       for (var key in lookupTable) {
         // Will print warnings is reference is missing.
@@ -410,7 +410,7 @@ Blockly.Extensions.buildTooltipWithFieldValue =
     // Wait for load, in case Blockly.Msg is not yet populated.
     // runAfterPageLoad() does not run in a Node.js environment due to lack of
     // document object, in which case skip the validation.
-    if (document) { // Relies on document.readyState
+    if (typeof document == 'object') { // Relies on document.readyState
       Blockly.utils.runAfterPageLoad(function() {
         // Will print warnings is reference is missing.
         Blockly.utils.checkMessageReferences(msgTemplate);
@@ -26,6 +26,7 @@
 
 goog.provide('Blockly.FieldColourSlider');
 
+goog.require('Blockly.Colours');
 goog.require('Blockly.Field');
 goog.require('Blockly.DropDownDiv');
 goog.require('goog.dom');
@@ -345,7 +346,8 @@ Blockly.FieldColourSlider.prototype.showEditor_ = function() {
             this.activateEyedropperInternal_);
   }
 
-  Blockly.DropDownDiv.setColour('#ffffff', '#dddddd');
+  Blockly.DropDownDiv.setColour(Blockly.Colours.dropDownBackground,
+      Blockly.Colours.dropDownBorder);
   Blockly.DropDownDiv.setCategory(this.sourceBlock_.parentBlock_.getCategory());
   Blockly.DropDownDiv.showPositionedByBlock(this, this.sourceBlock_);
 
@@ -26,327 +26,596 @@
 
 goog.provide('Blockly.FieldDate');
 
+goog.require('Blockly.DropDownDiv');
 goog.require('Blockly.Field');
+goog.require('Blockly.Msg');
 goog.require('Blockly.utils');
 
-goog.require('goog.date');
-goog.require('goog.date.DateTime');
 goog.require('goog.dom');
-goog.require('goog.events');
-goog.require('goog.i18n.DateTimeSymbols');
-goog.require('goog.i18n.DateTimeSymbols_he');
-goog.require('goog.style');
-goog.require('goog.ui.DatePicker');
 
 
 /**
- * Class for a date input field.
- * @param {string} date The initial date.
+ * Class for a date input field.  Values are ISO 8601 dates ('2019-03-14'),
+ * or dates and times ('2019-03-14T15:30') if the field shows the time.
+ * @param {string=} opt_value The initial date.  Defaults to today.
  * @param {Function=} opt_validator A function that is executed when a new
  *     date is selected.  Its sole argument is the new date value.  Its
  *     return value becomes the selected date, unless it is undefined, in
  *     which case the new date stands, or it is null, in which case the change
  *     is aborted.
+ * @param {Object=} opt_config Settings for the field: 'min' and 'max' dates,
+ *     and 'time' to pick a time as well as a date.
  * @extends {Blockly.Field}
  * @constructor
  */
-Blockly.FieldDate = function(date, opt_validator) {
-  if (!date) {
-    date = new goog.date.Date().toIsoString(true);
+Blockly.FieldDate = function(opt_value, opt_validator, opt_config) {
+  var config = opt_config || {};
+  /**
+   * Whether the value includes a time.
+   * @type {boolean}
+   * @private
+   */
+  this.time_ = !!config['time'];
+  /**
+   * Earliest date allowed, in the same format as the value.
+   * @type {?string}
+   * @private
+   */
+  this.min_ = this.parseLimit_(config['min'], '00:00');
+  /**
+   * Latest date allowed, in the same format as the value.
+   * @type {?string}
+   * @private
+   */
+  this.max_ = this.parseLimit_(config['max'], '23:59');
+  if (this.min_ && this.max_ && this.min_ > this.max_) {
+    throw new Error('Date min "' + this.min_ + '" is after max "' +
+        this.max_ + '"');
   }
-  Blockly.FieldDate.superClass_.constructor.call(this, date, opt_validator);
-  this.setValue(date);
+  /**
+   * The current value.
+   * @type {string}
+   * @private
+   */
+  this.value_ = '';
+  /**
+   * Mouse and keyboard bindings for the open editor.
+   * @type {!Array.<!Array>}
+   * @private
+   */
+  this.editorBindings_ = [];
+
+  var value = this.classValidator(opt_value ? String(opt_value) : '');
+  if (value === null) {
+    value = this.classValidator(Blockly.FieldDate.toIsoString_(new Date(),
+        this.time_));
+  }
+  Blockly.FieldDate.superClass_.constructor.call(this, value, opt_validator);
   this.addArgType('date');
 };
 goog.inherits(Blockly.FieldDate, Blockly.Field);
 
 /**
  * Construct a FieldDate from a JSON arg object.
- * @param {!Object} options A JSON object with options (date).
+ * @param {!Object} options A JSON object with options (value, min, max and
+ *     time).  'date' is accepted in place of 'value'.
  * @returns {!Blockly.FieldDate} The new field instance.
  * @package
  * @nocollapse
  */
 Blockly.FieldDate.fromJson = function(options) {
-  return new Blockly.FieldDate(options['date']);
+  var value = options['value'];
+  if (value === undefined) {
+    value = options['date'];
+  }
+  return new Blockly.FieldDate(value, null, options);
 };
 
 /**
  * Mouse cursor style when over the hotspot that initiates the editor.
  */
-Blockly.FieldDate.prototype.CURSOR = 'text';
+Blockly.FieldDate.prototype.CURSOR = 'default';
+
+/**
+ * Keys of the month names in Blockly.Msg, from January.
+ * @type {!Array.<string>}
+ * @const
+ */
+Blockly.FieldDate.MONTH_MSGS = ['DATE_MONTH_JANUARY', 'DATE_MONTH_FEBRUARY',
+  'DATE_MONTH_MARCH', 'DATE_MONTH_APRIL', 'DATE_MONTH_MAY', 'DATE_MONTH_JUNE',
+  'DATE_MONTH_JULY', 'DATE_MONTH_AUGUST', 'DATE_MONTH_SEPTEMBER',
+  'DATE_MONTH_OCTOBER', 'DATE_MONTH_NOVEMBER', 'DATE_MONTH_DECEMBER'];
+
+/**
+ * Keys of the short day names in Blockly.Msg, from Sunday.
+ * @type {!Array.<string>}
+ * @const
+ */
+Blockly.FieldDate.WEEKDAY_MSGS = ['DATE_WEEKDAY_SUN', 'DATE_WEEKDAY_MON',
+  'DATE_WEEKDAY_TUE', 'DATE_WEEKDAY_WED', 'DATE_WEEKDAY_THU',
+  'DATE_WEEKDAY_FRI', 'DATE_WEEKDAY_SAT'];
+
+/**
+ * Number of weeks shown in the calendar, so that its size doesn't change
+ * from month to month.
+ * @type {number}
+ * @const
+ */
+Blockly.FieldDate.WEEKS = 6;
+
+/**
+ * Pad a number with zeros.
+ * @param {number} n The number.
+ * @param {number} length The number of digits.
+ * @return {string} The padded number.
+ * @private
+ */
+Blockly.FieldDate.pad_ = function(n, length) {
+  var text = String(n);
+  while (text.length < length) {
+    text = '0' + text;
+  }
+  return text;
+};
+
+/**
+ * Get the ISO string of a local date.
+ * @param {!Date} date The date.
+ * @param {boolean} withTime Whether to include hours and minutes.
+ * @return {string} The ISO string.
+ * @private
+ */
+Blockly.FieldDate.toIsoString_ = function(date, withTime) {
+  var pad = Blockly.FieldDate.pad_;
+  var text = pad(date.getFullYear(), 4) + '-' + pad(date.getMonth() + 1, 2) +
+      '-' + pad(date.getDate(), 2);
+  if (withTime) {
+    text += 'T' + pad(date.getHours(), 2) + ':' + pad(date.getMinutes(), 2);
+  }
+  return text;
+};
+
+/**
+ * Parse an ISO date, or date and time.
+ * @param {string} text The text to parse.
+ * @return {Date} The local date, or null if the text isn't a real date.
+ * @private
+ */
+Blockly.FieldDate.parse_ = function(text) {
+  var match = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?)?$/
+      .exec(String(text).trim());
+  if (!match) {
+    return null;
+  }
+  var year = Number(match[1]);
+  var month = Number(match[2]) - 1;
+  var day = Number(match[3]);
+  var hours = Number(match[4] || 0);
+  var minutes = Number(match[5] || 0);
+  var date = new Date(year, month, day, hours, minutes);
+  // Years before 100 would otherwise be taken as 19xx.
+  date.setFullYear(year);
+  if (date.getMonth() != month || date.getDate() != day ||
+      date.getHours() != hours || date.getMinutes() != minutes) {
+    // E.g. 2019-02-30 or 25:00.
+    return null;
+  }
+  return date;
+};
 
 /**
- * Close the colour picker if this input is being deleted.
+ * Read a min or max date from the field's settings.
+ * @param {*} limit The date, or null or undefined for no limit.
+ * @param {string} defaultTime Time to use if the limit has no time.
+ * @return {?string} The limit in the same format as the value, or null.
+ * @throws {Error} If the date is not a valid ISO date.
+ * @private
+ */
+Blockly.FieldDate.prototype.parseLimit_ = function(limit, defaultTime) {
+  if (limit === undefined || limit === null || limit === '') {
+    return null;
+  }
+  var text = String(limit);
+  if (this.time_ && text.indexOf('T') == -1) {
+    text += 'T' + defaultTime;
+  }
+  var date = Blockly.FieldDate.parse_(text);
+  if (!date) {
+    throw new Error('Invalid date limit "' + limit + '"');
+  }
+  return Blockly.FieldDate.toIsoString_(date, this.time_);
+};
+
+/**
+ * Get the earliest date allowed.
+ * @return {?string} The date, or null if there is no limit.
+ */
+Blockly.FieldDate.prototype.getMin = function() {
+  return this.min_;
+};
+
+/**
+ * Get the latest date allowed.
+ * @return {?string} The date, or null if there is no limit.
+ */
+Blockly.FieldDate.prototype.getMax = function() {
+  return this.max_;
+};
+
+/**
+ * Close the date picker if this input is being deleted.
  */
 Blockly.FieldDate.prototype.dispose = function() {
-  Blockly.WidgetDiv.hideIfOwner(this);
+  Blockly.DropDownDiv.hideIfOwner(this);
   Blockly.FieldDate.superClass_.dispose.call(this);
 };
 
+/**
+ * Ensure that only a real date between the min and max may be entered.
+ * Dates without a time are given midnight if the field shows the time, and
+ * the time is dropped if it doesn't.
+ * @param {string} text The proposed value.
+ * @return {?string} The ISO value, or null if invalid.
+ */
+Blockly.FieldDate.prototype.classValidator = function(text) {
+  if (text === null || text === undefined) {
+    return null;
+  }
+  var date = Blockly.FieldDate.parse_(text);
+  if (!date) {
+    return null;
+  }
+  var value = Blockly.FieldDate.toIsoString_(date, this.time_);
+  if (this.min_ && value < this.min_) {
+    value = this.min_;
+  }
+  if (this.max_ && value > this.max_) {
+    value = this.max_;
+  }
+  return value;
+};
+
 /**
  * Return the current date.
  * @return {string} Current date.
  */
 Blockly.FieldDate.prototype.getValue = function() {
-  return this.date_;
+  return this.value_;
 };
 
 /**
- * Set the date.
+ * Set the date.  Invalid dates are ignored.
  * @param {string} date The new date.
  */
 Blockly.FieldDate.prototype.setValue = function(date) {
-  if (this.sourceBlock_) {
-    var validated = this.callValidator(date);
-    // If the new date is invalid, validation returns null.
-    // In this case we still want to display the illegal result.
-    if (validated !== null) {
-      date = validated;
-    }
+  if (date === null) {
+    return;
+  }
+  date = this.callValidator(date);
+  if (date === null || date === this.value_) {
+    return;
+  }
+  if (this.sourceBlock_ && Blockly.Events.isEnabled()) {
+    Blockly.Events.fire(new Blockly.Events.BlockChange(
+        this.sourceBlock_, 'field', this.name, this.value_, date));
+  }
+  this.value_ = date;
+  this.setText(Blockly.FieldDate.formatDate_(Blockly.FieldDate.parse_(date),
+      this.time_));
+  if (Blockly.DropDownDiv.owner_ === this) {
+    this.renderCalendar_();
   }
-  this.date_ = date;
-  Blockly.Field.prototype.setText.call(this, date);
 };
 
 /**
- * Create a date picker under the date field.
+ * Format a date for display using the month names and date format in
+ * Blockly.Msg.
+ * @param {!Date} date The date.
+ * @param {boolean} withTime Whether to include hours and minutes.
+ * @return {string} The formatted date.
+ * @private
+ */
+Blockly.FieldDate.formatDate_ = function(date, withTime) {
+  var text = Blockly.Msg.DATE_FORMAT
+      .replace('%1', Blockly.Msg[Blockly.FieldDate.MONTH_MSGS[date.getMonth()]])
+      .replace('%2', String(date.getDate()))
+      .replace('%3', String(date.getFullYear()));
+  if (withTime) {
+    text += ' ' + Blockly.FieldDate.pad_(date.getHours(), 2) + ':' +
+        Blockly.FieldDate.pad_(date.getMinutes(), 2);
+  }
+  return text;
+};
+
+/**
+ * Show a calendar in the drop-down under the date field.
  * @private
  */
 Blockly.FieldDate.prototype.showEditor_ = function() {
-  Blockly.WidgetDiv.show(this, this.sourceBlock_.RTL,
-      Blockly.FieldDate.widgetDispose_);
-
-  // Record viewport dimensions before adding the picker.
-  var viewportBBox = Blockly.utils.getViewportBBox();
-  var anchorBBox = this.getScaledBBox_();
-
-  // Create and add the date picker, then record the size.
-  var picker = this.createWidget_();
-  var pickerSize = goog.style.getSize(picker.getElement());
-
-  // Position the picker to line up with the field.
-  Blockly.WidgetDiv.positionWithAnchor(viewportBBox, anchorBBox, pickerSize,
-      this.sourceBlock_.RTL);
-
-  // Configure event handler.
-  var thisField = this;
-  Blockly.FieldDate.changeEventKey_ = goog.events.listen(picker,
-      goog.ui.DatePicker.Events.CHANGE,
-      function(event) {
-        var date = event.date ? event.date.toIsoString(true) : '';
-        Blockly.WidgetDiv.hide();
-        if (thisField.sourceBlock_) {
-          // Call any validation function, and allow it to override.
-          date = thisField.callValidator(date);
-        }
-        thisField.setValue(date);
-      });
+  // If there is an existing drop-down someone else owns, hide it immediately
+  // and clear it.
+  Blockly.DropDownDiv.hideWithoutAnimation();
+  Blockly.DropDownDiv.clearContent();
+  var contentDiv = Blockly.DropDownDiv.getContentDiv();
+
+  var date = Blockly.FieldDate.parse_(this.value_);
+  this.viewYear_ = date.getFullYear();
+  this.viewMonth_ = date.getMonth();
+
+  var picker = goog.dom.createDom('div', 'blocklyDatePicker');
+  var header = goog.dom.createDom('div', 'blocklyDateHeader');
+  var previous = goog.dom.createDom('button', 'blocklyDateNav', '‹');
+  previous.setAttribute('aria-label', Blockly.Msg.DATE_PREVIOUS_MONTH);
+  this.titleDiv_ = goog.dom.createDom('div', 'blocklyDateTitle');
+  var next = goog.dom.createDom('button', 'blocklyDateNav', '›');
+  next.setAttribute('aria-label', Blockly.Msg.DATE_NEXT_MONTH);
+  header.appendChild(previous);
+  header.appendChild(this.titleDiv_);
+  header.appendChild(next);
+  picker.appendChild(header);
+
+  var table = goog.dom.createDom('table', 'blocklyDateTable');
+  var headRow = goog.dom.createDom('tr');
+  for (var i = 0; i < Blockly.FieldDate.WEEKDAY_MSGS.length; i++) {
+    headRow.appendChild(goog.dom.createDom('th', null,
+        Blockly.Msg[Blockly.FieldDate.WEEKDAY_MSGS[i]]));
+  }
+  table.appendChild(goog.dom.createDom('thead', null, headRow));
+  this.calendarBody_ = goog.dom.createDom('tbody');
+  table.appendChild(this.calendarBody_);
+  picker.appendChild(table);
+
+  this.editorBindings_.push(
+      Blockly.bindEvent_(previous, 'click', this, function() {
+        this.changeMonth_(-1);
+      }),
+      Blockly.bindEvent_(next, 'click', this, function() {
+        this.changeMonth_(1);
+      }),
+      Blockly.bindEvent_(this.calendarBody_, 'click', this,
+          this.onDayClick_));
+
+  if (this.time_) {
+    this.timeInput_ = goog.dom.createDom('input', 'blocklyDateTimeInput');
+    this.timeInput_.type = 'time';
+    this.timeInput_.setAttribute('aria-label', Blockly.Msg.DATE_TIME);
+    picker.appendChild(goog.dom.createDom('div', 'blocklyDateTimeRow',
+        goog.dom.createDom('label', null, Blockly.Msg.DATE_TIME),
+        this.timeInput_));
+    this.editorBindings_.push(Blockly.bindEvent_(this.timeInput_, 'change',
+        this, this.onTimeChange_));
+  }
+  contentDiv.appendChild(picker);
+  this.renderCalendar_();
+
+  var primaryColour = this.sourceBlock_.isShadow() &&
+      this.sourceBlock_.getParent() ?
+      this.sourceBlock_.getParent().getColour() : this.sourceBlock_.getColour();
+  Blockly.DropDownDiv.setColour(primaryColour,
+      this.sourceBlock_.getColourTertiary());
+  var category = this.sourceBlock_.isShadow() && this.sourceBlock_.getParent() ?
+      this.sourceBlock_.getParent().getCategory() :
+      this.sourceBlock_.getCategory();
+  Blockly.DropDownDiv.setCategory(category);
+
+  // Calculate positioning based on the field position.
+  var scale = this.sourceBlock_.workspace.scale;
+  var bBox = {width: this.size_.width, height: this.size_.height};
+  bBox.width *= scale;
+  bBox.height *= scale;
+  var position = this.fieldGroup_.getBoundingClientRect();
+  var primaryX = position.left + bBox.width / 2;
+  var primaryY = position.top + bBox.height;
+  var secondaryX = primaryX;
+  var secondaryY = position.top;
+  // Set bounds to workspace; show the drop-down.
+  Blockly.DropDownDiv.setBoundsElement(
+      this.sourceBlock_.workspace.getParentSvg().parentNode);
+  Blockly.DropDownDiv.show(this, primaryX, primaryY, secondaryX, secondaryY,
+      this.onHide_.bind(this));
+};
+
+/**
+ * Fill the calendar with the days of the month being shown.
+ * @private
+ */
+Blockly.FieldDate.prototype.renderCalendar_ = function() {
+  if (!this.calendarBody_) {
+    return;
+  }
+  this.titleDiv_.textContent = Blockly.Msg.DATE_MONTH_YEAR
+      .replace('%1', Blockly.Msg[Blockly.FieldDate.MONTH_MSGS[this.viewMonth_]])
+      .replace('%2', String(this.viewYear_));
+
+  var selected = this.value_.substring(0, 10);
+  var today = Blockly.FieldDate.toIsoString_(new Date(), false);
+  var minDay = this.min_ && this.min_.substring(0, 10);
+  var maxDay = this.max_ && this.max_.substring(0, 10);
+  // Start on the Sunday on or before the first of the month.
+  var day = new Date(this.viewYear_, this.viewMonth_, 1);
+  day.setFullYear(this.viewYear_);
+  day.setDate(1 - day.getDay());
+
+  goog.dom.removeChildren(this.calendarBody_);
+  for (var week = 0; week < Blockly.FieldDate.WEEKS; week++) {
+    var row = goog.dom.createDom('tr');
+    for (var i = 0; i < 7; i++) {
+      var iso = Blockly.FieldDate.toIsoString_(day, false);
+      var classes = ['blocklyDateDay'];
+      if (day.getMonth() != this.viewMonth_) {
+        classes.push('blocklyDateOtherMonth');
+      }
+      if (iso == today) {
+        classes.push('blocklyDateToday');
+      }
+      if (iso == selected) {
+        classes.push('blocklyDateSelected');
+      }
+      if ((minDay && iso < minDay) || (maxDay && iso > maxDay)) {
+        classes.push('blocklyDateDisabled');
+      }
+      var cell = goog.dom.createDom('td', classes.join(' '),
+          String(day.getDate()));
+      cell.setAttribute('data-date', iso);
+      row.appendChild(cell);
+      day.setDate(day.getDate() + 1);
+    }
+    this.calendarBody_.appendChild(row);
+  }
+  if (this.timeInput_) {
+    this.timeInput_.value = this.value_.substring(11, 16);
+  }
 };
 
 /**
- * Create a date picker widget and render it inside the widget div.
- * @return {!goog.ui.DatePicker} The newly created date picker.
+ * Show an earlier or later month.
+ * @param {number} delta Number of months to move by.
  * @private
  */
-Blockly.FieldDate.prototype.createWidget_ = function() {
-  // Create the date picker using Closure.
-  Blockly.FieldDate.loadLanguage_();
-  var picker = new goog.ui.DatePicker();
-  picker.setAllowNone(false);
-  picker.setShowWeekNum(false);
-  var div = Blockly.WidgetDiv.DIV;
-  picker.render(div);
-  picker.setDate(goog.date.DateTime.fromIsoString(this.getValue()));
-  return picker;
+Blockly.FieldDate.prototype.changeMonth_ = function(delta) {
+  var month = this.viewMonth_ + delta;
+  this.viewYear_ += Math.floor(month / 12);
+  this.viewMonth_ = ((month % 12) + 12) % 12;
+  this.renderCalendar_();
 };
 
 /**
- * Hide the date picker.
+ * Select the day that was clicked.  Closes the picker unless it also shows
+ * the time.
+ * @param {!Event} e Click event.
  * @private
  */
-Blockly.FieldDate.widgetDispose_ = function() {
-  if (Blockly.FieldDate.changeEventKey_) {
-    goog.events.unlistenByKey(Blockly.FieldDate.changeEventKey_);
+Blockly.FieldDate.prototype.onDayClick_ = function(e) {
+  var cell = e.target;
+  var iso = cell.getAttribute && cell.getAttribute('data-date');
+  if (!iso || Blockly.utils.hasClass(cell, 'blocklyDateDisabled')) {
+    return;
+  }
+  if (this.time_) {
+    iso += this.value_.substring(10);
+  }
+  this.setValue(iso);
+  if (!this.time_) {
+    Blockly.DropDownDiv.hide();
   }
-  Blockly.Events.setGroup(false);
 };
 
 /**
- * Load the best language pack by scanning the Blockly.Msg object for a
- * language that matches the available languages in Closure.
+ * Change the time to the one entered.
  * @private
  */
-Blockly.FieldDate.loadLanguage_ = function() {
-  var reg = /^DateTimeSymbols_(.+)$/;
-  for (var prop in goog.i18n) {
-    var m = prop.match(reg);
-    if (m) {
-      var lang = m[1].toLowerCase().replace('_', '.');  // E.g. 'pt.br'
-      if (goog.getObjectByName(lang, Blockly.Msg)) {
-        goog.i18n.DateTimeSymbols = goog.i18n[prop];
-      }
-    }
+Blockly.FieldDate.prototype.onTimeChange_ = function() {
+  if (/^\d{2}:\d{2}/.test(this.timeInput_.value)) {
+    this.setValue(this.value_.substring(0, 11) +
+        this.timeInput_.value.substring(0, 5));
+  }
+};
+
+/**
+ * Callback for when the drop-down is hidden.
+ * @private
+ */
+Blockly.FieldDate.prototype.onHide_ = function() {
+  for (var i = 0; i < this.editorBindings_.length; i++) {
+    Blockly.unbindEvent_(this.editorBindings_[i]);
   }
+  this.editorBindings_.length = 0;
+  this.calendarBody_ = null;
+  this.titleDiv_ = null;
+  this.timeInput_ = null;
 };
 
 /**
  * CSS for date picker.  See css.js for use.
  */
 Blockly.FieldDate.CSS = [
-  /* Copied from: goog/css/datepicker.css */
-  /**
-   * Copyright 2009 The Closure Library Authors. All Rights Reserved.
-   *
-   * Use of this source code is governed by the Apache License, Version 2.0.
-   * See the COPYING file for details.
-   */
-
-  /**
-   * Standard styling for a goog.ui.DatePicker.
-   *
-   * @author arv@google.com (Erik Arvidsson)
-   */
-
-  '.blocklyWidgetDiv .goog-date-picker,',
-  '.blocklyWidgetDiv .goog-date-picker th,',
-  '.blocklyWidgetDiv .goog-date-picker td {',
-  '  font: 13px Arial, sans-serif;',
+  '.blocklyDatePicker {',
+  '  color: #fff;',
+  '  font-family: "Helvetica Neue", Helvetica, sans-serif;',
+  '  font-size: 12px;',
+  '  user-select: none;',
+  '  -webkit-user-select: none;',
   '}',
 
-  '.blocklyWidgetDiv .goog-date-picker {',
-  '  -moz-user-focus: normal;',
-  '  -moz-user-select: none;',
-  '  position: relative;',
-  '  border: 1px solid #000;',
-  '  float: left;',
-  '  padding: 2px;',
-  '  color: #000;',
-  '  background: #c3d9ff;',
-  '  cursor: default;',
+  '.blocklyDateHeader {',
+  '  align-items: center;',
+  '  display: flex;',
+  '  justify-content: space-between;',
+  '  margin-bottom: 4px;',
   '}',
 
-  '.blocklyWidgetDiv .goog-date-picker th {',
-  '  text-align: center;',
+  '.blocklyDateTitle {',
+  '  font-weight: bold;',
   '}',
 
-  '.blocklyWidgetDiv .goog-date-picker td {',
-  '  text-align: center;',
-  '  vertical-align: middle;',
-  '  padding: 1px 3px;',
+  '.blocklyDateNav {',
+  '  background: none;',
+  '  border: none;',
+  '  border-radius: 4px;',
+  '  color: #fff;',
+  '  cursor: pointer;',
+  '  font-size: 18px;',
+  '  line-height: 18px;',
+  '  padding: 0 8px;',
   '}',
 
-  '.blocklyWidgetDiv .goog-date-picker-menu {',
-  '  position: absolute;',
-  '  background: threedface;',
-  '  border: 1px solid gray;',
-  '  -moz-user-focus: normal;',
-  '  z-index: 1;',
-  '  outline: none;',
+  '.blocklyDateNav:hover {',
+  '  background: rgba(255, 255, 255, .2);',
   '}',
 
-  '.blocklyWidgetDiv .goog-date-picker-menu ul {',
-  '  list-style: none;',
-  '  margin: 0px;',
-  '  padding: 0px;',
+  '.blocklyDateTable {',
+  '  border-collapse: collapse;',
   '}',
 
-  '.blocklyWidgetDiv .goog-date-picker-menu ul li {',
-  '  cursor: default;',
+  '.blocklyDateTable th {',
+  '  font-weight: normal;',
+  '  opacity: .7;',
+  '  padding: 2px;',
   '}',
 
-  '.blocklyWidgetDiv .goog-date-picker-menu-selected {',
-  '  background: #ccf;',
+  '.blocklyDateDay {',
+  '  border-radius: 4px;',
+  '  cursor: pointer;',
+  '  height: 24px;',
+  '  text-align: center;',
+  '  width: 28px;',
   '}',
 
-  '.blocklyWidgetDiv .goog-date-picker th {',
-  '  font-size: .9em;',
+  '.blocklyDateDay:hover {',
+  '  background: rgba(255, 255, 255, .2);',
   '}',
 
-  '.blocklyWidgetDiv .goog-date-picker td div {',
-  '  float: left;',
+  '.blocklyDateOtherMonth {',
+  '  opacity: .5;',
   '}',
 
-  '.blocklyWidgetDiv .goog-date-picker button {',
-  '  padding: 0px;',
-  '  margin: 1px 0;',
-  '  border: 0;',
-  '  color: #20c;',
+  '.blocklyDateToday {',
   '  font-weight: bold;',
-  '  background: transparent;',
   '}',
 
-  '.blocklyWidgetDiv .goog-date-picker-date {',
+  '.blocklyDateDay.blocklyDateSelected {',
   '  background: #fff;',
+  '  color: $colour_text;',
   '}',
 
-  '.blocklyWidgetDiv .goog-date-picker-week,',
-  '.blocklyWidgetDiv .goog-date-picker-wday {',
-  '  padding: 1px 3px;',
-  '  border: 0;',
-  '  border-color: #a2bbdd;',
-  '  border-style: solid;',
-  '}',
-
-  '.blocklyWidgetDiv .goog-date-picker-week {',
-  '  border-right-width: 1px;',
-  '}',
-
-  '.blocklyWidgetDiv .goog-date-picker-wday {',
-  '  border-bottom-width: 1px;',
-  '}',
-
-  '.blocklyWidgetDiv .goog-date-picker-head td {',
-  '  text-align: center;',
-  '}',
-
-  /** Use td.className instead of !important */
-  '.blocklyWidgetDiv td.goog-date-picker-today-cont {',
-  '  text-align: center;',
+  '.blocklyDateDay.blocklyDateDisabled {',
+  '  background: none;',
+  '  cursor: default;',
+  '  opacity: .3;',
   '}',
 
-  /** Use td.className instead of !important */
-  '.blocklyWidgetDiv td.goog-date-picker-none-cont {',
+  '.blocklyDateTimeRow {',
+  '  margin-top: 4px;',
   '  text-align: center;',
   '}',
 
-  '.blocklyWidgetDiv .goog-date-picker-month {',
-  '  min-width: 11ex;',
-  '  white-space: nowrap;',
-  '}',
-
-  '.blocklyWidgetDiv .goog-date-picker-year {',
-  '  min-width: 6ex;',
-  '  white-space: nowrap;',
-  '}',
-
-  '.blocklyWidgetDiv .goog-date-picker-monthyear {',
-  '  white-space: nowrap;',
-  '}',
-
-  '.blocklyWidgetDiv .goog-date-picker table {',
-  '  border-collapse: collapse;',
-  '}',
-
-  '.blocklyWidgetDiv .goog-date-picker-other-month {',
-  '  color: #888;',
-  '}',
-
-  '.blocklyWidgetDiv .goog-date-picker-wkend-start,',
-  '.blocklyWidgetDiv .goog-date-picker-wkend-end {',
-  '  background: #eee;',
-  '}',
-
-  /** Use td.className instead of !important */
-  '.blocklyWidgetDiv td.goog-date-picker-selected {',
-  '  background: #c3d9ff;',
-  '}',
-
-  '.blocklyWidgetDiv .goog-date-picker-today {',
-  '  background: #9ab;',
-  '  font-weight: bold !important;',
-  '  border-color: #246 #9bd #9bd #246;',
-  '  color: #fff;',
+  '.blocklyDateTimeInput {',
+  '  border: none;',
+  '  border-radius: 4px;',
+  '  color: $colour_text;',
+  '  font: inherit;',
+  '  margin: 0 4px;',
+  '  padding: 2px 4px;',
   '}'
 ];
 
@@ -19,8 +19,11 @@
  */
 
 /**
- * @fileoverview 5x5 matrix input field.
- * Displays an editable 5x5 matrix for controlling LED arrays.
+ * @fileoverview LED matrix input field.
+ * Displays an editable matrix for controlling LED arrays.  Each LED is one
+ * digit of the value, row by row: 0 is off, and higher digits are brighter
+ * levels or entries in a palette of colours.  Animations are a list of these
+ * images separated by commas.
  * @author khanning@gmail.com (Kreg Hanning)
  */
 'use strict';
@@ -28,15 +31,52 @@
 goog.provide('Blockly.FieldMatrix');
 
 goog.require('Blockly.DropDownDiv');
+goog.require('Blockly.Field');
+goog.require('Blockly.Msg');
+goog.require('Blockly.utils');
+
+goog.require('goog.color');
+goog.require('goog.dom');
 
 /**
  * Class for a matrix field.
- * @param {number} matrix The default matrix value represented by a 25-bit integer.
+ * @param {string=} opt_matrix The default matrix value: one digit per LED,
+ *     row by row.  Defaults to all LEDs off.
+ * @param {Function=} opt_validator A function that is executed when a new
+ *     matrix is drawn.  Its sole argument is the new value.  Its return value
+ *     becomes the new value, unless it is undefined, in which case the new
+ *     value stands, or it is null, in which case the change is aborted.
+ * @param {Object=} opt_config Settings for the matrix: the number of 'rows'
+ *     and 'columns', the number of brightness 'levels', or a palette of
+ *     'colours' to draw with instead of brightness levels.  'frames' makes
+ *     the field an animation of several images.
  * @extends {Blockly.Field}
  * @constructor
  */
-Blockly.FieldMatrix = function(matrix) {
-  Blockly.FieldMatrix.superClass_.constructor.call(this, matrix);
+Blockly.FieldMatrix = function(opt_matrix, opt_validator, opt_config) {
+  this.setConfig_(opt_config || {});
+  /**
+   * String for storing current matrix value.
+   * @type {string}
+   * @private
+   */
+  this.matrix_ = '';
+  /**
+   * The images of the matrix, one per frame.
+   * @type {!Array.<string>}
+   * @private
+   */
+  this.frames_ = [];
+  /**
+   * Index of the frame being edited.
+   * @type {number}
+   * @private
+   */
+  this.currentFrame_ = 0;
+  var matrix = this.classValidator(
+      opt_matrix === undefined || opt_matrix === null ? '' : opt_matrix);
+  Blockly.FieldMatrix.superClass_.constructor.call(this,
+      matrix === null ? this.getBlankImage_() : matrix, opt_validator);
   this.addArgType('matrix');
   /**
    * Array of SVGElement<rect> for matrix thumbnail image on block field.
@@ -50,12 +90,6 @@ Blockly.FieldMatrix = function(matrix) {
    * @private
    */
   this.ledButtons_ = [];
-  /**
-   * String for storing current matrix value.
-   * @type {!String]
-   * @private
-   */
-  this.matrix_ = '';
   /**
    * SVGElement for LED matrix in editor.
    * @type {?SVGElement}
@@ -76,33 +110,52 @@ Blockly.FieldMatrix = function(matrix) {
    */
   this.paintStyle_ = null;
   /**
-   * Touch event wrapper.
-   * Runs when the field is selected.
-   * @type {!Array}
+   * The digit that painting sets LEDs to: a brightness level or an index
+   * into the palette, starting at 1.
+   * @type {string}
    * @private
    */
-  this.mouseDownWrapper_ = null;
+  this.paintValue_ = String(this.getMaxLevel_());
   /**
-   * Touch event wrapper.
-   * Runs when the clear button editor button is selected.
-   * @type {!Array}
+   * Palette swatches in the editor, keyed by the digit they paint with.
+   * @type {!Object.<string, !Element>}
    * @private
    */
-  this.clearButtonWrapper_ = null;
+  this.swatches_ = {};
   /**
-   * Touch event wrapper.
-   * Runs when the fill button editor button is selected.
-   * @type {!Array}
+   * Div in the editor that holds a thumbnail of each frame.
+   * @type {Element}
+   * @private
+   */
+  this.filmstrip_ = null;
+  /**
+   * Path of the play button's icon, which turns into a stop icon while the
+   * animation plays.
+   * @type {SVGElement}
+   * @private
+   */
+  this.playIcon_ = null;
+  /**
+   * ID of the interval that steps through the frames while the animation
+   * plays, or null if it isn't playing.
+   * @type {?number}
    * @private
    */
-  this.fillButtonWrapper_ = null;
+  this.previewTimer_ = null;
   /**
    * Touch event wrapper.
-   * Runs when the matrix editor is touched.
+   * Runs when the field is selected.
    * @type {!Array}
    * @private
    */
-  this.matrixTouchWrapper_ = null;
+  this.mouseDownWrapper_ = null;
+  /**
+   * Touch event wrappers for the editor's buttons and palette, unbound when
+   * the editor closes.
+   * @type {!Array.<!Array>}
+   * @private
+   */
+  this.editorWrappers_ = [];
   /**
    * Touch event wrapper.
    * Runs when the matrix editor touch event moves.
@@ -122,15 +175,68 @@ goog.inherits(Blockly.FieldMatrix, Blockly.Field);
 
 /**
  * Construct a FieldMatrix from a JSON arg object.
- * @param {!Object} options A JSON object with options (matrix).
+ * @param {!Object} options A JSON object with options (matrix, rows, columns,
+ *     levels, colours and frames).
  * @returns {!Blockly.FieldMatrix} The new field instance.
  * @package
  * @nocollapse
  */
 Blockly.FieldMatrix.fromJson = function(options) {
-  return new Blockly.FieldMatrix(options['matrix']);
+  return new Blockly.FieldMatrix(options['matrix'], null, options);
 };
 
+/**
+ * Default number of rows, to match the micro:bit's display.
+ * @type {number}
+ * @const
+ */
+Blockly.FieldMatrix.ROWS = 5;
+
+/**
+ * Default number of columns, to match the micro:bit's display.
+ * @type {number}
+ * @const
+ */
+Blockly.FieldMatrix.COLUMNS = 5;
+
+/**
+ * Largest number of rows or columns allowed.
+ * @type {number}
+ * @const
+ */
+Blockly.FieldMatrix.MAX_SIZE = 32;
+
+/**
+ * Largest number of brightness levels or colours, so that every LED fits in
+ * one digit.
+ * @type {number}
+ * @const
+ */
+Blockly.FieldMatrix.MAX_LEVELS = 9;
+
+/**
+ * Character that separates the frames of an animation in the value.
+ * @type {string}
+ * @const
+ */
+Blockly.FieldMatrix.FRAME_SEPARATOR = ',';
+
+/**
+ * Time each frame is shown for when playing an animation in the editor, in
+ * ms.
+ * @type {number}
+ * @const
+ */
+Blockly.FieldMatrix.PREVIEW_INTERVAL = 250;
+
+/**
+ * How strongly LEDs of the previous frame show through LEDs that are off in
+ * the frame being edited, from 0 to 1.
+ * @type {number}
+ * @const
+ */
+Blockly.FieldMatrix.ONION_SKIN_OPACITY = 0.3;
+
 /**
  * Fixed size of the matrix thumbnail in the input field, in px.
  * @type {number}
@@ -160,29 +266,37 @@ Blockly.FieldMatrix.THUMBNAIL_NODE_PAD = 1;
 Blockly.FieldMatrix.ARROW_SIZE = 12;
 
 /**
- * Fixed size of each button inside the 5x5 matrix, in px.
+ * Fixed size of each button inside the matrix, in px.
  * @type {number}
  * @const
  */
 Blockly.FieldMatrix.MATRIX_NODE_SIZE = 18;
 
 /**
- * Fixed corner radius for 5x5 matrix buttons, in px.
+ * Fixed corner radius for matrix buttons, in px.
  * @type {number}
  * @const
  */
 Blockly.FieldMatrix.MATRIX_NODE_RADIUS = 4;
 
 /**
- * Fixed padding for 5x5 matrix buttons, in px.
+ * Fixed padding for matrix buttons, in px.
  * @type {number}
  * @const
  */
 Blockly.FieldMatrix.MATRIX_NODE_PAD = 5;
 
+/**
+ * Largest width or height of the matrix in the editor, in px.  Bigger
+ * matrices have smaller buttons.
+ * @type {number}
+ * @const
+ */
+Blockly.FieldMatrix.MATRIX_MAX_SIZE = 240;
+
 /**
  * String with 25 '0' chars.
- * Used for clearing a matrix or filling an LED node array.
+ * The value of a blank 5x5 matrix.
  * @type {string}
  * @const
  */
@@ -190,12 +304,201 @@ Blockly.FieldMatrix.ZEROS = '0000000000000000000000000';
 
 /**
  * String with 25 '1' chars.
- * Used for filling a matrix.
+ * The value of a full 5x5 matrix.
  * @type {string}
  * @const
  */
 Blockly.FieldMatrix.ONES = '1111111111111111111111111';
 
+/**
+ * Path data for the icons of the editor's tools, drawn in an 18px square.
+ * @type {!Object.<string, string>}
+ * @const
+ */
+Blockly.FieldMatrix.TOOL_ICONS = {
+  'invert': 'M 3 3 H 15 V 15 H 3 Z M 3 15 L 15 3',
+  'shiftUp': 'M 9 14 V 4 M 5 8 L 9 4 L 13 8',
+  'shiftDown': 'M 9 4 V 14 M 5 10 L 9 14 L 13 10',
+  'shiftLeft': 'M 14 9 H 4 M 8 5 L 4 9 L 8 13',
+  'shiftRight': 'M 4 9 H 14 M 10 5 L 14 9 L 10 13',
+  'rotate': 'M 14 9 A 5 5 0 1 1 9 4 H 12 M 10 1 L 13 4 L 10 7',
+  'addFrame': 'M 3 3 H 15 V 15 H 3 Z M 9 6 V 12 M 6 9 H 12',
+  'duplicateFrame': 'M 2 6 H 12 V 16 H 2 Z M 6 6 V 2 H 16 V 12 H 12',
+  'deleteFrame': 'M 3 3 H 15 V 15 H 3 Z M 6 9 H 12',
+  'moveFrameLeft': 'M 11 4 L 6 9 L 11 14',
+  'moveFrameRight': 'M 7 4 L 12 9 L 7 14',
+  'play': 'M 5 3 L 15 9 L 5 15 Z',
+  'stop': 'M 4 4 H 14 V 14 H 4 Z'
+};
+
+/**
+ * Check and store the field's settings.
+ * @param {!Object} config The settings (rows, columns, levels and colours).
+ * @throws {Error} If a setting is out of range.
+ * @private
+ */
+Blockly.FieldMatrix.prototype.setConfig_ = function(config) {
+  var readSize = function(name, defaultValue) {
+    var value = config[name];
+    if (value === undefined || value === null) {
+      return defaultValue;
+    }
+    value = Number(value);
+    if (Math.floor(value) !== value || value < 1 ||
+        value > Blockly.FieldMatrix.MAX_SIZE) {
+      throw new Error('Matrix ' + name + ' must be a whole number from 1 to ' +
+          Blockly.FieldMatrix.MAX_SIZE + ', not "' + config[name] + '"');
+    }
+    return value;
+  };
+  /**
+   * Number of rows of LEDs.
+   * @type {number}
+   * @private
+   */
+  this.rows_ = readSize('rows', Blockly.FieldMatrix.ROWS);
+  /**
+   * Number of columns of LEDs.
+   * @type {number}
+   * @private
+   */
+  this.columns_ = readSize('columns', Blockly.FieldMatrix.COLUMNS);
+  /**
+   * Colours of each palette entry, or null to use brightness levels.
+   * @type {Array.<string>}
+   * @private
+   */
+  this.colours_ = null;
+  /**
+   * Number of brightness levels above off.
+   * @type {number}
+   * @private
+   */
+  this.levels_ = 1;
+  var colours = config['colours'];
+  if (colours) {
+    if (!Array.isArray(colours) || !colours.length ||
+        colours.length > Blockly.FieldMatrix.MAX_LEVELS) {
+      throw new Error('Matrix colours must be a list of 1 to ' +
+          Blockly.FieldMatrix.MAX_LEVELS + ' colours');
+    }
+    this.colours_ = colours.map(function(colour) {
+      var hex = goog.color.isValidColor(String(colour)) &&
+          goog.color.parse(String(colour)).hex;
+      if (!hex) {
+        throw new Error('Invalid matrix colour "' + colour + '"');
+      }
+      return hex;
+    });
+  } else if (config['levels'] !== undefined && config['levels'] !== null) {
+    var levels = Number(config['levels']);
+    if (Math.floor(levels) !== levels || levels < 1 ||
+        levels > Blockly.FieldMatrix.MAX_LEVELS) {
+      throw new Error('Matrix levels must be a whole number from 1 to ' +
+          Blockly.FieldMatrix.MAX_LEVELS + ', not "' + config['levels'] + '"');
+    }
+    this.levels_ = levels;
+  }
+  /**
+   * Whether the value is an animation of several frames.
+   * @type {boolean}
+   * @private
+   */
+  this.hasFrames_ = !!config['frames'];
+};
+
+/**
+ * Get the number of rows of LEDs.
+ * @return {number} Number of rows.
+ */
+Blockly.FieldMatrix.prototype.getRows = function() {
+  return this.rows_;
+};
+
+/**
+ * Get the number of columns of LEDs.
+ * @return {number} Number of columns.
+ */
+Blockly.FieldMatrix.prototype.getColumns = function() {
+  return this.columns_;
+};
+
+/**
+ * Get the highest digit an LED can have: the brightest level, or the last
+ * colour of the palette.
+ * @return {number} The highest digit.
+ * @private
+ */
+Blockly.FieldMatrix.prototype.getMaxLevel_ = function() {
+  return this.colours_ ? this.colours_.length : this.levels_;
+};
+
+/**
+ * Get the value of a matrix with every LED off.
+ * @return {string} A string of zeros, one per LED.
+ * @private
+ */
+Blockly.FieldMatrix.prototype.getBlankImage_ = function() {
+  return new Array(this.rows_ * this.columns_ + 1).join('0');
+};
+
+/**
+ * Ensure that the value has one digit per LED, within the range of levels.
+ * Animations may have any number of frames; other matrices have one.
+ * @param {string} text The proposed value.
+ * @return {?string} The valid value, or null if invalid.
+ */
+Blockly.FieldMatrix.prototype.classValidator = function(text) {
+  if (text === null || text === undefined) {
+    return null;
+  }
+  var frames = String(text).split(Blockly.FieldMatrix.FRAME_SEPARATOR);
+  if (!this.hasFrames_ && frames.length > 1) {
+    return null;
+  }
+  for (var i = 0; i < frames.length; i++) {
+    frames[i] = this.validateImage_(frames[i]);
+    if (frames[i] === null) {
+      return null;
+    }
+  }
+  return frames.join(Blockly.FieldMatrix.FRAME_SEPARATOR);
+};
+
+/**
+ * Ensure that an image has one digit per LED, within the range of levels.
+ * Short images are padded with LEDs that are off.  A 25 digit image on a
+ * matrix of another size is taken to be a 5x5 image from before matrices
+ * could change size, and is drawn in the top left corner.
+ * @param {string} text The proposed image.
+ * @return {?string} The valid image, or null if invalid.
+ * @private
+ */
+Blockly.FieldMatrix.prototype.validateImage_ = function(text) {
+  if (!/^\d*$/.test(text)) {
+    return null;
+  }
+  var size = this.rows_ * this.columns_;
+  var legacySize = Blockly.FieldMatrix.ROWS * Blockly.FieldMatrix.COLUMNS;
+  if (text.length == legacySize && size != legacySize) {
+    var image = this.getBlankImage_().split('');
+    var rows = Math.min(this.rows_, Blockly.FieldMatrix.ROWS);
+    var columns = Math.min(this.columns_, Blockly.FieldMatrix.COLUMNS);
+    for (var y = 0; y < rows; y++) {
+      for (var x = 0; x < columns; x++) {
+        image[y * this.columns_ + x] =
+            text.charAt(y * Blockly.FieldMatrix.COLUMNS + x);
+      }
+    }
+    text = image.join('');
+  }
+  text = (text + this.getBlankImage_()).substring(0, size);
+  var maxLevel = String(this.getMaxLevel_());
+  return text.replace(/\d/g, function(level) {
+    return level > maxLevel ? maxLevel : level;
+  });
+};
+
 /**
  * Called when the field is placed on a block.
  * @param {Block} block The owning block.
@@ -208,7 +511,8 @@ Blockly.FieldMatrix.prototype.init = function() {
 
   // Build the DOM.
   this.fieldGroup_ = Blockly.utils.createSvgElement('g', {}, null);
-  this.size_.width = Blockly.FieldMatrix.THUMBNAIL_SIZE +
+  var thumbWidth = this.getThumbnailWidth_();
+  this.size_.width = thumbWidth +
     Blockly.FieldMatrix.ARROW_SIZE + (Blockly.BlockSvg.DROPDOWN_ARROW_PADDING * 1.5);
 
   this.sourceBlock_.getSvgRoot().appendChild(this.fieldGroup_);
@@ -219,27 +523,12 @@ Blockly.FieldMatrix.prototype.init = function() {
     'transform': 'translate(' + thumbX + ', ' + thumbY + ')',
     'pointer-events': 'bounding-box', 'cursor': 'pointer'
   }, this.fieldGroup_);
-  this.ledThumbNodes_ = [];
-  var nodeSize = Blockly.FieldMatrix.THUMBNAIL_NODE_SIZE;
-  var nodePad = Blockly.FieldMatrix.THUMBNAIL_NODE_PAD;
-  for (var i = 0; i < 5; i++) {
-    for (var n = 0; n < 5; n++) {
-      var attr = {
-        'x': ((nodeSize + nodePad) * n) + nodePad,
-        'y': ((nodeSize + nodePad) * i) + nodePad,
-        'width': nodeSize, 'height': nodeSize,
-        'rx': nodePad, 'ry': nodePad
-      };
-      this.ledThumbNodes_.push(
-          Blockly.utils.createSvgElement('rect', attr, thumbnail)
-      );
-    }
-    thumbnail.style.cursor = 'default';
-    this.updateMatrix_();
-  }
+  this.ledThumbNodes_ = this.createThumbnail_(thumbnail);
+  thumbnail.style.cursor = 'default';
+  this.updateMatrix_();
 
   if (!this.arrow_) {
-    var arrowX = Blockly.FieldMatrix.THUMBNAIL_SIZE +
+    var arrowX = thumbWidth +
       Blockly.BlockSvg.DROPDOWN_ARROW_PADDING * 1.5;
     var arrowY = (this.size_.height - Blockly.FieldMatrix.ARROW_SIZE) / 2;
     this.arrow_ = Blockly.utils.createSvgElement('image', {
@@ -257,22 +546,89 @@ Blockly.FieldMatrix.prototype.init = function() {
       this.getClickTarget_(), 'mousedown', this, this.onMouseDown_);
 };
 
+/**
+ * Get the distance between neighbouring LEDs of a thumbnail.  Rows are
+ * squeezed into the height of the thumbnail, but LEDs are never bigger than
+ * on a 5x5 matrix.
+ * @return {number} The distance in px.
+ * @private
+ */
+Blockly.FieldMatrix.prototype.getThumbnailPitch_ = function() {
+  return Blockly.FieldMatrix.THUMBNAIL_SIZE /
+      (Math.max(this.rows_, Blockly.FieldMatrix.ROWS) +
+      Blockly.FieldMatrix.THUMBNAIL_NODE_PAD /
+      (Blockly.FieldMatrix.THUMBNAIL_NODE_SIZE +
+      Blockly.FieldMatrix.THUMBNAIL_NODE_PAD));
+};
+
+/**
+ * Get the padding around the LEDs of a thumbnail.
+ * @return {number} The padding in px.
+ * @private
+ */
+Blockly.FieldMatrix.prototype.getThumbnailPad_ = function() {
+  return this.getThumbnailPitch_() * Blockly.FieldMatrix.THUMBNAIL_NODE_PAD /
+      (Blockly.FieldMatrix.THUMBNAIL_NODE_SIZE +
+      Blockly.FieldMatrix.THUMBNAIL_NODE_PAD);
+};
+
+/**
+ * Get the width of a thumbnail.
+ * @return {number} The width in px.
+ * @private
+ */
+Blockly.FieldMatrix.prototype.getThumbnailWidth_ = function() {
+  return this.getThumbnailPitch_() * this.columns_ + this.getThumbnailPad_();
+};
+
+/**
+ * Draw the LEDs of a thumbnail.
+ * @param {!Element} parent The SVG element to draw in.
+ * @return {!Array<SVGElement>} The LEDs, row by row.
+ * @private
+ */
+Blockly.FieldMatrix.prototype.createThumbnail_ = function(parent) {
+  var nodePitch = this.getThumbnailPitch_();
+  var nodePad = this.getThumbnailPad_();
+  var nodeSize = nodePitch - nodePad;
+  var nodes = [];
+  for (var i = 0; i < this.rows_; i++) {
+    for (var n = 0; n < this.columns_; n++) {
+      var attr = {
+        'x': (nodePitch * n) + nodePad,
+        'y': (nodePitch * i) + nodePad,
+        'width': nodeSize, 'height': nodeSize,
+        'rx': nodePad, 'ry': nodePad
+      };
+      nodes.push(Blockly.utils.createSvgElement('rect', attr, parent));
+    }
+  }
+  return nodes;
+};
+
 /**
  * Set the value for this matrix menu.
- * @param {string} matrix The new matrix value represented by a 25-bit integer.
+ * @param {string} matrix The new matrix value: one digit per LED, row by row,
+ *     with commas between the frames of an animation.
  * @override
  */
 Blockly.FieldMatrix.prototype.setValue = function(matrix) {
-  if (!matrix || matrix === this.matrix_) {
+  if (matrix === null || matrix === undefined) {
+    return;
+  }
+  matrix = this.callValidator(matrix);
+  if (matrix === null || matrix === this.matrix_) {
     return;  // No change
   }
   if (this.sourceBlock_ && Blockly.Events.isEnabled()) {
     Blockly.Events.fire(new Blockly.Events.Change(
         this.sourceBlock_, 'field', this.name, this.matrix_, matrix));
   }
-  matrix = matrix + Blockly.FieldMatrix.ZEROS.substr(0, 25 - matrix.length);
   this.matrix_ = matrix;
+  this.frames_ = matrix.split(Blockly.FieldMatrix.FRAME_SEPARATOR);
+  this.currentFrame_ = Math.min(this.currentFrame_, this.frames_.length - 1);
   this.updateMatrix_();
+  this.renderFilmstrip_();
 };
 
 /**
@@ -283,6 +639,163 @@ Blockly.FieldMatrix.prototype.getValue = function() {
   return String(this.matrix_);
 };
 
+/**
+ * Get the image being edited.
+ * @return {string} One digit per LED, row by row.
+ * @private
+ */
+Blockly.FieldMatrix.prototype.getImage_ = function() {
+  return this.frames_[this.currentFrame_];
+};
+
+/**
+ * Replace the image being edited.
+ * @param {string} image One digit per LED, row by row.
+ * @private
+ */
+Blockly.FieldMatrix.prototype.setImage_ = function(image) {
+  var frames = this.frames_.slice();
+  frames[this.currentFrame_] = image;
+  this.setFrames_(frames, this.currentFrame_);
+};
+
+/**
+ * Get the images of every frame.
+ * @return {!Array.<string>} One image per frame.
+ */
+Blockly.FieldMatrix.prototype.getFrames = function() {
+  return this.frames_.slice();
+};
+
+/**
+ * Replace the frames and choose the one to edit.  Stops the animation if it
+ * is playing.
+ * @param {!Array.<string>} frames One image per frame.
+ * @param {number} current Index of the frame to edit.
+ * @private
+ */
+Blockly.FieldMatrix.prototype.setFrames_ = function(frames, current) {
+  this.stopPreview_();
+  this.currentFrame_ = current;
+  this.setValue(frames.join(Blockly.FieldMatrix.FRAME_SEPARATOR));
+  this.updateMatrix_();
+  this.renderFilmstrip_();
+};
+
+/**
+ * Edit another frame.
+ * @param {number} index Index of the frame.
+ * @private
+ */
+Blockly.FieldMatrix.prototype.selectFrame_ = function(index) {
+  if (index >= 0 && index < this.frames_.length) {
+    this.setFrames_(this.frames_, index);
+  }
+};
+
+/**
+ * Add a frame after the one being edited, and edit it.
+ * @param {boolean} duplicate True to copy the frame being edited, false to
+ *     add a blank frame.
+ * @private
+ */
+Blockly.FieldMatrix.prototype.addFrame_ = function(duplicate) {
+  var frames = this.frames_.slice();
+  frames.splice(this.currentFrame_ + 1, 0,
+      duplicate ? this.getImage_() : this.getBlankImage_());
+  this.setFrames_(frames, this.currentFrame_ + 1);
+};
+
+/**
+ * Delete the frame being edited.  The last frame is cleared instead.
+ * @private
+ */
+Blockly.FieldMatrix.prototype.deleteFrame_ = function() {
+  var frames = this.frames_.slice();
+  if (frames.length == 1) {
+    frames[0] = this.getBlankImage_();
+  } else {
+    frames.splice(this.currentFrame_, 1);
+  }
+  this.setFrames_(frames, Math.min(this.currentFrame_, frames.length - 1));
+};
+
+/**
+ * Swap the frame being edited with one of its neighbours.
+ * @param {number} delta -1 to move the frame earlier, 1 to move it later.
+ * @private
+ */
+Blockly.FieldMatrix.prototype.moveFrame_ = function(delta) {
+  var target = this.currentFrame_ + delta;
+  if (target < 0 || target >= this.frames_.length) {
+    return;
+  }
+  var frames = this.frames_.slice();
+  frames[target] = this.frames_[this.currentFrame_];
+  frames[this.currentFrame_] = this.frames_[target];
+  this.setFrames_(frames, target);
+};
+
+/**
+ * Play the animation in the editor, or stop it if it is playing.
+ * @private
+ */
+Blockly.FieldMatrix.prototype.togglePreview_ = function() {
+  if (this.previewTimer_ !== null) {
+    this.stopPreview_();
+    return;
+  }
+  this.previewTimer_ = setInterval(function() {
+    this.currentFrame_ = (this.currentFrame_ + 1) % this.frames_.length;
+    this.updateMatrix_();
+    this.renderFilmstrip_();
+  }.bind(this), Blockly.FieldMatrix.PREVIEW_INTERVAL);
+  this.updatePlayButton_();
+  this.updateMatrix_();
+};
+
+/**
+ * Stop playing the animation.
+ * @private
+ */
+Blockly.FieldMatrix.prototype.stopPreview_ = function() {
+  if (this.previewTimer_ === null) {
+    return;
+  }
+  clearInterval(this.previewTimer_);
+  this.previewTimer_ = null;
+  this.updatePlayButton_();
+  this.updateMatrix_();
+};
+
+/**
+ * Show a play or stop icon, depending on whether the animation is playing.
+ * @private
+ */
+Blockly.FieldMatrix.prototype.updatePlayButton_ = function() {
+  if (!this.playIcon_) {
+    return;
+  }
+  var playing = this.previewTimer_ !== null;
+  this.playIcon_.setAttribute('d',
+      Blockly.FieldMatrix.TOOL_ICONS[playing ? 'stop' : 'play']);
+  this.playIcon_.parentNode.parentNode.title =
+      playing ? Blockly.Msg.MATRIX_STOP : Blockly.Msg.MATRIX_PLAY;
+};
+
+/**
+ * Get the scale of the matrix in the editor, so that it fits within
+ * MATRIX_MAX_SIZE.
+ * @return {number} The scale, at most 1.
+ * @private
+ */
+Blockly.FieldMatrix.prototype.getEditorScale_ = function() {
+  var nodes = Math.max(this.rows_, this.columns_);
+  var size = (Blockly.FieldMatrix.MATRIX_NODE_SIZE * nodes) +
+    (Blockly.FieldMatrix.MATRIX_NODE_PAD * (nodes + 1));
+  return Math.min(1, Blockly.FieldMatrix.MATRIX_MAX_SIZE / size);
+};
+
 /**
  * Show the drop-down menu for editing this field.
  * @private
@@ -293,78 +806,215 @@ Blockly.FieldMatrix.prototype.showEditor_ = function() {
   Blockly.DropDownDiv.clearContent();
   var div = Blockly.DropDownDiv.getContentDiv();
   // Build the SVG DOM.
-  var matrixSize = (Blockly.FieldMatrix.MATRIX_NODE_SIZE * 5) +
-    (Blockly.FieldMatrix.MATRIX_NODE_PAD * 6);
+  var scale = this.getEditorScale_();
+  var nodeSize = Blockly.FieldMatrix.MATRIX_NODE_SIZE * scale;
+  var nodePad = Blockly.FieldMatrix.MATRIX_NODE_PAD * scale;
+  var nodeRadius = Blockly.FieldMatrix.MATRIX_NODE_RADIUS * scale;
   this.matrixStage_ = Blockly.utils.createSvgElement('svg', {
     'xmlns': 'http://www.w3.org/2000/svg',
     'xmlns:html': 'http://www.w3.org/1999/xhtml',
     'xmlns:xlink': 'http://www.w3.org/1999/xlink',
     'version': '1.1',
-    'height': matrixSize + 'px',
-    'width': matrixSize + 'px'
+    'height': (nodeSize * this.rows_) + (nodePad * (this.rows_ + 1)) + 'px',
+    'width': (nodeSize * this.columns_) + (nodePad * (this.columns_ + 1)) + 'px'
   }, div);
-  // Create the 5x5 matrix
+  // Create the matrix
   this.ledButtons_ = [];
-  for (var i = 0; i < 5; i++) {
-    for (var n = 0; n < 5; n++) {
-      var x = (Blockly.FieldMatrix.MATRIX_NODE_SIZE * n) +
-        (Blockly.FieldMatrix.MATRIX_NODE_PAD * (n + 1));
-      var y = (Blockly.FieldMatrix.MATRIX_NODE_SIZE * i) +
-        (Blockly.FieldMatrix.MATRIX_NODE_PAD * (i + 1));
+  for (var i = 0; i < this.rows_; i++) {
+    for (var n = 0; n < this.columns_; n++) {
+      var x = (nodeSize * n) + (nodePad * (n + 1));
+      var y = (nodeSize * i) + (nodePad * (i + 1));
       var attr = {
         'x': x + 'px', 'y': y + 'px',
-        'width': Blockly.FieldMatrix.MATRIX_NODE_SIZE,
-        'height': Blockly.FieldMatrix.MATRIX_NODE_SIZE,
-        'rx': Blockly.FieldMatrix.MATRIX_NODE_RADIUS,
-        'ry': Blockly.FieldMatrix.MATRIX_NODE_RADIUS
+        'width': nodeSize,
+        'height': nodeSize,
+        'rx': nodeRadius,
+        'ry': nodeRadius
       };
       var led = Blockly.utils.createSvgElement('rect', attr, this.matrixStage_);
-      this.matrixStage_.appendChild(led);
       this.ledButtons_.push(led);
     }
   }
+  this.editorWrappers_.push(
+      Blockly.bindEvent_(this.matrixStage_, 'mousedown', this, this.onMouseDown));
+
+  // Palette of brightness levels or colours to paint with.
+  this.swatches_ = {};
+  if (this.getMaxLevel_() > 1) {
+    var paletteDiv = document.createElement('div');
+    paletteDiv.className = 'scratchMatrixPalette';
+    for (var level = 1; level <= this.getMaxLevel_(); level++) {
+      var swatch = document.createElement('div');
+      swatch.className = 'scratchMatrixSwatch';
+      swatch.style.backgroundColor = this.getLedColour_(String(level),
+          this.sourceBlock_.getColourSecondary());
+      swatch.setAttribute('data-level', level);
+      paletteDiv.appendChild(swatch);
+      this.swatches_[level] = swatch;
+    }
+    this.editorWrappers_.push(
+        Blockly.bindEvent_(paletteDiv, 'mousedown', this, this.onSwatchDown_));
+    div.appendChild(paletteDiv);
+    this.updateSwatches_();
+  }
+
   // Div for lower button menu
   var buttonDiv = document.createElement('div');
-  // Button to clear matrix
-  var clearButtonDiv = document.createElement('div');
-  clearButtonDiv.className = 'scratchMatrixButtonDiv';
-  var clearButton = this.createButton_(this.sourceBlock_.colourSecondary_);
-  clearButtonDiv.appendChild(clearButton);
-  // Button to fill matrix
-  var fillButtonDiv = document.createElement('div');
-  fillButtonDiv.className = 'scratchMatrixButtonDiv';
-  var fillButton = this.createButton_('#FFFFFF');
-  fillButtonDiv.appendChild(fillButton);
-
-  buttonDiv.appendChild(clearButtonDiv);
-  buttonDiv.appendChild(fillButtonDiv);
+  buttonDiv.className = 'scratchMatrixButtons';
+  this.addButton_(buttonDiv,
+      this.createButton_(this.sourceBlock_.getColourSecondary()),
+      Blockly.Msg.MATRIX_CLEAR, function() {
+        this.setImage_(this.getBlankImage_());
+      });
+  this.addButton_(buttonDiv, this.createButton_('#FFFFFF'),
+      Blockly.Msg.MATRIX_FILL, function() {
+        this.setImage_(this.getBlankImage_().replace(/0/g, this.paintValue_));
+      });
+  var tools = [
+    ['invert', Blockly.Msg.MATRIX_INVERT, this.invertImage_],
+    ['shiftUp', Blockly.Msg.MATRIX_SHIFT_UP, this.shiftImage_, 0, -1],
+    ['shiftDown', Blockly.Msg.MATRIX_SHIFT_DOWN, this.shiftImage_, 0, 1],
+    ['shiftLeft', Blockly.Msg.MATRIX_SHIFT_LEFT, this.shiftImage_, -1, 0],
+    ['shiftRight', Blockly.Msg.MATRIX_SHIFT_RIGHT, this.shiftImage_, 1, 0],
+    ['rotate', Blockly.Msg.MATRIX_ROTATE, this.rotateImage_]
+  ];
+  for (var t = 0; t < tools.length; t++) {
+    this.addButton_(buttonDiv,
+        this.createToolButton_(Blockly.FieldMatrix.TOOL_ICONS[tools[t][0]]),
+        tools[t][1], (function(transform, arg1, arg2) {
+          return function() {
+            this.setImage_(transform.call(this, this.getImage_(), arg1, arg2));
+          };
+        })(tools[t][2], tools[t][3], tools[t][4]));
+  }
   div.appendChild(buttonDiv);
 
+  if (this.hasFrames_) {
+    this.createFilmstrip_(div);
+  }
+
   Blockly.DropDownDiv.setColour(this.sourceBlock_.getColour(),
       this.sourceBlock_.getColourTertiary());
   Blockly.DropDownDiv.setCategory(this.sourceBlock_.getCategory());
-  Blockly.DropDownDiv.showPositionedByBlock(this, this.sourceBlock_);
-
-  this.matrixTouchWrapper_ =
-      Blockly.bindEvent_(this.matrixStage_, 'mousedown', this, this.onMouseDown);
-  this.clearButtonWrapper_ =
-      Blockly.bindEvent_(clearButton, 'mousedown', this, this.clearMatrix_);
-  this.fillButtonWrapper_ =
-    Blockly.bindEvent_(fillButton, 'mousedown', this, this.fillMatrix_);
+  Blockly.DropDownDiv.showPositionedByBlock(this, this.sourceBlock_,
+      this.onHide_.bind(this));
 
   // Update the matrix for the current value
   this.updateMatrix_();
+};
+
+/**
+ * Add the animation's frames and the buttons that edit them to the editor.
+ * @param {!Element} div The editor's content div.
+ * @private
+ */
+Blockly.FieldMatrix.prototype.createFilmstrip_ = function(div) {
+  this.filmstrip_ = document.createElement('div');
+  this.filmstrip_.className = 'scratchMatrixFilmstrip';
+  div.appendChild(this.filmstrip_);
+  this.editorWrappers_.push(Blockly.bindEvent_(this.filmstrip_, 'mousedown',
+      this, this.onFilmstripDown_));
+  this.renderFilmstrip_();
+
+  var buttonDiv = document.createElement('div');
+  buttonDiv.className = 'scratchMatrixButtons';
+  var buttons = [
+    ['addFrame', Blockly.Msg.MATRIX_ADD_FRAME, this.addFrame_, false],
+    ['duplicateFrame', Blockly.Msg.MATRIX_DUPLICATE_FRAME, this.addFrame_,
+      true],
+    ['deleteFrame', Blockly.Msg.MATRIX_DELETE_FRAME, this.deleteFrame_],
+    ['moveFrameLeft', Blockly.Msg.MATRIX_MOVE_FRAME_LEFT, this.moveFrame_, -1],
+    ['moveFrameRight', Blockly.Msg.MATRIX_MOVE_FRAME_RIGHT, this.moveFrame_,
+      1],
+    ['play', Blockly.Msg.MATRIX_PLAY, this.togglePreview_]
+  ];
+  for (var i = 0; i < buttons.length; i++) {
+    var button =
+        this.createToolButton_(Blockly.FieldMatrix.TOOL_ICONS[buttons[i][0]]);
+    this.addButton_(buttonDiv, button, buttons[i][1],
+        goog.partial(buttons[i][2], buttons[i][3]));
+  }
+  this.playIcon_ = button.firstChild;
+  div.appendChild(buttonDiv);
+};
+
+/**
+ * Draw a thumbnail of each frame in the editor, highlighting the one being
+ * edited.
+ * @private
+ */
+Blockly.FieldMatrix.prototype.renderFilmstrip_ = function() {
+  if (!this.filmstrip_) {
+    return;
+  }
+  goog.dom.removeChildren(this.filmstrip_);
+  for (var i = 0; i < this.frames_.length; i++) {
+    var frameDiv = document.createElement('div');
+    frameDiv.className = 'scratchMatrixFrame';
+    if (i == this.currentFrame_) {
+      Blockly.utils.addClass(frameDiv, 'scratchMatrixFrameSelected');
+    }
+    frameDiv.setAttribute('data-frame', i);
+    var thumbnail = Blockly.utils.createSvgElement('svg', {
+      'xmlns': 'http://www.w3.org/2000/svg',
+      'version': '1.1',
+      'height': Blockly.FieldMatrix.THUMBNAIL_SIZE + 'px',
+      'width': this.getThumbnailWidth_() + 'px'
+    }, frameDiv);
+    var nodes = this.createThumbnail_(thumbnail);
+    for (var n = 0; n < nodes.length; n++) {
+      this.fillMatrixNode_(nodes, n, this.getLedColour_(this.frames_[i][n],
+          this.sourceBlock_.getColour()));
+    }
+    this.filmstrip_.appendChild(frameDiv);
+  }
+};
 
+/**
+ * Edit the frame that was clicked in the filmstrip.
+ * @param {!Event} e Mouse event.
+ * @private
+ */
+Blockly.FieldMatrix.prototype.onFilmstripDown_ = function(e) {
+  if (e.button != 0) return;
+  var node = e.target;
+  while (node && node != this.filmstrip_) {
+    if (node.getAttribute('data-frame') !== null) {
+      this.selectFrame_(Number(node.getAttribute('data-frame')));
+      return;
+    }
+    node = node.parentNode;
+  }
 };
 
-this.nodeCallback_ = function(e, num) {
-  console.log(num);
+/**
+ * Add a button to the editor.
+ * @param {!Element} parent The div to add the button to.
+ * @param {!Element} button The button's SVG element.
+ * @param {string} title Tooltip describing what the button does.
+ * @param {function()} action Called in the context of this field when the
+ *     button is clicked.
+ * @private
+ */
+Blockly.FieldMatrix.prototype.addButton_ = function(parent, button, title,
+    action) {
+  var buttonDiv = document.createElement('div');
+  buttonDiv.className = 'scratchMatrixButtonDiv';
+  buttonDiv.title = title;
+  buttonDiv.appendChild(button);
+  parent.appendChild(buttonDiv);
+  this.editorWrappers_.push(Blockly.bindEvent_(button, 'mousedown', this,
+      function(e) {
+        if (e.button != 0) return;
+        action.call(this);
+      }));
 };
 
 /**
  * Make an svg object that resembles a 3x3 matrix to be used as a button.
  * @param {string} fill The color to fill the matrix nodes.
  * @return {SvgElement} The button svg element.
+ * @private
  */
 Blockly.FieldMatrix.prototype.createButton_ = function(fill) {
   var button = Blockly.utils.createSvgElement('svg', {
@@ -391,38 +1041,161 @@ Blockly.FieldMatrix.prototype.createButton_ = function(fill) {
   return button;
 };
 
+/**
+ * Make an svg object with an icon to be used as a tool button.
+ * @param {string} path The icon's path data, in an 18px square.
+ * @return {SvgElement} The button svg element.
+ * @private
+ */
+Blockly.FieldMatrix.prototype.createToolButton_ = function(path) {
+  var button = Blockly.utils.createSvgElement('svg', {
+    'xmlns': 'http://www.w3.org/2000/svg',
+    'version': '1.1',
+    'class': 'scratchMatrixTool',
+    'height': Blockly.FieldMatrix.MATRIX_NODE_SIZE + 'px',
+    'width': Blockly.FieldMatrix.MATRIX_NODE_SIZE + 'px'
+  });
+  Blockly.utils.createSvgElement('path', {'d': path}, button);
+  return button;
+};
+
+/**
+ * Get the colour of an LED.
+ * @param {string} level The LED's digit.
+ * @param {string} offColour The colour of LEDs that are off, in '#rrggbb'
+ *     format.
+ * @return {string} The colour in '#rrggbb' format.
+ * @private
+ */
+Blockly.FieldMatrix.prototype.getLedColour_ = function(level, offColour) {
+  level = Number(level);
+  if (!level) {
+    return offColour;
+  }
+  if (this.colours_) {
+    return this.colours_[level - 1];
+  }
+  // Dimmer levels are blended with the colour of LEDs that are off.
+  return goog.color.rgbArrayToHex(goog.color.blend([255, 255, 255],
+      goog.color.hexToRgb(offColour), level / this.levels_));
+};
+
 /**
  * Redraw the matrix with the current value.
  * @private
  */
 Blockly.FieldMatrix.prototype.updateMatrix_ = function() {
-  for (var i = 0; i < this.matrix_.length; i++) {
-    if (this.matrix_[i] === '0') {
-      this.fillMatrixNode_(this.ledButtons_, i, this.sourceBlock_.colourSecondary_);
-      this.fillMatrixNode_(this.ledThumbNodes_, i, this.sourceBlock_.colour_);
+  if (!this.sourceBlock_) {
+    return;
+  }
+  var image = this.getImage_();
+  var offColour = this.sourceBlock_.getColourSecondary();
+  // LEDs of the previous frame show faintly while editing, but not while
+  // the animation plays.
+  var previous = this.previewTimer_ === null && this.currentFrame_ > 0 ?
+      this.frames_[this.currentFrame_ - 1] : null;
+  for (var i = 0; i < image.length; i++) {
+    var colour = this.getLedColour_(image[i], offColour);
+    if (previous && image[i] == '0' && previous[i] != '0') {
+      colour = goog.color.rgbArrayToHex(goog.color.blend(
+          goog.color.hexToRgb(this.getLedColour_(previous[i], offColour)),
+          goog.color.hexToRgb(offColour),
+          Blockly.FieldMatrix.ONION_SKIN_OPACITY));
+    }
+    this.fillMatrixNode_(this.ledButtons_, i, colour);
+    this.fillMatrixNode_(this.ledThumbNodes_, i,
+        this.getLedColour_(image[i], this.sourceBlock_.getColour()));
+  }
+};
+
+/**
+ * Highlight the swatch that is being painted with.
+ * @private
+ */
+Blockly.FieldMatrix.prototype.updateSwatches_ = function() {
+  for (var level in this.swatches_) {
+    if (level == this.paintValue_) {
+      Blockly.utils.addClass(this.swatches_[level], 'scratchMatrixSwatchSelected');
     } else {
-      this.fillMatrixNode_(this.ledButtons_, i, '#FFFFFF');
-      this.fillMatrixNode_(this.ledThumbNodes_, i, '#FFFFFF');
+      Blockly.utils.removeClass(this.swatches_[level],
+          'scratchMatrixSwatchSelected');
     }
   }
 };
 
 /**
- * Clear the matrix.
+ * Choose the brightness level or colour to paint with.
  * @param {!Event} e Mouse event.
+ * @private
  */
-Blockly.FieldMatrix.prototype.clearMatrix_ = function(e) {
-  if (e.button != 0) return;
-  this.setValue(Blockly.FieldMatrix.ZEROS);
+Blockly.FieldMatrix.prototype.onSwatchDown_ = function(e) {
+  var level = e.target.getAttribute && e.target.getAttribute('data-level');
+  if (e.button != 0 || !level) return;
+  this.paintValue_ = level;
+  this.updateSwatches_();
 };
 
 /**
- * Fill the matrix.
- * @param {!Event} e Mouse event.
+ * Turn LEDs that are off on, and LEDs that are on off.  Brightness levels are
+ * reversed, so dim LEDs become bright; in a palette of colours, LEDs that
+ * were off take the colour being painted with.
+ * @param {string} image One digit per LED, row by row.
+ * @return {string} The inverted image.
+ * @private
  */
-Blockly.FieldMatrix.prototype.fillMatrix_ = function(e) {
-  if (e.button != 0) return;
-  this.setValue(Blockly.FieldMatrix.ONES);
+Blockly.FieldMatrix.prototype.invertImage_ = function(image) {
+  var levels = this.levels_;
+  var paintValue = this.paintValue_;
+  var colours = this.colours_;
+  return image.replace(/\d/g, function(level) {
+    if (colours) {
+      return level == '0' ? paintValue : '0';
+    }
+    return String(levels - Number(level));
+  });
+};
+
+/**
+ * Move every LED, wrapping around the edges.
+ * @param {string} image One digit per LED, row by row.
+ * @param {number} dx Number of columns to move right (or left if negative).
+ * @param {number} dy Number of rows to move down (or up if negative).
+ * @return {string} The shifted image.
+ * @private
+ */
+Blockly.FieldMatrix.prototype.shiftImage_ = function(image, dx, dy) {
+  var rows = this.rows_;
+  var columns = this.columns_;
+  var shifted = [];
+  for (var y = 0; y < rows; y++) {
+    for (var x = 0; x < columns; x++) {
+      var fromX = (((x - dx) % columns) + columns) % columns;
+      var fromY = (((y - dy) % rows) + rows) % rows;
+      shifted.push(image.charAt(fromY * columns + fromX));
+    }
+  }
+  return shifted.join('');
+};
+
+/**
+ * Turn the image a quarter turn clockwise.  Only square matrices can turn a
+ * quarter; others are turned upside down.
+ * @param {string} image One digit per LED, row by row.
+ * @return {string} The rotated image.
+ * @private
+ */
+Blockly.FieldMatrix.prototype.rotateImage_ = function(image) {
+  var size = this.rows_;
+  if (size != this.columns_) {
+    return image.split('').reverse().join('');
+  }
+  var rotated = [];
+  for (var y = 0; y < size; y++) {
+    for (var x = 0; x < size; x++) {
+      rotated.push(image.charAt((size - 1 - x) * size + y));
+    }
+  }
+  return rotated.join('');
 };
 
 /**
@@ -430,34 +1203,54 @@ Blockly.FieldMatrix.prototype.fillMatrix_ = function(e) {
  * @param {!Array<SVGElement>} node The array of matrix nodes.
  * @param {!number} index The index of the matrix node.
  * @param {!string} fill The fill colour in '#rrggbb' format.
+ * @private
  */
 Blockly.FieldMatrix.prototype.fillMatrixNode_ = function(node, index, fill) {
   if (!node || !node[index] || !fill) return;
   node[index].setAttribute('fill', fill);
 };
 
+/**
+ * Set one LED.
+ * @param {number} led The index of the LED.
+ * @param {string} state The LED's new digit.
+ * @private
+ */
 Blockly.FieldMatrix.prototype.setLEDNode_ = function(led, state) {
-  if (led < 0 || led > 24) return;
-  var matrix = this.matrix_.substr(0, led) + state + this.matrix_.substr(led + 1);
-  this.setValue(matrix);
+  var image = this.getImage_();
+  if (led < 0 || led >= image.length) return;
+  this.setImage_(image.substr(0, led) + state + image.substr(led + 1));
 };
 
+/**
+ * Paint one LED with the current brightness level or colour.
+ * @param {number} led The index of the LED.
+ * @private
+ */
 Blockly.FieldMatrix.prototype.fillLEDNode_ = function(led) {
-  if (led < 0 || led > 24) return;
-  this.setLEDNode_(led, '1');
+  this.setLEDNode_(led, this.paintValue_);
 };
 
+/**
+ * Turn one LED off.
+ * @param {number} led The index of the LED.
+ * @private
+ */
 Blockly.FieldMatrix.prototype.clearLEDNode_ = function(led) {
-  if (led < 0 || led > 24) return;
   this.setLEDNode_(led, '0');
 };
 
+/**
+ * Turn one LED off if it has the current brightness level or colour, or
+ * paint it if it doesn't.
+ * @param {number} led The index of the LED.
+ * @private
+ */
 Blockly.FieldMatrix.prototype.toggleLEDNode_ = function(led) {
-  if (led < 0 || led > 24) return;
-  if (this.matrix_.charAt(led) === '0') {
-    this.setLEDNode_(led, '1');
+  if (this.getImage_().charAt(led) === this.paintValue_) {
+    this.clearLEDNode_(led);
   } else {
-    this.setLEDNode_(led, '0');
+    this.fillLEDNode_(led);
   }
 };
 
@@ -466,16 +1259,17 @@ Blockly.FieldMatrix.prototype.toggleLEDNode_ = function(led) {
  * @param {!Event} e Mouse event.
  */
 Blockly.FieldMatrix.prototype.onMouseDown = function(e) {
+  this.stopPreview_();
   this.matrixMoveWrapper_ =
     Blockly.bindEvent_(document.body, 'mousemove', this, this.onMouseMove);
   this.matrixReleaseWrapper_ =
     Blockly.bindEvent_(document.body, 'mouseup', this, this.onMouseUp);
   var ledHit = this.checkForLED_(e);
   if (ledHit > -1) {
-    if (this.matrix_.charAt(ledHit) === '0') {
-      this.paintStyle_ = 'fill';
-    } else {
+    if (this.getImage_().charAt(ledHit) === this.paintValue_) {
       this.paintStyle_ = 'clear';
+    } else {
+      this.paintStyle_ = 'fill';
     }
     this.toggleLEDNode_(ledHit);
     this.updateMatrix_();
@@ -489,8 +1283,14 @@ Blockly.FieldMatrix.prototype.onMouseDown = function(e) {
  * @param {!Event} e Mouse move event.
  */
 Blockly.FieldMatrix.prototype.onMouseUp = function() {
-  Blockly.unbindEvent_(this.matrixMoveWrapper_);
-  Blockly.unbindEvent_(this.matrixReleaseWrapper_);
+  if (this.matrixMoveWrapper_) {
+    Blockly.unbindEvent_(this.matrixMoveWrapper_);
+    this.matrixMoveWrapper_ = null;
+  }
+  if (this.matrixReleaseWrapper_) {
+    Blockly.unbindEvent_(this.matrixReleaseWrapper_);
+    this.matrixReleaseWrapper_ = null;
+  }
   this.paintStyle_ = null;
 };
 
@@ -515,52 +1315,46 @@ Blockly.FieldMatrix.prototype.onMouseMove = function(e) {
  * Check if mouse coordinates collide with a matrix node.
  * @param {!Event} e Mouse move event.
  * @return {number} The matching matrix node or -1 for none.
+ * @private
  */
 Blockly.FieldMatrix.prototype.checkForLED_ = function(e) {
   var bBox = this.matrixStage_.getBoundingClientRect();
-  var nodeSize = Blockly.FieldMatrix.MATRIX_NODE_SIZE;
-  var nodePad = Blockly.FieldMatrix.MATRIX_NODE_PAD;
+  var scale = this.getEditorScale_();
+  var nodeSize = Blockly.FieldMatrix.MATRIX_NODE_SIZE * scale;
+  var nodePad = Blockly.FieldMatrix.MATRIX_NODE_PAD * scale;
   var dx = e.clientX - bBox.left;
   var dy = e.clientY - bBox.top;
   var min = nodePad / 2;
-  var max = bBox.width - (nodePad / 2);
-  if (dx < min || dx > max || dy < min || dy > max) {
+  if (dx < min || dx > bBox.width - min || dy < min ||
+      dy > bBox.height - min) {
     return -1;
   }
-  var xDiv = Math.trunc((dx - nodePad / 2) / (nodeSize + nodePad));
-  var yDiv = Math.trunc((dy - nodePad / 2) / (nodeSize + nodePad));
-  return xDiv + (yDiv * nodePad);
+  var xDiv = Math.min(Math.trunc((dx - nodePad / 2) / (nodeSize + nodePad)),
+      this.columns_ - 1);
+  var yDiv = Math.min(Math.trunc((dy - nodePad / 2) / (nodeSize + nodePad)),
+      this.rows_ - 1);
+  return xDiv + (yDiv * this.columns_);
 };
 
 /**
- * Clean up this FieldMatrix, as well as the inherited Field.
- * @return {!Function} Closure to call on destruction of the WidgetDiv.
+ * Callback for when the drop-down is hidden.
  * @private
  */
-Blockly.FieldMatrix.prototype.dispose_ = function() {
-  var thisField = this;
-  return function() {
-    Blockly.FieldMatrix.superClass_.dispose_.call(thisField)();
-    thisField.matrixStage_ = null;
-    if (thisField.mouseDownWrapper_) {
-      Blockly.unbindEvent_(thisField.mouseDownWrapper_);
-    }
-    if (thisField.matrixTouchWrapper_) {
-      Blockly.unbindEvent_(thisField.matrixTouchWrapper_);
-    }
-    if (thisField.matrixReleaseWrapper_) {
-      Blockly.unbindEvent_(thisField.matrixReleaseWrapper_);
-    }
-    if (thisField.matrixMoveWrapper_) {
-      Blockly.unbindEvent_(thisField.matrixMoveWrapper_);
-    }
-    if (thisField.clearButtonWrapper_) {
-      Blockly.unbindEvent_(thisField.clearButtonWrapper_);
-    }
-    if (thisField.fillButtonWrapper_) {
-      Blockly.unbindEvent_(thisField.fillButtonWrapper_);
-    }
-  };
+Blockly.FieldMatrix.prototype.onHide_ = function() {
+  this.onMouseUp();
+  this.stopPreview_();
+  for (var i = 0; i < this.editorWrappers_.length; i++) {
+    Blockly.unbindEvent_(this.editorWrappers_[i]);
+  }
+  this.editorWrappers_.length = 0;
+  this.matrixStage_ = null;
+  this.ledButtons_ = [];
+  this.swatches_ = {};
+  this.filmstrip_ = null;
+  this.playIcon_ = null;
+  // The block shows the first frame of an animation.
+  this.currentFrame_ = 0;
+  this.updateMatrix_();
 };
 
 Blockly.Field.register('field_matrix', Blockly.FieldMatrix);
@@ -19,7 +19,7 @@
  */
 
 /**
- * @fileoverview Angle input field.
+ * @fileoverview Percentage input field.
  * @author fraser@google.com (Neil Fraser)
  */
 'use strict';
@@ -31,10 +31,17 @@ goog.require('Blockly.FieldTextInput');
 goog.require('goog.math');
 goog.require('goog.userAgent');
 
+
 /**
- * Class for an editable angle field.
+ * Class for an editable percentage field.  The value is a plain number; the
+ * percent sign is only added on screen.
  * @param {(string|number)=} opt_value The initial content of the field. The
- *     value should cast to a number, and if it does not, '0' will be used.
+ *     value should cast to a number, and if it does not, the minimum will be
+ *     used.
+ * @param {(string|number)=} opt_min Minimum value.  Defaults to 0.
+ * @param {(string|number)=} opt_max Maximum value.  Defaults to 100.
+ * @param {(string|number)=} opt_precision Step to round values to, or 0 for
+ *     no rounding.  Defaults to 0.
  * @param {Function=} opt_validator An optional function that is called
  *     to validate any constraints on what the user entered.  Takes the new
  *     text as an argument and returns the accepted text or null to abort
@@ -42,14 +49,21 @@ goog.require('goog.userAgent');
  * @extends {Blockly.FieldTextInput}
  * @constructor
  */
-Blockly.FieldPercent = function (opt_value, opt_validator) {
-  // Add degree symbol: '360°' (LTR) or '°360' (RTL)
-  this.symbol_ = Blockly.utils.createSvgElement('tspan', {}, null);
-  this.symbol_.appendChild(document.createTextNode('\u00B0'));
-  
-  var numRestrictor = new RegExp("[\\d]|[\\.]|[-]|[eE]");
-
-  opt_value = (opt_value && !isNaN(opt_value)) ? String(opt_value) : '0';
+Blockly.FieldPercent = function(opt_value, opt_min, opt_max, opt_precision,
+    opt_validator) {
+  this.setConstraints_(opt_min, opt_max, opt_precision);
+  var pattern = "[\\d]";
+  if (this.precision_ != Math.floor(this.precision_) || !this.precision_) {
+    pattern += "|[\\.]";
+  }
+  if (this.min_ < 0) {
+    pattern += "|[-]";
+  }
+  var numRestrictor = new RegExp(pattern);
+
+  var value = (opt_value === null || opt_value === undefined) ? null :
+      this.classValidator(String(opt_value));
+  opt_value = value === null ? String(this.min_) : value;
   Blockly.FieldPercent.superClass_.constructor.call(
       this, opt_value, opt_validator, numRestrictor);
   this.addArgType('percent');
@@ -58,115 +72,142 @@ goog.inherits(Blockly.FieldPercent, Blockly.FieldTextInput);
 
 /**
  * Construct a FieldPercent from a JSON arg object.
- * @param {!Object} options A JSON object with options (angle).
+ * @param {!Object} options A JSON object with options (value, min, max and
+ *     precision).  'percent' is accepted in place of 'value'.
  * @returns {!Blockly.FieldPercent} The new field instance.
  * @package
  * @nocollapse
  */
-Blockly.FieldPercent.fromJson = function (options) {
-  return new Blockly.FieldPercent(options['percent']);
+Blockly.FieldPercent.fromJson = function(options) {
+  var value = options['value'];
+  if (value === undefined) {
+    value = options['percent'];
+  }
+  return new Blockly.FieldPercent(value, options['min'], options['max'],
+      options['precision']);
 };
 
 /**
- * Round angles to the nearest 15 degrees when using mouse.
- * Set to 0 to disable rounding.
+ * Text shown after the value.
+ * @type {string}
+ * @const
  */
-Blockly.FieldPercent.ROUND = 3.565;
+Blockly.FieldPercent.SUFFIX = '%';
 
 /**
- * Half the width of protractor image.
+ * Round values to the nearest whole percent when dragging, unless the field
+ * has its own precision.  Set to 0 to disable rounding.
  */
-Blockly.FieldPercent.HALF = 120 / 2;
+Blockly.FieldPercent.ROUND = 1;
 
-/* The following two settings work together to set the behaviour of the angle
- * picker.  While many combinations are possible, two modes are typical:
- * Math mode.
- *   0 deg is right, 90 is up.  This is the style used by protractors.
- *   Blockly.FieldPercent.CLOCKWISE = false;
- *   Blockly.FieldPercent.OFFSET = 0;
- * Compass mode.
- *   0 deg is up, 90 is right.  This is the style used by maps.
- *   Blockly.FieldPercent.CLOCKWISE = true;
- *   Blockly.FieldPercent.OFFSET = 90;
+/**
+ * Half the width of the pie.
  */
+Blockly.FieldPercent.HALF = 120 / 2;
 
 /**
- * Angle increases clockwise (true) or counterclockwise (false).
+ * Radius of drag handle.
  */
-Blockly.FieldPercent.CLOCKWISE = true;
+Blockly.FieldPercent.HANDLE_RADIUS = 10;
 
 /**
- * Offset the location of 0 degrees (and all angles) by a constant.
- * Usually either 0 (0 = right) or 90 (0 = up).
+ * Half the stroke-width used for the "glow" around the drag handle, rounded
+ * up to nearest whole pixel.
  */
-Blockly.FieldPercent.OFFSET = 90;
+Blockly.FieldPercent.HANDLE_GLOW_WIDTH = 3;
 
 /**
- * Maximum allowed angle before wrapping.
- * Usually either 360 (for 0 to 359.9) or 180 (for -179.9 to 180).
+ * Radius of the pie.  Smaller than the editor so that the drag handle isn't
+ * cropped at the edges.
  */
-Blockly.FieldPercent.WRAP = 360;
+Blockly.FieldPercent.RADIUS = Blockly.FieldPercent.HALF -
+    Blockly.FieldPercent.HANDLE_RADIUS - Blockly.FieldPercent.HANDLE_GLOW_WIDTH;
 
 /**
- * Radius of drag handle
+ * Radius of central dot circle.
  */
-Blockly.FieldPercent.HANDLE_RADIUS = 10;
+Blockly.FieldPercent.CENTER_RADIUS = 2;
 
 /**
- * Width of drag handle arrow
+ * Number of markers drawn around the edge of the pie.
  */
-Blockly.FieldPercent.ARROW_WIDTH = Blockly.FieldPercent.HANDLE_RADIUS;
+Blockly.FieldPercent.MARKS = 10;
 
 /**
- * Half the stroke-width used for the "glow" around the drag handle, rounded up to nearest whole pixel
+ * Set the range and precision of this field.
+ * @param {(string|number)=} opt_min Minimum value.
+ * @param {(string|number)=} opt_max Maximum value.
+ * @param {(string|number)=} opt_precision Step to round values to.
+ * @private
  */
-
-Blockly.FieldPercent.HANDLE_GLOW_WIDTH = 3;
+Blockly.FieldPercent.prototype.setConstraints_ = function(opt_min, opt_max,
+    opt_precision) {
+  var min = parseFloat(opt_min);
+  var max = parseFloat(opt_max);
+  var precision = parseFloat(opt_precision);
+  this.min_ = isNaN(min) ? 0 : min;
+  this.max_ = isNaN(max) ? 100 : Math.max(max, this.min_);
+  this.precision_ = isNaN(precision) ? 0 : Math.abs(precision);
+};
 
 /**
- * Radius of protractor circle.  Slightly smaller than protractor size since
- * otherwise SVG crops off half the border at the edges.
+ * Get the smallest value this field accepts.
+ * @return {number} Minimum value.
  */
-Blockly.FieldPercent.RADIUS = Blockly.FieldPercent.HALF
-    - Blockly.FieldPercent.HANDLE_RADIUS - Blockly.FieldPercent.HANDLE_GLOW_WIDTH;
+Blockly.FieldPercent.prototype.getMin = function() {
+  return this.min_;
+};
 
 /**
- * Radius of central dot circle.
+ * Get the largest value this field accepts.
+ * @return {number} Maximum value.
  */
-Blockly.FieldPercent.CENTER_RADIUS = 2;
+Blockly.FieldPercent.prototype.getMax = function() {
+  return this.max_;
+};
 
 /**
- * Path to the arrow svg icon.
+ * Round a number to a step, without the floating point noise of
+ * Math.round(n / step) * step.
+ * @param {number} n The number.
+ * @param {number} step The step, or 0 for no rounding.
+ * @return {number} The rounded number.
+ * @private
  */
-Blockly.FieldPercent.ARROW_SVG_PATH = 'icons/arrow.svg';
+Blockly.FieldPercent.roundTo_ = function(n, step) {
+  if (!step) {
+    return n;
+  }
+  var decimals = (String(step).split('.')[1] || '').length;
+  return Number((Math.round(n / step) * step).toFixed(decimals));
+};
 
 /**
- * Clean up this FieldPercent, as well as the inherited FieldTextInput.
+ * Close the editor, saving its value and removing the drag listeners.
  * @return {!Function} Closure to call on destruction of the WidgetDiv.
  * @private
  */
-Blockly.FieldPercent.prototype.dispose_ = function () {
+Blockly.FieldPercent.prototype.widgetDispose_ = function() {
   var thisField = this;
+  var superDispose =
+      Blockly.FieldPercent.superClass_.widgetDispose_.call(this);
   return function() {
-    Blockly.FieldPercent.superClass_.dispose_.call(thisField)();
+    superDispose();
     thisField.gauge_ = null;
     if (thisField.mouseDownWrapper_) {
       Blockly.unbindEvent_(thisField.mouseDownWrapper_);
+      thisField.mouseDownWrapper_ = null;
     }
-    if (thisField.mouseUpWrapper_) {
-      Blockly.unbindEvent_(thisField.mouseUpWrapper_);
-    }
-    if (thisField.mouseMoveWrapper_) {
-      Blockly.unbindEvent_(thisField.mouseMoveWrapper_);
-    }
+    thisField.onMouseUp();
   };
 };
 
 /**
- * Show the inline free-text editor on top of the text.
+ * Show the inline free-text editor on top of the text, and a pie showing the
+ * value in a drop-down below it.
  * @private
  */
-Blockly.FieldPercent.prototype.showEditor_ = function () {
+Blockly.FieldPercent.prototype.showEditor_ = function() {
   var noFocus =
       goog.userAgent.MOBILE || goog.userAgent.ANDROID || goog.userAgent.IPAD;
   // Mobile browsers have issues with in-line textareas (focus & keyboards).
@@ -175,150 +216,143 @@ Blockly.FieldPercent.prototype.showEditor_ = function () {
   Blockly.DropDownDiv.hideWithoutAnimation();
   Blockly.DropDownDiv.clearContent();
   var div = Blockly.DropDownDiv.getContentDiv();
+  var half = Blockly.FieldPercent.HALF;
+  var radius = Blockly.FieldPercent.RADIUS;
   // Build the SVG DOM.
   var svg = Blockly.utils.createSvgElement('svg', {
     'xmlns': 'http://www.w3.org/2000/svg',
     'xmlns:html': 'http://www.w3.org/1999/xhtml',
     'xmlns:xlink': 'http://www.w3.org/1999/xlink',
     'version': '1.1',
-    'height': (Blockly.FieldPercent.HALF * 2) + 'px',
-    'width': (Blockly.FieldPercent.HALF * 2) + 'px'
+    'height': (half * 2) + 'px',
+    'width': (half * 2) + 'px'
   }, div);
   Blockly.utils.createSvgElement('circle', {
-    'cx': Blockly.FieldPercent.HALF, 'cy': Blockly.FieldPercent.HALF,
-    'r': Blockly.FieldPercent.RADIUS,
+    'cx': half, 'cy': half,
+    'r': radius,
     'class': 'blocklyPercentCircle'
   }, svg);
   this.gauge_ = Blockly.utils.createSvgElement('path',
       {'class': 'blocklyPercentGauge'}, svg);
   // The moving line, x2 and y2 are set in updateGraph_
-  this.line_ = Blockly.utils.createSvgElement('line',{
-    'x1': Blockly.FieldPercent.HALF,
-    'y1': Blockly.FieldPercent.HALF,
+  this.line_ = Blockly.utils.createSvgElement('line', {
+    'x1': half,
+    'y1': half,
     'class': 'blocklyPercentLine'
   }, svg);
-  // The fixed vertical line at the offset
-  var offsetRadians = Math.PI * Blockly.FieldPercent.OFFSET / 180;
+  // The fixed line at the minimum, straight up.
   Blockly.utils.createSvgElement('line', {
-    'x1': Blockly.FieldPercent.HALF,
-    'y1': Blockly.FieldPercent.HALF,
-    'x2': Blockly.FieldPercent.HALF + Blockly.FieldPercent.RADIUS * Math.cos(offsetRadians),
-    'y2': Blockly.FieldPercent.HALF - Blockly.FieldPercent.RADIUS * Math.sin(offsetRadians),
+    'x1': half,
+    'y1': half,
+    'x2': half,
+    'y2': half - radius,
     'class': 'blocklyPercentLine'
   }, svg);
   // Draw markers around the edge.
-  for (var percent = 0; percent < 360; percent += 36) {
+  for (var i = 0; i < Blockly.FieldPercent.MARKS; i++) {
+    var angle = 360 * i / Blockly.FieldPercent.MARKS;
     Blockly.utils.createSvgElement('line', {
-      'x1': Blockly.FieldPercent.HALF + Blockly.FieldPercent.RADIUS - 13,
-      'y1': Blockly.FieldPercent.HALF,
-      'x2': Blockly.FieldPercent.HALF + Blockly.FieldPercent.RADIUS - 7,
-      'y2': Blockly.FieldPercent.HALF,
+      'x1': half,
+      'y1': half - radius + 7,
+      'x2': half,
+      'y2': half - radius + 13,
       'class': 'blocklyPercentMarks',
-      'transform': 'rotate(' + percent + ',' +
-          Blockly.FieldPercent.HALF + ',' + Blockly.FieldPercent.HALF + ')'
+      'transform': 'rotate(' + angle + ',' + half + ',' + half + ')'
     }, svg);
   }
   // Center point
   Blockly.utils.createSvgElement('circle', {
-    'cx': Blockly.FieldPercent.HALF, 'cy': Blockly.FieldPercent.HALF,
+    'cx': half, 'cy': half,
     'r': Blockly.FieldPercent.CENTER_RADIUS,
     'class': 'blocklyPercentCenterPoint'
   }, svg);
-  // Handle group: a circle and the arrow image
-  this.handle_ = Blockly.utils.createSvgElement('g', {}, svg);
-  Blockly.utils.createSvgElement('circle', {
+  this.handle_ = Blockly.utils.createSvgElement('circle', {
     'cx': 0,
     'cy': 0,
     'r': Blockly.FieldPercent.HANDLE_RADIUS,
     'class': 'blocklyPercentDragHandle'
-  }, this.handle_);
-  this.arrowSvg_ = Blockly.utils.createSvgElement('image',
-      {
-        'width': Blockly.FieldPercent.ARROW_WIDTH,
-        'height': Blockly.FieldPercent.ARROW_WIDTH,
-        'x': -Blockly.FieldPercent.ARROW_WIDTH / 2,
-        'y': -Blockly.FieldPercent.ARROW_WIDTH / 2,
-        'class': 'blocklyPercentDragArrow'
-      },
-      this.handle_);
-  this.arrowSvg_.setAttributeNS(
-      'http://www.w3.org/1999/xlink',
-      'xlink:href',
-      Blockly.mainWorkspace.options.pathToMedia + Blockly.FieldPercent.ARROW_SVG_PATH
-  );
-
-  Blockly.DropDownDiv.setColour(this.sourceBlock_.parentBlock_.getColour(),
+  }, svg);
+
+  var colourBlock = this.sourceBlock_.getParent() || this.sourceBlock_;
+  Blockly.DropDownDiv.setColour(colourBlock.getColour(),
       this.sourceBlock_.getColourTertiary());
-  Blockly.DropDownDiv.setCategory(this.sourceBlock_.parentBlock_.getCategory());
+  Blockly.DropDownDiv.setCategory(colourBlock.getCategory());
   Blockly.DropDownDiv.showPositionedByBlock(this, this.sourceBlock_);
 
+  // Clicking anywhere on the pie sets the value and starts a drag.
   this.mouseDownWrapper_ =
-      Blockly.bindEvent_(this.handle_, 'mousedown', this, this.onMouseDown);
-	var reset_percent = Number(this.getText()) * Blockly.FieldPercent.ROUND;
-	this.callValidator(reset_percent);
-	this.setValue(reset_percent);
+      Blockly.bindEvent_(svg, 'mousedown', this, this.onMouseDown);
+
   this.updateGraph_();
 };
+
 /**
- * Set the angle to match the mouse's position.
- * @param {!Event} e Mouse move event.
+ * Set the value to match the mouse's position, and follow the mouse until it
+ * is released.
+ * @param {!Event} e Mouse down event.
  */
-Blockly.FieldPercent.prototype.onMouseDown = function () {
-  this.mouseMoveWrapper_ = Blockly.bindEvent_(document.body, 'mousemove', this, this.onMouseMove);
-  this.mouseUpWrapper_ = Blockly.bindEvent_(document.body, 'mouseup', this, this.onMouseUp);
+Blockly.FieldPercent.prototype.onMouseDown = function(e) {
+  this.onMouseUp();
+  this.mouseMoveWrapper_ = Blockly.bindEvent_(document.body, 'mousemove', this,
+      this.onMouseMove);
+  this.mouseUpWrapper_ = Blockly.bindEvent_(document.body, 'mouseup', this,
+      this.onMouseUp);
+  this.onMouseMove(e);
 };
 
 /**
- * Set the angle to match the mouse's position.
- * @param {!Event} e Mouse move event.
+ * Stop following the mouse.
  */
-Blockly.FieldPercent.prototype.onMouseUp = function () {
-  Blockly.unbindEvent_(this.mouseMoveWrapper_);
-  Blockly.unbindEvent_(this.mouseUpWrapper_);
+Blockly.FieldPercent.prototype.onMouseUp = function() {
+  if (this.mouseMoveWrapper_) {
+    Blockly.unbindEvent_(this.mouseMoveWrapper_);
+    this.mouseMoveWrapper_ = null;
+  }
+  if (this.mouseUpWrapper_) {
+    Blockly.unbindEvent_(this.mouseUpWrapper_);
+    this.mouseUpWrapper_ = null;
+  }
 };
 
 /**
- * Set the angle to match the mouse's position.
+ * Set the value to match the mouse's position.  The minimum is straight up,
+ * and values increase clockwise.
  * @param {!Event} e Mouse move event.
  */
-Blockly.FieldPercent.prototype.onMouseMove = function (e) {
-	e.preventDefault();
+Blockly.FieldPercent.prototype.onMouseMove = function(e) {
+  e.preventDefault();
+  if (!this.gauge_) {
+    return;
+  }
   var bBox = this.gauge_.ownerSVGElement.getBoundingClientRect();
   var dx = e.clientX - bBox.left - Blockly.FieldPercent.HALF;
   var dy = e.clientY - bBox.top - Blockly.FieldPercent.HALF;
-	var angle = Math.atan(-dy / dx);
-  if (isNaN(angle)) {
-    // This shouldn't happen, but let's not let this error propagate further.
+  if (!dx && !dy) {
     return;
   }
-  angle = goog.math.toDegrees(angle);
-  // 0: East, 90: North, 180: West, 270: South.
-  if (dx < 0) {
-    angle += 180;
-  } else if (dy > 0) {
+  // 0: North, 90: East, 180: South, 270: West.
+  var angle = goog.math.toDegrees(Math.atan2(dx, -dy));
+  if (angle < 0) {
     angle += 360;
   }
-  if (Blockly.FieldPercent.CLOCKWISE) {
-    angle = Blockly.FieldPercent.OFFSET + 360 - angle;
-  } else {
-    angle -= Blockly.FieldPercent.OFFSET;
+  var value = this.min_ + (this.max_ - this.min_) * angle / 360;
+  value = Blockly.FieldPercent.roundTo_(value,
+      this.precision_ || Blockly.FieldPercent.ROUND);
+  value = this.callValidator(String(value));
+  if (value === null) {
+    return;
   }
-  if (Blockly.FieldPercent.ROUND) {
-    angle = Math.round(angle / Blockly.FieldPercent.ROUND) *
-        Blockly.FieldPercent.ROUND;
-	}
-	var tmp = angle % 360;
-	Blockly.FieldTextInput.htmlInput_.value = Math.floor(tmp / Blockly.FieldPercent.ROUND); // 正解
-  this.setValue(angle); // getText()
+  Blockly.FieldTextInput.htmlInput_.value = value;
+  this.setValue(value);
   this.validate_();
   this.resizeEditor_();
 };
 
 /**
- * Insert a degree symbol.
+ * Redraw the pie when the text changes.
  * @param {?string} text New text.
  */
-Blockly.FieldPercent.prototype.setText = function (text) {
+Blockly.FieldPercent.prototype.setText = function(text) {
   Blockly.FieldPercent.superClass_.setText.call(this, text);
   if (!this.textElement_) {
     // Not rendered yet.
@@ -330,64 +364,77 @@ Blockly.FieldPercent.prototype.setText = function (text) {
 };
 
 /**
- * Redraw the graph with the current angle.
+ * Add the percent sign to the text shown on the block.
+ * @return {string} Currently displayed text.
  * @private
  */
-Blockly.FieldPercent.prototype.updateGraph_ = function () {
+Blockly.FieldPercent.prototype.getDisplayText_ = function() {
+  return Blockly.FieldPercent.superClass_.getDisplayText_.call(this) +
+      Blockly.FieldPercent.SUFFIX;
+};
+
+/**
+ * Get how far the current value is from the minimum to the maximum.
+ * @return {number} Fraction from 0 to 1, or NaN if the text isn't a number.
+ * @private
+ */
+Blockly.FieldPercent.prototype.getFraction_ = function() {
+  var range = this.max_ - this.min_;
+  var fraction = range ? (Number(this.getText()) - this.min_) / range : 1;
+  return isNaN(fraction) ? NaN : goog.math.clamp(fraction, 0, 1);
+};
+
+/**
+ * Redraw the pie with the current value.
+ * @private
+ */
+Blockly.FieldPercent.prototype.updateGraph_ = function() {
   if (!this.gauge_) {
     return;
   }
-	var angleDegrees = (Number(this.getText())) % 360 + Blockly.FieldPercent.OFFSET;
-  var angleRadians = goog.math.toRadians(angleDegrees);
-  var path = ['M ', Blockly.FieldPercent.HALF, ',', Blockly.FieldPercent.HALF];
-  var x2 = Blockly.FieldPercent.HALF;
-  var y2 = Blockly.FieldPercent.HALF;
-  if (!isNaN(angleRadians)) {
-    var angle1 = goog.math.toRadians(Blockly.FieldPercent.OFFSET);
-    var x1 = Math.cos(angle1) * Blockly.FieldPercent.RADIUS;
-    var y1 = Math.sin(angle1) * -Blockly.FieldPercent.RADIUS;
-    if (Blockly.FieldPercent.CLOCKWISE) {
-      angleRadians = 2 * angle1 - angleRadians;
-    }
-    x2 += Math.cos(angleRadians) * Blockly.FieldPercent.RADIUS;
-    y2 -= Math.sin(angleRadians) * Blockly.FieldPercent.RADIUS;
-    // Use large arc only if input value is greater than wrap
-    var largeFlag = Math.abs(angleDegrees - Blockly.FieldPercent.OFFSET) > 180 ? 1 : 0;
-    var sweepFlag = Number(Blockly.FieldPercent.CLOCKWISE);
-    if (angleDegrees < Blockly.FieldPercent.OFFSET) {
-      sweepFlag = 1 - sweepFlag; // Sweep opposite direction if less than the offset
-    }
-    path.push(' l ', x1, ',', y1,
-        ' A ', Blockly.FieldPercent.RADIUS, ',', Blockly.FieldPercent.RADIUS,
-        ' 0 ', largeFlag, ' ', sweepFlag, ' ', x2, ',', y2, ' z');
-
-    // Image rotation needs to be set in degrees
-    if (Blockly.FieldPercent.CLOCKWISE) {
-      var imageRotation = angleDegrees + 2 * Blockly.FieldPercent.OFFSET;
-    } else {
-      var imageRotation = -angleDegrees;
+  var half = Blockly.FieldPercent.HALF;
+  var radius = Blockly.FieldPercent.RADIUS;
+  var fraction = this.getFraction_();
+  var x2 = half;
+  var y2 = half;
+  var path = '';
+  if (!isNaN(fraction)) {
+    var angle = 2 * Math.PI * fraction;
+    x2 += Math.sin(angle) * radius;
+    y2 -= Math.cos(angle) * radius;
+    if (fraction >= 1) {
+      // An arc can't start and end at the same point, so draw two halves.
+      path = ['M', half, half - radius,
+        'A', radius, radius, 0, 1, 1, half, half + radius,
+        'A', radius, radius, 0, 1, 1, half, half - radius, 'z'].join(' ');
+    } else if (fraction > 0) {
+      path = ['M', half, half, 'L', half, half - radius,
+        'A', radius, radius, 0, fraction > 0.5 ? 1 : 0, 1, x2, y2,
+        'z'].join(' ');
     }
-    this.arrowSvg_.setAttribute('transform', 'rotate(' + (imageRotation) + ')');
   }
-  this.gauge_.setAttribute('d', path.join(''));
+  this.gauge_.setAttribute('d', path);
   this.line_.setAttribute('x2', x2);
   this.line_.setAttribute('y2', y2);
   this.handle_.setAttribute('transform', 'translate(' + x2 + ',' + y2 + ')');
 };
 
 /**
- * Ensure that only an angle may be entered.
+ * Ensure that only a number between the minimum and maximum may be entered.
  * @param {string} text The user's text.
- * @return {?string} A string representing a valid angle, or null if invalid.
+ * @return {?string} A string representing a valid value, or null if invalid.
  */
 Blockly.FieldPercent.prototype.classValidator = function(text) {
   if (text === null) {
     return null;
   }
-  var n = parseFloat(text || 0);
+  // Accept pasted text that includes the percent sign.
+  var n = parseFloat(String(text || 0).replace(Blockly.FieldPercent.SUFFIX, ''));
   if (isNaN(n)) {
     return null;
   }
+  n = Blockly.FieldPercent.roundTo_(n, this.precision_);
+  n = goog.math.clamp(n, this.min_, this.max_);
   return String(n);
 };
 
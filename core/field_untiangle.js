@@ -29,28 +29,32 @@ goog.provide('Blockly.FieldUntiangle');
 goog.require('Blockly.DropDownDiv');
 goog.require('Blockly.FieldTextInput');
 goog.require('goog.math');
+goog.require('goog.math.Coordinate');
 goog.require('goog.userAgent');
 
 
 /**
- * Class for an editable angle field.
+ * Class for an editable angle field whose dial can be configured per
+ * instance.
  * @param {(string|number)=} opt_value The initial content of the field. The
  *     value should cast to a number, and if it does not, '0' will be used.
  * @param {Function=} opt_validator An optional function that is called
  *     to validate any constraints on what the user entered.  Takes the new
  *     text as an argument and returns the accepted text or null to abort
  *     the change.
+ * @param {Object=} opt_config Settings for the dial: 'wrap', 'round',
+ *     'clockwise', 'offset' and 'halfCircle'.  Anything not given is taken
+ *     from Blockly.FieldUntiangle.WRAP, ROUND, CLOCKWISE and OFFSET, and the
+ *     dial is a full circle.
  * @extends {Blockly.FieldTextInput}
  * @constructor
  */
-Blockly.FieldUntiangle = function(opt_value, opt_validator) {
-  // Add degree symbol: '360°' (LTR) or '°360' (RTL)
-  this.symbol_ = Blockly.utils.createSvgElement('tspan', {}, null);
-  this.symbol_.appendChild(document.createTextNode('\u00B0'));
-  
+Blockly.FieldUntiangle = function(opt_value, opt_validator, opt_config) {
+  this.setConfig_(opt_config || {});
   var numRestrictor = new RegExp("[\\d]|[\\.]|[-]|[eE]");
 
-  opt_value = (opt_value && !isNaN(opt_value)) ? String(opt_value) : '0';
+  opt_value = (opt_value && !isNaN(opt_value)) ?
+      this.classValidator(String(opt_value)) : this.classValidator('0');
   Blockly.FieldUntiangle.superClass_.constructor.call(
       this, opt_value, opt_validator, numRestrictor);
   this.addArgType('untiangle');
@@ -59,18 +63,24 @@ goog.inherits(Blockly.FieldUntiangle, Blockly.FieldTextInput);
 
 /**
  * Construct a FieldUntiangle from a JSON arg object.
- * @param {!Object} options A JSON object with options (angle).
+ * @param {!Object} options A JSON object with options (value, wrap, round,
+ *     clockwise, offset and halfCircle).  'untiangle' is accepted in place of
+ *     'value'.
  * @returns {!Blockly.FieldUntiangle} The new field instance.
  * @package
  * @nocollapse
  */
 Blockly.FieldUntiangle.fromJson = function(options) {
-  return new Blockly.FieldUntiangle(options['untiangle']);
+  var value = options['value'];
+  if (value === undefined) {
+    value = options['untiangle'];
+  }
+  return new Blockly.FieldUntiangle(value, null, options);
 };
 
 /**
- * Round angles to the nearest 15 degrees when using mouse.
- * Set to 0 to disable rounding.
+ * Default for rounding angles when using the mouse, to the nearest 15
+ * degrees.  Set to 0 to disable rounding.
  */
 Blockly.FieldUntiangle.ROUND = 15;
 
@@ -83,31 +93,35 @@ Blockly.FieldUntiangle.HALF = 120 / 2;
  * picker.  While many combinations are possible, two modes are typical:
  * Math mode.
  *   0 deg is right, 90 is up.  This is the style used by protractors.
- *   Blockly.FieldUntiangle.CLOCKWISE = false;
- *   Blockly.FieldUntiangle.OFFSET = 0;
+ *   clockwise = false, offset = 0
  * Compass mode.
  *   0 deg is up, 90 is right.  This is the style used by maps.
- *   Blockly.FieldUntiangle.CLOCKWISE = true;
- *   Blockly.FieldUntiangle.OFFSET = 90;
+ *   clockwise = true, offset = 90
  */
 
 /**
- * Untiangle increases clockwise (true) or counterclockwise (false).
+ * Default for whether angles increase clockwise (true) or counterclockwise
+ * (false).
  */
 Blockly.FieldUntiangle.CLOCKWISE = false;
 
 /**
- * Offset the location of 0 degrees (and all angles) by a constant.
+ * Default offset of the location of 0 degrees (and all angles).
  * Usually either 0 (0 = right) or 90 (0 = up).
  */
 Blockly.FieldUntiangle.OFFSET = 90;
 
 /**
- * Maximum allowed angle before wrapping.
+ * Default maximum allowed angle before wrapping.
  * Usually either 360 (for 0 to 359.9) or 180 (for -179.9 to 180).
  */
 Blockly.FieldUntiangle.WRAP = 180;
 
+/**
+ * Angle between the markers around the edge of the dial.
+ */
+Blockly.FieldUntiangle.MARK_STEP = 15;
+
 /**
  * Radius of drag handle
  */
@@ -142,24 +156,125 @@ Blockly.FieldUntiangle.CENTER_RADIUS = 2;
 Blockly.FieldUntiangle.ARROW_SVG_PATH = 'icons/arrow.svg';
 
 /**
- * Clean up this FieldUntiangle, as well as the inherited FieldTextInput.
+ * Read and check the dial settings.
+ * @param {!Object} config Settings for the dial.  See the constructor.
+ * @throws {Error} If a setting is out of range.
+ * @private
+ */
+Blockly.FieldUntiangle.prototype.setConfig_ = function(config) {
+  var number = function(name, defaultValue) {
+    if (config[name] === undefined || config[name] === null) {
+      return defaultValue;
+    }
+    var value = Number(config[name]);
+    if (isNaN(value)) {
+      throw new Error('Untiangle ' + name + ' must be a number, not "' +
+          config[name] + '"');
+    }
+    return value;
+  };
+  var wrap = number('wrap', Blockly.FieldUntiangle.WRAP);
+  if (wrap < 0 || wrap > 360) {
+    throw new Error('Untiangle wrap must be from 0 to 360, not ' + wrap);
+  }
+  var round = number('round', Blockly.FieldUntiangle.ROUND);
+  if (round < 0) {
+    throw new Error('Untiangle round must not be negative, not ' + round);
+  }
+  this.wrap_ = wrap;
+  this.round_ = round;
+  this.offset_ = number('offset', Blockly.FieldUntiangle.OFFSET) % 360;
+  this.clockwise_ = config['clockwise'] === undefined ?
+      Blockly.FieldUntiangle.CLOCKWISE : !!config['clockwise'];
+  this.halfCircle_ = !!config['halfCircle'];
+};
+
+/**
+ * Get the dial settings of this field.
+ * @return {!Object} The settings, in the same format as the constructor's
+ *     opt_config.
+ */
+Blockly.FieldUntiangle.prototype.getConfig = function() {
+  return {
+    'wrap': this.wrap_,
+    'round': this.round_,
+    'clockwise': this.clockwise_,
+    'offset': this.offset_,
+    'halfCircle': this.halfCircle_
+  };
+};
+
+/**
+ * Get the smallest angle this field accepts.  Angles between the maximum and
+ * minimum wrap around, or on a half-circle dial, are clamped.
+ * @return {number} The smallest angle.
+ * @private
+ */
+Blockly.FieldUntiangle.prototype.getMin_ = function() {
+  return this.wrap_ - (this.halfCircle_ ? 180 : 360);
+};
+
+/**
+ * Convert an angle into the direction it points on the dial, taking the
+ * orientation and offset into account.
+ * @param {number} angle The angle.
+ * @return {number} Degrees counterclockwise from the right.
+ * @private
+ */
+Blockly.FieldUntiangle.prototype.toDialDegrees_ = function(angle) {
+  return this.offset_ + (this.clockwise_ ? -angle : angle);
+};
+
+/**
+ * Get the point on the edge of the dial for an angle.
+ * @param {number} angle The angle.
+ * @return {!goog.math.Coordinate} The point, in the dial's SVG.
+ * @private
+ */
+Blockly.FieldUntiangle.prototype.getDialPoint_ = function(angle) {
+  var radians = goog.math.toRadians(this.toDialDegrees_(angle));
+  return new goog.math.Coordinate(
+      Blockly.FieldUntiangle.HALF +
+          Math.cos(radians) * Blockly.FieldUntiangle.RADIUS,
+      Blockly.FieldUntiangle.HALF -
+          Math.sin(radians) * Blockly.FieldUntiangle.RADIUS);
+};
+
+/**
+ * Get the SVG path of an arc around the edge of the dial.
+ * @param {number} from The angle to start at.
+ * @param {number} to The angle to end at.
+ * @return {string} Path data for the arc, starting with a line to its start.
+ * @private
+ */
+Blockly.FieldUntiangle.prototype.getArcPath_ = function(from, to) {
+  var start = this.getDialPoint_(from);
+  var end = this.getDialPoint_(to);
+  var largeFlag = Math.abs(to - from) > 180 ? 1 : 0;
+  // In SVG, sweep flag 1 goes clockwise on screen.
+  var sweepFlag = (to > from) == this.clockwise_ ? 1 : 0;
+  return ['L', start.x, start.y,
+    'A', Blockly.FieldUntiangle.RADIUS, Blockly.FieldUntiangle.RADIUS,
+    0, largeFlag, sweepFlag, end.x, end.y].join(' ');
+};
+
+/**
+ * Close the editor, saving its value and removing the drag listeners.
  * @return {!Function} Closure to call on destruction of the WidgetDiv.
  * @private
  */
-Blockly.FieldUntiangle.prototype.dispose_ = function() {
+Blockly.FieldUntiangle.prototype.widgetDispose_ = function() {
   var thisField = this;
+  var superDispose =
+      Blockly.FieldUntiangle.superClass_.widgetDispose_.call(this);
   return function() {
-    Blockly.FieldUntiangle.superClass_.dispose_.call(thisField)();
+    superDispose();
     thisField.gauge_ = null;
     if (thisField.mouseDownWrapper_) {
       Blockly.unbindEvent_(thisField.mouseDownWrapper_);
+      thisField.mouseDownWrapper_ = null;
     }
-    if (thisField.mouseUpWrapper_) {
-      Blockly.unbindEvent_(thisField.mouseUpWrapper_);
-    }
-    if (thisField.mouseMoveWrapper_) {
-      Blockly.unbindEvent_(thisField.mouseMoveWrapper_);
-    }
+    thisField.onMouseUp();
   };
 };
 
@@ -176,52 +291,69 @@ Blockly.FieldUntiangle.prototype.showEditor_ = function() {
   Blockly.DropDownDiv.hideWithoutAnimation();
   Blockly.DropDownDiv.clearContent();
   var div = Blockly.DropDownDiv.getContentDiv();
+  var half = Blockly.FieldUntiangle.HALF;
   // Build the SVG DOM.
   var svg = Blockly.utils.createSvgElement('svg', {
     'xmlns': 'http://www.w3.org/2000/svg',
     'xmlns:html': 'http://www.w3.org/1999/xhtml',
     'xmlns:xlink': 'http://www.w3.org/1999/xlink',
     'version': '1.1',
-    'height': (Blockly.FieldUntiangle.HALF * 2) + 'px',
-    'width': (Blockly.FieldUntiangle.HALF * 2) + 'px'
+    'height': (half * 2) + 'px',
+    'width': (half * 2) + 'px'
   }, div);
-  Blockly.utils.createSvgElement('circle', {
-    'cx': Blockly.FieldUntiangle.HALF, 'cy': Blockly.FieldUntiangle.HALF,
-    'r': Blockly.FieldUntiangle.RADIUS,
-    'class': 'blocklyUntiangleCircle'
-  }, svg);
+  if (this.halfCircle_) {
+    Blockly.utils.createSvgElement('path', {
+      'd': 'M ' + half + ' ' + half + ' ' +
+          this.getArcPath_(this.getMin_(), this.wrap_) + ' z',
+      'class': 'blocklyUntiangleCircle'
+    }, svg);
+  } else {
+    Blockly.utils.createSvgElement('circle', {
+      'cx': half, 'cy': half,
+      'r': Blockly.FieldUntiangle.RADIUS,
+      'class': 'blocklyUntiangleCircle'
+    }, svg);
+  }
   this.gauge_ = Blockly.utils.createSvgElement('path',
       {'class': 'blocklyUntiangleGauge'}, svg);
   // The moving line, x2 and y2 are set in updateGraph_
-  this.line_ = Blockly.utils.createSvgElement('line',{
-    'x1': Blockly.FieldUntiangle.HALF,
-    'y1': Blockly.FieldUntiangle.HALF,
+  this.line_ = Blockly.utils.createSvgElement('line', {
+    'x1': half,
+    'y1': half,
     'class': 'blocklyUntiangleLine'
   }, svg);
-  // The fixed vertical line at the offset
-  var offsetRadians = Math.PI * Blockly.FieldUntiangle.OFFSET / 180;
+  // The fixed line at 0 degrees.
+  var zero = this.getDialPoint_(0);
   Blockly.utils.createSvgElement('line', {
-    'x1': Blockly.FieldUntiangle.HALF,
-    'y1': Blockly.FieldUntiangle.HALF,
-    'x2': Blockly.FieldUntiangle.HALF + Blockly.FieldUntiangle.RADIUS * Math.cos(offsetRadians),
-    'y2': Blockly.FieldUntiangle.HALF - Blockly.FieldUntiangle.RADIUS * Math.sin(offsetRadians),
+    'x1': half,
+    'y1': half,
+    'x2': zero.x,
+    'y2': zero.y,
     'class': 'blocklyUntiangleLine'
   }, svg);
   // Draw markers around the edge.
-  for (var angle = 0; angle < 360; angle += 15) {
+  var min = this.getMin_();
+  var markCount = (this.halfCircle_ ? 180 : 360) /
+      Blockly.FieldUntiangle.MARK_STEP;
+  for (var i = 0; i <= markCount; i++) {
+    if (i == markCount && !this.halfCircle_) {
+      // The last marker of a full circle is the first one.
+      break;
+    }
+    var angle = min + i * Blockly.FieldUntiangle.MARK_STEP;
     Blockly.utils.createSvgElement('line', {
-      'x1': Blockly.FieldUntiangle.HALF + Blockly.FieldUntiangle.RADIUS - 13,
-      'y1': Blockly.FieldUntiangle.HALF,
-      'x2': Blockly.FieldUntiangle.HALF + Blockly.FieldUntiangle.RADIUS - 7,
-      'y2': Blockly.FieldUntiangle.HALF,
+      'x1': half + Blockly.FieldUntiangle.RADIUS - 13,
+      'y1': half,
+      'x2': half + Blockly.FieldUntiangle.RADIUS - 7,
+      'y2': half,
       'class': 'blocklyUntiangleMarks',
-      'transform': 'rotate(' + angle + ',' +
-          Blockly.FieldUntiangle.HALF + ',' + Blockly.FieldUntiangle.HALF + ')'
+      'transform': 'rotate(' + -this.toDialDegrees_(angle) + ',' +
+          half + ',' + half + ')'
     }, svg);
   }
   // Center point
   Blockly.utils.createSvgElement('circle', {
-    'cx': Blockly.FieldUntiangle.HALF, 'cy': Blockly.FieldUntiangle.HALF,
+    'cx': half, 'cy': half,
     'r': Blockly.FieldUntiangle.CENTER_RADIUS,
     'class': 'blocklyUntiangleCenterPoint'
   }, svg);
@@ -248,9 +380,10 @@ Blockly.FieldUntiangle.prototype.showEditor_ = function() {
       Blockly.mainWorkspace.options.pathToMedia + Blockly.FieldUntiangle.ARROW_SVG_PATH
   );
 
-  Blockly.DropDownDiv.setColour(this.sourceBlock_.parentBlock_.getColour(),
+  var colourBlock = this.sourceBlock_.getParent() || this.sourceBlock_;
+  Blockly.DropDownDiv.setColour(colourBlock.getColour(),
       this.sourceBlock_.getColourTertiary());
-  Blockly.DropDownDiv.setCategory(this.sourceBlock_.parentBlock_.getCategory());
+  Blockly.DropDownDiv.setCategory(colourBlock.getCategory());
   Blockly.DropDownDiv.showPositionedByBlock(this, this.sourceBlock_);
 
   this.mouseDownWrapper_ =
@@ -258,22 +391,29 @@ Blockly.FieldUntiangle.prototype.showEditor_ = function() {
 
   this.updateGraph_();
 };
+
 /**
- * Set the angle to match the mouse's position.
- * @param {!Event} e Mouse move event.
+ * Start following the mouse.
+ * @param {!Event} e Mouse down event.
  */
 Blockly.FieldUntiangle.prototype.onMouseDown = function() {
+  this.onMouseUp();
   this.mouseMoveWrapper_ = Blockly.bindEvent_(document.body, 'mousemove', this, this.onMouseMove);
   this.mouseUpWrapper_ = Blockly.bindEvent_(document.body, 'mouseup', this, this.onMouseUp);
 };
 
 /**
- * Set the angle to match the mouse's position.
- * @param {!Event} e Mouse move event.
+ * Stop following the mouse.
  */
 Blockly.FieldUntiangle.prototype.onMouseUp = function() {
-  Blockly.unbindEvent_(this.mouseMoveWrapper_);
-  Blockly.unbindEvent_(this.mouseUpWrapper_);
+  if (this.mouseMoveWrapper_) {
+    Blockly.unbindEvent_(this.mouseMoveWrapper_);
+    this.mouseMoveWrapper_ = null;
+  }
+  if (this.mouseUpWrapper_) {
+    Blockly.unbindEvent_(this.mouseUpWrapper_);
+    this.mouseUpWrapper_ = null;
+  }
 };
 
 /**
@@ -285,28 +425,23 @@ Blockly.FieldUntiangle.prototype.onMouseMove = function(e) {
   var bBox = this.gauge_.ownerSVGElement.getBoundingClientRect();
   var dx = e.clientX - bBox.left - Blockly.FieldUntiangle.HALF;
   var dy = e.clientY - bBox.top - Blockly.FieldUntiangle.HALF;
-  var angle = Math.atan(-dy / dx);
-  if (isNaN(angle)) {
-    // This shouldn't happen, but let's not let this error propagate further.
+  if (!dx && !dy) {
     return;
   }
-  angle = goog.math.toDegrees(angle);
   // 0: East, 90: North, 180: West, 270: South.
-  if (dx < 0) {
-    angle += 180;
-  } else if (dy > 0) {
-    angle += 360;
-  }
-  if (Blockly.FieldUntiangle.CLOCKWISE) {
-    angle = Blockly.FieldUntiangle.OFFSET + 360 - angle;
+  var angle = goog.math.toDegrees(Math.atan2(-dy, dx));
+  if (this.clockwise_) {
+    angle = this.offset_ - angle;
   } else {
-    angle -= Blockly.FieldUntiangle.OFFSET;
+    angle -= this.offset_;
   }
-  if (Blockly.FieldUntiangle.ROUND) {
-    angle = Math.round(angle / Blockly.FieldUntiangle.ROUND) *
-        Blockly.FieldUntiangle.ROUND;
+  if (this.round_) {
+    angle = Math.round(angle / this.round_) * this.round_;
+  }
+  angle = this.callValidator(String(angle));
+  if (angle === null) {
+    return;
   }
-  angle = this.callValidator(angle);
   Blockly.FieldTextInput.htmlInput_.value = angle;
   this.setValue(angle);
   this.validate_();
@@ -314,7 +449,7 @@ Blockly.FieldUntiangle.prototype.onMouseMove = function(e) {
 };
 
 /**
- * Insert a degree symbol.
+ * Redraw the dial when the text changes.
  * @param {?string} text New text.
  */
 Blockly.FieldUntiangle.prototype.setText = function(text) {
@@ -336,46 +471,30 @@ Blockly.FieldUntiangle.prototype.updateGraph_ = function() {
   if (!this.gauge_) {
     return;
   }
-  var angleDegrees = Number(this.getText()) % 360 + Blockly.FieldUntiangle.OFFSET;
-  var angleRadians = goog.math.toRadians(angleDegrees);
-  var path = ['M ', Blockly.FieldUntiangle.HALF, ',', Blockly.FieldUntiangle.HALF];
-  var x2 = Blockly.FieldUntiangle.HALF;
-  var y2 = Blockly.FieldUntiangle.HALF;
-  if (!isNaN(angleRadians)) {
-    var angle1 = goog.math.toRadians(Blockly.FieldUntiangle.OFFSET);
-    var x1 = Math.cos(angle1) * Blockly.FieldUntiangle.RADIUS;
-    var y1 = Math.sin(angle1) * -Blockly.FieldUntiangle.RADIUS;
-    if (Blockly.FieldUntiangle.CLOCKWISE) {
-      angleRadians = 2 * angle1 - angleRadians;
+  var half = Blockly.FieldUntiangle.HALF;
+  var angle = Number(this.getText());
+  var point = new goog.math.Coordinate(half, half);
+  var path = '';
+  if (!isNaN(angle)) {
+    point = this.getDialPoint_(angle);
+    if (angle) {
+      path = 'M ' + half + ' ' + half + ' ' + this.getArcPath_(0, angle) +
+          ' z';
     }
-    x2 += Math.cos(angleRadians) * Blockly.FieldUntiangle.RADIUS;
-    y2 -= Math.sin(angleRadians) * Blockly.FieldUntiangle.RADIUS;
-    // Use large arc only if input value is greater than wrap
-    var largeFlag = Math.abs(angleDegrees - Blockly.FieldUntiangle.OFFSET) > 180 ? 1 : 0;
-    var sweepFlag = Number(Blockly.FieldUntiangle.CLOCKWISE);
-    if (angleDegrees < Blockly.FieldUntiangle.OFFSET) {
-      sweepFlag = 1 - sweepFlag; // Sweep opposite direction if less than the offset
-    }
-    path.push(' l ', x1, ',', y1,
-        ' A ', Blockly.FieldUntiangle.RADIUS, ',', Blockly.FieldUntiangle.RADIUS,
-        ' 0 ', largeFlag, ' ', sweepFlag, ' ', x2, ',', y2, ' z');
-
-    // Image rotation needs to be set in degrees
-    if (Blockly.FieldUntiangle.CLOCKWISE) {
-      var imageRotation = angleDegrees + 2 * Blockly.FieldUntiangle.OFFSET;
-    } else {
-      var imageRotation = -angleDegrees;
-    }
-    this.arrowSvg_.setAttribute('transform', 'rotate(' + (imageRotation) + ')');
+    // Image rotation needs to be set in degrees, clockwise.
+    this.arrowSvg_.setAttribute('transform',
+        'rotate(' + -this.toDialDegrees_(angle) + ')');
   }
-  this.gauge_.setAttribute('d', path.join(''));
-  this.line_.setAttribute('x2', x2);
-  this.line_.setAttribute('y2', y2);
-  this.handle_.setAttribute('transform', 'translate(' + x2 + ',' + y2 + ')');
+  this.gauge_.setAttribute('d', path);
+  this.line_.setAttribute('x2', point.x);
+  this.line_.setAttribute('y2', point.y);
+  this.handle_.setAttribute('transform',
+      'translate(' + point.x + ',' + point.y + ')');
 };
 
 /**
- * Ensure that only an angle may be entered.
+ * Ensure that only an angle in this field's range may be entered.  Angles
+ * wrap around the circle, and are clamped to a half-circle dial.
  * @param {string} text The user's text.
  * @return {?string} A string representing a valid angle, or null if invalid.
  */
@@ -391,9 +510,14 @@ Blockly.FieldUntiangle.prototype.classValidator = function(text) {
   if (n < 0) {
     n += 360;
   }
-  if (n > Blockly.FieldUntiangle.WRAP) {
+  if (n > this.wrap_) {
     n -= 360;
   }
+  if (this.halfCircle_ && n < this.getMin_()) {
+    // Clamp to whichever end of the dial is closer.
+    n = (this.getMin_() - n < n + 360 - this.wrap_) ?
+        this.getMin_() : this.wrap_;
+  }
   return String(n);
 };
 
@@ -28,6 +28,7 @@
 goog.provide('Blockly.Generator');
 
 goog.require('Blockly.Block');
+goog.require('Blockly.SourceMap');
 goog.require('goog.asserts');
 
 
@@ -83,18 +84,66 @@ Blockly.Generator.prototype.COMMENT_WRAP = 60;
  */
 Blockly.Generator.prototype.ORDER_OVERRIDES = [];
 
+/**
+ * Marks the start of the code of a block when building a source map.  The
+ * markers are whitespace, so that generators inspecting statement code with
+ * regular expressions are not confused by them.
+ * @const {string}
+ * @private
+ */
+Blockly.Generator.SOURCE_MAP_START_ = '\u2000';
+
+/**
+ * Marks the end of the code of a block when building a source map.
+ * @const {string}
+ * @private
+ */
+Blockly.Generator.SOURCE_MAP_END_ = '\u202F';
+
+/**
+ * Ends the index following a source map marker.
+ * @const {string}
+ * @private
+ */
+Blockly.Generator.SOURCE_MAP_TERMINATOR_ = '\u2001';
+
+/**
+ * Character code of the first of the nine whitespace characters encoding the
+ * index following a source map marker.
+ * @const {number}
+ * @private
+ */
+Blockly.Generator.SOURCE_MAP_DIGIT_ = 0x2002;
+
+/**
+ * IDs of the blocks marked in the code being generated, or null if no source
+ * map is being built.
+ * @type {Array.<string>}
+ * @private
+ */
+Blockly.Generator.prototype.sourceMapIds_ = null;
+
 /**
  * Generate code for all blocks in the workspace to the specified language.
+ * To relate the code to the blocks, e.g. to highlight the block that caused a
+ * runtime error, pass a source map:
+ *   var sourceMap = new Blockly.SourceMap();
+ *   var code = Blockly.JavaScript.workspaceToCode(workspace, sourceMap);
+ *   workspace.highlightBlock(sourceMap.getBlockIdAt(line, column));
  * @param {Blockly.Workspace} workspace Workspace to generate code from.
+ * @param {Blockly.SourceMap=} opt_sourceMap Source map to fill in with the
+ *     range of code generated for each statement block.
  * @return {string} Generated code.
  */
-Blockly.Generator.prototype.workspaceToCode = function(workspace) {
+Blockly.Generator.prototype.workspaceToCode = function(workspace,
+    opt_sourceMap) {
   if (!workspace) {
     // Backwards compatibility from before there could be multiple workspaces.
     console.warn('No workspace specified in workspaceToCode call.  Guessing.');
     workspace = Blockly.getMainWorkspace();
   }
   var code = [];
+  this.sourceMapIds_ = opt_sourceMap ? [] : null;
   this.init(workspace);
   var blocks = workspace.getTopBlocks(true);
   for (var x = 0, block; block = blocks[x]; x++) {
@@ -119,9 +168,93 @@ Blockly.Generator.prototype.workspaceToCode = function(workspace) {
   code = code.replace(/^\s+\n/, '');
   code = code.replace(/\n\s+$/, '\n');
   code = code.replace(/[ \t]+\n/g, '\n');
+  if (opt_sourceMap) {
+    code = this.extractSourceMap_(code, opt_sourceMap);
+    this.sourceMapIds_ = null;
+  }
   return code;
 };
 
+/**
+ * Surround the code of a block with markers recording its block ID.
+ * Trailing line breaks stay outside the markers.
+ * @param {string} id ID of the block.
+ * @param {string} code The code generated for the block.
+ * @return {string} The marked code.
+ * @private
+ */
+Blockly.Generator.prototype.markSourceRange_ = function(id, code) {
+  var index = this.sourceMapIds_.push(id) - 1;
+  var tag = '';
+  do {
+    tag = String.fromCharCode(Blockly.Generator.SOURCE_MAP_DIGIT_ + index % 9) +
+        tag;
+    index = Math.floor(index / 9);
+  } while (index);
+  tag += Blockly.Generator.SOURCE_MAP_TERMINATOR_;
+  var body = code.replace(/\n*$/, '');
+  return Blockly.Generator.SOURCE_MAP_START_ + tag + body +
+      Blockly.Generator.SOURCE_MAP_END_ + tag + code.substring(body.length);
+};
+
+/**
+ * Remove the markers from generated code, recording where they were.
+ * @param {string} code The marked code.
+ * @param {!Blockly.SourceMap} sourceMap Source map to fill in.
+ * @return {string} The code without markers.
+ * @private
+ */
+Blockly.Generator.prototype.extractSourceMap_ = function(code, sourceMap) {
+  sourceMap.clear();
+  var re = /([\u2000\u202F])([\u2002-\u200A]+)\u2001/g;
+  var output = [];
+  var ranges = [];
+  var open = Object.create(null);
+  var line = 0;
+  var column = 0;
+  var last = 0;
+  var match;
+  while ((match = re.exec(code))) {
+    var text = code.substring(last, match.index);
+    output.push(text);
+    var lines = text.split('\n');
+    if (lines.length > 1) {
+      line += lines.length - 1;
+      column = 0;
+    }
+    column += lines[lines.length - 1].length;
+    last = re.lastIndex;
+
+    var index = 0;
+    for (var i = 0; i < match[2].length; i++) {
+      index = index * 9 + match[2].charCodeAt(i) -
+          Blockly.Generator.SOURCE_MAP_DIGIT_;
+    }
+    if (match[1] == Blockly.Generator.SOURCE_MAP_START_) {
+      var range = {
+        blockId: this.sourceMapIds_[index],
+        startLine: line,
+        startColumn: column,
+        endLine: -1,
+        endColumn: -1
+      };
+      open[index] = range;
+      ranges.push(range);
+    } else if (open[index]) {
+      open[index].endLine = line;
+      open[index].endColumn = column;
+    }
+  }
+  output.push(code.substring(last));
+  // Code that a generator discarded leaves no complete range.
+  for (var i = 0; i < ranges.length; i++) {
+    if (ranges[i].endLine != -1) {
+      sourceMap.addRange(ranges[i]);
+    }
+  }
+  return output.join('');
+};
+
 // The following are some helpful functions which can be used by multiple
 // languages.
 
@@ -187,6 +320,9 @@ Blockly.Generator.prototype.blockToCode = function(block) {
         'Expecting string from statement block "%s".', block.type);
     return [this.scrub_(block, code[0]), code[1]];
   } else if (goog.isString(code)) {
+    if (this.sourceMapIds_ && code) {
+      code = this.markSourceRange_(block.id, code);
+    }
     var id = block.id.replace(/\$/g, '$$$$');  // Issue 251.
     if (this.STATEMENT_PREFIX) {
       code = this.STATEMENT_PREFIX.replace(/%1/g, '\'' + id + '\'') +
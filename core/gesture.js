@@ -34,6 +34,7 @@ goog.require('Blockly.constants');
 goog.require('Blockly.Events.Ui');
 goog.require('Blockly.FlyoutDragger');
 goog.require('Blockly.scratchBlocksUtils');
+goog.require('Blockly.SelectionMarquee');
 goog.require('Blockly.Tooltip');
 goog.require('Blockly.Touch');
 goog.require('Blockly.WorkspaceDragger');
@@ -195,8 +196,9 @@ Blockly.Gesture = function(e, creatorWorkspace) {
 
   /**
    * The object tracking a workspace or flyout workspace drag, or null if none
-   * is in progress.
-   * @type {Blockly.WorkspaceDragger}
+   * is in progress.  Shift-dragging the workspace draws a selection marquee
+   * instead.
+   * @type {Blockly.WorkspaceDragger|Blockly.SelectionMarquee}
    * @private
    */
   this.workspaceDragger_ = null;
@@ -236,6 +238,22 @@ Blockly.Gesture = function(e, creatorWorkspace) {
    * @private
    */
   this.shouldDuplicateOnDrag_ = false;
+
+  /**
+   * True if the shift key was held down when the gesture started.  Shift adds
+   * to the selection instead of replacing it.
+   * @type {boolean}
+   * @private
+   */
+  this.isShiftGesture_ = false;
+
+  /**
+   * True if the target block was already selected when a shift gesture
+   * started, so that a click unselects it.
+   * @type {boolean}
+   * @private
+   */
+  this.shouldUnselectOnClick_ = false;
 };
 
 /**
@@ -402,18 +420,19 @@ Blockly.Gesture.prototype.updateIsDraggingBlock_ = function() {
  * This function should be called on a mouse/touch move event the first time the
  * drag radius is exceeded.  It should be called no more than once per gesture.
  * If a workspace is being dragged this function creates the necessary
- * WorkspaceDragger or FlyoutDragger and starts the drag.
+ * WorkspaceDragger, FlyoutDragger or SelectionMarquee and starts the drag.
  * @private
  */
 Blockly.Gesture.prototype.updateIsDraggingWorkspace_ = function() {
   var wsMovable = this.flyout_ ? this.flyout_.isScrollable() :
       this.startWorkspace_ && this.startWorkspace_.isDraggable();
 
-  if (!wsMovable) {
+  if (this.isShiftGesture_ && !this.flyout_) {
+    this.workspaceDragger_ = new Blockly.SelectionMarquee(this.startWorkspace_,
+        this.mouseDownXY_);
+  } else if (!wsMovable) {
     return;
-  }
-
-  if (this.flyout_) {
+  } else if (this.flyout_) {
     this.workspaceDragger_ = new Blockly.FlyoutDragger(this.flyout_);
   } else {
     this.workspaceDragger_ = new Blockly.WorkspaceDragger(this.startWorkspace_);
@@ -501,8 +520,16 @@ Blockly.Gesture.prototype.doStart = function(e) {
   Blockly.hideChaff(!!this.flyout_);
   Blockly.Tooltip.block();
 
+  this.isShiftGesture_ = e.shiftKey && !Blockly.utils.isRightButton(e);
   if (this.targetBlock_) {
-    this.targetBlock_.select();
+    if (this.isShiftGesture_ && !this.flyout_) {
+      var selection = this.startWorkspace_.getSelectedBlocks();
+      this.shouldUnselectOnClick_ =
+          selection.indexOf(this.targetBlock_) != -1;
+      this.startWorkspace_.addToSelection(this.targetBlock_);
+    } else {
+      this.targetBlock_.select();
+    }
   }
 
   if (Blockly.utils.isRightButton(e)) {
@@ -747,7 +774,19 @@ Blockly.Gesture.prototype.doBlockClick_ = function() {
       var newBlock = this.flyout_.createBlock(this.targetBlock_);
       newBlock.scheduleSnapAndBump();
     }
+  } else if (this.isShiftGesture_) {
+    // Shift-clicking a selected block takes it back out of the selection.
+    if (this.shouldUnselectOnClick_) {
+      this.startWorkspace_.removeFromSelection(this.targetBlock_);
+    }
   } else {
+    // A plain click selects only the clicked block.
+    var selection = this.startWorkspace_.getSelectedBlocks();
+    for (var i = 0; i < selection.length; i++) {
+      if (selection[i] != this.targetBlock_) {
+        this.startWorkspace_.removeFromSelection(selection[i]);
+      }
+    }
     // A field is being edited if either the WidgetDiv or DropDownDiv is currently open.
     // If a field is being edited, don't fire any click events.
     var fieldEditing = Blockly.WidgetDiv.isVisible() || Blockly.DropDownDiv.isVisible();
@@ -770,9 +809,13 @@ Blockly.Gesture.prototype.doBlockClick_ = function() {
  * @private
  */
 Blockly.Gesture.prototype.doWorkspaceClick_ = function() {
+  if (this.isShiftGesture_) {
+    return;
+  }
   if (Blockly.selected) {
     Blockly.selected.unselect();
   }
+  this.startWorkspace_.clearSelection();
 };
 
 /* End functions defining what actions to take to execute clicks on each type
@@ -118,6 +118,20 @@ Blockly.Grid.prototype.getSpacing = function() {
   return this.spacing_;
 };
 
+/**
+ * Change the colour of the grid lines.
+ * @param {string} colour Any CSS colour.
+ * @package
+ */
+Blockly.Grid.prototype.setColour = function(colour) {
+  if (this.line1_) {
+    this.line1_.setAttribute('stroke', colour);
+  }
+  if (this.line2_) {
+    this.line2_.setAttribute('stroke', colour);
+  }
+};
+
 /**
  * Get the id of the pattern element, which should be randomized to avoid
  * conflicts with other Blockly instances on the page.
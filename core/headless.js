@@ -0,0 +1,61 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Entry point for using Blockly without a DOM, e.g. to validate
+ * or transform saved projects in Node.js.  Workspaces, blocks, XML and JSON,
+ * events, variables and procedures all work headless.  Anything that renders
+ * or injects does not.
+ */
+'use strict';
+
+/**
+ * @name Blockly.Headless
+ * @namespace
+ **/
+goog.provide('Blockly.Headless');
+
+goog.require('Blockly');
+goog.require('Blockly.Collaboration.Client');
+goog.require('Blockly.Collaboration.Server');
+goog.require('Blockly.Options');
+goog.require('Blockly.Workspace');
+goog.require('Blockly.Xml');
+goog.require('Blockly.XmlLite');
+
+
+/**
+ * Create a workspace that is not rendered.  Like Blockly.inject, this makes
+ * the new workspace the main workspace, which block definitions read their
+ * media path from.
+ * @param {Object=} opt_options Dictionary of options, as for Blockly.inject.
+ *     Only the options that do not concern rendering are used.
+ * @return {!Blockly.Workspace} The new workspace.
+ */
+Blockly.Headless.createWorkspace = function(opt_options) {
+  var workspace = new Blockly.Workspace(new Blockly.Options(opt_options || {}));
+  Blockly.mainWorkspace = workspace;
+  return workspace;
+};
+
+// Without a browser, parse and serialize XML in plain JavaScript.
+if (typeof DOMParser != 'function') {
+  Blockly.Xml.setParser(Blockly.XmlLite.PARSER);
+}
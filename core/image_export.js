@@ -0,0 +1,389 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Export rendered blocks as standalone SVG and PNG images.
+ * The image carries copies of the block SVG, the CSS rules that style it,
+ * the page's @font-face rules for the fonts it uses, and every image as a
+ * data URI, so it looks the same outside the page.
+ */
+'use strict';
+
+/**
+ * @name Blockly.ImageExport
+ * @namespace
+ **/
+goog.provide('Blockly.ImageExport');
+
+goog.require('Blockly.Css');
+goog.require('Blockly.utils');
+
+goog.require('goog.dom');
+
+
+/**
+ * Space around the blocks in an exported image, in workspace units.
+ * @const {number}
+ */
+Blockly.ImageExport.PADDING = 8;
+
+/**
+ * Default pixels per workspace unit of PNG images.  Above 1 so that pictures
+ * stay sharp on high density screens and in print.
+ * @const {number}
+ */
+Blockly.ImageExport.PNG_SCALE = 2;
+
+/**
+ * File name offered when saving a picture of a script.
+ * @const {string}
+ */
+Blockly.ImageExport.PICTURE_FILENAME = 'script.png';
+
+/**
+ * Namespace of xlink:href attributes.
+ * @const {string}
+ * @private
+ */
+Blockly.ImageExport.XLINK_NS_ = 'http://www.w3.org/1999/xlink';
+
+/**
+ * Build a standalone SVG image of blocks.
+ * @param {!Array.<!Blockly.BlockSvg>} blocks Rendered blocks, each drawn
+ *     with the blocks nested in it and below it.
+ * @param {function(?string, number, number)} callback Called with the SVG
+ *     text and its width and height, or with null if there are no blocks.
+ */
+Blockly.ImageExport.blocksToSvg = function(blocks, callback) {
+  if (!blocks.length) {
+    callback(null, 0, 0);
+    return;
+  }
+  var svg = Blockly.ImageExport.createSvg_(blocks);
+  var width = Number(svg.getAttribute('width'));
+  var height = Number(svg.getAttribute('height'));
+  Blockly.ImageExport.inlineResources_(svg, function() {
+    callback(new XMLSerializer().serializeToString(svg), width, height);
+  });
+};
+
+/**
+ * Build a PNG image of blocks.
+ * @param {!Array.<!Blockly.BlockSvg>} blocks Rendered blocks, each drawn
+ *     with the blocks nested in it and below it.
+ * @param {function(?string)} callback Called with a data URI of the PNG
+ *     image, or with null if there are no blocks or the browser can't draw
+ *     the image.
+ * @param {number=} opt_scale Pixels per workspace unit.  Defaults to
+ *     Blockly.ImageExport.PNG_SCALE.
+ */
+Blockly.ImageExport.blocksToPng = function(blocks, callback, opt_scale) {
+  Blockly.ImageExport.blocksToSvg(blocks, function(svgText, width, height) {
+    if (svgText) {
+      Blockly.ImageExport.svgToPng(svgText, width, height,
+          opt_scale || Blockly.ImageExport.PNG_SCALE, callback);
+    } else {
+      callback(null);
+    }
+  });
+};
+
+/**
+ * Rasterize SVG text to PNG.
+ * @param {string} svgText Standalone SVG image.
+ * @param {number} width Width of the image.
+ * @param {number} height Height of the image.
+ * @param {number} scale Pixels per unit of the SVG image.
+ * @param {function(?string)} callback Called with a data URI of the PNG
+ *     image, or with null if the browser can't draw the image.
+ */
+Blockly.ImageExport.svgToPng = function(svgText, width, height, scale,
+    callback) {
+  var image = new Image();
+  image.onload = function() {
+    var canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(width * scale);
+    canvas.height = Math.ceil(height * scale);
+    var context = canvas.getContext('2d');
+    context.scale(scale, scale);
+    context.drawImage(image, 0, 0, width, height);
+    try {
+      callback(canvas.toDataURL('image/png'));
+    } catch (e) {
+      // The canvas is tainted by an image that couldn't be inlined.
+      callback(null);
+    }
+  };
+  image.onerror = function() {
+    callback(null);
+  };
+  image.src = 'data:image/svg+xml;charset=utf-8,' +
+      encodeURIComponent(svgText);
+};
+
+/**
+ * Offer an image to the user as a download.
+ * @param {string} dataUri Data URI of the image.
+ * @param {string} filename Suggested file name.
+ */
+Blockly.ImageExport.download = function(dataUri, filename) {
+  var link = document.createElement('a');
+  link.setAttribute('href', dataUri);
+  link.setAttribute('download', filename);
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  goog.dom.removeNode(link);
+};
+
+/**
+ * Copy blocks into a new SVG element, cropped to their bounds.
+ * @param {!Array.<!Blockly.BlockSvg>} blocks The blocks.
+ * @return {!Element} The SVG element, not yet attached to the page.
+ * @private
+ */
+Blockly.ImageExport.createSvg_ = function(blocks) {
+  var left = Infinity;
+  var top = Infinity;
+  var right = -Infinity;
+  var bottom = -Infinity;
+  for (var i = 0, block; block = blocks[i]; i++) {
+    var bounds = block.getBoundingRectangle();
+    left = Math.min(left, bounds.topLeft.x);
+    top = Math.min(top, bounds.topLeft.y);
+    right = Math.max(right, bounds.bottomRight.x);
+    bottom = Math.max(bottom, bounds.bottomRight.y);
+  }
+  var padding = Blockly.ImageExport.PADDING;
+  var width = Math.ceil(right - left + 2 * padding);
+  var height = Math.ceil(bottom - top + 2 * padding);
+  var svg = Blockly.utils.createSvgElement('svg', {
+    'class': 'blocklySvg',
+    'width': width,
+    'height': height,
+    'viewBox': '0 0 ' + width + ' ' + height
+  }, null);
+  // Filters and patterns referenced by the blocks.
+  var defs = blocks[0].workspace.getParentSvg().getElementsByTagName('defs');
+  if (defs.length) {
+    svg.appendChild(defs[0].cloneNode(true));
+  }
+  var style = Blockly.utils.createSvgElement('style', {}, svg);
+  var canvas = Blockly.utils.createSvgElement('g', {
+    'class': 'blocklyBlockCanvas',
+    'transform': 'translate(' + (padding - left) + ',' + (padding - top) + ')'
+  }, svg);
+  for (var j = 0, block; block = blocks[j]; j++) {
+    var copy = block.getSvgRoot().cloneNode(true);
+    var xy = block.getRelativeToSurfaceXY();
+    copy.setAttribute('transform', 'translate(' + xy.x + ',' + xy.y + ')');
+    canvas.appendChild(copy);
+  }
+  var selected = svg.getElementsByClassName('blocklySelected');
+  while (selected.length) {
+    Blockly.utils.removeClass(selected[0], 'blocklySelected');
+  }
+  style.appendChild(document.createTextNode(
+      Blockly.ImageExport.usedCss_(Blockly.Css.getContent(), svg)));
+  return svg;
+};
+
+/**
+ * Pick the CSS rules that apply to an SVG image: those whose selectors only
+ * name classes found in the image, leaving out interactive states such as
+ * :hover.
+ * @param {string} css CSS text.
+ * @param {!Element} svg The SVG element.
+ * @return {string} CSS text of the rules in use.
+ * @private
+ */
+Blockly.ImageExport.usedCss_ = function(css, svg) {
+  var classes = Object.create(null);
+  var elements = [svg].concat(Array.prototype.slice.call(
+      svg.getElementsByTagName('*')));
+  for (var i = 0; i < elements.length; i++) {
+    var names = (elements[i].getAttribute('class') || '').split(/\s+/);
+    for (var j = 0; j < names.length; j++) {
+      classes[names[j]] = true;
+    }
+  }
+  var rules = [];
+  var ruleRegex = /([^{}]+)\{([^{}]*)\}/g;
+  var match;
+  while ((match = ruleRegex.exec(css))) {
+    var selectors = match[1].split(',').filter(function(selector) {
+      var names = selector.match(/\.[\w-]+/g);
+      return names && !/:/.test(selector) && names.every(function(name) {
+        return classes[name.substring(1)];
+      });
+    });
+    if (selectors.length) {
+      rules.push(selectors.join(',').trim() + ' {' + match[2] + '}');
+    }
+  }
+  return rules.join('\n');
+};
+
+/**
+ * Replace the URLs of images and fonts in an SVG image with data URIs.
+ * Resources that can't be loaded keep their URLs.
+ * @param {!Element} svg The SVG element.
+ * @param {function()} callback Called once all resources are inlined.
+ * @private
+ */
+Blockly.ImageExport.inlineResources_ = function(svg, callback) {
+  var pending = 1;
+  var done = function() {
+    if (--pending == 0) {
+      callback();
+    }
+  };
+  var images = svg.getElementsByTagName('image');
+  for (var i = 0; i < images.length; i++) {
+    (function(image) {
+      var href = image.getAttributeNS(Blockly.ImageExport.XLINK_NS_, 'href') ||
+          image.getAttribute('href');
+      if (!href || /^data:/.test(href)) {
+        return;
+      }
+      pending++;
+      Blockly.ImageExport.fetchDataUri_(href, function(dataUri) {
+        if (dataUri) {
+          image.setAttributeNS(Blockly.ImageExport.XLINK_NS_, 'xlink:href',
+              dataUri);
+        }
+        done();
+      });
+    })(images[i]);
+  }
+  var style = svg.getElementsByTagName('style')[0];
+  var faces = Blockly.ImageExport.fontFaces_(style.textContent);
+  for (var j = 0; j < faces.length; j++) {
+    pending++;
+    Blockly.ImageExport.inlineUrls_(faces[j].css, faces[j].baseUrl,
+        function(css) {
+          style.appendChild(document.createTextNode('\n' + css));
+          done();
+        });
+  }
+  done();
+};
+
+/**
+ * Find the page's @font-face rules for the font families used by CSS text.
+ * @param {string} css CSS text.
+ * @return {!Array.<{css: string, baseUrl: string}>} Text of each rule, and
+ *     the URL its font URLs are relative to.
+ * @private
+ */
+Blockly.ImageExport.fontFaces_ = function(css) {
+  var faces = [];
+  var sheets = document.styleSheets || [];
+  for (var i = 0; i < sheets.length; i++) {
+    try {
+      var rules = sheets[i].cssRules || [];
+    } catch (e) {
+      // Rules of stylesheets from other origins can't be read.
+      continue;
+    }
+    for (var j = 0; j < rules.length; j++) {
+      if (rules[j].type != 5 /* CSSRule.FONT_FACE_RULE */) {
+        continue;
+      }
+      var family = rules[j].style.getPropertyValue('font-family')
+          .replace(/["']/g, '').trim();
+      if (family && css.indexOf(family) != -1) {
+        faces.push({
+          css: rules[j].cssText,
+          baseUrl: sheets[i].href || document.baseURI
+        });
+      }
+    }
+  }
+  return faces;
+};
+
+/**
+ * Replace the url() references in CSS text with data URIs.
+ * @param {string} css CSS text.
+ * @param {string} baseUrl URL the references are relative to.
+ * @param {function(string)} callback Called with the new CSS text.
+ * @private
+ */
+Blockly.ImageExport.inlineUrls_ = function(css, baseUrl, callback) {
+  var urls = [];
+  css.replace(/url\((['"]?)([^'")]+)\1\)/g, function(match, quote, url) {
+    if (!/^data:/.test(url)) {
+      urls.push(url);
+    }
+    return match;
+  });
+  var pending = urls.length + 1;
+  var done = function() {
+    if (--pending == 0) {
+      callback(css);
+    }
+  };
+  urls.forEach(function(url) {
+    Blockly.ImageExport.fetchDataUri_(new URL(url, baseUrl).href,
+        function(dataUri) {
+          if (dataUri) {
+            css = css.split(url).join(dataUri);
+          }
+          done();
+        });
+  });
+  done();
+};
+
+/**
+ * Load a resource as a data URI.
+ * @param {string} url URL of the resource.
+ * @param {function(?string)} callback Called with the data URI, or with null
+ *     if the resource can't be loaded.
+ * @private
+ */
+Blockly.ImageExport.fetchDataUri_ = function(url, callback) {
+  var xhr = new XMLHttpRequest();
+  xhr.onload = function() {
+    if (xhr.status >= 300 || !xhr.response) {
+      callback(null);
+      return;
+    }
+    var reader = new FileReader();
+    reader.onload = function() {
+      callback(/** @type {string} */ (reader.result));
+    };
+    reader.onerror = function() {
+      callback(null);
+    };
+    reader.readAsDataURL(xhr.response);
+  };
+  xhr.onerror = function() {
+    callback(null);
+  };
+  try {
+    xhr.open('GET', url);
+    xhr.responseType = 'blob';
+    xhr.send();
+  } catch (e) {
+    callback(null);
+  }
+};
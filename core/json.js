@@ -0,0 +1,642 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview JSON reader and writer.
+ * The JSON format is a structured mirror of the XML dialect produced by
+ * Blockly.Xml, so anything that survives an XML round trip (shadows,
+ * mutations, variable references, block and workspace comments) survives a
+ * JSON round trip as well.
+ *
+ * A workspace is encoded as:
+ *   {
+ *     "variables": [{"name", "type", "id", "isLocal", "isCloud"}, ...],
+ *     "comments": [{"id", "text", "x", "y", "width", "height",
+ *         "minimized"}, ...],
+ *     "blocks": [<block>, ...]
+ *   }
+ * and a block as:
+ *   {
+ *     "type", "id", "shadow", "x", "y",
+ *     "mutation": {"tagName": "mutation", "children": [], <attributes>},
+ *     "fields": {"NAME": {"value", "id", "variableType"}},
+ *     "comment": {"text", "id", "pinned", "x", "y", "width", "height",
+ *         "minimized"},
+ *     "data",
+ *     "inputs": {"NAME": {"block": <block>, "shadow": <block>}},
+ *     "statements": {"NAME": {"block": <block>, "shadow": <block>}},
+ *     "next": {"block": <block>, "shadow": <block>},
+ *     "inline", "collapsed", "disabled", "deletable", "movable", "editable"
+ *   }
+ * Optional properties are omitted when they hold their default value.
+ * Mutation attributes named "tagName", "children" or "text" are stored with a
+ * "$" in front ("$text"), so they don't clash with the mutation's own keys.
+ */
+'use strict';
+
+/**
+ * @name Blockly.Json
+ * @namespace
+ **/
+goog.provide('Blockly.Json');
+
+goog.require('Blockly.Xml');
+
+
+/**
+ * Block level boolean attributes, in the order they are written to XML.
+ * @type {!Array.<string>}
+ * @const
+ * @private
+ */
+Blockly.Json.BLOCK_FLAGS_ = ['inline', 'collapsed', 'disabled', 'deletable',
+  'movable', 'editable'];
+
+/**
+ * Encode a workspace as JSON.
+ * @param {!Blockly.Workspace} workspace The workspace containing blocks.
+ * @param {boolean=} opt_noId True if the encoder should skip the block IDs.
+ * @return {!Object} JSON object.
+ */
+Blockly.Json.workspaceToJson = function(workspace, opt_noId) {
+  return Blockly.Json.domToJson(
+      Blockly.Xml.workspaceToDom(workspace, opt_noId));
+};
+
+/**
+ * Encode a list of variables as JSON.
+ * @param {!Array.<!Blockly.VariableModel>} variableList List of all variable
+ *     models.
+ * @return {!Array.<!Object>} List of JSON variables.
+ */
+Blockly.Json.variablesToJson = function(variableList) {
+  var variables = [];
+  for (var i = 0, variable; variable = variableList[i]; i++) {
+    variables.push({
+      'name': variable.name,
+      'type': variable.type,
+      'id': variable.getId(),
+      'isLocal': !!variable.isLocal,
+      'isCloud': !!variable.isCloud
+    });
+  }
+  return variables;
+};
+
+/**
+ * Encode a block subtree as JSON with XY coordinates.
+ * @param {!Blockly.Block} block The root block to encode.
+ * @param {boolean=} opt_noId True if the encoder should skip the block ID.
+ * @return {!Object} JSON object.
+ */
+Blockly.Json.blockToJsonWithXY = function(block, opt_noId) {
+  return Blockly.Json.blockDomToJson(
+      Blockly.Xml.blockToDomWithXY(block, opt_noId));
+};
+
+/**
+ * Encode a block subtree as JSON.
+ * @param {!Blockly.Block} block The root block to encode.
+ * @param {boolean=} opt_noId True if the encoder should skip the block ID.
+ * @return {!Object} JSON object.
+ */
+Blockly.Json.blockToJson = function(block, opt_noId) {
+  return Blockly.Json.blockDomToJson(Blockly.Xml.blockToDom(block, opt_noId));
+};
+
+/**
+ * Decode a JSON workspace and create blocks, variables and comments on the
+ * workspace.
+ * @param {!Object} json JSON object.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @return {Array.<string>} An array containing new block IDs.
+ */
+Blockly.Json.jsonToWorkspace = function(json, workspace) {
+  return Blockly.Xml.domToWorkspace(Blockly.Json.jsonToDom(json), workspace);
+};
+
+/**
+ * Clear the given workspace then decode a JSON workspace and create blocks on
+ * the workspace.
+ * @param {!Object} json JSON object.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @return {Array.<string>} An array containing new block IDs.
+ */
+Blockly.Json.clearWorkspaceAndLoadFromJson = function(json, workspace) {
+  return Blockly.Xml.clearWorkspaceAndLoadFromXml(
+      Blockly.Json.jsonToDom(json), workspace);
+};
+
+/**
+ * Decode a JSON block and create a block (and possibly sub blocks) on the
+ * workspace.
+ * @param {!Object} json JSON block.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @return {!Blockly.Block} The root block created.
+ */
+Blockly.Json.jsonToBlock = function(json, workspace) {
+  return Blockly.Xml.domToBlock(Blockly.Json.blockJsonToDom(json), workspace);
+};
+
+/**
+ * Decode a list of JSON variables and add the variables to the workspace.
+ * @param {!Array.<!Object>} json List of JSON variables.
+ * @param {!Blockly.Workspace} workspace The workspace to which the variable
+ *     should be added.
+ */
+Blockly.Json.jsonToVariables = function(json, workspace) {
+  Blockly.Xml.domToVariables(Blockly.Json.variablesJsonToDom_(json),
+      workspace);
+};
+
+/**
+ * Convert a workspace XML tree into its JSON equivalent.
+ * @param {!Element} xml XML DOM, as produced by Blockly.Xml.workspaceToDom.
+ * @return {!Object} JSON object.
+ */
+Blockly.Json.domToJson = function(xml) {
+  var json = {
+    'variables': [],
+    'comments': [],
+    'blocks': []
+  };
+  for (var i = 0, xmlChild; xmlChild = xml.children[i]; i++) {
+    var name = xmlChild.nodeName.toLowerCase();
+    if (name == 'variables') {
+      json['variables'] = Blockly.Json.variablesDomToJson_(xmlChild);
+    } else if (name == 'comment') {
+      json['comments'].push(Blockly.Json.workspaceCommentDomToJson_(xmlChild));
+    } else if (name == 'block' || name == 'shadow') {
+      json['blocks'].push(Blockly.Json.blockDomToJson(xmlChild));
+    }
+  }
+  return json;
+};
+
+/**
+ * Convert a JSON workspace into its XML equivalent.
+ * @param {!Object} json JSON object.
+ * @return {!Element} XML DOM, suitable for Blockly.Xml.domToWorkspace.
+ */
+Blockly.Json.jsonToDom = function(json) {
+  var xml = Blockly.Xml.createElement('xml');
+  if (json['variables']) {
+    xml.appendChild(Blockly.Json.variablesJsonToDom_(json['variables']));
+  }
+  var comments = json['comments'] || [];
+  for (var i = 0; i < comments.length; i++) {
+    xml.appendChild(Blockly.Json.workspaceCommentJsonToDom_(comments[i]));
+  }
+  var blocks = json['blocks'] || [];
+  for (var i = 0; i < blocks.length; i++) {
+    xml.appendChild(Blockly.Json.blockJsonToDom(blocks[i]));
+  }
+  return xml;
+};
+
+/**
+ * Convert an XML block or shadow element into its JSON equivalent.
+ * @param {!Element} xmlBlock XML block element.
+ * @return {!Object} JSON block.
+ */
+Blockly.Json.blockDomToJson = function(xmlBlock) {
+  var json = {'type': xmlBlock.getAttribute('type')};
+  if (xmlBlock.hasAttribute('id')) {
+    json['id'] = xmlBlock.getAttribute('id');
+  }
+  if (xmlBlock.nodeName.toLowerCase() == 'shadow') {
+    json['shadow'] = true;
+  }
+  if (xmlBlock.hasAttribute('x')) {
+    json['x'] = parseInt(xmlBlock.getAttribute('x'), 10);
+  }
+  if (xmlBlock.hasAttribute('y')) {
+    json['y'] = parseInt(xmlBlock.getAttribute('y'), 10);
+  }
+  for (var i = 0, flag; flag = Blockly.Json.BLOCK_FLAGS_[i]; i++) {
+    if (xmlBlock.hasAttribute(flag)) {
+      json[flag] = xmlBlock.getAttribute(flag) == 'true';
+    }
+  }
+  for (var i = 0, xmlChild; xmlChild = xmlBlock.children[i]; i++) {
+    var name = xmlChild.getAttribute('name');
+    switch (xmlChild.nodeName.toLowerCase()) {
+      case 'mutation':
+        json['mutation'] = Blockly.Json.mutationDomToJson_(xmlChild);
+        break;
+      case 'field':
+        json['fields'] = json['fields'] || {};
+        json['fields'][name] = Blockly.Json.fieldDomToJson_(xmlChild);
+        break;
+      case 'comment':
+        json['comment'] = Blockly.Json.blockCommentDomToJson_(xmlChild);
+        break;
+      case 'data':
+        json['data'] = xmlChild.textContent;
+        break;
+      case 'value':
+        json['inputs'] = json['inputs'] || {};
+        json['inputs'][name] = Blockly.Json.connectionDomToJson_(xmlChild);
+        break;
+      case 'statement':
+        json['statements'] = json['statements'] || {};
+        json['statements'][name] = Blockly.Json.connectionDomToJson_(xmlChild);
+        break;
+      case 'next':
+        json['next'] = Blockly.Json.connectionDomToJson_(xmlChild);
+        break;
+      default:
+        console.warn('Ignoring unknown tag: ' + xmlChild.nodeName);
+    }
+  }
+  return json;
+};
+
+/**
+ * Convert a JSON block into its XML equivalent.
+ * @param {!Object} json JSON block.
+ * @return {!Element} XML block or shadow element.
+ */
+Blockly.Json.blockJsonToDom = function(json) {
+  if (!json['type']) {
+    throw Error('Block type unspecified: ' + JSON.stringify(json));
+  }
+  var element = Blockly.Xml.createElement(
+      json['shadow'] ? 'shadow' : 'block');
+  element.setAttribute('type', json['type']);
+  if (json['id']) {
+    element.setAttribute('id', json['id']);
+  }
+  if (json['x'] != null) {
+    element.setAttribute('x', json['x']);
+  }
+  if (json['y'] != null) {
+    element.setAttribute('y', json['y']);
+  }
+  for (var i = 0, flag; flag = Blockly.Json.BLOCK_FLAGS_[i]; i++) {
+    if (json[flag] != null) {
+      element.setAttribute(flag, !!json[flag]);
+    }
+  }
+  if (json['mutation']) {
+    element.appendChild(Blockly.Json.mutationJsonToDom_(json['mutation']));
+  }
+  var fields = json['fields'] || {};
+  for (var name in fields) {
+    element.appendChild(Blockly.Json.fieldJsonToDom_(name, fields[name]));
+  }
+  if (json['comment']) {
+    element.appendChild(
+        Blockly.Json.blockCommentJsonToDom_(json['comment']));
+  }
+  if (json['data'] != null) {
+    element.appendChild(Blockly.Xml.createElement('data', json['data']));
+  }
+  var inputs = json['inputs'] || {};
+  for (var name in inputs) {
+    element.appendChild(
+        Blockly.Json.connectionJsonToDom_('value', inputs[name], name));
+  }
+  var statements = json['statements'] || {};
+  for (var name in statements) {
+    element.appendChild(
+        Blockly.Json.connectionJsonToDom_('statement', statements[name], name));
+  }
+  if (json['next']) {
+    element.appendChild(
+        Blockly.Json.connectionJsonToDom_('next', json['next']));
+  }
+  return element;
+};
+
+/**
+ * Convert an XML variables element into a list of JSON variables.
+ * @param {!Element} xmlVariables XML variables element.
+ * @return {!Array.<!Object>} List of JSON variables.
+ * @private
+ */
+Blockly.Json.variablesDomToJson_ = function(xmlVariables) {
+  var variables = [];
+  for (var i = 0, xmlChild; xmlChild = xmlVariables.children[i]; i++) {
+    variables.push({
+      'name': xmlChild.textContent,
+      'type': xmlChild.getAttribute('type'),
+      'id': xmlChild.getAttribute('id'),
+      'isLocal': xmlChild.getAttribute('islocal') == 'true',
+      'isCloud': xmlChild.getAttribute('iscloud') == 'true'
+    });
+  }
+  return variables;
+};
+
+/**
+ * Convert a list of JSON variables into an XML variables element.
+ * @param {!Array.<!Object>} json List of JSON variables.
+ * @return {!Element} XML variables element.
+ * @private
+ */
+Blockly.Json.variablesJsonToDom_ = function(json) {
+  var variables = Blockly.Xml.createElement('variables');
+  for (var i = 0, variable; variable = json[i]; i++) {
+    if (variable['type'] == null) {
+      throw Error('Variable with id, ' + variable['id'] + ' is without a type');
+    }
+    var element = Blockly.Xml.createElement('variable', variable['name']);
+    element.setAttribute('type', variable['type']);
+    if (variable['id']) {
+      element.setAttribute('id', variable['id']);
+    }
+    element.setAttribute('islocal', !!variable['isLocal']);
+    element.setAttribute('iscloud', !!variable['isCloud']);
+    variables.appendChild(element);
+  }
+  return variables;
+};
+
+/**
+ * Convert an XML field element into a JSON field.
+ * @param {!Element} xmlField XML field element.
+ * @return {!Object} JSON field.
+ * @private
+ */
+Blockly.Json.fieldDomToJson_ = function(xmlField) {
+  var json = {'value': xmlField.textContent};
+  if (xmlField.hasAttribute('id')) {
+    json['id'] = xmlField.getAttribute('id');
+  }
+  if (xmlField.hasAttribute('variabletype')) {
+    json['variableType'] = xmlField.getAttribute('variabletype');
+  }
+  return json;
+};
+
+/**
+ * Convert a JSON field into an XML field element.
+ * @param {string} name The name of the field.
+ * @param {Object|string|number} json JSON field.  A bare value (including
+ *     null) is accepted as shorthand for a field that does not reference a
+ *     variable.
+ * @return {!Element} XML field element.
+ * @private
+ */
+Blockly.Json.fieldJsonToDom_ = function(name, json) {
+  if (json === null || typeof json != 'object') {
+    json = {'value': json};
+  }
+  var value = json['value'] == null ? '' : String(json['value']);
+  var element = Blockly.Xml.createElement('field', value);
+  element.setAttribute('name', name);
+  if (json['id'] != null) {
+    element.setAttribute('id', json['id']);
+  }
+  if (json['variableType'] != null) {
+    element.setAttribute('variabletype', json['variableType']);
+  }
+  return element;
+};
+
+/**
+ * Convert an XML value, statement or next element into a JSON connection.
+ * @param {!Element} xmlConnection XML connection element.
+ * @return {!Object} JSON connection with optional block and shadow.
+ * @private
+ */
+Blockly.Json.connectionDomToJson_ = function(xmlConnection) {
+  var json = {};
+  for (var i = 0, xmlChild; xmlChild = xmlConnection.children[i]; i++) {
+    var name = xmlChild.nodeName.toLowerCase();
+    if (name == 'block' || name == 'shadow') {
+      json[name] = Blockly.Json.blockDomToJson(xmlChild);
+    }
+  }
+  return json;
+};
+
+/**
+ * Convert a JSON connection into an XML value, statement or next element.
+ * @param {string} tagName The XML tag to create.
+ * @param {!Object} json JSON connection with optional block and shadow.
+ * @param {string=} opt_name The name of the input, if any.
+ * @return {!Element} XML connection element.
+ * @private
+ */
+Blockly.Json.connectionJsonToDom_ = function(tagName, json, opt_name) {
+  var element = Blockly.Xml.createElement(tagName);
+  if (opt_name) {
+    element.setAttribute('name', opt_name);
+  }
+  if (json['shadow']) {
+    var shadow = Blockly.Json.blockJsonToDom(json['shadow']);
+    if (shadow.nodeName.toLowerCase() != 'shadow') {
+      throw Error('Shadow of input ' + (opt_name || tagName) +
+          ' is not marked as a shadow block.');
+    }
+    element.appendChild(shadow);
+  }
+  if (json['block']) {
+    element.appendChild(Blockly.Json.blockJsonToDom(json['block']));
+  }
+  return element;
+};
+
+/**
+ * The keys of a JSON mutation that don't hold attributes.  Attributes with
+ * these names are stored with a "$" in front, which can't start an XML name.
+ * @type {!Array.<string>}
+ * @const
+ * @private
+ */
+Blockly.Json.MUTATION_KEYS_ = ['tagName', 'children', 'text'];
+
+/**
+ * Convert an XML mutation element (or one of its children) into JSON.
+ * Attributes are copied as strings, matching what domToMutation expects.
+ * @param {!Element} xmlMutation XML mutation element.
+ * @return {!Object} JSON mutation.
+ * @private
+ */
+Blockly.Json.mutationDomToJson_ = function(xmlMutation) {
+  var json = {
+    'tagName': xmlMutation.nodeName.toLowerCase(),
+    'children': []
+  };
+  for (var i = 0, attr; attr = xmlMutation.attributes[i]; i++) {
+    var key = attr.name;
+    if (Blockly.Json.MUTATION_KEYS_.indexOf(key) != -1) {
+      key = '$' + key;
+    }
+    json[key] = attr.value;
+  }
+  for (var i = 0, xmlChild; xmlChild = xmlMutation.children[i]; i++) {
+    json['children'].push(Blockly.Json.mutationDomToJson_(xmlChild));
+  }
+  if (!xmlMutation.children.length && xmlMutation.textContent) {
+    json['text'] = xmlMutation.textContent;
+  }
+  return json;
+};
+
+/**
+ * Convert a JSON mutation into an XML mutation element.
+ * @param {!Object} json JSON mutation.
+ * @return {!Element} XML mutation element.
+ * @private
+ */
+Blockly.Json.mutationJsonToDom_ = function(json) {
+  var element = Blockly.Xml.createElement(json['tagName'] || 'mutation');
+  for (var key in json) {
+    if (Blockly.Json.MUTATION_KEYS_.indexOf(key) != -1) {
+      continue;
+    }
+    var value = json[key];
+    // Accept already-parsed values, as found in Scratch 3 project files.
+    if (typeof value == 'object') {
+      value = JSON.stringify(value);
+    }
+    element.setAttribute(key.charAt(0) == '$' ? key.substring(1) : key,
+        value);
+  }
+  var children = json['children'] || [];
+  for (var i = 0; i < children.length; i++) {
+    element.appendChild(Blockly.Json.mutationJsonToDom_(children[i]));
+  }
+  if (json['text'] != null) {
+    element.textContent = json['text'];
+  }
+  return element;
+};
+
+/**
+ * Convert an XML block comment element into JSON.
+ * @param {!Element} xmlComment XML comment element.
+ * @return {!Object} JSON comment.
+ * @private
+ */
+Blockly.Json.blockCommentDomToJson_ = function(xmlComment) {
+  var json = {'text': xmlComment.textContent};
+  if (xmlComment.hasAttribute('id')) {
+    json['id'] = xmlComment.getAttribute('id');
+  }
+  if (xmlComment.hasAttribute('pinned')) {
+    json['pinned'] = xmlComment.getAttribute('pinned') == 'true';
+  }
+  Blockly.Json.commentGeometryDomToJson_(xmlComment, json);
+  return json;
+};
+
+/**
+ * Convert a JSON block comment into an XML comment element.
+ * @param {!Object} json JSON comment.
+ * @return {!Element} XML comment element.
+ * @private
+ */
+Blockly.Json.blockCommentJsonToDom_ = function(json) {
+  var element = Blockly.Xml.createElement('comment', json['text'] || '');
+  if (json['id']) {
+    element.setAttribute('id', json['id']);
+  }
+  if (json['pinned'] != null) {
+    element.setAttribute('pinned', !!json['pinned']);
+  }
+  Blockly.Json.commentGeometryJsonToDom_(json, element);
+  return element;
+};
+
+/**
+ * Convert an XML workspace comment element into JSON.
+ * @param {!Element} xmlComment XML comment element.
+ * @return {!Object} JSON comment.
+ * @private
+ */
+Blockly.Json.workspaceCommentDomToJson_ = function(xmlComment) {
+  var json = {'text': xmlComment.textContent};
+  if (xmlComment.hasAttribute('id')) {
+    json['id'] = xmlComment.getAttribute('id');
+  }
+  Blockly.Json.commentGeometryDomToJson_(xmlComment, json);
+  return json;
+};
+
+/**
+ * Convert a JSON workspace comment into an XML comment element.
+ * @param {!Object} json JSON comment.
+ * @return {!Element} XML comment element.
+ * @private
+ */
+Blockly.Json.workspaceCommentJsonToDom_ = function(json) {
+  var element = Blockly.Xml.createElement('comment', json['text'] || '');
+  if (json['id']) {
+    element.setAttribute('id', json['id']);
+  }
+  Blockly.Json.commentGeometryJsonToDom_(json, element);
+  return element;
+};
+
+/**
+ * Copy the position, size and minimized state of an XML comment into JSON.
+ * @param {!Element} xmlComment XML comment element.
+ * @param {!Object} json JSON comment to fill in.
+ * @private
+ */
+Blockly.Json.commentGeometryDomToJson_ = function(xmlComment, json) {
+  var numbers = {'x': 'x', 'y': 'y', 'w': 'width', 'h': 'height'};
+  for (var attr in numbers) {
+    if (xmlComment.hasAttribute(attr)) {
+      json[numbers[attr]] = Number(xmlComment.getAttribute(attr));
+    }
+  }
+  if (xmlComment.hasAttribute('minimized')) {
+    json['minimized'] = xmlComment.getAttribute('minimized') == 'true';
+  }
+};
+
+/**
+ * Copy the position, size and minimized state of a JSON comment into XML.
+ * @param {!Object} json JSON comment.
+ * @param {!Element} xmlComment XML comment element to fill in.
+ * @private
+ */
+Blockly.Json.commentGeometryJsonToDom_ = function(json, xmlComment) {
+  var numbers = {'x': 'x', 'y': 'y', 'width': 'w', 'height': 'h'};
+  for (var key in numbers) {
+    if (json[key] != null) {
+      xmlComment.setAttribute(numbers[key], json[key]);
+    }
+  }
+  if (json['minimized'] != null) {
+    xmlComment.setAttribute('minimized', !!json['minimized']);
+  }
+};
+
+// Export symbols that would otherwise be renamed by Closure compiler.
+if (!goog.global['Blockly']) {
+  goog.global['Blockly'] = {};
+}
+if (!goog.global['Blockly']['Json']) {
+  goog.global['Blockly']['Json'] = {};
+}
+goog.global['Blockly']['Json']['workspaceToJson'] = Blockly.Json.workspaceToJson;
+goog.global['Blockly']['Json']['jsonToWorkspace'] = Blockly.Json.jsonToWorkspace;
+goog.global['Blockly']['Json']['blockToJson'] = Blockly.Json.blockToJson;
+goog.global['Blockly']['Json']['jsonToBlock'] = Blockly.Json.jsonToBlock;
+goog.global['Blockly']['Json']['domToJson'] = Blockly.Json.domToJson;
+goog.global['Blockly']['Json']['jsonToDom'] = Blockly.Json.jsonToDom;
+goog.global['Blockly']['Json']['clearWorkspaceAndLoadFromJson'] =
+  Blockly.Json.clearWorkspaceAndLoadFromJson;
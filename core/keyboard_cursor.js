@@ -0,0 +1,895 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview A keyboard cursor for editing blocks without a mouse.
+ *
+ * Ctrl+Shift+K turns the cursor on or off.  While it is on:
+ *   Up/Down        Step through the blocks, editable fields and connections of
+ *                  the stacks, in reading order.
+ *   Left/Right     Jump to the previous or next stack.
+ *   Shift+arrows   Move the stack under the cursor.
+ *   Enter/Space    On a field, open its editor.  On a connection, pick a block
+ *                  from the toolbox to insert there, or drop the block being
+ *                  moved there.
+ *   M              Start moving the block under the cursor.
+ *   X              Disconnect the block under the cursor from its parent.
+ *   Esc            Stop moving or inserting.
+ * The cursor selects the block it is on, so delete, copy, paste and undo work
+ * as they do with the mouse.
+ */
+'use strict';
+
+goog.provide('Blockly.KeyboardCursor');
+
+goog.require('Blockly.Events');
+goog.require('Blockly.utils');
+
+goog.require('goog.dom');
+
+
+/**
+ * Class for a keyboard cursor on a workspace.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to navigate.
+ * @constructor
+ */
+Blockly.KeyboardCursor = function(workspace) {
+  /**
+   * @type {!Blockly.WorkspaceSvg}
+   * @private
+   */
+  this.workspace_ = workspace;
+
+  /**
+   * Whether the cursor responds to keys.
+   * @type {boolean}
+   * @private
+   */
+  this.enabled_ = false;
+
+  /**
+   * Where the cursor is, or null if the workspace is empty.
+   * @type {?Blockly.KeyboardCursor.Location}
+   * @private
+   */
+  this.location_ = null;
+
+  /**
+   * The block being moved to a new connection, if any.
+   * @type {Blockly.BlockSvg}
+   * @private
+   */
+  this.moving_ = null;
+
+  /**
+   * The connection a block from the toolbox is being picked for, if any.
+   * @type {Blockly.RenderedConnection}
+   * @private
+   */
+  this.insertConnection_ = null;
+
+  /**
+   * Flyout blocks offered while picking a block to insert.
+   * @type {!Array.<!Blockly.BlockSvg>}
+   * @private
+   */
+  this.flyoutBlocks_ = [];
+
+  /**
+   * Index in flyoutBlocks_ of the block being offered.
+   * @type {number}
+   * @private
+   */
+  this.flyoutIndex_ = 0;
+
+  /**
+   * Elements given a highlighting class for the current location.
+   * @type {!Array.<!Element>}
+   * @private
+   */
+  this.highlighted_ = [];
+
+  /**
+   * Marker drawn at the current connection.
+   * @type {SVGElement}
+   * @private
+   */
+  this.svgConnection_ = null;
+
+  this.changeWrapper_ = this.onChange_.bind(this);
+  workspace.addChangeListener(this.changeWrapper_);
+};
+
+/**
+ * A place the cursor can be: a block, one of its editable fields, or one of
+ * its connections that another block can attach to.
+ * @typedef {{type: string, block: !Blockly.BlockSvg,
+ *     connection: Blockly.RenderedConnection, field: Blockly.Field}}
+ */
+Blockly.KeyboardCursor.Location;
+
+/**
+ * Location type for a block.
+ * @const {string}
+ */
+Blockly.KeyboardCursor.BLOCK = 'block';
+
+/**
+ * Location type for an editable field.
+ * @const {string}
+ */
+Blockly.KeyboardCursor.FIELD = 'field';
+
+/**
+ * Location type for a connection: an input, the bottom of a block, or the top
+ * of a stack.
+ * @const {string}
+ */
+Blockly.KeyboardCursor.CONNECTION = 'connection';
+
+/**
+ * How far Shift+arrow moves a stack, in workspace units.
+ * @type {number}
+ */
+Blockly.KeyboardCursor.MOVE_DISTANCE = 20;
+
+/**
+ * Length of the marker drawn at statement connections, in workspace units.
+ * @type {number}
+ */
+Blockly.KeyboardCursor.MARKER_LENGTH = 40;
+
+/**
+ * Key codes handled by the cursor.
+ * @enum {number}
+ */
+Blockly.KeyboardCursor.Key = {
+  ENTER: 13,
+  ESC: 27,
+  SPACE: 32,
+  LEFT: 37,
+  UP: 38,
+  RIGHT: 39,
+  DOWN: 40,
+  K: 75,
+  M: 77,
+  X: 88
+};
+
+/**
+ * Whether the cursor responds to keys.
+ * @return {boolean} True if enabled.
+ */
+Blockly.KeyboardCursor.prototype.isEnabled = function() {
+  return this.enabled_;
+};
+
+/**
+ * Turn the cursor on or off.  When turned on, it starts at the selected block
+ * or at the first stack.
+ * @param {boolean} enabled True to turn the cursor on.
+ */
+Blockly.KeyboardCursor.prototype.setEnabled = function(enabled) {
+  this.enabled_ = enabled;
+  this.cancel();
+  if (enabled) {
+    var selected = Blockly.selected;
+    if (selected && !selected.isComment &&
+        selected.workspace == this.workspace_) {
+      this.setLocation(Blockly.KeyboardCursor.blockLocation_(selected));
+    } else {
+      var stacks = this.workspace_.getTopBlocks(true);
+      this.setLocation(stacks.length ?
+          Blockly.KeyboardCursor.getLocations_(stacks[0])[0] : null);
+    }
+  } else {
+    this.setLocation(null);
+  }
+};
+
+/**
+ * Get the current location.
+ * @return {?Blockly.KeyboardCursor.Location} The location, or null if there
+ *     is nothing to be on.
+ */
+Blockly.KeyboardCursor.prototype.getLocation = function() {
+  return this.location_;
+};
+
+/**
+ * Move the cursor.  The block at the new location is selected.
+ * @param {?Blockly.KeyboardCursor.Location} location The new location.
+ */
+Blockly.KeyboardCursor.prototype.setLocation = function(location) {
+  this.location_ = location;
+  if (location) {
+    var block = Blockly.KeyboardCursor.getOwnBlock_(location.block);
+    if (Blockly.selected != block) {
+      block.select();
+    }
+    this.scrollIntoView_(location.block);
+  }
+  this.render_();
+};
+
+/**
+ * Get the block being moved, if any.
+ * @return {Blockly.BlockSvg} The block.
+ */
+Blockly.KeyboardCursor.prototype.getMovingBlock = function() {
+  return this.moving_;
+};
+
+/**
+ * Get the flyout block being offered for insertion, if a block is being
+ * picked from the toolbox.
+ * @return {Blockly.BlockSvg} The flyout block.
+ */
+Blockly.KeyboardCursor.prototype.getOfferedBlock = function() {
+  return this.insertConnection_ ?
+      this.flyoutBlocks_[this.flyoutIndex_] || null : null;
+};
+
+/**
+ * Stop moving a block or picking a block to insert.
+ */
+Blockly.KeyboardCursor.prototype.cancel = function() {
+  this.moving_ = null;
+  this.insertConnection_ = null;
+  this.flyoutBlocks_ = [];
+  this.flyoutIndex_ = 0;
+  this.render_();
+};
+
+/**
+ * Is a key press the shortcut (Ctrl+Shift+K) that turns the cursor on and off?
+ * @param {!Event} e Key down event.
+ * @return {boolean} True if the key press toggles the cursor.
+ */
+Blockly.KeyboardCursor.isToggleKey = function(e) {
+  return e.keyCode == Blockly.KeyboardCursor.Key.K && !!e.shiftKey &&
+      !!(e.ctrlKey || e.metaKey);
+};
+
+/**
+ * Handle a key press.
+ * @param {!Event} e Key down event.
+ * @return {boolean} True if the key was handled and should go no further.
+ */
+Blockly.KeyboardCursor.prototype.onKeyDown = function(e) {
+  var Key = Blockly.KeyboardCursor.Key;
+  if (Blockly.KeyboardCursor.isToggleKey(e)) {
+    this.setEnabled(!this.enabled_);
+    return true;
+  }
+  if (!this.enabled_ || e.ctrlKey || e.metaKey || e.altKey) {
+    return false;
+  }
+  if (this.insertConnection_) {
+    return this.onFlyoutKeyDown_(e);
+  }
+  switch (e.keyCode) {
+    case Key.UP:
+    case Key.DOWN:
+    case Key.LEFT:
+    case Key.RIGHT:
+      if (e.shiftKey) {
+        this.moveStack_(e.keyCode);
+      } else {
+        this.step_(e.keyCode);
+      }
+      return true;
+    case Key.ENTER:
+    case Key.SPACE:
+      this.activate_();
+      return true;
+    case Key.M:
+      this.startMove_();
+      return true;
+    case Key.X:
+      this.disconnect_();
+      return true;
+    case Key.ESC:
+      // Let Escape also close menus as usual.
+      this.cancel();
+      return false;
+  }
+  return false;
+};
+
+/**
+ * Stop listening to the workspace and remove the cursor.
+ */
+Blockly.KeyboardCursor.prototype.dispose = function() {
+  this.workspace_.removeChangeListener(this.changeWrapper_);
+  this.location_ = null;
+  this.cancel();
+  goog.dom.removeNode(this.svgConnection_);
+  this.svgConnection_ = null;
+};
+
+/**
+ * Get the locations in a stack, in reading order: the top of the stack, then
+ * each block followed by its editable fields and connections.  Blocks inside
+ * inputs come right after the input they are in.
+ * @param {!Blockly.BlockSvg} topBlock The stack's top block.
+ * @return {!Array.<!Blockly.KeyboardCursor.Location>} The locations.
+ * @private
+ */
+Blockly.KeyboardCursor.getLocations_ = function(topBlock) {
+  var locations = [];
+  if (topBlock.previousConnection) {
+    locations.push(Blockly.KeyboardCursor.connectionLocation_(
+        topBlock.previousConnection));
+  }
+  Blockly.KeyboardCursor.addBlockLocations_(topBlock, locations);
+  return locations;
+};
+
+/**
+ * Add the locations of a block and everything attached below it.
+ * @param {!Blockly.BlockSvg} block The block.
+ * @param {!Array.<!Blockly.KeyboardCursor.Location>} locations List to add to.
+ * @private
+ */
+Blockly.KeyboardCursor.addBlockLocations_ = function(block, locations) {
+  locations.push(Blockly.KeyboardCursor.blockLocation_(block));
+  for (var i = 0, input; input = block.inputList[i]; i++) {
+    if (!input.isVisible()) {
+      continue;
+    }
+    Blockly.KeyboardCursor.addFieldLocations_(input, locations);
+    if (!input.connection) {
+      continue;
+    }
+    locations.push(
+        Blockly.KeyboardCursor.connectionLocation_(input.connection));
+    var target = input.connection.targetBlock();
+    if (target && target.isShadow()) {
+      // Shadow blocks are edited in place, as if their fields were the
+      // input's own.
+      for (var j = 0, shadowInput; shadowInput = target.inputList[j]; j++) {
+        Blockly.KeyboardCursor.addFieldLocations_(shadowInput, locations);
+      }
+    } else if (target) {
+      Blockly.KeyboardCursor.addBlockLocations_(target, locations);
+    }
+  }
+  if (block.nextConnection) {
+    locations.push(
+        Blockly.KeyboardCursor.connectionLocation_(block.nextConnection));
+    var next = block.getNextBlock();
+    if (next) {
+      Blockly.KeyboardCursor.addBlockLocations_(next, locations);
+    }
+  }
+};
+
+/**
+ * Add the locations of an input's editable fields.
+ * @param {!Blockly.Input} input The input.
+ * @param {!Array.<!Blockly.KeyboardCursor.Location>} locations List to add to.
+ * @private
+ */
+Blockly.KeyboardCursor.addFieldLocations_ = function(input, locations) {
+  for (var i = 0, field; field = input.fieldRow[i]; i++) {
+    if (field.isVisible() && field.isCurrentlyEditable()) {
+      locations.push({
+        type: Blockly.KeyboardCursor.FIELD,
+        block: /** @type {!Blockly.BlockSvg} */ (field.sourceBlock_),
+        connection: null,
+        field: field
+      });
+    }
+  }
+};
+
+/**
+ * @param {!Blockly.BlockSvg} block A block.
+ * @return {!Blockly.KeyboardCursor.Location} The block's location.
+ * @private
+ */
+Blockly.KeyboardCursor.blockLocation_ = function(block) {
+  return {
+    type: Blockly.KeyboardCursor.BLOCK,
+    block: Blockly.KeyboardCursor.getOwnBlock_(block),
+    connection: null,
+    field: null
+  };
+};
+
+/**
+ * @param {!Blockly.RenderedConnection} connection A connection.
+ * @return {!Blockly.KeyboardCursor.Location} The connection's location.
+ * @private
+ */
+Blockly.KeyboardCursor.connectionLocation_ = function(connection) {
+  return {
+    type: Blockly.KeyboardCursor.CONNECTION,
+    block: /** @type {!Blockly.BlockSvg} */ (connection.getSourceBlock()),
+    connection: connection,
+    field: null
+  };
+};
+
+/**
+ * Get the block a user thinks of as being at a block: shadow blocks are part
+ * of the block they are in.
+ * @param {!Blockly.BlockSvg} block A block.
+ * @return {!Blockly.BlockSvg} The block, or the block its shadow is in.
+ * @private
+ */
+Blockly.KeyboardCursor.getOwnBlock_ = function(block) {
+  while (block.isShadow() && block.getParent()) {
+    block = block.getParent();
+  }
+  return block;
+};
+
+/**
+ * Whether two locations are the same place.
+ * @param {Blockly.KeyboardCursor.Location} a A location.
+ * @param {Blockly.KeyboardCursor.Location} b Another location.
+ * @return {boolean} True if they are the same.
+ * @private
+ */
+Blockly.KeyboardCursor.isSameLocation_ = function(a, b) {
+  return !!a && !!b && a.type == b.type && a.block == b.block &&
+      a.connection == b.connection && a.field == b.field;
+};
+
+/**
+ * Find the current location in its stack.
+ * @return {!{stacks: !Array.<!Blockly.BlockSvg>, stack: number,
+ *     locations: !Array.<!Blockly.KeyboardCursor.Location>, index: number}}
+ *     The stacks on the workspace, and the index of the current one; its
+ *     locations, and the index of the current one.  Indices are -1 if the
+ *     location was not found.
+ * @private
+ */
+Blockly.KeyboardCursor.prototype.find_ = function() {
+  var stacks = this.workspace_.getTopBlocks(true);
+  var result = {stacks: stacks, stack: -1, locations: [], index: -1};
+  if (!this.location_ || !this.location_.block.workspace) {
+    return result;
+  }
+  var root = this.location_.block.getRootBlock();
+  result.stack = stacks.indexOf(root);
+  if (result.stack != -1) {
+    result.locations = Blockly.KeyboardCursor.getLocations_(root);
+    for (var i = 0; i < result.locations.length; i++) {
+      if (Blockly.KeyboardCursor.isSameLocation_(result.locations[i],
+          this.location_)) {
+        result.index = i;
+      }
+    }
+  }
+  return result;
+};
+
+/**
+ * Step to the next or previous location, or to another stack.
+ * @param {number} keyCode The arrow key pressed.
+ * @private
+ */
+Blockly.KeyboardCursor.prototype.step_ = function(keyCode) {
+  var Key = Blockly.KeyboardCursor.Key;
+  var found = this.find_();
+  var stacks = found.stacks;
+  if (!stacks.length) {
+    this.setLocation(null);
+    return;
+  }
+  if (found.index == -1) {
+    this.setLocation(Blockly.KeyboardCursor.getLocations_(stacks[0])[0]);
+    return;
+  }
+  var stack = found.stack;
+  var index = found.index;
+  var locations = found.locations;
+  if (keyCode == Key.DOWN && index < locations.length - 1) {
+    this.setLocation(locations[index + 1]);
+  } else if (keyCode == Key.UP && index > 0) {
+    this.setLocation(locations[index - 1]);
+  } else if (keyCode == Key.DOWN || keyCode == Key.RIGHT) {
+    if (stack < stacks.length - 1) {
+      this.setLocation(
+          Blockly.KeyboardCursor.getLocations_(stacks[stack + 1])[0]);
+    }
+  } else if (keyCode == Key.UP) {
+    if (stack > 0) {
+      var previous = Blockly.KeyboardCursor.getLocations_(stacks[stack - 1]);
+      this.setLocation(previous[previous.length - 1]);
+    }
+  } else if (keyCode == Key.LEFT) {
+    this.setLocation(Blockly.KeyboardCursor.getLocations_(
+        stacks[Math.max(0, index > 0 ? stack : stack - 1)])[0]);
+  }
+};
+
+/**
+ * Move the stack under the cursor one step in the direction of an arrow key.
+ * @param {number} keyCode The arrow key pressed.
+ * @private
+ */
+Blockly.KeyboardCursor.prototype.moveStack_ = function(keyCode) {
+  if (!this.location_) {
+    return;
+  }
+  var root = this.location_.block.getRootBlock();
+  if (!root.isMovable()) {
+    return;
+  }
+  var Key = Blockly.KeyboardCursor.Key;
+  var distance = Blockly.KeyboardCursor.MOVE_DISTANCE;
+  var dx = keyCode == Key.LEFT ? -distance : keyCode == Key.RIGHT ? distance : 0;
+  var dy = keyCode == Key.UP ? -distance : keyCode == Key.DOWN ? distance : 0;
+  root.moveBy(dx, dy);
+  this.render_();
+};
+
+/**
+ * Act on the current location: edit a field, drop the moving block, or pick a
+ * block to insert.
+ * @private
+ */
+Blockly.KeyboardCursor.prototype.activate_ = function() {
+  var location = this.location_;
+  if (!location) {
+    return;
+  }
+  if (location.type == Blockly.KeyboardCursor.FIELD) {
+    location.field.showEditor_();
+  } else if (location.type == Blockly.KeyboardCursor.CONNECTION) {
+    if (this.moving_) {
+      this.dropMovingBlock_(location.connection);
+    } else {
+      this.startInsert_(location.connection);
+    }
+  }
+};
+
+/**
+ * Start moving the block under the cursor, along with the blocks below it.
+ * @private
+ */
+Blockly.KeyboardCursor.prototype.startMove_ = function() {
+  if (!this.location_) {
+    return;
+  }
+  var block = Blockly.KeyboardCursor.getOwnBlock_(this.location_.block);
+  if (block.isMovable()) {
+    this.cancel();
+    this.moving_ = block;
+    this.render_();
+  }
+};
+
+/**
+ * Connect the moving block to a connection, if it fits there.
+ * @param {!Blockly.RenderedConnection} connection Connection to drop onto.
+ * @private
+ */
+Blockly.KeyboardCursor.prototype.dropMovingBlock_ = function(connection) {
+  var block = this.moving_;
+  if (!block.workspace) {
+    this.cancel();
+    return;
+  }
+  if (block.getDescendants(false).indexOf(connection.getSourceBlock()) != -1) {
+    // A block can't be moved inside itself.
+    return;
+  }
+  Blockly.Events.setGroup(true);
+  try {
+    if (block.getParent()) {
+      block.unplug();
+    }
+    var connected = Blockly.KeyboardCursor.connectBlock_(block, connection);
+  } finally {
+    Blockly.Events.setGroup(false);
+  }
+  if (connected) {
+    this.cancel();
+    this.setLocation(Blockly.KeyboardCursor.blockLocation_(block));
+  }
+};
+
+/**
+ * Connect a block that isn't attached to anything to a connection.  A block
+ * dropped on the top of a stack is placed so that the stack stays put.
+ * @param {!Blockly.BlockSvg} block The block to connect.
+ * @param {!Blockly.RenderedConnection} connection Connection to connect to.
+ * @return {boolean} True if the block was connected.
+ * @private
+ */
+Blockly.KeyboardCursor.connectBlock_ = function(block, connection) {
+  var blockConnection;
+  switch (connection.type) {
+    case Blockly.INPUT_VALUE:
+      blockConnection = block.outputConnection;
+      break;
+    case Blockly.NEXT_STATEMENT:
+      blockConnection = block.previousConnection;
+      break;
+    case Blockly.PREVIOUS_STATEMENT:
+      blockConnection = block.lastConnectionInStack();
+      break;
+  }
+  if (!blockConnection || !Blockly.Connection.prototype.isConnectionAllowed
+      .call(blockConnection, connection)) {
+    return false;
+  }
+  if (connection.type == Blockly.PREVIOUS_STATEMENT) {
+    block.moveBy(connection.x_ - blockConnection.x_,
+        connection.y_ - blockConnection.y_);
+  }
+  blockConnection.connect(connection);
+  return true;
+};
+
+/**
+ * Disconnect the block under the cursor, and the blocks below it, from its
+ * parent.
+ * @private
+ */
+Blockly.KeyboardCursor.prototype.disconnect_ = function() {
+  if (!this.location_) {
+    return;
+  }
+  var block = Blockly.KeyboardCursor.getOwnBlock_(this.location_.block);
+  if (!block.getParent() || !block.isMovable()) {
+    return;
+  }
+  Blockly.Events.setGroup(true);
+  try {
+    block.unplug();
+    // Move it clear of the connection it came from.
+    block.moveBy(Blockly.SNAP_RADIUS * 2, Blockly.SNAP_RADIUS * 2);
+  } finally {
+    Blockly.Events.setGroup(false);
+  }
+  this.setLocation(Blockly.KeyboardCursor.blockLocation_(block));
+};
+
+/**
+ * Start picking a block from the toolbox to insert at a connection.  Only
+ * blocks that could connect there are offered.
+ * @param {!Blockly.RenderedConnection} connection The connection.
+ * @private
+ */
+Blockly.KeyboardCursor.prototype.startInsert_ = function(connection) {
+  var flyout = this.workspace_.getFlyout();
+  if (!flyout) {
+    return;
+  }
+  var blocks = flyout.getWorkspace().getTopBlocks(true).filter(
+      function(block) {
+        var blockConnection = connection.type == Blockly.INPUT_VALUE ?
+            block.outputConnection : connection.type == Blockly.NEXT_STATEMENT ?
+            block.previousConnection : block.nextConnection;
+        return !block.disabled && !!blockConnection &&
+            blockConnection.checkType_(connection);
+      });
+  if (!blocks.length) {
+    return;
+  }
+  this.insertConnection_ = connection;
+  this.flyoutBlocks_ = blocks;
+  this.flyoutIndex_ = 0;
+  this.showOfferedBlock_();
+};
+
+/**
+ * Handle a key press while picking a block to insert.
+ * @param {!Event} e Key down event.
+ * @return {boolean} True if the key was handled.
+ * @private
+ */
+Blockly.KeyboardCursor.prototype.onFlyoutKeyDown_ = function(e) {
+  var Key = Blockly.KeyboardCursor.Key;
+  switch (e.keyCode) {
+    case Key.UP:
+    case Key.LEFT:
+      this.flyoutIndex_ = Math.max(0, this.flyoutIndex_ - 1);
+      this.showOfferedBlock_();
+      return true;
+    case Key.DOWN:
+    case Key.RIGHT:
+      this.flyoutIndex_ =
+          Math.min(this.flyoutBlocks_.length - 1, this.flyoutIndex_ + 1);
+      this.showOfferedBlock_();
+      return true;
+    case Key.ENTER:
+    case Key.SPACE:
+      this.insertOfferedBlock_();
+      return true;
+    case Key.ESC:
+      this.cancel();
+      return false;
+  }
+  return false;
+};
+
+/**
+ * Scroll the flyout to the offered block and highlight it.
+ * @private
+ */
+Blockly.KeyboardCursor.prototype.showOfferedBlock_ = function() {
+  var flyout = this.workspace_.getFlyout();
+  var block = this.getOfferedBlock();
+  if (flyout && block && flyout.scrollTo) {
+    var xy = block.getRelativeToSurfaceXY();
+    flyout.scrollTo(flyout.horizontalLayout_ ? xy.x : xy.y);
+  }
+  this.render_();
+};
+
+/**
+ * Create the offered block on the workspace and connect it.
+ * @private
+ */
+Blockly.KeyboardCursor.prototype.insertOfferedBlock_ = function() {
+  var flyout = this.workspace_.getFlyout();
+  var offered = this.getOfferedBlock();
+  var connection = this.insertConnection_;
+  this.cancel();
+  if (!flyout || !offered || !connection.getSourceBlock().workspace) {
+    return;
+  }
+  Blockly.Events.setGroup(true);
+  try {
+    var block = flyout.createBlock(offered);
+    if (block) {
+      Blockly.KeyboardCursor.connectBlock_(block, connection);
+    }
+  } finally {
+    Blockly.Events.setGroup(false);
+  }
+  if (block) {
+    this.setLocation(Blockly.KeyboardCursor.blockLocation_(block));
+  }
+};
+
+/**
+ * Keep the cursor on something that exists after the workspace changes.
+ * @param {!Blockly.Events.Abstract} event Change event.
+ * @private
+ */
+Blockly.KeyboardCursor.prototype.onChange_ = function(event) {
+  if (!this.enabled_ || event.type == Blockly.Events.UI) {
+    return;
+  }
+  // Delete events may arrive before the blocks have been taken off the
+  // workspace.
+  var deleted = event.type == Blockly.Events.BLOCK_DELETE ? event.ids : [];
+  var isGone = function(block) {
+    return !block.workspace || deleted.indexOf(block.id) != -1;
+  };
+  if (this.moving_ && isGone(this.moving_)) {
+    this.moving_ = null;
+  }
+  if (this.location_ && (isGone(this.location_.block) ||
+      this.find_().index == -1)) {
+    var block = this.location_.block;
+    // Fall back to the block the location was on, or the first stack.
+    if (!isGone(block)) {
+      this.location_ = Blockly.KeyboardCursor.blockLocation_(block);
+    } else {
+      var stacks = this.workspace_.getTopBlocks(true).filter(function(stack) {
+        return !isGone(stack);
+      });
+      this.location_ = stacks.length ?
+          Blockly.KeyboardCursor.getLocations_(stacks[0])[0] : null;
+    }
+  }
+  this.render_();
+};
+
+/**
+ * Scroll the workspace if a block is out of view.
+ * @param {!Blockly.BlockSvg} block The block to show.
+ * @private
+ */
+Blockly.KeyboardCursor.prototype.scrollIntoView_ = function(block) {
+  var workspace = this.workspace_;
+  if (!workspace.scrollbar || !workspace.isVisible()) {
+    return;
+  }
+  var metrics = workspace.getMetrics();
+  var xy = block.getRelativeToSurfaceXY();
+  var x = xy.x * workspace.scale;
+  var y = xy.y * workspace.scale;
+  if (x < metrics.viewLeft || x > metrics.viewLeft + metrics.viewWidth ||
+      y < metrics.viewTop || y > metrics.viewTop + metrics.viewHeight) {
+    workspace.centerOnBlock(block.id);
+  }
+};
+
+/**
+ * Draw the cursor, the block being moved and the block being offered.
+ * @private
+ */
+Blockly.KeyboardCursor.prototype.render_ = function() {
+  while (this.highlighted_.length) {
+    var element = this.highlighted_.pop();
+    Blockly.utils.removeClass(element, 'blocklyKeyboardCursor');
+    Blockly.utils.removeClass(element, 'blocklyKeyboardMoving');
+  }
+  if (this.svgConnection_) {
+    this.svgConnection_.style.display = 'none';
+  }
+  var location = this.location_;
+  if (!this.enabled_ || !location || !location.block.workspace) {
+    return;
+  }
+  if (this.moving_ && this.moving_.workspace) {
+    this.highlight_(this.moving_.getSvgRoot(), 'blocklyKeyboardMoving');
+  }
+  var offered = this.getOfferedBlock();
+  if (offered) {
+    this.highlight_(offered.getSvgRoot(), 'blocklyKeyboardCursor');
+  }
+  if (location.type == Blockly.KeyboardCursor.BLOCK) {
+    this.highlight_(location.block.getSvgRoot(), 'blocklyKeyboardCursor');
+  } else if (location.type == Blockly.KeyboardCursor.FIELD) {
+    // A field in a shadow block looks like the shadow block.
+    var fieldRoot = location.block.isShadow() ?
+        location.block.getSvgRoot() : location.field.getSvgRoot();
+    this.highlight_(fieldRoot, 'blocklyKeyboardCursor');
+  } else {
+    this.drawConnection_(location.connection);
+  }
+};
+
+/**
+ * Add a class to an element until the cursor is next drawn.
+ * @param {Element} element The element.
+ * @param {string} className The class.
+ * @private
+ */
+Blockly.KeyboardCursor.prototype.highlight_ = function(element, className) {
+  if (element) {
+    Blockly.utils.addClass(element, className);
+    this.highlighted_.push(element);
+  }
+};
+
+/**
+ * Draw the marker at a connection: a line where a statement would go, or a
+ * short upright line at a value input.
+ * @param {!Blockly.RenderedConnection} connection The connection.
+ * @private
+ */
+Blockly.KeyboardCursor.prototype.drawConnection_ = function(connection) {
+  if (!this.svgConnection_) {
+    this.svgConnection_ = Blockly.utils.createSvgElement('path',
+        {'class': 'blocklyKeyboardCursorConnection'},
+        this.workspace_.getBubbleCanvas());
+  }
+  var length = Blockly.KeyboardCursor.MARKER_LENGTH;
+  var path = connection.type == Blockly.INPUT_VALUE ?
+      'm 0,0 v ' + length / 2 :
+      'm 0,0 h ' + (this.workspace_.RTL ? -length : length);
+  this.svgConnection_.setAttribute('d', path);
+  this.svgConnection_.setAttribute('transform',
+      'translate(' + connection.x_ + ',' + connection.y_ + ')');
+  this.svgConnection_.style.display = '';
+};
@@ -0,0 +1,421 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Checks a workspace for likely mistakes, such as unused
+ * variables or scripts that can never run.  Each check is a rule registered
+ * with Blockly.Linter.registerRule.  Problems are shown as warnings on the
+ * blocks and, optionally, in a list.
+ */
+'use strict';
+
+goog.provide('Blockly.Linter');
+
+goog.require('Blockly.Events');
+goog.require('Blockly.Procedures');
+goog.require('Blockly.constants');
+goog.require('Blockly.utils');
+
+goog.require('goog.dom');
+goog.require('goog.string');
+
+
+/**
+ * A problem found by a lint rule.
+ * @typedef {{rule: string, message: string, block: Blockly.Block}}
+ */
+Blockly.Linter.Problem;
+
+/**
+ * Class for a linter, which checks a workspace every time it changes.
+ * @param {!Blockly.Workspace} workspace The workspace to check.
+ * @constructor
+ */
+Blockly.Linter = function(workspace) {
+  /**
+   * @type {!Blockly.Workspace}
+   * @private
+   */
+  this.workspace_ = workspace;
+
+  /**
+   * Problems found by the last run.
+   * @type {!Array.<!Blockly.Linter.Problem>}
+   * @private
+   */
+  this.problems_ = [];
+
+  /**
+   * The list of problems, if it has been created.
+   * @type {Element}
+   * @private
+   */
+  this.div_ = null;
+
+  /**
+   * PID of the pending run, if any.
+   * @type {?number}
+   * @private
+   */
+  this.runPid_ = null;
+
+  /**
+   * Event bindings to remove on dispose.
+   * @type {!Array.<!Array>}
+   * @private
+   */
+  this.bindings_ = [];
+
+  this.changeWrapper_ = this.onChange_.bind(this);
+  workspace.addChangeListener(this.changeWrapper_);
+  this.run();
+};
+
+/**
+ * Prefix of the IDs the linter gives its warnings, so that they can be
+ * removed without touching warnings from anywhere else.
+ * @type {string}
+ * @const
+ */
+Blockly.Linter.WARNING_ID_PREFIX = 'lint:';
+
+/**
+ * Block types that never let the blocks below them run.
+ * @type {!Array.<string>}
+ */
+Blockly.Linter.ENDLESS_BLOCK_TYPES = ['control_forever'];
+
+/**
+ * The registered rules, keyed by name, in the order they run.
+ * @type {!Object.<string,
+ *     function(!Blockly.Workspace):!Array.<!{message: string,
+ *     block: Blockly.Block}>>}
+ * @private
+ */
+Blockly.Linter.RULES_ = {};
+
+/**
+ * Registers a new lint rule.  A rule is a function that takes the workspace
+ * and returns a list of problems, each with a message and the block to show
+ * it on (or null if it has no block, such as an unused variable).
+ * @param {string} name The name of this rule.
+ * @param {function(!Blockly.Workspace):!Array.<!{message: string,
+ *     block: Blockly.Block}>} checkFn The function that finds the problems.
+ * @throws {Error} if the rule name is empty, the rule is already registered,
+ *     or checkFn is not a function.
+ */
+Blockly.Linter.registerRule = function(name, checkFn) {
+  if (!goog.isString(name) || goog.string.isEmptyOrWhitespace(name)) {
+    throw new Error('Error: Invalid lint rule name "' + name + '"');
+  }
+  if (Blockly.Linter.RULES_[name]) {
+    throw new Error('Error: Lint rule "' + name + '" is already registered.');
+  }
+  if (!goog.isFunction(checkFn)) {
+    throw new Error('Error: Lint rule "' + name + '" must be a function');
+  }
+  Blockly.Linter.RULES_[name] = checkFn;
+};
+
+/**
+ * Unregisters a lint rule.  Linters stop using it on their next run.
+ * @param {string} name The name of the rule to remove.
+ */
+Blockly.Linter.unregisterRule = function(name) {
+  delete Blockly.Linter.RULES_[name];
+};
+
+/**
+ * Check the workspace with every registered rule, and update the block
+ * warnings and the list of problems.
+ * @return {!Array.<!Blockly.Linter.Problem>} The problems found.
+ */
+Blockly.Linter.prototype.run = function() {
+  if (this.runPid_) {
+    clearTimeout(this.runPid_);
+    this.runPid_ = null;
+  }
+  var oldProblems = this.problems_;
+  this.problems_ = [];
+  for (var name in Blockly.Linter.RULES_) {
+    var found = Blockly.Linter.RULES_[name](this.workspace_);
+    for (var i = 0; i < found.length; i++) {
+      this.problems_.push({
+        rule: name,
+        message: found[i].message,
+        block: found[i].block || null
+      });
+    }
+  }
+  this.setWarnings_(oldProblems, this.problems_);
+  this.render();
+  return this.problems_;
+};
+
+/**
+ * Get the problems found by the last run.
+ * @return {!Array.<!Blockly.Linter.Problem>} The problems.
+ */
+Blockly.Linter.prototype.getProblems = function() {
+  return this.problems_;
+};
+
+/**
+ * Create the list of problems.
+ * @param {Element=} opt_container Element to put the list in.  Defaults to
+ *     the workspace's injection div.
+ * @return {!Element} The list's outermost element.
+ */
+Blockly.Linter.prototype.createDom = function(opt_container) {
+  this.div_ = goog.dom.createDom('div', 'blocklyLint',
+      goog.dom.createDom('div', 'blocklyLintTitle', Blockly.Msg.LINT_TITLE),
+      goog.dom.createDom('ul', 'blocklyLintList'));
+  var container = opt_container || this.workspace_.getInjectionDiv();
+  container.appendChild(this.div_);
+  this.bindings_.push(
+      Blockly.bindEvent_(this.div_.lastChild, 'click', this, this.onClick_));
+  this.render();
+  return this.div_;
+};
+
+/**
+ * Redraw the list of problems.
+ */
+Blockly.Linter.prototype.render = function() {
+  if (!this.div_) {
+    return;
+  }
+  var list = this.div_.lastChild;
+  goog.dom.removeChildren(list);
+  if (!this.problems_.length) {
+    list.appendChild(goog.dom.createDom('li', 'blocklyLintEmpty',
+        Blockly.Msg.LINT_NO_PROBLEMS));
+  }
+  for (var i = 0; i < this.problems_.length; i++) {
+    var item = goog.dom.createDom('li', 'blocklyLintProblem',
+        this.problems_[i].message);
+    item.setAttribute('data-index', i);
+    if (this.problems_[i].block) {
+      Blockly.utils.addClass(item, 'blocklyLintHasBlock');
+    }
+    list.appendChild(item);
+  }
+};
+
+/**
+ * Stop checking the workspace, and remove the list and all lint warnings.
+ */
+Blockly.Linter.prototype.dispose = function() {
+  clearTimeout(this.runPid_);
+  this.workspace_.removeChangeListener(this.changeWrapper_);
+  while (this.bindings_.length) {
+    Blockly.unbindEvent_(this.bindings_.pop());
+  }
+  this.setWarnings_(this.problems_, []);
+  this.problems_ = [];
+  goog.dom.removeNode(this.div_);
+  this.div_ = null;
+};
+
+/**
+ * Replace the warnings from one run with those from the next.  Each rule
+ * has its own warning on a block, so several rules can flag the same block.
+ * @param {!Array.<!Blockly.Linter.Problem>} oldProblems Problems whose
+ *     warnings to remove.
+ * @param {!Array.<!Blockly.Linter.Problem>} newProblems Problems to warn
+ *     about.
+ * @private
+ */
+Blockly.Linter.prototype.setWarnings_ = function(oldProblems, newProblems) {
+  var prefix = Blockly.Linter.WARNING_ID_PREFIX;
+  var texts = Object.create(null);
+  for (var i = 0; i < newProblems.length; i++) {
+    var block = newProblems[i].block;
+    if (block) {
+      var key = block.id + '\n' + prefix + newProblems[i].rule;
+      texts[key] = texts[key] ?
+          texts[key] + '\n' + newProblems[i].message : newProblems[i].message;
+    }
+  }
+  for (var i = 0; i < oldProblems.length; i++) {
+    var block = oldProblems[i].block;
+    var key = block && block.id + '\n' + prefix + oldProblems[i].rule;
+    if (block && block.workspace && !(key in texts)) {
+      block.setWarningText(null, prefix + oldProblems[i].rule);
+    }
+  }
+  for (var i = 0; i < newProblems.length; i++) {
+    var block = newProblems[i].block;
+    var key = block && block.id + '\n' + prefix + newProblems[i].rule;
+    if (block && key in texts) {
+      block.setWarningText(texts[key], prefix + newProblems[i].rule);
+      // Only set each warning once.
+      delete texts[key];
+    }
+  }
+};
+
+/**
+ * Check the workspace again once the current batch of events has been
+ * handled.
+ * @param {!Blockly.Events.Abstract} event Change event.
+ * @private
+ */
+Blockly.Linter.prototype.onChange_ = function(event) {
+  if (event.type != Blockly.Events.UI && !this.runPid_) {
+    this.runPid_ = setTimeout(this.run.bind(this), 0);
+  }
+};
+
+/**
+ * Select and scroll to the block of the clicked problem.
+ * @param {!Event} e Click event.
+ * @private
+ */
+Blockly.Linter.prototype.onClick_ = function(e) {
+  var item = goog.dom.getAncestorByTagNameAndClass(
+      /** @type {Node} */ (e.target), 'li');
+  var problem = item && this.problems_[item.getAttribute('data-index')];
+  var block = problem && problem.block;
+  if (block && block.workspace && block.workspace.rendered) {
+    block.select();
+    block.workspace.centerOnBlock(block.id);
+  }
+};
+
+/**
+ * Get all blocks on a workspace that a rule should look at.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @return {!Array.<!Blockly.Block>} The blocks, not including insertion
+ *     markers.
+ * @private
+ */
+Blockly.Linter.getBlocks_ = function(workspace) {
+  return workspace.getAllBlocks(true).filter(function(block) {
+    return !block.isInsertionMarker();
+  });
+};
+
+Blockly.Linter.registerRule('unused_variables', function(workspace) {
+  var problems = [];
+  var types = [
+    ['', Blockly.Msg.LINT_UNUSED_VARIABLE],
+    [Blockly.LIST_VARIABLE_TYPE, Blockly.Msg.LINT_UNUSED_LIST]
+  ];
+  for (var i = 0; i < types.length; i++) {
+    var variables = workspace.getVariablesOfType(types[i][0]);
+    for (var j = 0; j < variables.length; j++) {
+      if (!workspace.getVariableUsesById(variables[j].getId()).length) {
+        problems.push({
+          message: types[i][1].replace('%1', variables[j].name),
+          block: null
+        });
+      }
+    }
+  }
+  return problems;
+});
+
+Blockly.Linter.registerRule('unreceived_broadcasts', function(workspace) {
+  var blocks = Blockly.Linter.getBlocks_(workspace);
+  var received = Object.create(null);
+  for (var i = 0; i < blocks.length; i++) {
+    if (blocks[i].type == 'event_whenbroadcastreceived') {
+      received[blocks[i].getFieldValue('BROADCAST_OPTION')] = true;
+    }
+  }
+  var problems = [];
+  for (var i = 0; i < blocks.length; i++) {
+    var menu = blocks[i].getInputTargetBlock('BROADCAST_INPUT');
+    if (menu && menu.type == 'event_broadcast_menu' &&
+        !received[menu.getFieldValue('BROADCAST_OPTION')]) {
+      problems.push({
+        message: Blockly.Msg.LINT_UNRECEIVED_BROADCAST.replace('%1',
+            menu.getField('BROADCAST_OPTION').getText()),
+        block: blocks[i]
+      });
+    }
+  }
+  return problems;
+});
+
+Blockly.Linter.registerRule('unreachable_blocks', function(workspace) {
+  var blocks = Blockly.Linter.getBlocks_(workspace);
+  var problems = [];
+  for (var i = 0; i < blocks.length; i++) {
+    var next = blocks[i].getNextBlock();
+    if (next &&
+        Blockly.Linter.ENDLESS_BLOCK_TYPES.indexOf(blocks[i].type) != -1) {
+      problems.push({message: Blockly.Msg.LINT_UNREACHABLE, block: next});
+    }
+  }
+  return problems;
+});
+
+Blockly.Linter.registerRule('empty_c_blocks', function(workspace) {
+  var blocks = Blockly.Linter.getBlocks_(workspace);
+  var problems = [];
+  for (var i = 0; i < blocks.length; i++) {
+    var hasStatement = false;
+    var isEmpty = true;
+    for (var j = 0, input; input = blocks[i].inputList[j]; j++) {
+      if (input.type == Blockly.NEXT_STATEMENT) {
+        hasStatement = true;
+        isEmpty = isEmpty && !input.connection.targetBlock();
+      }
+    }
+    if (hasStatement && isEmpty && !blocks[i].isShadow()) {
+      problems.push({message: Blockly.Msg.LINT_EMPTY_C_BLOCK,
+        block: blocks[i]});
+    }
+  }
+  return problems;
+});
+
+Blockly.Linter.registerRule('empty_hats', function(workspace) {
+  var blocks = workspace.getTopBlocks(true);
+  var problems = [];
+  for (var i = 0; i < blocks.length; i++) {
+    var block = blocks[i];
+    if (!block.previousConnection && !block.outputConnection &&
+        block.nextConnection && !block.getNextBlock() &&
+        !block.isInsertionMarker()) {
+      problems.push({message: Blockly.Msg.LINT_EMPTY_HAT, block: block});
+    }
+  }
+  return problems;
+});
+
+Blockly.Linter.registerRule('undefined_procedures', function(workspace) {
+  var blocks = Blockly.Linter.getBlocks_(workspace);
+  var problems = [];
+  for (var i = 0; i < blocks.length; i++) {
+    if (blocks[i].type == Blockly.PROCEDURES_CALL_BLOCK_TYPE &&
+        !Blockly.Procedures.getDefineBlock(blocks[i].getProcCode(),
+            workspace)) {
+      problems.push({
+        message: Blockly.Msg.LINT_UNDEFINED_PROCEDURE.replace('%1',
+            blocks[i].getProcCode()),
+        block: blocks[i]
+      });
+    }
+  }
+  return problems;
+});
@@ -0,0 +1,406 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Object representing a minimap of the workspace, which shows
+ * where the blocks are and which part of the workspace is in view.
+ */
+'use strict';
+
+goog.provide('Blockly.Minimap');
+
+goog.require('Blockly.Touch');
+goog.require('goog.dom');
+
+
+/**
+ * Class for a minimap.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to sit in.
+ * @constructor
+ */
+Blockly.Minimap = function(workspace) {
+  this.workspace_ = workspace;
+
+  /**
+   * Scrollable area of the workspace the minimap was last drawn for, in
+   * workspace units.
+   * @type {?{x: number, y: number, width: number, height: number}}
+   * @private
+   */
+  this.bounds_ = null;
+
+  /**
+   * Minimap pixels per workspace unit.
+   * @type {number}
+   * @private
+   */
+  this.ratio_ = 1;
+
+  /**
+   * PID of the pending render, if any.
+   * @type {?number}
+   * @private
+   */
+  this.renderPid_ = null;
+
+  /**
+   * Document bindings for an ongoing drag.
+   * @type {!Array.<!Array>}
+   * @private
+   */
+  this.dragBindings_ = [];
+
+  this.changeWrapper_ = this.onChange_.bind(this);
+  workspace.addChangeListener(this.changeWrapper_);
+};
+
+/**
+ * Width of the minimap.
+ * @type {number}
+ * @private
+ */
+Blockly.Minimap.prototype.WIDTH_ = 160;
+
+/**
+ * Height of the minimap.
+ * @type {number}
+ * @private
+ */
+Blockly.Minimap.prototype.HEIGHT_ = 120;
+
+/**
+ * Distance between the minimap and the control below it.
+ * @type {number}
+ * @private
+ */
+Blockly.Minimap.prototype.MARGIN_BOTTOM_ = 12;
+
+/**
+ * Distance between the minimap and the right edge of the workspace.
+ * @type {number}
+ * @private
+ */
+Blockly.Minimap.prototype.MARGIN_SIDE_ = 12;
+
+/**
+ * The SVG group containing the minimap.
+ * @type {Element}
+ * @private
+ */
+Blockly.Minimap.prototype.svgGroup_ = null;
+
+/**
+ * Left coordinate of the minimap.
+ * @type {number}
+ * @private
+ */
+Blockly.Minimap.prototype.left_ = 0;
+
+/**
+ * Top coordinate of the minimap.
+ * @type {number}
+ * @private
+ */
+Blockly.Minimap.prototype.top_ = 0;
+
+/**
+ * Create the minimap.
+ * @return {!Element} The minimap SVG group.
+ */
+Blockly.Minimap.prototype.createDom = function() {
+  /* This markup will be generated and added to the workspace:
+    <g class="blocklyMinimap">
+      <rect class="blocklyMinimapBackground" width="160" height="120"></rect>
+      <svg width="160" height="120">
+        <g></g>
+        <rect class="blocklyMinimapViewport"></rect>
+      </svg>
+    </g>
+  */
+  this.svgGroup_ =
+      Blockly.utils.createSvgElement('g', {'class': 'blocklyMinimap'}, null);
+  this.svgBackground_ = Blockly.utils.createSvgElement('rect',
+      {
+        'class': 'blocklyMinimapBackground',
+        'width': this.WIDTH_,
+        'height': this.HEIGHT_,
+        'rx': 4,
+        'ry': 4
+      },
+      this.svgGroup_);
+  // A nested SVG clips the preview to the minimap.
+  var clip = Blockly.utils.createSvgElement('svg',
+      {'width': this.WIDTH_, 'height': this.HEIGHT_}, this.svgGroup_);
+  this.svgContent_ = Blockly.utils.createSvgElement('g', {}, clip);
+  this.svgViewport_ = Blockly.utils.createSvgElement('rect',
+      {'class': 'blocklyMinimapViewport'}, clip);
+  Blockly.bindEventWithChecks_(this.svgGroup_, 'mousedown', this,
+      this.onMouseDown_);
+  return this.svgGroup_;
+};
+
+/**
+ * Initialize the minimap.
+ * @param {number} bottom Distance from workspace bottom to bottom of minimap.
+ * @return {number} Distance from workspace bottom to the top of minimap.
+ */
+Blockly.Minimap.prototype.init = function(bottom) {
+  this.bottom_ = this.MARGIN_BOTTOM_ + bottom;
+  return this.bottom_ + this.HEIGHT_;
+};
+
+/**
+ * Dispose of this minimap.
+ * Unlink from all DOM elements to prevent memory leaks.
+ */
+Blockly.Minimap.prototype.dispose = function() {
+  clearTimeout(this.renderPid_);
+  this.cleanUp_();
+  if (this.svgGroup_) {
+    goog.dom.removeNode(this.svgGroup_);
+    this.svgGroup_ = null;
+  }
+  this.svgBackground_ = null;
+  this.svgContent_ = null;
+  this.svgViewport_ = null;
+  this.workspace_.removeChangeListener(this.changeWrapper_);
+  this.workspace_ = null;
+};
+
+/**
+ * Move the minimap to the bottom-right corner.
+ */
+Blockly.Minimap.prototype.position = function() {
+  var metrics = this.workspace_.getMetrics();
+  if (!metrics) {
+    // There are no metrics available (workspace is probably not visible).
+    return;
+  }
+  if (this.workspace_.RTL) {
+    this.left_ = this.MARGIN_SIDE_ + Blockly.Scrollbar.scrollbarThickness;
+    if (metrics.toolboxPosition == Blockly.TOOLBOX_AT_LEFT) {
+      this.left_ += metrics.flyoutWidth;
+      if (this.workspace_.toolbox_) {
+        this.left_ += metrics.absoluteLeft;
+      }
+    }
+  } else {
+    this.left_ = metrics.viewWidth + metrics.absoluteLeft -
+        this.WIDTH_ - this.MARGIN_SIDE_ - Blockly.Scrollbar.scrollbarThickness;
+
+    if (metrics.toolboxPosition == Blockly.TOOLBOX_AT_RIGHT) {
+      this.left_ -= metrics.flyoutWidth;
+    }
+  }
+  this.top_ = metrics.viewHeight + metrics.absoluteTop -
+      this.HEIGHT_ - this.bottom_;
+  if (metrics.toolboxPosition == Blockly.TOOLBOX_AT_BOTTOM) {
+    this.top_ -= metrics.flyoutHeight;
+  }
+  this.svgGroup_.setAttribute('transform',
+      'translate(' + this.left_ + ',' + this.top_ + ')');
+  this.updateViewport();
+};
+
+/**
+ * Redraw the preview of all top blocks and comments.
+ */
+Blockly.Minimap.prototype.render = function() {
+  if (this.renderPid_) {
+    clearTimeout(this.renderPid_);
+    this.renderPid_ = null;
+  }
+  var metrics = this.svgGroup_ && this.workspace_.getMetrics();
+  if (!metrics) {
+    return;
+  }
+  this.bounds_ = Blockly.Minimap.getBounds_(metrics, this.workspace_.scale);
+  this.ratio_ = Math.min(this.WIDTH_ / (this.bounds_.width || 1),
+      this.HEIGHT_ / (this.bounds_.height || 1));
+  goog.dom.removeChildren(this.svgContent_);
+  var blocks = this.workspace_.getTopBlocks(false);
+  for (var i = 0; i < blocks.length; i++) {
+    var rect = this.drawRect_(blocks[i].getBoundingRectangle(),
+        'blocklyMinimapBlock');
+    rect.setAttribute('fill', blocks[i].getColour());
+  }
+  var comments = this.workspace_.getTopComments(false);
+  for (var i = 0; i < comments.length; i++) {
+    this.drawRect_(comments[i].getBoundingRectangle(),
+        'blocklyMinimapComment');
+  }
+  this.updateViewport();
+};
+
+/**
+ * Move the outline of the visible part of the workspace to match the
+ * workspace's scroll position.  Redraws the whole minimap if the scrollable
+ * area has changed, e.g. after zooming.
+ */
+Blockly.Minimap.prototype.updateViewport = function() {
+  var metrics = this.svgGroup_ && this.workspace_.getMetrics();
+  if (!metrics) {
+    return;
+  }
+  var scale = this.workspace_.scale;
+  var bounds = Blockly.Minimap.getBounds_(metrics, scale);
+  if (!this.bounds_ || bounds.x != this.bounds_.x ||
+      bounds.y != this.bounds_.y || bounds.width != this.bounds_.width ||
+      bounds.height != this.bounds_.height) {
+    this.render();
+    return;
+  }
+  var view = this.getViewport();
+  this.svgViewport_.setAttribute('x', (view.x - bounds.x) * this.ratio_);
+  this.svgViewport_.setAttribute('y', (view.y - bounds.y) * this.ratio_);
+  this.svgViewport_.setAttribute('width', view.width * this.ratio_);
+  this.svgViewport_.setAttribute('height', view.height * this.ratio_);
+};
+
+/**
+ * Get the part of the workspace that is in view.
+ * @return {!{x: number, y: number, width: number, height: number}} The
+ *     visible area, in workspace units.
+ */
+Blockly.Minimap.prototype.getViewport = function() {
+  var metrics = this.workspace_.getMetrics();
+  var scale = this.workspace_.scale;
+  return {
+    x: metrics.viewLeft / scale,
+    y: metrics.viewTop / scale,
+    width: metrics.viewWidth / scale,
+    height: metrics.viewHeight / scale
+  };
+};
+
+/**
+ * Scroll the workspace so that a point is in the middle of the view.
+ * @param {number} x X coordinate of the point, in workspace units.
+ * @param {number} y Y coordinate of the point, in workspace units.
+ */
+Blockly.Minimap.prototype.centerOn = function(x, y) {
+  if (!this.workspace_.scrollbar) {
+    return;
+  }
+  var metrics = this.workspace_.getMetrics();
+  var scale = this.workspace_.scale;
+  this.workspace_.scrollbar.set(
+      x * scale - metrics.contentLeft - metrics.viewWidth / 2,
+      y * scale - metrics.contentTop - metrics.viewHeight / 2);
+};
+
+/**
+ * Get the scrollable area of the workspace, which always contains both the
+ * blocks and the view.
+ * @param {!Object} metrics The workspace's metrics.
+ * @param {number} scale The workspace's scale.
+ * @return {!{x: number, y: number, width: number, height: number}} The area,
+ *     in workspace units.
+ * @private
+ */
+Blockly.Minimap.getBounds_ = function(metrics, scale) {
+  return {
+    x: metrics.contentLeft / scale,
+    y: metrics.contentTop / scale,
+    width: metrics.contentWidth / scale,
+    height: metrics.contentHeight / scale
+  };
+};
+
+/**
+ * Draw a scaled down copy of a rectangle on the workspace.
+ * @param {!{topLeft: !goog.math.Coordinate,
+ *     bottomRight: !goog.math.Coordinate}} box The rectangle, in workspace
+ *     units.
+ * @param {string} className CSS class of the new element.
+ * @return {!Element} The new rect element.
+ * @private
+ */
+Blockly.Minimap.prototype.drawRect_ = function(box, className) {
+  return Blockly.utils.createSvgElement('rect',
+      {
+        'class': className,
+        'x': (box.topLeft.x - this.bounds_.x) * this.ratio_,
+        'y': (box.topLeft.y - this.bounds_.y) * this.ratio_,
+        'width': Math.max(1, (box.bottomRight.x - box.topLeft.x) * this.ratio_),
+        'height': Math.max(1, (box.bottomRight.y - box.topLeft.y) * this.ratio_)
+      },
+      this.svgContent_);
+};
+
+/**
+ * Keep the preview in sync with the workspace.
+ * @param {!Blockly.Events.Abstract} event Change event.
+ * @private
+ */
+Blockly.Minimap.prototype.onChange_ = function(event) {
+  if (event.type != Blockly.Events.UI && this.svgGroup_ && !this.renderPid_) {
+    this.renderPid_ = setTimeout(this.render.bind(this), 0);
+  }
+};
+
+/**
+ * Start panning: centre the view on the clicked point and follow the mouse
+ * until it is released.
+ * @param {!Event} e Mouse down event.
+ * @private
+ */
+Blockly.Minimap.prototype.onMouseDown_ = function(e) {
+  this.workspace_.markFocused();
+  this.cleanUp_();
+  e.stopPropagation();  // Don't start a workspace scroll.
+  e.preventDefault();  // Stop double-clicking from selecting text.
+  if (Blockly.utils.isRightButton(e)) {
+    // The minimap has no context menu.
+    return;
+  }
+  Blockly.WidgetDiv.hide(true);
+  Blockly.DropDownDiv.hideWithoutAnimation();
+  this.dragBindings_.push(
+      Blockly.bindEventWithChecks_(document, 'mousemove', this,
+          this.onMouseMove_),
+      Blockly.bindEventWithChecks_(document, 'mouseup', this, this.cleanUp_));
+  this.onMouseMove_(e);
+};
+
+/**
+ * Pan so the point under the mouse is in the middle of the view.
+ * @param {!Event} e Mouse event.
+ * @private
+ */
+Blockly.Minimap.prototype.onMouseMove_ = function(e) {
+  if (!this.bounds_) {
+    this.render();
+  }
+  var rect = this.svgBackground_.getBoundingClientRect();
+  this.centerOn(this.bounds_.x + (e.clientX - rect.left) / this.ratio_,
+      this.bounds_.y + (e.clientY - rect.top) / this.ratio_);
+};
+
+/**
+ * Stop following the mouse.
+ * @private
+ */
+Blockly.Minimap.prototype.cleanUp_ = function() {
+  while (this.dragBindings_.length) {
+    Blockly.unbindEvent_(this.dragBindings_.pop());
+  }
+  Blockly.Touch.clearTouchIdentifier();  // Don't block future drags.
+};
@@ -47,9 +47,7 @@ Blockly.Options = function(options) {
     var hasSounds = false;
   } else {
     if (!options['toolbox'] && Blockly.Blocks.defaultToolbox) {
-      var oParser = new DOMParser();
-      var dom = oParser.parseFromString(Blockly.Blocks.defaultToolbox, 'text/xml');
-      options['toolbox'] = dom.documentElement;
+      options['toolbox'] = Blockly.Blocks.defaultToolbox;
     }
     var languageTree = Blockly.Options.parseToolboxTree(options['toolbox']);
     var hasCategories = Boolean(languageTree &&
@@ -110,12 +108,19 @@ Blockly.Options = function(options) {
     // 'path' is a deprecated option which has been replaced by 'media'.
     pathToMedia = options['path'] + 'media/';
   }
+  var hasToolboxSearch = !!options['toolboxSearch'];
+  var hasMinimap = !!options['minimap'];
+  var hasCategoryPatterns = !!options['categoryPatterns'];
   if (options['oneBasedIndex'] === undefined) {
     var oneBasedIndex = true;
   } else {
     var oneBasedIndex = !!options['oneBasedIndex'];
   }
 
+  var theme = options['theme'] || null;
+  if (theme) {
+    Blockly.Colours.overrideColours(theme.getColours());
+  }
   Blockly.Colours.overrideColours(options['colours']);
 
   this.RTL = rtl;
@@ -129,6 +134,10 @@ Blockly.Options = function(options) {
   this.hasScrollbars = hasScrollbars;
   this.hasTrashcan = hasTrashcan;
   this.hasSounds = hasSounds;
+  this.hasToolboxSearch = hasToolboxSearch;
+  this.hasMinimap = hasMinimap;
+  this.hasCategoryPatterns = hasCategoryPatterns;
+  this.theme = theme;
   this.hasCss = hasCss;
   this.horizontalLayout = horizontalLayout;
   this.languageTree = languageTree;
@@ -210,7 +219,7 @@ Blockly.Options.parseGridOptions_ = function(options) {
   var grid = options['grid'] || {};
   var gridOptions = {};
   gridOptions.spacing = parseFloat(grid['spacing']) || 0;
-  gridOptions.colour = grid['colour'] || '#888';
+  gridOptions.colour = grid['colour'] || Blockly.Colours.grid;
   gridOptions.length = parseFloat(grid['length']) || 1;
   gridOptions.snap = gridOptions.spacing > 0 && !!grid['snap'];
   return gridOptions;
@@ -230,7 +239,9 @@ Blockly.Options.parseToolboxTree = function(tree) {
         // not have the proper DOM structure since the browser doesn't support
         // XSLTProcessor (XML -> HTML). This is the case in IE 9+.
         tree = tree.outerHTML;
-      } else if (!(tree instanceof Element)) {
+      } else if (tree.nodeType != 1) {
+        // Not an element.  Checked by node type rather than instanceof
+        // Element, which does not exist outside of a browser.
         tree = null;
       }
     }
@@ -231,7 +231,7 @@ Blockly.Procedures.flyoutCategory = function(workspace) {
     // <block type="procedures_call">
     //   <mutation ...></mutation>
     // </block>
-    var block = goog.dom.createDom('block');
+    var block = Blockly.Xml.createElement('block');
     block.setAttribute('type', 'procedures_call');
     block.setAttribute('gap', 16);
     block.appendChild(mutation);
@@ -247,7 +247,7 @@ Blockly.Procedures.flyoutCategory = function(workspace) {
  * @private
  */
 Blockly.Procedures.addCreateButton_ = function(workspace, xmlList) {
-  var button = goog.dom.createDom('button');
+  var button = Blockly.Xml.createElement('button');
   var msg = Blockly.Msg.NEW_PROCEDURE;
   var callbackKey = 'CREATE_PROCEDURE';
   var callback = function() {
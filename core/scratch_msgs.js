@@ -62,6 +62,14 @@ Blockly.ScratchMsgs.setLocale = function(locale) {
   }
 };
 
+/**
+ * Get the current locale.
+ * @return {string} The locale, e.g. 'de' or 'zh-tw'.
+ */
+Blockly.ScratchMsgs.getLocale = function() {
+  return Blockly.ScratchMsgs.currentLocale_;
+};
+
 /**
  * Gets a localized message, for use in the Scratch VM with json init.
  * Does not interpolate placeholders. Provided to allow default values in
@@ -0,0 +1,585 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Import and export of the block graph of a Scratch 3
+ * project.json target.
+ * A target stores its scripts as a flat map from block ID to
+ * {opcode, next, parent, inputs, fields, shadow, topLevel, x, y, mutation,
+ * comment}, with common shadow blocks and variable reporters compressed into
+ * primitive arrays such as [4, "10"] or [12, "my variable", "varId"].  This
+ * file converts between that map and the Blockly.Json format, which in turn
+ * loads into a workspace with the regular block definitions.
+ */
+'use strict';
+
+/**
+ * @name Blockly.ScratchProject
+ * @namespace
+ **/
+goog.provide('Blockly.ScratchProject');
+
+goog.require('Blockly.constants');
+goog.require('Blockly.Json');
+goog.require('Blockly.utils');
+
+
+/**
+ * Input is a shadow block only.
+ * @const {number}
+ */
+Blockly.ScratchProject.INPUT_SAME_BLOCK_SHADOW = 1;
+
+/**
+ * Input is a block with no shadow behind it.
+ * @const {number}
+ */
+Blockly.ScratchProject.INPUT_BLOCK_NO_SHADOW = 2;
+
+/**
+ * Input is a block obscuring a shadow.
+ * @const {number}
+ */
+Blockly.ScratchProject.INPUT_DIFF_BLOCK_SHADOW = 3;
+
+/**
+ * Primitive codes used by project.json, with the block type and field name
+ * each one expands to.
+ * @const {!Object.<number, !{opcode: string, field: string}>}
+ */
+Blockly.ScratchProject.PRIMITIVES = {
+  4: {opcode: 'math_number', field: 'NUM'},
+  5: {opcode: 'math_positive_number', field: 'NUM'},
+  6: {opcode: 'math_whole_number', field: 'NUM'},
+  7: {opcode: 'math_integer', field: 'NUM'},
+  8: {opcode: 'math_angle', field: 'NUM'},
+  9: {opcode: 'colour_picker', field: 'COLOUR'},
+  10: {opcode: 'text', field: 'TEXT'},
+  11: {opcode: 'event_broadcast_menu', field: 'BROADCAST_OPTION'},
+  12: {opcode: 'data_variable', field: 'VARIABLE'},
+  13: {opcode: 'data_listcontents', field: 'LIST'}
+};
+
+/**
+ * The variable type referenced by each variable field name.  project.json
+ * does not store variable types on fields, so they are inferred from these.
+ * @const {!Object.<string, string>}
+ * @private
+ */
+Blockly.ScratchProject.FIELD_VARIABLE_TYPES_ = {
+  'VARIABLE': Blockly.SCALAR_VARIABLE_TYPE,
+  'LIST': Blockly.LIST_VARIABLE_TYPE,
+  'BROADCAST_OPTION': Blockly.BROADCAST_MESSAGE_VARIABLE_TYPE
+};
+
+/**
+ * Clear the workspace and load the scripts, variables and comments of a
+ * project.json target into it.
+ * @param {!Object} target A target from the "targets" array of project.json.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @param {Object=} opt_stage The stage target, whose variables and broadcasts
+ *     are global, when loading a sprite.
+ * @return {Array.<string>} An array containing new block IDs.
+ */
+Blockly.ScratchProject.targetToWorkspace = function(target, workspace,
+    opt_stage) {
+  return Blockly.Json.clearWorkspaceAndLoadFromJson(
+      Blockly.ScratchProject.targetToJson(target, opt_stage), workspace);
+};
+
+/**
+ * Encode the scripts, variables and comments on a workspace as the block
+ * graph of a project.json target.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @param {Object=} opt_target The target being saved.  Its "isStage" flag
+ *     selects which variables belong to it, and the current values of its
+ *     variables and lists are carried over.
+ * @return {!Object} Object with "variables", "lists", "broadcasts", "blocks"
+ *     and "comments" properties, ready to be assigned onto the target.
+ */
+Blockly.ScratchProject.workspaceToTarget = function(workspace, opt_target) {
+  return Blockly.ScratchProject.jsonToTarget(
+      Blockly.Json.workspaceToJson(workspace), opt_target);
+};
+
+/**
+ * Convert a project.json target into Blockly.Json workspace JSON.
+ * @param {!Object} target A target from the "targets" array of project.json.
+ * @param {Object=} opt_stage The stage target, whose variables and broadcasts
+ *     are global, when converting a sprite.
+ * @return {!Object} JSON object, as used by Blockly.Json.jsonToWorkspace.
+ */
+Blockly.ScratchProject.targetToJson = function(target, opt_stage) {
+  var json = {
+    'variables': [],
+    'comments': [],
+    'blocks': []
+  };
+  if (opt_stage && opt_stage !== target) {
+    Blockly.ScratchProject.variablesToJson_(opt_stage, false, json['variables']);
+  }
+  Blockly.ScratchProject.variablesToJson_(target, !target['isStage'],
+      json['variables']);
+
+  var blocks = target['blocks'] || {};
+  var comments = target['comments'] || {};
+  for (var id in blocks) {
+    var block = blocks[id];
+    if (Array.isArray(block) || block['topLevel']) {
+      json['blocks'].push(
+          Blockly.ScratchProject.blockToJson_(id, blocks, comments));
+    }
+  }
+  for (var id in comments) {
+    var comment = comments[id];
+    if (!comment['blockId']) {
+      json['comments'].push(Blockly.ScratchProject.commentToJson_(id, comment));
+    }
+  }
+  return json;
+};
+
+/**
+ * Convert Blockly.Json workspace JSON into the block graph of a project.json
+ * target.
+ * @param {!Object} json JSON object, as produced by Blockly.Json.
+ * @param {Object=} opt_target The target being saved.  Its "isStage" flag
+ *     selects which variables belong to it, and the current values of its
+ *     variables and lists are carried over.
+ * @return {!Object} Object with "variables", "lists", "broadcasts", "blocks"
+ *     and "comments" properties.
+ */
+Blockly.ScratchProject.jsonToTarget = function(json, opt_target) {
+  var result = {
+    'variables': {},
+    'lists': {},
+    'broadcasts': {},
+    'blocks': {},
+    'comments': {}
+  };
+  var oldVariables = (opt_target && opt_target['variables']) || {};
+  var oldLists = (opt_target && opt_target['lists']) || {};
+  var isStage = !opt_target || !!opt_target['isStage'];
+  var variables = json['variables'] || [];
+  for (var i = 0, variable; variable = variables[i]; i++) {
+    var id = variable['id'];
+    var name = variable['name'];
+    if (variable['type'] == Blockly.BROADCAST_MESSAGE_VARIABLE_TYPE) {
+      // Broadcast messages are always global and live on the stage.
+      if (isStage) {
+        result['broadcasts'][id] = name;
+      }
+      continue;
+    }
+    if (!!variable['isLocal'] == isStage) {
+      // Belongs to a different target.
+      continue;
+    }
+    if (variable['type'] == Blockly.LIST_VARIABLE_TYPE) {
+      result['lists'][id] = [name, oldLists[id] ? oldLists[id][1] : []];
+    } else if (variable['type'] == Blockly.SCALAR_VARIABLE_TYPE) {
+      var entry = [name, oldVariables[id] ? oldVariables[id][1] : 0];
+      if (variable['isCloud']) {
+        entry.push(true);
+      }
+      result['variables'][id] = entry;
+    }
+  }
+
+  var blocks = json['blocks'] || [];
+  for (var i = 0; i < blocks.length; i++) {
+    Blockly.ScratchProject.flattenBlock_(blocks[i], null, result);
+  }
+  var comments = json['comments'] || [];
+  for (var i = 0, comment; comment = comments[i]; i++) {
+    var commentId = comment['id'] || Blockly.utils.genUid();
+    result['comments'][commentId] =
+        Blockly.ScratchProject.commentFromJson_(comment, null);
+  }
+  return result;
+};
+
+/**
+ * Append the variables, lists and broadcast messages of a target to a list of
+ * JSON variables.
+ * @param {!Object} target A target from project.json.
+ * @param {boolean} isLocal Whether the variables are local to a sprite.
+ * @param {!Array.<!Object>} variableList The list to append to.
+ * @private
+ */
+Blockly.ScratchProject.variablesToJson_ = function(target, isLocal,
+    variableList) {
+  var add = function(map, type) {
+    for (var id in map) {
+      var value = map[id];
+      variableList.push({
+        'name': Array.isArray(value) ? value[0] : value,
+        'type': type,
+        'id': id,
+        'isLocal': isLocal,
+        'isCloud': type == Blockly.SCALAR_VARIABLE_TYPE && value[2] === true
+      });
+    }
+  };
+  add(target['variables'] || {}, Blockly.SCALAR_VARIABLE_TYPE);
+  add(target['lists'] || {}, Blockly.LIST_VARIABLE_TYPE);
+  // Broadcast messages are global, even when a sprite carries a copy.
+  var broadcasts = target['broadcasts'] || {};
+  for (var id in broadcasts) {
+    var exists = variableList.some(function(variable) {
+      return variable['id'] == id;
+    });
+    if (!exists) {
+      variableList.push({
+        'name': broadcasts[id],
+        'type': Blockly.BROADCAST_MESSAGE_VARIABLE_TYPE,
+        'id': id,
+        'isLocal': false,
+        'isCloud': false
+      });
+    }
+  }
+};
+
+/**
+ * Convert a block (and its children) from a project.json block map into a
+ * JSON block.
+ * @param {string} id The ID of the block to convert.
+ * @param {!Object} blocks The block map of the target.
+ * @param {!Object} comments The comment map of the target.
+ * @return {!Object} JSON block.
+ * @private
+ */
+Blockly.ScratchProject.blockToJson_ = function(id, blocks, comments) {
+  var block = blocks[id];
+  if (!block) {
+    throw Error('Block with id ' + id + ' does not exist.');
+  }
+  if (Array.isArray(block)) {
+    return Blockly.ScratchProject.primitiveToJson_(block, id);
+  }
+  var json = {
+    'type': block['opcode'],
+    'id': id
+  };
+  if (block['shadow']) {
+    json['shadow'] = true;
+  }
+  if (block['topLevel']) {
+    json['x'] = Math.round(block['x'] || 0);
+    json['y'] = Math.round(block['y'] || 0);
+  }
+  if (block['mutation']) {
+    json['mutation'] = block['mutation'];
+  }
+  var fields = block['fields'] || {};
+  for (var name in fields) {
+    json['fields'] = json['fields'] || {};
+    json['fields'][name] =
+        Blockly.ScratchProject.fieldToJson_(name, fields[name]);
+  }
+  if (block['comment'] && comments[block['comment']]) {
+    json['comment'] = Blockly.ScratchProject.commentToJson_(block['comment'],
+        comments[block['comment']]);
+    json['comment']['pinned'] = !json['comment']['minimized'];
+  }
+  var inputs = block['inputs'] || {};
+  for (var name in inputs) {
+    var connection = Blockly.ScratchProject.inputToJson_(inputs[name], blocks,
+        comments);
+    if (connection) {
+      json['inputs'] = json['inputs'] || {};
+      json['inputs'][name] = connection;
+    }
+  }
+  if (block['next']) {
+    json['next'] = {
+      'block': Blockly.ScratchProject.blockToJson_(block['next'], blocks,
+          comments)
+    };
+  }
+  return json;
+};
+
+/**
+ * Convert a project.json input array into a JSON connection.
+ * @param {!Array} input The input array, e.g. [3, "blockId", [4, "10"]].
+ * @param {!Object} blocks The block map of the target.
+ * @param {!Object} comments The comment map of the target.
+ * @return {Object} JSON connection, or null if the input is empty.
+ * @private
+ */
+Blockly.ScratchProject.inputToJson_ = function(input, blocks, comments) {
+  var convert = function(ref) {
+    if (ref == null) {
+      return null;
+    }
+    if (Array.isArray(ref)) {
+      return Blockly.ScratchProject.primitiveToJson_(ref);
+    }
+    return Blockly.ScratchProject.blockToJson_(ref, blocks, comments);
+  };
+  var json = {};
+  var first = convert(input[1]);
+  if (input[0] == Blockly.ScratchProject.INPUT_SAME_BLOCK_SHADOW) {
+    if (first) {
+      // Some projects reference a regular block from a shadow-only input.
+      json[first['shadow'] ? 'shadow' : 'block'] = first;
+    }
+  } else {
+    if (first) {
+      json['block'] = first;
+    }
+    if (input[0] == Blockly.ScratchProject.INPUT_DIFF_BLOCK_SHADOW) {
+      var shadow = convert(input[2]);
+      if (shadow) {
+        shadow['shadow'] = true;
+        json['shadow'] = shadow;
+      }
+    }
+  }
+  if (json['shadow'] && !json['shadow']['shadow']) {
+    // Compressed primitives do not record whether they are shadows.
+    json['shadow']['shadow'] = true;
+  }
+  return (json['block'] || json['shadow']) ? json : null;
+};
+
+/**
+ * Expand a compressed primitive array into a JSON block.
+ * @param {!Array} primitive The primitive array, e.g. [10, "hello"] or
+ *     [12, "my variable", "varId", 10, 20] for a top level reporter.
+ * @param {string=} opt_id The ID of the block, for top level primitives.
+ * @return {!Object} JSON block.
+ * @private
+ */
+Blockly.ScratchProject.primitiveToJson_ = function(primitive, opt_id) {
+  var info = Blockly.ScratchProject.PRIMITIVES[primitive[0]];
+  if (!info) {
+    throw Error('Unknown primitive type: ' + primitive[0]);
+  }
+  var json = {'type': info.opcode, 'fields': {}};
+  var field = {'value': String(primitive[1])};
+  if (primitive.length > 2) {
+    field['id'] = primitive[2];
+    field['variableType'] =
+        Blockly.ScratchProject.FIELD_VARIABLE_TYPES_[info.field];
+  }
+  json['fields'][info.field] = field;
+  if (opt_id) {
+    json['id'] = opt_id;
+  }
+  if (primitive.length > 4) {
+    json['x'] = Math.round(primitive[3]);
+    json['y'] = Math.round(primitive[4]);
+  }
+  // Variable and list reporters are real blocks; everything else compresses
+  // only as a shadow.
+  if (primitive[0] != 12 && primitive[0] != 13) {
+    json['shadow'] = true;
+  }
+  return json;
+};
+
+/**
+ * Convert a project.json field array into a JSON field.
+ * @param {string} name The name of the field.
+ * @param {!Array} field The field array: [value] or [value, variableId].
+ * @return {!Object} JSON field.
+ * @private
+ */
+Blockly.ScratchProject.fieldToJson_ = function(name, field) {
+  var json = {'value': field[0] == null ? '' : String(field[0])};
+  if (field[1] != null) {
+    json['id'] = field[1];
+    var type = Blockly.ScratchProject.FIELD_VARIABLE_TYPES_[name];
+    if (type != null) {
+      json['variableType'] = type;
+    }
+  }
+  return json;
+};
+
+/**
+ * Convert a project.json comment into a JSON comment.
+ * @param {string} id The ID of the comment.
+ * @param {!Object} comment The project.json comment.
+ * @return {!Object} JSON comment.
+ * @private
+ */
+Blockly.ScratchProject.commentToJson_ = function(id, comment) {
+  var json = {
+    'id': id,
+    'text': comment['text'] || '',
+    'minimized': !!comment['minimized']
+  };
+  var numbers = ['x', 'y', 'width', 'height'];
+  for (var i = 0; i < numbers.length; i++) {
+    if (comment[numbers[i]] != null) {
+      json[numbers[i]] = Math.round(comment[numbers[i]]);
+    }
+  }
+  return json;
+};
+
+/**
+ * Convert a JSON comment into a project.json comment.
+ * @param {!Object} comment The JSON comment.
+ * @param {?string} blockId The ID of the block the comment is attached to, or
+ *     null for a workspace comment.
+ * @return {!Object} The project.json comment.
+ * @private
+ */
+Blockly.ScratchProject.commentFromJson_ = function(comment, blockId) {
+  return {
+    'blockId': blockId,
+    'x': comment['x'] == null ? null : comment['x'],
+    'y': comment['y'] == null ? null : comment['y'],
+    'width': comment['width'] == null ? 200 : comment['width'],
+    'height': comment['height'] == null ? 200 : comment['height'],
+    'minimized': !!comment['minimized'],
+    'text': comment['text'] || ''
+  };
+};
+
+/**
+ * Add a JSON block and its children to a project.json block map.
+ * @param {!Object} json The JSON block.
+ * @param {?string} parentId The ID of the parent block, or null for a top
+ *     level block.
+ * @param {!Object} result Object holding the "blocks" and "comments" maps to
+ *     fill in.
+ * @return {string|!Array} The block ID, or a compressed primitive array if
+ *     the block is stored inline in its parent's input.
+ * @private
+ */
+Blockly.ScratchProject.flattenBlock_ = function(json, parentId, result) {
+  var primitive = Blockly.ScratchProject.blockToPrimitive_(json);
+  if (primitive) {
+    if (parentId) {
+      return primitive;
+    }
+    // Top level variable or list reporter.
+    primitive.push(json['x'] || 0, json['y'] || 0);
+    result['blocks'][json['id']] = primitive;
+    return json['id'];
+  }
+  var id = json['id'] || Blockly.utils.genUid();
+  var block = {
+    'opcode': json['type'],
+    'next': null,
+    'parent': parentId,
+    'inputs': {},
+    'fields': {},
+    'shadow': !!json['shadow'],
+    'topLevel': !parentId
+  };
+  if (!parentId) {
+    block['x'] = json['x'] || 0;
+    block['y'] = json['y'] || 0;
+  }
+  result['blocks'][id] = block;
+  if (json['mutation']) {
+    block['mutation'] = json['mutation'];
+  }
+  var fields = json['fields'] || {};
+  for (var name in fields) {
+    block['fields'][name] = [fields[name]['value'], fields[name]['id'] || null];
+  }
+  if (json['comment']) {
+    var commentId = json['comment']['id'] || Blockly.utils.genUid();
+    block['comment'] = commentId;
+    result['comments'][commentId] =
+        Blockly.ScratchProject.commentFromJson_(json['comment'], id);
+  }
+  var connections = [json['inputs'] || {}, json['statements'] || {}];
+  for (var i = 0; i < connections.length; i++) {
+    for (var name in connections[i]) {
+      var connection = connections[i][name];
+      var child = connection['block'] &&
+          Blockly.ScratchProject.flattenBlock_(connection['block'], id, result);
+      var shadow = connection['shadow'] &&
+          Blockly.ScratchProject.flattenBlock_(connection['shadow'], id, result);
+      if (child && shadow) {
+        block['inputs'][name] =
+            [Blockly.ScratchProject.INPUT_DIFF_BLOCK_SHADOW, child, shadow];
+      } else if (shadow) {
+        block['inputs'][name] =
+            [Blockly.ScratchProject.INPUT_SAME_BLOCK_SHADOW, shadow];
+      } else if (child) {
+        // A shadow reached through the "block" slot is still a shadow input.
+        block['inputs'][name] = [connection['block']['shadow'] ?
+            Blockly.ScratchProject.INPUT_SAME_BLOCK_SHADOW :
+            Blockly.ScratchProject.INPUT_BLOCK_NO_SHADOW, child];
+      }
+    }
+  }
+  if (json['next'] && json['next']['block']) {
+    block['next'] =
+        Blockly.ScratchProject.flattenBlock_(json['next']['block'], id, result);
+  }
+  return id;
+};
+
+/**
+ * Compress a JSON block into a primitive array, if project.json would store
+ * it that way.
+ * @param {!Object} json The JSON block.
+ * @return {Array} The primitive array, or null if the block is stored in full.
+ * @private
+ */
+Blockly.ScratchProject.blockToPrimitive_ = function(json) {
+  if (json['comment'] || json['inputs'] || json['statements'] ||
+      json['next'] || json['mutation']) {
+    return null;
+  }
+  for (var code in Blockly.ScratchProject.PRIMITIVES) {
+    var info = Blockly.ScratchProject.PRIMITIVES[code];
+    if (info.opcode != json['type']) {
+      continue;
+    }
+    var field = json['fields'] && json['fields'][info.field];
+    if (!field) {
+      return null;
+    }
+    var isReporter = code == 12 || code == 13;
+    if (!isReporter && !json['shadow']) {
+      return null;
+    }
+    var primitive = [Number(code), field['value']];
+    if (field['id'] != null) {
+      primitive.push(field['id']);
+    }
+    return primitive;
+  }
+  return null;
+};
+
+// Export symbols that would otherwise be renamed by Closure compiler.
+if (!goog.global['Blockly']) {
+  goog.global['Blockly'] = {};
+}
+if (!goog.global['Blockly']['ScratchProject']) {
+  goog.global['Blockly']['ScratchProject'] = {};
+}
+goog.global['Blockly']['ScratchProject']['targetToWorkspace'] =
+  Blockly.ScratchProject.targetToWorkspace;
+goog.global['Blockly']['ScratchProject']['workspaceToTarget'] =
+  Blockly.ScratchProject.workspaceToTarget;
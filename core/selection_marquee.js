@@ -0,0 +1,162 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Rubber-band selection: a rectangle dragged out over the
+ * workspace, selecting every stack it touches.
+ */
+'use strict';
+
+goog.provide('Blockly.SelectionMarquee');
+
+goog.require('Blockly.utils');
+
+goog.require('goog.dom');
+goog.require('goog.math.Coordinate');
+goog.require('goog.math.Rect');
+
+
+/**
+ * Class for a selection marquee.  It is driven by a gesture in the same way
+ * as a workspace dragger, but draws a rectangle instead of scrolling.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to select on.
+ * @param {!goog.math.Coordinate} startXY Client coordinates of the mouse down
+ *     that started the drag.
+ * @constructor
+ */
+Blockly.SelectionMarquee = function(workspace, startXY) {
+  /**
+   * @type {!Blockly.WorkspaceSvg}
+   * @private
+   */
+  this.workspace_ = workspace;
+
+  // Convert the mouse down to workspace coordinates, as the workspace context
+  // menu does when placing a comment.
+  var boundingRect = workspace.getInjectionDiv().getBoundingClientRect();
+  var offset = goog.math.Coordinate.difference(
+      new goog.math.Coordinate(startXY.x - boundingRect.left,
+          startXY.y - boundingRect.top),
+      workspace.getOriginOffsetInPixels());
+
+  /**
+   * Corner of the marquee where the drag started.
+   * Coordinate system: workspace coordinates.
+   * @type {!goog.math.Coordinate}
+   * @private
+   */
+  this.startXY_ = offset.scale(1 / workspace.scale);
+
+  /**
+   * The area covered by the marquee.
+   * Coordinate system: workspace coordinates.
+   * @type {!goog.math.Rect}
+   * @private
+   */
+  this.rect_ = new goog.math.Rect(this.startXY_.x, this.startXY_.y, 0, 0);
+
+  /**
+   * The rectangle drawn on the workspace.
+   * @type {SVGElement}
+   * @private
+   */
+  this.svgRect_ = null;
+};
+
+/**
+ * Sever all links from this object.
+ * @package
+ */
+Blockly.SelectionMarquee.prototype.dispose = function() {
+  goog.dom.removeNode(this.svgRect_);
+  this.svgRect_ = null;
+  this.workspace_ = null;
+};
+
+/**
+ * Start drawing the marquee.
+ * @package
+ */
+Blockly.SelectionMarquee.prototype.startDrag = function() {
+  Blockly.hideChaff();
+  this.svgRect_ = Blockly.utils.createSvgElement('rect',
+      {'class': 'blocklySelectionMarquee'},
+      this.workspace_.getBubbleCanvas());
+  this.updateRect_();
+};
+
+/**
+ * Resize the marquee to follow the pointer.
+ * @param {!goog.math.Coordinate} currentDragDeltaXY How far the pointer has
+ *     moved from the position at the start of the drag, in pixel coordinates.
+ * @package
+ */
+Blockly.SelectionMarquee.prototype.drag = function(currentDragDeltaXY) {
+  var delta = currentDragDeltaXY.clone().scale(1 / this.workspace_.scale);
+  this.rect_ = new goog.math.Rect(
+      Math.min(this.startXY_.x, this.startXY_.x + delta.x),
+      Math.min(this.startXY_.y, this.startXY_.y + delta.y),
+      Math.abs(delta.x), Math.abs(delta.y));
+  this.updateRect_();
+};
+
+/**
+ * Finish the marquee and add every stack it touches to the selection.
+ * @param {!goog.math.Coordinate} currentDragDeltaXY How far the pointer has
+ *     moved from the position at the start of the drag, in pixel coordinates.
+ * @package
+ */
+Blockly.SelectionMarquee.prototype.endDrag = function(currentDragDeltaXY) {
+  this.drag(currentDragDeltaXY);
+  goog.dom.removeNode(this.svgRect_);
+  this.svgRect_ = null;
+  var workspace = this.workspace_;
+  var topBlocks = workspace.getTopBlocks(false);
+  for (var i = 0, block; block = topBlocks[i]; i++) {
+    var bounds = block.getBoundingRectangle();
+    var blockRect = new goog.math.Rect(bounds.topLeft.x, bounds.topLeft.y,
+        bounds.bottomRight.x - bounds.topLeft.x,
+        bounds.bottomRight.y - bounds.topLeft.y);
+    if (!this.rect_.intersects(blockRect)) {
+      continue;
+    }
+    // Select the whole stack, so that deleting the selection deletes it all.
+    var descendants = block.getDescendants(false);
+    for (var j = 0, descendant; descendant = descendants[j]; j++) {
+      if (!descendant.isShadow()) {
+        workspace.addToSelection(descendant);
+      }
+    }
+  }
+};
+
+/**
+ * Move and resize the drawn rectangle to match the marquee.
+ * @private
+ */
+Blockly.SelectionMarquee.prototype.updateRect_ = function() {
+  if (!this.svgRect_) {
+    return;
+  }
+  this.svgRect_.setAttribute('x', this.rect_.left);
+  this.svgRect_.setAttribute('y', this.rect_.top);
+  this.svgRect_.setAttribute('width', this.rect_.width);
+  this.svgRect_.setAttribute('height', this.rect_.height);
+};
@@ -0,0 +1,157 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Map between generated code and the blocks it came from.
+ * Filled in by Blockly.Generator.prototype.workspaceToCode.
+ */
+'use strict';
+
+goog.provide('Blockly.SourceMap');
+
+
+/**
+ * Class for a source map, relating each statement block to the range of code
+ * generated for it.  Lines and columns are zero-based; the end of a range is
+ * exclusive.  A range covers the code of the block itself, including any
+ * nested statements, but not the blocks below it.
+ * @constructor
+ */
+Blockly.SourceMap = function() {
+  /**
+   * Ranges in the order their blocks were generated.
+   * @type {!Array.<!Blockly.SourceMap.Range>}
+   * @private
+   */
+  this.ranges_ = [];
+
+  /**
+   * Ranges keyed by block ID.
+   * @type {!Object.<string, !Blockly.SourceMap.Range>}
+   * @private
+   */
+  this.rangesById_ = Object.create(null);
+};
+
+/**
+ * A range of generated code.
+ * @typedef {{blockId: string, startLine: number, startColumn: number,
+ *     endLine: number, endColumn: number}}
+ */
+Blockly.SourceMap.Range;
+
+/**
+ * Forget all ranges.
+ */
+Blockly.SourceMap.prototype.clear = function() {
+  this.ranges_.length = 0;
+  this.rangesById_ = Object.create(null);
+};
+
+/**
+ * Record the range of code generated for a block.  If a block is generated
+ * more than once, only its first range is kept.
+ * @param {!Blockly.SourceMap.Range} range The range.
+ * @package
+ */
+Blockly.SourceMap.prototype.addRange = function(range) {
+  if (!this.rangesById_[range.blockId]) {
+    this.ranges_.push(range);
+    this.rangesById_[range.blockId] = range;
+  }
+};
+
+/**
+ * Get all ranges, in the order their blocks were generated.
+ * @return {!Array.<!Blockly.SourceMap.Range>} Array of ranges.
+ */
+Blockly.SourceMap.prototype.getRanges = function() {
+  return this.ranges_.slice();
+};
+
+/**
+ * Get the range of code generated for a block.
+ * @param {string} id ID of the block.
+ * @return {?Blockly.SourceMap.Range} The range, or null if the block produced
+ *     no code of its own.
+ */
+Blockly.SourceMap.prototype.getRange = function(id) {
+  return this.rangesById_[id] || null;
+};
+
+/**
+ * Get the range of code for a block, or for the closest block around it that
+ * has a range.  Value blocks are part of the code of the statement using
+ * them, so this finds the statement holding a reporter.
+ * @param {!Blockly.Block} block The block.
+ * @return {?Blockly.SourceMap.Range} The range, or null if neither the block
+ *     nor any of its parents produced code.
+ */
+Blockly.SourceMap.prototype.getRangeForBlock = function(block) {
+  for (; block; block = block.getParent()) {
+    var range = this.getRange(block.id);
+    if (range) {
+      return range;
+    }
+  }
+  return null;
+};
+
+/**
+ * Find the innermost block whose code contains a position, e.g. the position
+ * of a runtime error.
+ * @param {number} line Zero-based line.
+ * @param {number} column Zero-based column.
+ * @return {?string} ID of the block, or null if no block's code contains the
+ *     position.
+ */
+Blockly.SourceMap.prototype.getBlockIdAt = function(line, column) {
+  var best = null;
+  for (var i = 0, range; range = this.ranges_[i]; i++) {
+    if (Blockly.SourceMap.contains_(range, line, column) &&
+        (!best || Blockly.SourceMap.contains_(best, range.startLine,
+            range.startColumn))) {
+      // Ranges nest, so a range starting inside the best one is inside it.
+      best = range;
+    }
+  }
+  return best ? best.blockId : null;
+};
+
+/**
+ * Whether a range contains a position.
+ * @param {!Blockly.SourceMap.Range} range The range.
+ * @param {number} line Zero-based line.
+ * @param {number} column Zero-based column.
+ * @return {boolean} True if the position is inside the range.
+ * @private
+ */
+Blockly.SourceMap.contains_ = function(range, line, column) {
+  if (line < range.startLine || line > range.endLine) {
+    return false;
+  }
+  if (line == range.startLine && column < range.startColumn) {
+    return false;
+  }
+  if (line == range.endLine && column >= range.endColumn) {
+    return false;
+  }
+  return true;
+};
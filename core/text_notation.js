@@ -0,0 +1,1378 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Import and export of scripts in the scratchblocks text
+ * notation used on forums, e.g.
+ *
+ *     when flag clicked
+ *     repeat (10)
+ *       move (10) steps
+ *       if <touching (edge v)?> then
+ *         say [Ouch!] for (2) seconds // a comment
+ *       end
+ *     end
+ *
+ * Block text comes from the block definitions themselves, so it follows the
+ * localized Blockly.Msg templates: labels are words, dropdown fields are
+ * [text v], number slots are (10), text slots are [hello], menu shadows are
+ * (text v), reporters are (...) and booleans are <...>.  C-blocks list their
+ * mouths indented and close with "end".  Lines that match no block become
+ * calls to custom blocks, declared with "define".
+ */
+'use strict';
+
+/**
+ * @name Blockly.TextNotation
+ * @namespace
+ **/
+goog.provide('Blockly.TextNotation');
+
+goog.require('Blockly.constants');
+goog.require('Blockly.DataCategory');
+goog.require('Blockly.Events');
+goog.require('Blockly.FieldDropdown');
+goog.require('Blockly.FieldImage');
+goog.require('Blockly.FieldVariable');
+goog.require('Blockly.Json');
+goog.require('Blockly.Msg');
+goog.require('Blockly.Procedures');
+goog.require('Blockly.VariableModel');
+goog.require('Blockly.Workspace');
+goog.require('Blockly.Xml');
+goog.require('Blockly.utils');
+
+
+/**
+ * Indentation of the scripts inside a C-block.
+ * @const {string}
+ */
+Blockly.TextNotation.INDENT = '  ';
+
+/**
+ * Line closing the last mouth of a C-block.
+ * @const {string}
+ */
+Blockly.TextNotation.END = 'end';
+
+/**
+ * Approximate height of one line of blocks, used to lay out imported scripts.
+ * @const {number}
+ */
+Blockly.TextNotation.LINE_HEIGHT = 48;
+
+/**
+ * Names used for images without alt text, as in scratchblocks.
+ * @const {!Object.<string, string>}
+ */
+Blockly.TextNotation.ICONS = {
+  'rotate-left.svg': '@turnLeft',
+  'rotate-right.svg': '@turnRight'
+};
+
+/**
+ * Kind of token for a bare word.
+ * @const {string}
+ * @private
+ */
+Blockly.TextNotation.WORD_ = 'word';
+
+/**
+ * Pairs of brackets that enclose an argument.
+ * @const {!Object.<string, string>}
+ * @private
+ */
+Blockly.TextNotation.BRACKETS_ = {'(': ')', '[': ']', '<': '>'};
+
+/**
+ * Block types with a notation of their own, never matched by their text.
+ * @const {!RegExp}
+ * @private
+ */
+Blockly.TextNotation.SPECIAL_TYPES_ = /^(procedures|argument)_/;
+
+/**
+ * Shapes of the blocks that may stand on a line of their own, in order of
+ * preference.
+ * @const {!Array.<string>}
+ * @private
+ */
+Blockly.TextNotation.STATEMENT_SHAPES_ = ['stack', 'cap', 'hat'];
+
+/**
+ * Encode the scripts on a workspace as text, separated by blank lines.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @return {string} Text of the scripts.
+ */
+Blockly.TextNotation.workspaceToText = function(workspace) {
+  var scripts = [];
+  var blocks = workspace.getTopBlocks(true);
+  for (var i = 0, block; block = blocks[i]; i++) {
+    if (!block.isShadow()) {
+      scripts.push(Blockly.TextNotation.blockToText(block));
+    }
+  }
+  return scripts.join('\n\n');
+};
+
+/**
+ * Encode a block and the blocks below it as text.
+ * @param {!Blockly.Block} block The first block of the stack.
+ * @return {string} Text of the stack.
+ */
+Blockly.TextNotation.blockToText = function(block) {
+  return Blockly.TextNotation.stackToLines_(block, '').join('\n');
+};
+
+/**
+ * Decode text and create its scripts and comments on a workspace, below the
+ * blocks already there.
+ * @param {string} text Text of one or more scripts.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @return {Array.<string>} An array containing new block IDs.
+ */
+Blockly.TextNotation.textToWorkspace = function(text, workspace) {
+  return Blockly.Json.jsonToWorkspace(
+      Blockly.TextNotation.textToJson(text, workspace), workspace);
+};
+
+/**
+ * Convert text into Blockly.Json workspace JSON.
+ * Scripts are separated by blank lines, and a line holding only a comment
+ * becomes a workspace comment.
+ * @param {string} text Text of one or more scripts.
+ * @param {Blockly.Workspace=} opt_workspace The workspace the scripts are
+ *     meant for.  Its toolbox supplies the default shadow blocks, its custom
+ *     blocks supply the argument IDs of calls, and the scripts are placed
+ *     below its blocks.
+ * @return {!Object} JSON object, as used by Blockly.Json.jsonToWorkspace.
+ */
+Blockly.TextNotation.textToJson = function(text, opt_workspace) {
+  var context = Blockly.TextNotation.newContext_(text, opt_workspace || null);
+  var json = {
+    'comments': [],
+    'blocks': []
+  };
+  var y = opt_workspace ? Blockly.TextNotation.bottomOf_(opt_workspace) : 0;
+  while (context.index < context.lines.length) {
+    var line = context.lines[context.index];
+    if (!line.tokens.length) {
+      if (line.comment != null) {
+        json['comments'].push({'text': line.comment, 'x': 0, 'y': y});
+        y += Blockly.TextNotation.LINE_HEIGHT * 2;
+      }
+      context.index++;
+      continue;
+    }
+    var start = context.index;
+    context.args = null;
+    var block = Blockly.TextNotation.parseStack_(context, null);
+    if (!block) {
+      // A stray "end".
+      context.index++;
+      continue;
+    }
+    block['x'] = 0;
+    block['y'] = y;
+    json['blocks'].push(block);
+    y += (context.index - start + 1) * Blockly.TextNotation.LINE_HEIGHT;
+  }
+  return json;
+};
+
+/**
+ * Encode a stack of blocks as lines of text.
+ * @param {Blockly.Block} block The first block of the stack.
+ * @param {string} indent Indentation of the stack.
+ * @return {!Array.<string>} Lines of text.
+ * @private
+ */
+Blockly.TextNotation.stackToLines_ = function(block, indent) {
+  var lines = [];
+  for (; block; block = block.getNextBlock()) {
+    if (block.outputConnection) {
+      lines.push(indent + Blockly.TextNotation.reporterToText_(block) +
+          Blockly.TextNotation.commentToText_(block));
+    } else {
+      lines.push.apply(lines,
+          Blockly.TextNotation.statementToLines_(block, indent));
+    }
+  }
+  return lines;
+};
+
+/**
+ * Encode a statement block, and the stacks in its mouths, as lines of text.
+ * @param {!Blockly.Block} block The block.
+ * @param {string} indent Indentation of the block.
+ * @return {!Array.<string>} Lines of text.
+ * @private
+ */
+Blockly.TextNotation.statementToLines_ = function(block, indent) {
+  var comment = Blockly.TextNotation.commentToText_(block);
+  if (block.type == 'procedures_definition') {
+    var words = Blockly.TextNotation.defineWords_();
+    var prototype = block.getInput('custom_block').connection.targetBlock();
+    var parts = words.prefix.slice();
+    if (prototype) {
+      parts.push(Blockly.TextNotation.procedureToText_(prototype, true));
+    }
+    return [indent + Blockly.TextNotation.join_(parts.concat(words.suffix)) +
+        comment];
+  }
+  if (block.type == 'procedures_call') {
+    return [indent + Blockly.TextNotation.procedureToText_(block, false) +
+        comment];
+  }
+  var lines = [];
+  var parts = [];
+  for (var i = 0, input; input = block.inputList[i]; i++) {
+    parts.push.apply(parts, Blockly.TextNotation.inputToParts_(input));
+    if (input.type == Blockly.NEXT_STATEMENT) {
+      lines.push(indent + Blockly.TextNotation.join_(parts) +
+          (lines.length ? '' : comment));
+      lines.push.apply(lines, Blockly.TextNotation.stackToLines_(
+          input.connection.targetBlock(), indent + Blockly.TextNotation.INDENT));
+      parts = [];
+    }
+  }
+  if (lines.length) {
+    // Labels after the last mouth, such as the loop arrow, have no text.
+    lines.push(indent + Blockly.TextNotation.END);
+  } else {
+    lines.push(indent + Blockly.TextNotation.join_(parts) + comment);
+  }
+  return lines;
+};
+
+/**
+ * Encode a reporter or boolean block as text.
+ * @param {!Blockly.Block} block The block.
+ * @return {string} Text of the block, in round or angle brackets.
+ * @private
+ */
+Blockly.TextNotation.reporterToText_ = function(block) {
+  if (block.type == 'data_listcontents') {
+    return '(' + Blockly.TextNotation.escapeRound_(
+        block.getField('LIST').getText()) + ' :: list)';
+  }
+  var parts = [];
+  for (var i = 0, input; input = block.inputList[i]; i++) {
+    parts.push.apply(parts, Blockly.TextNotation.inputToParts_(input));
+  }
+  var text = Blockly.TextNotation.join_(parts);
+  return Blockly.TextNotation.isBoolean_(block.outputConnection) ?
+      '<' + text + '>' : '(' + text + ')';
+};
+
+/**
+ * Encode the fields of an input, and the block plugged into it, as parts of
+ * a line of text.
+ * @param {!Blockly.Input} input The input.
+ * @return {!Array.<string>} Words and bracketed arguments.
+ * @private
+ */
+Blockly.TextNotation.inputToParts_ = function(input) {
+  var parts = [];
+  for (var i = 0, field; field = input.fieldRow[i]; i++) {
+    var words = Blockly.TextNotation.fieldWords_(field);
+    parts.push.apply(parts,
+        words || [Blockly.TextNotation.fieldToText_(field)]);
+  }
+  if (input.type == Blockly.INPUT_VALUE) {
+    parts.push(Blockly.TextNotation.valueToText_(input));
+  }
+  return parts;
+};
+
+/**
+ * Encode the block plugged into a value input as text.
+ * @param {!Blockly.Input} input The input.
+ * @return {string} Text of the argument.
+ * @private
+ */
+Blockly.TextNotation.valueToText_ = function(input) {
+  var target = input.connection.targetBlock();
+  if (!target) {
+    return Blockly.TextNotation.isBoolean_(input.connection) ? '<>' : '()';
+  }
+  if (!target.isShadow()) {
+    return Blockly.TextNotation.reporterToText_(target);
+  }
+  for (var i = 0, shadowInput; shadowInput = target.inputList[i]; i++) {
+    for (var j = 0, field; field = shadowInput.fieldRow[j]; j++) {
+      if (Blockly.TextNotation.fieldWords_(field)) {
+        continue;
+      }
+      if (field instanceof Blockly.FieldDropdown) {
+        return '(' + Blockly.TextNotation.escapeRound_(field.getText()) +
+            ' v)';
+      }
+      var value = String(field.getValue());
+      if (target.type == 'text' || isNaN(Number(value))) {
+        return '[' + Blockly.TextNotation.escapeSquare_(value) + ']';
+      }
+      return '(' + Blockly.TextNotation.escapeRound_(value) + ')';
+    }
+  }
+  return '()';
+};
+
+/**
+ * Encode a field of a block (not of a shadow) as text.
+ * @param {!Blockly.Field} field The field.
+ * @return {string} Text of the field.
+ * @private
+ */
+Blockly.TextNotation.fieldToText_ = function(field) {
+  if (field instanceof Blockly.FieldDropdown) {
+    return '[' + Blockly.TextNotation.escapeSquare_(field.getText()) + ' v]';
+  }
+  if (!field.EDITABLE) {
+    // Variable and argument names.
+    return Blockly.TextNotation.escapeRound_(field.getText());
+  }
+  return '[' + Blockly.TextNotation.escapeSquare_(String(field.getValue())) +
+      ']';
+};
+
+/**
+ * Encode a custom block, or the signature of its definition, as text.
+ * @param {!Blockly.Block} block The procedures_call or procedures_prototype
+ *     block.
+ * @param {boolean} isPrototype True to write argument names instead of
+ *     argument values.
+ * @return {string} Text of the block.
+ * @private
+ */
+Blockly.TextNotation.procedureToText_ = function(block, isPrototype) {
+  var parts = [];
+  // Split the proc into components, by %n, %b, and %s (ignoring escaped).
+  var components = block.getProcCode().split(/(?=[^\\]%[nbs])/);
+  var argumentCount = 0;
+  for (var i = 0; i < components.length; i++) {
+    var label = components[i].trim();
+    if (label.charAt(0) == '%') {
+      var isBoolean = label.charAt(1) == 'b';
+      label = label.substring(2).trim();
+      if (isPrototype) {
+        var name = Blockly.TextNotation.escapeRound_(
+            block.displayNames_[argumentCount]);
+        parts.push(isBoolean ? '<' + name + '>' : '(' + name + ')');
+      } else {
+        var input = block.getInput(block.argumentIds_[argumentCount]);
+        parts.push(input ? Blockly.TextNotation.valueToText_(input) :
+            (isBoolean ? '<>' : '()'));
+      }
+      argumentCount++;
+    }
+    if (label) {
+      parts.push(label.replace(/\\%/g, '%'));
+    }
+  }
+  return Blockly.TextNotation.join_(parts);
+};
+
+/**
+ * Encode the comment on a block as the end of its line.
+ * @param {!Blockly.Block} block The block.
+ * @return {string} Text of the comment, or '' if the block has none.
+ * @private
+ */
+Blockly.TextNotation.commentToText_ = function(block) {
+  var text = block.getCommentText();
+  return text ? ' // ' + text.replace(/\s*\n\s*/g, ' ') : '';
+};
+
+/**
+ * Get the words a label, image or separator field reads as.
+ * @param {!Blockly.Field} field The field.
+ * @return {Array.<string>} Words of the field, or null if the field holds a
+ *     value rather than a label.
+ * @private
+ */
+Blockly.TextNotation.fieldWords_ = function(field) {
+  if (field.name && (field.EDITABLE || field.SERIALIZABLE)) {
+    return null;
+  }
+  var text = field.getText();
+  if (field instanceof Blockly.FieldImage && (!text || text == '*')) {
+    var file = String(field.getValue()).replace(/^.*\//, '');
+    text = Blockly.TextNotation.ICONS[file] || '';
+  }
+  text = text.trim();
+  return text ? text.split(/\s+/) : [];
+};
+
+/**
+ * Join the parts of a line, attaching question marks to the part before.
+ * @param {!Array.<string>} parts Words and bracketed arguments.
+ * @return {string} The line.
+ * @private
+ */
+Blockly.TextNotation.join_ = function(parts) {
+  var text = '';
+  for (var i = 0; i < parts.length; i++) {
+    text += (text && parts[i] != '?' ? ' ' : '') + parts[i];
+  }
+  return text;
+};
+
+/**
+ * Whether a connection only accepts booleans.
+ * @param {!Blockly.Connection} connection The connection.
+ * @return {boolean} True for hexagonal connections.
+ * @private
+ */
+Blockly.TextNotation.isBoolean_ = function(connection) {
+  return !!connection.check_ && connection.check_.indexOf('Boolean') != -1;
+};
+
+/**
+ * Escape text for a [square] argument.
+ * @param {string} text Text to escape.
+ * @return {string} Escaped text.
+ * @private
+ */
+Blockly.TextNotation.escapeSquare_ = function(text) {
+  return text.replace(/[\\\]]/g, '\\$&');
+};
+
+/**
+ * Escape text for a (round) argument.
+ * @param {string} text Text to escape.
+ * @return {string} Escaped text.
+ * @private
+ */
+Blockly.TextNotation.escapeRound_ = function(text) {
+  return text.replace(/[\\()[\]<>]/g, '\\$&');
+};
+
+/**
+ * Get the words on either side of the signature in a custom block
+ * definition, from the localized Blockly.Msg.PROCEDURES_DEFINITION.
+ * @return {{prefix: !Array.<string>, suffix: !Array.<string>}} The words.
+ * @private
+ */
+Blockly.TextNotation.defineWords_ = function() {
+  var parts = Blockly.Msg.PROCEDURES_DEFINITION.split('%1');
+  var split = function(text) {
+    text = (text || '').trim();
+    return text ? text.split(/\s+/) : [];
+  };
+  return {prefix: split(parts[0]), suffix: split(parts[1])};
+};
+
+/**
+ * Get the lowest point of the blocks on a workspace.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @return {number} Y coordinate below all blocks, or 0 if there are none.
+ * @private
+ */
+Blockly.TextNotation.bottomOf_ = function(workspace) {
+  var bottom = 0;
+  var blocks = workspace.getTopBlocks(false);
+  for (var i = 0, block; block = blocks[i]; i++) {
+    var height = block.rendered ? block.getHeightWidth().height :
+        block.getDescendants(false).length * Blockly.TextNotation.LINE_HEIGHT;
+    bottom = Math.max(bottom, block.getRelativeToSurfaceXY().y + height +
+        Blockly.TextNotation.LINE_HEIGHT);
+  }
+  return bottom;
+};
+
+/**
+ * Set up the state for parsing text: the lines, the block templates, the
+ * toolbox shadows and the custom blocks defined in the text.
+ * @param {string} text Text to parse.
+ * @param {Blockly.Workspace} workspace The workspace the text is meant for.
+ * @return {!Object} The parsing context.
+ * @private
+ */
+Blockly.TextNotation.newContext_ = function(text, workspace) {
+  var context = {
+    workspace: workspace,
+    lines: text.split(/\r\n?|\n/).map(Blockly.TextNotation.tokenize_),
+    index: 0,
+    // Templates of the blocks that can be matched by their text.
+    templates: [],
+    // Templates of all blocks, by type.
+    blockInfo: Object.create(null),
+    // Default shadows of value inputs, by block type and input name.
+    shadows: Blockly.TextNotation.toolboxShadows_(workspace),
+    // Argument IDs of the custom blocks defined in the text, by proccode.
+    procedures: Object.create(null),
+    // Argument types by name, inside a custom block definition.
+    args: null
+  };
+  Blockly.TextNotation.addTemplates_(context);
+  for (var i = 0, line; line = context.lines[i]; i++) {
+    var signature = Blockly.TextNotation.defineSignature_(line.tokens);
+    if (signature && !context.procedures[signature.proccode]) {
+      context.procedures[signature.proccode] = {
+        ids: signature.types.map(Blockly.utils.genUid),
+        warp: false
+      };
+    }
+  }
+  return context;
+};
+
+/**
+ * Split a line into words and bracketed arguments, and a trailing comment.
+ * @param {string} line Line of text.
+ * @return {{tokens: !Array.<!Object>, comment: ?string, key: ?string}} The
+ *     tokens, the comment if any, and for lines holding only words, the words
+ *     in lower case.
+ * @private
+ */
+Blockly.TextNotation.tokenize_ = function(line) {
+  var tokens = [];
+  var comment = null;
+  var i = 0;
+  while (i < line.length) {
+    var ch = line.charAt(i);
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (line.substr(i, 2) == '//') {
+      comment = line.substring(i + 2).trim();
+      break;
+    } else if (Blockly.TextNotation.opensArgument_(line, i)) {
+      var end = Blockly.TextNotation.closeArgument_(line, i);
+      tokens.push({kind: ch, raw: line.substring(i + 1, end)});
+      i = end + 1;
+    } else {
+      var word = '';
+      while (i < line.length && !/\s/.test(line.charAt(i)) &&
+          !Blockly.TextNotation.opensArgument_(line, i)) {
+        if (line.charAt(i) == '\\') {
+          i++;
+        }
+        word += line.charAt(i);
+        i++;
+      }
+      tokens.push({kind: Blockly.TextNotation.WORD_, text: word});
+    }
+  }
+  var words = [];
+  for (var j = 0; j < tokens.length; j++) {
+    if (tokens[j].kind != Blockly.TextNotation.WORD_) {
+      words = null;
+      break;
+    }
+    words.push(tokens[j].text.toLowerCase());
+  }
+  return {
+    tokens: tokens,
+    comment: comment,
+    key: words && words.length ? words.join(' ') : null
+  };
+};
+
+/**
+ * Whether an argument starts at a position.  A '<' followed by whitespace is
+ * the less-than operator instead.
+ * @param {string} line Line of text.
+ * @param {number} i Position in the line.
+ * @return {boolean} True if an argument starts there.
+ * @private
+ */
+Blockly.TextNotation.opensArgument_ = function(line, i) {
+  var ch = line.charAt(i);
+  if (ch == '<') {
+    return i + 1 < line.length && !/\s/.test(line.charAt(i + 1));
+  }
+  return ch == '(' || ch == '[';
+};
+
+/**
+ * Find the bracket closing an argument.  Square brackets hold plain text,
+ * the others may nest.  A '>' with whitespace on both sides is the
+ * greater-than operator.
+ * @param {string} line Line of text.
+ * @param {number} start Position of the opening bracket.
+ * @return {number} Position of the closing bracket, or the length of the line
+ *     if it is missing.
+ * @private
+ */
+Blockly.TextNotation.closeArgument_ = function(line, start) {
+  var open = line.charAt(start);
+  var close = Blockly.TextNotation.BRACKETS_[open];
+  for (var i = start + 1; i < line.length; i++) {
+    var ch = line.charAt(i);
+    if (ch == '\\') {
+      i++;
+    } else if (ch == close && !(close == '>' &&
+        /\s/.test(line.charAt(i - 1)) && /\s/.test(line.charAt(i + 1)))) {
+      return i;
+    } else if (open != '[' && Blockly.TextNotation.opensArgument_(line, i)) {
+      i = Blockly.TextNotation.closeArgument_(line, i);
+    }
+  }
+  return line.length;
+};
+
+/**
+ * Get the text of an argument token.
+ * @param {!Object} token The argument token.
+ * @param {boolean} isMenu True if the argument fills a dropdown, so that a
+ *     trailing " v" is dropped even from [square] arguments.
+ * @return {string} Text of the argument.
+ * @private
+ */
+Blockly.TextNotation.argumentText_ = function(token, isMenu) {
+  var text = token.kind == '[' ? token.raw : token.raw.trim();
+  if (isMenu || token.kind == '(') {
+    text = text.replace(/\s+v$/, '');
+  }
+  return text.replace(/\\(.)/g, '$1');
+};
+
+/**
+ * Instantiate every block type on a throwaway workspace to record the words
+ * and slots of its text.
+ * @param {!Object} context The parsing context.
+ * @private
+ */
+Blockly.TextNotation.addTemplates_ = function(context) {
+  var workspace = new Blockly.Workspace();
+  Blockly.Events.disable();
+  try {
+    for (var type in Blockly.Blocks) {
+      if (!Blockly.Blocks[type] || !Blockly.Blocks[type].init) {
+        continue;
+      }
+      try {
+        var block = workspace.newBlock(type);
+      } catch (e) {
+        // Blocks that need more than a headless workspace can't be parsed.
+        continue;
+      }
+      var template = Blockly.TextNotation.blockTemplate_(block);
+      context.blockInfo[type] = template;
+      if (template.segments[0].some(function(item) {
+        return item.word;
+      }) && !Blockly.TextNotation.SPECIAL_TYPES_.test(type)) {
+        context.templates.push(template);
+      }
+    }
+  } finally {
+    workspace.dispose();
+    Blockly.Events.enable();
+  }
+};
+
+/**
+ * Record the words and slots of a block's text.
+ * @param {!Blockly.Block} block The block.
+ * @return {!Object} The template: type, shape, the words and slots between
+ *     each mouth, the mouth names, and the options of the fields.
+ * @private
+ */
+Blockly.TextNotation.blockTemplate_ = function(block) {
+  var shape;
+  if (block.outputConnection) {
+    shape = Blockly.TextNotation.isBoolean_(block.outputConnection) ?
+        'boolean' : 'reporter';
+  } else if (!block.previousConnection) {
+    shape = 'hat';
+  } else {
+    shape = block.nextConnection ? 'stack' : 'cap';
+  }
+  var template = {
+    type: block.type,
+    shape: shape,
+    segments: [[]],
+    mouths: [],
+    fields: Object.create(null)
+  };
+  for (var i = 0, input; input = block.inputList[i]; i++) {
+    var segment = template.segments[template.segments.length - 1];
+    for (var j = 0, field; field = input.fieldRow[j]; j++) {
+      var words = Blockly.TextNotation.fieldWords_(field);
+      if (words) {
+        for (var k = 0; k < words.length; k++) {
+          segment.push({word: words[k].toLowerCase()});
+        }
+      } else if (field.name) {
+        segment.push({field: field.name});
+        template.fields[field.name] = Blockly.TextNotation.fieldInfo_(field);
+      }
+    }
+    if (input.type == Blockly.INPUT_VALUE) {
+      segment.push({input: input.name});
+    } else if (input.type == Blockly.NEXT_STATEMENT) {
+      template.mouths.push(input.name);
+      template.segments.push([]);
+    }
+  }
+  return template;
+};
+
+/**
+ * Record how to set a field from text.
+ * @param {!Blockly.Field} field The field.
+ * @return {{menu: boolean, options: Array.<!Array.<string>>,
+ *     variableType: ?string}} Whether the field is a dropdown, the
+ *     [text, value] pairs of a dropdown with fixed options, and the type of a
+ *     variable field.
+ * @private
+ */
+Blockly.TextNotation.fieldInfo_ = function(field) {
+  if (field instanceof Blockly.FieldVariable) {
+    return {menu: true, options: null, variableType: field.defaultType_ || ''};
+  }
+  var options = null;
+  if (field instanceof Blockly.FieldDropdown) {
+    try {
+      options = field.getOptions().map(function(option) {
+        var text = typeof option[0] == 'string' ? option[0] :
+            option[0]['alt'] || '';
+        return [text, option[1]];
+      });
+    } catch (e) {
+      // Menus built from the project, such as costumes, have no fixed options.
+    }
+  }
+  return {
+    menu: field instanceof Blockly.FieldDropdown,
+    options: options,
+    variableType: null
+  };
+};
+
+/**
+ * Collect the shadow blocks the toolbox puts in each input.
+ * @param {Blockly.Workspace} workspace The workspace, or null to use the
+ *     default toolbox.
+ * @return {!Object.<string, !Object.<string, !Object>>} JSON shadows, by
+ *     block type and input name.
+ * @private
+ */
+Blockly.TextNotation.toolboxShadows_ = function(workspace) {
+  var shadows = Object.create(null);
+  var tree = workspace && workspace.options &&
+      workspace.options.languageTree;
+  if (!tree && typeof Blockly.Blocks.defaultToolbox == 'string') {
+    tree = Blockly.Xml.textToDom(Blockly.Blocks.defaultToolbox);
+  }
+  var xmlBlocks = tree && tree.getElementsByTagName ?
+      Array.prototype.slice.call(tree.getElementsByTagName('block')) : [];
+  // The data category builds its blocks when it opens, so they are missing
+  // from the toolbox.
+  xmlBlocks = xmlBlocks.concat(
+      Blockly.TextNotation.dataCategoryXml_(workspace));
+  for (var i = 0, xmlBlock; xmlBlock = xmlBlocks[i]; i++) {
+    var type = xmlBlock.getAttribute('type');
+    if (shadows[type]) {
+      continue;
+    }
+    var inputs = Blockly.Json.blockDomToJson(xmlBlock)['inputs'] || {};
+    shadows[type] = Object.create(null);
+    for (var name in inputs) {
+      if (inputs[name]['shadow']) {
+        shadows[type][name] = inputs[name]['shadow'];
+      }
+    }
+  }
+  return shadows;
+};
+
+/**
+ * Build the data category blocks that have value inputs, for a made-up
+ * variable and list.
+ * @param {Blockly.Workspace} workspace The workspace, if any.
+ * @return {!Array.<!Element>} XML of the blocks.
+ * @private
+ */
+Blockly.TextNotation.dataCategoryXml_ = function(workspace) {
+  var variable = new Blockly.VariableModel(workspace, '', '');
+  var list = new Blockly.VariableModel(workspace, '',
+      Blockly.LIST_VARIABLE_TYPE);
+  var xmlList = [];
+  Blockly.DataCategory.addSetVariableTo(xmlList, variable);
+  Blockly.DataCategory.addChangeVariableBy(xmlList, variable);
+  Blockly.DataCategory.addAddToList(xmlList, list);
+  Blockly.DataCategory.addDeleteOfList(xmlList, list);
+  Blockly.DataCategory.addInsertAtList(xmlList, list);
+  Blockly.DataCategory.addReplaceItemOfList(xmlList, list);
+  Blockly.DataCategory.addItemOfList(xmlList, list);
+  Blockly.DataCategory.addItemNumberOfList(xmlList, list);
+  Blockly.DataCategory.addListContainsItem(xmlList, list);
+  return xmlList;
+};
+
+/**
+ * Copy a JSON block without its block and variable IDs, so that every copy
+ * gets new blocks and finds its variables by name.
+ * @param {!Object} json JSON block.
+ * @return {!Object} Copy of the block.
+ * @private
+ */
+Blockly.TextNotation.copyWithoutIds_ = function(json) {
+  return JSON.parse(JSON.stringify(json, function(key, value) {
+    return key == 'id' ? undefined : value;
+  }));
+};
+
+/**
+ * Parse the lines of a stack, up to a blank line at the top level or to the
+ * line ending a mouth.
+ * @param {!Object} context The parsing context.
+ * @param {Array.<string>} stops Lines that end the stack, or null for a
+ *     script at the top level.
+ * @return {Object} JSON of the first block, or null if the stack is empty.
+ * @private
+ */
+Blockly.TextNotation.parseStack_ = function(context, stops) {
+  var first = null;
+  var last = null;
+  while (context.index < context.lines.length) {
+    var line = context.lines[context.index];
+    if (!line.tokens.length) {
+      if (!stops) {
+        break;
+      }
+      context.index++;
+      continue;
+    }
+    if ((stops || [Blockly.TextNotation.END]).indexOf(line.key) != -1) {
+      break;
+    }
+    context.index++;
+    var result = Blockly.TextNotation.parseLine_(context, line);
+    var isReporter = result.shape == 'reporter' || result.shape == 'boolean';
+    if ((isReporter || result.shape == 'hat') && (first || stops)) {
+      // Can't join the stack; leave it to start a script of its own.
+      context.index--;
+      break;
+    }
+    if (last) {
+      last['next'] = {'block': result.json};
+    } else {
+      first = result.json;
+    }
+    last = result.json;
+    if (isReporter || result.shape == 'cap') {
+      break;
+    }
+  }
+  return first;
+};
+
+/**
+ * Parse a line holding a block, and the mouths of a C-block.
+ * @param {!Object} context The parsing context.
+ * @param {!Object} line The tokenized line.
+ * @return {{json: !Object, shape: string}} JSON and shape of the block.
+ * @private
+ */
+Blockly.TextNotation.parseLine_ = function(context, line) {
+  var tokens = line.tokens;
+  var result = null;
+  if (tokens.length == 1 && (tokens[0].kind == '(' || tokens[0].kind == '<')) {
+    var json = Blockly.TextNotation.parseReporter_(context, tokens[0]);
+    if (json) {
+      result = {json: json, shape: 'reporter'};
+    }
+  }
+  result = result || Blockly.TextNotation.parseDefinition_(context, tokens) ||
+      Blockly.TextNotation.parseStatement_(context, tokens) ||
+      Blockly.TextNotation.parseCall_(context, tokens);
+  if (line.comment) {
+    result.json['comment'] = {'text': line.comment};
+  }
+  return result;
+};
+
+/**
+ * Parse a statement block, choosing between C-blocks that start alike (such
+ * as "if" and "if else") by the lines found between their mouths.
+ * @param {!Object} context The parsing context.
+ * @param {!Array.<!Object>} tokens Tokens of the line.
+ * @return {?{json: !Object, shape: string}} JSON and shape of the block, or
+ *     null if no block matches.
+ * @private
+ */
+Blockly.TextNotation.parseStatement_ = function(context, tokens) {
+  var candidates = Blockly.TextNotation.match_(context, tokens,
+      Blockly.TextNotation.STATEMENT_SHAPES_);
+  if (!candidates.length) {
+    return null;
+  }
+  var bodies = [];
+  for (var m = 0; candidates[0].mouths.length; m++) {
+    var stops = [Blockly.TextNotation.END];
+    for (var i = 0; i < candidates.length; i++) {
+      if (candidates[i].mouths.length > m + 1) {
+        stops.push(Blockly.TextNotation.separator_(candidates[i], m));
+      }
+    }
+    bodies.push(Blockly.TextNotation.parseStack_(context, stops));
+    var line = context.lines[context.index];
+    var key = line ? line.key : null;
+    var next = candidates.filter(function(candidate) {
+      return candidate.mouths.length > m + 1 &&
+          Blockly.TextNotation.separator_(candidate, m) == key;
+    });
+    if (key != Blockly.TextNotation.END && next.length) {
+      candidates = next;
+      context.index++;
+      continue;
+    }
+    var done = candidates.filter(function(candidate) {
+      return candidate.mouths.length == m + 1;
+    });
+    candidates = done.length ? done : candidates;
+    if (key == Blockly.TextNotation.END) {
+      context.index++;
+    }
+    break;
+  }
+  var template = candidates[0];
+  var json = Blockly.TextNotation.templateToJson_(context, template, tokens);
+  for (var j = 0; j < bodies.length && j < template.mouths.length; j++) {
+    if (bodies[j]) {
+      json['statements'] = json['statements'] || {};
+      json['statements'][template.mouths[j]] = {'block': bodies[j]};
+    }
+  }
+  return {json: json, shape: template.shape};
+};
+
+/**
+ * Get the line separating a mouth of a C-block from the next, e.g. "else".
+ * @param {!Object} template Template of the C-block.
+ * @param {number} mouth Index of the mouth.
+ * @return {string} The words of the line, in lower case.
+ * @private
+ */
+Blockly.TextNotation.separator_ = function(template, mouth) {
+  return template.segments[mouth + 1].map(function(item) {
+    return item.word || '';
+  }).join(' ');
+};
+
+/**
+ * Parse a reporter or boolean argument.  Text that matches no block is a
+ * variable, or an argument of the custom block being defined.
+ * @param {!Object} context The parsing context.
+ * @param {!Object} token The argument token.
+ * @return {Object} JSON of the block, or null if the argument is a literal
+ *     value.
+ * @private
+ */
+Blockly.TextNotation.parseReporter_ = function(context, token) {
+  var text = token.raw.trim();
+  if (token.kind == '[' || token.kind == Blockly.TextNotation.WORD_ ||
+      (token.kind == '(' && /\s+v$/.test(text))) {
+    return null;
+  }
+  var tokens = Blockly.TextNotation.tokenize_(token.raw).tokens;
+  var hint = null;
+  for (var i = 0; i < tokens.length; i++) {
+    if (tokens[i].text == '::') {
+      // A hint such as ":: list" or ":: custom".
+      hint = tokens.slice(i + 1).map(function(hintToken) {
+        return hintToken.text;
+      }).join(' ').toLowerCase();
+      tokens = tokens.slice(0, i);
+      text = text.substring(0, text.lastIndexOf('::')).trim();
+      break;
+    }
+  }
+  if (!tokens.length) {
+    return null;
+  }
+  var name = text.replace(/\\(.)/g, '$1');
+  if (hint == 'list') {
+    return {
+      'type': 'data_listcontents',
+      'fields': {
+        'LIST': {'value': name, 'variableType': Blockly.LIST_VARIABLE_TYPE}
+      }
+    };
+  }
+  var shapes = token.kind == '<' ? ['boolean', 'reporter'] :
+      ['reporter', 'boolean'];
+  var candidates = Blockly.TextNotation.match_(context, tokens, shapes);
+  if (candidates.length) {
+    return Blockly.TextNotation.templateToJson_(context, candidates[0], tokens);
+  }
+  var argumentType = context.args && context.args[name];
+  if (argumentType || token.kind == '<') {
+    return {
+      'type': argumentType == 's' ? 'argument_reporter_string_number' :
+          'argument_reporter_boolean',
+      'fields': {'VALUE': {'value': name}}
+    };
+  }
+  if (!isNaN(Number(name))) {
+    return null;
+  }
+  return {
+    'type': 'data_variable',
+    'fields': {'VARIABLE': {'value': name, 'variableType': ''}}
+  };
+};
+
+/**
+ * Find the templates matching the tokens of a block, best first.  Among
+ * blocks with the same words, those whose dropdowns offer the given options
+ * win, e.g. "set [pitch v] effect to (100)" is a sound block.
+ * @param {!Object} context The parsing context.
+ * @param {!Array.<!Object>} tokens Tokens of the block.
+ * @param {!Array.<string>} shapes Allowed shapes, in order of preference.
+ * @return {!Array.<!Object>} The matching templates.
+ * @private
+ */
+Blockly.TextNotation.match_ = function(context, tokens, shapes) {
+  var matches = [];
+  for (var i = 0, template; template = context.templates[i]; i++) {
+    var rank = shapes.indexOf(template.shape);
+    var items = template.segments[0];
+    if (rank == -1 || items.length != tokens.length) {
+      continue;
+    }
+    var score = 0;
+    for (var j = 0; j < items.length && score != null; j++) {
+      var item = items[j];
+      var token = tokens[j];
+      if (item.word) {
+        if (token.kind != Blockly.TextNotation.WORD_ ||
+            token.text.toLowerCase() != item.word) {
+          score = null;
+        }
+      } else if (token.kind == Blockly.TextNotation.WORD_) {
+        score = null;
+      } else {
+        // Prefer dropdowns for [text v] and inputs for other arguments, so
+        // "length of [world]" isn't the length of a list.
+        var isMenu = /\s+v$/.test(token.raw.trim());
+        if (item.field && template.fields[item.field].menu) {
+          score += isMenu ? 1 : -1;
+        }
+        var options = Blockly.TextNotation.slotOptions_(context, template,
+            item);
+        if (options) {
+          var text = Blockly.TextNotation.argumentText_(token, true);
+          score += Blockly.TextNotation.optionValue_(options, text) == null ?
+              -1 : 1;
+        }
+      }
+    }
+    if (score != null) {
+      matches.push({template: template, score: score, rank: rank, index: i});
+    }
+  }
+  matches.sort(function(a, b) {
+    return (b.score - a.score) || (a.rank - b.rank) || (a.index - b.index);
+  });
+  return matches.map(function(match) {
+    return match.template;
+  });
+};
+
+/**
+ * Get the dropdown options of a slot: of the field itself, or of the menu
+ * shadow the toolbox puts in the input.
+ * @param {!Object} context The parsing context.
+ * @param {!Object} template Template of the block.
+ * @param {!Object} item The slot.
+ * @return {Array.<!Array.<string>>} The [text, value] pairs, or null if the
+ *     slot isn't a dropdown with fixed options.
+ * @private
+ */
+Blockly.TextNotation.slotOptions_ = function(context, template, item) {
+  if (item.field) {
+    return template.fields[item.field].options;
+  }
+  var shadow = context.shadows[template.type] &&
+      context.shadows[template.type][item.input];
+  var info = shadow && context.blockInfo[shadow['type']];
+  if (info) {
+    for (var name in info.fields) {
+      return info.fields[name].options;
+    }
+  }
+  return null;
+};
+
+/**
+ * Find the value of the dropdown option with the given text.
+ * @param {!Array.<!Array.<string>>} options The [text, value] pairs.
+ * @param {string} text Text of the option, or its value.
+ * @return {?string} The value, or null if no option matches.
+ * @private
+ */
+Blockly.TextNotation.optionValue_ = function(options, text) {
+  var lowerText = text.toLowerCase();
+  for (var i = 0; i < options.length; i++) {
+    if (options[i][0].toLowerCase() == lowerText || options[i][1] == text) {
+      return options[i][1];
+    }
+  }
+  return null;
+};
+
+/**
+ * Build the JSON of a block from its template and the tokens of its text.
+ * @param {!Object} context The parsing context.
+ * @param {!Object} template Template of the block.
+ * @param {!Array.<!Object>} tokens Tokens matching the template.
+ * @return {!Object} JSON block.
+ * @private
+ */
+Blockly.TextNotation.templateToJson_ = function(context, template, tokens) {
+  var json = {'type': template.type};
+  var items = template.segments[0];
+  for (var i = 0; i < items.length; i++) {
+    if (items[i].field) {
+      json['fields'] = json['fields'] || {};
+      json['fields'][items[i].field] = Blockly.TextNotation.fieldJson_(
+          template.fields[items[i].field], tokens[i]);
+    } else if (items[i].input) {
+      var input = Blockly.TextNotation.inputJson_(context,
+          context.shadows[template.type] &&
+          context.shadows[template.type][items[i].input], tokens[i]);
+      if (input) {
+        json['inputs'] = json['inputs'] || {};
+        json['inputs'][items[i].input] = input;
+      }
+    }
+  }
+  return json;
+};
+
+/**
+ * Build the JSON of a field from an argument token.
+ * @param {!Object} info How to set the field, from its template.
+ * @param {!Object} token The argument token.
+ * @return {!Object} JSON field.
+ * @private
+ */
+Blockly.TextNotation.fieldJson_ = function(info, token) {
+  var text = Blockly.TextNotation.argumentText_(token, info.menu);
+  if (info.variableType != null) {
+    return {'value': text, 'variableType': info.variableType};
+  }
+  var value = info.options &&
+      Blockly.TextNotation.optionValue_(info.options, text);
+  return {'value': value == null ? text : value};
+};
+
+/**
+ * Build the JSON of a value input from an argument token.  Literal values go
+ * into a copy of the toolbox shadow, reporters cover it.
+ * @param {!Object} context The parsing context.
+ * @param {Object} toolboxShadow JSON of the toolbox shadow of the input, if
+ *     any.
+ * @param {!Object} token The argument token.
+ * @return {Object} JSON input, or null if the input stays empty.
+ * @private
+ */
+Blockly.TextNotation.inputJson_ = function(context, toolboxShadow, token) {
+  var shadow = toolboxShadow ?
+      Blockly.TextNotation.copyWithoutIds_(toolboxShadow) : null;
+  var block = Blockly.TextNotation.parseReporter_(context, token);
+  if (block) {
+    return shadow ? {'block': block, 'shadow': shadow} : {'block': block};
+  }
+  if (!shadow) {
+    var text = Blockly.TextNotation.argumentText_(token, false);
+    if (token.kind == '<') {
+      return null;
+    } else if (token.kind == '[' && /^#[0-9a-f]{6}$/i.test(text)) {
+      shadow = {'type': 'colour_picker', 'fields': {'COLOUR': {}}};
+    } else if (token.kind == '[') {
+      shadow = {'type': 'text', 'fields': {'TEXT': {}}};
+    } else {
+      shadow = {'type': 'math_number', 'fields': {'NUM': {}}};
+    }
+    shadow['shadow'] = true;
+  }
+  // Toolbox shadows such as colour pickers may leave their field unset.
+  var info = context.blockInfo[shadow['type']];
+  var name = Object.keys(shadow['fields'] || {})[0] ||
+      (info && Object.keys(info.fields)[0]);
+  if (name) {
+    shadow['fields'] = shadow['fields'] || {};
+    shadow['fields'][name] = Blockly.TextNotation.fieldJson_(
+        info && info.fields[name] ||
+        {menu: false, options: null, variableType: null}, token);
+  }
+  return {'shadow': shadow};
+};
+
+/**
+ * Get the signature of a custom block definition line.
+ * @param {!Array.<!Object>} tokens Tokens of the line.
+ * @return {?{proccode: string, names: !Array.<string>,
+ *     types: !Array.<string>}} The signature, or null if the line isn't a
+ *     definition.
+ * @private
+ */
+Blockly.TextNotation.defineSignature_ = function(tokens) {
+  var words = Blockly.TextNotation.defineWords_();
+  var end = tokens.length - words.suffix.length;
+  if (end <= words.prefix.length) {
+    return null;
+  }
+  var isWord = function(token, word) {
+    return token.kind == Blockly.TextNotation.WORD_ &&
+        token.text.toLowerCase() == word.toLowerCase();
+  };
+  for (var i = 0; i < words.prefix.length; i++) {
+    if (!isWord(tokens[i], words.prefix[i])) {
+      return null;
+    }
+  }
+  for (var j = 0; j < words.suffix.length; j++) {
+    if (!isWord(tokens[end + j], words.suffix[j])) {
+      return null;
+    }
+  }
+  return Blockly.TextNotation.signature_(
+      tokens.slice(words.prefix.length, end));
+};
+
+/**
+ * Get the proccode of a custom block, and the names and types of its
+ * arguments: <boolean> or any other (string/number).
+ * @param {!Array.<!Object>} tokens Tokens of the block.
+ * @return {{proccode: string, names: !Array.<string>,
+ *     types: !Array.<string>}} The signature.
+ * @private
+ */
+Blockly.TextNotation.signature_ = function(tokens) {
+  var parts = [];
+  var names = [];
+  var types = [];
+  for (var i = 0, token; token = tokens[i]; i++) {
+    if (token.kind == Blockly.TextNotation.WORD_) {
+      parts.push(token.text);
+    } else {
+      var type = token.kind == '<' ? 'b' : 's';
+      parts.push('%' + type);
+      names.push(Blockly.TextNotation.argumentText_(token, false).trim());
+      types.push(type);
+    }
+  }
+  return {proccode: parts.join(' '), names: names, types: types};
+};
+
+/**
+ * Parse a custom block definition.  Its arguments may be used in the script
+ * below it.
+ * @param {!Object} context The parsing context.
+ * @param {!Array.<!Object>} tokens Tokens of the line.
+ * @return {?{json: !Object, shape: string}} JSON and shape of the block, or
+ *     null if the line isn't a definition.
+ * @private
+ */
+Blockly.TextNotation.parseDefinition_ = function(context, tokens) {
+  var signature = Blockly.TextNotation.defineSignature_(tokens);
+  if (!signature) {
+    return null;
+  }
+  var procedure = context.procedures[signature.proccode];
+  context.args = Object.create(null);
+  for (var i = 0; i < signature.names.length; i++) {
+    context.args[signature.names[i]] = signature.types[i];
+  }
+  var prototype = {
+    'type': 'procedures_prototype',
+    'shadow': true,
+    'mutation': {
+      'tagName': 'mutation',
+      'children': [],
+      'proccode': signature.proccode,
+      'argumentids': JSON.stringify(procedure.ids),
+      'argumentnames': JSON.stringify(signature.names),
+      'argumentdefaults': JSON.stringify(signature.types.map(function(type) {
+        return type == 'b' ? 'false' : '';
+      })),
+      'warp': JSON.stringify(procedure.warp)
+    }
+  };
+  var json = {
+    'type': 'procedures_definition',
+    'statements': {'custom_block': {'shadow': prototype}}
+  };
+  return {json: json, shape: 'hat'};
+};
+
+/**
+ * Parse a call to a custom block, defined in the text or on the workspace.
+ * @param {!Object} context The parsing context.
+ * @param {!Array.<!Object>} tokens Tokens of the line.
+ * @return {{json: !Object, shape: string}} JSON and shape of the block.
+ * @private
+ */
+Blockly.TextNotation.parseCall_ = function(context, tokens) {
+  var signature = Blockly.TextNotation.signature_(tokens);
+  var procedure = context.procedures[signature.proccode];
+  var prototype = !procedure && context.workspace &&
+      Blockly.Procedures.getPrototypeBlock(signature.proccode,
+          context.workspace);
+  if (prototype) {
+    procedure = {ids: prototype.argumentIds_, warp: prototype.warp_};
+  }
+  var ids = procedure ? procedure.ids :
+      signature.types.map(Blockly.utils.genUid);
+  var json = {
+    'type': 'procedures_call',
+    'mutation': {
+      'tagName': 'mutation',
+      'children': [],
+      'proccode': signature.proccode,
+      'argumentids': JSON.stringify(ids),
+      'warp': JSON.stringify(!!(procedure && procedure.warp))
+    }
+  };
+  var argumentCount = 0;
+  for (var i = 0, token; token = tokens[i]; i++) {
+    if (token.kind == Blockly.TextNotation.WORD_) {
+      continue;
+    }
+    var textShadow = signature.types[argumentCount] == 's' ?
+        {'type': 'text', 'shadow': true, 'fields': {'TEXT': {'value': ''}}} :
+        null;
+    var input = Blockly.TextNotation.inputJson_(context, textShadow, token);
+    if (input) {
+      json['inputs'] = json['inputs'] || {};
+      json['inputs'][ids[argumentCount]] = input;
+    }
+    argumentCount++;
+  }
+  return {json: json, shape: 'stack'};
+};
+
+// Export symbols that would otherwise be renamed by Closure compiler.
+if (!goog.global['Blockly']) {
+  goog.global['Blockly'] = {};
+}
+if (!goog.global['Blockly']['TextNotation']) {
+  goog.global['Blockly']['TextNotation'] = {};
+}
+goog.global['Blockly']['TextNotation']['workspaceToText'] =
+  Blockly.TextNotation.workspaceToText;
+goog.global['Blockly']['TextNotation']['textToWorkspace'] =
+  Blockly.TextNotation.textToWorkspace;
@@ -0,0 +1,481 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Colour themes.  A theme is a set of values for
+ * Blockly.Colours, and can be switched while the editor is running with
+ * Blockly.WorkspaceSvg.prototype.setTheme.
+ */
+'use strict';
+
+goog.provide('Blockly.Theme');
+
+goog.require('Blockly.Colours');
+
+goog.require('goog.object');
+
+
+/**
+ * Class for a colour theme.
+ * @param {string} name The theme's name.
+ * @param {!Object} colours Colours in the same format as Blockly.Colours.
+ *     Anything not given is taken from the default (light) colours.
+ * @constructor
+ */
+Blockly.Theme = function(name, colours) {
+  /**
+   * @type {string}
+   * @private
+   */
+  this.name_ = name;
+
+  /**
+   * @type {!Object}
+   * @private
+   */
+  this.colours_ = Blockly.Theme.merge_(Blockly.Theme.DEFAULT_COLOURS_, colours);
+};
+
+/**
+ * Get the theme's name.
+ * @return {string} The name.
+ */
+Blockly.Theme.prototype.getName = function() {
+  return this.name_;
+};
+
+/**
+ * Get every colour in the theme.
+ * @return {!Object} Colours in the same format as Blockly.Colours.
+ */
+Blockly.Theme.prototype.getColours = function() {
+  return this.colours_;
+};
+
+/**
+ * Copy the colours out of a dictionary such as Blockly.Colours, leaving out
+ * its functions.
+ * @param {!Object} colours The colours to copy.
+ * @return {!Object} The copy.
+ * @private
+ */
+Blockly.Theme.copy_ = function(colours) {
+  return Blockly.Theme.merge_({}, colours);
+};
+
+/**
+ * Make a copy of some colours with others laid over the top.  Category
+ * colours are merged one at a time, so a theme can change only a category's
+ * primary colour.
+ * @param {!Object} base The colours to start from.
+ * @param {!Object} overrides The colours to replace them with.
+ * @return {!Object} The merged colours.
+ * @private
+ */
+Blockly.Theme.merge_ = function(base, overrides) {
+  var merged = {};
+  var dictionaries = [base, overrides];
+  for (var i = 0; i < dictionaries.length; i++) {
+    for (var key in dictionaries[i]) {
+      var value = dictionaries[i][key];
+      if (goog.isFunction(value)) {
+        continue;
+      }
+      if (goog.isObject(value)) {
+        merged[key] = goog.object.clone(merged[key] || {});
+        goog.object.extend(merged[key], value);
+      } else {
+        merged[key] = value;
+      }
+    }
+  }
+  return merged;
+};
+
+/**
+ * Map one of the block colours of each category in one set of colours to the
+ * same colour of the same category in another, so that blocks and toolbox
+ * categories that were coloured by category can be recoloured.  Only colours
+ * in the same part are mapped, so a colour that happens to equal some other
+ * colour in the theme (e.g. a white category and a white text field) is not
+ * changed.
+ * @param {!Object} from The current colours.
+ * @param {!Object} to The new colours.
+ * @param {string} part The part of the category colours to map: 'primary',
+ *     'secondary' or 'tertiary'.
+ * @return {!Object.<string, string>} New colours keyed by lower case current
+ *     colour.
+ * @package
+ */
+Blockly.Theme.getColourMap = function(from, to, part) {
+  var map = Object.create(null);
+  for (var key in from) {
+    if (goog.isObject(from[key]) && !goog.isFunction(from[key]) &&
+        goog.isObject(to[key])) {
+      var oldColour = from[key][part];
+      var newColour = to[key][part];
+      if (goog.isString(oldColour) && goog.isString(newColour) &&
+          !(oldColour.toLowerCase() in map)) {
+        map[oldColour.toLowerCase()] = newColour;
+      }
+    }
+  }
+  return map;
+};
+
+/**
+ * Make a new theme from this one with some colours replaced, e.g. to use one
+ * of Blockly.Theme.PALETTES with the dark theme.
+ * @param {string} name The new theme's name.
+ * @param {!Object} colours Colours in the same format as Blockly.Colours.
+ * @return {!Blockly.Theme} The new theme.
+ */
+Blockly.Theme.prototype.withColours = function(name, colours) {
+  return new Blockly.Theme(name, Blockly.Theme.merge_(this.colours_, colours));
+};
+
+/**
+ * Look up a colour in a colour map.
+ * @param {!Object.<string, string>} map Map from Blockly.Theme.getColourMap.
+ * @param {string} colour The colour.
+ * @return {string} The colour to replace it with, which is the same colour
+ *     if the theme doesn't change it.
+ * @package
+ */
+Blockly.Theme.mapColour = function(map, colour) {
+  return map[String(colour).toLowerCase()] || colour;
+};
+
+/**
+ * The colours in Blockly.Colours before any theme or override is applied.
+ * @type {!Object}
+ * @const
+ * @private
+ */
+Blockly.Theme.DEFAULT_COLOURS_ = Blockly.Theme.copy_(Blockly.Colours);
+
+/**
+ * The default theme.
+ * @type {!Blockly.Theme}
+ */
+Blockly.Theme.LIGHT = new Blockly.Theme('light', {});
+
+/**
+ * Light text on dark backgrounds.  Block colours are unchanged.
+ * @type {!Blockly.Theme}
+ */
+Blockly.Theme.DARK = new Blockly.Theme('dark', {
+  "text": "#E6E6E6",
+  "workspace": "#1E1E1E",
+  "toolboxSelected": "#3A3A3A",
+  "toolboxText": "#E6E6E6",
+  "toolbox": "#2B2B2B",
+  "flyout": "#262626",
+  "scrollbar": "#4D4D4D",
+  "scrollbarHover": "#666666",
+  "textField": "#3A3A3A",
+  "grid": "#444444",
+  "dropDownBackground": "#2B2B2B",
+  "dropDownBorder": "#555555",
+  "menuBackground": "#2B2B2B",
+  "menuText": "#E6E6E6",
+  "menuHover": "#3D4F66",
+  "valueReportBackground": "#2B2B2B",
+  "valueReportBorder": "#555555"
+});
+
+/**
+ * Lighter block colours with black text, on white.
+ * @type {!Blockly.Theme}
+ */
+Blockly.Theme.HIGH_CONTRAST = new Blockly.Theme('highContrast', {
+  "motion": {
+    "primary": "#80B5FF",
+    "secondary": "#B3D2FF",
+    "tertiary": "#3373CC"
+  },
+  "looks": {
+    "primary": "#CCB3FF",
+    "secondary": "#DDCCFF",
+    "tertiary": "#774DCB"
+  },
+  "sounds": {
+    "primary": "#E19DE1",
+    "secondary": "#FFB3FF",
+    "tertiary": "#BD42BD"
+  },
+  "control": {
+    "primary": "#FFBE4C",
+    "secondary": "#FFDA99",
+    "tertiary": "#CF8B17"
+  },
+  "event": {
+    "primary": "#FFD966",
+    "secondary": "#FFECB3",
+    "tertiary": "#CC9900"
+  },
+  "sensing": {
+    "primary": "#85C4E0",
+    "secondary": "#AED8EA",
+    "tertiary": "#2E8EB8"
+  },
+  "pen": {
+    "primary": "#13ECAF",
+    "secondary": "#75F0CD",
+    "tertiary": "#0B8E69"
+  },
+  "operators": {
+    "primary": "#7ECE7E",
+    "secondary": "#B5E3B5",
+    "tertiary": "#389438"
+  },
+  "data": {
+    "primary": "#FFA54C",
+    "secondary": "#FFCC99",
+    "tertiary": "#DB6E00"
+  },
+  "data_lists": {
+    "primary": "#FF9966",
+    "secondary": "#FFCAB0",
+    "tertiary": "#E64D00"
+  },
+  "more": {
+    "primary": "#FF99AA",
+    "secondary": "#FFCCD5",
+    "tertiary": "#FF3355"
+  },
+  "text": "#000000",
+  "blockText": "#000000",
+  "categoryPattern": "#000000",
+  "workspace": "#FFFFFF",
+  "toolboxHover": "#3373CC",
+  "toolboxSelected": "#D9E3F2",
+  "toolboxText": "#000000",
+  "flyout": "#FFFFFF",
+  "scrollbar": "#767676",
+  "scrollbarHover": "#4D4D4D",
+  "grid": "#767676",
+  "dropDownBorder": "#000000",
+  "menuText": "#000000",
+  "menuHover": "#B3D2FF",
+  "valueReportBorder": "#000000"
+});
+
+/**
+ * Block colours for each category that stay distinct for people with a
+ * colour vision deficiency, keyed by the deficiency.  Categories also differ
+ * in lightness, so that they can still be told apart in greyscale.
+ * @type {!Object.<string, !Object>}
+ * @const
+ */
+Blockly.Theme.PALETTES = {
+  "deuteranopia": {
+    "motion": {
+      "primary": "#0072B2",
+      "secondary": "#0067A0",
+      "tertiary": "#005B8E"
+    },
+    "looks": {
+      "primary": "#7B6FE0",
+      "secondary": "#6F64CA",
+      "tertiary": "#6259B3"
+    },
+    "sounds": {
+      "primary": "#CC79A7",
+      "secondary": "#B86D96",
+      "tertiary": "#A36186"
+    },
+    "control": {
+      "primary": "#E69F00",
+      "secondary": "#CF8F00",
+      "tertiary": "#B87F00"
+    },
+    "event": {
+      "primary": "#F0C808",
+      "secondary": "#D8B407",
+      "tertiary": "#C0A006"
+    },
+    "sensing": {
+      "primary": "#56B4E9",
+      "secondary": "#4DA2D2",
+      "tertiary": "#4590BA"
+    },
+    "pen": {
+      "primary": "#009E73",
+      "secondary": "#008E68",
+      "tertiary": "#007E5C"
+    },
+    "operators": {
+      "primary": "#8F8F3A",
+      "secondary": "#818134",
+      "tertiary": "#72722E"
+    },
+    "data": {
+      "primary": "#D55E00",
+      "secondary": "#C05500",
+      "tertiary": "#AA4B00"
+    },
+    "data_lists": {
+      "primary": "#A34700",
+      "secondary": "#934000",
+      "tertiary": "#823900"
+    },
+    "more": {
+      "primary": "#882255",
+      "secondary": "#7A1F4C",
+      "tertiary": "#6D1B44"
+    }
+  },
+  "protanopia": {
+    "motion": {
+      "primary": "#0072B2",
+      "secondary": "#0067A0",
+      "tertiary": "#005B8E"
+    },
+    "looks": {
+      "primary": "#8877DD",
+      "secondary": "#7A6BC7",
+      "tertiary": "#6D5FB1"
+    },
+    "sounds": {
+      "primary": "#CC79A7",
+      "secondary": "#B86D96",
+      "tertiary": "#A36186"
+    },
+    "control": {
+      "primary": "#E69F00",
+      "secondary": "#CF8F00",
+      "tertiary": "#B87F00"
+    },
+    "event": {
+      "primary": "#F0C808",
+      "secondary": "#D8B407",
+      "tertiary": "#C0A006"
+    },
+    "sensing": {
+      "primary": "#56B4E9",
+      "secondary": "#4DA2D2",
+      "tertiary": "#4590BA"
+    },
+    "pen": {
+      "primary": "#009E73",
+      "secondary": "#008E68",
+      "tertiary": "#007E5C"
+    },
+    "operators": {
+      "primary": "#8F8F3A",
+      "secondary": "#818134",
+      "tertiary": "#72722E"
+    },
+    "data": {
+      "primary": "#E08A2E",
+      "secondary": "#CA7C29",
+      "tertiary": "#B36E25"
+    },
+    "data_lists": {
+      "primary": "#B36B00",
+      "secondary": "#A16000",
+      "tertiary": "#8F5600"
+    },
+    "more": {
+      "primary": "#AA4499",
+      "secondary": "#993D8A",
+      "tertiary": "#88367A"
+    }
+  },
+  "tritanopia": {
+    "motion": {
+      "primary": "#3A7BD5",
+      "secondary": "#346FC0",
+      "tertiary": "#2E62AA"
+    },
+    "looks": {
+      "primary": "#B5179E",
+      "secondary": "#A3158E",
+      "tertiary": "#91127E"
+    },
+    "sounds": {
+      "primary": "#E05780",
+      "secondary": "#CA4E73",
+      "tertiary": "#B34666"
+    },
+    "control": {
+      "primary": "#E07B39",
+      "secondary": "#CA6F33",
+      "tertiary": "#B3622E"
+    },
+    "event": {
+      "primary": "#C9A227",
+      "secondary": "#B59223",
+      "tertiary": "#A1821F"
+    },
+    "sensing": {
+      "primary": "#7FA6C4",
+      "secondary": "#7295B0",
+      "tertiary": "#66859D"
+    },
+    "pen": {
+      "primary": "#2E8B57",
+      "secondary": "#297D4E",
+      "tertiary": "#256F46"
+    },
+    "operators": {
+      "primary": "#8C8C3A",
+      "secondary": "#7E7E34",
+      "tertiary": "#70702E"
+    },
+    "data": {
+      "primary": "#D7263D",
+      "secondary": "#C22237",
+      "tertiary": "#AC1E31"
+    },
+    "data_lists": {
+      "primary": "#A01A2E",
+      "secondary": "#901729",
+      "tertiary": "#801525"
+    },
+    "more": {
+      "primary": "#FF8FAB",
+      "secondary": "#E6819A",
+      "tertiary": "#CC7289"
+    }
+  }
+};
+
+/**
+ * Block colours for red-green colour blindness (green weak).
+ * @type {!Blockly.Theme}
+ */
+Blockly.Theme.DEUTERANOPIA = new Blockly.Theme('deuteranopia',
+    Blockly.Theme.PALETTES['deuteranopia']);
+
+/**
+ * Block colours for red-green colour blindness (red weak).
+ * @type {!Blockly.Theme}
+ */
+Blockly.Theme.PROTANOPIA = new Blockly.Theme('protanopia',
+    Blockly.Theme.PALETTES['protanopia']);
+
+/**
+ * Block colours for blue-yellow colour blindness.
+ * @type {!Blockly.Theme}
+ */
+Blockly.Theme.TRITANOPIA = new Blockly.Theme('tritanopia',
+    Blockly.Theme.PALETTES['tritanopia']);
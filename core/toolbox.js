@@ -28,8 +28,11 @@ goog.provide('Blockly.Toolbox');
 
 goog.require('Blockly.Events.Ui');
 goog.require('Blockly.HorizontalFlyout');
+goog.require('Blockly.ScratchMsgs');
 goog.require('Blockly.Touch');
 goog.require('Blockly.VerticalFlyout');
+goog.require('Blockly.Workspace');
+goog.require('Blockly.Xml');
 goog.require('goog.dom');
 goog.require('goog.dom.TagName');
 goog.require('goog.events');
@@ -82,6 +85,26 @@ Blockly.Toolbox = function(workspace) {
    */
   this.toolboxPosition = workspace.options.toolboxPosition;
 
+  /**
+   * The text being searched for, or '' if the flyout shows every category.
+   * @type {string}
+   * @private
+   */
+  this.searchQuery_ = '';
+
+  /**
+   * Search box at the top of the category menu, if enabled.
+   * @type {HTMLInputElement}
+   * @private
+   */
+  this.searchInput_ = null;
+
+  /**
+   * Text of each toolbox block, keyed by its XML.
+   * @type {!Object.<string, string>}
+   * @private
+   */
+  this.searchLabels_ = Object.create(null);
 };
 
 /**
@@ -131,6 +154,9 @@ Blockly.Toolbox.prototype.init = function() {
       }, /*opt_noCaptureIdentifier*/ false, /*opt_noPreventDefault*/ true);
 
   this.createFlyout_();
+  if (workspace.options.hasToolboxSearch) {
+    this.createSearch_();
+  }
   this.categoryMenu_ = new Blockly.Toolbox.CategoryMenu(this, this.HtmlDiv);
   this.populate_(workspace.options.languageTree);
   this.position();
@@ -157,6 +183,7 @@ Blockly.Toolbox.prototype.createFlyout_ = function() {
 
   var options = {
     disabledPatternId: workspace.options.disabledPatternId,
+    categoryPatternIds: workspace.options.categoryPatternIds,
     parentWorkspace: workspace,
     RTL: workspace.RTL,
     oneBasedIndex: workspace.options.oneBasedIndex,
@@ -184,8 +211,15 @@ Blockly.Toolbox.prototype.createFlyout_ = function() {
  */
 Blockly.Toolbox.prototype.populate_ = function(newTree) {
   this.categoryMenu_.populate(newTree);
-  this.showAll_();
-  this.setSelectedItem(this.categoryMenu_.categories_[0], false);
+  // The locale may have changed.
+  this.searchLabels_ = Object.create(null);
+  if (this.searchQuery_) {
+    this.showSearchResults_();
+    this.selectedItem_ = this.categoryMenu_.categories_[0];
+  } else {
+    this.showAll_();
+    this.setSelectedItem(this.categoryMenu_.categories_[0], false);
+  }
 };
 
 /**
@@ -213,6 +247,148 @@ Blockly.Toolbox.prototype.showAll_ = function() {
   this.flyout_.show(allContents);
 };
 
+/**
+ * Filter the flyout to the blocks, from every category, whose text contains a
+ * query.  The best matches come first: blocks whose text starts with the
+ * query, then those with a word starting with it.
+ * @param {string} query Text to look for, in any case.  Pass '' to show every
+ *     category again.
+ */
+Blockly.Toolbox.prototype.search = function(query) {
+  this.searchQuery_ = query;
+  if (this.searchInput_ && this.searchInput_.value != query) {
+    this.searchInput_.value = query;
+  }
+  if (query) {
+    if (this.selectedItem_) {
+      this.selectedItem_.setSelected(false);
+    }
+    this.showSearchResults_();
+    this.flyout_.scrollToStart();
+  } else {
+    this.showAll_();
+    this.setSelectedItem(this.selectedItem_);
+  }
+};
+
+/**
+ * Get the text being searched for.
+ * @return {string} The query, or '' if the flyout shows every category.
+ */
+Blockly.Toolbox.prototype.getSearchQuery = function() {
+  return this.searchQuery_;
+};
+
+/**
+ * Create the search box at the top of the category menu.
+ * @private
+ */
+Blockly.Toolbox.prototype.createSearch_ = function() {
+  this.searchInput_ = /** @type {!HTMLInputElement} */ (
+    goog.dom.createDom('input', {
+      'class': 'scratchCategorySearch',
+      'type': 'search',
+      'placeholder': Blockly.Msg.TOOLBOX_SEARCH_PLACEHOLDER,
+      'aria-label': Blockly.Msg.TOOLBOX_SEARCH_PLACEHOLDER
+    }));
+  this.HtmlDiv.appendChild(this.searchInput_);
+  Blockly.bindEvent_(this.searchInput_, 'input', this, function() {
+    this.search(this.searchInput_.value);
+  });
+  Blockly.bindEvent_(this.searchInput_, 'keydown', this, function(e) {
+    if (e.keyCode == 27) {
+      // Escape clears the search.
+      this.search('');
+    }
+  });
+};
+
+/**
+ * Show the blocks matching the search in the flyout, under a label.
+ * @private
+ */
+Blockly.Toolbox.prototype.showSearchResults_ = function() {
+  var results = this.getSearchResults_();
+  var label = Blockly.Xml.createElement('label');
+  label.setAttribute('text', (results.length ?
+      Blockly.Msg.TOOLBOX_SEARCH_RESULTS :
+      Blockly.Msg.TOOLBOX_SEARCH_NO_RESULTS).replace('%1', this.searchQuery_));
+  label.setAttribute('web-class', 'categoryLabel');
+  this.flyout_.show([label].concat(results));
+};
+
+/**
+ * Find the toolbox blocks matching the search, including those in extension
+ * categories and in the dynamic variable and procedure categories.
+ * @return {!Array.<!Element>} XML of the matching blocks, best match first.
+ * @private
+ */
+Blockly.Toolbox.prototype.getSearchResults_ = function() {
+  var query = this.searchQuery_.toLowerCase();
+  var matches = [];
+  var seen = Object.create(null);
+  var categories = this.categoryMenu_.categories_;
+  for (var i = 0, category; category = categories[i]; i++) {
+    var contents = category.getContents();
+    if (typeof contents == 'string') {
+      var callback = this.workspace_.getToolboxCategoryCallback(contents);
+      contents = callback ? callback(this.workspace_) : [];
+    }
+    for (var j = 0, xml; xml = contents[j]; j++) {
+      if (!xml.tagName || xml.tagName.toUpperCase() != 'BLOCK') {
+        continue;
+      }
+      var key = Blockly.Xml.domToText(xml);
+      if (seen[key]) {
+        continue;
+      }
+      seen[key] = true;
+      var label = this.getSearchLabel_(xml, key);
+      var text = label.toLowerCase();
+      var rank = text.indexOf(query) == 0 ? 3 :
+          (' ' + text).indexOf(' ' + query) != -1 ? 2 :
+          text.indexOf(query) != -1 ? 1 : 0;
+      if (rank) {
+        matches.push({xml: xml, label: label, rank: rank});
+      }
+    }
+  }
+  var locale = Blockly.ScratchMsgs.getLocale();
+  matches.sort(function(a, b) {
+    return (b.rank - a.rank) || a.label.localeCompare(b.label, locale);
+  });
+  return matches.map(function(match) {
+    return match.xml;
+  });
+};
+
+/**
+ * Get the text of a toolbox block, as it reads in the current locale.
+ * @param {!Element} xml XML of the block.
+ * @param {string} key The XML as text.
+ * @return {string} The block's text, e.g. "move 10 steps".
+ * @private
+ */
+Blockly.Toolbox.prototype.getSearchLabel_ = function(xml, key) {
+  if (!(key in this.searchLabels_)) {
+    // Build the block on a scratch workspace just to read its text.
+    var workspace = new Blockly.Workspace();
+    Blockly.Events.disable();
+    try {
+      var label = Blockly.Xml.domToBlock(xml, workspace).toString(undefined,
+          ' ');
+      label = label.replace(/\s+/g, ' ');
+    } catch (e) {
+      label = xml.getAttribute('type');
+    } finally {
+      workspace.dispose();
+      Blockly.Events.enable();
+    }
+    this.searchLabels_[key] = label;
+  }
+  return this.searchLabels_[key];
+};
+
 /**
  * Get the width of the toolbox.
  * @return {number} The width of the toolbox.
@@ -332,7 +508,11 @@ Blockly.Toolbox.prototype.getClientRect = function() {
  * procedures.
  */
 Blockly.Toolbox.prototype.refreshSelection = function() {
-  this.showAll_();
+  if (this.searchQuery_) {
+    this.showSearchResults_();
+  } else {
+    this.showAll_();
+  }
 };
 
 /**
@@ -560,6 +740,9 @@ Blockly.Toolbox.prototype.setSelectedItemFactory = function(item) {
   var selectedItem = item;
   return function() {
     if (!this.workspace_.isDragging()) {
+      if (this.searchQuery_) {
+        this.search('');
+      }
       this.setSelectedItem(selectedItem);
       Blockly.Touch.clearTouchIdentifier();
     }
@@ -0,0 +1,309 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview A readable view of a workspace's undo and redo stacks, with
+ * named checkpoints.  Each entry is one undo step: a run of events sharing an
+ * event group, exactly as Blockly.Workspace.prototype.undo walks them.
+ */
+'use strict';
+
+goog.provide('Blockly.UndoHistory');
+
+goog.require('Blockly.Events');
+goog.require('Blockly.Xml');
+
+
+/**
+ * Class for the undo history of a workspace.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @constructor
+ */
+Blockly.UndoHistory = function(workspace) {
+  /**
+   * @type {!Blockly.Workspace}
+   * @private
+   */
+  this.workspace_ = workspace;
+
+  /**
+   * Named snapshots of the workspace, oldest first.
+   * @type {!Array.<!{name: string, xml: string, time: number}>}
+   * @private
+   */
+  this.checkpoints_ = [];
+
+  /**
+   * Names of the checkpoints restored by each event group.
+   * @type {!Object.<string, string>}
+   * @private
+   */
+  this.restoreGroups_ = Object.create(null);
+
+  /**
+   * Last known text of each block, for describing blocks that have since been
+   * deleted.
+   * @type {!Object.<string, string>}
+   * @private
+   */
+  this.blockTexts_ = Object.create(null);
+
+  this.changeWrapper_ = this.onChange_.bind(this);
+  workspace.addChangeListener(this.changeWrapper_);
+};
+
+/**
+ * Maximum length of the block text quoted in descriptions.
+ * @type {number}
+ */
+Blockly.UndoHistory.BLOCK_TEXT_LENGTH = 30;
+
+/**
+ * Get the undo steps, oldest first.  Steps that have been undone, and could be
+ * redone, come last.
+ * @return {!Array.<!{description: string, undone: boolean}>} The steps.
+ */
+Blockly.UndoHistory.prototype.getEntries = function() {
+  var entries = [];
+  var done = Blockly.UndoHistory.groupEvents_(this.workspace_.undoStack_);
+  for (var i = 0; i < done.length; i++) {
+    entries.push({description: this.describe_(done[i]), undone: false});
+  }
+  var undone = Blockly.UndoHistory.groupEvents_(this.workspace_.redoStack_);
+  for (var i = undone.length - 1; i >= 0; i--) {
+    entries.push({description: this.describe_(undone[i]), undone: true});
+  }
+  return entries;
+};
+
+/**
+ * Get the number of steps currently applied.  Entries before this position
+ * are done, entries from it on are undone.
+ * @return {number} The position in the history.
+ */
+Blockly.UndoHistory.prototype.getPosition = function() {
+  return Blockly.UndoHistory.groupEvents_(this.workspace_.undoStack_).length;
+};
+
+/**
+ * Undo or redo until a number of steps is applied.
+ * @param {number} position Number of steps to leave applied, from 0 for none
+ *     to the number of entries for all.
+ */
+Blockly.UndoHistory.prototype.jumpTo = function(position) {
+  var workspace = this.workspace_;
+  var current = this.getPosition();
+  while (current > position && workspace.undoStack_.length) {
+    workspace.undo(false);
+    current--;
+  }
+  while (current < position && workspace.redoStack_.length) {
+    workspace.undo(true);
+    current++;
+  }
+};
+
+/**
+ * Save the current state of the workspace under a name.  An earlier
+ * checkpoint with the same name is replaced.
+ * @param {string} name Name of the checkpoint.
+ */
+Blockly.UndoHistory.prototype.createCheckpoint = function(name) {
+  this.deleteCheckpoint(name);
+  this.checkpoints_.push({
+    name: name,
+    xml: Blockly.Xml.domToText(Blockly.Xml.workspaceToDom(this.workspace_)),
+    time: goog.now()
+  });
+};
+
+/**
+ * Get the checkpoints, oldest first.
+ * @return {!Array.<!{name: string, time: number}>} Names and creation times.
+ */
+Blockly.UndoHistory.prototype.getCheckpoints = function() {
+  return this.checkpoints_.map(function(checkpoint) {
+    return {name: checkpoint.name, time: checkpoint.time};
+  });
+};
+
+/**
+ * Delete a checkpoint.
+ * @param {string} name Name of the checkpoint.
+ */
+Blockly.UndoHistory.prototype.deleteCheckpoint = function(name) {
+  this.checkpoints_ = this.checkpoints_.filter(function(checkpoint) {
+    return checkpoint.name != name;
+  });
+};
+
+/**
+ * Put the workspace back the way it was at a checkpoint.  Restoring is itself
+ * a single step that can be undone.
+ * @param {string} name Name of the checkpoint.
+ * @throws {Error} If there is no checkpoint with that name.
+ */
+Blockly.UndoHistory.prototype.restoreCheckpoint = function(name) {
+  var checkpoint = null;
+  for (var i = 0; i < this.checkpoints_.length; i++) {
+    if (this.checkpoints_[i].name == name) {
+      checkpoint = this.checkpoints_[i];
+    }
+  }
+  if (!checkpoint) {
+    throw new Error('No checkpoint named "' + name + '".');
+  }
+  var workspace = this.workspace_;
+  Blockly.Events.setGroup(true);
+  this.restoreGroups_[Blockly.Events.getGroup()] = name;
+  try {
+    var variables = workspace.getAllVariables();
+    workspace.clear();
+    // Clearing forgets variables without events, which undo would need.
+    for (var i = 0; i < variables.length; i++) {
+      Blockly.Events.fire(new Blockly.Events.VarDelete(variables[i]));
+    }
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(checkpoint.xml),
+        workspace);
+  } finally {
+    Blockly.Events.setGroup(false);
+  }
+};
+
+/**
+ * Stop listening to the workspace.
+ */
+Blockly.UndoHistory.prototype.dispose = function() {
+  this.workspace_.removeChangeListener(this.changeWrapper_);
+};
+
+/**
+ * Remember the text of blocks while they exist.
+ * @param {!Blockly.Events.Abstract} event Change event.
+ * @private
+ */
+Blockly.UndoHistory.prototype.onChange_ = function(event) {
+  var block = event.blockId && this.workspace_.getBlockById(event.blockId);
+  if (block) {
+    this.blockTexts_[block.id] =
+        block.toString(Blockly.UndoHistory.BLOCK_TEXT_LENGTH);
+  }
+};
+
+/**
+ * Split a stack of events into undo steps, in the same way as undo does.
+ * @param {!Array.<!Blockly.Events.Abstract>} stack Undo or redo stack.
+ * @return {!Array.<!Array.<!Blockly.Events.Abstract>>} The steps, bottom of
+ *     the stack first.
+ * @private
+ */
+Blockly.UndoHistory.groupEvents_ = function(stack) {
+  var steps = [];
+  for (var i = 0, event; event = stack[i]; i++) {
+    var step = steps[steps.length - 1];
+    if (step && event.group && event.group == step[0].group) {
+      step.push(event);
+    } else {
+      steps.push([event]);
+    }
+  }
+  return steps;
+};
+
+/**
+ * Describe an undo step, e.g. "Moved 'move 10 steps'".
+ * @param {!Array.<!Blockly.Events.Abstract>} events Events of the step.
+ * @return {string} The description.
+ * @private
+ */
+Blockly.UndoHistory.prototype.describe_ = function(events) {
+  var restored = events[0].group && this.restoreGroups_[events[0].group];
+  if (restored) {
+    return Blockly.Msg.UNDO_HISTORY_RESTORE.replace('%1', restored);
+  }
+  // The most telling kind of event in the step wins.
+  var byType = Object.create(null);
+  for (var i = 0, event; event = events[i]; i++) {
+    if (!byType[event.type]) {
+      byType[event.type] = event;
+    }
+  }
+  var variableMessages = [
+    [Blockly.Events.VAR_RENAME, 'UNDO_HISTORY_RENAME_VARIABLE'],
+    [Blockly.Events.VAR_DELETE, 'UNDO_HISTORY_DELETE_VARIABLE'],
+    [Blockly.Events.VAR_CREATE, 'UNDO_HISTORY_CREATE_VARIABLE']
+  ];
+  for (var i = 0; i < variableMessages.length; i++) {
+    var event = byType[variableMessages[i][0]];
+    if (event) {
+      var name = event.type == Blockly.Events.VAR_RENAME ?
+          event.newName : event.varName;
+      return Blockly.Msg[variableMessages[i][1]].replace('%1', name);
+    }
+  }
+  var blockMessages = [
+    [Blockly.Events.CREATE, 'UNDO_HISTORY_CREATE'],
+    [Blockly.Events.DELETE, 'UNDO_HISTORY_DELETE'],
+    [Blockly.Events.CHANGE, 'UNDO_HISTORY_CHANGE'],
+    [Blockly.Events.MOVE, 'UNDO_HISTORY_MOVE']
+  ];
+  for (var i = 0; i < blockMessages.length; i++) {
+    var event = byType[blockMessages[i][0]];
+    if (event) {
+      return Blockly.Msg[blockMessages[i][1]].replace('%1',
+          this.getBlockText_(event));
+    }
+  }
+  return Blockly.Msg.UNDO_HISTORY_COMMENT;
+};
+
+/**
+ * Get the text of the block an event is about, even if it no longer exists.
+ * @param {!Blockly.Events.BlockBase} event Block event.
+ * @return {string} The block's text.
+ * @private
+ */
+Blockly.UndoHistory.prototype.getBlockText_ = function(event) {
+  var maxLength = Blockly.UndoHistory.BLOCK_TEXT_LENGTH;
+  var block = this.workspace_.getBlockById(event.blockId);
+  if (block) {
+    return block.toString(maxLength);
+  }
+  if (this.blockTexts_[event.blockId]) {
+    return this.blockTexts_[event.blockId];
+  }
+  var xml = event.xml || event.oldXml;
+  if (!xml) {
+    return '?';
+  }
+  // Build the block on a scratch workspace just to read its text.
+  var workspace = new Blockly.Workspace();
+  Blockly.Events.disable();
+  try {
+    var text = Blockly.Xml.domToBlock(xml, workspace).toString(maxLength);
+  } catch (e) {
+    text = xml.getAttribute('type');
+  } finally {
+    workspace.dispose();
+    Blockly.Events.enable();
+  }
+  this.blockTexts_[event.blockId] = text;
+  return text;
+};
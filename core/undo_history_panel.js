@@ -0,0 +1,273 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Panel listing a workspace's undo history.  Clicking a step
+ * undoes or redoes everything after or up to it; checkpoints can be saved and
+ * restored from the bottom of the panel.
+ */
+'use strict';
+
+goog.provide('Blockly.UndoHistoryPanel');
+
+goog.require('Blockly.UndoHistory');
+goog.require('Blockly.utils');
+
+goog.require('goog.dom');
+
+
+/**
+ * Class for an undo history panel.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace whose history to
+ *     show.
+ * @param {Blockly.UndoHistory=} opt_history History to show.  If not given,
+ *     the panel creates and owns one.
+ * @constructor
+ */
+Blockly.UndoHistoryPanel = function(workspace, opt_history) {
+  /**
+   * @type {!Blockly.WorkspaceSvg}
+   * @private
+   */
+  this.workspace_ = workspace;
+
+  /**
+   * @type {!Blockly.UndoHistory}
+   * @private
+   */
+  this.history_ = opt_history || new Blockly.UndoHistory(workspace);
+
+  /**
+   * Whether the panel created the history, and so disposes of it.
+   * @type {boolean}
+   * @private
+   */
+  this.ownsHistory_ = !opt_history;
+
+  /**
+   * The panel's outermost element.
+   * @type {Element}
+   * @private
+   */
+  this.div_ = null;
+
+  /**
+   * PID of the pending render, if any.
+   * @type {?number}
+   * @private
+   */
+  this.renderPid_ = null;
+
+  /**
+   * Event bindings to remove on dispose.
+   * @type {!Array.<!Array>}
+   * @private
+   */
+  this.bindings_ = [];
+
+  this.changeWrapper_ = this.scheduleRender_.bind(this);
+  workspace.addChangeListener(this.changeWrapper_);
+};
+
+/**
+ * Create the panel's DOM.
+ * @param {Element=} opt_container Element to put the panel in.  Defaults to
+ *     the workspace's injection div.
+ * @return {!Element} The panel's outermost element.
+ */
+Blockly.UndoHistoryPanel.prototype.createDom = function(opt_container) {
+  this.div_ = goog.dom.createDom('div', 'blocklyUndoHistory',
+      goog.dom.createDom('div', 'blocklyUndoHistoryTitle',
+          Blockly.Msg.UNDO_HISTORY_TITLE),
+      goog.dom.createDom('ol', 'blocklyUndoHistoryList'),
+      goog.dom.createDom('div', 'blocklyUndoHistoryTitle',
+          Blockly.Msg.UNDO_HISTORY_CHECKPOINTS),
+      goog.dom.createDom('ul', 'blocklyUndoHistoryCheckpoints'),
+      goog.dom.createDom('button', 'blocklyUndoHistoryButton',
+          Blockly.Msg.UNDO_HISTORY_SAVE_CHECKPOINT));
+  var container = opt_container || this.workspace_.getInjectionDiv();
+  container.appendChild(this.div_);
+  this.bindings_.push(
+      Blockly.bindEvent_(this.getList_(), 'click', this, this.onStepClick_),
+      Blockly.bindEvent_(this.getCheckpointList_(), 'click', this,
+          this.onCheckpointClick_),
+      Blockly.bindEvent_(this.div_.lastChild, 'click', this,
+          this.onSaveClick_));
+  this.render();
+  return this.div_;
+};
+
+/**
+ * Redraw the list of steps and checkpoints.
+ */
+Blockly.UndoHistoryPanel.prototype.render = function() {
+  if (this.renderPid_) {
+    clearTimeout(this.renderPid_);
+    this.renderPid_ = null;
+  }
+  if (!this.div_) {
+    return;
+  }
+  var list = this.getList_();
+  goog.dom.removeChildren(list);
+  var entries = this.history_.getEntries();
+  var position = this.history_.getPosition();
+  var descriptions = [Blockly.Msg.UNDO_HISTORY_START].concat(
+      entries.map(function(entry) {
+        return entry.description;
+      }));
+  for (var i = 0; i < descriptions.length; i++) {
+    var item = goog.dom.createDom('li', 'blocklyUndoHistoryStep',
+        descriptions[i]);
+    item.setAttribute('data-position', i);
+    if (i > position) {
+      Blockly.utils.addClass(item, 'blocklyUndoHistoryUndone');
+    } else if (i == position) {
+      Blockly.utils.addClass(item, 'blocklyUndoHistoryCurrent');
+    }
+    list.appendChild(item);
+  }
+
+  var checkpointList = this.getCheckpointList_();
+  goog.dom.removeChildren(checkpointList);
+  var checkpoints = this.history_.getCheckpoints();
+  for (var i = 0; i < checkpoints.length; i++) {
+    var item = goog.dom.createDom('li', 'blocklyUndoHistoryCheckpoint',
+        checkpoints[i].name);
+    item.setAttribute('data-name', checkpoints[i].name);
+    checkpointList.appendChild(item);
+  }
+};
+
+/**
+ * Show or hide the panel.
+ * @param {boolean} visible True to show the panel.
+ */
+Blockly.UndoHistoryPanel.prototype.setVisible = function(visible) {
+  if (this.div_) {
+    this.div_.style.display = visible ? '' : 'none';
+    if (visible) {
+      this.render();
+    }
+  }
+};
+
+/**
+ * Whether the panel is shown.
+ * @return {boolean} True if visible.
+ */
+Blockly.UndoHistoryPanel.prototype.isVisible = function() {
+  return !!this.div_ && this.div_.style.display != 'none';
+};
+
+/**
+ * Get the history the panel shows.
+ * @return {!Blockly.UndoHistory} The history.
+ */
+Blockly.UndoHistoryPanel.prototype.getHistory = function() {
+  return this.history_;
+};
+
+/**
+ * Remove the panel and stop listening to the workspace.
+ */
+Blockly.UndoHistoryPanel.prototype.dispose = function() {
+  clearTimeout(this.renderPid_);
+  this.workspace_.removeChangeListener(this.changeWrapper_);
+  while (this.bindings_.length) {
+    Blockly.unbindEvent_(this.bindings_.pop());
+  }
+  goog.dom.removeNode(this.div_);
+  this.div_ = null;
+  if (this.ownsHistory_) {
+    this.history_.dispose();
+  }
+};
+
+/**
+ * Redraw once the current batch of events has been handled.
+ * @private
+ */
+Blockly.UndoHistoryPanel.prototype.scheduleRender_ = function() {
+  if (this.div_ && !this.renderPid_) {
+    this.renderPid_ = setTimeout(this.render.bind(this), 0);
+  }
+};
+
+/**
+ * Jump to the clicked step.
+ * @param {!Event} e Click event.
+ * @private
+ */
+Blockly.UndoHistoryPanel.prototype.onStepClick_ = function(e) {
+  var item = goog.dom.getAncestorByTagNameAndClass(
+      /** @type {Node} */ (e.target), 'li');
+  if (item) {
+    this.history_.jumpTo(Number(item.getAttribute('data-position')));
+    this.render();
+  }
+};
+
+/**
+ * Restore the clicked checkpoint.
+ * @param {!Event} e Click event.
+ * @private
+ */
+Blockly.UndoHistoryPanel.prototype.onCheckpointClick_ = function(e) {
+  var item = goog.dom.getAncestorByTagNameAndClass(
+      /** @type {Node} */ (e.target), 'li');
+  if (item) {
+    this.history_.restoreCheckpoint(item.getAttribute('data-name'));
+    this.render();
+  }
+};
+
+/**
+ * Ask for a name and save a checkpoint.
+ * @private
+ */
+Blockly.UndoHistoryPanel.prototype.onSaveClick_ = function() {
+  var panel = this;
+  var defaultName = Blockly.Msg.UNDO_HISTORY_DEFAULT_CHECKPOINT.replace('%1',
+      this.history_.getCheckpoints().length + 1);
+  Blockly.prompt(Blockly.Msg.UNDO_HISTORY_CHECKPOINT_TITLE, defaultName,
+      function(name) {
+        if (name) {
+          panel.history_.createCheckpoint(name);
+          panel.render();
+        }
+      });
+};
+
+/**
+ * @return {!Element} The list of steps.
+ * @private
+ */
+Blockly.UndoHistoryPanel.prototype.getList_ = function() {
+  return /** @type {!Element} */ (this.div_.childNodes[1]);
+};
+
+/**
+ * @return {!Element} The list of checkpoints.
+ * @private
+ */
+Blockly.UndoHistoryPanel.prototype.getCheckpointList_ = function() {
+  return /** @type {!Element} */ (this.div_.childNodes[3]);
+};
@@ -332,7 +332,7 @@ Blockly.WorkspaceComment.prototype.getLabelText = function() {
  * @package
  */
 Blockly.WorkspaceComment.prototype.toXml = function(opt_noId) {
-  var commentElement = goog.dom.createDom('comment');
+  var commentElement = Blockly.Xml.createElement('comment');
   if (!opt_noId) {
     commentElement.setAttribute('id', this.id);
   }
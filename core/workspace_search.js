@@ -0,0 +1,512 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Find and replace for a workspace.  A search matches the text
+ * of blocks, including their field values and variable names, and their
+ * comments.  Replacing changes the values of text and number fields.
+ */
+'use strict';
+
+goog.provide('Blockly.WorkspaceSearch');
+
+goog.require('Blockly.Events');
+goog.require('Blockly.FieldTextInput');
+goog.require('Blockly.utils');
+
+goog.require('goog.dom');
+goog.require('goog.string');
+
+
+/**
+ * Class for searching a workspace.
+ * @param {!Blockly.Workspace} workspace The workspace to search.
+ * @constructor
+ */
+Blockly.WorkspaceSearch = function(workspace) {
+  /**
+   * @type {!Blockly.Workspace}
+   * @private
+   */
+  this.workspace_ = workspace;
+
+  /**
+   * The text being searched for.
+   * @type {string}
+   * @private
+   */
+  this.query_ = '';
+
+  /**
+   * Blocks matching the query, in workspace order.
+   * @type {!Array.<!Blockly.Block>}
+   * @private
+   */
+  this.results_ = [];
+
+  /**
+   * Index in results_ of the current result, or -1 if there is none.
+   * @type {number}
+   * @private
+   */
+  this.index_ = -1;
+
+  /**
+   * The search bar's outermost element.
+   * @type {Element}
+   * @private
+   */
+  this.div_ = null;
+
+  /**
+   * PID of the pending refresh, if any.
+   * @type {?number}
+   * @private
+   */
+  this.refreshPid_ = null;
+
+  /**
+   * Event bindings to remove on dispose.
+   * @type {!Array.<!Array>}
+   * @private
+   */
+  this.bindings_ = [];
+
+  this.changeWrapper_ = this.scheduleRefresh_.bind(this);
+  workspace.addChangeListener(this.changeWrapper_);
+};
+
+/**
+ * Search the workspace.  The first result becomes the current one.
+ * @param {string} query Text to look for, in any case.
+ * @return {!Array.<!Blockly.Block>} The blocks that match.
+ */
+Blockly.WorkspaceSearch.prototype.search = function(query) {
+  this.query_ = query;
+  this.index_ = -1;
+  this.refresh_();
+  if (this.results_.length) {
+    this.setIndex_(0);
+  }
+  return this.results_;
+};
+
+/**
+ * Get the blocks matching the current search.
+ * @return {!Array.<!Blockly.Block>} The blocks, in workspace order.
+ */
+Blockly.WorkspaceSearch.prototype.getResults = function() {
+  return this.results_;
+};
+
+/**
+ * Get the current result.
+ * @return {Blockly.Block} The block, or null if nothing matched.
+ */
+Blockly.WorkspaceSearch.prototype.getCurrent = function() {
+  return this.results_[this.index_] || null;
+};
+
+/**
+ * Step to the next result, wrapping around at the end.
+ */
+Blockly.WorkspaceSearch.prototype.next = function() {
+  if (this.results_.length) {
+    this.setIndex_((this.index_ + 1) % this.results_.length);
+  }
+};
+
+/**
+ * Step to the previous result, wrapping around at the start.
+ */
+Blockly.WorkspaceSearch.prototype.previous = function() {
+  var length = this.results_.length;
+  if (length) {
+    this.setIndex_((this.index_ - 1 + length) % length);
+  }
+};
+
+/**
+ * Replace the search text in the current result's field values.
+ * @param {string} replacement Text to put in its place.
+ * @return {number} The number of fields changed.
+ */
+Blockly.WorkspaceSearch.prototype.replace = function(replacement) {
+  var current = this.getCurrent();
+  return current ? this.replaceInBlocks_([current], replacement) : 0;
+};
+
+/**
+ * Replace the search text in the field values of every result, as one undo
+ * step.
+ * @param {string} replacement Text to put in its place.
+ * @return {number} The number of fields changed.
+ */
+Blockly.WorkspaceSearch.prototype.replaceAll = function(replacement) {
+  return this.replaceInBlocks_(this.results_.slice(), replacement);
+};
+
+/**
+ * Create the search bar's DOM.  It starts out hidden.
+ * @param {Element=} opt_container Element to put the bar in.  Defaults to the
+ *     workspace's injection div.
+ * @return {!Element} The bar's outermost element.
+ */
+Blockly.WorkspaceSearch.prototype.createDom = function(opt_container) {
+  var createButton = function(className, text) {
+    return goog.dom.createDom('button',
+        {'class': 'blocklySearchButton ' + className, 'type': 'button'}, text);
+  };
+  var searchInput = goog.dom.createDom('input', {
+    'class': 'blocklySearchInput',
+    'type': 'search',
+    'placeholder': Blockly.Msg.SEARCH_PLACEHOLDER,
+    'aria-label': Blockly.Msg.SEARCH_PLACEHOLDER
+  });
+  var replaceInput = goog.dom.createDom('input', {
+    'class': 'blocklySearchReplaceInput',
+    'type': 'text',
+    'placeholder': Blockly.Msg.SEARCH_REPLACE_PLACEHOLDER,
+    'aria-label': Blockly.Msg.SEARCH_REPLACE_PLACEHOLDER
+  });
+  this.div_ = goog.dom.createDom('div',
+      {'class': 'blocklySearch', 'role': 'search', 'style': 'display: none'},
+      searchInput,
+      goog.dom.createDom('span',
+          {'class': 'blocklySearchCount', 'aria-live': 'polite'}),
+      createButton('blocklySearchPrevious', Blockly.Msg.SEARCH_PREVIOUS),
+      createButton('blocklySearchNext', Blockly.Msg.SEARCH_NEXT),
+      replaceInput,
+      createButton('blocklySearchReplace', Blockly.Msg.SEARCH_REPLACE),
+      createButton('blocklySearchReplaceAll', Blockly.Msg.SEARCH_REPLACE_ALL),
+      createButton('blocklySearchClose', Blockly.Msg.SEARCH_CLOSE));
+  var workspace = /** @type {!Blockly.WorkspaceSvg} */ (this.workspace_);
+  var container = opt_container || workspace.getInjectionDiv();
+  container.appendChild(this.div_);
+
+  this.bindings_.push(
+      Blockly.bindEvent_(searchInput, 'input', this, function() {
+        this.search(searchInput.value);
+      }),
+      Blockly.bindEvent_(searchInput, 'keydown', this, this.onKeyDown_),
+      Blockly.bindEvent_(replaceInput, 'keydown', this, this.onKeyDown_),
+      Blockly.bindEvent_(this.getElement_('blocklySearchPrevious'), 'click',
+          this, this.previous),
+      Blockly.bindEvent_(this.getElement_('blocklySearchNext'), 'click', this,
+          this.next),
+      Blockly.bindEvent_(this.getElement_('blocklySearchReplace'), 'click',
+          this, function() {
+            this.replace(replaceInput.value);
+          }),
+      Blockly.bindEvent_(this.getElement_('blocklySearchReplaceAll'), 'click',
+          this, function() {
+            this.replaceAll(replaceInput.value);
+          }),
+      Blockly.bindEvent_(this.getElement_('blocklySearchClose'), 'click', this,
+          this.hide));
+  return this.div_;
+};
+
+/**
+ * Show the search bar, creating it if needed, and focus its search box.
+ */
+Blockly.WorkspaceSearch.prototype.show = function() {
+  if (!this.div_) {
+    this.createDom();
+  }
+  this.div_.style.display = '';
+  var input = this.getInput_();
+  input.focus();
+  input.select();
+  if (input.value) {
+    this.search(input.value);
+  }
+};
+
+/**
+ * Hide the search bar and clear the highlighting.
+ */
+Blockly.WorkspaceSearch.prototype.hide = function() {
+  if (this.div_) {
+    this.div_.style.display = 'none';
+  }
+  this.setHighlighted_(false);
+  this.query_ = '';
+  this.results_ = [];
+  this.index_ = -1;
+};
+
+/**
+ * Whether the search bar is shown.
+ * @return {boolean} True if visible.
+ */
+Blockly.WorkspaceSearch.prototype.isVisible = function() {
+  return !!this.div_ && this.div_.style.display != 'none';
+};
+
+/**
+ * Remove the search bar and stop listening to the workspace.
+ */
+Blockly.WorkspaceSearch.prototype.dispose = function() {
+  clearTimeout(this.refreshPid_);
+  this.workspace_.removeChangeListener(this.changeWrapper_);
+  while (this.bindings_.length) {
+    Blockly.unbindEvent_(this.bindings_.pop());
+  }
+  goog.dom.removeNode(this.div_);
+  this.div_ = null;
+  this.results_ = [];
+};
+
+/**
+ * Get the fields a user reads as part of a block: its own, and those of the
+ * shadow blocks in its inputs.
+ * @param {!Blockly.Block} block The block.
+ * @return {!Array.<!Blockly.Field>} The fields, in the order they are drawn.
+ * @private
+ */
+Blockly.WorkspaceSearch.getFields_ = function(block) {
+  var fields = [];
+  for (var i = 0, input; input = block.inputList[i]; i++) {
+    fields.push.apply(fields, input.fieldRow);
+    var child = input.connection && input.connection.targetBlock();
+    if (child && child.isShadow()) {
+      fields.push.apply(fields, Blockly.WorkspaceSearch.getFields_(child));
+    }
+  }
+  return fields;
+};
+
+/**
+ * Whether a block matches a query, by its text or its comment.
+ * @param {!Blockly.Block} block The block.
+ * @param {string} query Lower case text to look for.
+ * @return {boolean} True if the block matches.
+ * @private
+ */
+Blockly.WorkspaceSearch.matches_ = function(block, query) {
+  var text = Blockly.WorkspaceSearch.getFields_(block).map(function(field) {
+    return field.getText();
+  }).join(' ');
+  return text.toLowerCase().indexOf(query) != -1 ||
+      block.getCommentText().toLowerCase().indexOf(query) != -1;
+};
+
+/**
+ * Get the value a field would have with the query replaced, if the field can
+ * be changed.  A number is only replaced if it is the whole value, so that
+ * replacing 1 doesn't change 10.
+ * @param {!Blockly.Field} field The field.
+ * @param {string} query Text to look for, in any case.
+ * @param {string} replacement Text to put in its place.
+ * @return {?string} The new value, or null if the field doesn't change.
+ * @private
+ */
+Blockly.WorkspaceSearch.getReplacedValue_ = function(field, query,
+    replacement) {
+  if (!(field instanceof Blockly.FieldTextInput) || !field.EDITABLE) {
+    return null;
+  }
+  var value = String(field.getValue());
+  var isNumber = function(text) {
+    return goog.string.trim(text) != '' && isFinite(Number(text));
+  };
+  var newValue;
+  if (isNumber(value)) {
+    newValue = isNumber(query) && Number(value) == Number(query) ?
+        replacement : value;
+  } else {
+    newValue = value.replace(
+        new RegExp(goog.string.regExpEscape(query), 'gi'), replacement);
+  }
+  if (newValue == value || field.callValidator(newValue) === null) {
+    return null;
+  }
+  return newValue;
+};
+
+/**
+ * Replace the query in the field values of some blocks, as one undo step.
+ * @param {!Array.<!Blockly.Block>} blocks The blocks.
+ * @param {string} replacement Text to put in place of the query.
+ * @return {number} The number of fields changed.
+ * @private
+ */
+Blockly.WorkspaceSearch.prototype.replaceInBlocks_ = function(blocks,
+    replacement) {
+  if (!this.query_) {
+    return 0;
+  }
+  var count = 0;
+  Blockly.Events.setGroup(true);
+  try {
+    for (var i = 0, block; block = blocks[i]; i++) {
+      var fields = Blockly.WorkspaceSearch.getFields_(block);
+      for (var j = 0, field; field = fields[j]; j++) {
+        var newValue = Blockly.WorkspaceSearch.getReplacedValue_(field,
+            this.query_, replacement);
+        if (newValue !== null) {
+          field.setValue(newValue);
+          count++;
+        }
+      }
+    }
+  } finally {
+    Blockly.Events.setGroup(false);
+  }
+  this.refresh_();
+  return count;
+};
+
+/**
+ * Find the blocks matching the query again, keeping the current result if it
+ * still matches.
+ * @private
+ */
+Blockly.WorkspaceSearch.prototype.refresh_ = function() {
+  if (this.refreshPid_) {
+    clearTimeout(this.refreshPid_);
+    this.refreshPid_ = null;
+  }
+  var current = this.getCurrent();
+  this.setHighlighted_(false);
+  var query = this.query_.toLowerCase();
+  this.results_ = !query ? [] :
+      this.workspace_.getAllBlocks(true).filter(function(block) {
+        return !block.isShadow() &&
+            Blockly.WorkspaceSearch.matches_(block, query);
+      });
+  this.index_ = this.results_.indexOf(current);
+  if (this.index_ == -1 && current && this.results_.length) {
+    this.index_ = 0;
+  }
+  this.setHighlighted_(true);
+  this.updateCount_();
+};
+
+/**
+ * Refresh the results once the current batch of events has been handled.
+ * @param {!Blockly.Events.Abstract} event Change event.
+ * @private
+ */
+Blockly.WorkspaceSearch.prototype.scheduleRefresh_ = function(event) {
+  if (this.query_ && event.type != Blockly.Events.UI && !this.refreshPid_) {
+    this.refreshPid_ = setTimeout(this.refresh_.bind(this), 0);
+  }
+};
+
+/**
+ * Make a result the current one, and scroll to it.
+ * @param {number} index Index of the result.
+ * @private
+ */
+Blockly.WorkspaceSearch.prototype.setIndex_ = function(index) {
+  this.setHighlighted_(false);
+  this.index_ = index;
+  this.setHighlighted_(true);
+  this.updateCount_();
+  var current = this.getCurrent();
+  if (current && this.workspace_.rendered && this.workspace_.scrollbar) {
+    this.workspace_.centerOnBlock(current.id);
+  }
+};
+
+/**
+ * Add or remove the highlighting of the results.
+ * @param {boolean} highlighted True to highlight.
+ * @private
+ */
+Blockly.WorkspaceSearch.prototype.setHighlighted_ = function(highlighted) {
+  if (!this.workspace_.rendered) {
+    return;
+  }
+  var change = highlighted ? Blockly.utils.addClass : Blockly.utils.removeClass;
+  for (var i = 0, block; block = this.results_[i]; i++) {
+    var root = block.getSvgRoot();
+    if (root) {
+      change(root, 'blocklySearchMatch');
+      if (i == this.index_) {
+        change(root, 'blocklySearchCurrent');
+      }
+    }
+  }
+};
+
+/**
+ * Show which result is current, e.g. "2 of 5".
+ * @private
+ */
+Blockly.WorkspaceSearch.prototype.updateCount_ = function() {
+  if (!this.div_) {
+    return;
+  }
+  var text = '';
+  if (this.query_) {
+    text = this.results_.length ? Blockly.Msg.SEARCH_RESULTS
+        .replace('%1', this.index_ + 1)
+        .replace('%2', this.results_.length) : Blockly.Msg.SEARCH_NO_RESULTS;
+  }
+  this.getElement_('blocklySearchCount').textContent = text;
+};
+
+/**
+ * Handle a key press in the search bar: Enter steps to the next result (or
+ * replaces, in the replace box), Shift+Enter to the previous one, and Escape
+ * closes the bar.
+ * @param {!Event} e Key down event.
+ * @private
+ */
+Blockly.WorkspaceSearch.prototype.onKeyDown_ = function(e) {
+  if (e.keyCode == 13) {
+    if (e.target == this.getInput_()) {
+      if (e.shiftKey) {
+        this.previous();
+      } else {
+        this.next();
+      }
+    } else {
+      this.replace(e.target.value);
+      this.next();
+    }
+    e.preventDefault();
+  } else if (e.keyCode == 27) {
+    this.hide();
+    e.preventDefault();
+  }
+};
+
+/**
+ * @return {!HTMLInputElement} The search box.
+ * @private
+ */
+Blockly.WorkspaceSearch.prototype.getInput_ = function() {
+  var input = this.getElement_('blocklySearchInput');
+  return /** @type {!HTMLInputElement} */ (input);
+};
+
+/**
+ * @param {string} className Class of an element in the search bar.
+ * @return {!Element} The element.
+ * @private
+ */
+Blockly.WorkspaceSearch.prototype.getElement_ = function(className) {
+  var element = this.div_.getElementsByClassName(className)[0];
+  return /** @type {!Element} */ (element);
+};
@@ -36,9 +36,13 @@ goog.require('Blockly.DropDownDiv');
 goog.require('Blockly.Events.BlockCreate');
 goog.require('Blockly.Gesture');
 goog.require('Blockly.Grid');
+goog.require('Blockly.ImageExport');
+goog.require('Blockly.KeyboardCursor');
+goog.require('Blockly.Minimap');
 goog.require('Blockly.Options');
 goog.require('Blockly.scratchBlocksUtils');
 goog.require('Blockly.ScrollbarPair');
+goog.require('Blockly.Theme');
 goog.require('Blockly.Touch');
 goog.require('Blockly.Trashcan');
 //goog.require('Blockly.VerticalFlyout');
@@ -48,6 +52,7 @@ goog.require('Blockly.WorkspaceComment');
 goog.require('Blockly.WorkspaceCommentSvg');
 goog.require('Blockly.WorkspaceCommentSvg.render');
 goog.require('Blockly.WorkspaceDragSurfaceSvg');
+goog.require('Blockly.WorkspaceSearch');
 goog.require('Blockly.Xml');
 goog.require('Blockly.ZoomControls');
 
@@ -96,6 +101,28 @@ Blockly.WorkspaceSvg = function(options, opt_blockDragSurface, opt_wsDragSurface
    */
   this.highlightedBlocks_ = [];
 
+  /**
+   * Blocks selected along with Blockly.selected, by shift-clicking them or
+   * dragging a selection marquee around them.
+   * @type {!Array.<!Blockly.BlockSvg>}
+   * @private
+   */
+  this.multiSelection_ = [];
+
+  /**
+   * Cursor for editing the workspace from the keyboard.  Created on demand.
+   * @type {Blockly.KeyboardCursor}
+   * @private
+   */
+  this.keyboardCursor_ = null;
+
+  /**
+   * Find and replace bar for this workspace.  Created on demand.
+   * @type {Blockly.WorkspaceSearch}
+   * @private
+   */
+  this.search_ = null;
+
   /**
    * Object in charge of loading, storing, and playing audio for a workspace.
    * @type {Blockly.WorkspaceAudio}
@@ -459,7 +486,10 @@ Blockly.WorkspaceSvg.prototype.createDom = function(opt_backgroundClass) {
     bottom = this.addTrashcan_(bottom);
   }
   if (this.options.zoomOptions && this.options.zoomOptions.controls) {
-    this.addZoomControls_(bottom);
+    bottom = this.addZoomControls_(bottom);
+  }
+  if (this.options.hasMinimap) {
+    this.addMinimap_(bottom);
   }
 
   if (!this.isFlyout) {
@@ -498,6 +528,14 @@ Blockly.WorkspaceSvg.prototype.dispose = function() {
   if (this.currentGesture_) {
     this.currentGesture_.cancel();
   }
+  if (this.keyboardCursor_) {
+    this.keyboardCursor_.dispose();
+    this.keyboardCursor_ = null;
+  }
+  if (this.search_) {
+    this.search_.dispose();
+    this.search_ = null;
+  }
   Blockly.WorkspaceSvg.superClass_.dispose.call(this);
   if (this.svgGroup_) {
     goog.dom.removeNode(this.svgGroup_);
@@ -525,6 +563,10 @@ Blockly.WorkspaceSvg.prototype.dispose = function() {
     this.zoomControls_.dispose();
     this.zoomControls_ = null;
   }
+  if (this.minimap_) {
+    this.minimap_.dispose();
+    this.minimap_ = null;
+  }
 
   if (this.audioManager_) {
     this.audioManager_.dispose();
@@ -593,6 +635,28 @@ Blockly.WorkspaceSvg.prototype.addZoomControls_ = function(bottom) {
   return this.zoomControls_.init(bottom);
 };
 
+/**
+ * Add a minimap.
+ * @param {number} bottom Distance from workspace bottom to bottom of minimap.
+ * @return {number} Distance from workspace bottom to the top of minimap.
+ * @private
+ */
+Blockly.WorkspaceSvg.prototype.addMinimap_ = function(bottom) {
+  /** @type {Blockly.Minimap} */
+  this.minimap_ = new Blockly.Minimap(this);
+  var svgMinimap = this.minimap_.createDom();
+  this.svgGroup_.appendChild(svgMinimap);
+  return this.minimap_.init(bottom);
+};
+
+/**
+ * Get the workspace's minimap, if it has one.
+ * @return {Blockly.Minimap} The minimap, or null.
+ */
+Blockly.WorkspaceSvg.prototype.getMinimap = function() {
+  return this.minimap_;
+};
+
 /**
  * Add a flyout element in an element with the given tag name.
  * @param {string} tagName What type of tag the flyout belongs in.
@@ -602,6 +666,7 @@ Blockly.WorkspaceSvg.prototype.addZoomControls_ = function(bottom) {
 Blockly.WorkspaceSvg.prototype.addFlyout_ = function(tagName) {
   var workspaceOptions = {
     disabledPatternId: this.options.disabledPatternId,
+    categoryPatternIds: this.options.categoryPatternIds,
     parentWorkspace: this,
     RTL: this.RTL,
     oneBasedIndex: this.options.oneBasedIndex,
@@ -639,6 +704,39 @@ Blockly.WorkspaceSvg.prototype.getFlyout = function() {
   return null;
 };
 
+/**
+ * Get the cursor for editing this workspace from the keyboard, creating it if
+ * needed.  The cursor starts out disabled.
+ * @return {!Blockly.KeyboardCursor} The keyboard cursor.
+ */
+Blockly.WorkspaceSvg.prototype.getKeyboardCursor = function() {
+  if (!this.keyboardCursor_) {
+    this.keyboardCursor_ = new Blockly.KeyboardCursor(this);
+  }
+  return this.keyboardCursor_;
+};
+
+/**
+ * Is the keyboard cursor turned on?  Unlike getKeyboardCursor, this doesn't
+ * create the cursor.
+ * @return {boolean} True if the workspace has a cursor and it is enabled.
+ */
+Blockly.WorkspaceSvg.prototype.isKeyboardCursorEnabled = function() {
+  return !!this.keyboardCursor_ && this.keyboardCursor_.isEnabled();
+};
+
+/**
+ * Get the find and replace bar for this workspace, creating it if needed.
+ * The bar starts out hidden.
+ * @return {!Blockly.WorkspaceSearch} The search.
+ */
+Blockly.WorkspaceSvg.prototype.getSearch = function() {
+  if (!this.search_) {
+    this.search_ = new Blockly.WorkspaceSearch(this);
+  }
+  return this.search_;
+};
+
 /**
  * Getter for the toolbox associated with this workspace, if one exists.
  * @return {Blockly.Toolbox} The toolbox on this workspace.
@@ -697,6 +795,9 @@ Blockly.WorkspaceSvg.prototype.resize = function() {
   if (this.zoomControls_) {
     this.zoomControls_.position();
   }
+  if (this.minimap_) {
+    this.minimap_.position();
+  }
   if (this.scrollbar) {
     this.scrollbar.resize();
   }
@@ -995,9 +1096,127 @@ Blockly.WorkspaceSvg.prototype.reportValue = function(id, value) {
   Blockly.DropDownDiv.showPositionedByBlock(this, block);
 };
 
+/**
+ * Get every selected block on this workspace: Blockly.selected, if it is one
+ * of this workspace's blocks, followed by any blocks selected along with it.
+ * @return {!Array.<!Blockly.BlockSvg>} The selected blocks.
+ */
+Blockly.WorkspaceSvg.prototype.getSelectedBlocks = function() {
+  var blocks = [];
+  if (Blockly.selected && !Blockly.selected.isComment &&
+      Blockly.selected.workspace == this) {
+    blocks.push(Blockly.selected);
+  }
+  return blocks.concat(this.multiSelection_);
+};
+
+/**
+ * Get the selected blocks that are not below or inside another selected block.
+ * Moving or copying these blocks moves or copies the whole selection.
+ * @return {!Array.<!Blockly.BlockSvg>} The outermost selected blocks.
+ */
+Blockly.WorkspaceSvg.prototype.getSelectedStacks = function() {
+  var selection = this.getSelectedBlocks();
+  return selection.filter(function(block) {
+    for (var parent = block.getParent(); parent; parent = parent.getParent()) {
+      if (selection.indexOf(parent) != -1) {
+        return false;
+      }
+    }
+    return true;
+  });
+};
+
+/**
+ * Add a block to the selection without unselecting anything.  If nothing is
+ * selected yet, the block becomes Blockly.selected.
+ * @param {!Blockly.BlockSvg} block Block on this workspace.
+ */
+Blockly.WorkspaceSvg.prototype.addToSelection = function(block) {
+  if (block.isShadow() && block.getParent()) {
+    // Shadow blocks are selected through their parents.
+    block = block.getParent();
+  }
+  var selection = this.getSelectedBlocks();
+  if (selection.indexOf(block) != -1) {
+    return;
+  }
+  if (!selection.length || Blockly.selected != selection[0]) {
+    block.select();
+    return;
+  }
+  this.multiSelection_.push(block);
+  block.addSelect();
+  this.updateMultiSelectionStyle_();
+};
+
+/**
+ * Remove a block from the selection.  If it was Blockly.selected, another
+ * selected block takes its place.
+ * @param {!Blockly.BlockSvg} block Block on this workspace.
+ */
+Blockly.WorkspaceSvg.prototype.removeFromSelection = function(block) {
+  var index = this.multiSelection_.indexOf(block);
+  if (index != -1) {
+    this.multiSelection_.splice(index, 1);
+    block.removeSelect();
+    this.updateMultiSelectionStyle_();
+  } else if (Blockly.selected == block) {
+    var rest = this.multiSelection_.slice();
+    block.unselect();
+    if (rest.length) {
+      rest[0].select();
+      for (var i = 1; i < rest.length; i++) {
+        this.addToSelection(rest[i]);
+      }
+    }
+  }
+};
+
+/**
+ * Unselect every block on this workspace.
+ */
+Blockly.WorkspaceSvg.prototype.clearSelection = function() {
+  var selection = this.getSelectedBlocks();
+  if (selection.length && Blockly.selected == selection[0]) {
+    selection[0].unselect();
+  }
+  this.clearMultiSelection();
+};
+
+/**
+ * Unselect the blocks selected along with Blockly.selected.  Called when
+ * Blockly.selected changes.
+ * @package
+ */
+Blockly.WorkspaceSvg.prototype.clearMultiSelection = function() {
+  for (var i = 0; i < this.multiSelection_.length; i++) {
+    this.multiSelection_[i].removeSelect();
+  }
+  this.multiSelection_.length = 0;
+  this.updateMultiSelectionStyle_();
+};
+
+/**
+ * Outline the selected blocks while more than one is selected.  A single
+ * selected block is not outlined.
+ * @private
+ */
+Blockly.WorkspaceSvg.prototype.updateMultiSelectionStyle_ = function() {
+  if (!this.svgBlockCanvas_) {
+    return;
+  }
+  if (this.multiSelection_.length) {
+    Blockly.utils.addClass(this.svgBlockCanvas_, 'blocklyMultiSelection');
+  } else {
+    Blockly.utils.removeClass(this.svgBlockCanvas_, 'blocklyMultiSelection');
+  }
+};
+
 /**
  * Paste the provided block onto the workspace.
- * @param {!Element} xmlBlock XML block element.
+ * @param {!Element} xmlBlock XML block element, workspace comment element, or
+ *     xml element holding several blocks copied together.
  */
 Blockly.WorkspaceSvg.prototype.paste = function(xmlBlock) {
   if (!this.rendered) {
@@ -1006,7 +1225,10 @@ Blockly.WorkspaceSvg.prototype.paste = function(xmlBlock) {
   if (this.currentGesture_) {
     this.currentGesture_.cancel();  // Dragging while pasting?  No.
   }
-  if (xmlBlock.tagName.toLowerCase() == 'comment') {
+  var tagName = xmlBlock.tagName.toLowerCase();
+  if (tagName == 'xml') {
+    this.pasteGroup_(xmlBlock);
+  } else if (tagName == 'comment') {
     this.pasteWorkspaceComment_(xmlBlock);
   } else {
     this.pasteBlock_(xmlBlock);
@@ -1075,6 +1297,24 @@ Blockly.WorkspaceSvg.prototype.pasteBlock_ = function(xmlBlock) {
   block.select();
 };
 
+/**
+ * Paste several blocks copied together, and select them all.
+ * @param {!Element} xml XML element containing the blocks.
+ * @private
+ */
+Blockly.WorkspaceSvg.prototype.pasteGroup_ = function(xml) {
+  var pasted = [];
+  for (var i = 0, xmlChild; xmlChild = xml.childNodes[i]; i++) {
+    if (xmlChild.nodeName.toLowerCase() == 'block') {
+      this.pasteBlock_(xmlChild);
+      pasted.push(Blockly.selected);
+    }
+  }
+  for (var i = 0; i < pasted.length; i++) {
+    this.addToSelection(pasted[i]);
+  }
+};
+
 /**
  * Paste the provided comment onto the workspace.
  * @param {!Element} xmlComment XML workspace comment element.
@@ -1396,6 +1636,36 @@ Blockly.WorkspaceSvg.prototype.getBlocksBoundingBox = function() {
   };
 };
 
+/**
+ * Export blocks as a standalone SVG image.
+ * @param {function(?string, number, number)} callback Called with the SVG
+ *     text and its width and height, or with null if there are no blocks.
+ * @param {Array.<!Blockly.BlockSvg>=} opt_blocks Blocks to export, such as
+ *     the selection, each with the blocks nested in it and below it.
+ *     Defaults to all blocks on the workspace.
+ */
+Blockly.WorkspaceSvg.prototype.toSvg = function(callback, opt_blocks) {
+  Blockly.ImageExport.blocksToSvg(opt_blocks || this.getTopBlocks(false),
+      callback);
+};
+
+/**
+ * Export blocks as a PNG image.
+ * @param {function(?string)} callback Called with a data URI of the PNG
+ *     image, or with null if there are no blocks or the browser can't draw
+ *     the image.
+ * @param {Array.<!Blockly.BlockSvg>=} opt_blocks Blocks to export, such as
+ *     the selection, each with the blocks nested in it and below it.
+ *     Defaults to all blocks on the workspace.
+ * @param {number=} opt_scale Pixels per workspace unit.  Defaults to
+ *     Blockly.ImageExport.PNG_SCALE.
+ */
+Blockly.WorkspaceSvg.prototype.toPng = function(callback, opt_blocks,
+    opt_scale) {
+  Blockly.ImageExport.blocksToPng(opt_blocks || this.getTopBlocks(false),
+      callback, opt_scale);
+};
+
 /**
  * Clean up the workspace by ordering all the blocks in a column.
  */
@@ -1576,6 +1846,84 @@ Blockly.WorkspaceSvg.prototype.updateToolbox = function(tree) {
   }
 };
 
+/**
+ * Switch to a new colour theme without injecting again.  Blockly.Colours and
+ * the injected CSS are shared by every workspace on the page, so the theme's
+ * colours and styles apply page-wide, including to blocks later created on
+ * other workspaces.  Only this workspace's existing blocks, toolbox and grid
+ * are recoloured; give other visible workspaces the same theme.
+ * @param {!Blockly.Theme} theme The theme.
+ */
+Blockly.WorkspaceSvg.prototype.setTheme = function(theme) {
+  var newColours = theme.getColours();
+  var maps = {};
+  var parts = ['primary', 'secondary', 'tertiary'];
+  for (var i = 0; i < parts.length; i++) {
+    maps[parts[i]] = Blockly.Theme.getColourMap(Blockly.Colours, newColours,
+        parts[i]);
+  }
+  var recolour = function(colour, part) {
+    return Blockly.Theme.mapColour(maps[part], colour);
+  };
+  var oldTextField = String(Blockly.Colours.textField).toLowerCase();
+  var isTextField = function(block) {
+    return [block.getColour(), block.getColourSecondary(),
+      block.getColourTertiary()].every(function(colour) {
+      return String(colour).toLowerCase() == oldTextField;
+    });
+  };
+
+  Blockly.Colours.overrideColours(newColours);
+  Blockly.Css.refresh();
+  this.options.theme = theme;
+
+  var blocks = this.getAllBlocks();
+  for (var i = 0; i < blocks.length; i++) {
+    if (isTextField(blocks[i])) {
+      // Shadow blocks with a text field are coloured as the text field.
+      blocks[i].setColour(Blockly.Colours.textField, Blockly.Colours.textField,
+          Blockly.Colours.textField);
+    } else {
+      blocks[i].setColour(recolour(blocks[i].getColour(), 'primary'),
+          recolour(blocks[i].getColourSecondary(), 'secondary'),
+          recolour(blocks[i].getColourTertiary(), 'tertiary'));
+    }
+  }
+  if (this.grid_) {
+    this.grid_.setColour(Blockly.Colours.grid);
+  }
+  if (this.options.languageTree) {
+    // Rebuild the toolbox, and the flyout with it, in the new colours.  Work on
+    // a copy, since the tree may be the DOM the toolbox was created from.
+    var tree = this.options.languageTree.cloneNode(true);
+    var categories = tree.getElementsByTagName('category');
+    // Categories take their border colour from the tertiary block colour.
+    var attributes = {'colour': 'primary', 'secondaryColour': 'tertiary'};
+    for (var i = 0; i < categories.length; i++) {
+      for (var attribute in attributes) {
+        var colour = categories[i].getAttribute(attribute);
+        if (colour) {
+          categories[i].setAttribute(attribute,
+              recolour(colour, attributes[attribute]));
+        }
+      }
+    }
+    var selectedId = this.toolbox_ && this.toolbox_.getSelectedCategoryId();
+    this.updateToolbox(tree);
+    if (selectedId) {
+      this.toolbox_.setSelectedCategoryById(selectedId);
+    }
+  }
+};
+
+/**
+ * Get the colour theme this workspace was last given.
+ * @return {!Blockly.Theme} The theme.
+ */
+Blockly.WorkspaceSvg.prototype.getTheme = function() {
+  return this.options.theme || Blockly.Theme.LIGHT;
+};
+
 /**
  * Mark this workspace as the currently focused main workspace.
  */
@@ -2060,6 +2408,9 @@ Blockly.WorkspaceSvg.setTopLevelWorkspaceMetrics_ = function(xyRatio) {
   if (this.grid_) {
     this.grid_.moveTo(x, y);
   }
+  if (this.minimap_) {
+    this.minimap_.updateViewport();
+  }
 };
 
 /**
@@ -37,6 +37,64 @@ goog.require('goog.asserts');
 goog.require('goog.dom');
 
 
+/**
+ * An XML parser: creates XML nodes, and converts between them and text.
+ * @typedef {{createElement: function(string): !Element,
+ *     createTextNode: function(string): !Node,
+ *     textToDocument: function(string): !Node,
+ *     domToText: function(!Node): string}}
+ */
+Blockly.Xml.Parser;
+
+/**
+ * XML parser built on the browser's document, DOMParser and XMLSerializer.
+ * @type {!Blockly.Xml.Parser}
+ */
+Blockly.Xml.BROWSER_PARSER = {
+  createElement: function(tagName) {
+    return document.createElement(tagName);
+  },
+  createTextNode: function(text) {
+    return document.createTextNode(text);
+  },
+  textToDocument: function(text) {
+    return new DOMParser().parseFromString(text, 'text/xml');
+  },
+  domToText: function(dom) {
+    return new XMLSerializer().serializeToString(dom);
+  }
+};
+
+/**
+ * The XML parser in use.
+ * @type {!Blockly.Xml.Parser}
+ * @private
+ */
+Blockly.Xml.parser_ = Blockly.Xml.BROWSER_PARSER;
+
+/**
+ * Set the XML parser used to create, parse and serialize XML, e.g. to
+ * Blockly.XmlLite.PARSER where there is no browser DOM.
+ * @param {!Blockly.Xml.Parser} parser The parser.
+ */
+Blockly.Xml.setParser = function(parser) {
+  Blockly.Xml.parser_ = parser;
+};
+
+/**
+ * Create an XML element with the XML parser in use.
+ * @param {string} tagName Name of the element.
+ * @param {string=} opt_text Text to put in the element.
+ * @return {!Element} The new element.
+ */
+Blockly.Xml.createElement = function(tagName, opt_text) {
+  var element = Blockly.Xml.parser_.createElement(tagName);
+  if (opt_text !== undefined) {
+    element.appendChild(Blockly.Xml.parser_.createTextNode(opt_text));
+  }
+  return element;
+};
+
 /**
  * Encode a block tree as XML.
  * @param {!Blockly.Workspace} workspace The workspace containing blocks.
@@ -44,7 +102,7 @@ goog.require('goog.dom');
  * @return {!Element} XML document.
  */
 Blockly.Xml.workspaceToDom = function(workspace, opt_noId) {
-  var xml = goog.dom.createDom('xml');
+  var xml = Blockly.Xml.createElement('xml');
   xml.appendChild(Blockly.Xml.variablesToDom(workspace.getAllVariables()));
   var comments = workspace.getTopComments(true).filter(function(topComment) {
     return topComment instanceof Blockly.WorkspaceComment;
@@ -66,9 +124,9 @@ Blockly.Xml.workspaceToDom = function(workspace, opt_noId) {
  * @return {!Element} List of XML elements.
  */
 Blockly.Xml.variablesToDom = function(variableList) {
-  var variables = goog.dom.createDom('variables');
+  var variables = Blockly.Xml.createElement('variables');
   for (var i = 0, variable; variable = variableList[i]; i++) {
-    var element = goog.dom.createDom('variable', null, variable.name);
+    var element = Blockly.Xml.createElement('variable', variable.name);
     element.setAttribute('type', variable.type);
     element.setAttribute('id', variable.getId());
     element.setAttribute('islocal', variable.isLocal);
@@ -124,7 +182,7 @@ Blockly.Xml.fieldToDomVariable_ = function(field) {
   if (!variable) {
     throw Error('Tried to serialize a variable field with no variable.');
   }
-  var container = goog.dom.createDom('field', null, variable.name);
+  var container = Blockly.Xml.createElement('field', variable.name);
   container.setAttribute('name', field.name);
   container.setAttribute('id', variable.getId());
   container.setAttribute('variabletype', variable.type);
@@ -144,7 +202,7 @@ Blockly.Xml.fieldToDom_ = function(field) {
     if (field.referencesVariables()) {
       return Blockly.Xml.fieldToDomVariable_(field);
     } else {
-      var container = goog.dom.createDom('field', null, field.getValue());
+      var container = Blockly.Xml.createElement('field', field.getValue());
       container.setAttribute('name', field.name);
       return container;
     }
@@ -178,7 +236,8 @@ Blockly.Xml.allFieldsToDom_ = function(block, element) {
  * @return {!Element} Tree of XML elements.
  */
 Blockly.Xml.blockToDom = function(block, opt_noId) {
-  var element = goog.dom.createDom(block.isShadow() ? 'shadow' : 'block');
+  var element = Blockly.Xml.createElement(
+      block.isShadow() ? 'shadow' : 'block');
   element.setAttribute('type', block.type);
   if (!opt_noId) {
     element.setAttribute('id', block.id);
@@ -196,7 +255,7 @@ Blockly.Xml.blockToDom = function(block, opt_noId) {
   Blockly.Xml.scratchCommentToDom_(block, element);
 
   if (block.data) {
-    var dataElement = goog.dom.createDom('data', null, block.data);
+    var dataElement = Blockly.Xml.createElement('data', block.data);
     element.appendChild(dataElement);
   }
 
@@ -208,9 +267,9 @@ Blockly.Xml.blockToDom = function(block, opt_noId) {
     } else {
       var childBlock = input.connection.targetBlock();
       if (input.type == Blockly.INPUT_VALUE) {
-        container = goog.dom.createDom('value');
+        container = Blockly.Xml.createElement('value');
       } else if (input.type == Blockly.NEXT_STATEMENT) {
-        container = goog.dom.createDom('statement');
+        container = Blockly.Xml.createElement('statement');
       }
       var shadow = input.connection.getShadowDom();
       if (shadow && (!childBlock || !childBlock.isShadow())) {
@@ -253,8 +312,8 @@ Blockly.Xml.blockToDom = function(block, opt_noId) {
 
   var nextBlock = block.getNextBlock();
   if (nextBlock) {
-    var container = goog.dom.createDom('next', null,
-        Blockly.Xml.blockToDom(nextBlock, opt_noId));
+    var container = Blockly.Xml.createElement('next');
+    container.appendChild(Blockly.Xml.blockToDom(nextBlock, opt_noId));
     element.appendChild(container);
   }
   var shadow = block.nextConnection && block.nextConnection.getShadowDom();
@@ -276,7 +335,7 @@ Blockly.Xml.blockToDom = function(block, opt_noId) {
 Blockly.Xml.scratchCommentToDom_ = function(block, element) {
   var commentText = block.getCommentText();
   if (commentText) {
-    var commentElement = goog.dom.createDom('comment', null, commentText);
+    var commentElement = Blockly.Xml.createElement('comment', commentText);
     if (typeof block.comment == 'object') {
       commentElement.setAttribute('id', block.comment.id);
       commentElement.setAttribute('pinned', block.comment.isVisible());
@@ -344,8 +403,7 @@ Blockly.Xml.cloneShadow_ = function(shadow) {
  * @return {string} Text representation.
  */
 Blockly.Xml.domToText = function(dom) {
-  var oSerializer = new XMLSerializer();
-  return oSerializer.serializeToString(dom);
+  return Blockly.Xml.parser_.domToText(dom);
 };
 
 /**
@@ -386,8 +444,7 @@ Blockly.Xml.domToPrettyText = function(dom) {
  * @return {!Element} A tree of XML elements.
  */
 Blockly.Xml.textToDom = function(text) {
-  var oParser = new DOMParser();
-  var dom = oParser.parseFromString(text, 'text/xml');
+  var dom = Blockly.Xml.parser_.textToDocument(text);
   // The DOM should have one and only one top-level node, an XML tag.
   if (!dom || !dom.firstChild ||
       dom.firstChild.nodeName.toLowerCase() != 'xml' ||
@@ -406,12 +463,17 @@ Blockly.Xml.textToDom = function(text) {
  * @return {Array.<string>} An array containing new block ids.
  */
 Blockly.Xml.clearWorkspaceAndLoadFromXml = function(xml, workspace) {
-  workspace.setResizesEnabled(false);
-  workspace.setToolboxRefreshEnabled(false);
+  // Headless workspaces have no resizing or toolbox to suspend.
+  if (workspace.rendered) {
+    workspace.setResizesEnabled(false);
+    workspace.setToolboxRefreshEnabled(false);
+  }
   workspace.clear();
   var blockIds = Blockly.Xml.domToWorkspace(xml, workspace);
-  workspace.setResizesEnabled(true);
-  workspace.setToolboxRefreshEnabled(true);
+  if (workspace.rendered) {
+    workspace.setResizesEnabled(true);
+    workspace.setToolboxRefreshEnabled(true);
+  }
   return blockIds;
 };
 
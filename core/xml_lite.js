@@ -0,0 +1,592 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview A small XML DOM, parser and serializer written in plain
+ * JavaScript, for environments without DOMParser and XMLSerializer such as
+ * Node.js.  It implements the part of the DOM that Blockly's XML and JSON
+ * code uses, and serializes the same way browsers do.  Comments, processing
+ * instructions and doctypes are skipped when parsing.
+ */
+'use strict';
+
+/**
+ * @name Blockly.XmlLite
+ * @namespace
+ **/
+goog.provide('Blockly.XmlLite');
+
+goog.require('goog.array');
+
+
+/**
+ * Namespace of the elements that browsers create for Blockly's XML.
+ * @const
+ */
+Blockly.XmlLite.XHTML_NS = 'http://www.w3.org/1999/xhtml';
+
+/**
+ * Class for a node in a lite XML tree.
+ * @param {number} nodeType 1 for elements, 3 for text, 9 for documents.
+ * @param {string} nodeName Name of the node.
+ * @constructor
+ */
+Blockly.XmlLite.Node = function(nodeType, nodeName) {
+  /** @type {number} */
+  this.nodeType = nodeType;
+
+  /** @type {string} */
+  this.nodeName = nodeName;
+
+  /** @type {Blockly.XmlLite.Node} */
+  this.parentNode = null;
+
+  /** @type {!Array.<!Blockly.XmlLite.Node>} */
+  this.childNodes = [];
+};
+
+Object.defineProperties(Blockly.XmlLite.Node.prototype, {
+  firstChild: {
+    get: function() {
+      return this.childNodes[0] || null;
+    }
+  },
+  lastChild: {
+    get: function() {
+      return this.childNodes[this.childNodes.length - 1] || null;
+    }
+  },
+  nextSibling: {
+    get: function() {
+      return this.sibling_(1);
+    }
+  },
+  previousSibling: {
+    get: function() {
+      return this.sibling_(-1);
+    }
+  },
+  textContent: {
+    get: function() {
+      var text = '';
+      for (var i = 0, child; child = this.childNodes[i]; i++) {
+        text += child.textContent;
+      }
+      return text;
+    },
+    set: function(text) {
+      while (this.childNodes.length) {
+        this.removeChild(this.childNodes[0]);
+      }
+      if (text) {
+        this.appendChild(new Blockly.XmlLite.Text(String(text)));
+      }
+    }
+  }
+});
+
+/**
+ * Find the node next to this one.
+ * @param {number} offset 1 for the next sibling, -1 for the previous one.
+ * @return {Blockly.XmlLite.Node} The sibling, or null.
+ * @private
+ */
+Blockly.XmlLite.Node.prototype.sibling_ = function(offset) {
+  if (!this.parentNode) {
+    return null;
+  }
+  var siblings = this.parentNode.childNodes;
+  return siblings[siblings.indexOf(this) + offset] || null;
+};
+
+/**
+ * @return {boolean} True if this node has children.
+ */
+Blockly.XmlLite.Node.prototype.hasChildNodes = function() {
+  return this.childNodes.length > 0;
+};
+
+/**
+ * Add a child at the end of this node's children.
+ * @param {!Blockly.XmlLite.Node} child The node to add.
+ * @return {!Blockly.XmlLite.Node} The added node.
+ */
+Blockly.XmlLite.Node.prototype.appendChild = function(child) {
+  return this.insertBefore(child, null);
+};
+
+/**
+ * Add a child before one of this node's children.  A node that is already in
+ * a tree is moved.
+ * @param {!Blockly.XmlLite.Node} child The node to add.
+ * @param {Blockly.XmlLite.Node} refChild The child to insert before, or null
+ *     to add at the end.
+ * @return {!Blockly.XmlLite.Node} The added node.
+ */
+Blockly.XmlLite.Node.prototype.insertBefore = function(child, refChild) {
+  if (child.parentNode) {
+    child.parentNode.removeChild(child);
+  }
+  var index = refChild ? this.childNodes.indexOf(refChild) :
+      this.childNodes.length;
+  if (index == -1) {
+    throw Error('Reference node is not a child of this node.');
+  }
+  this.childNodes.splice(index, 0, child);
+  child.parentNode = this;
+  return child;
+};
+
+/**
+ * Remove one of this node's children.
+ * @param {!Blockly.XmlLite.Node} child The node to remove.
+ * @return {!Blockly.XmlLite.Node} The removed node.
+ */
+Blockly.XmlLite.Node.prototype.removeChild = function(child) {
+  if (!goog.array.remove(this.childNodes, child)) {
+    throw Error('Node is not a child of this node.');
+  }
+  child.parentNode = null;
+  return child;
+};
+
+/**
+ * Copy this node.
+ * @param {boolean=} opt_deep True to copy the node's descendants too.
+ * @return {!Blockly.XmlLite.Node} The copy, outside of any tree.
+ */
+Blockly.XmlLite.Node.prototype.cloneNode = function(opt_deep) {
+  var copy = this.shallowClone_();
+  if (opt_deep) {
+    for (var i = 0, child; child = this.childNodes[i]; i++) {
+      copy.appendChild(child.cloneNode(true));
+    }
+  }
+  return copy;
+};
+
+/**
+ * Copy this node without its children.
+ * @return {!Blockly.XmlLite.Node} The copy.
+ * @protected
+ */
+Blockly.XmlLite.Node.prototype.shallowClone_ = function() {
+  return new Blockly.XmlLite.Node(this.nodeType, this.nodeName);
+};
+
+/**
+ * Class for an XML element.
+ * @param {string} tagName Name of the element.
+ * @param {?string} namespaceURI Namespace of the element.
+ * @extends {Blockly.XmlLite.Node}
+ * @constructor
+ */
+Blockly.XmlLite.Element = function(tagName, namespaceURI) {
+  Blockly.XmlLite.Element.superClass_.constructor.call(this, 1, tagName);
+
+  /** @type {string} */
+  this.tagName = tagName;
+
+  /** @type {?string} */
+  this.namespaceURI = namespaceURI;
+
+  /**
+   * Attributes in the order they were first set.
+   * @type {!Array.<{name: string, value: string}>}
+   */
+  this.attributes = [];
+
+  /**
+   * Whether attribute names are lower-cased, as browsers do for elements
+   * made with document.createElement.
+   * @type {boolean}
+   * @private
+   */
+  this.lowerCaseAttributes_ = false;
+};
+goog.inherits(Blockly.XmlLite.Element, Blockly.XmlLite.Node);
+
+Object.defineProperty(Blockly.XmlLite.Element.prototype, 'children', {
+  get: function() {
+    return this.childNodes.filter(function(child) {
+      return child.nodeType == 1;
+    });
+  }
+});
+
+/**
+ * Find an attribute by name.
+ * @param {string} name Name of the attribute.
+ * @return {?{name: string, value: string}} The attribute, or null.
+ * @private
+ */
+Blockly.XmlLite.Element.prototype.findAttribute_ = function(name) {
+  name = this.attributeName_(name);
+  for (var i = 0, attr; attr = this.attributes[i]; i++) {
+    if (attr.name == name) {
+      return attr;
+    }
+  }
+  return null;
+};
+
+/**
+ * @param {string} name Name of an attribute.
+ * @return {string} The name under which the attribute is stored.
+ * @private
+ */
+Blockly.XmlLite.Element.prototype.attributeName_ = function(name) {
+  return this.lowerCaseAttributes_ ? name.toLowerCase() : name;
+};
+
+/**
+ * @param {string} name Name of the attribute.
+ * @return {?string} Value of the attribute, or null if it is not set.
+ */
+Blockly.XmlLite.Element.prototype.getAttribute = function(name) {
+  var attr = this.findAttribute_(name);
+  return attr ? attr.value : null;
+};
+
+/**
+ * @param {string} name Name of the attribute.
+ * @param {*} value Value of the attribute, converted to a string.
+ */
+Blockly.XmlLite.Element.prototype.setAttribute = function(name, value) {
+  var attr = this.findAttribute_(name);
+  if (attr) {
+    attr.value = String(value);
+  } else {
+    this.attributes.push({name: this.attributeName_(name),
+      value: String(value)});
+  }
+};
+
+/**
+ * @param {string} name Name of the attribute.
+ * @return {boolean} True if the attribute is set.
+ */
+Blockly.XmlLite.Element.prototype.hasAttribute = function(name) {
+  return !!this.findAttribute_(name);
+};
+
+/**
+ * @return {boolean} True if any attribute is set.
+ */
+Blockly.XmlLite.Element.prototype.hasAttributes = function() {
+  return this.attributes.length > 0;
+};
+
+/**
+ * @param {string} name Name of the attribute.
+ */
+Blockly.XmlLite.Element.prototype.removeAttribute = function(name) {
+  goog.array.remove(this.attributes, this.findAttribute_(name));
+};
+
+/**
+ * Find the descendants of this element with a given tag name.
+ * @param {string} tagName Name to look for, or '*' for all elements.
+ * @return {!Array.<!Blockly.XmlLite.Element>} Matching elements in document
+ *     order.
+ */
+Blockly.XmlLite.Element.prototype.getElementsByTagName = function(tagName) {
+  var found = [];
+  var walk = function(node) {
+    for (var i = 0, child; child = node.childNodes[i]; i++) {
+      if (child.nodeType == 1) {
+        if (tagName == '*' || child.nodeName == tagName) {
+          found.push(child);
+        }
+        walk(child);
+      }
+    }
+  };
+  walk(this);
+  return found;
+};
+
+/**
+ * @return {!Blockly.XmlLite.Element} A copy of this element, with its
+ *     attributes but without its children.
+ * @protected
+ * @override
+ */
+Blockly.XmlLite.Element.prototype.shallowClone_ = function() {
+  var copy = new Blockly.XmlLite.Element(this.tagName, this.namespaceURI);
+  copy.lowerCaseAttributes_ = this.lowerCaseAttributes_;
+  for (var i = 0, attr; attr = this.attributes[i]; i++) {
+    copy.setAttribute(attr.name, attr.value);
+  }
+  return copy;
+};
+
+/**
+ * Class for a text node.
+ * @param {*} data Text of the node.  Other values, such as numbers, are
+ *     converted to strings, as in a browser DOM.
+ * @extends {Blockly.XmlLite.Node}
+ * @constructor
+ */
+Blockly.XmlLite.Text = function(data) {
+  Blockly.XmlLite.Text.superClass_.constructor.call(this, 3, '#text');
+
+  /** @type {string} */
+  this.data = String(data);
+};
+goog.inherits(Blockly.XmlLite.Text, Blockly.XmlLite.Node);
+
+Object.defineProperty(Blockly.XmlLite.Text.prototype, 'textContent', {
+  get: function() {
+    return this.data;
+  },
+  set: function(text) {
+    this.data = String(text);
+  }
+});
+
+Object.defineProperty(Blockly.XmlLite.Text.prototype, 'nodeValue', {
+  get: function() {
+    return this.data;
+  }
+});
+
+/**
+ * @return {!Blockly.XmlLite.Text} A copy of this text node.
+ * @protected
+ * @override
+ */
+Blockly.XmlLite.Text.prototype.shallowClone_ = function() {
+  return new Blockly.XmlLite.Text(this.data);
+};
+
+/**
+ * Parse XML text.
+ * @param {string} text XML text.
+ * @return {!Blockly.XmlLite.Node} A document node holding the root element.
+ * @throws {Error} If the text is not well formed XML.
+ */
+Blockly.XmlLite.textToDocument = function(text) {
+  var doc = new Blockly.XmlLite.Node(9, '#document');
+  var parent = doc;
+  var re = new RegExp([
+    '<!--[\\s\\S]*?-->',
+    '<\\?[\\s\\S]*?\\?>',
+    '<!DOCTYPE[^>]*>',
+    '<!\\[CDATA\\[([\\s\\S]*?)\\]\\]>',
+    '</([^\\s>]+)\\s*>',
+    '<([^\\s/>!?]+)((?:\\s+[^\\s=/>]+\\s*=\\s*(?:"[^"<]*"|\'[^\'<]*\'))*)' +
+        '\\s*(/?)>',
+    '([^<]+)'].join('|'), 'g');
+  var position = 0;
+  var match;
+  while (position < text.length) {
+    re.lastIndex = position;
+    match = re.exec(text);
+    if (!match || match.index != position) {
+      throw Error('Malformed XML at character ' + position + '.');
+    }
+    position = re.lastIndex;
+    if (match[1] != undefined || match[6] != undefined) {
+      var data = match[1] != undefined ? match[1] :
+          Blockly.XmlLite.decode_(match[6]);
+      if (parent != doc) {
+        parent.appendChild(new Blockly.XmlLite.Text(data));
+      } else if (data.trim()) {
+        throw Error('Text outside of the root element.');
+      }
+    } else if (match[2]) {
+      if (parent == doc || parent.nodeName != match[2]) {
+        throw Error('Unexpected closing tag </' + match[2] + '>.');
+      }
+      parent = parent.parentNode;
+    } else if (match[3]) {
+      if (parent == doc && doc.firstChild) {
+        throw Error('More than one root element.');
+      }
+      var element = Blockly.XmlLite.parseElement_(match[3], match[4],
+          parent.namespaceURI || null);
+      parent.appendChild(element);
+      if (!match[5]) {
+        parent = element;
+      }
+    }
+  }
+  if (parent != doc) {
+    throw Error('Unclosed tag <' + parent.nodeName + '>.');
+  }
+  if (!doc.firstChild) {
+    throw Error('No root element.');
+  }
+  return doc;
+};
+
+/**
+ * Create an element from its parsed start tag.
+ * @param {string} tagName Name of the element.
+ * @param {string} attributeText Attributes from the start tag.
+ * @param {?string} namespaceURI Namespace in scope.
+ * @return {!Blockly.XmlLite.Element} The element.
+ * @private
+ */
+Blockly.XmlLite.parseElement_ = function(tagName, attributeText,
+    namespaceURI) {
+  var attributes = [];
+  var re = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  var match;
+  while ((match = re.exec(attributeText))) {
+    var value = match[2] != undefined ? match[2] : match[3];
+    // Literal whitespace in attribute values is normalized to spaces.
+    value = Blockly.XmlLite.decode_(value.replace(/[\t\n\r]/g, ' '));
+    if (match[1] == 'xmlns') {
+      namespaceURI = value || null;
+    }
+    attributes.push({name: match[1], value: value});
+  }
+  var element = new Blockly.XmlLite.Element(tagName, namespaceURI);
+  element.attributes = attributes;
+  return element;
+};
+
+/**
+ * Replace entity and character references with the characters they stand
+ * for.
+ * @param {string} text Text with references.
+ * @return {string} Decoded text.
+ * @throws {Error} If a reference is not known.
+ * @private
+ */
+Blockly.XmlLite.decode_ = function(text) {
+  return text.replace(/&([^;&]*);?/g, function(reference, name) {
+    if (Blockly.XmlLite.ENTITIES_.hasOwnProperty(name)) {
+      return Blockly.XmlLite.ENTITIES_[name];
+    }
+    var code = /^#x[0-9a-f]+$/i.test(name) ? parseInt(name.substring(2), 16) :
+        /^#[0-9]+$/.test(name) ? parseInt(name.substring(1), 10) : NaN;
+    if (reference.slice(-1) != ';' || !(code <= 0x10FFFF)) {
+      throw Error('Unknown reference ' + reference + '.');
+    }
+    if (code > 0xFFFF) {
+      // Encode as a surrogate pair.
+      code -= 0x10000;
+      return String.fromCharCode(0xD800 + (code >> 10),
+          0xDC00 + (code & 0x3FF));
+    }
+    return String.fromCharCode(code);
+  });
+};
+
+/**
+ * The predefined XML entities.
+ * @const {!Object.<string, string>}
+ * @private
+ */
+Blockly.XmlLite.ENTITIES_ = {
+  'lt': '<',
+  'gt': '>',
+  'amp': '&',
+  'quot': '"',
+  'apos': '\''
+};
+
+/**
+ * Serialize a node to XML text.  Elements get an xmlns attribute where their
+ * namespace differs from their parent's, as browsers' XMLSerializer does.
+ * @param {!Blockly.XmlLite.Node} node The node.
+ * @return {string} XML text.
+ */
+Blockly.XmlLite.domToText = function(node) {
+  var out = [];
+  Blockly.XmlLite.serialize_(node, null, out);
+  return out.join('');
+};
+
+/**
+ * Serialize a node, appending its text to a list of strings.
+ * @param {!Blockly.XmlLite.Node} node The node.
+ * @param {?string} parentNamespace Namespace of the parent element.
+ * @param {!Array.<string>} out Strings to append to.
+ * @private
+ */
+Blockly.XmlLite.serialize_ = function(node, parentNamespace, out) {
+  if (node.nodeType == 3) {
+    out.push(node.data.replace(/&/g, '&amp;').replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;'));
+    return;
+  }
+  var namespaceURI = parentNamespace;
+  if (node.nodeType == 1) {
+    namespaceURI = node.namespaceURI || null;
+    out.push('<', node.nodeName);
+    if (namespaceURI != parentNamespace && !node.hasAttribute('xmlns')) {
+      out.push(' xmlns="', Blockly.XmlLite.escapeAttribute_(namespaceURI || ''),
+          '"');
+    }
+    for (var i = 0, attr; attr = node.attributes[i]; i++) {
+      out.push(' ', attr.name, '="',
+          Blockly.XmlLite.escapeAttribute_(attr.value), '"');
+    }
+    if (!node.childNodes.length && namespaceURI != Blockly.XmlLite.XHTML_NS) {
+      out.push('/>');
+      return;
+    }
+    out.push('>');
+  }
+  for (var i = 0, child; child = node.childNodes[i]; i++) {
+    Blockly.XmlLite.serialize_(child, namespaceURI, out);
+  }
+  if (node.nodeType == 1) {
+    out.push('</', node.nodeName, '>');
+  }
+};
+
+/**
+ * Escape an attribute value.  Whitespace other than spaces is written as
+ * character references so that it survives parsing.
+ * @param {string} value The value.
+ * @return {string} Escaped value.
+ * @private
+ */
+Blockly.XmlLite.escapeAttribute_ = function(value) {
+  return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;')
+      .replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\t/g, '&#9;')
+      .replace(/\n/g, '&#10;').replace(/\r/g, '&#13;');
+};
+
+/**
+ * XML parser for Blockly.Xml.setParser that works without a browser.
+ * Created elements behave like those made by a browser's
+ * document.createElement: they are in the XHTML namespace and their attribute
+ * names are not case sensitive.
+ * @type {!Blockly.Xml.Parser}
+ */
+Blockly.XmlLite.PARSER = {
+  createElement: function(tagName) {
+    var element = new Blockly.XmlLite.Element(tagName,
+        Blockly.XmlLite.XHTML_NS);
+    element.lowerCaseAttributes_ = true;
+    return element;
+  },
+  createTextNode: function(text) {
+    return new Blockly.XmlLite.Text(text);
+  },
+  textToDocument: Blockly.XmlLite.textToDocument,
+  domToText: Blockly.XmlLite.domToText
+};
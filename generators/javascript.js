@@ -0,0 +1,479 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Helper functions for generating JavaScript for blocks.
+ *
+ * The generated code is the body of an async function.  Every script that
+ * starts with a hat block registers an async handler on the sprite runtime,
+ * and everything the blocks do to the stage goes through that runtime, e.g.:
+ *
+ *   var score = 0;
+ *
+ *   sprite.whenFlagClicked(async function() {
+ *     await sprite.moveSteps(10);
+ *     score = toNumber(score) + 1;
+ *   });
+ *
+ * The runtime is any object implementing the methods called by the block
+ * generators (moveSteps, say, broadcast, yield, ...).  It is passed in under
+ * the name Blockly.JavaScript.RUNTIME_NAME by whoever evaluates the code.
+ * Stacks without a hat block never run in Scratch and produce no code.
+ */
+'use strict';
+
+goog.provide('Blockly.JavaScript');
+
+goog.require('Blockly.Generator');
+
+
+/**
+ * JavaScript code generator.
+ * @type {!Blockly.Generator}
+ */
+Blockly.JavaScript = new Blockly.Generator('JavaScript');
+
+/**
+ * Name of the sprite runtime object the generated code calls into.
+ * @type {string}
+ */
+Blockly.JavaScript.RUNTIME_NAME = 'sprite';
+
+/**
+ * List of illegal variable names.
+ * This is not intended to be a security feature.  Blockly is 100% client-side,
+ * so bypassing this list is trivial.  This is intended to prevent users from
+ * accidentally clobbering a built-in object or function.
+ * @private
+ */
+Blockly.JavaScript.addReservedWords(
+    Blockly.JavaScript.RUNTIME_NAME + ',' +
+    // https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Lexical_grammar#Keywords
+    'break,case,catch,class,const,continue,debugger,default,delete,do,else,' +
+    'export,extends,finally,for,function,if,import,in,instanceof,new,return,' +
+    'super,switch,this,throw,try,typeof,var,void,while,with,yield,' +
+    'enum,implements,interface,let,package,private,protected,public,static,' +
+    'await,async,null,true,false,' +
+    // Magic variable.
+    'arguments,' +
+    // Everything in the current environment (835 items in Chrome, 104 in Node).
+    Object.getOwnPropertyNames(goog.global).join(','));
+
+/**
+ * Order of operation ENUMs.
+ * https://developer.mozilla.org/en/JavaScript/Reference/Operators/Operator_Precedence
+ */
+Blockly.JavaScript.ORDER_ATOMIC = 0;           // 0 "" ...
+Blockly.JavaScript.ORDER_NEW = 1.1;            // new
+Blockly.JavaScript.ORDER_MEMBER = 1.2;         // . []
+Blockly.JavaScript.ORDER_FUNCTION_CALL = 2;    // ()
+Blockly.JavaScript.ORDER_INCREMENT = 3;        // ++
+Blockly.JavaScript.ORDER_DECREMENT = 3;        // --
+Blockly.JavaScript.ORDER_BITWISE_NOT = 4.1;    // ~
+Blockly.JavaScript.ORDER_UNARY_PLUS = 4.2;     // +
+Blockly.JavaScript.ORDER_UNARY_NEGATION = 4.3; // -
+Blockly.JavaScript.ORDER_LOGICAL_NOT = 4.4;    // !
+Blockly.JavaScript.ORDER_TYPEOF = 4.5;         // typeof
+Blockly.JavaScript.ORDER_VOID = 4.6;           // void
+Blockly.JavaScript.ORDER_DELETE = 4.7;         // delete
+Blockly.JavaScript.ORDER_AWAIT = 4.8;          // await
+Blockly.JavaScript.ORDER_EXPONENTIATION = 5.0; // **
+Blockly.JavaScript.ORDER_MULTIPLICATION = 5.1; // *
+Blockly.JavaScript.ORDER_DIVISION = 5.2;       // /
+Blockly.JavaScript.ORDER_MODULUS = 5.3;        // %
+Blockly.JavaScript.ORDER_SUBTRACTION = 6.1;    // -
+Blockly.JavaScript.ORDER_ADDITION = 6.2;       // +
+Blockly.JavaScript.ORDER_BITWISE_SHIFT = 7;    // << >> >>>
+Blockly.JavaScript.ORDER_RELATIONAL = 8;       // < <= > >=
+Blockly.JavaScript.ORDER_IN = 8;               // in
+Blockly.JavaScript.ORDER_INSTANCEOF = 8;       // instanceof
+Blockly.JavaScript.ORDER_EQUALITY = 9;         // == != === !==
+Blockly.JavaScript.ORDER_BITWISE_AND = 10;     // &
+Blockly.JavaScript.ORDER_BITWISE_XOR = 11;     // ^
+Blockly.JavaScript.ORDER_BITWISE_OR = 12;      // |
+Blockly.JavaScript.ORDER_LOGICAL_AND = 13;     // &&
+Blockly.JavaScript.ORDER_LOGICAL_OR = 14;      // ||
+Blockly.JavaScript.ORDER_CONDITIONAL = 15;     // ?:
+Blockly.JavaScript.ORDER_ASSIGNMENT = 16;      // = += -= **= *= /= %= <<= >>= ...
+Blockly.JavaScript.ORDER_YIELD = 17;           // yield
+Blockly.JavaScript.ORDER_COMMA = 18;           // ,
+Blockly.JavaScript.ORDER_NONE = 99;            // (...)
+
+/**
+ * List of outer-inner pairings that do NOT require parentheses.
+ * @type {!Array.<!Array.<number>>}
+ */
+Blockly.JavaScript.ORDER_OVERRIDES = [
+  // (foo()).bar -> foo().bar
+  // (foo())[0] -> foo()[0]
+  [Blockly.JavaScript.ORDER_FUNCTION_CALL, Blockly.JavaScript.ORDER_MEMBER],
+  // (foo())() -> foo()()
+  [Blockly.JavaScript.ORDER_FUNCTION_CALL, Blockly.JavaScript.ORDER_FUNCTION_CALL],
+  // (foo.bar).baz -> foo.bar.baz
+  // (foo.bar)[0] -> foo.bar[0]
+  // (foo[0]).bar -> foo[0].bar
+  // (foo[0])[1] -> foo[0][1]
+  [Blockly.JavaScript.ORDER_MEMBER, Blockly.JavaScript.ORDER_MEMBER],
+  // (foo.bar)() -> foo.bar()
+  // (foo[0])() -> foo[0]()
+  [Blockly.JavaScript.ORDER_MEMBER, Blockly.JavaScript.ORDER_FUNCTION_CALL],
+  // !(!foo) -> !!foo
+  [Blockly.JavaScript.ORDER_LOGICAL_NOT, Blockly.JavaScript.ORDER_LOGICAL_NOT],
+  // a * (b * c) -> a * b * c
+  [Blockly.JavaScript.ORDER_MULTIPLICATION, Blockly.JavaScript.ORDER_MULTIPLICATION],
+  // a + (b + c) -> a + b + c
+  [Blockly.JavaScript.ORDER_ADDITION, Blockly.JavaScript.ORDER_ADDITION],
+  // a && (b && c) -> a && b && c
+  [Blockly.JavaScript.ORDER_LOGICAL_AND, Blockly.JavaScript.ORDER_LOGICAL_AND],
+  // a || (b || c) -> a || b || c
+  [Blockly.JavaScript.ORDER_LOGICAL_OR, Blockly.JavaScript.ORDER_LOGICAL_OR]
+];
+
+/**
+ * Initialise the database of variable names.
+ * @param {!Blockly.Workspace} workspace Workspace to generate code from.
+ */
+Blockly.JavaScript.init = function(workspace) {
+  // Create a dictionary of definitions to be printed before the code.
+  Blockly.JavaScript.definitions_ = Object.create(null);
+  // Create a dictionary mapping desired function names in definitions_
+  // to actual function names (to avoid collisions with user functions).
+  Blockly.JavaScript.functionNames_ = Object.create(null);
+
+  if (!Blockly.JavaScript.variableDB_) {
+    Blockly.JavaScript.variableDB_ =
+        new Blockly.Names(Blockly.JavaScript.RESERVED_WORDS_);
+  } else {
+    Blockly.JavaScript.variableDB_.reset();
+  }
+  Blockly.JavaScript.variableDB_.setVariableMap(workspace.getVariableMap());
+
+  // Scratch variables and lists keep their value between scripts, so they are
+  // declared once at the top of the generated code.
+  var defvars = [];
+  var variables = workspace.getVariablesOfType(Blockly.SCALAR_VARIABLE_TYPE);
+  for (var i = 0; i < variables.length; i++) {
+    defvars.push('var ' +
+        Blockly.JavaScript.variableName_(variables[i].getId(), workspace) +
+        ' = 0;');
+  }
+  var lists = workspace.getVariablesOfType(Blockly.LIST_VARIABLE_TYPE);
+  for (var i = 0; i < lists.length; i++) {
+    defvars.push('var ' +
+        Blockly.JavaScript.variableName_(lists[i].getId(), workspace) +
+        ' = [];');
+  }
+  if (defvars.length) {
+    Blockly.JavaScript.definitions_['variables'] = defvars.join('\n');
+  }
+};
+
+/**
+ * Prepend the generated code with the variable and function definitions.
+ * @param {string} code Generated code.
+ * @return {string} Completed code.
+ */
+Blockly.JavaScript.finish = function(code) {
+  // Convert the definitions dictionary into a list.
+  var definitions = [];
+  for (var name in Blockly.JavaScript.definitions_) {
+    definitions.push(Blockly.JavaScript.definitions_[name]);
+  }
+  // Clean up temporary data.
+  delete Blockly.JavaScript.definitions_;
+  delete Blockly.JavaScript.functionNames_;
+  Blockly.JavaScript.variableDB_.reset();
+  return definitions.join('\n\n') + '\n\n\n' + code;
+};
+
+/**
+ * Naked values are top-level blocks with outputs that aren't plugged into
+ * anything.  Scratch never evaluates them, so they produce no code.
+ * @param {string} _line Line of generated code.
+ * @return {string} Legal line of code.
+ */
+Blockly.JavaScript.scrubNakedValue = function(_line) {
+  return '';
+};
+
+/**
+ * Encode a string as a properly escaped JavaScript string, complete with
+ * quotes.
+ * @param {string} string Text to encode.
+ * @return {string} JavaScript string.
+ * @private
+ */
+Blockly.JavaScript.quote_ = function(string) {
+  string = string.replace(/\\/g, '\\\\')
+      .replace(/\n/g, '\\n')
+      .replace(/'/g, '\\\'');
+  return '\'' + string + '\'';
+};
+
+/**
+ * Common tasks for generating JavaScript from blocks.
+ * Handles comments for the specified block and any connected value blocks.
+ * Calls any statements following this block, unless this block is a hat, in
+ * which case the hat generator has already consumed the rest of the script.
+ * @param {!Blockly.Block} block The current block.
+ * @param {string} code The JavaScript code created for this block.
+ * @return {string} JavaScript code with comments and subsequent blocks added.
+ * @private
+ */
+Blockly.JavaScript.scrub_ = function(block, code) {
+  if (!block.getParent() && block.previousConnection) {
+    // A loose stack, not started by any hat.
+    return '';
+  }
+  var commentCode = '';
+  // Only collect comments for blocks that aren't inline.
+  if (!block.outputConnection || !block.outputConnection.targetConnection) {
+    // Collect comment for this block.
+    var comment = block.getCommentText();
+    comment = Blockly.utils.wrap(comment, Blockly.JavaScript.COMMENT_WRAP - 3);
+    if (comment) {
+      commentCode += Blockly.JavaScript.prefixLines(comment, '// ') + '\n';
+    }
+    // Collect comments for all value arguments.
+    // Don't collect comments for nested statements.
+    for (var i = 0; i < block.inputList.length; i++) {
+      if (block.inputList[i].type == Blockly.INPUT_VALUE) {
+        var childBlock = block.inputList[i].connection.targetBlock();
+        if (childBlock && !childBlock.isShadow()) {
+          var childComment = Blockly.JavaScript.allNestedComments(childBlock);
+          if (childComment) {
+            commentCode += Blockly.JavaScript.prefixLines(childComment, '// ');
+          }
+        }
+      }
+    }
+  }
+  var nextCode = '';
+  if (!Blockly.JavaScript.isHat_(block)) {
+    nextCode = Blockly.JavaScript.blockToCode(block.getNextBlock());
+  }
+  return commentCode + code + nextCode;
+};
+
+/**
+ * Whether a block starts a script, i.e. it can have blocks below it but
+ * nothing above it.
+ * @param {!Blockly.Block} block The block to check.
+ * @return {boolean} True if the block is a hat.
+ * @private
+ */
+Blockly.JavaScript.isHat_ = function(block) {
+  return !block.previousConnection && !!block.nextConnection;
+};
+
+/**
+ * Generate the code of the script below a hat block.
+ * @param {!Blockly.Block} block The hat block.
+ * @return {string} JavaScript statements, indented for a function body.
+ * @private
+ */
+Blockly.JavaScript.scriptBody_ = function(block) {
+  var body = Blockly.JavaScript.blockToCode(block.getNextBlock());
+  if (body) {
+    body = Blockly.JavaScript.prefixLines(body, Blockly.JavaScript.INDENT);
+  }
+  return body;
+};
+
+/**
+ * Generate the registration of a hat block's script with the runtime.
+ * @param {!Blockly.Block} block The hat block.
+ * @param {string} method Name of the runtime method registering the handler.
+ * @param {!Array.<string>=} opt_args Code for the arguments passed before the
+ *     handler.
+ * @return {string} JavaScript statement.
+ * @private
+ */
+Blockly.JavaScript.hat_ = function(block, method, opt_args) {
+  var handler = 'async function() {\n' +
+      Blockly.JavaScript.scriptBody_(block) + '}';
+  var args = (opt_args || []).concat(handler);
+  return Blockly.JavaScript.RUNTIME_NAME + '.' + method + '(' +
+      args.join(', ') + ');\n';
+};
+
+/**
+ * Generate an awaited call to a runtime method.
+ * @param {string} method Name of the runtime method.
+ * @param {!Array.<string>=} opt_args Code for the arguments.
+ * @return {string} JavaScript expression, of order ORDER_AWAIT.
+ * @private
+ */
+Blockly.JavaScript.runtimeCall_ = function(method, opt_args) {
+  return 'await ' + Blockly.JavaScript.RUNTIME_NAME + '.' + method + '(' +
+      (opt_args || []).join(', ') + ')';
+};
+
+/**
+ * Generate the code for a field value, quoted as a string literal.
+ * Used by menus, whose values are passed to the runtime unchanged.
+ * @param {!Blockly.Block} block The block holding the field.
+ * @param {string} name The name of the field.
+ * @return {string} JavaScript string literal.
+ * @private
+ */
+Blockly.JavaScript.fieldString_ = function(block, name) {
+  return Blockly.JavaScript.quote_(String(block.getFieldValue(name)));
+};
+
+/**
+ * Get the JavaScript name of a variable or list.
+ * Lists and scalar variables live in separate namespaces in Scratch, so they
+ * are named with separate types in the name database.
+ * @param {string} id ID of the variable model.
+ * @param {!Blockly.Workspace} workspace The workspace owning the variable.
+ * @return {string} JavaScript variable name.
+ * @private
+ */
+Blockly.JavaScript.variableName_ = function(id, workspace) {
+  var variable = workspace.getVariableById(id);
+  if (variable && variable.type == Blockly.LIST_VARIABLE_TYPE) {
+    return Blockly.JavaScript.variableDB_.getName(variable.name,
+        Blockly.LIST_VARIABLE_TYPE);
+  }
+  return Blockly.JavaScript.variableDB_.getName(id,
+      Blockly.Variables.NAME_TYPE);
+};
+
+/**
+ * Get the JavaScript name of the variable referenced by a block's field.
+ * @param {!Blockly.Block} block The block holding the variable field.
+ * @param {string} name The name of the variable field.
+ * @return {string} JavaScript variable name.
+ * @private
+ */
+Blockly.JavaScript.fieldVariable_ = function(block, name) {
+  return Blockly.JavaScript.variableName_(block.getFieldValue(name),
+      block.workspace);
+};
+
+/**
+ * Whether a loop at this block should let other scripts and the screen
+ * refresh run between iterations.  Loops do not yield inside "run without
+ * screen refresh" custom blocks or inside "all at once".
+ * @param {!Blockly.Block} block The loop block.
+ * @return {boolean} True if the loop should yield.
+ * @private
+ */
+Blockly.JavaScript.shouldYield_ = function(block) {
+  for (var parent = block.getSurroundParent(); parent;
+    parent = parent.getSurroundParent()) {
+    if (parent.type == 'control_all_at_once') {
+      return false;
+    }
+  }
+  var root = block.getRootBlock();
+  if (root.type == 'procedures_definition') {
+    var prototype = root.getInputTargetBlock('custom_block');
+    if (prototype && prototype.warp_) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Generate the body of a loop, including the yield to the runtime at the end
+ * of each iteration.
+ * @param {!Blockly.Block} block The loop block.
+ * @param {string} name The name of the statement input holding the body.
+ * @return {string} JavaScript statements.
+ * @private
+ */
+Blockly.JavaScript.loopBody_ = function(block, name) {
+  var branch = Blockly.JavaScript.statementToCode(block, name);
+  if (Blockly.JavaScript.shouldYield_(block)) {
+    branch += Blockly.JavaScript.INDENT +
+        Blockly.JavaScript.runtimeCall_('yield') + ';\n';
+  }
+  return Blockly.JavaScript.addLoopTrap(branch, block.id);
+};
+
+/**
+ * Wrap a value in Scratch's number cast, unless it is a number literal.
+ * @param {string} code JavaScript expression.
+ * @return {string} JavaScript expression, of order ORDER_FUNCTION_CALL or
+ *     ORDER_ATOMIC.
+ * @private
+ */
+Blockly.JavaScript.toNumber_ = function(code) {
+  if (/^\d+(\.\d+)?$/.test(code)) {
+    return code;
+  }
+  if (code == '\'\'') {
+    // An empty number field counts as 0.
+    return '0';
+  }
+  var functionName = Blockly.JavaScript.provideFunction_(
+      'toNumber',
+      [
+        'function ' + Blockly.JavaScript.FUNCTION_NAME_PLACEHOLDER_ + '(value) {',
+        '  var n = Number(value);',
+        '  return isNaN(n) ? 0 : n;',
+        '}']);
+  return functionName + '(' + code + ')';
+};
+
+/**
+ * Provide the function comparing two values the way Scratch does: as numbers
+ * when both look like numbers, otherwise as case-insensitive text.
+ * @return {string} Name of a function returning a negative number, zero or a
+ *     positive number.
+ * @private
+ */
+Blockly.JavaScript.compareFunction_ = function() {
+  return Blockly.JavaScript.provideFunction_(
+      'compare',
+      [
+        'function ' + Blockly.JavaScript.FUNCTION_NAME_PLACEHOLDER_ + '(a, b) {',
+        '  var n1 = Number(a);',
+        '  var n2 = Number(b);',
+        '  if (isNaN(n1) || isNaN(n2) || String(a).trim() === \'\' ||',
+        '      String(b).trim() === \'\') {',
+        '    var s1 = String(a).toLowerCase();',
+        '    var s2 = String(b).toLowerCase();',
+        '    return s1 < s2 ? -1 : (s1 > s2 ? 1 : 0);',
+        '  }',
+        '  return n1 - n2;',
+        '}']);
+};
+
+/**
+ * Generate the code for the value of a number field.  Scratch number fields
+ * may hold text, which is kept as a string.
+ * @param {string} value The field value.
+ * @return {!Array} JavaScript code with order of operation.
+ * @private
+ */
+Blockly.JavaScript.numberLiteral_ = function(value) {
+  var n = Number(value);
+  if (String(value).trim() === '' || isNaN(n)) {
+    return [Blockly.JavaScript.quote_(String(value)),
+      Blockly.JavaScript.ORDER_ATOMIC];
+  }
+  var order = n < 0 ? Blockly.JavaScript.ORDER_UNARY_NEGATION :
+      Blockly.JavaScript.ORDER_ATOMIC;
+  return [String(n), order];
+};
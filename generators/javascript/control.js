@@ -0,0 +1,173 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating JavaScript for control blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.JavaScript.control');
+
+goog.require('Blockly.JavaScript');
+
+
+Blockly.JavaScript['control_forever'] = function(block) {
+  var branch = Blockly.JavaScript.loopBody_(block, 'SUBSTACK');
+  return 'while (true) {\n' + branch + '}\n';
+};
+
+Blockly.JavaScript['control_repeat'] = function(block) {
+  var times = Blockly.JavaScript.valueToCode(block, 'TIMES',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  var branch = Blockly.JavaScript.loopBody_(block, 'SUBSTACK');
+  var code = '';
+  var loopVar = Blockly.JavaScript.variableDB_.getDistinctName(
+      'count', Blockly.Names.DEVELOPER_VARIABLE_TYPE);
+  var endVar = times;
+  if (!/^\d+$/.test(times)) {
+    // The number of repeats is rounded and evaluated only once.
+    endVar = Blockly.JavaScript.variableDB_.getDistinctName(
+        'repeat_end', Blockly.Names.DEVELOPER_VARIABLE_TYPE);
+    code += 'var ' + endVar + ' = Math.round(' +
+        Blockly.JavaScript.toNumber_(times) + ');\n';
+  }
+  code += 'for (var ' + loopVar + ' = 0; ' + loopVar + ' < ' + endVar + '; ' +
+      loopVar + '++) {\n' + branch + '}\n';
+  return code;
+};
+
+Blockly.JavaScript['control_if'] = function(block) {
+  var condition = Blockly.JavaScript.valueToCode(block, 'CONDITION',
+      Blockly.JavaScript.ORDER_NONE) || 'false';
+  var branch = Blockly.JavaScript.statementToCode(block, 'SUBSTACK');
+  return 'if (' + condition + ') {\n' + branch + '}\n';
+};
+
+Blockly.JavaScript['control_if_else'] = function(block) {
+  var condition = Blockly.JavaScript.valueToCode(block, 'CONDITION',
+      Blockly.JavaScript.ORDER_NONE) || 'false';
+  var branch = Blockly.JavaScript.statementToCode(block, 'SUBSTACK');
+  var elseBranch = Blockly.JavaScript.statementToCode(block, 'SUBSTACK2');
+  return 'if (' + condition + ') {\n' + branch + '} else {\n' + elseBranch +
+      '}\n';
+};
+
+Blockly.JavaScript['control_stop'] = function(block) {
+  switch (block.getFieldValue('STOP_OPTION')) {
+    case 'all':
+      return Blockly.JavaScript.runtimeCall_('stopAll') + ';\nreturn;\n';
+    case 'other scripts in sprite':
+      return Blockly.JavaScript.runtimeCall_('stopOtherScripts') + ';\n';
+    default:
+      return 'return;\n';
+  }
+};
+
+Blockly.JavaScript['control_wait'] = function(block) {
+  var duration = Blockly.JavaScript.valueToCode(block, 'DURATION',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return Blockly.JavaScript.runtimeCall_('wait', [duration]) + ';\n';
+};
+
+Blockly.JavaScript['control_wait_until'] = function(block) {
+  var condition = Blockly.JavaScript.valueToCode(block, 'CONDITION',
+      Blockly.JavaScript.ORDER_LOGICAL_NOT) || 'false';
+  // Always yield, otherwise a warped wait would never see the condition change.
+  return 'while (!' + condition + ') {\n' + Blockly.JavaScript.INDENT +
+      Blockly.JavaScript.runtimeCall_('yield') + ';\n}\n';
+};
+
+Blockly.JavaScript['control_repeat_until'] = function(block) {
+  var condition = Blockly.JavaScript.valueToCode(block, 'CONDITION',
+      Blockly.JavaScript.ORDER_LOGICAL_NOT) || 'false';
+  var branch = Blockly.JavaScript.loopBody_(block, 'SUBSTACK');
+  return 'while (!' + condition + ') {\n' + branch + '}\n';
+};
+
+Blockly.JavaScript['control_while'] = function(block) {
+  var condition = Blockly.JavaScript.valueToCode(block, 'CONDITION',
+      Blockly.JavaScript.ORDER_NONE) || 'false';
+  var branch = Blockly.JavaScript.loopBody_(block, 'SUBSTACK');
+  return 'while (' + condition + ') {\n' + branch + '}\n';
+};
+
+Blockly.JavaScript['control_for_each'] = function(block) {
+  // Counts from 1 up to the value, which is re-evaluated on every iteration.
+  // Changing the variable inside the loop does not change the count.
+  var variable = Blockly.JavaScript.fieldVariable_(block, 'VARIABLE');
+  var value = Blockly.JavaScript.valueToCode(block, 'VALUE',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  var branch = Blockly.JavaScript.loopBody_(block, 'SUBSTACK');
+  var loopVar = Blockly.JavaScript.variableDB_.getDistinctName(
+      'index', Blockly.Names.DEVELOPER_VARIABLE_TYPE);
+  return 'for (var ' + loopVar + ' = 1; ' + loopVar + ' <= ' +
+      Blockly.JavaScript.toNumber_(value) + '; ' + loopVar + '++) {\n' +
+      Blockly.JavaScript.INDENT + variable + ' = ' + loopVar + ';\n' +
+      branch + '}\n';
+};
+
+Blockly.JavaScript['control_start_as_clone'] = function(block) {
+  return Blockly.JavaScript.hat_(block, 'whenIStartAsAClone');
+};
+
+Blockly.JavaScript['control_create_clone_of_menu'] = function(block) {
+  return [Blockly.JavaScript.fieldString_(block, 'CLONE_OPTION'),
+    Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['control_create_clone_of'] = function(block) {
+  var clone = Blockly.JavaScript.valueToCode(block, 'CLONE_OPTION',
+      Blockly.JavaScript.ORDER_NONE) || '\'_myself_\'';
+  return Blockly.JavaScript.runtimeCall_('createClone', [clone]) + ';\n';
+};
+
+Blockly.JavaScript['control_delete_this_clone'] = function(_block) {
+  return Blockly.JavaScript.runtimeCall_('deleteThisClone') + ';\nreturn;\n';
+};
+
+/**
+ * Get the name of the variable backing the counter blocks, declaring it on
+ * first use.
+ * @return {string} JavaScript variable name.
+ * @private
+ */
+Blockly.JavaScript.counter_ = function() {
+  var counter = Blockly.JavaScript.variableDB_.getName('counter',
+      Blockly.Names.DEVELOPER_VARIABLE_TYPE);
+  Blockly.JavaScript.definitions_['counter'] = 'var ' + counter + ' = 0;';
+  return counter;
+};
+
+Blockly.JavaScript['control_get_counter'] = function(_block) {
+  return [Blockly.JavaScript.counter_(), Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['control_incr_counter'] = function(_block) {
+  return Blockly.JavaScript.counter_() + '++;\n';
+};
+
+Blockly.JavaScript['control_clear_counter'] = function(_block) {
+  return Blockly.JavaScript.counter_() + ' = 0;\n';
+};
+
+Blockly.JavaScript['control_all_at_once'] = function(block) {
+  // The substack runs inline; loops inside it skip their yields.
+  return Blockly.JavaScript.blockToCode(block.getInputTargetBlock('SUBSTACK'));
+};
@@ -0,0 +1,249 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating JavaScript for variable and list blocks.
+ * Lists are JavaScript arrays.  List indexes are one-based and may also be
+ * 'last', 'random' or 'any'; out of range indexes are ignored.
+ */
+'use strict';
+
+goog.provide('Blockly.JavaScript.data');
+
+goog.require('Blockly.JavaScript');
+
+
+/**
+ * Provide the function converting a Scratch list index into a zero-based
+ * array index.
+ * @return {string} Name of a function taking the index and the number of valid
+ *     positions, and returning the array index or -1 if out of range.
+ * @private
+ */
+Blockly.JavaScript.listIndexFunction_ = function() {
+  return Blockly.JavaScript.provideFunction_(
+      'listIndex',
+      [
+        'function ' + Blockly.JavaScript.FUNCTION_NAME_PLACEHOLDER_ + '(index, length) {',
+        '  if (index === \'last\') {',
+        '    return length - 1;',
+        '  }',
+        '  if (index === \'random\' || index === \'any\') {',
+        '    return length ? Math.floor(Math.random() * length) : -1;',
+        '  }',
+        '  var n = Math.floor(Number(index));',
+        '  return n >= 1 && n <= length ? n - 1 : -1;',
+        '}']);
+};
+
+Blockly.JavaScript['data_variable'] = function(block) {
+  return [Blockly.JavaScript.fieldVariable_(block, 'VARIABLE'),
+    Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['data_setvariableto'] = function(block) {
+  var variable = Blockly.JavaScript.fieldVariable_(block, 'VARIABLE');
+  var value = Blockly.JavaScript.valueToCode(block, 'VALUE',
+      Blockly.JavaScript.ORDER_ASSIGNMENT) || '0';
+  return variable + ' = ' + value + ';\n';
+};
+
+Blockly.JavaScript['data_changevariableby'] = function(block) {
+  var variable = Blockly.JavaScript.fieldVariable_(block, 'VARIABLE');
+  var value = Blockly.JavaScript.valueToCode(block, 'VALUE',
+      Blockly.JavaScript.ORDER_ADDITION) || '0';
+  return variable + ' = ' + Blockly.JavaScript.toNumber_(variable) + ' + ' +
+      Blockly.JavaScript.toNumber_(value) + ';\n';
+};
+
+Blockly.JavaScript['data_showvariable'] = function(block) {
+  var name = Blockly.JavaScript.quote_(block.getField('VARIABLE').getText());
+  return Blockly.JavaScript.runtimeCall_('showVariable', [name]) + ';\n';
+};
+
+Blockly.JavaScript['data_hidevariable'] = function(block) {
+  var name = Blockly.JavaScript.quote_(block.getField('VARIABLE').getText());
+  return Blockly.JavaScript.runtimeCall_('hideVariable', [name]) + ';\n';
+};
+
+Blockly.JavaScript['data_listcontents'] = function(block) {
+  // Lists of single letters are joined without spaces.
+  var functionName = Blockly.JavaScript.provideFunction_(
+      'listContents',
+      [
+        'function ' + Blockly.JavaScript.FUNCTION_NAME_PLACEHOLDER_ + '(list) {',
+        '  var letters = list.every(function(item) {',
+        '    return String(item).length == 1;',
+        '  });',
+        '  return list.join(letters ? \'\' : \' \');',
+        '}']);
+  var list = Blockly.JavaScript.fieldVariable_(block, 'LIST');
+  return [functionName + '(' + list + ')',
+    Blockly.JavaScript.ORDER_FUNCTION_CALL];
+};
+
+Blockly.JavaScript['data_listindexall'] = function(block) {
+  return [Blockly.JavaScript.fieldString_(block, 'INDEX'),
+    Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['data_listindexrandom'] = function(block) {
+  return [Blockly.JavaScript.fieldString_(block, 'INDEX'),
+    Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['data_addtolist'] = function(block) {
+  var list = Blockly.JavaScript.fieldVariable_(block, 'LIST');
+  var item = Blockly.JavaScript.valueToCode(block, 'ITEM',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return list + '.push(' + item + ');\n';
+};
+
+Blockly.JavaScript['data_deleteoflist'] = function(block) {
+  var functionName = Blockly.JavaScript.provideFunction_(
+      'deleteOfList',
+      [
+        'function ' + Blockly.JavaScript.FUNCTION_NAME_PLACEHOLDER_ + '(list, index) {',
+        '  if (index === \'all\') {',
+        '    list.length = 0;',
+        '    return;',
+        '  }',
+        '  var i = ' + Blockly.JavaScript.listIndexFunction_() +
+            '(index, list.length);',
+        '  if (i != -1) {',
+        '    list.splice(i, 1);',
+        '  }',
+        '}']);
+  var list = Blockly.JavaScript.fieldVariable_(block, 'LIST');
+  var index = Blockly.JavaScript.valueToCode(block, 'INDEX',
+      Blockly.JavaScript.ORDER_NONE) || '1';
+  return functionName + '(' + list + ', ' + index + ');\n';
+};
+
+Blockly.JavaScript['data_deletealloflist'] = function(block) {
+  var list = Blockly.JavaScript.fieldVariable_(block, 'LIST');
+  return list + '.length = 0;\n';
+};
+
+Blockly.JavaScript['data_insertatlist'] = function(block) {
+  var functionName = Blockly.JavaScript.provideFunction_(
+      'insertAtList',
+      [
+        'function ' + Blockly.JavaScript.FUNCTION_NAME_PLACEHOLDER_ + '(list, index, item) {',
+        '  var i = ' + Blockly.JavaScript.listIndexFunction_() +
+            '(index, list.length + 1);',
+        '  if (i != -1) {',
+        '    list.splice(i, 0, item);',
+        '  }',
+        '}']);
+  var list = Blockly.JavaScript.fieldVariable_(block, 'LIST');
+  var index = Blockly.JavaScript.valueToCode(block, 'INDEX',
+      Blockly.JavaScript.ORDER_NONE) || '1';
+  var item = Blockly.JavaScript.valueToCode(block, 'ITEM',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return functionName + '(' + list + ', ' + index + ', ' + item + ');\n';
+};
+
+Blockly.JavaScript['data_replaceitemoflist'] = function(block) {
+  var functionName = Blockly.JavaScript.provideFunction_(
+      'replaceItemOfList',
+      [
+        'function ' + Blockly.JavaScript.FUNCTION_NAME_PLACEHOLDER_ + '(list, index, item) {',
+        '  var i = ' + Blockly.JavaScript.listIndexFunction_() +
+            '(index, list.length);',
+        '  if (i != -1) {',
+        '    list[i] = item;',
+        '  }',
+        '}']);
+  var list = Blockly.JavaScript.fieldVariable_(block, 'LIST');
+  var index = Blockly.JavaScript.valueToCode(block, 'INDEX',
+      Blockly.JavaScript.ORDER_NONE) || '1';
+  var item = Blockly.JavaScript.valueToCode(block, 'ITEM',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return functionName + '(' + list + ', ' + index + ', ' + item + ');\n';
+};
+
+Blockly.JavaScript['data_itemoflist'] = function(block) {
+  var functionName = Blockly.JavaScript.provideFunction_(
+      'itemOfList',
+      [
+        'function ' + Blockly.JavaScript.FUNCTION_NAME_PLACEHOLDER_ + '(list, index) {',
+        '  var i = ' + Blockly.JavaScript.listIndexFunction_() +
+            '(index, list.length);',
+        '  return i == -1 ? \'\' : list[i];',
+        '}']);
+  var list = Blockly.JavaScript.fieldVariable_(block, 'LIST');
+  var index = Blockly.JavaScript.valueToCode(block, 'INDEX',
+      Blockly.JavaScript.ORDER_NONE) || '1';
+  return [functionName + '(' + list + ', ' + index + ')',
+    Blockly.JavaScript.ORDER_FUNCTION_CALL];
+};
+
+/**
+ * Provide the function finding the one-based position of an item in a list.
+ * @return {string} Name of a function returning the position, or 0 if the
+ *     list does not contain the item.
+ * @private
+ */
+Blockly.JavaScript.itemNumFunction_ = function() {
+  return Blockly.JavaScript.provideFunction_(
+      'itemNumOfList',
+      [
+        'function ' + Blockly.JavaScript.FUNCTION_NAME_PLACEHOLDER_ + '(list, item) {',
+        '  for (var i = 0; i < list.length; i++) {',
+        '    if (' + Blockly.JavaScript.compareFunction_() +
+            '(list[i], item) == 0) {',
+        '      return i + 1;',
+        '    }',
+        '  }',
+        '  return 0;',
+        '}']);
+};
+
+Blockly.JavaScript['data_itemnumoflist'] = function(block) {
+  var list = Blockly.JavaScript.fieldVariable_(block, 'LIST');
+  var item = Blockly.JavaScript.valueToCode(block, 'ITEM',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return [Blockly.JavaScript.itemNumFunction_() + '(' + list + ', ' + item +
+      ')', Blockly.JavaScript.ORDER_FUNCTION_CALL];
+};
+
+Blockly.JavaScript['data_lengthoflist'] = function(block) {
+  var list = Blockly.JavaScript.fieldVariable_(block, 'LIST');
+  return [list + '.length', Blockly.JavaScript.ORDER_MEMBER];
+};
+
+Blockly.JavaScript['data_listcontainsitem'] = function(block) {
+  var list = Blockly.JavaScript.fieldVariable_(block, 'LIST');
+  var item = Blockly.JavaScript.valueToCode(block, 'ITEM',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return [Blockly.JavaScript.itemNumFunction_() + '(' + list + ', ' + item +
+      ') > 0', Blockly.JavaScript.ORDER_RELATIONAL];
+};
+
+Blockly.JavaScript['data_showlist'] = function(block) {
+  var name = Blockly.JavaScript.quote_(block.getField('LIST').getText());
+  return Blockly.JavaScript.runtimeCall_('showList', [name]) + ';\n';
+};
+
+Blockly.JavaScript['data_hidelist'] = function(block) {
+  var name = Blockly.JavaScript.quote_(block.getField('LIST').getText());
+  return Blockly.JavaScript.runtimeCall_('hideList', [name]) + ';\n';
+};
@@ -0,0 +1,97 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating JavaScript for event blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.JavaScript.event');
+
+goog.require('Blockly.JavaScript');
+
+
+Blockly.JavaScript['event_whentouchingobject'] = function(block) {
+  var object = Blockly.JavaScript.valueToCode(block, 'TOUCHINGOBJECTMENU',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return Blockly.JavaScript.hat_(block, 'whenTouchingObject', [object]);
+};
+
+Blockly.JavaScript['event_touchingobjectmenu'] = function(block) {
+  return [Blockly.JavaScript.fieldString_(block, 'TOUCHINGOBJECTMENU'),
+    Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['event_whenflagclicked'] = function(block) {
+  return Blockly.JavaScript.hat_(block, 'whenFlagClicked');
+};
+
+Blockly.JavaScript['event_whenthisspriteclicked'] = function(block) {
+  return Blockly.JavaScript.hat_(block, 'whenThisSpriteClicked');
+};
+
+Blockly.JavaScript['event_whenstageclicked'] = function(block) {
+  return Blockly.JavaScript.hat_(block, 'whenStageClicked');
+};
+
+Blockly.JavaScript['event_whenbroadcastreceived'] = function(block) {
+  // Broadcasts are matched by name, not by variable ID.
+  var message = Blockly.JavaScript.quote_(
+      block.getField('BROADCAST_OPTION').getText());
+  return Blockly.JavaScript.hat_(block, 'whenBroadcastReceived', [message]);
+};
+
+Blockly.JavaScript['event_whenbackdropswitchesto'] = function(block) {
+  var backdrop = Blockly.JavaScript.fieldString_(block, 'BACKDROP');
+  return Blockly.JavaScript.hat_(block, 'whenBackdropSwitchesTo', [backdrop]);
+};
+
+Blockly.JavaScript['event_whengreaterthan'] = function(block) {
+  var menu = Blockly.JavaScript.fieldString_(block, 'WHENGREATERTHANMENU');
+  // The threshold is re-evaluated every time the runtime checks the hat.
+  var value = Blockly.JavaScript.valueToCode(block, 'VALUE',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  var threshold = 'async function() { return ' + value + '; }';
+  return Blockly.JavaScript.hat_(block, 'whenGreaterThan', [menu, threshold]);
+};
+
+Blockly.JavaScript['event_broadcast_menu'] = function(block) {
+  var message = Blockly.JavaScript.quote_(
+      block.getField('BROADCAST_OPTION').getText());
+  return [message, Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['event_broadcast'] = function(block) {
+  var message = Blockly.JavaScript.valueToCode(block, 'BROADCAST_INPUT',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return Blockly.JavaScript.runtimeCall_('broadcast', [message]) + ';\n';
+};
+
+Blockly.JavaScript['event_broadcastandwait'] = function(block) {
+  var message = Blockly.JavaScript.valueToCode(block, 'BROADCAST_INPUT',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return Blockly.JavaScript.runtimeCall_('broadcastAndWait', [message]) +
+      ';\n';
+};
+
+Blockly.JavaScript['event_whenkeypressed'] = function(block) {
+  var key = Blockly.JavaScript.fieldString_(block, 'KEY_OPTION');
+  return Blockly.JavaScript.hat_(block, 'whenKeyPressed', [key]);
+};
@@ -0,0 +1,102 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating JavaScript for extension blocks.
+ * Extension blocks are not built into the runtime, so they are all handed to
+ * the runtime by opcode, together with their named inputs and fields.
+ */
+'use strict';
+
+goog.provide('Blockly.JavaScript.extensions');
+
+goog.require('Blockly.JavaScript');
+
+
+/**
+ * Generate an object literal holding the values of a block's inputs and
+ * named fields.
+ * @param {!Blockly.Block} block The extension block.
+ * @return {string} JavaScript object literal.
+ * @private
+ */
+Blockly.JavaScript.extensionArguments_ = function(block) {
+  var args = [];
+  for (var i = 0, input; input = block.inputList[i]; i++) {
+    if (input.type == Blockly.INPUT_VALUE) {
+      var value = Blockly.JavaScript.valueToCode(block, input.name,
+          Blockly.JavaScript.ORDER_COMMA) || '\'\'';
+      args.push(input.name + ': ' + value);
+    }
+    for (var j = 0, field; field = input.fieldRow[j]; j++) {
+      if (field.name && field.EDITABLE) {
+        args.push(field.name + ': ' +
+            Blockly.JavaScript.fieldString_(block, field.name));
+      }
+    }
+  }
+  return '{' + args.join(', ') + '}';
+};
+
+/**
+ * Generator for extension blocks.
+ * @param {!Blockly.Block} block The extension block.
+ * @return {string|!Array} JavaScript code, with order of operation for
+ *     reporters.
+ * @private
+ */
+Blockly.JavaScript.extension_ = function(block) {
+  var opcode = Blockly.JavaScript.quote_(block.type);
+  var args = Blockly.JavaScript.extensionArguments_(block);
+  if (Blockly.JavaScript.isHat_(block)) {
+    return Blockly.JavaScript.hat_(block, 'whenExtensionHat', [opcode, args]);
+  }
+  var code = Blockly.JavaScript.runtimeCall_('runExtension', [opcode, args]);
+  if (block.outputConnection) {
+    return [code, Blockly.JavaScript.ORDER_AWAIT];
+  }
+  return code + ';\n';
+};
+
+Blockly.JavaScript['extension_pen_down'] = Blockly.JavaScript.extension_;
+
+Blockly.JavaScript['extension_music_drum'] = Blockly.JavaScript.extension_;
+
+Blockly.JavaScript['extension_wedo_motor'] = Blockly.JavaScript.extension_;
+
+Blockly.JavaScript['extension_wedo_hat'] = Blockly.JavaScript.extension_;
+
+Blockly.JavaScript['extension_wedo_boolean'] = Blockly.JavaScript.extension_;
+
+Blockly.JavaScript['extension_wedo_tilt_reporter'] =
+    Blockly.JavaScript.extension_;
+
+Blockly.JavaScript['extension_wedo_tilt_menu'] = function(block) {
+  return [Blockly.JavaScript.fieldString_(block, 'TILT'),
+    Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['extension_music_reporter'] = Blockly.JavaScript.extension_;
+
+Blockly.JavaScript['extension_microbit_display'] =
+    Blockly.JavaScript.extension_;
+
+Blockly.JavaScript['extension_music_play_note'] =
+    Blockly.JavaScript.extension_;
@@ -0,0 +1,184 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating JavaScript for looks blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.JavaScript.looks');
+
+goog.require('Blockly.JavaScript');
+
+
+Blockly.JavaScript['looks_sayforsecs'] = function(block) {
+  var message = Blockly.JavaScript.valueToCode(block, 'MESSAGE',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  var secs = Blockly.JavaScript.valueToCode(block, 'SECS',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return Blockly.JavaScript.runtimeCall_('sayForSecs', [message, secs]) +
+      ';\n';
+};
+
+Blockly.JavaScript['looks_say'] = function(block) {
+  var message = Blockly.JavaScript.valueToCode(block, 'MESSAGE',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return Blockly.JavaScript.runtimeCall_('say', [message]) + ';\n';
+};
+
+Blockly.JavaScript['looks_thinkforsecs'] = function(block) {
+  var message = Blockly.JavaScript.valueToCode(block, 'MESSAGE',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  var secs = Blockly.JavaScript.valueToCode(block, 'SECS',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return Blockly.JavaScript.runtimeCall_('thinkForSecs', [message, secs]) +
+      ';\n';
+};
+
+Blockly.JavaScript['looks_think'] = function(block) {
+  var message = Blockly.JavaScript.valueToCode(block, 'MESSAGE',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return Blockly.JavaScript.runtimeCall_('think', [message]) + ';\n';
+};
+
+Blockly.JavaScript['looks_show'] = function(_block) {
+  return Blockly.JavaScript.runtimeCall_('show') + ';\n';
+};
+
+Blockly.JavaScript['looks_hide'] = function(_block) {
+  return Blockly.JavaScript.runtimeCall_('hide') + ';\n';
+};
+
+Blockly.JavaScript['looks_hideallsprites'] = function(_block) {
+  return Blockly.JavaScript.runtimeCall_('hideAllSprites') + ';\n';
+};
+
+Blockly.JavaScript['looks_changeeffectby'] = function(block) {
+  var effect = Blockly.JavaScript.fieldString_(block, 'EFFECT');
+  var change = Blockly.JavaScript.valueToCode(block, 'CHANGE',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return Blockly.JavaScript.runtimeCall_('changeEffectBy', [effect, change]) +
+      ';\n';
+};
+
+Blockly.JavaScript['looks_seteffectto'] = function(block) {
+  var effect = Blockly.JavaScript.fieldString_(block, 'EFFECT');
+  var value = Blockly.JavaScript.valueToCode(block, 'VALUE',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return Blockly.JavaScript.runtimeCall_('setEffectTo', [effect, value]) +
+      ';\n';
+};
+
+Blockly.JavaScript['looks_cleargraphiceffects'] = function(_block) {
+  return Blockly.JavaScript.runtimeCall_('clearGraphicEffects') + ';\n';
+};
+
+Blockly.JavaScript['looks_changesizeby'] = function(block) {
+  var change = Blockly.JavaScript.valueToCode(block, 'CHANGE',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return Blockly.JavaScript.runtimeCall_('changeSizeBy', [change]) + ';\n';
+};
+
+Blockly.JavaScript['looks_setsizeto'] = function(block) {
+  var size = Blockly.JavaScript.valueToCode(block, 'SIZE',
+      Blockly.JavaScript.ORDER_NONE) || '100';
+  return Blockly.JavaScript.runtimeCall_('setSizeTo', [size]) + ';\n';
+};
+
+Blockly.JavaScript['looks_size'] = function(_block) {
+  return [Blockly.JavaScript.runtimeCall_('getSize'),
+    Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['looks_changestretchby'] = function(block) {
+  var change = Blockly.JavaScript.valueToCode(block, 'CHANGE',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return Blockly.JavaScript.runtimeCall_('changeStretchBy', [change]) + ';\n';
+};
+
+Blockly.JavaScript['looks_setstretchto'] = function(block) {
+  var stretch = Blockly.JavaScript.valueToCode(block, 'STRETCH',
+      Blockly.JavaScript.ORDER_NONE) || '100';
+  return Blockly.JavaScript.runtimeCall_('setStretchTo', [stretch]) + ';\n';
+};
+
+Blockly.JavaScript['looks_costume'] = function(block) {
+  return [Blockly.JavaScript.fieldString_(block, 'COSTUME'),
+    Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['looks_switchcostumeto'] = function(block) {
+  var costume = Blockly.JavaScript.valueToCode(block, 'COSTUME',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return Blockly.JavaScript.runtimeCall_('switchCostumeTo', [costume]) + ';\n';
+};
+
+Blockly.JavaScript['looks_nextcostume'] = function(_block) {
+  return Blockly.JavaScript.runtimeCall_('nextCostume') + ';\n';
+};
+
+Blockly.JavaScript['looks_backdrops'] = function(block) {
+  return [Blockly.JavaScript.fieldString_(block, 'BACKDROP'),
+    Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['looks_switchbackdropto'] = function(block) {
+  var backdrop = Blockly.JavaScript.valueToCode(block, 'BACKDROP',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return Blockly.JavaScript.runtimeCall_('switchBackdropTo', [backdrop]) +
+      ';\n';
+};
+
+Blockly.JavaScript['looks_switchbackdroptoandwait'] = function(block) {
+  var backdrop = Blockly.JavaScript.valueToCode(block, 'BACKDROP',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return Blockly.JavaScript.runtimeCall_('switchBackdropToAndWait',
+      [backdrop]) + ';\n';
+};
+
+Blockly.JavaScript['looks_nextbackdrop'] = function(_block) {
+  return Blockly.JavaScript.runtimeCall_('nextBackdrop') + ';\n';
+};
+
+Blockly.JavaScript['looks_gotofrontback'] = function(block) {
+  var frontBack = Blockly.JavaScript.fieldString_(block, 'FRONT_BACK');
+  return Blockly.JavaScript.runtimeCall_('goToFrontBack', [frontBack]) +
+      ';\n';
+};
+
+Blockly.JavaScript['looks_goforwardbackwardlayers'] = function(block) {
+  var direction = Blockly.JavaScript.fieldString_(block, 'FORWARD_BACKWARD');
+  var num = Blockly.JavaScript.valueToCode(block, 'NUM',
+      Blockly.JavaScript.ORDER_NONE) || '1';
+  return Blockly.JavaScript.runtimeCall_('goForwardBackwardLayers',
+      [direction, num]) + ';\n';
+};
+
+Blockly.JavaScript['looks_backdropnumbername'] = function(block) {
+  var numberName = Blockly.JavaScript.fieldString_(block, 'NUMBER_NAME');
+  return [Blockly.JavaScript.runtimeCall_('getBackdropNumberName',
+      [numberName]), Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['looks_costumenumbername'] = function(block) {
+  var numberName = Blockly.JavaScript.fieldString_(block, 'NUMBER_NAME');
+  return [Blockly.JavaScript.runtimeCall_('getCostumeNumberName',
+      [numberName]), Blockly.JavaScript.ORDER_AWAIT];
+};
@@ -0,0 +1,183 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating JavaScript for motion blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.JavaScript.motion');
+
+goog.require('Blockly.JavaScript');
+
+
+Blockly.JavaScript['motion_movesteps'] = function(block) {
+  var steps = Blockly.JavaScript.valueToCode(block, 'STEPS',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return Blockly.JavaScript.runtimeCall_('moveSteps', [steps]) + ';\n';
+};
+
+Blockly.JavaScript['motion_turnright'] = function(block) {
+  var degrees = Blockly.JavaScript.valueToCode(block, 'DEGREES',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return Blockly.JavaScript.runtimeCall_('turnRight', [degrees]) + ';\n';
+};
+
+Blockly.JavaScript['motion_turnleft'] = function(block) {
+  var degrees = Blockly.JavaScript.valueToCode(block, 'DEGREES',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return Blockly.JavaScript.runtimeCall_('turnLeft', [degrees]) + ';\n';
+};
+
+Blockly.JavaScript['motion_pointindirection'] = function(block) {
+  var direction = Blockly.JavaScript.valueToCode(block, 'DIRECTION',
+      Blockly.JavaScript.ORDER_NONE) || '90';
+  return Blockly.JavaScript.runtimeCall_('pointInDirection', [direction]) +
+      ';\n';
+};
+
+Blockly.JavaScript['motion_pointtowards_menu'] = function(block) {
+  return [Blockly.JavaScript.fieldString_(block, 'TOWARDS'),
+    Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['motion_pointtowards'] = function(block) {
+  var towards = Blockly.JavaScript.valueToCode(block, 'TOWARDS',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return Blockly.JavaScript.runtimeCall_('pointTowards', [towards]) + ';\n';
+};
+
+Blockly.JavaScript['motion_goto_menu'] = function(block) {
+  return [Blockly.JavaScript.fieldString_(block, 'TO'),
+    Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['motion_gotoxy'] = function(block) {
+  var x = Blockly.JavaScript.valueToCode(block, 'X',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  var y = Blockly.JavaScript.valueToCode(block, 'Y',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return Blockly.JavaScript.runtimeCall_('goToXY', [x, y]) + ';\n';
+};
+
+Blockly.JavaScript['motion_goto'] = function(block) {
+  var to = Blockly.JavaScript.valueToCode(block, 'TO',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return Blockly.JavaScript.runtimeCall_('goTo', [to]) + ';\n';
+};
+
+Blockly.JavaScript['motion_glidesecstoxy'] = function(block) {
+  var secs = Blockly.JavaScript.valueToCode(block, 'SECS',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  var x = Blockly.JavaScript.valueToCode(block, 'X',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  var y = Blockly.JavaScript.valueToCode(block, 'Y',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return Blockly.JavaScript.runtimeCall_('glideSecsToXY', [secs, x, y]) +
+      ';\n';
+};
+
+Blockly.JavaScript['motion_glideto_menu'] = function(block) {
+  return [Blockly.JavaScript.fieldString_(block, 'TO'),
+    Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['motion_glideto'] = function(block) {
+  var secs = Blockly.JavaScript.valueToCode(block, 'SECS',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  var to = Blockly.JavaScript.valueToCode(block, 'TO',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return Blockly.JavaScript.runtimeCall_('glideTo', [secs, to]) + ';\n';
+};
+
+Blockly.JavaScript['motion_changexby'] = function(block) {
+  var dx = Blockly.JavaScript.valueToCode(block, 'DX',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return Blockly.JavaScript.runtimeCall_('changeXBy', [dx]) + ';\n';
+};
+
+Blockly.JavaScript['motion_setx'] = function(block) {
+  var x = Blockly.JavaScript.valueToCode(block, 'X',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return Blockly.JavaScript.runtimeCall_('setX', [x]) + ';\n';
+};
+
+Blockly.JavaScript['motion_changeyby'] = function(block) {
+  var dy = Blockly.JavaScript.valueToCode(block, 'DY',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return Blockly.JavaScript.runtimeCall_('changeYBy', [dy]) + ';\n';
+};
+
+Blockly.JavaScript['motion_sety'] = function(block) {
+  var y = Blockly.JavaScript.valueToCode(block, 'Y',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return Blockly.JavaScript.runtimeCall_('setY', [y]) + ';\n';
+};
+
+Blockly.JavaScript['motion_ifonedgebounce'] = function(_block) {
+  return Blockly.JavaScript.runtimeCall_('ifOnEdgeBounce') + ';\n';
+};
+
+Blockly.JavaScript['motion_setrotationstyle'] = function(block) {
+  var style = Blockly.JavaScript.fieldString_(block, 'STYLE');
+  return Blockly.JavaScript.runtimeCall_('setRotationStyle', [style]) + ';\n';
+};
+
+Blockly.JavaScript['motion_xposition'] = function(_block) {
+  return [Blockly.JavaScript.runtimeCall_('getX'),
+    Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['motion_yposition'] = function(_block) {
+  return [Blockly.JavaScript.runtimeCall_('getY'),
+    Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['motion_direction'] = function(_block) {
+  return [Blockly.JavaScript.runtimeCall_('getDirection'),
+    Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['motion_scroll_right'] = function(block) {
+  var distance = Blockly.JavaScript.valueToCode(block, 'DISTANCE',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return Blockly.JavaScript.runtimeCall_('scrollRight', [distance]) + ';\n';
+};
+
+Blockly.JavaScript['motion_scroll_up'] = function(block) {
+  var distance = Blockly.JavaScript.valueToCode(block, 'DISTANCE',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return Blockly.JavaScript.runtimeCall_('scrollUp', [distance]) + ';\n';
+};
+
+Blockly.JavaScript['motion_align_scene'] = function(block) {
+  var alignment = Blockly.JavaScript.fieldString_(block, 'ALIGNMENT');
+  return Blockly.JavaScript.runtimeCall_('alignScene', [alignment]) + ';\n';
+};
+
+Blockly.JavaScript['motion_xscroll'] = function(_block) {
+  return [Blockly.JavaScript.runtimeCall_('getXScroll'),
+    Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['motion_yscroll'] = function(_block) {
+  return [Blockly.JavaScript.runtimeCall_('getYScroll'),
+    Blockly.JavaScript.ORDER_AWAIT];
+};
@@ -0,0 +1,264 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating JavaScript for operator blocks.
+ * Operators follow Scratch's casting rules: arithmetic treats anything that
+ * is not a number as 0, and comparisons are numeric when both sides look
+ * like numbers and case-insensitive text comparisons otherwise.
+ */
+'use strict';
+
+goog.provide('Blockly.JavaScript.operators');
+
+goog.require('Blockly.JavaScript');
+
+
+/**
+ * Generator for the arithmetic operators.
+ * @param {!Blockly.Block} block Block to generate the code from.
+ * @param {string} operator The JavaScript operator.
+ * @param {number} order The precedence of the operator.
+ * @return {!Array} JavaScript code with order of operation.
+ * @private
+ */
+Blockly.JavaScript.arithmetic_ = function(block, operator, order) {
+  var argument0 = Blockly.JavaScript.valueToCode(block, 'NUM1', order) || '0';
+  var argument1 = Blockly.JavaScript.valueToCode(block, 'NUM2', order) || '0';
+  return [Blockly.JavaScript.toNumber_(argument0) + ' ' + operator + ' ' +
+      Blockly.JavaScript.toNumber_(argument1), order];
+};
+
+/**
+ * Generator for the comparison operators.
+ * @param {!Blockly.Block} block Block to generate the code from.
+ * @param {string} operator The JavaScript operator to compare the result of
+ *     the comparison function with 0.
+ * @return {!Array} JavaScript code with order of operation.
+ * @private
+ */
+Blockly.JavaScript.comparison_ = function(block, operator) {
+  var functionName = Blockly.JavaScript.compareFunction_();
+  var argument0 = Blockly.JavaScript.valueToCode(block, 'OPERAND1',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  var argument1 = Blockly.JavaScript.valueToCode(block, 'OPERAND2',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  var order = operator == '==' ? Blockly.JavaScript.ORDER_EQUALITY :
+      Blockly.JavaScript.ORDER_RELATIONAL;
+  return [functionName + '(' + argument0 + ', ' + argument1 + ') ' +
+      operator + ' 0', order];
+};
+
+Blockly.JavaScript['operator_add'] = function(block) {
+  return Blockly.JavaScript.arithmetic_(block, '+',
+      Blockly.JavaScript.ORDER_ADDITION);
+};
+
+Blockly.JavaScript['operator_subtract'] = function(block) {
+  return Blockly.JavaScript.arithmetic_(block, '-',
+      Blockly.JavaScript.ORDER_SUBTRACTION);
+};
+
+Blockly.JavaScript['operator_multiply'] = function(block) {
+  return Blockly.JavaScript.arithmetic_(block, '*',
+      Blockly.JavaScript.ORDER_MULTIPLICATION);
+};
+
+Blockly.JavaScript['operator_divide'] = function(block) {
+  return Blockly.JavaScript.arithmetic_(block, '/',
+      Blockly.JavaScript.ORDER_DIVISION);
+};
+
+Blockly.JavaScript['operator_random'] = function(block) {
+  var functionName = Blockly.JavaScript.provideFunction_(
+      'randomBetween',
+      [
+        'function ' + Blockly.JavaScript.FUNCTION_NAME_PLACEHOLDER_ + '(from, to) {',
+        '  var low = Math.min(from, to);',
+        '  var high = Math.max(from, to);',
+        '  if (low % 1 === 0 && high % 1 === 0) {',
+        '    return low + Math.floor(Math.random() * (high - low + 1));',
+        '  }',
+        '  return low + Math.random() * (high - low);',
+        '}']);
+  var from = Blockly.JavaScript.valueToCode(block, 'FROM',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  var to = Blockly.JavaScript.valueToCode(block, 'TO',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return [functionName + '(' + Blockly.JavaScript.toNumber_(from) + ', ' +
+      Blockly.JavaScript.toNumber_(to) + ')',
+  Blockly.JavaScript.ORDER_FUNCTION_CALL];
+};
+
+Blockly.JavaScript['operator_lt'] = function(block) {
+  return Blockly.JavaScript.comparison_(block, '<');
+};
+
+Blockly.JavaScript['operator_equals'] = function(block) {
+  return Blockly.JavaScript.comparison_(block, '==');
+};
+
+Blockly.JavaScript['operator_gt'] = function(block) {
+  return Blockly.JavaScript.comparison_(block, '>');
+};
+
+Blockly.JavaScript['operator_and'] = function(block) {
+  var order = Blockly.JavaScript.ORDER_LOGICAL_AND;
+  var argument0 = Blockly.JavaScript.valueToCode(block, 'OPERAND1', order) ||
+      'false';
+  var argument1 = Blockly.JavaScript.valueToCode(block, 'OPERAND2', order) ||
+      'false';
+  return [argument0 + ' && ' + argument1, order];
+};
+
+Blockly.JavaScript['operator_or'] = function(block) {
+  var order = Blockly.JavaScript.ORDER_LOGICAL_OR;
+  var argument0 = Blockly.JavaScript.valueToCode(block, 'OPERAND1', order) ||
+      'false';
+  var argument1 = Blockly.JavaScript.valueToCode(block, 'OPERAND2', order) ||
+      'false';
+  return [argument0 + ' || ' + argument1, order];
+};
+
+Blockly.JavaScript['operator_not'] = function(block) {
+  var order = Blockly.JavaScript.ORDER_LOGICAL_NOT;
+  var argument0 = Blockly.JavaScript.valueToCode(block, 'OPERAND', order) ||
+      'false';
+  return ['!' + argument0, order];
+};
+
+Blockly.JavaScript['operator_join'] = function(block) {
+  var argument0 = Blockly.JavaScript.valueToCode(block, 'STRING1',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  var argument1 = Blockly.JavaScript.valueToCode(block, 'STRING2',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return ['String(' + argument0 + ') + String(' + argument1 + ')',
+    Blockly.JavaScript.ORDER_ADDITION];
+};
+
+Blockly.JavaScript['operator_letter_of'] = function(block) {
+  var letter = Blockly.JavaScript.valueToCode(block, 'LETTER',
+      Blockly.JavaScript.ORDER_SUBTRACTION) || '0';
+  var string = Blockly.JavaScript.valueToCode(block, 'STRING',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  // Scratch letters are one-based.
+  return ['String(' + string + ').charAt(' +
+      Blockly.JavaScript.toNumber_(letter) + ' - 1)',
+  Blockly.JavaScript.ORDER_FUNCTION_CALL];
+};
+
+Blockly.JavaScript['operator_length'] = function(block) {
+  var string = Blockly.JavaScript.valueToCode(block, 'STRING',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return ['String(' + string + ').length', Blockly.JavaScript.ORDER_MEMBER];
+};
+
+Blockly.JavaScript['operator_contains'] = function(block) {
+  var argument0 = Blockly.JavaScript.valueToCode(block, 'STRING1',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  var argument1 = Blockly.JavaScript.valueToCode(block, 'STRING2',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return ['String(' + argument0 + ').toLowerCase().indexOf(String(' +
+      argument1 + ').toLowerCase()) != -1', Blockly.JavaScript.ORDER_EQUALITY];
+};
+
+Blockly.JavaScript['operator_mod'] = function(block) {
+  // Scratch's modulo takes the sign of the divisor, unlike JavaScript's.
+  var functionName = Blockly.JavaScript.provideFunction_(
+      'mod',
+      [
+        'function ' + Blockly.JavaScript.FUNCTION_NAME_PLACEHOLDER_ + '(n, modulus) {',
+        '  var result = n % modulus;',
+        '  if (result / modulus < 0) {',
+        '    result += modulus;',
+        '  }',
+        '  return result;',
+        '}']);
+  var argument0 = Blockly.JavaScript.valueToCode(block, 'NUM1',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  var argument1 = Blockly.JavaScript.valueToCode(block, 'NUM2',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return [functionName + '(' + Blockly.JavaScript.toNumber_(argument0) +
+      ', ' + Blockly.JavaScript.toNumber_(argument1) + ')',
+  Blockly.JavaScript.ORDER_FUNCTION_CALL];
+};
+
+Blockly.JavaScript['operator_round'] = function(block) {
+  var num = Blockly.JavaScript.valueToCode(block, 'NUM',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return ['Math.round(' + Blockly.JavaScript.toNumber_(num) + ')',
+    Blockly.JavaScript.ORDER_FUNCTION_CALL];
+};
+
+Blockly.JavaScript['operator_mathop'] = function(block) {
+  var operator = block.getFieldValue('OPERATOR');
+  var num = Blockly.JavaScript.valueToCode(block, 'NUM',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  num = Blockly.JavaScript.toNumber_(num);
+  var code;
+  // Trigonometry works in degrees.
+  switch (operator) {
+    case 'abs':
+      code = 'Math.abs(' + num + ')';
+      break;
+    case 'floor':
+      code = 'Math.floor(' + num + ')';
+      break;
+    case 'ceiling':
+      code = 'Math.ceil(' + num + ')';
+      break;
+    case 'sqrt':
+      code = 'Math.sqrt(' + num + ')';
+      break;
+    case 'sin':
+      code = 'Math.sin(' + num + ' / 180 * Math.PI)';
+      break;
+    case 'cos':
+      code = 'Math.cos(' + num + ' / 180 * Math.PI)';
+      break;
+    case 'tan':
+      code = 'Math.tan(' + num + ' / 180 * Math.PI)';
+      break;
+    case 'asin':
+      return ['Math.asin(' + num + ') / Math.PI * 180',
+        Blockly.JavaScript.ORDER_MULTIPLICATION];
+    case 'acos':
+      return ['Math.acos(' + num + ') / Math.PI * 180',
+        Blockly.JavaScript.ORDER_MULTIPLICATION];
+    case 'atan':
+      return ['Math.atan(' + num + ') / Math.PI * 180',
+        Blockly.JavaScript.ORDER_MULTIPLICATION];
+    case 'ln':
+      code = 'Math.log(' + num + ')';
+      break;
+    case 'log':
+      return ['Math.log(' + num + ') / Math.LN10',
+        Blockly.JavaScript.ORDER_DIVISION];
+    case 'e ^':
+      code = 'Math.exp(' + num + ')';
+      break;
+    case '10 ^':
+      code = 'Math.pow(10, ' + num + ')';
+      break;
+    default:
+      throw new Error('Unknown math operator: ' + operator);
+  }
+  return [code, Blockly.JavaScript.ORDER_FUNCTION_CALL];
+};
@@ -0,0 +1,152 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating JavaScript for custom procedure blocks.
+ * Every custom block becomes an async function.  A custom block set to run
+ * without screen refresh ("warp") skips the yields at the end of its loops.
+ */
+'use strict';
+
+goog.provide('Blockly.JavaScript.procedures');
+
+goog.require('Blockly.JavaScript');
+
+
+/**
+ * Name type for the parameters of custom blocks in the name database.
+ * Parameters are kept apart from variables so that a parameter never hides a
+ * variable with the same name.
+ * @const {string}
+ * @private
+ */
+Blockly.JavaScript.ARGUMENT_NAME_TYPE_ = 'ARGUMENT';
+
+/**
+ * Get the JavaScript function name for a custom block.
+ * @param {string} procCode The procedure code, e.g. 'jump %s high'.
+ * @return {string} JavaScript function name, e.g. 'jump_high'.
+ * @private
+ */
+Blockly.JavaScript.procedureName_ = function(procCode) {
+  var key = '%' + procCode;
+  if (!(key in Blockly.JavaScript.functionNames_)) {
+    var name = procCode.replace(/%[snb]/g, ' ').trim().replace(/\s+/g, ' ');
+    Blockly.JavaScript.functionNames_[key] =
+        Blockly.JavaScript.variableDB_.getDistinctName(name || 'procedure',
+            Blockly.Procedures.NAME_TYPE);
+  }
+  return Blockly.JavaScript.functionNames_[key];
+};
+
+/**
+ * Get the JavaScript parameter name for an argument of a custom block.
+ * @param {string} displayName The name of the argument shown to the user.
+ * @return {string} JavaScript parameter name.
+ * @private
+ */
+Blockly.JavaScript.argumentName_ = function(displayName) {
+  return Blockly.JavaScript.variableDB_.getName(displayName,
+      Blockly.JavaScript.ARGUMENT_NAME_TYPE_);
+};
+
+Blockly.JavaScript['procedures_definition'] = function(block) {
+  var prototype = block.getInputTargetBlock('custom_block');
+  if (!prototype) {
+    return null;
+  }
+  var funcName = Blockly.JavaScript.procedureName_(prototype.getProcCode());
+  var args = [];
+  for (var i = 0; i < prototype.displayNames_.length; i++) {
+    args.push(Blockly.JavaScript.argumentName_(prototype.displayNames_[i]));
+  }
+  var code = 'async function ' + funcName + '(' + args.join(', ') + ') {\n' +
+      Blockly.JavaScript.scriptBody_(block) + '}';
+  code = Blockly.JavaScript.scrub_(block, code);
+  // Add % so as not to collide with helper functions in definitions list.
+  Blockly.JavaScript.definitions_['%' + funcName] = code;
+  return null;
+};
+
+Blockly.JavaScript['procedures_call'] = function(block) {
+  var procCode = block.getProcCode();
+  if (!Blockly.Procedures.getDefineBlock(procCode, block.workspace)) {
+    // Calling a custom block without a definition does nothing.
+    return '';
+  }
+  var argTypes = procCode.match(/%[snb]/g) || [];
+  var args = [];
+  for (var i = 0; i < block.argumentIds_.length; i++) {
+    args[i] = Blockly.JavaScript.valueToCode(block, block.argumentIds_[i],
+        Blockly.JavaScript.ORDER_NONE) ||
+        (argTypes[i] == '%b' ? 'false' : '\'\'');
+  }
+  return 'await ' + Blockly.JavaScript.procedureName_(procCode) + '(' +
+      args.join(', ') + ');\n';
+};
+
+/**
+ * Generator for the argument reporters.  An argument reporter used outside
+ * of the definition of a custom block with that argument reports a default.
+ * @param {!Blockly.Block} block Block to generate the code from.
+ * @param {string} defaultValue Code for the value reported outside of a
+ *     matching definition.
+ * @return {!Array} JavaScript code with order of operation.
+ * @private
+ */
+Blockly.JavaScript.argumentReporter_ = function(block, defaultValue) {
+  var name = block.getFieldValue('VALUE');
+  var root = block.getRootBlock();
+  if (root.type == 'procedures_definition') {
+    var prototype = root.getInputTargetBlock('custom_block');
+    if (prototype && prototype.displayNames_.indexOf(name) != -1) {
+      return [Blockly.JavaScript.argumentName_(name),
+        Blockly.JavaScript.ORDER_ATOMIC];
+    }
+  }
+  return [defaultValue, Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['argument_reporter_boolean'] = function(block) {
+  return Blockly.JavaScript.argumentReporter_(block, 'false');
+};
+
+Blockly.JavaScript['argument_reporter_string_number'] = function(block) {
+  return Blockly.JavaScript.argumentReporter_(block, '0');
+};
+
+// The prototype, the declaration and the argument editors only exist to edit
+// the signature of a custom block; they never run.
+
+Blockly.JavaScript['procedures_prototype'] = function(_block) {
+  return null;
+};
+
+Blockly.JavaScript['procedures_declaration'] = function(_block) {
+  return null;
+};
+
+Blockly.JavaScript['argument_editor_boolean'] = function(_block) {
+  return ['', Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['argument_editor_string_number'] = function(_block) {
+  return ['', Blockly.JavaScript.ORDER_ATOMIC];
+};
@@ -0,0 +1,165 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating JavaScript for sensing blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.JavaScript.sensing');
+
+goog.require('Blockly.JavaScript');
+
+
+Blockly.JavaScript['sensing_touchingobject'] = function(block) {
+  var object = Blockly.JavaScript.valueToCode(block, 'TOUCHINGOBJECTMENU',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return [Blockly.JavaScript.runtimeCall_('isTouchingObject', [object]),
+    Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['sensing_touchingobjectmenu'] = function(block) {
+  return [Blockly.JavaScript.fieldString_(block, 'TOUCHINGOBJECTMENU'),
+    Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['sensing_touchingcolor'] = function(block) {
+  var color = Blockly.JavaScript.valueToCode(block, 'COLOR',
+      Blockly.JavaScript.ORDER_NONE) || '\'#000000\'';
+  return [Blockly.JavaScript.runtimeCall_('isTouchingColor', [color]),
+    Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['sensing_coloristouchingcolor'] = function(block) {
+  var color = Blockly.JavaScript.valueToCode(block, 'COLOR',
+      Blockly.JavaScript.ORDER_NONE) || '\'#000000\'';
+  var color2 = Blockly.JavaScript.valueToCode(block, 'COLOR2',
+      Blockly.JavaScript.ORDER_NONE) || '\'#000000\'';
+  return [Blockly.JavaScript.runtimeCall_('isColorTouchingColor',
+      [color, color2]), Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['sensing_distanceto'] = function(block) {
+  var object = Blockly.JavaScript.valueToCode(block, 'DISTANCETOMENU',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return [Blockly.JavaScript.runtimeCall_('distanceTo', [object]),
+    Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['sensing_distancetomenu'] = function(block) {
+  return [Blockly.JavaScript.fieldString_(block, 'DISTANCETOMENU'),
+    Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['sensing_askandwait'] = function(block) {
+  var question = Blockly.JavaScript.valueToCode(block, 'QUESTION',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return Blockly.JavaScript.runtimeCall_('askAndWait', [question]) + ';\n';
+};
+
+Blockly.JavaScript['sensing_answer'] = function(_block) {
+  return [Blockly.JavaScript.runtimeCall_('getAnswer'),
+    Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['sensing_keypressed'] = function(block) {
+  var key = Blockly.JavaScript.valueToCode(block, 'KEY_OPTION',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return [Blockly.JavaScript.runtimeCall_('isKeyPressed', [key]),
+    Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['sensing_keyoptions'] = function(block) {
+  return [Blockly.JavaScript.fieldString_(block, 'KEY_OPTION'),
+    Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['sensing_mousedown'] = function(_block) {
+  return [Blockly.JavaScript.runtimeCall_('isMouseDown'),
+    Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['sensing_mousex'] = function(_block) {
+  return [Blockly.JavaScript.runtimeCall_('getMouseX'),
+    Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['sensing_mousey'] = function(_block) {
+  return [Blockly.JavaScript.runtimeCall_('getMouseY'),
+    Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['sensing_setdragmode'] = function(block) {
+  var dragMode = Blockly.JavaScript.fieldString_(block, 'DRAG_MODE');
+  return Blockly.JavaScript.runtimeCall_('setDragMode', [dragMode]) + ';\n';
+};
+
+Blockly.JavaScript['sensing_loudness'] = function(_block) {
+  return [Blockly.JavaScript.runtimeCall_('getLoudness'),
+    Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['sensing_loud'] = function(_block) {
+  return [Blockly.JavaScript.runtimeCall_('isLoud'),
+    Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['sensing_timer'] = function(_block) {
+  return [Blockly.JavaScript.runtimeCall_('getTimer'),
+    Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['sensing_resettimer'] = function(_block) {
+  return Blockly.JavaScript.runtimeCall_('resetTimer') + ';\n';
+};
+
+Blockly.JavaScript['sensing_of_object_menu'] = function(block) {
+  return [Blockly.JavaScript.fieldString_(block, 'OBJECT'),
+    Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['sensing_of'] = function(block) {
+  var property = Blockly.JavaScript.fieldString_(block, 'PROPERTY');
+  var object = Blockly.JavaScript.valueToCode(block, 'OBJECT',
+      Blockly.JavaScript.ORDER_NONE) || '\'_stage_\'';
+  return [Blockly.JavaScript.runtimeCall_('getAttributeOf',
+      [property, object]), Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['sensing_current'] = function(block) {
+  var menu = Blockly.JavaScript.fieldString_(block, 'CURRENTMENU');
+  return [Blockly.JavaScript.runtimeCall_('getCurrent', [menu]),
+    Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['sensing_dayssince2000'] = function(_block) {
+  return [Blockly.JavaScript.runtimeCall_('getDaysSince2000'),
+    Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['sensing_username'] = function(_block) {
+  return [Blockly.JavaScript.runtimeCall_('getUsername'),
+    Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['sensing_userid'] = function(_block) {
+  return [Blockly.JavaScript.runtimeCall_('getUserId'),
+    Blockly.JavaScript.ORDER_AWAIT];
+};
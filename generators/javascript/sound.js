@@ -0,0 +1,88 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating JavaScript for sound blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.JavaScript.sound');
+
+goog.require('Blockly.JavaScript');
+
+
+Blockly.JavaScript['sound_sounds_menu'] = function(block) {
+  return [Blockly.JavaScript.fieldString_(block, 'SOUND_MENU'),
+    Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['sound_play'] = function(block) {
+  var sound = Blockly.JavaScript.valueToCode(block, 'SOUND_MENU',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return Blockly.JavaScript.runtimeCall_('playSound', [sound]) + ';\n';
+};
+
+Blockly.JavaScript['sound_playuntildone'] = function(block) {
+  var sound = Blockly.JavaScript.valueToCode(block, 'SOUND_MENU',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return Blockly.JavaScript.runtimeCall_('playSoundUntilDone', [sound]) +
+      ';\n';
+};
+
+Blockly.JavaScript['sound_stopallsounds'] = function(_block) {
+  return Blockly.JavaScript.runtimeCall_('stopAllSounds') + ';\n';
+};
+
+Blockly.JavaScript['sound_seteffectto'] = function(block) {
+  var effect = Blockly.JavaScript.fieldString_(block, 'EFFECT');
+  var value = Blockly.JavaScript.valueToCode(block, 'VALUE',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return Blockly.JavaScript.runtimeCall_('setSoundEffectTo', [effect, value]) +
+      ';\n';
+};
+
+Blockly.JavaScript['sound_changeeffectby'] = function(block) {
+  var effect = Blockly.JavaScript.fieldString_(block, 'EFFECT');
+  var value = Blockly.JavaScript.valueToCode(block, 'VALUE',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return Blockly.JavaScript.runtimeCall_('changeSoundEffectBy',
+      [effect, value]) + ';\n';
+};
+
+Blockly.JavaScript['sound_cleareffects'] = function(_block) {
+  return Blockly.JavaScript.runtimeCall_('clearSoundEffects') + ';\n';
+};
+
+Blockly.JavaScript['sound_changevolumeby'] = function(block) {
+  var volume = Blockly.JavaScript.valueToCode(block, 'VOLUME',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return Blockly.JavaScript.runtimeCall_('changeVolumeBy', [volume]) + ';\n';
+};
+
+Blockly.JavaScript['sound_setvolumeto'] = function(block) {
+  var volume = Blockly.JavaScript.valueToCode(block, 'VOLUME',
+      Blockly.JavaScript.ORDER_NONE) || '100';
+  return Blockly.JavaScript.runtimeCall_('setVolumeTo', [volume]) + ';\n';
+};
+
+Blockly.JavaScript['sound_volume'] = function(_block) {
+  return [Blockly.JavaScript.runtimeCall_('getVolume'),
+    Blockly.JavaScript.ORDER_AWAIT];
+};
@@ -0,0 +1,510 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Helper functions for generating Python for blocks.
+ *
+ * The Python output is meant for reading rather than running: it shows
+ * students what their scripts look like as text.  Every script that starts
+ * with a hat block becomes a function named after the hat, custom blocks
+ * become functions, and blocks that act on the stage become calls to
+ * functions named after the block, e.g.:
+ *
+ *   score = 0
+ *
+ *
+ *   def when_flag_clicked():
+ *       global score
+ *       move_steps(10)
+ *       score += 1
+ */
+'use strict';
+
+goog.provide('Blockly.Python');
+
+goog.require('Blockly.Generator');
+
+
+/**
+ * Python code generator.
+ * @type {!Blockly.Generator}
+ */
+Blockly.Python = new Blockly.Generator('Python');
+
+/**
+ * List of illegal variable names.
+ * This is not intended to be a security feature.  Blockly is 100% client-side,
+ * so bypassing this list is trivial.  This is intended to prevent users from
+ * accidentally clobbering a built-in object or function.
+ * @private
+ */
+Blockly.Python.addReservedWords(
+    // import keyword
+    // print(','.join(sorted(keyword.kwlist)))
+    // https://docs.python.org/3/reference/lexical_analysis.html#keywords
+    'False,None,True,and,as,assert,async,await,break,class,continue,def,del,' +
+    'elif,else,except,finally,for,from,global,if,import,in,is,lambda,' +
+    'nonlocal,not,or,pass,raise,return,try,while,with,yield,' +
+    // https://docs.python.org/3/library/constants.html
+    // https://docs.python.org/3/library/functions.html
+    'NotImplemented,Ellipsis,__debug__,quit,exit,copyright,license,credits,' +
+    'abs,all,any,ascii,bin,bool,breakpoint,bytearray,bytes,callable,chr,' +
+    'classmethod,compile,complex,delattr,dict,dir,divmod,enumerate,eval,exec,' +
+    'filter,float,format,frozenset,getattr,globals,hasattr,hash,help,hex,id,' +
+    'input,int,isinstance,issubclass,iter,len,list,locals,map,max,memoryview,' +
+    'min,next,object,oct,open,ord,pow,print,property,range,repr,reversed,' +
+    'round,set,setattr,slice,sorted,staticmethod,str,sum,super,tuple,type,' +
+    'vars,zip,__import__,' +
+    // Modules imported by the generated code.
+    'math,random,time');
+
+/**
+ * Order of operation ENUMs.
+ * http://docs.python.org/reference/expressions.html#summary
+ */
+Blockly.Python.ORDER_ATOMIC = 0;            // 0 "" ...
+Blockly.Python.ORDER_COLLECTION = 1;        // tuples, lists, dictionaries
+Blockly.Python.ORDER_STRING_CONVERSION = 1; // `expression...`
+Blockly.Python.ORDER_MEMBER = 2.1;          // . []
+Blockly.Python.ORDER_FUNCTION_CALL = 2.2;   // ()
+Blockly.Python.ORDER_EXPONENTIATION = 3;    // **
+Blockly.Python.ORDER_UNARY_SIGN = 4;        // + -
+Blockly.Python.ORDER_BITWISE_NOT = 4;       // ~
+Blockly.Python.ORDER_MULTIPLICATIVE = 5;    // * / // %
+Blockly.Python.ORDER_ADDITIVE = 6;          // + -
+Blockly.Python.ORDER_BITWISE_SHIFT = 7;     // << >>
+Blockly.Python.ORDER_BITWISE_AND = 8;       // &
+Blockly.Python.ORDER_BITWISE_XOR = 9;       // ^
+Blockly.Python.ORDER_BITWISE_OR = 10;       // |
+Blockly.Python.ORDER_RELATIONAL = 11;       // in, not in, is, is not, <, >, ==
+Blockly.Python.ORDER_LOGICAL_NOT = 12;      // not
+Blockly.Python.ORDER_LOGICAL_AND = 13;      // and
+Blockly.Python.ORDER_LOGICAL_OR = 14;       // or
+Blockly.Python.ORDER_CONDITIONAL = 15;      // if else
+Blockly.Python.ORDER_LAMBDA = 16;           // lambda
+Blockly.Python.ORDER_NONE = 99;             // (...)
+
+/**
+ * List of outer-inner pairings that do NOT require parentheses.
+ * @type {!Array.<!Array.<number>>}
+ */
+Blockly.Python.ORDER_OVERRIDES = [
+  // (foo()).bar -> foo().bar
+  // (foo())[0] -> foo()[0]
+  [Blockly.Python.ORDER_FUNCTION_CALL, Blockly.Python.ORDER_MEMBER],
+  // (foo())() -> foo()()
+  [Blockly.Python.ORDER_FUNCTION_CALL, Blockly.Python.ORDER_FUNCTION_CALL],
+  // (foo.bar).baz -> foo.bar.baz
+  // (foo.bar)[0] -> foo.bar[0]
+  // (foo[0]).bar -> foo[0].bar
+  // (foo[0])[1] -> foo[0][1]
+  [Blockly.Python.ORDER_MEMBER, Blockly.Python.ORDER_MEMBER],
+  // (foo.bar)() -> foo.bar()
+  // (foo[0])() -> foo[0]()
+  [Blockly.Python.ORDER_MEMBER, Blockly.Python.ORDER_FUNCTION_CALL],
+  // not (not foo) -> not not foo
+  [Blockly.Python.ORDER_LOGICAL_NOT, Blockly.Python.ORDER_LOGICAL_NOT],
+  // a and (b and c) -> a and b and c
+  [Blockly.Python.ORDER_LOGICAL_AND, Blockly.Python.ORDER_LOGICAL_AND],
+  // a or (b or c) -> a or b or c
+  [Blockly.Python.ORDER_LOGICAL_OR, Blockly.Python.ORDER_LOGICAL_OR]
+];
+
+/**
+ * Python uses four spaces per indentation level (PEP 8).
+ * @type {string}
+ */
+Blockly.Python.INDENT = '    ';
+
+/**
+ * Python comments are wrapped at the PEP 8 limit for comments.
+ * @type {number}
+ */
+Blockly.Python.COMMENT_WRAP = 72;
+
+/**
+ * Empty loops or conditionals are not allowed in Python.
+ * @type {string}
+ */
+Blockly.Python.PASS = Blockly.Python.INDENT + 'pass\n';
+
+/**
+ * Initialise the database of variable names.
+ * @param {!Blockly.Workspace} workspace Workspace to generate code from.
+ */
+Blockly.Python.init = function(workspace) {
+  // Create a dictionary of definitions to be printed before the code.
+  Blockly.Python.definitions_ = Object.create(null);
+  // Create a dictionary mapping desired function names in definitions_
+  // to actual function names (to avoid collisions with user functions).
+  Blockly.Python.functionNames_ = Object.create(null);
+
+  if (!Blockly.Python.variableDB_) {
+    Blockly.Python.variableDB_ =
+        new Blockly.Names(Blockly.Python.RESERVED_WORDS_);
+  } else {
+    Blockly.Python.variableDB_.reset();
+  }
+  Blockly.Python.variableDB_.setVariableMap(workspace.getVariableMap());
+
+  // Every function that assigns to a variable has to declare it global, so
+  // the names of all variables are collected up front.  Lists are only ever
+  // changed in place and need no declaration.
+  Blockly.Python.globals_ = [];
+  var defvars = [];
+  var variables = workspace.getVariablesOfType(Blockly.SCALAR_VARIABLE_TYPE);
+  for (var i = 0; i < variables.length; i++) {
+    var name = Blockly.Python.variableName_(variables[i].getId(), workspace);
+    Blockly.Python.globals_.push(name);
+    defvars.push(name + ' = 0');
+  }
+  var lists = workspace.getVariablesOfType(Blockly.LIST_VARIABLE_TYPE);
+  for (var i = 0; i < lists.length; i++) {
+    var name = Blockly.Python.variableName_(lists[i].getId(), workspace);
+    defvars.push(name + ' = []');
+  }
+  var blocks = workspace.getAllBlocks();
+  for (var i = 0; i < blocks.length; i++) {
+    if (blocks[i].type == 'control_incr_counter' ||
+        blocks[i].type == 'control_clear_counter' ||
+        blocks[i].type == 'control_get_counter') {
+      var counter = Blockly.Python.counter_();
+      Blockly.Python.globals_.push(counter);
+      defvars.push(counter + ' = 0');
+      break;
+    }
+  }
+  if (defvars.length) {
+    Blockly.Python.definitions_['variables'] = defvars.join('\n');
+  }
+};
+
+/**
+ * Prepend the generated code with the imports, variables and functions.
+ * @param {string} code Generated code.
+ * @return {string} Completed code.
+ */
+Blockly.Python.finish = function(code) {
+  // Convert the definitions dictionary into a list.
+  var imports = [];
+  var definitions = [];
+  for (var name in Blockly.Python.definitions_) {
+    var def = Blockly.Python.definitions_[name];
+    if (def.match(/^(from\s+\S+\s+)?import\s+\S+/)) {
+      imports.push(def);
+    } else {
+      definitions.push(def.replace(/\n+$/, ''));
+    }
+  }
+  // Clean up temporary data.
+  delete Blockly.Python.definitions_;
+  delete Blockly.Python.functionNames_;
+  delete Blockly.Python.globals_;
+  Blockly.Python.variableDB_.reset();
+  // PEP 8 separates top-level definitions with two blank lines.
+  var sections = definitions;
+  if (imports.length) {
+    sections.unshift(imports.join('\n'));
+  }
+  if (!sections.length) {
+    return code;
+  }
+  return sections.join('\n\n\n') + '\n\n\n' + code;
+};
+
+/**
+ * Naked values are top-level blocks with outputs that aren't plugged into
+ * anything.  Scratch never evaluates them, so they produce no code.
+ * @param {string} _line Line of generated code.
+ * @return {string} Legal line of code.
+ */
+Blockly.Python.scrubNakedValue = function(_line) {
+  return '';
+};
+
+/**
+ * Encode a string as a properly escaped Python string, complete with quotes.
+ * @param {string} string Text to encode.
+ * @return {string} Python string.
+ * @private
+ */
+Blockly.Python.quote_ = function(string) {
+  // Can't use goog.string.quote since % must also be escaped.
+  string = string.replace(/\\/g, '\\\\')
+      .replace(/\n/g, '\\n');
+
+  // Follow the CPython behaviour of repr() for a non-byte string.
+  var quote = '\'';
+  if (string.indexOf('\'') !== -1) {
+    if (string.indexOf('"') === -1) {
+      quote = '"';
+    } else {
+      string = string.replace(/'/g, '\\\'');
+    }
+  }
+  return quote + string + quote;
+};
+
+/**
+ * Common tasks for generating Python from blocks.
+ * Handles comments for the specified block and any connected value blocks.
+ * Calls any statements following this block, unless this block is a hat, in
+ * which case the hat generator has already consumed the rest of the script.
+ * @param {!Blockly.Block} block The current block.
+ * @param {string} code The Python code created for this block.
+ * @return {string} Python code with comments and subsequent blocks added.
+ * @private
+ */
+Blockly.Python.scrub_ = function(block, code) {
+  if (!block.getParent() && block.previousConnection) {
+    // A loose stack, not started by any hat.
+    return '';
+  }
+  var commentCode = '';
+  // Only collect comments for blocks that aren't inline.
+  if (!block.outputConnection || !block.outputConnection.targetConnection) {
+    // Collect comment for this block.
+    var comment = block.getCommentText();
+    comment = Blockly.utils.wrap(comment, Blockly.Python.COMMENT_WRAP - 2);
+    if (comment) {
+      commentCode += Blockly.Python.prefixLines(comment, '# ') + '\n';
+    }
+    // Collect comments for all value arguments.
+    // Don't collect comments for nested statements.
+    for (var i = 0; i < block.inputList.length; i++) {
+      if (block.inputList[i].type == Blockly.INPUT_VALUE) {
+        var childBlock = block.inputList[i].connection.targetBlock();
+        if (childBlock && !childBlock.isShadow()) {
+          var childComment = Blockly.Python.allNestedComments(childBlock);
+          if (childComment) {
+            commentCode += Blockly.Python.prefixLines(childComment, '# ');
+          }
+        }
+      }
+    }
+  }
+  var nextCode = '';
+  if (!Blockly.Python.isHat_(block)) {
+    nextCode = Blockly.Python.blockToCode(block.getNextBlock());
+  }
+  return commentCode + code + nextCode;
+};
+
+/**
+ * Whether a block starts a script, i.e. it can have blocks below it but
+ * nothing above it.
+ * @param {!Blockly.Block} block The block to check.
+ * @return {boolean} True if the block is a hat.
+ * @private
+ */
+Blockly.Python.isHat_ = function(block) {
+  return !block.previousConnection && !!block.nextConnection;
+};
+
+/**
+ * Generate a function definition holding the script below a hat block.
+ * @param {!Blockly.Block} block The hat block.
+ * @param {string} funcName The name of the function.
+ * @param {!Array.<string>=} opt_params The names of the function's parameters.
+ * @return {string} Python function definition.
+ * @private
+ */
+Blockly.Python.defineFunction_ = function(block, funcName, opt_params) {
+  var body = Blockly.Python.blockToCode(block.getNextBlock());
+  if (body) {
+    body = Blockly.Python.prefixLines(body, Blockly.Python.INDENT);
+    // Only the variables the function assigns to need declaring.
+    var globals = Blockly.Python.globals_.filter(function(name) {
+      return new RegExp('^\\s*(' + name + ' [+-]?=|for ' + name + ' in) ',
+          'm').test(body);
+    });
+    if (globals.length) {
+      body = Blockly.Python.INDENT + 'global ' + globals.join(', ') + '\n' +
+          body;
+    }
+  } else {
+    body = Blockly.Python.PASS;
+  }
+  return 'def ' + funcName + '(' + (opt_params || []).join(', ') + '):\n' +
+      body;
+};
+
+/**
+ * Generator for hat blocks.
+ * @param {!Blockly.Block} block The hat block.
+ * @param {string} desiredName The name of the function holding the script,
+ *     made distinct from every other name in the program.
+ * @return {string} Python function definition, followed by a blank line.
+ * @private
+ */
+Blockly.Python.hat_ = function(block, desiredName) {
+  var funcName = Blockly.Python.variableDB_.getDistinctName(desiredName,
+      Blockly.Procedures.NAME_TYPE);
+  return Blockly.Python.defineFunction_(block, funcName) + '\n';
+};
+
+/**
+ * Generate the code for a call to a function acting on the stage.
+ * @param {!Blockly.Block} block The block making the call.
+ * @param {string} funcName The name of the function.
+ * @param {!Array.<string>} args The names of the block's inputs and fields
+ *     passed as arguments, in order.
+ * @return {string} Python expression, of order ORDER_FUNCTION_CALL.
+ * @private
+ */
+Blockly.Python.call_ = function(block, funcName, args) {
+  var code = [];
+  for (var i = 0; i < args.length; i++) {
+    var input = block.getInput(args[i]);
+    if (input && input.type == Blockly.INPUT_VALUE) {
+      code.push(Blockly.Python.valueToCode(block, args[i],
+          Blockly.Python.ORDER_NONE) || 'None');
+    } else {
+      code.push(Blockly.Python.fieldString_(block, args[i]));
+    }
+  }
+  return funcName + '(' + code.join(', ') + ')';
+};
+
+/**
+ * Generator for menus, which report the value of their only field as text.
+ * @param {!Blockly.Block} block The menu block.
+ * @return {!Array} Python code with order of operation.
+ * @private
+ */
+Blockly.Python.menu_ = function(block) {
+  var field = block.inputList[0].fieldRow[0];
+  return [Blockly.Python.fieldString_(block, field.name),
+    Blockly.Python.ORDER_ATOMIC];
+};
+
+/**
+ * Generate the code for a field value, quoted as a string literal.
+ * @param {!Blockly.Block} block The block holding the field.
+ * @param {string} name The name of the field.
+ * @return {string} Python string literal.
+ * @private
+ */
+Blockly.Python.fieldString_ = function(block, name) {
+  return Blockly.Python.quote_(String(block.getFieldValue(name)));
+};
+
+/**
+ * Get the Python name of a variable or list.
+ * Lists and scalar variables live in separate namespaces in Scratch, so they
+ * are named with separate types in the name database.
+ * @param {string} id ID of the variable model.
+ * @param {!Blockly.Workspace} workspace The workspace owning the variable.
+ * @return {string} Python variable name.
+ * @private
+ */
+Blockly.Python.variableName_ = function(id, workspace) {
+  var variable = workspace.getVariableById(id);
+  if (variable && variable.type == Blockly.LIST_VARIABLE_TYPE) {
+    return Blockly.Python.variableDB_.getName(variable.name,
+        Blockly.LIST_VARIABLE_TYPE);
+  }
+  return Blockly.Python.variableDB_.getName(id, Blockly.Variables.NAME_TYPE);
+};
+
+/**
+ * Get the Python name of the variable referenced by a block's field.
+ * @param {!Blockly.Block} block The block holding the variable field.
+ * @param {string} name The name of the variable field.
+ * @return {string} Python variable name.
+ * @private
+ */
+Blockly.Python.fieldVariable_ = function(block, name) {
+  return Blockly.Python.variableName_(block.getFieldValue(name),
+      block.workspace);
+};
+
+/**
+ * Get the name of the variable backing the counter blocks.
+ * @return {string} Python variable name.
+ * @private
+ */
+Blockly.Python.counter_ = function() {
+  return Blockly.Python.variableDB_.getName('counter',
+      Blockly.Names.DEVELOPER_VARIABLE_TYPE);
+};
+
+/**
+ * Generate the code for the value of a number field.  Scratch number fields
+ * may hold text, which is kept as a string.
+ * @param {string} value The field value.
+ * @return {!Array} Python code with order of operation.
+ * @private
+ */
+Blockly.Python.numberLiteral_ = function(value) {
+  var n = Number(value);
+  if (String(value).trim() === '' || isNaN(n)) {
+    return [Blockly.Python.quote_(String(value)), Blockly.Python.ORDER_ATOMIC];
+  }
+  if (n == Infinity) {
+    return ['float(\'inf\')', Blockly.Python.ORDER_FUNCTION_CALL];
+  } else if (n == -Infinity) {
+    return ['-float(\'inf\')', Blockly.Python.ORDER_UNARY_SIGN];
+  }
+  var order = n < 0 ? Blockly.Python.ORDER_UNARY_SIGN :
+      Blockly.Python.ORDER_ATOMIC;
+  return [String(n), order];
+};
+
+/**
+ * Gets a property and adjusts the value, taking into account indexing, and
+ * casts to an integer.
+ * @param {!Blockly.Block} block The block.
+ * @param {string} atId The property ID of the element to get.
+ * @param {number=} opt_delta Value to add.
+ * @param {boolean=} opt_negate Whether to negate the value.
+ * @return {string|number} Python code for the index.
+ */
+Blockly.Python.getAdjustedInt = function(block, atId, opt_delta, opt_negate) {
+  var delta = opt_delta || 0;
+  if (block.workspace.options.oneBasedIndex) {
+    delta--;
+  }
+  var defaultAtIndex = block.workspace.options.oneBasedIndex ? '1' : '0';
+  var atOrder = delta ? Blockly.Python.ORDER_ADDITIVE :
+      Blockly.Python.ORDER_NONE;
+  var at = Blockly.Python.valueToCode(block, atId, atOrder) || defaultAtIndex;
+
+  if (Blockly.isNumber(at)) {
+    // If the index is a naked number, adjust it right now.
+    at = parseInt(at, 10) + delta;
+    if (opt_negate) {
+      at = -at;
+    }
+  } else {
+    // If the index is dynamic, adjust it in code.
+    if (delta > 0) {
+      at = 'int(' + at + ' + ' + delta + ')';
+    } else if (delta < 0) {
+      at = 'int(' + at + ' - ' + -delta + ')';
+    } else {
+      at = 'int(' + at + ')';
+    }
+    if (opt_negate) {
+      at = '-' + at;
+    }
+  }
+  return at;
+};
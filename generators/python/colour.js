@@ -0,0 +1,34 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating Python for colour blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.Python.colour');
+
+goog.require('Blockly.Python');
+
+
+Blockly.Python['colour_picker'] = function(block) {
+  return [Blockly.Python.fieldString_(block, 'COLOUR'),
+    Blockly.Python.ORDER_ATOMIC];
+};
@@ -0,0 +1,161 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating Python for control blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.Python.control');
+
+goog.require('Blockly.Python');
+
+
+/**
+ * Generate the body of a loop or conditional.
+ * @param {!Blockly.Block} block The block holding the body.
+ * @param {string} name The name of the statement input.
+ * @param {boolean=} opt_loop Whether the body is repeated.
+ * @return {string} Python statements, or a pass statement if empty.
+ * @private
+ */
+Blockly.Python.branch_ = function(block, name, opt_loop) {
+  var branch = Blockly.Python.statementToCode(block, name);
+  if (opt_loop) {
+    branch = Blockly.Python.addLoopTrap(branch, block.id);
+  }
+  return branch || Blockly.Python.PASS;
+};
+
+Blockly.Python['control_forever'] = function(block) {
+  return 'while True:\n' + Blockly.Python.branch_(block, 'SUBSTACK', true);
+};
+
+Blockly.Python['control_repeat'] = function(block) {
+  var times = Blockly.Python.valueToCode(block, 'TIMES',
+      Blockly.Python.ORDER_NONE) || '0';
+  if (Blockly.isNumber(times)) {
+    times = Math.round(Number(times));
+  } else {
+    times = 'round(' + Blockly.Python.toNumber_(times) + ')';
+  }
+  var loopVar = Blockly.Python.variableDB_.getDistinctName(
+      'count', Blockly.Names.DEVELOPER_VARIABLE_TYPE);
+  return 'for ' + loopVar + ' in range(' + times + '):\n' +
+      Blockly.Python.branch_(block, 'SUBSTACK', true);
+};
+
+Blockly.Python['control_if'] = function(block) {
+  var condition = Blockly.Python.valueToCode(block, 'CONDITION',
+      Blockly.Python.ORDER_NONE) || 'False';
+  return 'if ' + condition + ':\n' + Blockly.Python.branch_(block, 'SUBSTACK');
+};
+
+Blockly.Python['control_if_else'] = function(block) {
+  var condition = Blockly.Python.valueToCode(block, 'CONDITION',
+      Blockly.Python.ORDER_NONE) || 'False';
+  return 'if ' + condition + ':\n' +
+      Blockly.Python.branch_(block, 'SUBSTACK') + 'else:\n' +
+      Blockly.Python.branch_(block, 'SUBSTACK2');
+};
+
+Blockly.Python['control_stop'] = function(block) {
+  switch (block.getFieldValue('STOP_OPTION')) {
+    case 'all':
+      return 'stop_all()\nreturn\n';
+    case 'other scripts in sprite':
+      return 'stop_other_scripts()\n';
+    default:
+      return 'return\n';
+  }
+};
+
+Blockly.Python['control_wait'] = function(block) {
+  Blockly.Python.definitions_['import_time'] = 'import time';
+  var duration = Blockly.Python.valueToCode(block, 'DURATION',
+      Blockly.Python.ORDER_NONE) || '0';
+  return 'time.sleep(' + duration + ')\n';
+};
+
+Blockly.Python['control_wait_until'] = function(block) {
+  var condition = Blockly.Python.valueToCode(block, 'CONDITION',
+      Blockly.Python.ORDER_LOGICAL_NOT) || 'False';
+  return 'while not ' + condition + ':\n' + Blockly.Python.PASS;
+};
+
+Blockly.Python['control_repeat_until'] = function(block) {
+  var condition = Blockly.Python.valueToCode(block, 'CONDITION',
+      Blockly.Python.ORDER_LOGICAL_NOT) || 'False';
+  return 'while not ' + condition + ':\n' +
+      Blockly.Python.branch_(block, 'SUBSTACK', true);
+};
+
+Blockly.Python['control_while'] = function(block) {
+  var condition = Blockly.Python.valueToCode(block, 'CONDITION',
+      Blockly.Python.ORDER_NONE) || 'False';
+  return 'while ' + condition + ':\n' +
+      Blockly.Python.branch_(block, 'SUBSTACK', true);
+};
+
+Blockly.Python['control_for_each'] = function(block) {
+  // Counts from 1 up to and including the value.
+  var variable = Blockly.Python.fieldVariable_(block, 'VARIABLE');
+  var value = Blockly.Python.valueToCode(block, 'VALUE',
+      Blockly.Python.ORDER_NONE) || '0';
+  if (Blockly.isNumber(value)) {
+    value = Math.floor(Number(value)) + 1;
+  } else {
+    value = 'int(' + Blockly.Python.toNumber_(value) + ') + 1';
+  }
+  return 'for ' + variable + ' in range(1, ' + value + '):\n' +
+      Blockly.Python.branch_(block, 'SUBSTACK', true);
+};
+
+Blockly.Python['control_start_as_clone'] = function(block) {
+  return Blockly.Python.hat_(block, 'when_i_start_as_a_clone');
+};
+
+Blockly.Python['control_create_clone_of_menu'] = Blockly.Python.menu_;
+
+Blockly.Python['control_create_clone_of'] = function(block) {
+  return Blockly.Python.call_(block, 'create_clone_of', ['CLONE_OPTION']) +
+      '\n';
+};
+
+Blockly.Python['control_delete_this_clone'] = function(_block) {
+  return 'delete_this_clone()\nreturn\n';
+};
+
+Blockly.Python['control_get_counter'] = function(_block) {
+  return [Blockly.Python.counter_(), Blockly.Python.ORDER_ATOMIC];
+};
+
+Blockly.Python['control_incr_counter'] = function(_block) {
+  return Blockly.Python.counter_() + ' += 1\n';
+};
+
+Blockly.Python['control_clear_counter'] = function(_block) {
+  return Blockly.Python.counter_() + ' = 0\n';
+};
+
+Blockly.Python['control_all_at_once'] = function(block) {
+  // The substack simply runs inline.
+  return Blockly.Python.blockToCode(block.getInputTargetBlock('SUBSTACK'));
+};
@@ -0,0 +1,245 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating Python for data blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.Python.data');
+
+goog.require('Blockly.Python');
+
+
+/**
+ * Words Scratch accepts in place of a list index.
+ * @type {!Array.<string>}
+ * @private
+ */
+Blockly.Python.LIST_INDEX_OPTIONS_ = ['last', 'random', 'any'];
+
+/**
+ * Get the option chosen for the index of a list block, such as 'last' or
+ * 'random'.  The option comes from a list index menu, or from the same words
+ * typed into the number slot.
+ * @param {!Blockly.Block} block The block with the index input.
+ * @param {boolean=} opt_acceptAll Whether 'all' may be typed as the index.
+ * @return {?string} The option, or null if the index is a number.
+ * @private
+ */
+Blockly.Python.listIndexOption_ = function(block, opt_acceptAll) {
+  var index = block.getInputTargetBlock('INDEX');
+  if (!index) {
+    return null;
+  }
+  if (index.type == 'data_listindexall' ||
+      index.type == 'data_listindexrandom') {
+    return index.getFieldValue('INDEX');
+  }
+  if (index.type == 'math_integer' || index.type == 'math_number' ||
+      index.type == 'math_whole_number' ||
+      index.type == 'math_positive_number') {
+    var option = String(index.getFieldValue('NUM'));
+    if (Blockly.Python.LIST_INDEX_OPTIONS_.indexOf(option) != -1 ||
+        (opt_acceptAll && option == 'all')) {
+      return option;
+    }
+  }
+  return null;
+};
+
+/**
+ * Generate the code for a random position in a list.
+ * @param {string} list Python name of the list.
+ * @param {number=} opt_extra Number of positions past the end of the list
+ *     that may also be picked.
+ * @return {string} Python expression.
+ * @private
+ */
+Blockly.Python.randomIndex_ = function(list, opt_extra) {
+  Blockly.Python.definitions_['import_random'] = 'import random';
+  var length = 'len(' + list + ')';
+  if (opt_extra) {
+    length += ' + ' + opt_extra;
+  }
+  return 'random.randrange(' + length + ')';
+};
+
+Blockly.Python['data_variable'] = function(block) {
+  return [Blockly.Python.fieldVariable_(block, 'VARIABLE'),
+    Blockly.Python.ORDER_ATOMIC];
+};
+
+Blockly.Python['data_setvariableto'] = function(block) {
+  var variable = Blockly.Python.fieldVariable_(block, 'VARIABLE');
+  var value = Blockly.Python.valueToCode(block, 'VALUE',
+      Blockly.Python.ORDER_NONE) || '0';
+  return variable + ' = ' + value + '\n';
+};
+
+Blockly.Python['data_changevariableby'] = function(block) {
+  var variable = Blockly.Python.fieldVariable_(block, 'VARIABLE');
+  var value = Blockly.Python.valueToCode(block, 'VALUE',
+      Blockly.Python.ORDER_NONE) || '0';
+  return variable + ' += ' + Blockly.Python.toNumber_(value) + '\n';
+};
+
+Blockly.Python['data_showvariable'] = function(block) {
+  var name = Blockly.Python.quote_(block.getField('VARIABLE').getText());
+  return 'show_variable(' + name + ')\n';
+};
+
+Blockly.Python['data_hidevariable'] = function(block) {
+  var name = Blockly.Python.quote_(block.getField('VARIABLE').getText());
+  return 'hide_variable(' + name + ')\n';
+};
+
+Blockly.Python['data_listcontents'] = function(block) {
+  var list = Blockly.Python.fieldVariable_(block, 'LIST');
+  return ['\' \'.join(str(item) for item in ' + list + ')',
+    Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['data_listindexall'] = function(block) {
+  return [Blockly.Python.fieldString_(block, 'INDEX'),
+    Blockly.Python.ORDER_ATOMIC];
+};
+
+Blockly.Python['data_listindexrandom'] = function(block) {
+  return [Blockly.Python.fieldString_(block, 'INDEX'),
+    Blockly.Python.ORDER_ATOMIC];
+};
+
+Blockly.Python['data_addtolist'] = function(block) {
+  var list = Blockly.Python.fieldVariable_(block, 'LIST');
+  var item = Blockly.Python.valueToCode(block, 'ITEM',
+      Blockly.Python.ORDER_NONE) || '\'\'';
+  return list + '.append(' + item + ')\n';
+};
+
+Blockly.Python['data_deleteoflist'] = function(block) {
+  var list = Blockly.Python.fieldVariable_(block, 'LIST');
+  switch (Blockly.Python.listIndexOption_(block, true)) {
+    case 'all':
+      return list + '.clear()\n';
+    case 'last':
+      return list + '.pop()\n';
+    case 'random':
+    case 'any':
+      return list + '.pop(' + Blockly.Python.randomIndex_(list) + ')\n';
+    default:
+      return 'del ' + list + '[' +
+          Blockly.Python.getAdjustedInt(block, 'INDEX') + ']\n';
+  }
+};
+
+Blockly.Python['data_deletealloflist'] = function(block) {
+  var list = Blockly.Python.fieldVariable_(block, 'LIST');
+  return list + '.clear()\n';
+};
+
+Blockly.Python['data_insertatlist'] = function(block) {
+  var list = Blockly.Python.fieldVariable_(block, 'LIST');
+  var item = Blockly.Python.valueToCode(block, 'ITEM',
+      Blockly.Python.ORDER_NONE) || '\'\'';
+  var index;
+  switch (Blockly.Python.listIndexOption_(block)) {
+    case 'last':
+      return list + '.append(' + item + ')\n';
+    case 'random':
+    case 'any':
+      index = Blockly.Python.randomIndex_(list, 1);
+      break;
+    default:
+      index = Blockly.Python.getAdjustedInt(block, 'INDEX');
+  }
+  return list + '.insert(' + index + ', ' + item + ')\n';
+};
+
+Blockly.Python['data_replaceitemoflist'] = function(block) {
+  var list = Blockly.Python.fieldVariable_(block, 'LIST');
+  var item = Blockly.Python.valueToCode(block, 'ITEM',
+      Blockly.Python.ORDER_NONE) || '\'\'';
+  var index;
+  switch (Blockly.Python.listIndexOption_(block)) {
+    case 'last':
+      index = -1;
+      break;
+    case 'random':
+    case 'any':
+      index = Blockly.Python.randomIndex_(list);
+      break;
+    default:
+      index = Blockly.Python.getAdjustedInt(block, 'INDEX');
+  }
+  return list + '[' + index + '] = ' + item + '\n';
+};
+
+Blockly.Python['data_itemoflist'] = function(block) {
+  var list = Blockly.Python.fieldVariable_(block, 'LIST');
+  switch (Blockly.Python.listIndexOption_(block)) {
+    case 'last':
+      return [list + '[-1]', Blockly.Python.ORDER_MEMBER];
+    case 'random':
+    case 'any':
+      Blockly.Python.definitions_['import_random'] = 'import random';
+      return ['random.choice(' + list + ')',
+        Blockly.Python.ORDER_FUNCTION_CALL];
+    default:
+      return [list + '[' + Blockly.Python.getAdjustedInt(block, 'INDEX') + ']',
+        Blockly.Python.ORDER_MEMBER];
+  }
+};
+
+Blockly.Python['data_itemnumoflist'] = function(block) {
+  var list = Blockly.Python.fieldVariable_(block, 'LIST');
+  var item = Blockly.Python.valueToCode(block, 'ITEM',
+      Blockly.Python.ORDER_RELATIONAL) || '\'\'';
+  // Scratch reports 0 for a missing item, where Python raises an error.
+  var code = list + '.index(' + item + ')';
+  if (block.workspace.options.oneBasedIndex) {
+    code += ' + 1 if ' + item + ' in ' + list + ' else 0';
+  } else {
+    code += ' if ' + item + ' in ' + list + ' else -1';
+  }
+  return [code, Blockly.Python.ORDER_CONDITIONAL];
+};
+
+Blockly.Python['data_lengthoflist'] = function(block) {
+  var list = Blockly.Python.fieldVariable_(block, 'LIST');
+  return ['len(' + list + ')', Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['data_listcontainsitem'] = function(block) {
+  var list = Blockly.Python.fieldVariable_(block, 'LIST');
+  var item = Blockly.Python.valueToCode(block, 'ITEM',
+      Blockly.Python.ORDER_RELATIONAL) || '\'\'';
+  return [item + ' in ' + list, Blockly.Python.ORDER_RELATIONAL];
+};
+
+Blockly.Python['data_showlist'] = function(block) {
+  var name = Blockly.Python.quote_(block.getField('LIST').getText());
+  return 'show_list(' + name + ')\n';
+};
+
+Blockly.Python['data_hidelist'] = function(block) {
+  var name = Blockly.Python.quote_(block.getField('LIST').getText());
+  return 'hide_list(' + name + ')\n';
+};
@@ -0,0 +1,86 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating Python for event blocks.
+ * Each hat block becomes a function named after the event it waits for.
+ */
+'use strict';
+
+goog.provide('Blockly.Python.event');
+
+goog.require('Blockly.Python');
+
+
+Blockly.Python['event_whentouchingobject'] = function(block) {
+  var menu = block.getInputTargetBlock('TOUCHINGOBJECTMENU');
+  var object = menu ? menu.getFieldValue('TOUCHINGOBJECTMENU') : '';
+  return Blockly.Python.hat_(block,
+      'when_touching_' + object.replace(/^_|_$/g, ''));
+};
+
+Blockly.Python['event_touchingobjectmenu'] = Blockly.Python.menu_;
+
+Blockly.Python['event_whenflagclicked'] = function(block) {
+  return Blockly.Python.hat_(block, 'when_flag_clicked');
+};
+
+Blockly.Python['event_whenthisspriteclicked'] = function(block) {
+  return Blockly.Python.hat_(block, 'when_this_sprite_clicked');
+};
+
+Blockly.Python['event_whenstageclicked'] = function(block) {
+  return Blockly.Python.hat_(block, 'when_stage_clicked');
+};
+
+Blockly.Python['event_whenbroadcastreceived'] = function(block) {
+  var message = block.getField('BROADCAST_OPTION').getText();
+  return Blockly.Python.hat_(block, 'when_i_receive_' + message);
+};
+
+Blockly.Python['event_whenbackdropswitchesto'] = function(block) {
+  return Blockly.Python.hat_(block,
+      'when_backdrop_switches_to_' + block.getFieldValue('BACKDROP'));
+};
+
+Blockly.Python['event_whengreaterthan'] = function(block) {
+  var menu = block.getFieldValue('WHENGREATERTHANMENU').toLowerCase();
+  return Blockly.Python.hat_(block, 'when_' + menu + '_greater_than');
+};
+
+Blockly.Python['event_broadcast_menu'] = function(block) {
+  // Broadcasts are matched by name, not by variable ID.
+  var message = block.getField('BROADCAST_OPTION').getText();
+  return [Blockly.Python.quote_(message), Blockly.Python.ORDER_ATOMIC];
+};
+
+Blockly.Python['event_broadcast'] = function(block) {
+  return Blockly.Python.call_(block, 'broadcast', ['BROADCAST_INPUT']) + '\n';
+};
+
+Blockly.Python['event_broadcastandwait'] = function(block) {
+  return Blockly.Python.call_(block, 'broadcast_and_wait',
+      ['BROADCAST_INPUT']) + '\n';
+};
+
+Blockly.Python['event_whenkeypressed'] = function(block) {
+  return Blockly.Python.hat_(block,
+      'when_' + block.getFieldValue('KEY_OPTION') + '_key_pressed');
+};
@@ -0,0 +1,78 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating Python for extension blocks.
+ * Extension blocks become calls to functions named after their opcode.
+ */
+'use strict';
+
+goog.provide('Blockly.Python.extensions');
+
+goog.require('Blockly.Python');
+
+
+/**
+ * Generator for extension blocks.
+ * @param {!Blockly.Block} block The extension block.
+ * @return {string|!Array} Python code, with order of operation for reporters.
+ * @private
+ */
+Blockly.Python.extension_ = function(block) {
+  if (Blockly.Python.isHat_(block)) {
+    return Blockly.Python.hat_(block, block.type);
+  }
+  var args = [];
+  for (var i = 0, input; input = block.inputList[i]; i++) {
+    if (input.type == Blockly.INPUT_VALUE) {
+      args.push(input.name);
+    }
+    for (var j = 0, field; field = input.fieldRow[j]; j++) {
+      if (field.name && field.EDITABLE) {
+        args.push(field.name);
+      }
+    }
+  }
+  var code = Blockly.Python.call_(block, block.type, args);
+  if (block.outputConnection) {
+    return [code, Blockly.Python.ORDER_FUNCTION_CALL];
+  }
+  return code + '\n';
+};
+
+Blockly.Python['extension_pen_down'] = Blockly.Python.extension_;
+
+Blockly.Python['extension_music_drum'] = Blockly.Python.extension_;
+
+Blockly.Python['extension_wedo_motor'] = Blockly.Python.extension_;
+
+Blockly.Python['extension_wedo_hat'] = Blockly.Python.extension_;
+
+Blockly.Python['extension_wedo_boolean'] = Blockly.Python.extension_;
+
+Blockly.Python['extension_wedo_tilt_reporter'] = Blockly.Python.extension_;
+
+Blockly.Python['extension_wedo_tilt_menu'] = Blockly.Python.menu_;
+
+Blockly.Python['extension_music_reporter'] = Blockly.Python.extension_;
+
+Blockly.Python['extension_microbit_display'] = Blockly.Python.extension_;
+
+Blockly.Python['extension_music_play_note'] = Blockly.Python.extension_;
@@ -0,0 +1,140 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating Python for looks blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.Python.looks');
+
+goog.require('Blockly.Python');
+
+
+Blockly.Python['looks_sayforsecs'] = function(block) {
+  return Blockly.Python.call_(block, 'say_for_secs', ['MESSAGE', 'SECS']) +
+      '\n';
+};
+
+Blockly.Python['looks_say'] = function(block) {
+  return Blockly.Python.call_(block, 'say', ['MESSAGE']) + '\n';
+};
+
+Blockly.Python['looks_thinkforsecs'] = function(block) {
+  return Blockly.Python.call_(block, 'think_for_secs', ['MESSAGE', 'SECS']) +
+      '\n';
+};
+
+Blockly.Python['looks_think'] = function(block) {
+  return Blockly.Python.call_(block, 'think', ['MESSAGE']) + '\n';
+};
+
+Blockly.Python['looks_show'] = function(block) {
+  return Blockly.Python.call_(block, 'show', []) + '\n';
+};
+
+Blockly.Python['looks_hide'] = function(block) {
+  return Blockly.Python.call_(block, 'hide', []) + '\n';
+};
+
+Blockly.Python['looks_hideallsprites'] = function(block) {
+  return Blockly.Python.call_(block, 'hide_all_sprites', []) + '\n';
+};
+
+Blockly.Python['looks_changeeffectby'] = function(block) {
+  return Blockly.Python.call_(block, 'change_effect_by',
+      ['EFFECT', 'CHANGE']) + '\n';
+};
+
+Blockly.Python['looks_seteffectto'] = function(block) {
+  return Blockly.Python.call_(block, 'set_effect_to', ['EFFECT', 'VALUE']) +
+      '\n';
+};
+
+Blockly.Python['looks_cleargraphiceffects'] = function(block) {
+  return Blockly.Python.call_(block, 'clear_graphic_effects', []) + '\n';
+};
+
+Blockly.Python['looks_changesizeby'] = function(block) {
+  return Blockly.Python.call_(block, 'change_size_by', ['CHANGE']) + '\n';
+};
+
+Blockly.Python['looks_setsizeto'] = function(block) {
+  return Blockly.Python.call_(block, 'set_size_to', ['SIZE']) + '\n';
+};
+
+Blockly.Python['looks_size'] = function(block) {
+  return [Blockly.Python.call_(block, 'size', []),
+    Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['looks_changestretchby'] = function(block) {
+  return Blockly.Python.call_(block, 'change_stretch_by', ['CHANGE']) + '\n';
+};
+
+Blockly.Python['looks_setstretchto'] = function(block) {
+  return Blockly.Python.call_(block, 'set_stretch_to', ['STRETCH']) + '\n';
+};
+
+Blockly.Python['looks_costume'] = Blockly.Python.menu_;
+
+Blockly.Python['looks_switchcostumeto'] = function(block) {
+  return Blockly.Python.call_(block, 'switch_costume_to', ['COSTUME']) + '\n';
+};
+
+Blockly.Python['looks_nextcostume'] = function(block) {
+  return Blockly.Python.call_(block, 'next_costume', []) + '\n';
+};
+
+Blockly.Python['looks_backdrops'] = Blockly.Python.menu_;
+
+Blockly.Python['looks_switchbackdropto'] = function(block) {
+  return Blockly.Python.call_(block, 'switch_backdrop_to', ['BACKDROP']) +
+      '\n';
+};
+
+Blockly.Python['looks_switchbackdroptoandwait'] = function(block) {
+  return Blockly.Python.call_(block, 'switch_backdrop_to_and_wait',
+      ['BACKDROP']) + '\n';
+};
+
+Blockly.Python['looks_nextbackdrop'] = function(block) {
+  return Blockly.Python.call_(block, 'next_backdrop', []) + '\n';
+};
+
+Blockly.Python['looks_gotofrontback'] = function(block) {
+  return Blockly.Python.call_(block, 'go_to_front_back', ['FRONT_BACK']) +
+      '\n';
+};
+
+Blockly.Python['looks_goforwardbackwardlayers'] = function(block) {
+  return Blockly.Python.call_(block, 'go_forward_backward_layers',
+      ['FORWARD_BACKWARD', 'NUM']) + '\n';
+};
+
+Blockly.Python['looks_backdropnumbername'] = function(block) {
+  return [Blockly.Python.call_(block, 'backdrop_number_name',
+      ['NUMBER_NAME']), Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['looks_costumenumbername'] = function(block) {
+  return [Blockly.Python.call_(block, 'costume_number_name', ['NUMBER_NAME']),
+    Blockly.Python.ORDER_FUNCTION_CALL];
+};
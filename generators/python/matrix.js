@@ -0,0 +1,41 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating Python for matrix blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.Python.matrix');
+
+goog.require('Blockly.Python');
+
+
+Blockly.Python['matrix'] = function(block) {
+  // The matrix is a string of digits, one per LED, row by row.
+  return [Blockly.Python.fieldString_(block, 'MATRIX'),
+    Blockly.Python.ORDER_ATOMIC];
+};
+
+Blockly.Python['matrix_animation'] = function(block) {
+  // The frames of the animation, separated by commas.
+  return [Blockly.Python.fieldString_(block, 'MATRIX'),
+    Blockly.Python.ORDER_ATOMIC];
+};
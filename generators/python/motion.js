@@ -0,0 +1,134 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating Python for motion blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.Python.motion');
+
+goog.require('Blockly.Python');
+
+
+Blockly.Python['motion_movesteps'] = function(block) {
+  return Blockly.Python.call_(block, 'move_steps', ['STEPS']) + '\n';
+};
+
+Blockly.Python['motion_turnright'] = function(block) {
+  return Blockly.Python.call_(block, 'turn_right', ['DEGREES']) + '\n';
+};
+
+Blockly.Python['motion_turnleft'] = function(block) {
+  return Blockly.Python.call_(block, 'turn_left', ['DEGREES']) + '\n';
+};
+
+Blockly.Python['motion_pointindirection'] = function(block) {
+  return Blockly.Python.call_(block, 'point_in_direction', ['DIRECTION']) +
+      '\n';
+};
+
+Blockly.Python['motion_pointtowards_menu'] = Blockly.Python.menu_;
+
+Blockly.Python['motion_pointtowards'] = function(block) {
+  return Blockly.Python.call_(block, 'point_towards', ['TOWARDS']) + '\n';
+};
+
+Blockly.Python['motion_goto_menu'] = Blockly.Python.menu_;
+
+Blockly.Python['motion_gotoxy'] = function(block) {
+  return Blockly.Python.call_(block, 'go_to_xy', ['X', 'Y']) + '\n';
+};
+
+Blockly.Python['motion_goto'] = function(block) {
+  return Blockly.Python.call_(block, 'go_to', ['TO']) + '\n';
+};
+
+Blockly.Python['motion_glidesecstoxy'] = function(block) {
+  return Blockly.Python.call_(block, 'glide_to_xy', ['SECS', 'X', 'Y']) +
+      '\n';
+};
+
+Blockly.Python['motion_glideto_menu'] = Blockly.Python.menu_;
+
+Blockly.Python['motion_glideto'] = function(block) {
+  return Blockly.Python.call_(block, 'glide_to', ['SECS', 'TO']) + '\n';
+};
+
+Blockly.Python['motion_changexby'] = function(block) {
+  return Blockly.Python.call_(block, 'change_x_by', ['DX']) + '\n';
+};
+
+Blockly.Python['motion_setx'] = function(block) {
+  return Blockly.Python.call_(block, 'set_x', ['X']) + '\n';
+};
+
+Blockly.Python['motion_changeyby'] = function(block) {
+  return Blockly.Python.call_(block, 'change_y_by', ['DY']) + '\n';
+};
+
+Blockly.Python['motion_sety'] = function(block) {
+  return Blockly.Python.call_(block, 'set_y', ['Y']) + '\n';
+};
+
+Blockly.Python['motion_ifonedgebounce'] = function(block) {
+  return Blockly.Python.call_(block, 'if_on_edge_bounce', []) + '\n';
+};
+
+Blockly.Python['motion_setrotationstyle'] = function(block) {
+  return Blockly.Python.call_(block, 'set_rotation_style', ['STYLE']) + '\n';
+};
+
+Blockly.Python['motion_xposition'] = function(block) {
+  return [Blockly.Python.call_(block, 'x_position', []),
+    Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['motion_yposition'] = function(block) {
+  return [Blockly.Python.call_(block, 'y_position', []),
+    Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['motion_direction'] = function(block) {
+  return [Blockly.Python.call_(block, 'direction', []),
+    Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['motion_scroll_right'] = function(block) {
+  return Blockly.Python.call_(block, 'scroll_right', ['DISTANCE']) + '\n';
+};
+
+Blockly.Python['motion_scroll_up'] = function(block) {
+  return Blockly.Python.call_(block, 'scroll_up', ['DISTANCE']) + '\n';
+};
+
+Blockly.Python['motion_align_scene'] = function(block) {
+  return Blockly.Python.call_(block, 'align_scene', ['ALIGNMENT']) + '\n';
+};
+
+Blockly.Python['motion_xscroll'] = function(block) {
+  return [Blockly.Python.call_(block, 'x_scroll', []),
+    Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['motion_yscroll'] = function(block) {
+  return [Blockly.Python.call_(block, 'y_scroll', []),
+    Blockly.Python.ORDER_FUNCTION_CALL];
+};
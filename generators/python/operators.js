@@ -0,0 +1,307 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating Python for operator blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.Python.operators');
+
+goog.require('Blockly.Python');
+
+
+/**
+ * Whether a piece of Python code is a single string literal.
+ * @param {string} code Python expression.
+ * @return {boolean} True if the code is a quoted string.
+ * @private
+ */
+Blockly.Python.isStringLiteral_ = function(code) {
+  return /^('([^'\\]|\\.)*'|"([^"\\]|\\.)*")$/.test(code);
+};
+
+/**
+ * Generate the code for a numeric operand.  Text typed into a number slot
+ * counts as 0, like in Scratch; any other value is used as it is, to keep the
+ * code readable.
+ * @param {!Blockly.Block} block The block holding the operand.
+ * @param {string} name The name of the value input.
+ * @param {number} order The precedence of the operation using the operand.
+ * @return {string} Python expression.
+ * @private
+ */
+Blockly.Python.number_ = function(block, name, order) {
+  var code = Blockly.Python.valueToCode(block, name, order) || '0';
+  return Blockly.Python.isStringLiteral_(code) ? '0' : code;
+};
+
+/**
+ * Convert the code for a value to a number, the way Scratch does: text that
+ * is not a number counts as 0.  Number literals are used as they are.
+ * @param {string} code Python expression.
+ * @return {string} Python expression evaluating to a number.
+ * @private
+ */
+Blockly.Python.toNumber_ = function(code) {
+  if (Blockly.isNumber(code)) {
+    return code;
+  }
+  if (Blockly.Python.isStringLiteral_(code)) {
+    // Text that looks like a number is already generated as a number.
+    return '0';
+  }
+  var functionName = Blockly.Python.provideFunction_(
+      'to_number',
+      ['def ' + Blockly.Python.FUNCTION_NAME_PLACEHOLDER_ + '(value):',
+        '  try:',
+        '    n = float(value)',
+        '  except (TypeError, ValueError):',
+        '    return 0',
+        '  return int(n) if n.is_integer() else n']);
+  return functionName + '(' + code + ')';
+};
+
+/**
+ * Generate the code for a text operand, converting it to a string unless it
+ * already is one.
+ * @param {!Blockly.Block} block The block holding the operand.
+ * @param {string} name The name of the value input.
+ * @return {string} Python expression.
+ * @private
+ */
+Blockly.Python.text_ = function(block, name) {
+  var code = Blockly.Python.valueToCode(block, name,
+      Blockly.Python.ORDER_NONE) || '\'\'';
+  if (Blockly.isNumber(code)) {
+    // Numeric text is generated as a number; quote it again.
+    return Blockly.Python.quote_(code);
+  }
+  return Blockly.Python.isStringLiteral_(code) ? code : 'str(' + code + ')';
+};
+
+/**
+ * Generator for the arithmetic operators.
+ * @param {!Blockly.Block} block Block to generate the code from.
+ * @param {string} operator The Python operator.
+ * @param {number} order The precedence of the operator.
+ * @return {!Array} Python code with order of operation.
+ * @private
+ */
+Blockly.Python.arithmetic_ = function(block, operator, order) {
+  var argument0 = Blockly.Python.number_(block, 'NUM1', order);
+  var argument1 = Blockly.Python.number_(block, 'NUM2', order);
+  return [argument0 + ' ' + operator + ' ' + argument1, order];
+};
+
+/**
+ * Generator for the comparison operators.  When one operand is a number, the
+ * other is converted to a number too, since Python can't order text against
+ * numbers.
+ * @param {!Blockly.Block} block Block to generate the code from.
+ * @param {string} operator The Python operator.
+ * @return {!Array} Python code with order of operation.
+ * @private
+ */
+Blockly.Python.comparison_ = function(block, operator) {
+  var order = Blockly.Python.ORDER_RELATIONAL;
+  var argument0 = Blockly.Python.valueToCode(block, 'OPERAND1', order) ||
+      '\'\'';
+  var argument1 = Blockly.Python.valueToCode(block, 'OPERAND2', order) ||
+      '\'\'';
+  var isNumber0 = Blockly.isNumber(argument0);
+  var isNumber1 = Blockly.isNumber(argument1);
+  if (isNumber0 != isNumber1) {
+    var text = isNumber0 ? argument1 : argument0;
+    if (Blockly.Python.isStringLiteral_(text)) {
+      // Scratch compares a number with other text as text.
+      if (isNumber0) {
+        argument0 = Blockly.Python.quote_(argument0);
+      } else {
+        argument1 = Blockly.Python.quote_(argument1);
+      }
+    } else if (isNumber0) {
+      argument1 = Blockly.Python.toNumber_(argument1);
+    } else {
+      argument0 = Blockly.Python.toNumber_(argument0);
+    }
+  }
+  return [argument0 + ' ' + operator + ' ' + argument1, order];
+};
+
+Blockly.Python['operator_add'] = function(block) {
+  return Blockly.Python.arithmetic_(block, '+',
+      Blockly.Python.ORDER_ADDITIVE);
+};
+
+Blockly.Python['operator_subtract'] = function(block) {
+  return Blockly.Python.arithmetic_(block, '-',
+      Blockly.Python.ORDER_ADDITIVE);
+};
+
+Blockly.Python['operator_multiply'] = function(block) {
+  return Blockly.Python.arithmetic_(block, '*',
+      Blockly.Python.ORDER_MULTIPLICATIVE);
+};
+
+Blockly.Python['operator_divide'] = function(block) {
+  return Blockly.Python.arithmetic_(block, '/',
+      Blockly.Python.ORDER_MULTIPLICATIVE);
+};
+
+Blockly.Python['operator_random'] = function(block) {
+  Blockly.Python.definitions_['import_random'] = 'import random';
+  var from = Blockly.Python.number_(block, 'FROM', Blockly.Python.ORDER_NONE);
+  var to = Blockly.Python.number_(block, 'TO', Blockly.Python.ORDER_NONE);
+  // Scratch picks a whole number unless either end has a decimal point.
+  var func = /\./.test(from + to) ? 'random.uniform' : 'random.randint';
+  return [func + '(' + from + ', ' + to + ')',
+    Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['operator_lt'] = function(block) {
+  return Blockly.Python.comparison_(block, '<');
+};
+
+Blockly.Python['operator_equals'] = function(block) {
+  return Blockly.Python.comparison_(block, '==');
+};
+
+Blockly.Python['operator_gt'] = function(block) {
+  return Blockly.Python.comparison_(block, '>');
+};
+
+Blockly.Python['operator_and'] = function(block) {
+  var order = Blockly.Python.ORDER_LOGICAL_AND;
+  var argument0 = Blockly.Python.valueToCode(block, 'OPERAND1', order) ||
+      'False';
+  var argument1 = Blockly.Python.valueToCode(block, 'OPERAND2', order) ||
+      'False';
+  return [argument0 + ' and ' + argument1, order];
+};
+
+Blockly.Python['operator_or'] = function(block) {
+  var order = Blockly.Python.ORDER_LOGICAL_OR;
+  var argument0 = Blockly.Python.valueToCode(block, 'OPERAND1', order) ||
+      'False';
+  var argument1 = Blockly.Python.valueToCode(block, 'OPERAND2', order) ||
+      'False';
+  return [argument0 + ' or ' + argument1, order];
+};
+
+Blockly.Python['operator_not'] = function(block) {
+  var order = Blockly.Python.ORDER_LOGICAL_NOT;
+  var argument0 = Blockly.Python.valueToCode(block, 'OPERAND', order) ||
+      'False';
+  return ['not ' + argument0, order];
+};
+
+Blockly.Python['operator_join'] = function(block) {
+  var argument0 = Blockly.Python.text_(block, 'STRING1');
+  var argument1 = Blockly.Python.text_(block, 'STRING2');
+  return [argument0 + ' + ' + argument1, Blockly.Python.ORDER_ADDITIVE];
+};
+
+Blockly.Python['operator_letter_of'] = function(block) {
+  var letter = Blockly.Python.getAdjustedInt(block, 'LETTER');
+  var string = Blockly.Python.text_(block, 'STRING');
+  return [string + '[' + letter + ']',
+    Blockly.Python.ORDER_MEMBER];
+};
+
+Blockly.Python['operator_length'] = function(block) {
+  var string = Blockly.Python.text_(block, 'STRING');
+  return ['len(' + string + ')', Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['operator_contains'] = function(block) {
+  var argument0 = Blockly.Python.text_(block, 'STRING1');
+  var argument1 = Blockly.Python.text_(block, 'STRING2');
+  // Scratch ignores case when looking for text.
+  return [argument1 + '.lower() in ' + argument0 + '.lower()',
+    Blockly.Python.ORDER_RELATIONAL];
+};
+
+Blockly.Python['operator_mod'] = function(block) {
+  // Python's modulo already takes the sign of the divisor, like Scratch's.
+  return Blockly.Python.arithmetic_(block, '%',
+      Blockly.Python.ORDER_MULTIPLICATIVE);
+};
+
+Blockly.Python['operator_round'] = function(block) {
+  var num = Blockly.Python.number_(block, 'NUM', Blockly.Python.ORDER_NONE);
+  return ['round(' + num + ')', Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['operator_mathop'] = function(block) {
+  var operator = block.getFieldValue('OPERATOR');
+  var num = Blockly.Python.number_(block, 'NUM', Blockly.Python.ORDER_NONE);
+  if (operator == 'abs') {
+    return ['abs(' + num + ')', Blockly.Python.ORDER_FUNCTION_CALL];
+  } else if (operator == '10 ^') {
+    num = Blockly.Python.number_(block, 'NUM',
+        Blockly.Python.ORDER_EXPONENTIATION);
+    return ['10 ** ' + num, Blockly.Python.ORDER_EXPONENTIATION];
+  }
+  Blockly.Python.definitions_['import_math'] = 'import math';
+  var code;
+  // Trigonometry works in degrees.
+  switch (operator) {
+    case 'floor':
+      code = 'math.floor(' + num + ')';
+      break;
+    case 'ceiling':
+      code = 'math.ceil(' + num + ')';
+      break;
+    case 'sqrt':
+      code = 'math.sqrt(' + num + ')';
+      break;
+    case 'sin':
+      code = 'math.sin(math.radians(' + num + '))';
+      break;
+    case 'cos':
+      code = 'math.cos(math.radians(' + num + '))';
+      break;
+    case 'tan':
+      code = 'math.tan(math.radians(' + num + '))';
+      break;
+    case 'asin':
+      code = 'math.degrees(math.asin(' + num + '))';
+      break;
+    case 'acos':
+      code = 'math.degrees(math.acos(' + num + '))';
+      break;
+    case 'atan':
+      code = 'math.degrees(math.atan(' + num + '))';
+      break;
+    case 'ln':
+      code = 'math.log(' + num + ')';
+      break;
+    case 'log':
+      code = 'math.log10(' + num + ')';
+      break;
+    case 'e ^':
+      code = 'math.exp(' + num + ')';
+      break;
+    default:
+      throw new Error('Unknown math operator: ' + operator);
+  }
+  return [code, Blockly.Python.ORDER_FUNCTION_CALL];
+};
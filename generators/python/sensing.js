@@ -0,0 +1,134 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating Python for sensing blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.Python.sensing');
+
+goog.require('Blockly.Python');
+
+
+Blockly.Python['sensing_touchingobject'] = function(block) {
+  return [Blockly.Python.call_(block, 'touching', ['TOUCHINGOBJECTMENU']),
+    Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['sensing_touchingobjectmenu'] = Blockly.Python.menu_;
+
+Blockly.Python['sensing_touchingcolor'] = function(block) {
+  return [Blockly.Python.call_(block, 'touching_color', ['COLOR']),
+    Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['sensing_coloristouchingcolor'] = function(block) {
+  return [Blockly.Python.call_(block, 'color_is_touching_color',
+      ['COLOR', 'COLOR2']), Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['sensing_distanceto'] = function(block) {
+  return [Blockly.Python.call_(block, 'distance_to', ['DISTANCETOMENU']),
+    Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['sensing_distancetomenu'] = Blockly.Python.menu_;
+
+Blockly.Python['sensing_askandwait'] = function(block) {
+  return Blockly.Python.call_(block, 'ask_and_wait', ['QUESTION']) + '\n';
+};
+
+Blockly.Python['sensing_answer'] = function(block) {
+  return [Blockly.Python.call_(block, 'answer', []),
+    Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['sensing_keypressed'] = function(block) {
+  return [Blockly.Python.call_(block, 'key_pressed', ['KEY_OPTION']),
+    Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['sensing_keyoptions'] = Blockly.Python.menu_;
+
+Blockly.Python['sensing_mousedown'] = function(block) {
+  return [Blockly.Python.call_(block, 'mouse_down', []),
+    Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['sensing_mousex'] = function(block) {
+  return [Blockly.Python.call_(block, 'mouse_x', []),
+    Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['sensing_mousey'] = function(block) {
+  return [Blockly.Python.call_(block, 'mouse_y', []),
+    Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['sensing_setdragmode'] = function(block) {
+  return Blockly.Python.call_(block, 'set_drag_mode', ['DRAG_MODE']) + '\n';
+};
+
+Blockly.Python['sensing_loudness'] = function(block) {
+  return [Blockly.Python.call_(block, 'loudness', []),
+    Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['sensing_loud'] = function(block) {
+  return [Blockly.Python.call_(block, 'loud', []),
+    Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['sensing_timer'] = function(block) {
+  return [Blockly.Python.call_(block, 'timer', []),
+    Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['sensing_resettimer'] = function(block) {
+  return Blockly.Python.call_(block, 'reset_timer', []) + '\n';
+};
+
+Blockly.Python['sensing_of_object_menu'] = Blockly.Python.menu_;
+
+Blockly.Python['sensing_of'] = function(block) {
+  return [Blockly.Python.call_(block, 'attribute_of', ['PROPERTY', 'OBJECT']),
+    Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['sensing_current'] = function(block) {
+  return [Blockly.Python.call_(block, 'current', ['CURRENTMENU']),
+    Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['sensing_dayssince2000'] = function(block) {
+  return [Blockly.Python.call_(block, 'days_since_2000', []),
+    Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['sensing_username'] = function(block) {
+  return [Blockly.Python.call_(block, 'username', []),
+    Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['sensing_userid'] = function(block) {
+  return [Blockly.Python.call_(block, 'user_id', []),
+    Blockly.Python.ORDER_FUNCTION_CALL];
+};
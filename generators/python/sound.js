@@ -0,0 +1,71 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating Python for sound blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.Python.sound');
+
+goog.require('Blockly.Python');
+
+
+Blockly.Python['sound_sounds_menu'] = Blockly.Python.menu_;
+
+Blockly.Python['sound_play'] = function(block) {
+  return Blockly.Python.call_(block, 'play_sound', ['SOUND_MENU']) + '\n';
+};
+
+Blockly.Python['sound_playuntildone'] = function(block) {
+  return Blockly.Python.call_(block, 'play_sound_until_done',
+      ['SOUND_MENU']) + '\n';
+};
+
+Blockly.Python['sound_stopallsounds'] = function(block) {
+  return Blockly.Python.call_(block, 'stop_all_sounds', []) + '\n';
+};
+
+Blockly.Python['sound_seteffectto'] = function(block) {
+  return Blockly.Python.call_(block, 'set_sound_effect_to',
+      ['EFFECT', 'VALUE']) + '\n';
+};
+
+Blockly.Python['sound_changeeffectby'] = function(block) {
+  return Blockly.Python.call_(block, 'change_sound_effect_by',
+      ['EFFECT', 'VALUE']) + '\n';
+};
+
+Blockly.Python['sound_cleareffects'] = function(block) {
+  return Blockly.Python.call_(block, 'clear_sound_effects', []) + '\n';
+};
+
+Blockly.Python['sound_changevolumeby'] = function(block) {
+  return Blockly.Python.call_(block, 'change_volume_by', ['VOLUME']) + '\n';
+};
+
+Blockly.Python['sound_setvolumeto'] = function(block) {
+  return Blockly.Python.call_(block, 'set_volume_to', ['VOLUME']) + '\n';
+};
+
+Blockly.Python['sound_volume'] = function(block) {
+  return [Blockly.Python.call_(block, 'volume', []),
+    Blockly.Python.ORDER_FUNCTION_CALL];
+};
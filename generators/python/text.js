@@ -0,0 +1,40 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating Python for text blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.Python.text');
+
+goog.require('Blockly.Python');
+
+
+Blockly.Python['text'] = function(block) {
+  // Scratch treats text that looks like a number as a number, so it is
+  // generated as one.  Arithmetic and comparisons on it then work in Python.
+  var text = String(block.getFieldValue('TEXT'));
+  if (Blockly.isNumber(text) && String(Number(text)) == text) {
+    return Blockly.Python.numberLiteral_(text);
+  }
+  return [Blockly.Python.fieldString_(block, 'TEXT'),
+    Blockly.Python.ORDER_ATOMIC];
+};
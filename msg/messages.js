@@ -299,6 +299,7 @@ Blockly.Msg.DELETE_BLOCK = 'Delete Block';
 Blockly.Msg.DELETE_X_BLOCKS = 'Delete %1 Blocks';
 Blockly.Msg.DELETE_ALL_BLOCKS = 'Delete all %1 blocks?';
 Blockly.Msg.CLEAN_UP = 'Clean up Blocks';
+Blockly.Msg.SAVE_PICTURE_OF_SCRIPT = 'Save picture of script';
 Blockly.Msg.HELP = 'Help';
 Blockly.Msg.UNDO = 'Undo';
 Blockly.Msg.REDO = 'Redo';
@@ -306,11 +307,110 @@ Blockly.Msg.EDIT_PROCEDURE = 'Edit';
 Blockly.Msg.SHOW_PROCEDURE_DEFINITION = 'Go to definition';
 Blockly.Msg.WORKSPACE_COMMENT_DEFAULT_TEXT = 'Say something...';
 
+// Undo history
+Blockly.Msg.UNDO_HISTORY_TITLE = 'History';
+Blockly.Msg.UNDO_HISTORY_START = 'Start';
+Blockly.Msg.UNDO_HISTORY_CREATE = 'Added \'%1\'';
+Blockly.Msg.UNDO_HISTORY_DELETE = 'Deleted \'%1\'';
+Blockly.Msg.UNDO_HISTORY_CHANGE = 'Changed \'%1\'';
+Blockly.Msg.UNDO_HISTORY_MOVE = 'Moved \'%1\'';
+Blockly.Msg.UNDO_HISTORY_CREATE_VARIABLE = 'Created variable %1';
+Blockly.Msg.UNDO_HISTORY_RENAME_VARIABLE = 'Renamed variable %1';
+Blockly.Msg.UNDO_HISTORY_DELETE_VARIABLE = 'Deleted variable %1';
+Blockly.Msg.UNDO_HISTORY_COMMENT = 'Edited a comment';
+Blockly.Msg.UNDO_HISTORY_RESTORE = 'Restored checkpoint "%1"';
+Blockly.Msg.UNDO_HISTORY_CHECKPOINTS = 'Checkpoints';
+Blockly.Msg.UNDO_HISTORY_SAVE_CHECKPOINT = 'Save checkpoint';
+Blockly.Msg.UNDO_HISTORY_CHECKPOINT_TITLE = 'Checkpoint name:';
+Blockly.Msg.UNDO_HISTORY_DEFAULT_CHECKPOINT = 'Checkpoint %1';
+
+// Screen readers
+Blockly.Msg.ARIA_WORKSPACE = 'Scripts';
+Blockly.Msg.ARIA_STACK = 'Script %1: %2';
+Blockly.Msg.ARIA_VALUE_INPUT = 'Slot: %1';
+Blockly.Msg.ARIA_EMPTY_INPUT = 'empty';
+Blockly.Msg.ARIA_STATEMENT_INPUT = 'Inner script';
+Blockly.Msg.ARIA_EMPTY_STATEMENT_INPUT = 'Empty inner script';
+Blockly.Msg.ARIA_FIELD = '%1, editable';
+Blockly.Msg.ARIA_CONNECTED = 'Attached %1 to %2';
+Blockly.Msg.ARIA_DISCONNECTED = 'Detached %1';
+Blockly.Msg.ARIA_DELETED = 'Deleted %1';
+
+// Find and replace
+Blockly.Msg.SEARCH_PLACEHOLDER = 'Search';
+Blockly.Msg.SEARCH_REPLACE_PLACEHOLDER = 'Replace with';
+Blockly.Msg.SEARCH_RESULTS = '%1 of %2';
+Blockly.Msg.SEARCH_NO_RESULTS = 'No results';
+Blockly.Msg.SEARCH_PREVIOUS = 'Previous';
+Blockly.Msg.SEARCH_NEXT = 'Next';
+Blockly.Msg.SEARCH_REPLACE = 'Replace';
+Blockly.Msg.SEARCH_REPLACE_ALL = 'Replace all';
+Blockly.Msg.SEARCH_CLOSE = 'Close';
+
+// Toolbox search
+Blockly.Msg.TOOLBOX_SEARCH_PLACEHOLDER = 'Search blocks';
+Blockly.Msg.TOOLBOX_SEARCH_RESULTS = 'Blocks matching "%1"';
+Blockly.Msg.TOOLBOX_SEARCH_NO_RESULTS = 'No blocks match "%1"';
+
+// Lint
+Blockly.Msg.LINT_TITLE = 'Problems';
+Blockly.Msg.LINT_NO_PROBLEMS = 'No problems found';
+Blockly.Msg.LINT_UNUSED_VARIABLE = 'The variable "%1" is never used';
+Blockly.Msg.LINT_UNUSED_LIST = 'The list "%1" is never used';
+Blockly.Msg.LINT_UNRECEIVED_BROADCAST = 'Nothing receives the message "%1"';
+Blockly.Msg.LINT_UNREACHABLE = 'These blocks never run because the loop above never ends';
+Blockly.Msg.LINT_EMPTY_C_BLOCK = 'There are no blocks inside this block';
+Blockly.Msg.LINT_EMPTY_HAT = 'There are no blocks under this block';
+Blockly.Msg.LINT_UNDEFINED_PROCEDURE = 'The block "%1" is not defined';
+
 // Color
 Blockly.Msg.COLOUR_HUE_LABEL = 'Color';
 Blockly.Msg.COLOUR_SATURATION_LABEL = 'Saturation';
 Blockly.Msg.COLOUR_BRIGHTNESS_LABEL = 'Brightness';
 
+// Date
+Blockly.Msg.DATE_MONTH_JANUARY = 'January';
+Blockly.Msg.DATE_MONTH_FEBRUARY = 'February';
+Blockly.Msg.DATE_MONTH_MARCH = 'March';
+Blockly.Msg.DATE_MONTH_APRIL = 'April';
+Blockly.Msg.DATE_MONTH_MAY = 'May';
+Blockly.Msg.DATE_MONTH_JUNE = 'June';
+Blockly.Msg.DATE_MONTH_JULY = 'July';
+Blockly.Msg.DATE_MONTH_AUGUST = 'August';
+Blockly.Msg.DATE_MONTH_SEPTEMBER = 'September';
+Blockly.Msg.DATE_MONTH_OCTOBER = 'October';
+Blockly.Msg.DATE_MONTH_NOVEMBER = 'November';
+Blockly.Msg.DATE_MONTH_DECEMBER = 'December';
+Blockly.Msg.DATE_WEEKDAY_SUN = 'Sun';
+Blockly.Msg.DATE_WEEKDAY_MON = 'Mon';
+Blockly.Msg.DATE_WEEKDAY_TUE = 'Tue';
+Blockly.Msg.DATE_WEEKDAY_WED = 'Wed';
+Blockly.Msg.DATE_WEEKDAY_THU = 'Thu';
+Blockly.Msg.DATE_WEEKDAY_FRI = 'Fri';
+Blockly.Msg.DATE_WEEKDAY_SAT = 'Sat';
+Blockly.Msg.DATE_FORMAT = '%1 %2, %3';
+Blockly.Msg.DATE_MONTH_YEAR = '%1 %2';
+Blockly.Msg.DATE_PREVIOUS_MONTH = 'Previous month';
+Blockly.Msg.DATE_NEXT_MONTH = 'Next month';
+Blockly.Msg.DATE_TIME = 'Time';
+
+// LED matrix
+Blockly.Msg.MATRIX_CLEAR = 'Clear';
+Blockly.Msg.MATRIX_FILL = 'Fill';
+Blockly.Msg.MATRIX_INVERT = 'Invert';
+Blockly.Msg.MATRIX_SHIFT_UP = 'Shift up';
+Blockly.Msg.MATRIX_SHIFT_DOWN = 'Shift down';
+Blockly.Msg.MATRIX_SHIFT_LEFT = 'Shift left';
+Blockly.Msg.MATRIX_SHIFT_RIGHT = 'Shift right';
+Blockly.Msg.MATRIX_ROTATE = 'Rotate';
+Blockly.Msg.MATRIX_ADD_FRAME = 'Add frame';
+Blockly.Msg.MATRIX_DUPLICATE_FRAME = 'Duplicate frame';
+Blockly.Msg.MATRIX_DELETE_FRAME = 'Delete frame';
+Blockly.Msg.MATRIX_MOVE_FRAME_LEFT = 'Move frame left';
+Blockly.Msg.MATRIX_MOVE_FRAME_RIGHT = 'Move frame right';
+Blockly.Msg.MATRIX_PLAY = 'Play';
+Blockly.Msg.MATRIX_STOP = 'Stop';
+
 // Variables
 // @todo Remove these once fully managed by Scratch VM / Scratch GUI
 Blockly.Msg.CHANGE_VALUE_TITLE = 'Change value:';
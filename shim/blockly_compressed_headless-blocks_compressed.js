@@ -0,0 +1 @@
+module.exports = require('imports-loader?Blockly=./shim/blockly_compressed_headless.Blockly!exports-loader?Blockly!../blocks_compressed');
@@ -0,0 +1 @@
+module.exports = require('./blockly_compressed_headless').goog;
@@ -0,0 +1 @@
+module.exports = require('exports-loader?Blockly&goog!../blockly_compressed_headless');
@@ -0,0 +1 @@
+module.exports = require('imports-loader?Blockly=../shim/blocks_compressed_vertical-blockly_compressed_headless,goog=../shim/blockly_compressed_headless.goog!exports-loader?Blockly!../msg/messages');
@@ -0,0 +1 @@
+module.exports = require('imports-loader?goog=./shim/blockly_compressed_headless.goog,Blockly=./shim/blockly_compressed_headless-blocks_compressed!exports-loader?Blockly!../blocks_compressed_vertical');
@@ -10,6 +10,14 @@
  *     blocks_compressed +
  *     blocks_compressed_[horizontal, vertical] +
  *     msg/messages
+ *
+ * Headless (./headless, not exported here) is for Node.js without a DOM.  It
+ * exports Blockly out of
+ *     blockly_compressed_headless +
+ *     blocks_compressed +
+ *     blocks_compressed_vertical +
+ *     msg/messages +
+ *     msg/scratch_msgs
 **/
 module.exports = {
     Horizontal: require('./horizontal'),
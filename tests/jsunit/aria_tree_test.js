@@ -0,0 +1,178 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var ariaTreeTest_workspace;
+var ariaTreeTest_tree;
+var ariaTreeTest_restoreMessages;
+
+function ariaTreeTest_setUp() {
+  ariaTreeTest_restoreMessages = setTestMessages({
+    'ARIA_WORKSPACE': 'Scripts',
+    'ARIA_STACK': 'Script %1: %2',
+    'ARIA_VALUE_INPUT': 'Slot: %1',
+    'ARIA_EMPTY_INPUT': 'empty',
+    'ARIA_STATEMENT_INPUT': 'Inner script',
+    'ARIA_EMPTY_STATEMENT_INPUT': 'Empty inner script',
+    'ARIA_FIELD': '%1, editable',
+    'ARIA_CONNECTED': 'Attached %1 to %2',
+    'ARIA_DISCONNECTED': 'Detached %1',
+    'ARIA_DELETED': 'Deleted %1'
+  });
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'aria_tree_test_step',
+    'message0': 'move %1 steps',
+    'args0': [{'type': 'field_input', 'name': 'STEPS', 'text': '10'}],
+    'previousStatement': null,
+    'nextStatement': null
+  }, {
+    'type': 'aria_tree_test_repeat',
+    'message0': 'repeat %1 %2',
+    'args0': [
+      {'type': 'input_value', 'name': 'TIMES'},
+      {'type': 'input_statement', 'name': 'SUBSTACK'}
+    ],
+    'previousStatement': null,
+    'nextStatement': null
+  }, {
+    'type': 'aria_tree_test_number',
+    'message0': '%1',
+    'args0': [{'type': 'field_input', 'name': 'NUM', 'text': '3'}],
+    'output': null
+  }]);
+  Blockly.Events.fire = temporary_fireEvent;
+  ariaTreeTest_workspace = Blockly.inject('blocklyDiv', {'scrollbars': true});
+  ariaTreeTest_tree = new Blockly.AriaTree(ariaTreeTest_workspace);
+  Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(
+      '<xml>' +
+      '  <block type="aria_tree_test_repeat" id="repeat" x="0" y="0">' +
+      '    <value name="TIMES">' +
+      '      <shadow type="aria_tree_test_number" id="times"></shadow>' +
+      '    </value>' +
+      '    <statement name="SUBSTACK">' +
+      '      <block type="aria_tree_test_step" id="inner"></block>' +
+      '    </statement>' +
+      '  </block>' +
+      '  <block type="aria_tree_test_step" id="loose" x="0" y="300"></block>' +
+      '</xml>'), ariaTreeTest_workspace);
+}
+
+function ariaTreeTest_tearDown() {
+  ariaTreeTest_tree.dispose();
+  ariaTreeTest_workspace.dispose();
+  Blockly.Events.fire = savedFireFunc;
+  delete Blockly.Blocks['aria_tree_test_step'];
+  delete Blockly.Blocks['aria_tree_test_repeat'];
+  delete Blockly.Blocks['aria_tree_test_number'];
+  ariaTreeTest_restoreMessages();
+}
+
+/**
+ * Describe a tree item and the items inside it, e.g.
+ * ['Slot: 3', ['3, editable']].
+ * @param {!Element} item The tree item.
+ * @return {!Array} The item's label, followed by its children if it has any.
+ */
+function ariaTreeTest_describe(item) {
+  var description = [item.getAttribute('aria-label')];
+  var group = item.lastChild;
+  if (group) {
+    assertEquals('group', group.getAttribute('role'));
+    var children = [];
+    for (var i = 0; i < group.childNodes.length; i++) {
+      assertEquals('treeitem', group.childNodes[i].getAttribute('role'));
+      children.push(ariaTreeTest_describe(group.childNodes[i]));
+    }
+    description.push(children);
+  }
+  return description;
+}
+
+function test_ariaTree_blockLabel() {
+  ariaTreeTest_setUp();
+  try {
+    var workspace = ariaTreeTest_workspace;
+    assertEquals('repeat 3',
+        Blockly.AriaTree.getBlockLabel(workspace.getBlockById('repeat')));
+    workspace.getBlockById('times').getField('NUM').setValue('5');
+    assertEquals('repeat 5',
+        Blockly.AriaTree.getBlockLabel(workspace.getBlockById('repeat')));
+    var empty = workspace.newBlock('aria_tree_test_repeat');
+    assertEquals('repeat empty', Blockly.AriaTree.getBlockLabel(empty));
+  } finally {
+    ariaTreeTest_tearDown();
+  }
+}
+
+function test_ariaTree_structure() {
+  ariaTreeTest_setUp();
+  try {
+    var tree = ariaTreeTest_tree.createDom();
+    assertEquals('tree', tree.getAttribute('role'));
+    assertEquals(ariaTreeTest_workspace.getInjectionDiv(), tree.parentNode);
+    assertEquals(2, tree.childNodes.length);
+    assertArrayEquals(['Script 1: repeat 3', [
+      ['repeat 3', [
+        ['Slot: 3', [['3, editable']]],
+        ['Inner script', [
+          ['move 10 steps', [['10, editable']]]
+        ]]
+      ]]
+    ]], ariaTreeTest_describe(tree.childNodes[0]));
+    assertArrayEquals(['Script 2: move 10 steps', [
+      ['move 10 steps', [['10, editable']]]
+    ]], ariaTreeTest_describe(tree.childNodes[1]));
+
+    ariaTreeTest_workspace.getBlockById('inner').select();
+    var active = document.getElementById(
+        tree.getAttribute('aria-activedescendant'));
+    assertEquals('The selected block is the active item', 'move 10 steps',
+        active.getAttribute('aria-label'));
+    assertTrue(goog.dom.contains(tree.childNodes[0], active));
+  } finally {
+    ariaTreeTest_tearDown();
+  }
+}
+
+function test_ariaTree_announce() {
+  ariaTreeTest_setUp();
+  try {
+    var workspace = ariaTreeTest_workspace;
+    var aria = ariaTreeTest_tree;
+    aria.createDom();
+    var inner = workspace.getBlockById('inner');
+    var loose = workspace.getBlockById('loose');
+    inner.nextConnection.connect(loose.previousConnection);
+    assertEquals('Attached move 10 steps to move 10 steps',
+        aria.getAnnouncement());
+    workspace.getBlockById('repeat').getInput('SUBSTACK').connection
+        .disconnect();
+    assertEquals('Detached move 10 steps', aria.getAnnouncement());
+    inner.dispose(true);
+    assertEquals('Deleted move 10 steps', aria.getAnnouncement());
+
+    aria.render();
+    assertArrayEquals('The tree follows the workspace',
+        ['Script 2: move 10 steps', [['move 10 steps', [['10, editable']]]]],
+        ariaTreeTest_describe(aria.getTree().childNodes[1]));
+  } finally {
+    ariaTreeTest_tearDown();
+  }
+}
@@ -0,0 +1,314 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var collaborationServer;
+var collaborationClients;
+
+function collaborationTest_setUp(opt_xml) {
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'collaboration_test_block',
+    'message0': '%1',
+    'args0': [{'type': 'field_input', 'name': 'TEXT', 'text': ''}],
+    'previousStatement': null,
+    'nextStatement': null
+  }]);
+  Blockly.Events.fire = temporary_fireEvent;
+  collaborationServer = new Blockly.Collaboration.Server({xml: opt_xml});
+  collaborationClients = [];
+}
+
+function collaborationTest_tearDown() {
+  for (var i = 0, client; client = collaborationClients[i]; i++) {
+    client.dispose();
+    client.workspace_.dispose();
+  }
+  collaborationServer.getWorkspace().dispose();
+  Blockly.Events.fire = savedFireFunc;
+  delete Blockly.Blocks['collaboration_test_block'];
+}
+
+/**
+ * Connect a new client with its own workspace to the server.
+ * @param {string} name Name of the user.
+ * @return {!Blockly.Collaboration.Client} The client.
+ */
+function collaborationTest_connect(name) {
+  var connection;
+  var client = new Blockly.Collaboration.Client(new Blockly.Workspace(),
+      function(message) {
+        connection.send(message);
+      });
+  connection = collaborationServer.connect(client.receive.bind(client), name);
+  client.connection = connection;
+  collaborationClients.push(client);
+  collaborationServer.flush();
+  return client;
+}
+
+/**
+ * Check that the server and every client have the same project.
+ * @return {string} Text of the project.
+ */
+function collaborationTest_assertConverged() {
+  var text = Blockly.Xml.domToText(
+      Blockly.Xml.workspaceToDom(collaborationServer.getWorkspace()));
+  for (var i = 0, client; client = collaborationClients[i]; i++) {
+    assertFalse(client.hasPendingChanges());
+    assertEquals(collaborationServer.getRevision(), client.getRevision());
+    assertEquals('Client ' + i + ' matches the server', text,
+        Blockly.Xml.domToText(Blockly.Xml.workspaceToDom(client.workspace_)));
+  }
+  return text;
+}
+
+var COLLABORATION_TEST_XML =
+    '<xml>' +
+    '  <variables><variable type="" id="v1">a</variable>' +
+    '    <variable type="" id="v2">b</variable></variables>' +
+    '  <block type="collaboration_test_block" id="s1" x="0" y="0"></block>' +
+    '  <block type="collaboration_test_block" id="s2" x="0" y="100"></block>' +
+    '</xml>';
+
+function test_collaboration_welcome() {
+  collaborationTest_setUp(COLLABORATION_TEST_XML);
+  try {
+    var ann = collaborationTest_connect('Ann');
+    var bob = collaborationTest_connect('Bob');
+    assertEquals(2, bob.workspace_.getTopBlocks().length);
+    assertEquals('a', bob.workspace_.getVariableById('v1').name);
+    assertNotEquals(ann.getColour(), bob.getColour());
+    var users = ann.getUsers();
+    assertEquals(1, users.length);
+    assertEquals('Bob', users[0].name);
+    assertEquals(bob.getColour(), users[0].colour);
+    assertEquals(ann.getUserId(), bob.getUsers()[0].userId);
+    collaborationTest_assertConverged();
+
+    bob.connection.close();
+    collaborationServer.flush();
+    assertEquals(0, ann.getUsers().length);
+  } finally {
+    collaborationTest_tearDown();
+  }
+}
+
+function test_collaboration_changesAreShared() {
+  collaborationTest_setUp();
+  try {
+    var ann = collaborationTest_connect('Ann');
+    var bob = collaborationTest_connect('Bob');
+    var block = ann.workspace_.newBlock('collaboration_test_block', 'new');
+    block.setFieldValue('hello', 'TEXT');
+    block.moveBy(20, 30);
+    ann.workspace_.createVariable('x', '', 'vx');
+    assertTrue(ann.hasPendingChanges());
+    collaborationServer.flush();
+    assertEquals('hello',
+        bob.workspace_.getBlockById('new').getFieldValue('TEXT'));
+    assertEquals('x', bob.workspace_.getVariableById('vx').name);
+    collaborationTest_assertConverged();
+  } finally {
+    collaborationTest_tearDown();
+  }
+}
+
+function test_collaboration_concurrentMoves() {
+  collaborationTest_setUp(COLLABORATION_TEST_XML);
+  try {
+    var ann = collaborationTest_connect('Ann');
+    var bob = collaborationTest_connect('Bob');
+    ann.workspace_.getBlockById('s1').moveBy(10, 10);
+    bob.workspace_.getBlockById('s1').moveBy(50, 50);
+    collaborationServer.flush();
+    collaborationTest_assertConverged();
+    var xy = ann.workspace_.getBlockById('s1').getRelativeToSurfaceXY();
+    assertEquals('Bob moved last', 50, xy.x);
+    assertEquals(50, xy.y);
+  } finally {
+    collaborationTest_tearDown();
+  }
+}
+
+function test_collaboration_concurrentMovesIntoEachOther() {
+  collaborationTest_setUp(COLLABORATION_TEST_XML);
+  try {
+    var ann = collaborationTest_connect('Ann');
+    var bob = collaborationTest_connect('Bob');
+    var annS1 = ann.workspace_.getBlockById('s1');
+    var annS2 = ann.workspace_.getBlockById('s2');
+    annS1.nextConnection.connect(annS2.previousConnection);
+    var bobS1 = bob.workspace_.getBlockById('s1');
+    var bobS2 = bob.workspace_.getBlockById('s2');
+    bobS2.nextConnection.connect(bobS1.previousConnection);
+    collaborationServer.flush();
+    collaborationTest_assertConverged();
+    assertEquals('Ann connected first',
+        's1', bob.workspace_.getBlockById('s2').getParent().id);
+    assertNull(bob.workspace_.getBlockById('s1').getParent());
+  } finally {
+    collaborationTest_tearDown();
+  }
+}
+
+function test_collaboration_deleteWhileEditing() {
+  collaborationTest_setUp(COLLABORATION_TEST_XML);
+  try {
+    var ann = collaborationTest_connect('Ann');
+    var bob = collaborationTest_connect('Bob');
+    ann.workspace_.getBlockById('s1').dispose();
+    bob.workspace_.getBlockById('s1').setFieldValue('edited', 'TEXT');
+    bob.workspace_.getBlockById('s2').setFieldValue('kept', 'TEXT');
+    collaborationServer.flush();
+    collaborationTest_assertConverged();
+    assertNull(bob.workspace_.getBlockById('s1'));
+    assertEquals('Other edits survive',
+        'kept', ann.workspace_.getBlockById('s2').getFieldValue('TEXT'));
+  } finally {
+    collaborationTest_tearDown();
+  }
+}
+
+function test_collaboration_renameRace() {
+  collaborationTest_setUp(COLLABORATION_TEST_XML);
+  try {
+    var ann = collaborationTest_connect('Ann');
+    var bob = collaborationTest_connect('Bob');
+    ann.workspace_.renameVariableById('v1', 'ann');
+    bob.workspace_.renameVariableById('v1', 'bob');
+    collaborationServer.flush();
+    collaborationTest_assertConverged();
+    assertEquals('Bob renamed last',
+        'bob', ann.workspace_.getVariableById('v1').name);
+
+    // Taking the same name for two variables: the first one wins.
+    ann.workspace_.renameVariableById('v1', 'c');
+    bob.workspace_.renameVariableById('v2', 'c');
+    collaborationServer.flush();
+    collaborationTest_assertConverged();
+    assertEquals('c', bob.workspace_.getVariableById('v1').name);
+    assertEquals('b', bob.workspace_.getVariableById('v2').name);
+  } finally {
+    collaborationTest_tearDown();
+  }
+}
+
+function test_collaboration_rejectedChange() {
+  collaborationTest_setUp(COLLABORATION_TEST_XML);
+  try {
+    var ann = collaborationTest_connect('Ann');
+    var bob = collaborationTest_connect('Bob');
+    // The server drops Ann's new block for reasons of its own.
+    var apply = collaborationServer.apply_;
+    collaborationServer.apply_ = function() {
+      collaborationServer.apply_ = apply;
+      return false;
+    };
+    var block = ann.workspace_.newBlock('collaboration_test_block', 'new');
+    block.setFieldValue('hello', 'TEXT');
+    ann.workspace_.getBlockById('s1').setFieldValue('kept', 'TEXT');
+    collaborationServer.flush();
+    collaborationTest_assertConverged();
+    assertNull(ann.workspace_.getBlockById('new'));
+    assertEquals('Later changes survive',
+        'kept', ann.workspace_.getBlockById('s1').getFieldValue('TEXT'));
+  } finally {
+    collaborationTest_tearDown();
+  }
+}
+
+function test_collaboration_unreadableEvent() {
+  collaborationTest_setUp(COLLABORATION_TEST_XML);
+  try {
+    var messages = [];
+    var connection = collaborationServer.connect(function(message) {
+      messages.push(message);
+    });
+    collaborationServer.flush();
+    connection.send({type: 'event', id: 1, event: {type: 'no_such_event'}});
+    collaborationServer.flush();
+    var ack = messages[messages.length - 1];
+    assertEquals('ack', ack.type);
+    assertEquals(1, ack.id);
+    assertFalse(ack.applied);
+    assertEquals(0, collaborationServer.getRevision());
+  } finally {
+    collaborationTest_tearDown();
+  }
+}
+
+function test_collaboration_presence() {
+  collaborationTest_setUp(COLLABORATION_TEST_XML);
+  try {
+    var ann = collaborationTest_connect('Ann');
+    var bob = collaborationTest_connect('Bob');
+    var event = new Blockly.Events.Ui(null, 'selected', null, 's1');
+    event.workspaceId = ann.workspace_.id;
+    Blockly.Events.fire(event);
+    collaborationServer.flush();
+    var users = bob.getUsers();
+    assertEquals('s1', users[0].blockId);
+    assertEquals(ann.getColour(), users[0].colour);
+    assertEquals('Selection is not a change', 0,
+        collaborationServer.getRevision());
+
+    var carl = collaborationTest_connect('Carl');
+    users = carl.getUsers();
+    assertEquals(2, users.length);
+    assertEquals('Late joiners see selections', 's1', users[0].blockId);
+  } finally {
+    collaborationTest_tearDown();
+  }
+}
+
+function test_collaboration_remoteHighlights() {
+  collaborationTest_setUp(COLLABORATION_TEST_XML);
+  var workspace = Blockly.inject('blocklyDiv', {});
+  try {
+    var connection;
+    var viewer = new Blockly.Collaboration.Client(workspace, function(message) {
+      connection.send(message);
+    });
+    connection = collaborationServer.connect(viewer.receive.bind(viewer));
+    var ann = collaborationTest_connect('Ann');
+    ann.connection.send({type: 'presence', blockId: 's1', x: 30, y: 40});
+    collaborationServer.flush();
+
+    var block = workspace.getBlockById('s1');
+    assertEquals(ann.getColour(), block.svgPath_.getAttribute('stroke'));
+    assertTrue(Blockly.utils.hasClass(block.getSvgRoot(),
+        'blocklyRemoteSelected'));
+    var cursor = workspace.getBubbleCanvas().querySelector(
+        '.blocklyRemoteCursor');
+    assertEquals('translate(30,40)', cursor.getAttribute('transform'));
+    assertEquals('Ann', cursor.textContent);
+
+    ann.connection.close();
+    collaborationServer.flush();
+    assertNotEquals(ann.getColour(), block.svgPath_.getAttribute('stroke'));
+    assertFalse(Blockly.utils.hasClass(block.getSvgRoot(),
+        'blocklyRemoteSelected'));
+    assertNull(cursor.parentNode);
+    viewer.dispose();
+  } finally {
+    workspace.dispose();
+    collaborationTest_tearDown();
+  }
+}
@@ -0,0 +1,188 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+goog.require('goog.testing.MockClock');
+
+var eventRecorderTest_workspace;
+var eventRecorderTest_clock;
+
+function eventRecorderTest_setUp() {
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'event_recorder_test_block',
+    'message0': '%1',
+    'args0': [{'type': 'field_input', 'name': 'TEXT', 'text': ''}],
+    'previousStatement': null,
+    'nextStatement': null
+  }]);
+  eventRecorderTest_clock = new goog.testing.MockClock(true);
+  Blockly.Events.fire = temporary_fireEvent;
+  eventRecorderTest_workspace = new Blockly.Workspace();
+}
+
+function eventRecorderTest_tearDown() {
+  eventRecorderTest_workspace.dispose();
+  Blockly.Events.fire = savedFireFunc;
+  eventRecorderTest_clock.uninstall();
+  delete Blockly.Blocks['event_recorder_test_block'];
+}
+
+/**
+ * Record a short session: a block is created, edited and moved.
+ * @return {!Object} The recording.
+ */
+function eventRecorderTest_record() {
+  var workspace = eventRecorderTest_workspace;
+  workspace.newBlock('event_recorder_test_block', 'first');
+  var recorder = new Blockly.EventRecorder(workspace);
+  recorder.start();
+  eventRecorderTest_clock.tick(1000);
+  Blockly.Events.setGroup(true);
+  var block = workspace.newBlock('event_recorder_test_block', 'second');
+  block.moveBy(0, 50);
+  Blockly.Events.setGroup(false);
+  eventRecorderTest_clock.tick(500);
+  block.setFieldValue('hello', 'TEXT');
+  eventRecorderTest_clock.tick(2000);
+  block.moveBy(100, 0);
+  recorder.stop();
+  block.setFieldValue('not recorded', 'TEXT');
+  return recorder.getRecording();
+}
+
+function test_eventRecorder_record() {
+  eventRecorderTest_setUp();
+  try {
+    var recording = eventRecorderTest_record();
+    assertEquals(Blockly.EventRecorder.VERSION, recording['version']);
+    assertEquals('Snapshot when recording started', 1,
+        Blockly.Xml.textToDom(recording['xml']).getElementsByTagName('block')
+        .length);
+    var events = recording['events'];
+    assertEquals('Time since the previous event', 1000, events[0][0]);
+    assertEquals(0, events[1][0]);
+    assertEquals(500, events[2][0]);
+    assertEquals(2000, events[events.length - 1][0]);
+    assertEquals(Blockly.Events.CREATE, events[0][1]['type']);
+    assertEquals('Groups are renumbered', '1', events[0][1]['group']);
+    assertEquals('1', events[1][1]['group']);
+    assertUndefined(events[2][1]['group']);
+    assertEquals('hello', events[2][1]['newValue']);
+  } finally {
+    eventRecorderTest_tearDown();
+  }
+}
+
+function test_eventRecorder_serialize() {
+  eventRecorderTest_setUp();
+  try {
+    var recorder = new Blockly.EventRecorder(eventRecorderTest_workspace);
+    recorder.start();
+    var block = eventRecorderTest_workspace.newBlock(
+        'event_recorder_test_block');
+    Blockly.Events.fire(new Blockly.Events.Ui(block, 'selected', null,
+        block.id));
+    Blockly.Events.fire(new Blockly.Events.EndBlockDrag(block, true));
+    var text = recorder.serialize();
+    var recording = Blockly.EventRecorder.parse(text);
+    var dragEvent = recording['events'][2][1];
+    assertEquals(Blockly.Events.END_DRAG, dragEvent['type']);
+    assertTrue('Dragged block is saved as text',
+        dragEvent['xml'].indexOf('event_recorder_test_block') != -1);
+    assertEquals('selected', recording['events'][1][1]['element']);
+
+    try {
+      Blockly.EventRecorder.parse('{"version": 99}');
+      fail('Parsed a recording of an unknown version');
+    } catch (e) {
+      assertTrue(e instanceof Error);
+    }
+  } finally {
+    eventRecorderTest_tearDown();
+  }
+}
+
+function test_eventPlayer_seek() {
+  eventRecorderTest_setUp();
+  var workspace = new Blockly.Workspace();
+  try {
+    var recording = eventRecorderTest_record();
+    var player = new Blockly.EventPlayer(workspace,
+        JSON.stringify(recording));
+    assertEquals(3500, player.getDuration());
+    assertEquals('Starts from the snapshot', 1, workspace.getAllBlocks().length);
+
+    player.seek(1500);
+    assertEquals(2, workspace.getAllBlocks().length);
+    var block = workspace.getBlockById('second');
+    assertEquals('hello', block.getFieldValue('TEXT'));
+    assertEquals(0, block.getRelativeToSurfaceXY().x);
+
+    player.seek(4000);
+    assertEquals('Clamped to the end', 3500, player.getTime());
+    assertEquals(100, workspace.getBlockById('second')
+        .getRelativeToSurfaceXY().x);
+
+    player.seek(999);
+    assertEquals('Backwards replays from the start', 1,
+        workspace.getAllBlocks().length);
+    assertFalse('Playback is not undoable', workspace.undoStack_.length > 0);
+  } finally {
+    workspace.dispose();
+    eventRecorderTest_tearDown();
+  }
+}
+
+function test_eventPlayer_play() {
+  eventRecorderTest_setUp();
+  var workspace = new Blockly.Workspace();
+  try {
+    var player = new Blockly.EventPlayer(workspace, eventRecorderTest_record());
+    player.play();
+    assertTrue(player.isPlaying());
+    eventRecorderTest_clock.tick(999);
+    assertNull(workspace.getBlockById('second'));
+    eventRecorderTest_clock.tick(1);
+    assertNotNull(workspace.getBlockById('second'));
+
+    player.pause();
+    eventRecorderTest_clock.tick(10000);
+    assertEquals(1000, player.getTime());
+    assertEquals('', workspace.getBlockById('second').getFieldValue('TEXT'));
+
+    player.setSpeed(2);
+    player.play();
+    eventRecorderTest_clock.tick(250);
+    assertEquals(1500, player.getTime());
+    assertEquals('hello',
+        workspace.getBlockById('second').getFieldValue('TEXT'));
+    eventRecorderTest_clock.tick(1000);
+    assertFalse('Stops at the end', player.isPlaying());
+    assertEquals(3500, player.getTime());
+
+    player.play();
+    assertEquals('Playing again starts over', 0, player.getTime());
+    assertNull(workspace.getBlockById('second'));
+    player.dispose();
+  } finally {
+    workspace.dispose();
+    eventRecorderTest_tearDown();
+  }
+}
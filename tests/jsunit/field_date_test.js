@@ -0,0 +1,215 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Tests for Blockly.FieldDate
+ */
+'use strict';
+
+var fieldDateTest_restoreMessages;
+
+function fieldDateTest_setUp() {
+  fieldDateTest_restoreMessages = setTestMessages({
+    'DATE_MONTH_JANUARY': 'January',
+    'DATE_MONTH_FEBRUARY': 'February',
+    'DATE_MONTH_MARCH': 'March',
+    'DATE_MONTH_APRIL': 'April',
+    'DATE_MONTH_MAY': 'May',
+    'DATE_MONTH_JUNE': 'June',
+    'DATE_MONTH_JULY': 'July',
+    'DATE_MONTH_AUGUST': 'August',
+    'DATE_MONTH_SEPTEMBER': 'September',
+    'DATE_MONTH_OCTOBER': 'October',
+    'DATE_MONTH_NOVEMBER': 'November',
+    'DATE_MONTH_DECEMBER': 'December',
+    'DATE_WEEKDAY_SUN': 'Sun',
+    'DATE_WEEKDAY_MON': 'Mon',
+    'DATE_WEEKDAY_TUE': 'Tue',
+    'DATE_WEEKDAY_WED': 'Wed',
+    'DATE_WEEKDAY_THU': 'Thu',
+    'DATE_WEEKDAY_FRI': 'Fri',
+    'DATE_WEEKDAY_SAT': 'Sat',
+    'DATE_FORMAT': '%1 %2, %3',
+    'DATE_MONTH_YEAR': '%1 %2',
+    'DATE_PREVIOUS_MONTH': 'Previous month',
+    'DATE_NEXT_MONTH': 'Next month',
+    'DATE_TIME': 'Time'
+  });
+}
+
+function fieldDateTest_tearDown() {
+  fieldDateTest_restoreMessages();
+}
+
+function test_fielddate_constructor() {
+  fieldDateTest_setUp();
+  try {
+    assertEquals(new Blockly.FieldDate('2019-03-14').getValue(), '2019-03-14');
+    assertEquals(new Blockly.FieldDate(' 2019-03-14 ').getValue(),
+        '2019-03-14');
+    assertEquals('The time is dropped', '2019-03-14',
+        new Blockly.FieldDate('2019-03-14T15:30').getValue());
+
+    // Bad and missing dates default to today.
+    var today = Blockly.FieldDate.toIsoString_(new Date(), false);
+    assertEquals(new Blockly.FieldDate().getValue(), today);
+    assertEquals(new Blockly.FieldDate('bad').getValue(), today);
+    assertEquals(new Blockly.FieldDate('2019-02-30').getValue(), today);
+    assertEquals(new Blockly.FieldDate('2019-13-01').getValue(), today);
+  } finally {
+    fieldDateTest_tearDown();
+  }
+}
+
+function test_fielddate_fromJson() {
+  fieldDateTest_setUp();
+  try {
+    assertEquals(Blockly.FieldDate.fromJson({value: '2020-02-29'}).getValue(),
+        '2020-02-29');
+    assertEquals(Blockly.FieldDate.fromJson({date: '2020-01-01'}).getValue(),
+        '2020-01-01');
+
+    var field = Blockly.FieldDate.fromJson({
+      value: '2020-01-01',
+      min: '2020-06-01',
+      max: '2020-06-30',
+      time: true
+    });
+    assertEquals(field.getValue(), '2020-06-01T00:00');
+    assertEquals(field.getMin(), '2020-06-01T00:00');
+    assertEquals(field.getMax(), '2020-06-30T23:59');
+
+    assertThrows(function() {
+      Blockly.FieldDate.fromJson({min: 'soon'});
+    });
+    assertThrows(function() {
+      Blockly.FieldDate.fromJson({min: '2020-02-01', max: '2020-01-01'});
+    });
+  } finally {
+    fieldDateTest_tearDown();
+  }
+}
+
+function test_fielddate_validator() {
+  fieldDateTest_setUp();
+  try {
+    var field = new Blockly.FieldDate('2019-06-15', null,
+        {min: '2019-01-01', max: '2019-12-31'});
+    assertEquals(field.classValidator('2019-07-04'), '2019-07-04');
+    assertEquals(field.classValidator('2018-07-04'), '2019-01-01');
+    assertEquals(field.classValidator('2020-07-04'), '2019-12-31');
+    assertEquals(field.classValidator('2019-07-04T10:00'), '2019-07-04');
+    assertNull(field.classValidator('2019-02-29'));
+    assertNull(field.classValidator('July 4th'));
+    assertNull(field.classValidator(null));
+
+    var timeField = new Blockly.FieldDate('2019-06-15T12:00', null,
+        {time: true, max: '2019-06-15T18:00'});
+    assertEquals(timeField.getValue(), '2019-06-15T12:00');
+    assertEquals('Dates get midnight', '2019-06-14T00:00',
+        timeField.classValidator('2019-06-14'));
+    assertEquals(timeField.classValidator('2019-06-15T19:00'),
+        '2019-06-15T18:00');
+    assertNull(timeField.classValidator('2019-06-15T24:00'));
+  } finally {
+    fieldDateTest_tearDown();
+  }
+}
+
+function test_fielddate_display() {
+  fieldDateTest_setUp();
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'field_date_test_block',
+    'message0': '%1',
+    'args0': [{'type': 'field_date', 'name': 'DATE', 'date': '2019-03-14'}],
+    'output': null
+  }]);
+  var workspace = new Blockly.Workspace();
+  try {
+    var block = workspace.newBlock('field_date_test_block');
+    var field = block.getField('DATE');
+    assertEquals('2019-03-14', field.getValue());
+    assertEquals('March 14, 2019', field.getText());
+    var xml = Blockly.Xml.blockToDom(block);
+    assertEquals('Dates are saved in ISO format', '2019-03-14',
+        xml.getElementsByTagName('field')[0].textContent);
+
+    Blockly.Msg.DATE_FORMAT = '%2 %1 %3';
+    field.setValue('2019-12-25');
+    assertEquals('25 December 2019', field.getText());
+
+    var timeField = new Blockly.FieldDate('2019-12-25T09:05', null,
+        {time: true});
+    assertEquals('25 December 2019 09:05', timeField.getText());
+  } finally {
+    workspace.dispose();
+    delete Blockly.Blocks['field_date_test_block'];
+    fieldDateTest_tearDown();
+  }
+}
+
+function test_fielddate_editor() {
+  fieldDateTest_setUp();
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'field_date_test_block',
+    'message0': '%1',
+    'args0': [{
+      'type': 'field_date',
+      'name': 'DATE',
+      'value': '2019-01-15',
+      'max': '2019-02-10'
+    }],
+    'output': null
+  }]);
+  var workspace = Blockly.inject('blocklyDiv', {'scrollbars': true});
+  try {
+    var block = workspace.newBlock('field_date_test_block');
+    block.initSvg();
+    block.render();
+    var field = block.getField('DATE');
+    field.showEditor_();
+    var content = Blockly.DropDownDiv.getContentDiv();
+    assertEquals('January 2019', content.getElementsByClassName(
+        'blocklyDateTitle')[0].textContent);
+    var days = content.getElementsByClassName('blocklyDateDay');
+    assertEquals(42, days.length);
+    assertEquals('2018-12-30', days[0].getAttribute('data-date'));
+    assertEquals('2019-01-15', content.getElementsByClassName(
+        'blocklyDateSelected')[0].getAttribute('data-date'));
+
+    // Move on a month; days after the max can't be picked.
+    content.getElementsByClassName('blocklyDateNav')[1].click();
+    assertEquals('February 2019', content.getElementsByClassName(
+        'blocklyDateTitle')[0].textContent);
+    var disabled = content.getElementsByClassName('blocklyDateDisabled');
+    assertEquals('2019-02-11', disabled[0].getAttribute('data-date'));
+    disabled[0].click();
+    assertEquals('2019-01-15', field.getValue());
+
+    content.querySelector('[data-date="2019-02-01"]').click();
+    assertEquals('2019-02-01', field.getValue());
+    assertNull('The picker closed', field.calendarBody_);
+  } finally {
+    Blockly.DropDownDiv.hideWithoutAnimation();
+    workspace.dispose();
+    delete Blockly.Blocks['field_date_test_block'];
+    fieldDateTest_tearDown();
+  }
+}
@@ -0,0 +1,280 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Tests for Blockly.FieldMatrix
+ */
+'use strict';
+
+function test_fieldmatrix_constructor() {
+  assertEquals(new Blockly.FieldMatrix().getValue(), Blockly.FieldMatrix.ZEROS);
+  assertEquals(new Blockly.FieldMatrix(Blockly.FieldMatrix.ONES).getValue(),
+      Blockly.FieldMatrix.ONES);
+  assertEquals('Short values are padded', '1010000000000000000000000',
+      new Blockly.FieldMatrix('101').getValue());
+  assertEquals(new Blockly.FieldMatrix('bad').getValue(),
+      Blockly.FieldMatrix.ZEROS);
+  assertEquals('Levels are clamped', '1200000000000000000000000',
+      new Blockly.FieldMatrix('19', null, {levels: 2}).getValue());
+}
+
+function test_fieldmatrix_fromJson() {
+  var field = Blockly.FieldMatrix.fromJson({rows: 8, columns: 16});
+  assertEquals(8, field.getRows());
+  assertEquals(16, field.getColumns());
+  assertEquals(128, field.getValue().length);
+
+  field = Blockly.FieldMatrix.fromJson({
+    matrix: '0123',
+    rows: 2,
+    columns: 2,
+    colours: ['#ff0000', 'lime', '#00F']
+  });
+  assertEquals('0123', field.getValue());
+  assertEquals('#00ff00', field.getLedColour_('2', '#000000'));
+
+  assertThrows(function() {
+    Blockly.FieldMatrix.fromJson({rows: 0});
+  });
+  assertThrows(function() {
+    Blockly.FieldMatrix.fromJson({columns: 2.5});
+  });
+  assertThrows(function() {
+    Blockly.FieldMatrix.fromJson({levels: 10});
+  });
+  assertThrows(function() {
+    Blockly.FieldMatrix.fromJson({colours: ['#ff0000', 'not a colour']});
+  });
+}
+
+function test_fieldmatrix_legacyValue() {
+  var field = new Blockly.FieldMatrix('1000001000001000001000001', null,
+      {rows: 8, columns: 8});
+  var expected = '10000000' + '01000000' + '00100000' + '00010000' +
+      '00001000' + '00000000' + '00000000' + '00000000';
+  assertEquals('5x5 images are drawn in the corner', expected,
+      field.getValue());
+}
+
+function test_fieldmatrix_brightness() {
+  var field = new Blockly.FieldMatrix('', null, {levels: 4});
+  assertEquals('#000000', field.getLedColour_('0', '#000000'));
+  assertEquals('#808080', field.getLedColour_('2', '#000000'));
+  assertEquals('#ffffff', field.getLedColour_('4', '#000000'));
+  assertEquals('Invert reverses levels', '4310',
+      field.invertImage_('0134'));
+
+  var binary = new Blockly.FieldMatrix();
+  assertEquals('#ffffff', binary.getLedColour_('1', '#000000'));
+  assertEquals('10', binary.invertImage_('01'));
+}
+
+function test_fieldmatrix_tools() {
+  var field = new Blockly.FieldMatrix('', null, {rows: 2, columns: 3});
+  assertEquals('Shift right wraps', '312645', field.shiftImage_('123456', 1, 0));
+  assertEquals('Shift up wraps', '456123', field.shiftImage_('123456', 0, -1));
+  assertEquals('Non-square matrices turn upside down', '654321',
+      field.rotateImage_('123456'));
+
+  var square = new Blockly.FieldMatrix('', null, {rows: 3, columns: 3});
+  // 1 2 3      7 4 1
+  // 4 5 6  ->  8 5 2
+  // 7 8 9      9 6 3
+  assertEquals('741852963', square.rotateImage_('123456789'));
+}
+
+function test_fieldmatrix_editor() {
+  var restoreMessages = setTestMessages({
+    'MATRIX_CLEAR': 'Clear',
+    'MATRIX_FILL': 'Fill',
+    'MATRIX_INVERT': 'Invert',
+    'MATRIX_SHIFT_UP': 'Shift up',
+    'MATRIX_SHIFT_DOWN': 'Shift down',
+    'MATRIX_SHIFT_LEFT': 'Shift left',
+    'MATRIX_SHIFT_RIGHT': 'Shift right',
+    'MATRIX_ROTATE': 'Rotate'
+  });
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'field_matrix_test_block',
+    'message0': '%1',
+    'args0': [{
+      'type': 'field_matrix',
+      'name': 'MATRIX',
+      'rows': 8,
+      'columns': 16,
+      'levels': 3
+    }],
+    'output': null
+  }]);
+  var workspace = Blockly.inject('blocklyDiv', {'scrollbars': true});
+  try {
+    var block = workspace.newBlock('field_matrix_test_block');
+    block.initSvg();
+    block.render();
+    var field = block.getField('MATRIX');
+    assertEquals(128, field.ledThumbNodes_.length);
+    field.showEditor_();
+    var content = Blockly.DropDownDiv.getContentDiv();
+    assertEquals(128, content.getElementsByTagName('svg')[0]
+        .getElementsByTagName('rect').length);
+    var swatches = content.getElementsByClassName('scratchMatrixSwatch');
+    assertEquals(3, swatches.length);
+    assertTrue(Blockly.utils.hasClass(swatches[2],
+        'scratchMatrixSwatchSelected'));
+
+    var mousedown = function(element) {
+      var e = document.createEvent('MouseEvents');
+      e.initMouseEvent('mousedown', true, true, window, 0, 0, 0, 0, 0,
+          false, false, false, false, 0, null);
+      element.dispatchEvent(e);
+    };
+    mousedown(swatches[0]);
+    assertTrue(Blockly.utils.hasClass(swatches[0],
+        'scratchMatrixSwatchSelected'));
+    var buttons = content.getElementsByClassName('scratchMatrixButtonDiv');
+    assertEquals(Blockly.Msg.MATRIX_FILL, buttons[1].title);
+    mousedown(buttons[1].firstChild);
+    assertEquals('Fill paints with the chosen level',
+        new Array(129).join('1'), field.getValue());
+    assertEquals(Blockly.Msg.MATRIX_INVERT, buttons[2].title);
+    mousedown(buttons[2].firstChild);
+    assertEquals(new Array(129).join('2'), field.getValue());
+  } finally {
+    Blockly.DropDownDiv.hideWithoutAnimation();
+    workspace.dispose();
+    delete Blockly.Blocks['field_matrix_test_block'];
+    restoreMessages();
+  }
+}
+
+function test_fieldmatrix_frames() {
+  var field = new Blockly.FieldMatrix('1,01', null,
+      {rows: 1, columns: 2, frames: true});
+  assertEquals('10,01', field.getValue());
+  assertArrayEquals(['10', '01'], field.getFrames());
+  assertEquals('Old values are one frame', Blockly.FieldMatrix.ONES,
+      new Blockly.FieldMatrix(Blockly.FieldMatrix.ONES, null, {frames: true})
+          .getValue());
+  assertNull(field.classValidator('10,ab'));
+  assertNull('Only animations have frames',
+      new Blockly.FieldMatrix().classValidator('1,1'));
+
+  field.addFrame_(true);
+  assertEquals('10,10,01', field.getValue());
+  assertEquals(1, field.currentFrame_);
+  field.addFrame_(false);
+  assertEquals('10,10,00,01', field.getValue());
+  field.moveFrame_(1);
+  assertEquals('10,10,01,00', field.getValue());
+  assertEquals(3, field.currentFrame_);
+  field.moveFrame_(1);
+  assertEquals('Frames stop at the end', '10,10,01,00', field.getValue());
+  field.deleteFrame_();
+  assertEquals('10,10,01', field.getValue());
+  assertEquals(2, field.currentFrame_);
+  field.setImage_('11');
+  assertEquals('10,10,11', field.getValue());
+
+  var single = new Blockly.FieldMatrix('11', null,
+      {rows: 1, columns: 2, frames: true});
+  single.deleteFrame_();
+  assertEquals('The last frame is cleared', '00', single.getValue());
+}
+
+function test_fieldmatrix_framesEditor() {
+  var restoreMessages = setTestMessages({
+    'MATRIX_ADD_FRAME': 'Add frame',
+    'MATRIX_DUPLICATE_FRAME': 'Duplicate frame',
+    'MATRIX_DELETE_FRAME': 'Delete frame',
+    'MATRIX_MOVE_FRAME_LEFT': 'Move frame left',
+    'MATRIX_MOVE_FRAME_RIGHT': 'Move frame right',
+    'MATRIX_PLAY': 'Play',
+    'MATRIX_STOP': 'Stop'
+  });
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'field_matrix_test_block',
+    'message0': '%1',
+    'args0': [{
+      'type': 'field_matrix',
+      'name': 'MATRIX',
+      'matrix': '10,00',
+      'rows': 1,
+      'columns': 2,
+      'frames': true
+    }],
+    'output': null
+  }]);
+  var workspace = Blockly.inject('blocklyDiv', {'scrollbars': true});
+  try {
+    var block = workspace.newBlock('field_matrix_test_block');
+    block.initSvg();
+    block.render();
+    var field = block.getField('MATRIX');
+    field.showEditor_();
+    var content = Blockly.DropDownDiv.getContentDiv();
+    var frames = content.getElementsByClassName('scratchMatrixFrame');
+    assertEquals(2, frames.length);
+    assertTrue(Blockly.utils.hasClass(frames[0], 'scratchMatrixFrameSelected'));
+
+    var mousedown = function(element) {
+      var e = document.createEvent('MouseEvents');
+      e.initMouseEvent('mousedown', true, true, window, 0, 0, 0, 0, 0,
+          false, false, false, false, 0, null);
+      element.dispatchEvent(e);
+    };
+    mousedown(frames[1].firstChild);
+    assertEquals(1, field.currentFrame_);
+    var leds = content.getElementsByTagName('svg')[0]
+        .getElementsByTagName('rect');
+    var offColour = block.getColourSecondary();
+    var onionColour = goog.color.rgbArrayToHex(goog.color.blend(
+        [255, 255, 255], goog.color.hexToRgb(offColour),
+        Blockly.FieldMatrix.ONION_SKIN_OPACITY));
+    assertEquals('The previous frame shows through', onionColour,
+        leds[0].getAttribute('fill'));
+    assertEquals(offColour, leds[1].getAttribute('fill'));
+
+    var buttons = content.getElementsByClassName('scratchMatrixButtonDiv');
+    var play = buttons[buttons.length - 1];
+    assertEquals(Blockly.Msg.MATRIX_PLAY, play.title);
+    mousedown(play.firstChild);
+    assertNotNull(field.previewTimer_);
+    assertEquals(Blockly.Msg.MATRIX_STOP, play.title);
+    assertEquals('No onion skin while playing', offColour,
+        leds[0].getAttribute('fill'));
+    mousedown(play.firstChild);
+    assertNull(field.previewTimer_);
+
+    assertEquals(Blockly.Msg.MATRIX_DUPLICATE_FRAME,
+        buttons[buttons.length - 5].title);
+    mousedown(buttons[buttons.length - 5].firstChild);
+    assertEquals('10,00,00', field.getValue());
+    assertEquals(3, content.getElementsByClassName('scratchMatrixFrame')
+        .length);
+
+    Blockly.DropDownDiv.hideWithoutAnimation();
+    assertEquals('The block shows the first frame', 0, field.currentFrame_);
+  } finally {
+    Blockly.DropDownDiv.hideWithoutAnimation();
+    workspace.dispose();
+    delete Blockly.Blocks['field_matrix_test_block'];
+    restoreMessages();
+  }
+}
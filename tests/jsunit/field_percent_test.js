@@ -0,0 +1,89 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Tests for Blockly.FieldPercent
+ */
+'use strict';
+
+function test_fieldpercent_constructor() {
+  assertEquals(new Blockly.FieldPercent().getValue(), '0');
+  assertEquals(new Blockly.FieldPercent(null).getValue(), '0');
+  assertEquals(new Blockly.FieldPercent(50).getValue(), '50');
+  assertEquals(new Blockly.FieldPercent('12.5').getValue(), '12.5');
+
+  // Values are clamped to the range, not wrapped.
+  assertEquals(new Blockly.FieldPercent(150).getValue(), '100');
+  assertEquals(new Blockly.FieldPercent(-5).getValue(), '0');
+  assertEquals(new Blockly.FieldPercent(370, 0, 400).getValue(), '370');
+
+  // Bad values default to the minimum.
+  assertEquals(new Blockly.FieldPercent('bad').getValue(), '0');
+  assertEquals(new Blockly.FieldPercent('bad', 10).getValue(), '10');
+}
+
+function test_fieldpercent_fromJson() {
+  assertEquals(Blockly.FieldPercent.fromJson({}).getValue(), '0');
+  assertEquals(Blockly.FieldPercent.fromJson({value: 90}).getValue(), '90');
+  assertEquals(Blockly.FieldPercent.fromJson({percent: 30}).getValue(), '30');
+
+  var field = Blockly.FieldPercent.fromJson({
+    value: 33,
+    min: 20,
+    max: 80,
+    precision: 5
+  });
+  assertEquals(field.getValue(), '35');
+  assertEquals(field.getMin(), 20);
+  assertEquals(field.getMax(), 80);
+}
+
+function test_fieldpercent_validator() {
+  var field = new Blockly.FieldPercent(0, -50, 50, 0.1);
+  assertEquals(field.classValidator('12.34'), '12.3');
+  assertEquals(field.classValidator('0.3'), '0.3');
+  assertEquals(field.classValidator('25%'), '25');
+  assertEquals(field.classValidator('-75'), '-50');
+  assertEquals(field.classValidator('75'), '50');
+  assertNull(field.classValidator('abc'));
+  assertNull(field.classValidator(null));
+}
+
+function test_fieldpercent_display() {
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'field_percent_test_block',
+    'message0': '%1',
+    'args0': [{'type': 'field_percent', 'name': 'NUM', 'value': 40}],
+    'output': 'Number'
+  }]);
+  var workspace = new Blockly.Workspace();
+  try {
+    var block = workspace.newBlock('field_percent_test_block');
+    var field = block.getField('NUM');
+    assertEquals('40', field.getValue());
+    assertEquals('40%', field.getDisplayText_());
+    var xml = Blockly.Xml.blockToDom(block);
+    assertEquals('Values are saved as plain numbers', '40',
+        xml.getElementsByTagName('field')[0].textContent);
+  } finally {
+    workspace.dispose();
+    delete Blockly.Blocks['field_percent_test_block'];
+  }
+}
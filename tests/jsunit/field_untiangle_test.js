@@ -0,0 +1,129 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Tests for Blockly.FieldUntiangle
+ */
+'use strict';
+
+function test_fielduntiangle_constructor() {
+  assertEquals(new Blockly.FieldUntiangle().getValue(), '0');
+  assertEquals(new Blockly.FieldUntiangle(null).getValue(), '0');
+  assertEquals(new Blockly.FieldUntiangle(undefined).getValue(), '0');
+  assertEquals(new Blockly.FieldUntiangle(1).getValue(), '1');
+  assertEquals(new Blockly.FieldUntiangle(1.5).getValue(), '1.5');
+  assertEquals(new Blockly.FieldUntiangle('2').getValue(), '2');
+  assertEquals(new Blockly.FieldUntiangle('2.5').getValue(), '2.5');
+  assertEquals(new Blockly.FieldUntiangle(270).getValue(), '-90');
+
+  // Bad values
+  assertEquals(new Blockly.FieldUntiangle('bad').getValue(), '0');
+  assertEquals(new Blockly.FieldUntiangle(NaN).getValue(), '0');
+}
+
+function test_fielduntiangle_fromJson() {
+  assertEquals(Blockly.FieldUntiangle.fromJson({}).getValue(), '0');
+  assertEquals(Blockly.FieldUntiangle.fromJson({value: 90}).getValue(), '90');
+  assertEquals(
+      Blockly.FieldUntiangle.fromJson({untiangle: 45}).getValue(), '45');
+
+  var field = Blockly.FieldUntiangle.fromJson({
+    value: 270,
+    wrap: 360,
+    round: 5,
+    clockwise: true,
+    offset: 0,
+    halfCircle: false
+  });
+  assertEquals(field.getValue(), '270');
+  assertEquals(field.getConfig()['wrap'], 360);
+  assertEquals(field.getConfig()['round'], 5);
+  assertTrue(field.getConfig()['clockwise']);
+  assertEquals(field.getConfig()['offset'], 0);
+  assertFalse(field.getConfig()['halfCircle']);
+}
+
+function test_fielduntiangle_defaults() {
+  var config = new Blockly.FieldUntiangle().getConfig();
+  assertEquals(config['wrap'], Blockly.FieldUntiangle.WRAP);
+  assertEquals(config['round'], Blockly.FieldUntiangle.ROUND);
+  assertEquals(config['clockwise'], Blockly.FieldUntiangle.CLOCKWISE);
+  assertEquals(config['offset'], Blockly.FieldUntiangle.OFFSET);
+  assertFalse(config['halfCircle']);
+
+  // Settings belong to each field.
+  var compass = new Blockly.FieldUntiangle(0, null, {wrap: 360});
+  var protractor = new Blockly.FieldUntiangle(0, null, {wrap: 180});
+  assertEquals(compass.classValidator('270'), '270');
+  assertEquals(protractor.classValidator('270'), '-90');
+}
+
+function test_fielduntiangle_validator() {
+  var field = new Blockly.FieldUntiangle(0, null, {wrap: 360});
+  assertEquals(field.classValidator('-90'), '270');
+  assertEquals(field.classValidator('720'), '0');
+  assertEquals(field.classValidator('360'), '0');
+  assertNull(field.classValidator('bad'));
+  assertNull(field.classValidator(null));
+
+  // A half-circle dial clamps to whichever end is closer.
+  var half = new Blockly.FieldUntiangle(0, null, {halfCircle: true});
+  assertEquals(half.classValidator('90'), '90');
+  assertEquals(half.classValidator('200'), '180');
+  assertEquals(half.classValidator('-10'), '0');
+  assertEquals(half.classValidator('-170'), '180');
+
+  var centred = new Blockly.FieldUntiangle(0, null,
+      {wrap: 90, halfCircle: true});
+  assertEquals(centred.classValidator('-45'), '-45');
+  assertEquals(centred.classValidator('135'), '90');
+  assertEquals(centred.classValidator('225'), '-90');
+}
+
+function test_fielduntiangle_badConfig() {
+  assertThrows(function() {
+    new Blockly.FieldUntiangle(0, null, {wrap: 400});
+  });
+  assertThrows(function() {
+    new Blockly.FieldUntiangle(0, null, {wrap: -1});
+  });
+  assertThrows(function() {
+    new Blockly.FieldUntiangle(0, null, {round: -15});
+  });
+  assertThrows(function() {
+    Blockly.FieldUntiangle.fromJson({offset: 'up'});
+  });
+}
+
+function test_fielduntiangle_dial() {
+  // Counterclockwise from the top: 90 degrees points left.
+  var field = new Blockly.FieldUntiangle();
+  var point = field.getDialPoint_(90);
+  assertRoughlyEquals(Blockly.FieldUntiangle.HALF -
+      Blockly.FieldUntiangle.RADIUS, point.x, 1e-9);
+  assertRoughlyEquals(Blockly.FieldUntiangle.HALF, point.y, 1e-9);
+
+  // Clockwise from the right: 90 degrees points down.
+  field = new Blockly.FieldUntiangle(0, null, {clockwise: true, offset: 0});
+  point = field.getDialPoint_(90);
+  assertRoughlyEquals(Blockly.FieldUntiangle.HALF, point.x, 1e-9);
+  assertRoughlyEquals(Blockly.FieldUntiangle.HALF +
+      Blockly.FieldUntiangle.RADIUS, point.y, 1e-9);
+}
@@ -26,3 +26,90 @@ function test_prefix() {
   assertEquals('Prefix one line.', '12Hello\n', generator.prefixLines('Hello\n', '12'));
   assertEquals('Prefix two lines.', '***Hello\n***World\n', generator.prefixLines('Hello\nWorld\n', '***'));
 }
+
+function generatorTest_setUpSourceMap() {
+  Blockly.defineBlocksWithJsonArray([
+    {
+      'type': 'generator_test_loop',
+      'message0': 'loop %1',
+      'args0': [{'type': 'input_statement', 'name': 'DO'}],
+      'previousStatement': null,
+      'nextStatement': null
+    },
+    {
+      'type': 'generator_test_print',
+      'message0': 'print %1',
+      'args0': [{'type': 'input_value', 'name': 'VALUE'}],
+      'previousStatement': null,
+      'nextStatement': null
+    },
+    {
+      'type': 'generator_test_number',
+      'message0': '42',
+      'output': null
+    }
+  ]);
+  var generator = new Blockly.Generator('INTERCAL');
+  generator['generator_test_loop'] = function(block) {
+    return 'loop {\n' + generator.statementToCode(block, 'DO') + '}\n';
+  };
+  generator['generator_test_print'] = function(block) {
+    return 'print(' + generator.valueToCode(block, 'VALUE', 0) + ');\n';
+  };
+  generator['generator_test_number'] = function(_block) {
+    return ['42', 0];
+  };
+  generator.scrub_ = function(block, code) {
+    return code + generator.blockToCode(block.getNextBlock());
+  };
+  return generator;
+}
+
+function generatorTest_tearDownSourceMap() {
+  delete Blockly.Blocks['generator_test_loop'];
+  delete Blockly.Blocks['generator_test_print'];
+  delete Blockly.Blocks['generator_test_number'];
+}
+
+function test_workspaceToCode_sourceMap() {
+  var generator = generatorTest_setUpSourceMap();
+  var workspace = new Blockly.Workspace();
+  try {
+    var loop = workspace.newBlock('generator_test_loop', 'loop');
+    var first = workspace.newBlock('generator_test_print', 'first');
+    var second = workspace.newBlock('generator_test_print', 'second');
+    var number = workspace.newBlock('generator_test_number', 'number');
+    loop.getInput('DO').connection.connect(first.previousConnection);
+    first.nextConnection.connect(second.previousConnection);
+    second.getInput('VALUE').connection.connect(number.outputConnection);
+
+    var sourceMap = new Blockly.SourceMap();
+    var code = generator.workspaceToCode(workspace, sourceMap);
+    assertEquals('loop {\n  print();\n  print(42);\n}\n', code);
+    assertEquals('Source map does not change the code.', code,
+        generator.workspaceToCode(workspace));
+
+    assertEquals(3, sourceMap.getRanges().length);
+    var range = sourceMap.getRange('loop');
+    assertEquals(0, range.startLine);
+    assertEquals(0, range.startColumn);
+    assertEquals(3, range.endLine);
+    assertEquals(1, range.endColumn);
+    range = sourceMap.getRange('second');
+    assertEquals(2, range.startLine);
+    assertEquals(2, range.startColumn);
+    assertEquals(2, range.endLine);
+    assertEquals(12, range.endColumn);
+    assertNull(sourceMap.getRange('number'));
+    assertEquals(range, sourceMap.getRangeForBlock(number));
+
+    assertEquals('first', sourceMap.getBlockIdAt(1, 4));
+    assertEquals('second', sourceMap.getBlockIdAt(2, 8));
+    assertEquals('loop', sourceMap.getBlockIdAt(1, 0));
+    assertEquals('loop', sourceMap.getBlockIdAt(3, 0));
+    assertNull(sourceMap.getBlockIdAt(4, 0));
+  } finally {
+    workspace.dispose();
+    generatorTest_tearDownSourceMap();
+  }
+}
@@ -0,0 +1,135 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var imageExportTest_workspace;
+
+var imageExportTest_IMAGE = 'data:image/svg+xml;base64,' +
+    'PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciLz4=';
+
+function imageExportTest_setUp() {
+  imageExportTest_workspace = Blockly.inject('blocklyDiv', {});
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'image_export_block',
+    'message0': 'when %1 clicked',
+    'args0': [{'type': 'field_image', 'src': imageExportTest_IMAGE,
+      'width': 24, 'height': 24, 'alt': 'flag'}],
+    'previousStatement': null,
+    'nextStatement': null
+  }]);
+}
+
+function imageExportTest_tearDown() {
+  imageExportTest_workspace.dispose();
+  imageExportTest_workspace = null;
+  delete Blockly.Blocks['image_export_block'];
+}
+
+/**
+ * Create a rendered block.  Must be called after imageExportTest_setUp().
+ * @param {number} x X coordinate of the block.
+ * @param {number} y Y coordinate of the block.
+ * @return {!Blockly.BlockSvg} The new block.
+ */
+function imageExportTest_newBlock(x, y) {
+  var block = imageExportTest_workspace.newBlock('image_export_block');
+  block.initSvg();
+  block.render(false);
+  block.moveBy(x, y);
+  return block;
+}
+
+/**
+ * Export an SVG image, expecting the callback to run right away since
+ * every resource is already a data URI.
+ * @param {!Object} source Block or workspace to export.
+ * @return {!Object} The SVG element, its text, width and height.
+ */
+function imageExportTest_toSvg(source) {
+  var result = null;
+  source.toSvg(function(svgText, width, height) {
+    result = {text: svgText, width: width, height: height};
+  });
+  assertNotNull('Callback ran', result);
+  result.svg = new DOMParser().parseFromString(result.text, 'image/svg+xml')
+      .documentElement;
+  return result;
+}
+
+function test_imageExport_blockToSvg() {
+  imageExportTest_setUp();
+  try {
+    var block = imageExportTest_newBlock(100, 50);
+    block.select();
+    var bounds = block.getBoundingRectangle();
+    var result = imageExportTest_toSvg(block);
+    assertEquals('svg', result.svg.tagName);
+    assertEquals(Math.ceil(bounds.bottomRight.x - bounds.topLeft.x +
+        2 * Blockly.ImageExport.PADDING), result.width);
+    assertEquals(String(result.width), result.svg.getAttribute('width'));
+    assertEquals('Image inlined', 1,
+        result.text.split(imageExportTest_IMAGE).length - 1);
+    assertEquals('Selection highlight left out', -1,
+        result.text.indexOf('blocklySelected'));
+
+    var css = result.svg.getElementsByTagName('style')[0].textContent;
+    assertTrue('Used rules kept', css.indexOf('.blocklyText {') != -1);
+    assertEquals('Unused rules left out', -1, css.indexOf('.blocklyFlyout'));
+    assertEquals('Interactive rules left out', -1, css.indexOf(':hover'));
+  } finally {
+    imageExportTest_tearDown();
+  }
+}
+
+function test_imageExport_workspaceToSvg() {
+  imageExportTest_setUp();
+  try {
+    var first = imageExportTest_newBlock(0, 0);
+    var second = imageExportTest_newBlock(300, 200);
+    var whole = imageExportTest_toSvg(imageExportTest_workspace);
+    assertEquals(2, whole.svg.getElementsByTagName('image').length);
+    var right = second.getBoundingRectangle().bottomRight.x;
+    assertEquals(Math.ceil(right + 2 * Blockly.ImageExport.PADDING),
+        whole.width);
+
+    var selection = imageExportTest_toSvg({
+      toSvg: function(callback) {
+        imageExportTest_workspace.toSvg(callback, [first]);
+      }
+    });
+    assertEquals(1, selection.svg.getElementsByTagName('image').length);
+  } finally {
+    imageExportTest_tearDown();
+  }
+}
+
+function test_imageExport_emptyWorkspace() {
+  imageExportTest_setUp();
+  try {
+    var called = false;
+    imageExportTest_workspace.toSvg(function(svgText) {
+      called = true;
+      assertNull(svgText);
+    });
+    assertTrue(called);
+  } finally {
+    imageExportTest_tearDown();
+  }
+}
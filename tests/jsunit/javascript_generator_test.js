@@ -0,0 +1,318 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+goog.require('goog.testing');
+
+var workspace;
+
+var JAVASCRIPT_GENERATOR_TEST_TYPES = ['event_whenflagclicked',
+  'control_repeat', 'control_forever', 'control_for_each',
+  'control_incr_counter', 'control_get_counter', 'motion_movesteps',
+  'math_number', 'data_variable', 'data_setvariableto', 'operator_add',
+  'procedures_definition', 'procedures_prototype', 'procedures_call',
+  'argument_reporter_string_number'];
+
+function javascriptGeneratorTest_setUp() {
+  workspace = new Blockly.Workspace();
+  Blockly.defineBlocksWithJsonArray([
+    {
+      'type': 'event_whenflagclicked',
+      'message0': 'when flag clicked',
+      'nextStatement': null
+    },
+    {
+      'type': 'control_repeat',
+      'message0': 'repeat %1 %2',
+      'args0': [
+        {'type': 'input_value', 'name': 'TIMES'},
+        {'type': 'input_statement', 'name': 'SUBSTACK'}
+      ],
+      'previousStatement': null,
+      'nextStatement': null
+    },
+    {
+      'type': 'control_forever',
+      'message0': 'forever %1',
+      'args0': [{'type': 'input_statement', 'name': 'SUBSTACK'}],
+      'previousStatement': null
+    },
+    {
+      'type': 'control_for_each',
+      'message0': 'for each %1 in %2 %3',
+      'args0': [
+        {'type': 'field_variable', 'name': 'VARIABLE'},
+        {'type': 'input_value', 'name': 'VALUE'},
+        {'type': 'input_statement', 'name': 'SUBSTACK'}
+      ],
+      'previousStatement': null,
+      'nextStatement': null
+    },
+    {
+      'type': 'control_incr_counter',
+      'message0': 'increment counter',
+      'previousStatement': null,
+      'nextStatement': null
+    },
+    {
+      'type': 'control_get_counter',
+      'message0': 'counter',
+      'output': null
+    },
+    {
+      'type': 'motion_movesteps',
+      'message0': 'move %1 steps',
+      'args0': [{'type': 'input_value', 'name': 'STEPS'}],
+      'previousStatement': null,
+      'nextStatement': null
+    },
+    {
+      'type': 'math_number',
+      'message0': '%1',
+      'args0': [{'type': 'field_input', 'name': 'NUM'}],
+      'output': null
+    },
+    {
+      'type': 'data_variable',
+      'message0': '%1',
+      'args0': [{'type': 'field_variable', 'name': 'VARIABLE'}],
+      'output': null
+    },
+    {
+      'type': 'data_setvariableto',
+      'message0': 'set %1 to %2',
+      'args0': [
+        {'type': 'field_variable', 'name': 'VARIABLE'},
+        {'type': 'input_value', 'name': 'VALUE'}
+      ],
+      'previousStatement': null,
+      'nextStatement': null
+    },
+    {
+      'type': 'operator_add',
+      'message0': '%1 + %2',
+      'args0': [
+        {'type': 'input_value', 'name': 'NUM1'},
+        {'type': 'input_value', 'name': 'NUM2'}
+      ],
+      'output': null
+    },
+    {
+      'type': 'procedures_definition',
+      'message0': 'define %1',
+      'args0': [{'type': 'input_statement', 'name': 'custom_block'}],
+      'nextStatement': null
+    },
+    {
+      'type': 'procedures_prototype',
+      'message0': 'prototype',
+      'previousStatement': null,
+      'nextStatement': null
+    },
+    {
+      'type': 'procedures_call',
+      'message0': 'call %1',
+      'args0': [{'type': 'input_value', 'name': 'arg0'}],
+      'previousStatement': null,
+      'nextStatement': null
+    },
+    {
+      'type': 'argument_reporter_string_number',
+      'message0': '%1',
+      'args0': [{'type': 'field_label', 'name': 'VALUE', 'text': 'height'}],
+      'output': null
+    }
+  ]);
+  Blockly.Blocks['procedures_prototype'].getProcCode = function() {
+    return this.procCode_;
+  };
+  Blockly.Blocks['procedures_call'].getProcCode = function() {
+    return this.procCode_;
+  };
+}
+
+function javascriptGeneratorTest_tearDown() {
+  workspace.dispose();
+  for (var i = 0; i < JAVASCRIPT_GENERATOR_TEST_TYPES.length; i++) {
+    delete Blockly.Blocks[JAVASCRIPT_GENERATOR_TEST_TYPES[i]];
+  }
+}
+
+/**
+ * Create a block with a number plugged into one of its inputs.
+ * @param {string} type The type of the block.
+ * @param {string} inputName The name of the input.
+ * @param {string} num The number.
+ * @return {!Blockly.Block} The block.
+ */
+function javascriptGeneratorTest_withNumber(type, inputName, num) {
+  var block = workspace.newBlock(type);
+  var number = workspace.newBlock('math_number');
+  number.setFieldValue(num, 'NUM');
+  number.setShadow(true);
+  block.getInput(inputName).connection.connect(number.outputConnection);
+  return block;
+}
+
+/**
+ * Create a custom block definition for 'jump %s'.
+ * @param {boolean} warp Whether the custom block runs without screen refresh.
+ * @return {!Blockly.Block} The definition block.
+ */
+function javascriptGeneratorTest_define(warp) {
+  var definition = workspace.newBlock('procedures_definition');
+  var prototype = workspace.newBlock('procedures_prototype');
+  prototype.procCode_ = 'jump %s';
+  prototype.displayNames_ = ['height'];
+  prototype.argumentIds_ = ['arg0'];
+  prototype.warp_ = warp;
+  definition.getInput('custom_block').connection.connect(
+      prototype.previousConnection);
+  return definition;
+}
+
+function test_javascriptGenerator_hatAndLoop() {
+  javascriptGeneratorTest_setUp();
+  try {
+    var hat = workspace.newBlock('event_whenflagclicked');
+    var repeat = javascriptGeneratorTest_withNumber('control_repeat', 'TIMES',
+        '10');
+    var move = javascriptGeneratorTest_withNumber('motion_movesteps', 'STEPS',
+        '-5');
+    hat.nextConnection.connect(repeat.previousConnection);
+    repeat.getInput('SUBSTACK').connection.connect(move.previousConnection);
+    // Loose stacks never run, so they produce no code.
+    javascriptGeneratorTest_withNumber('motion_movesteps', 'STEPS', '1');
+
+    var code = Blockly.JavaScript.workspaceToCode(workspace);
+    assertEquals(
+        'sprite.whenFlagClicked(async function() {\n' +
+        '  for (var count = 0; count < 10; count++) {\n' +
+        '    await sprite.moveSteps(-5);\n' +
+        '    await sprite.yield();\n' +
+        '  }\n' +
+        '});\n', code);
+  } finally {
+    javascriptGeneratorTest_tearDown();
+  }
+}
+
+function test_javascriptGenerator_variables() {
+  javascriptGeneratorTest_setUp();
+  try {
+    workspace.createVariable('my variable', '', 'varId');
+    workspace.createVariable('my variable', Blockly.LIST_VARIABLE_TYPE,
+        'listId');
+    var hat = workspace.newBlock('event_whenflagclicked');
+    var set = workspace.newBlock('data_setvariableto');
+    set.setFieldValue('varId', 'VARIABLE');
+    var add = javascriptGeneratorTest_withNumber('operator_add', 'NUM2', '1');
+    var variable = workspace.newBlock('data_variable');
+    variable.setFieldValue('varId', 'VARIABLE');
+    add.getInput('NUM1').connection.connect(variable.outputConnection);
+    set.getInput('VALUE').connection.connect(add.outputConnection);
+    hat.nextConnection.connect(set.previousConnection);
+
+    var code = Blockly.JavaScript.workspaceToCode(workspace);
+    // Lists and variables with the same name get distinct JavaScript names.
+    assertContains('var my_variable = 0;\n', code);
+    assertContains('var my_variable2 = [];\n', code);
+    assertContains('function toNumber(value) {', code);
+    assertContains('  my_variable = toNumber(my_variable) + 1;\n', code);
+  } finally {
+    javascriptGeneratorTest_tearDown();
+  }
+}
+
+function test_javascriptGenerator_forEachAndCounter() {
+  javascriptGeneratorTest_setUp();
+  try {
+    workspace.createVariable('i', '', 'varId');
+    var hat = workspace.newBlock('event_whenflagclicked');
+    var forEach = javascriptGeneratorTest_withNumber('control_for_each',
+        'VALUE', '3');
+    forEach.setFieldValue('varId', 'VARIABLE');
+    var incr = workspace.newBlock('control_incr_counter');
+    hat.nextConnection.connect(forEach.previousConnection);
+    forEach.getInput('SUBSTACK').connection.connect(incr.previousConnection);
+
+    var code = Blockly.JavaScript.workspaceToCode(workspace);
+    assertContains('var counter = 0;', code);
+    assertContains(
+        '  for (var index = 1; index <= 3; index++) {\n' +
+        '    i = index;\n' +
+        '    counter++;\n' +
+        '    await sprite.yield();\n' +
+        '  }\n', code);
+  } finally {
+    javascriptGeneratorTest_tearDown();
+  }
+}
+
+function test_javascriptGenerator_procedures() {
+  javascriptGeneratorTest_setUp();
+  try {
+    var definition = javascriptGeneratorTest_define(true);
+    var forever = workspace.newBlock('control_forever');
+    var move = workspace.newBlock('motion_movesteps');
+    move.getInput('STEPS').connection.connect(
+        workspace.newBlock('argument_reporter_string_number').outputConnection);
+    definition.nextConnection.connect(forever.previousConnection);
+    forever.getInput('SUBSTACK').connection.connect(move.previousConnection);
+
+    var hat = workspace.newBlock('event_whenflagclicked');
+    var call = javascriptGeneratorTest_withNumber('procedures_call', 'arg0',
+        '10');
+    call.procCode_ = 'jump %s';
+    call.argumentIds_ = ['arg0'];
+    hat.nextConnection.connect(call.previousConnection);
+
+    var code = Blockly.JavaScript.workspaceToCode(workspace);
+    // Warp procedures do not yield in their loops.
+    assertContains(
+        'async function jump(height) {\n' +
+        '  while (true) {\n' +
+        '    await sprite.moveSteps(height);\n' +
+        '  }\n' +
+        '}', code);
+    assertContains('  await jump(10);\n', code);
+
+    definition.getInputTargetBlock('custom_block').warp_ = false;
+    code = Blockly.JavaScript.workspaceToCode(workspace);
+    assertContains('    await sprite.yield();\n', code);
+  } finally {
+    javascriptGeneratorTest_tearDown();
+  }
+}
+
+function test_javascriptGenerator_undefinedProcedure() {
+  javascriptGeneratorTest_setUp();
+  try {
+    var hat = workspace.newBlock('event_whenflagclicked');
+    var call = workspace.newBlock('procedures_call');
+    call.procCode_ = 'missing %s';
+    call.argumentIds_ = ['arg0'];
+    hat.nextConnection.connect(call.previousConnection);
+    var code = Blockly.JavaScript.workspaceToCode(workspace);
+    assertEquals('sprite.whenFlagClicked(async function() {\n});\n', code);
+  } finally {
+    javascriptGeneratorTest_tearDown();
+  }
+}
@@ -0,0 +1,412 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+goog.require('goog.testing');
+goog.require('goog.testing.MockControl');
+
+var mockControl_;
+var workspace;
+var JSON_XML_TEXT = ['<xml xmlns="http://www.w3.org/1999/xhtml">',
+  '  <variables>',
+  '    <variable type="" id="var1" islocal="false" iscloud="false">item</variable>',
+  '    <variable type="list" id="list1" islocal="true" iscloud="false">things</variable>',
+  '  </variables>',
+  '  <comment id="wscomment" x="5" y="6" w="200" h="120" minimized="true">Note</comment>',
+  '  <block type="control_repeat" id="repeat" x="21" y="23">',
+  '    <value name="TIMES">',
+  '      <shadow type="math_whole_number" id="shadowTimes">',
+  '        <field name="NUM">10</field>',
+  '      </shadow>',
+  '      <block type="data_variable" id="getter">',
+  '        <field name="VARIABLE" id="var1" variabletype="">item</field>',
+  '      </block>',
+  '    </value>',
+  '    <statement name="SUBSTACK">',
+  '      <block type="procedures_call" id="call">',
+  '        <mutation proccode="jump %s" argumentids="[&quot;arg0&quot;]" warp="true"></mutation>',
+  '        <comment id="blockcomment" pinned="true" x="1" y="2" w="4" h="3" minimized="false">Hi</comment>',
+  '        <next>',
+  '          <block type="looks_show" id="show" disabled="true"></block>',
+  '        </next>',
+  '      </block>',
+  '    </statement>',
+  '  </block>',
+  '</xml>'].join('\n');
+
+function jsonTest_setUp() {
+  workspace = new Blockly.Workspace();
+  mockControl_ = new goog.testing.MockControl();
+}
+
+function jsonTest_setUpWithMockBlocks() {
+  jsonTest_setUp();
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'field_variable_test_block',
+    'message0': '%1',
+    'args0': [
+      {
+        'type': 'field_variable',
+        'name': 'VAR',
+        'variable': 'item'
+      }
+    ]
+  },
+  {
+    'type': 'json_value_test_block',
+    'message0': '%1 %2',
+    'args0': [
+      {
+        'type': 'field_input',
+        'name': 'TEXT',
+        'text': 'default'
+      },
+      {
+        'type': 'input_value',
+        'name': 'VALUE'
+      }
+    ],
+    'output': null
+  },
+  {
+    'type': 'json_statement_test_block',
+    'message0': '%1',
+    'args0': [
+      {
+        'type': 'field_variable',
+        'name': 'VAR',
+        'variable': 'item'
+      }
+    ],
+    'previousStatement': null,
+    'nextStatement': null
+  }]);
+  Blockly.Blocks['json_mutation_test_block'] = {
+    init: function() {
+      this.jsonInit({'message0': 'mutated', 'previousStatement': null});
+      this.procCode_ = '';
+      this.warp_ = false;
+    },
+    mutationToDom: function() {
+      var container = document.createElement('mutation');
+      container.setAttribute('proccode', this.procCode_);
+      container.setAttribute('argumentids', JSON.stringify(['a', 'b']));
+      container.setAttribute('warp', JSON.stringify(this.warp_));
+      return container;
+    },
+    domToMutation: function(xmlElement) {
+      this.procCode_ = xmlElement.getAttribute('proccode');
+      this.warp_ = JSON.parse(xmlElement.getAttribute('warp'));
+    }
+  };
+}
+
+function jsonTest_tearDown() {
+  mockControl_.$tearDown();
+  workspace.dispose();
+}
+
+function jsonTest_tearDownWithMockBlocks() {
+  jsonTest_tearDown();
+  delete Blockly.Blocks.field_variable_test_block;
+  delete Blockly.Blocks.json_value_test_block;
+  delete Blockly.Blocks.json_statement_test_block;
+  delete Blockly.Blocks.json_mutation_test_block;
+}
+
+function test_json_domToJson() {
+  var json = Blockly.Json.domToJson(Blockly.Xml.textToDom(JSON_XML_TEXT));
+  assertEquals('Variable count', 2, json['variables'].length);
+  assertEquals('things', json['variables'][1]['name']);
+  assertEquals('list', json['variables'][1]['type']);
+  assertTrue(json['variables'][1]['isLocal']);
+  assertFalse(json['variables'][1]['isCloud']);
+
+  assertEquals('Comment count', 1, json['comments'].length);
+  var comment = json['comments'][0];
+  assertEquals('Note', comment['text']);
+  assertEquals(200, comment['width']);
+  assertEquals(120, comment['height']);
+  assertTrue(comment['minimized']);
+
+  assertEquals('Block count', 1, json['blocks'].length);
+  var repeat = json['blocks'][0];
+  assertEquals('control_repeat', repeat['type']);
+  assertEquals(21, repeat['x']);
+  assertEquals(23, repeat['y']);
+  var times = repeat['inputs']['TIMES'];
+  assertTrue(times['shadow']['shadow']);
+  assertEquals('10', times['shadow']['fields']['NUM']['value']);
+  var variableField = times['block']['fields']['VARIABLE'];
+  assertEquals('item', variableField['value']);
+  assertEquals('var1', variableField['id']);
+  assertEquals('', variableField['variableType']);
+
+  var call = repeat['statements']['SUBSTACK']['block'];
+  assertEquals('jump %s', call['mutation']['proccode']);
+  assertEquals('["arg0"]', call['mutation']['argumentids']);
+  assertEquals('true', call['mutation']['warp']);
+  assertEquals('Hi', call['comment']['text']);
+  assertTrue(call['comment']['pinned']);
+  assertFalse(call['comment']['minimized']);
+  assertTrue(call['next']['block']['disabled']);
+}
+
+function test_json_jsonToDom_roundTrip() {
+  var json = Blockly.Json.domToJson(Blockly.Xml.textToDom(JSON_XML_TEXT));
+  var text = Blockly.Xml.domToText(Blockly.Json.jsonToDom(json));
+  assertEquals('Round trip', JSON_XML_TEXT.replace(/\s+/g, ''),
+      text.replace(/\s+/g, ''));
+}
+
+function test_json_jsonToDom_acceptsParsedMutation() {
+  var dom = Blockly.Json.blockJsonToDom({
+    'type': 'procedures_call',
+    'mutation': {
+      'tagName': 'mutation',
+      'children': [],
+      'proccode': 'jump %s',
+      'argumentids': ['arg0'],
+      'warp': false
+    }
+  });
+  var mutation = dom.firstChild;
+  assertEquals('["arg0"]', mutation.getAttribute('argumentids'));
+  assertEquals('false', mutation.getAttribute('warp'));
+}
+
+function test_json_mutationReservedAttributes() {
+  var xml = Blockly.Xml.textToDom(
+      '<xml xmlns="http://www.w3.org/1999/xhtml"><block type="text">' +
+      '<mutation children="b" text="c" items="2">' +
+      '<arg text="d"></arg></mutation></block></xml>').firstChild;
+  var json = Blockly.Json.blockDomToJson(xml);
+  var mutation = json['mutation'];
+  assertEquals('mutation', mutation['tagName']);
+  assertEquals('b', mutation['$children']);
+  assertEquals('c', mutation['$text']);
+  assertEquals('2', mutation['items']);
+  assertEquals('d', mutation['children'][0]['$text']);
+  assertEquals(Blockly.Xml.domToText(xml),
+      Blockly.Xml.domToText(Blockly.Json.blockJsonToDom(json)));
+}
+
+function test_json_jsonToDom_nullFieldValue() {
+  var dom = Blockly.Json.blockJsonToDom({
+    'type': 'text',
+    'fields': {'TEXT': null}
+  });
+  var field = dom.firstChild;
+  assertEquals('field', field.nodeName.toLowerCase());
+  assertEquals('TEXT', field.getAttribute('name'));
+  assertEquals('', field.textContent);
+}
+
+function test_json_jsonToDom_shadowNotMarked() {
+  try {
+    Blockly.Json.blockJsonToDom({
+      'type': 'control_repeat',
+      'inputs': {'TIMES': {'shadow': {'type': 'math_whole_number'}}}
+    });
+    fail();
+  } catch (e) {
+    // expected
+  }
+}
+
+function test_json_jsonToWorkspace_VariablesAtTop() {
+  jsonTest_setUpWithMockBlocks();
+  try {
+    Blockly.Json.jsonToWorkspace({
+      'variables': [
+        {'name': 'name1', 'type': 'type1', 'id': 'id1'},
+        {'name': 'name2', 'type': 'type2', 'id': 'id2'},
+        {'name': 'name3', 'type': '', 'id': 'id3'}
+      ],
+      'blocks': [{
+        'type': 'field_variable_test_block',
+        'fields': {'VAR': {'value': 'name3', 'id': 'id3', 'variableType': ''}}
+      }]
+    }, workspace);
+    assertEquals('Block count', 1, workspace.getAllBlocks().length);
+    checkVariableValues(workspace, 'name1', 'type1', 'id1');
+    checkVariableValues(workspace, 'name2', 'type2', 'id2');
+    checkVariableValues(workspace, 'name3', '', 'id3');
+  } finally {
+    jsonTest_tearDownWithMockBlocks();
+  }
+}
+
+function test_json_jsonToWorkspace_VariablesAtTop_MissingType() {
+  jsonTest_setUpWithMockBlocks();
+  try {
+    Blockly.Json.jsonToWorkspace({
+      'variables': [{'name': 'name1', 'id': 'id1'}]
+    }, workspace);
+    fail();
+  } catch (e) {
+    // expected
+  } finally {
+    jsonTest_tearDownWithMockBlocks();
+  }
+}
+
+function test_json_jsonToWorkspace_VariablesAtTop_MismatchBlockType() {
+  jsonTest_setUpWithMockBlocks();
+  try {
+    Blockly.Json.jsonToWorkspace({
+      'variables': [{'name': 'name1', 'type': 'type1', 'id': 'id1'}],
+      'blocks': [{
+        'type': 'field_variable_test_block',
+        'fields': {'VAR': {'value': 'name1', 'id': 'id1', 'variableType': ''}}
+      }]
+    }, workspace);
+    fail();
+  } catch (e) {
+    // expected
+  } finally {
+    jsonTest_tearDownWithMockBlocks();
+  }
+}
+
+function test_json_blockToJson_fieldVariable() {
+  jsonTest_setUpWithMockBlocks();
+  try {
+    workspace.createVariable('name1', '', 'id1');
+    var block = new Blockly.Block(workspace, 'field_variable_test_block');
+    block.inputList[0].fieldRow[0].setValue('id1');
+    var field = Blockly.Json.blockToJson(block)['fields']['VAR'];
+    assertEquals('name1', field['value']);
+    assertEquals('id1', field['id']);
+    assertEquals('', field['variableType']);
+  } finally {
+    jsonTest_tearDownWithMockBlocks();
+  }
+}
+
+function test_json_blockToJson_noId() {
+  jsonTest_setUpWithMockBlocks();
+  try {
+    var block = new Blockly.Block(workspace, 'json_value_test_block');
+    assertUndefined(Blockly.Json.blockToJson(block, true)['id']);
+    assertEquals(block.id, Blockly.Json.blockToJson(block)['id']);
+  } finally {
+    jsonTest_tearDownWithMockBlocks();
+  }
+}
+
+function test_json_blockRoundTrip_mutation() {
+  jsonTest_setUpWithMockBlocks();
+  try {
+    var block = new Blockly.Block(workspace, 'json_mutation_test_block');
+    block.procCode_ = 'say %s %b';
+    block.warp_ = true;
+    var json = Blockly.Json.blockToJson(block);
+    assertEquals('say %s %b', json['mutation']['proccode']);
+    assertEquals('["a","b"]', json['mutation']['argumentids']);
+    assertEquals('true', json['mutation']['warp']);
+
+    block.dispose();
+    var newBlock = Blockly.Json.jsonToBlock(json, workspace);
+    assertEquals('say %s %b', newBlock.procCode_);
+    assertTrue(newBlock.warp_);
+  } finally {
+    jsonTest_tearDownWithMockBlocks();
+  }
+}
+
+function test_json_blockRoundTrip_shadow() {
+  jsonTest_setUpWithMockBlocks();
+  try {
+    var block = Blockly.Json.jsonToBlock({
+      'type': 'json_value_test_block',
+      'id': 'parent',
+      'fields': {'TEXT': {'value': 'parent text'}},
+      'inputs': {
+        'VALUE': {
+          'shadow': {
+            'type': 'json_value_test_block',
+            'id': 'shadow',
+            'shadow': true,
+            'fields': {'TEXT': 'shadow text'}
+          },
+          'block': {
+            'type': 'json_value_test_block',
+            'id': 'child'
+          }
+        }
+      }
+    }, workspace);
+    assertEquals('parent text', block.getFieldValue('TEXT'));
+    assertEquals('child', block.getInputTargetBlock('VALUE').id);
+
+    var json = Blockly.Json.blockToJson(block);
+    var value = json['inputs']['VALUE'];
+    assertEquals('child', value['block']['id']);
+    assertEquals('shadow', value['shadow']['id']);
+    assertTrue(value['shadow']['shadow']);
+    assertEquals('shadow text', value['shadow']['fields']['TEXT']['value']);
+  } finally {
+    jsonTest_tearDownWithMockBlocks();
+  }
+}
+
+function test_json_workspaceRoundTrip() {
+  jsonTest_setUpWithMockBlocks();
+  try {
+    workspace.createVariable('name1', '', 'id1');
+    workspace.createVariable('cloud', '', 'id2', false, true);
+    var json = {
+      'variables': Blockly.Json.variablesToJson(workspace.getAllVariables()),
+      'comments': [{
+        'id': 'comment', 'text': 'Note', 'x': 10, 'y': 20, 'width': 150,
+        'height': 80
+      }],
+      'blocks': [{
+        'type': 'json_statement_test_block',
+        'id': 'top',
+        'fields': {'VAR': {'value': 'name1', 'id': 'id1', 'variableType': ''}},
+        'x': 30,
+        'y': 40,
+        'next': {
+          'block': {
+            'type': 'json_statement_test_block',
+            'id': 'next',
+            'fields': {'VAR': {'value': 'name1', 'id': 'id1', 'variableType': ''}}
+          }
+        }
+      }]
+    };
+    var otherWorkspace = new Blockly.Workspace();
+    try {
+      var ids = Blockly.Json.jsonToWorkspace(json, otherWorkspace);
+      isEqualArrays(['top'], ids);
+      assertEquals(2, otherWorkspace.getAllBlocks().length);
+      assertTrue(otherWorkspace.getVariableById('id2').isCloud);
+      var result = Blockly.Json.workspaceToJson(otherWorkspace);
+      assertEquals(JSON.stringify(Blockly.Json.jsonToDom(json).outerHTML),
+          JSON.stringify(Blockly.Json.jsonToDom(result).outerHTML));
+    } finally {
+      otherWorkspace.dispose();
+    }
+  } finally {
+    jsonTest_tearDownWithMockBlocks();
+  }
+}
@@ -0,0 +1,301 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var keyboardCursorTest_workspace;
+
+function keyboardCursorTest_setUp(opt_toolbox) {
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'keyboard_cursor_test_step',
+    'message0': 'move %1 steps',
+    'args0': [{'type': 'field_input', 'name': 'STEPS', 'text': '10'}],
+    'previousStatement': null,
+    'nextStatement': null
+  }, {
+    'type': 'keyboard_cursor_test_repeat',
+    'message0': 'repeat %1 %2',
+    'args0': [
+      {'type': 'input_value', 'name': 'TIMES'},
+      {'type': 'input_statement', 'name': 'SUBSTACK'}
+    ],
+    'previousStatement': null,
+    'nextStatement': null
+  }, {
+    'type': 'keyboard_cursor_test_number',
+    'message0': '%1',
+    'args0': [{'type': 'field_input', 'name': 'NUM', 'text': '3'}],
+    'output': null
+  }]);
+  Blockly.Events.fire = temporary_fireEvent;
+  var options = {'scrollbars': true};
+  if (opt_toolbox) {
+    options['toolbox'] = opt_toolbox;
+  }
+  keyboardCursorTest_workspace = Blockly.inject('blocklyDiv', options);
+}
+
+function keyboardCursorTest_tearDown() {
+  keyboardCursorTest_workspace.dispose();
+  Blockly.Events.fire = savedFireFunc;
+  delete Blockly.Blocks['keyboard_cursor_test_step'];
+  delete Blockly.Blocks['keyboard_cursor_test_repeat'];
+  delete Blockly.Blocks['keyboard_cursor_test_number'];
+}
+
+/**
+ * Load a stack: a repeat block with a shadow number, and a step block
+ * inside it.  Below it on the workspace is a separate step block.
+ */
+function keyboardCursorTest_load() {
+  var workspace = keyboardCursorTest_workspace;
+  Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(
+      '<xml>' +
+      '  <block type="keyboard_cursor_test_repeat" id="repeat" x="0" y="0">' +
+      '    <value name="TIMES">' +
+      '      <shadow type="keyboard_cursor_test_number" id="times"></shadow>' +
+      '    </value>' +
+      '    <statement name="SUBSTACK">' +
+      '      <block type="keyboard_cursor_test_step" id="inner"></block>' +
+      '    </statement>' +
+      '  </block>' +
+      '  <block type="keyboard_cursor_test_step" id="loose" x="0" y="300">' +
+      '  </block>' +
+      '</xml>'), workspace);
+  workspace.clearUndo();
+}
+
+function keyboardCursorTest_keyDown(keyCode, opt_modifiers) {
+  var modifiers = opt_modifiers || {};
+  Blockly.onKeyDown_({
+    keyCode: keyCode,
+    ctrlKey: !!modifiers.ctrlKey,
+    shiftKey: !!modifiers.shiftKey,
+    target: document.body,
+    preventDefault: function() {}
+  });
+}
+
+/**
+ * Describe the cursor's location, e.g. 'connection repeat SUBSTACK'.
+ * @return {string} The description.
+ */
+function keyboardCursorTest_describe() {
+  var location = keyboardCursorTest_workspace.getKeyboardCursor()
+      .getLocation();
+  var name = '';
+  if (location.field) {
+    name = ' ' + location.field.name;
+  } else if (location.connection == location.block.previousConnection) {
+    name = ' previous';
+  } else if (location.connection == location.block.nextConnection) {
+    name = ' next';
+  } else if (location.connection) {
+    name = ' ' + location.block.inputList.filter(function(input) {
+      return input.connection == location.connection;
+    })[0].name;
+  }
+  return location.type + ' ' + location.block.id + name;
+}
+
+function test_keyboardCursor_createdOnDemand() {
+  keyboardCursorTest_setUp();
+  try {
+    var workspace = keyboardCursorTest_workspace;
+    keyboardCursorTest_keyDown(40);
+    assertNull('Other keys don\'t make a cursor', workspace.keyboardCursor_);
+    assertFalse(workspace.isKeyboardCursorEnabled());
+
+    keyboardCursorTest_keyDown(75, {ctrlKey: true, shiftKey: true});
+    assertTrue(workspace.isKeyboardCursorEnabled());
+    keyboardCursorTest_keyDown(75, {ctrlKey: true, shiftKey: true});
+    assertFalse(workspace.isKeyboardCursorEnabled());
+  } finally {
+    keyboardCursorTest_tearDown();
+  }
+}
+
+function test_keyboardCursor_navigate() {
+  keyboardCursorTest_setUp();
+  try {
+    var cursor = keyboardCursorTest_workspace.getKeyboardCursor();
+    keyboardCursorTest_load();
+    assertFalse(cursor.isEnabled());
+    keyboardCursorTest_keyDown(40);
+    assertNull('Arrows do nothing until the cursor is on',
+        cursor.getLocation());
+
+    keyboardCursorTest_keyDown(75, {ctrlKey: true, shiftKey: true});
+    assertTrue(cursor.isEnabled());
+    var expected = [
+      'connection repeat previous',
+      'block repeat',
+      'connection repeat TIMES',
+      'field times NUM',
+      'connection repeat SUBSTACK',
+      'block inner',
+      'field inner STEPS',
+      'connection inner next',
+      'connection repeat next',
+      'connection loose previous'
+    ];
+    var actual = [keyboardCursorTest_describe()];
+    for (var i = 1; i < expected.length; i++) {
+      keyboardCursorTest_keyDown(40);
+      actual.push(keyboardCursorTest_describe());
+    }
+    assertArrayEquals(expected, actual);
+    assertEquals('loose', Blockly.selected.id);
+
+    keyboardCursorTest_keyDown(38);
+    assertEquals('connection repeat next', keyboardCursorTest_describe());
+    keyboardCursorTest_keyDown(37);
+    assertEquals('Left goes to the top of the stack',
+        'connection repeat previous', keyboardCursorTest_describe());
+    keyboardCursorTest_keyDown(39);
+    assertEquals('connection loose previous', keyboardCursorTest_describe());
+
+    keyboardCursorTest_keyDown(40);
+    assertTrue(Blockly.utils.hasClass(
+        Blockly.selected.getSvgRoot(), 'blocklyKeyboardCursor'));
+    keyboardCursorTest_keyDown(40, {shiftKey: true});
+    assertEquals('Shift+Down moves the stack', 320,
+        Blockly.selected.getRelativeToSurfaceXY().y);
+
+    keyboardCursorTest_keyDown(75, {ctrlKey: true, shiftKey: true});
+    assertFalse(Blockly.utils.hasClass(
+        Blockly.selected.getSvgRoot(), 'blocklyKeyboardCursor'));
+  } finally {
+    keyboardCursorTest_tearDown();
+  }
+}
+
+function test_keyboardCursor_editField() {
+  keyboardCursorTest_setUp();
+  try {
+    var workspace = keyboardCursorTest_workspace;
+    keyboardCursorTest_load();
+    var field = workspace.getBlockById('times').getField('NUM');
+    var shown = 0;
+    field.showEditor_ = function() {
+      shown++;
+    };
+    var cursor = workspace.getKeyboardCursor();
+    cursor.setEnabled(true);
+    cursor.setLocation({type: Blockly.KeyboardCursor.FIELD,
+        block: field.sourceBlock_, connection: null, field: field});
+    assertEquals('The block holding the shadow is selected', 'repeat',
+        Blockly.selected.id);
+    keyboardCursorTest_keyDown(13);
+    assertEquals(1, shown);
+  } finally {
+    keyboardCursorTest_tearDown();
+  }
+}
+
+function test_keyboardCursor_moveAndDisconnect() {
+  keyboardCursorTest_setUp();
+  try {
+    var workspace = keyboardCursorTest_workspace;
+    keyboardCursorTest_load();
+    var repeat = workspace.getBlockById('repeat');
+    var inner = workspace.getBlockById('inner');
+    var loose = workspace.getBlockById('loose');
+    var cursor = workspace.getKeyboardCursor();
+    cursor.setEnabled(true);
+    cursor.setLocation(Blockly.KeyboardCursor.blockLocation_(loose));
+    keyboardCursorTest_keyDown(77);
+    assertEquals(loose, cursor.getMovingBlock());
+    assertTrue(Blockly.utils.hasClass(loose.getSvgRoot(),
+        'blocklyKeyboardMoving'));
+
+    cursor.setLocation(Blockly.KeyboardCursor.connectionLocation_(
+        inner.nextConnection));
+    keyboardCursorTest_keyDown(13);
+    assertNull(cursor.getMovingBlock());
+    assertEquals(inner, loose.getParent());
+    assertEquals('The cursor follows the block', 'block loose',
+        keyboardCursorTest_describe());
+
+    // Move the inner stack to the top of the outer one.
+    cursor.setLocation(Blockly.KeyboardCursor.blockLocation_(inner));
+    keyboardCursorTest_keyDown(77);
+    cursor.setLocation(Blockly.KeyboardCursor.connectionLocation_(
+        repeat.previousConnection));
+    keyboardCursorTest_keyDown(13);
+    assertEquals(repeat, loose.getNextBlock());
+    assertNull(inner.getParent());
+    assertEquals('The outer stack stays put', 0,
+        repeat.getRelativeToSurfaceXY().x);
+
+    workspace.undo(false);
+    assertEquals('One undo puts the stack back', repeat, inner.getParent());
+    assertEquals(inner, loose.getParent());
+
+    cursor.setLocation(Blockly.KeyboardCursor.blockLocation_(inner));
+    keyboardCursorTest_keyDown(88);
+    assertNull(inner.getParent());
+    assertEquals('Blocks below come along', inner, loose.getParent());
+    workspace.undo(false);
+    assertEquals(repeat, inner.getParent());
+
+    cursor.setLocation(Blockly.KeyboardCursor.blockLocation_(loose));
+    keyboardCursorTest_keyDown(46);
+    assertNull(workspace.getBlockById('loose'));
+    assertEquals('The cursor falls back to the first stack',
+        'connection repeat previous', keyboardCursorTest_describe());
+  } finally {
+    keyboardCursorTest_tearDown();
+  }
+}
+
+function test_keyboardCursor_insertFromToolbox() {
+  keyboardCursorTest_setUp(
+      '<xml>' +
+      '  <block type="keyboard_cursor_test_number"></block>' +
+      '  <block type="keyboard_cursor_test_step"></block>' +
+      '  <block type="keyboard_cursor_test_repeat"></block>' +
+      '</xml>');
+  try {
+    var workspace = keyboardCursorTest_workspace;
+    keyboardCursorTest_load();
+    var inner = workspace.getBlockById('inner');
+    var cursor = workspace.getKeyboardCursor();
+    cursor.setEnabled(true);
+    cursor.setLocation(Blockly.KeyboardCursor.connectionLocation_(
+        inner.nextConnection));
+    keyboardCursorTest_keyDown(13);
+    assertEquals('Reporters are not offered for a statement',
+        'keyboard_cursor_test_step', cursor.getOfferedBlock().type);
+    keyboardCursorTest_keyDown(40);
+    assertEquals('keyboard_cursor_test_repeat', cursor.getOfferedBlock().type);
+    keyboardCursorTest_keyDown(13);
+    assertNull(cursor.getOfferedBlock());
+
+    var inserted = inner.getNextBlock();
+    assertEquals('keyboard_cursor_test_repeat', inserted.type);
+    assertEquals(workspace, inserted.workspace);
+    assertEquals('block ' + inserted.id, keyboardCursorTest_describe());
+    workspace.undo(false);
+    assertNull('One undo removes the inserted block', inner.getNextBlock());
+    assertEquals(4, workspace.getAllBlocks().length);
+  } finally {
+    keyboardCursorTest_tearDown();
+  }
+}
@@ -0,0 +1,309 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var linterTest_workspace;
+var linterTest_restoreMessages;
+
+var linterTest_XML =
+    '<xml>' +
+    '  <variables>' +
+    '    <variable type="" id="score">score</variable>' +
+    '    <variable type="" id="unused">unused</variable>' +
+    '    <variable type="list" id="items">items</variable>' +
+    '    <variable type="broadcast_msg" id="go">go</variable>' +
+    '    <variable type="broadcast_msg" id="stop">stop</variable>' +
+    '  </variables>' +
+    '  <block type="linter_test_hat" id="flag" x="0" y="0">' +
+    '    <next>' +
+    '      <block type="event_broadcast" id="sendGo">' +
+    '        <value name="BROADCAST_INPUT">' +
+    '          <shadow type="event_broadcast_menu">' +
+    '            <field name="BROADCAST_OPTION" id="go"' +
+    '                variabletype="broadcast_msg">go</field>' +
+    '          </shadow>' +
+    '        </value>' +
+    '        <next>' +
+    '          <block type="event_broadcast" id="sendStop">' +
+    '            <value name="BROADCAST_INPUT">' +
+    '              <shadow type="event_broadcast_menu">' +
+    '                <field name="BROADCAST_OPTION" id="stop"' +
+    '                    variabletype="broadcast_msg">stop</field>' +
+    '              </shadow>' +
+    '            </value>' +
+    '            <next>' +
+    '              <block type="control_forever" id="forever">' +
+    '                <statement name="SUBSTACK">' +
+    '                  <block type="linter_test_set" id="inLoop">' +
+    '                    <field name="VAR" id="score"' +
+    '                        variabletype="">score</field>' +
+    '                  </block>' +
+    '                </statement>' +
+    '                <next>' +
+    '                  <block type="linter_test_set" id="afterLoop">' +
+    '                    <field name="VAR" id="score"' +
+    '                        variabletype="">score</field>' +
+    '                  </block>' +
+    '                </next>' +
+    '              </block>' +
+    '            </next>' +
+    '          </block>' +
+    '        </next>' +
+    '      </block>' +
+    '    </next>' +
+    '  </block>' +
+    '  <block type="event_whenbroadcastreceived" id="whenGo" x="0" y="300">' +
+    '    <field name="BROADCAST_OPTION" id="go"' +
+    '        variabletype="broadcast_msg">go</field>' +
+    '    <next>' +
+    '      <block type="control_forever" id="emptyLoop"></block>' +
+    '    </next>' +
+    '  </block>' +
+    '  <block type="linter_test_hat" id="emptyHat" x="0" y="500"></block>' +
+    '  <block type="procedures_definition" id="define" x="0" y="600">' +
+    '    <value name="custom_block">' +
+    '      <shadow type="procedures_prototype">' +
+    '        <field name="PROCCODE">jump %s</field>' +
+    '      </shadow>' +
+    '    </value>' +
+    '    <next>' +
+    '      <block type="procedures_call" id="callJump">' +
+    '        <field name="PROCCODE">jump %s</field>' +
+    '        <next>' +
+    '          <block type="procedures_call" id="callFly">' +
+    '            <field name="PROCCODE">fly %s</field>' +
+    '          </block>' +
+    '        </next>' +
+    '      </block>' +
+    '    </next>' +
+    '  </block>' +
+    '</xml>';
+
+function linterTest_setUp(rendered) {
+  linterTest_restoreMessages = setTestMessages({
+    'LINT_TITLE': 'Problems',
+    'LINT_NO_PROBLEMS': 'No problems found',
+    'LINT_UNUSED_VARIABLE': 'The variable "%1" is never used',
+    'LINT_UNUSED_LIST': 'The list "%1" is never used',
+    'LINT_UNRECEIVED_BROADCAST': 'Nothing receives the message "%1"',
+    'LINT_UNREACHABLE': 'These blocks never run because the loop above never ends',
+    'LINT_EMPTY_C_BLOCK': 'There are no blocks inside this block',
+    'LINT_EMPTY_HAT': 'There are no blocks under this block',
+    'LINT_UNDEFINED_PROCEDURE': 'The block "%1" is not defined'
+  });
+  var getProcCode = function() {
+    return this.getFieldValue('PROCCODE');
+  };
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'linter_test_hat',
+    'message0': 'when clicked',
+    'nextStatement': null
+  }, {
+    'type': 'linter_test_set',
+    'message0': 'set %1 to 0',
+    'args0': [{'type': 'field_variable', 'name': 'VAR', 'variable': null}],
+    'previousStatement': null,
+    'nextStatement': null
+  }, {
+    'type': 'control_forever',
+    'message0': 'forever %1',
+    'args0': [{'type': 'input_statement', 'name': 'SUBSTACK'}],
+    'previousStatement': null,
+    'nextStatement': null
+  }, {
+    'type': 'event_whenbroadcastreceived',
+    'message0': 'when I receive %1',
+    'args0': [{
+      'type': 'field_variable',
+      'name': 'BROADCAST_OPTION',
+      'variableTypes': [Blockly.BROADCAST_MESSAGE_VARIABLE_TYPE]
+    }],
+    'nextStatement': null
+  }, {
+    'type': 'event_broadcast_menu',
+    'message0': '%1',
+    'args0': [{
+      'type': 'field_variable',
+      'name': 'BROADCAST_OPTION',
+      'variableTypes': [Blockly.BROADCAST_MESSAGE_VARIABLE_TYPE]
+    }],
+    'output': null
+  }, {
+    'type': 'event_broadcast',
+    'message0': 'broadcast %1',
+    'args0': [{'type': 'input_value', 'name': 'BROADCAST_INPUT'}],
+    'previousStatement': null,
+    'nextStatement': null
+  }, {
+    'type': 'procedures_definition',
+    'message0': 'define %1',
+    'args0': [{'type': 'input_value', 'name': 'custom_block'}],
+    'nextStatement': null
+  }]);
+  Blockly.Blocks['procedures_prototype'] = {
+    init: function() {
+      this.jsonInit({
+        'message0': '%1',
+        'args0': [{'type': 'field_input', 'name': 'PROCCODE', 'text': ''}],
+        'output': null
+      });
+    },
+    getProcCode: getProcCode
+  };
+  Blockly.Blocks['procedures_call'] = {
+    init: function() {
+      this.jsonInit({
+        'message0': '%1',
+        'args0': [{'type': 'field_input', 'name': 'PROCCODE', 'text': ''}],
+        'previousStatement': null,
+        'nextStatement': null
+      });
+    },
+    getProcCode: getProcCode
+  };
+  Blockly.Events.fire = temporary_fireEvent;
+  linterTest_workspace = rendered ?
+      Blockly.inject('blocklyDiv', {'scrollbars': true}) :
+      new Blockly.Workspace();
+  Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(linterTest_XML),
+      linterTest_workspace);
+}
+
+function linterTest_tearDown() {
+  linterTest_workspace.dispose();
+  Blockly.Events.fire = savedFireFunc;
+  var types = ['linter_test_hat', 'linter_test_set', 'control_forever',
+    'event_whenbroadcastreceived', 'event_broadcast_menu', 'event_broadcast',
+    'procedures_definition', 'procedures_prototype', 'procedures_call'];
+  for (var i = 0; i < types.length; i++) {
+    delete Blockly.Blocks[types[i]];
+  }
+  linterTest_restoreMessages();
+}
+
+function linterTest_describe(problems) {
+  return problems.map(function(problem) {
+    return problem.rule + ' ' + (problem.block ? problem.block.id : '-');
+  });
+}
+
+function test_linter_rules() {
+  linterTest_setUp(false);
+  var linter = new Blockly.Linter(linterTest_workspace);
+  try {
+    var problems = linter.getProblems();
+    assertArrayEquals([
+      'unused_variables -',
+      'unused_variables -',
+      'unreceived_broadcasts sendStop',
+      'unreachable_blocks afterLoop',
+      'empty_c_blocks emptyLoop',
+      'empty_hats emptyHat',
+      'undefined_procedures callFly'
+    ], linterTest_describe(problems));
+    assertEquals('The variable "unused" is never used', problems[0].message);
+    assertEquals('The list "items" is never used', problems[1].message);
+    assertEquals('Nothing receives the message "stop"', problems[2].message);
+    assertEquals('The block "fly %s" is not defined', problems[6].message);
+
+    var workspace = linterTest_workspace;
+    workspace.getBlockById('afterLoop').unplug();
+    workspace.getBlockById('emptyLoop').getInput('SUBSTACK').connection
+        .connect(workspace.getBlockById('afterLoop').previousConnection);
+    workspace.getBlockById('callFly').dispose();
+    workspace.deleteVariableById('unused');
+    workspace.deleteVariableById('items');
+    assertArrayEquals([
+      'unreceived_broadcasts sendStop',
+      'empty_hats emptyHat'
+    ], linterTest_describe(linter.run()));
+  } finally {
+    linter.dispose();
+    linterTest_tearDown();
+  }
+}
+
+function test_linter_registerRule() {
+  linterTest_setUp(false);
+  var linter = new Blockly.Linter(linterTest_workspace);
+  try {
+    assertThrows('Rule names are unique', function() {
+      Blockly.Linter.registerRule('empty_hats', function() {
+        return [];
+      });
+    });
+    Blockly.Linter.registerRule('linter_test_no_set', function(workspace) {
+      return workspace.getAllBlocks(true).filter(function(block) {
+        return block.type == 'linter_test_set';
+      }).map(function(block) {
+        return {message: 'No setting allowed', block: block};
+      });
+    });
+    var problems = linter.run().filter(function(problem) {
+      return problem.rule == 'linter_test_no_set';
+    });
+    assertArrayEquals(['linter_test_no_set inLoop',
+      'linter_test_no_set afterLoop'], linterTest_describe(problems));
+
+    Blockly.Linter.unregisterRule('linter_test_no_set');
+    assertEquals(7, linter.run().length);
+  } finally {
+    Blockly.Linter.unregisterRule('linter_test_no_set');
+    linter.dispose();
+    linterTest_tearDown();
+  }
+}
+
+function test_linter_warnings() {
+  linterTest_setUp(true);
+  var linter = new Blockly.Linter(linterTest_workspace);
+  try {
+    var workspace = linterTest_workspace;
+    var emptyHat = workspace.getBlockById('emptyHat');
+    assertEquals('There are no blocks under this block',
+        emptyHat.warning.getText());
+    emptyHat.setWarningText('Not from the linter', 'other');
+
+    var list = linter.createDom();
+    assertEquals(workspace.getInjectionDiv(), list.parentNode);
+    var items = list.getElementsByClassName('blocklyLintProblem');
+    assertEquals(7, items.length);
+    assertEquals('The block "fly %s" is not defined', items[6].textContent);
+    items[6].click();
+    assertEquals('callFly', Blockly.selected.id);
+
+    var sendStop = workspace.getBlockById('sendStop');
+    sendStop.unplug();
+    emptyHat.nextConnection.connect(sendStop.previousConnection);
+    workspace.getBlockById('sendGo').dispose();
+    linter.run();
+    assertEquals('Only the linter\'s warnings are removed',
+        'Not from the linter', emptyHat.warning.getText());
+    assertEquals('There are no blocks under this block',
+        workspace.getBlockById('flag').warning.getText());
+
+    linter.dispose();
+    assertNull(workspace.getBlockById('flag').warning);
+    assertEquals(0, workspace.getInjectionDiv()
+        .getElementsByClassName('blocklyLint').length);
+  } finally {
+    linterTest_tearDown();
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var minimapTest_workspace;
+
+function minimapTest_setUp() {
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'minimap_test_block',
+    'message0': 'move',
+    'colour': '#4C97FF',
+    'previousStatement': null,
+    'nextStatement': null
+  }]);
+  minimapTest_workspace = Blockly.inject('blocklyDiv',
+      {'scrollbars': true, 'minimap': true});
+  Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(
+      '<xml>' +
+      '  <block type="minimap_test_block" id="near" x="0" y="0"></block>' +
+      '  <block type="minimap_test_block" id="far" x="2000" y="1500"></block>' +
+      '</xml>'), minimapTest_workspace);
+  // Give the workspace a size, since nothing is laid out in the test page.
+  var svg = minimapTest_workspace.getParentSvg();
+  svg.cachedWidth_ = 400;
+  svg.cachedHeight_ = 300;
+  minimapTest_workspace.resize();
+  minimapTest_workspace.getMinimap().render();
+}
+
+function minimapTest_tearDown() {
+  minimapTest_workspace.dispose();
+  delete Blockly.Blocks['minimap_test_block'];
+}
+
+function minimapTest_getElement(className) {
+  return minimapTest_workspace.getParentSvg()
+      .getElementsByClassName(className)[0];
+}
+
+function minimapTest_center(rect) {
+  return {
+    x: Number(rect.getAttribute('x')) + Number(rect.getAttribute('width')) / 2,
+    y: Number(rect.getAttribute('y')) + Number(rect.getAttribute('height')) / 2
+  };
+}
+
+function test_minimap_render() {
+  minimapTest_setUp();
+  try {
+    var minimap = minimapTest_workspace.getMinimap();
+    assertNotNull(minimap);
+    assertNotNull(minimapTest_getElement('blocklyMinimap'));
+    var blocks = minimapTest_workspace.getParentSvg()
+        .getElementsByClassName('blocklyMinimapBlock');
+    assertEquals(2, blocks.length);
+    assertEquals('#4C97FF', blocks[0].getAttribute('fill'));
+    assertTrue('The far block is drawn below and right of the near one',
+        Number(blocks[1].getAttribute('x')) >
+        Number(blocks[0].getAttribute('x')) &&
+        Number(blocks[1].getAttribute('y')) >
+        Number(blocks[0].getAttribute('y')));
+
+    minimapTest_workspace.getBlockById('far').dispose();
+    minimap.render();
+    assertEquals('The preview follows the workspace', 1, blocks.length);
+  } finally {
+    minimapTest_tearDown();
+  }
+}
+
+function test_minimap_pan() {
+  minimapTest_setUp();
+  try {
+    var minimap = minimapTest_workspace.getMinimap();
+    var viewport = minimapTest_getElement('blocklyMinimapViewport');
+    var before = minimapTest_center(viewport);
+
+    minimap.centerOn(2000, 1500);
+    var view = minimap.getViewport();
+    assertRoughlyEquals(2000, view.x + view.width / 2, 1);
+    assertRoughlyEquals(1500, view.y + view.height / 2, 1);
+    var after = minimapTest_center(viewport);
+    assertTrue('Scrolling moves the viewport outline',
+        after.x > before.x && after.y > before.y);
+
+    // Clicking the minimap centres the view on the clicked point.
+    var background = minimapTest_getElement('blocklyMinimapBackground');
+    var rect = background.getBoundingClientRect();
+    var mousedown = new MouseEvent('mousedown', {
+      clientX: rect.left + 80,
+      clientY: rect.top + 60,
+      bubbles: true
+    });
+    background.dispatchEvent(mousedown);
+    document.dispatchEvent(new MouseEvent('mouseup'));
+    var clicked = minimapTest_center(viewport);
+    assertRoughlyEquals(80, clicked.x, 0.5);
+    assertRoughlyEquals(60, clicked.y, 0.5);
+  } finally {
+    minimapTest_tearDown();
+  }
+}
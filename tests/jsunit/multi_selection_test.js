@@ -0,0 +1,213 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var multiSelectionTest_workspace;
+
+function multiSelectionTest_setUp() {
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'multi_selection_test_block',
+    'message0': 'step',
+    'previousStatement': null,
+    'nextStatement': null
+  }]);
+  Blockly.Events.fire = temporary_fireEvent;
+  multiSelectionTest_workspace = Blockly.inject('blocklyDiv',
+      {'scrollbars': true});
+}
+
+function multiSelectionTest_tearDown() {
+  multiSelectionTest_workspace.dispose();
+  Blockly.Events.fire = savedFireFunc;
+  Blockly.clipboardXml_ = null;
+  Blockly.clipboardSource_ = null;
+  delete Blockly.Blocks['multi_selection_test_block'];
+}
+
+/**
+ * Create a rendered block at a position, in its own undo step.
+ * @param {string} id ID of the new block.
+ * @param {number} x X position.
+ * @param {number} y Y position.
+ * @return {!Blockly.BlockSvg} The block.
+ */
+function multiSelectionTest_newBlock(id, x, y) {
+  Blockly.Events.setGroup(true);
+  var block = multiSelectionTest_workspace.newBlock(
+      'multi_selection_test_block', id);
+  block.initSvg();
+  block.render();
+  block.moveBy(x, y);
+  Blockly.Events.setGroup(false);
+  return block;
+}
+
+function multiSelectionTest_keyDown(keyCode, ctrlKey) {
+  Blockly.onKeyDown_({
+    keyCode: keyCode,
+    ctrlKey: !!ctrlKey,
+    target: document.body,
+    preventDefault: function() {}
+  });
+}
+
+function test_multiSelection_selectBlocks() {
+  multiSelectionTest_setUp();
+  try {
+    var workspace = multiSelectionTest_workspace;
+    var a = multiSelectionTest_newBlock('a', 0, 0);
+    var b = multiSelectionTest_newBlock('b', 200, 0);
+    var c = multiSelectionTest_newBlock('c', 400, 0);
+    workspace.addToSelection(a);
+    assertEquals('Nothing else was selected', a, Blockly.selected);
+    workspace.addToSelection(b);
+    workspace.addToSelection(c);
+    assertArrayEquals([a, b, c], workspace.getSelectedBlocks());
+    assertTrue(Blockly.utils.hasClass(b.getSvgRoot(), 'blocklySelected'));
+
+    b.select();
+    assertEquals('Selecting a selected block keeps the others', 3,
+        workspace.getSelectedBlocks().length);
+    assertEquals(b, Blockly.selected);
+
+    workspace.removeFromSelection(b);
+    assertEquals('Another block takes over', a, Blockly.selected);
+    assertArrayEquals([a, c], workspace.getSelectedBlocks());
+    assertFalse(Blockly.utils.hasClass(b.getSvgRoot(), 'blocklySelected'));
+
+    c.dispose();
+    assertArrayEquals([a], workspace.getSelectedBlocks());
+    workspace.addToSelection(b);
+    b.nextConnection.connect(a.previousConnection);
+    assertArrayEquals('Blocks below another selected block are left out',
+        [b], workspace.getSelectedStacks());
+
+    var d = multiSelectionTest_newBlock('d', 600, 0);
+    d.select();
+    assertArrayEquals('Selecting another block replaces the selection', [d],
+        workspace.getSelectedBlocks());
+    workspace.clearSelection();
+    assertNull(Blockly.selected);
+  } finally {
+    multiSelectionTest_tearDown();
+  }
+}
+
+function test_multiSelection_groupDrag() {
+  multiSelectionTest_setUp();
+  try {
+    var workspace = multiSelectionTest_workspace;
+    var a = multiSelectionTest_newBlock('a', 0, 0);
+    var b = multiSelectionTest_newBlock('b', 200, 100);
+    var c = multiSelectionTest_newBlock('c', 400, 0);
+    workspace.addToSelection(a);
+    workspace.addToSelection(b);
+
+    var delta = new goog.math.Coordinate(30, 40);
+    var e = {clientX: 30, clientY: 40};
+    var dragger = new Blockly.BlockDragger(a, workspace);
+    dragger.startBlockDrag(new goog.math.Coordinate(0, 0));
+    dragger.dragBlock(e, delta);
+    dragger.endBlockDrag(e, delta);
+    dragger.dispose();
+    assertEquals(30, a.getRelativeToSurfaceXY().x);
+    assertEquals(230, b.getRelativeToSurfaceXY().x);
+    assertEquals(140, b.getRelativeToSurfaceXY().y);
+    assertEquals('Unselected blocks stay put', 400,
+        c.getRelativeToSurfaceXY().x);
+
+    workspace.undo(false);
+    assertEquals('One undo moves the whole group back', 0,
+        a.getRelativeToSurfaceXY().x);
+    assertEquals(200, b.getRelativeToSurfaceXY().x);
+  } finally {
+    multiSelectionTest_tearDown();
+  }
+}
+
+function test_multiSelection_deleteCopyPaste() {
+  multiSelectionTest_setUp();
+  try {
+    var workspace = multiSelectionTest_workspace;
+    var a = multiSelectionTest_newBlock('a', 0, 0);
+    var b = multiSelectionTest_newBlock('b', 200, 0);
+    multiSelectionTest_newBlock('c', 400, 0);
+    workspace.addToSelection(a);
+    workspace.addToSelection(b);
+
+    // Ctrl-C, ctrl-V.
+    multiSelectionTest_keyDown(67, true);
+    assertEquals('xml', Blockly.clipboardXml_.tagName.toLowerCase());
+    multiSelectionTest_keyDown(86, true);
+    assertEquals(5, workspace.getAllBlocks().length);
+    var pasted = workspace.getSelectedBlocks();
+    assertEquals('Pasted blocks are selected', 2, pasted.length);
+    assertTrue(pasted.indexOf(a) == -1 && pasted.indexOf(b) == -1);
+
+    // Delete.
+    multiSelectionTest_keyDown(46);
+    assertEquals(3, workspace.getAllBlocks().length);
+    workspace.undo(false);
+    assertEquals('One undo restores every deleted block', 5,
+        workspace.getAllBlocks().length);
+    workspace.undo(false);
+    assertEquals('One undo removes every pasted block', 3,
+        workspace.getAllBlocks().length);
+  } finally {
+    multiSelectionTest_tearDown();
+  }
+}
+
+function test_multiSelection_marquee() {
+  multiSelectionTest_setUp();
+  try {
+    var workspace = multiSelectionTest_workspace;
+    var a = multiSelectionTest_newBlock('a', 0, 0);
+    var b = multiSelectionTest_newBlock('b', 0, 0);
+    a.nextConnection.connect(b.previousConnection);
+    var c = multiSelectionTest_newBlock('c', 300, 0);
+    var d = multiSelectionTest_newBlock('d', 1000, 1000);
+
+    // Start the drag just left of the first stack, in client coordinates.
+    var origin = workspace.getOriginOffsetInPixels();
+    var boundingRect = workspace.getInjectionDiv().getBoundingClientRect();
+    var start = new goog.math.Coordinate(
+        origin.x + boundingRect.left - 10 * workspace.scale,
+        origin.y + boundingRect.top - 10 * workspace.scale);
+    var marquee = new Blockly.SelectionMarquee(workspace, start);
+    marquee.startDrag();
+    assertEquals(1, workspace.getBubbleCanvas().getElementsByClassName(
+        'blocklySelectionMarquee').length);
+    marquee.endDrag(new goog.math.Coordinate(320 * workspace.scale,
+        20 * workspace.scale));
+    marquee.dispose();
+    assertEquals('The marquee is removed', 0, workspace.getBubbleCanvas()
+        .getElementsByClassName('blocklySelectionMarquee').length);
+
+    var selection = workspace.getSelectedBlocks();
+    assertEquals('Whole stacks are selected', 3, selection.length);
+    assertTrue(selection.indexOf(b) != -1);
+    assertTrue(selection.indexOf(c) != -1);
+    assertTrue(selection.indexOf(d) == -1);
+    assertArrayEquals([a, c], workspace.getSelectedStacks());
+  } finally {
+    multiSelectionTest_tearDown();
+  }
+}
@@ -0,0 +1,441 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+goog.require('goog.testing');
+
+var workspace;
+
+var PYTHON_GENERATOR_TEST_TYPES = ['event_whenflagclicked', 'control_repeat',
+  'control_forever', 'motion_movesteps', 'math_number', 'data_variable',
+  'data_setvariableto', 'data_changevariableby', 'data_itemoflist',
+  'data_itemnumoflist', 'operator_add', 'operator_gt', 'text',
+  'procedures_definition', 'procedures_prototype', 'procedures_call',
+  'argument_reporter_string_number'];
+
+/**
+ * @param {Object=} opt_options Options for the workspace.
+ */
+function pythonGeneratorTest_setUp(opt_options) {
+  workspace = new Blockly.Workspace(opt_options);
+  Blockly.defineBlocksWithJsonArray([
+    {
+      'type': 'event_whenflagclicked',
+      'message0': 'when flag clicked',
+      'nextStatement': null
+    },
+    {
+      'type': 'control_repeat',
+      'message0': 'repeat %1 %2',
+      'args0': [
+        {'type': 'input_value', 'name': 'TIMES'},
+        {'type': 'input_statement', 'name': 'SUBSTACK'}
+      ],
+      'previousStatement': null,
+      'nextStatement': null
+    },
+    {
+      'type': 'control_forever',
+      'message0': 'forever %1',
+      'args0': [{'type': 'input_statement', 'name': 'SUBSTACK'}],
+      'previousStatement': null
+    },
+    {
+      'type': 'motion_movesteps',
+      'message0': 'move %1 steps',
+      'args0': [{'type': 'input_value', 'name': 'STEPS'}],
+      'previousStatement': null,
+      'nextStatement': null
+    },
+    {
+      'type': 'math_number',
+      'message0': '%1',
+      'args0': [{'type': 'field_input', 'name': 'NUM'}],
+      'output': null
+    },
+    {
+      'type': 'data_variable',
+      'message0': '%1',
+      'args0': [{'type': 'field_variable', 'name': 'VARIABLE'}],
+      'output': null
+    },
+    {
+      'type': 'data_setvariableto',
+      'message0': 'set %1 to %2',
+      'args0': [
+        {'type': 'field_variable', 'name': 'VARIABLE'},
+        {'type': 'input_value', 'name': 'VALUE'}
+      ],
+      'previousStatement': null,
+      'nextStatement': null
+    },
+    {
+      'type': 'data_changevariableby',
+      'message0': 'change %1 by %2',
+      'args0': [
+        {'type': 'field_variable', 'name': 'VARIABLE'},
+        {'type': 'input_value', 'name': 'VALUE'}
+      ],
+      'previousStatement': null,
+      'nextStatement': null
+    },
+    {
+      'type': 'data_itemoflist',
+      'message0': 'item %1 of %2',
+      'args0': [
+        {'type': 'input_value', 'name': 'INDEX'},
+        {'type': 'field_variable', 'name': 'LIST',
+          'variableTypes': [Blockly.LIST_VARIABLE_TYPE]}
+      ],
+      'output': null
+    },
+    {
+      'type': 'data_itemnumoflist',
+      'message0': 'item # of %1 in %2',
+      'args0': [
+        {'type': 'input_value', 'name': 'ITEM'},
+        {'type': 'field_variable', 'name': 'LIST',
+          'variableTypes': [Blockly.LIST_VARIABLE_TYPE]}
+      ],
+      'output': null
+    },
+    {
+      'type': 'operator_gt',
+      'message0': '%1 > %2',
+      'args0': [
+        {'type': 'input_value', 'name': 'OPERAND1'},
+        {'type': 'input_value', 'name': 'OPERAND2'}
+      ],
+      'output': null
+    },
+    {
+      'type': 'text',
+      'message0': '%1',
+      'args0': [{'type': 'field_input', 'name': 'TEXT'}],
+      'output': null
+    },
+    {
+      'type': 'operator_add',
+      'message0': '%1 + %2',
+      'args0': [
+        {'type': 'input_value', 'name': 'NUM1'},
+        {'type': 'input_value', 'name': 'NUM2'}
+      ],
+      'output': null
+    },
+    {
+      'type': 'procedures_definition',
+      'message0': 'define %1',
+      'args0': [{'type': 'input_statement', 'name': 'custom_block'}],
+      'nextStatement': null
+    },
+    {
+      'type': 'procedures_prototype',
+      'message0': 'prototype',
+      'previousStatement': null,
+      'nextStatement': null
+    },
+    {
+      'type': 'procedures_call',
+      'message0': 'call %1',
+      'args0': [{'type': 'input_value', 'name': 'arg0'}],
+      'previousStatement': null,
+      'nextStatement': null
+    },
+    {
+      'type': 'argument_reporter_string_number',
+      'message0': '%1',
+      'args0': [{'type': 'field_label', 'name': 'VALUE', 'text': 'height'}],
+      'output': null
+    }
+  ]);
+  Blockly.Blocks['procedures_prototype'].getProcCode = function() {
+    return this.procCode_;
+  };
+  Blockly.Blocks['procedures_call'].getProcCode = function() {
+    return this.procCode_;
+  };
+}
+
+function pythonGeneratorTest_tearDown() {
+  workspace.dispose();
+  for (var i = 0; i < PYTHON_GENERATOR_TEST_TYPES.length; i++) {
+    delete Blockly.Blocks[PYTHON_GENERATOR_TEST_TYPES[i]];
+  }
+}
+
+/**
+ * Create a block with a number plugged into one of its inputs.
+ * @param {string} type The type of the block.
+ * @param {string} inputName The name of the input.
+ * @param {string} num The number.
+ * @return {!Blockly.Block} The block.
+ */
+function pythonGeneratorTest_withNumber(type, inputName, num) {
+  var block = workspace.newBlock(type);
+  var number = workspace.newBlock('math_number');
+  number.setFieldValue(num, 'NUM');
+  number.setShadow(true);
+  block.getInput(inputName).connection.connect(number.outputConnection);
+  return block;
+}
+
+/**
+ * Create a block with a text shadow plugged into one of its inputs.
+ * @param {string} type The type of the block.
+ * @param {string} inputName The name of the input.
+ * @param {string} text The text.
+ * @return {!Blockly.Block} The block.
+ */
+function pythonGeneratorTest_withText(type, inputName, text) {
+  var block = workspace.newBlock(type);
+  var shadow = workspace.newBlock('text');
+  shadow.setFieldValue(text, 'TEXT');
+  shadow.setShadow(true);
+  block.getInput(inputName).connection.connect(shadow.outputConnection);
+  return block;
+}
+
+/**
+ * Build 'when flag clicked, set the variable to item 2 of the list'.
+ * @param {string=} opt_index The index typed in place of 2.
+ * @return {string} The generated Python.
+ */
+function pythonGeneratorTest_itemOfList(opt_index) {
+  workspace.createVariable('item', '', 'varId');
+  workspace.createVariable('things', Blockly.LIST_VARIABLE_TYPE, 'listId');
+  var hat = workspace.newBlock('event_whenflagclicked');
+  var set = workspace.newBlock('data_setvariableto');
+  set.setFieldValue('varId', 'VARIABLE');
+  var item = pythonGeneratorTest_withNumber('data_itemoflist', 'INDEX',
+      opt_index || '2');
+  item.setFieldValue('listId', 'LIST');
+  set.getInput('VALUE').connection.connect(item.outputConnection);
+  hat.nextConnection.connect(set.previousConnection);
+  return Blockly.Python.workspaceToCode(workspace);
+}
+
+function test_pythonGenerator_hatAndLoop() {
+  pythonGeneratorTest_setUp();
+  try {
+    var hat = workspace.newBlock('event_whenflagclicked');
+    var repeat = pythonGeneratorTest_withNumber('control_repeat', 'TIMES',
+        '10');
+    var move = pythonGeneratorTest_withNumber('motion_movesteps', 'STEPS',
+        '-5');
+    hat.nextConnection.connect(repeat.previousConnection);
+    repeat.getInput('SUBSTACK').connection.connect(move.previousConnection);
+    // Loose stacks never run, so they produce no code.
+    pythonGeneratorTest_withNumber('motion_movesteps', 'STEPS', '1');
+    workspace.newBlock('control_forever');
+
+    var code = Blockly.Python.workspaceToCode(workspace);
+    assertEquals(
+        'def when_flag_clicked():\n' +
+        '    for count in range(10):\n' +
+        '        move_steps(-5)\n', code);
+  } finally {
+    pythonGeneratorTest_tearDown();
+  }
+}
+
+function test_pythonGenerator_variables() {
+  pythonGeneratorTest_setUp();
+  try {
+    workspace.createVariable('print', '', 'varId');
+    workspace.createVariable('my list', Blockly.LIST_VARIABLE_TYPE, 'listId');
+    var hat = workspace.newBlock('event_whenflagclicked');
+    var set = workspace.newBlock('data_setvariableto');
+    set.setFieldValue('varId', 'VARIABLE');
+    var add = pythonGeneratorTest_withNumber('operator_add', 'NUM2', '1');
+    var variable = workspace.newBlock('data_variable');
+    variable.setFieldValue('varId', 'VARIABLE');
+    add.getInput('NUM1').connection.connect(variable.outputConnection);
+    set.getInput('VALUE').connection.connect(add.outputConnection);
+    hat.nextConnection.connect(set.previousConnection);
+
+    var code = Blockly.Python.workspaceToCode(workspace);
+    // Reserved words are renamed.
+    assertContains('print2 = 0\n', code);
+    assertContains('my_list = []\n', code);
+    assertContains(
+        'def when_flag_clicked():\n' +
+        '    global print2\n' +
+        '    print2 = print2 + 1\n', code);
+  } finally {
+    pythonGeneratorTest_tearDown();
+  }
+}
+
+function test_pythonGenerator_zeroBasedIndex() {
+  pythonGeneratorTest_setUp({oneBasedIndex: false});
+  try {
+    var code = pythonGeneratorTest_itemOfList();
+    assertContains('    item = things[2]\n', code);
+  } finally {
+    pythonGeneratorTest_tearDown();
+  }
+}
+
+function test_pythonGenerator_oneBasedIndex() {
+  pythonGeneratorTest_setUp({oneBasedIndex: true});
+  try {
+    var code = pythonGeneratorTest_itemOfList();
+    assertContains('    item = things[1]\n', code);
+  } finally {
+    pythonGeneratorTest_tearDown();
+  }
+}
+
+function test_pythonGenerator_textNumbers() {
+  pythonGeneratorTest_setUp();
+  try {
+    workspace.createVariable('score', '', 'varId');
+    var hat = workspace.newBlock('event_whenflagclicked');
+    var set = pythonGeneratorTest_withText('data_setvariableto', 'VALUE', '0');
+    set.setFieldValue('varId', 'VARIABLE');
+    var repeat = pythonGeneratorTest_withText('control_repeat', 'TIMES', '10');
+    var change = pythonGeneratorTest_withText('data_changevariableby', 'VALUE',
+        '1');
+    change.setFieldValue('varId', 'VARIABLE');
+    var setAgain = workspace.newBlock('data_setvariableto');
+    setAgain.setFieldValue('varId', 'VARIABLE');
+    var gt = pythonGeneratorTest_withText('operator_gt', 'OPERAND2', '50');
+    var variable = workspace.newBlock('data_variable');
+    variable.setFieldValue('varId', 'VARIABLE');
+    gt.getInput('OPERAND1').connection.connect(variable.outputConnection);
+    setAgain.getInput('VALUE').connection.connect(gt.outputConnection);
+    hat.nextConnection.connect(set.previousConnection);
+    set.nextConnection.connect(repeat.previousConnection);
+    repeat.getInput('SUBSTACK').connection.connect(change.previousConnection);
+    repeat.nextConnection.connect(setAgain.previousConnection);
+
+    var code = Blockly.Python.workspaceToCode(workspace);
+    // Text that looks like a number is generated as a number.
+    assertContains(
+        'def when_flag_clicked():\n' +
+        '    global score\n' +
+        '    score = 0\n' +
+        '    for count in range(10):\n' +
+        '        score += 1\n' +
+        '    score = to_number(score) > 50\n', code);
+    assertContains('def to_number(value):\n', code);
+  } finally {
+    pythonGeneratorTest_tearDown();
+  }
+}
+
+function test_pythonGenerator_textOperands() {
+  pythonGeneratorTest_setUp();
+  try {
+    workspace.createVariable('times', '', 'varId');
+    var hat = workspace.newBlock('event_whenflagclicked');
+    var repeat = workspace.newBlock('control_repeat');
+    var variable = workspace.newBlock('data_variable');
+    variable.setFieldValue('varId', 'VARIABLE');
+    repeat.getInput('TIMES').connection.connect(variable.outputConnection);
+    var set = workspace.newBlock('data_setvariableto');
+    set.setFieldValue('varId', 'VARIABLE');
+    var gt = pythonGeneratorTest_withText('operator_gt', 'OPERAND1', 'apple');
+    var number = workspace.newBlock('math_number');
+    number.setFieldValue('5', 'NUM');
+    gt.getInput('OPERAND2').connection.connect(number.outputConnection);
+    set.getInput('VALUE').connection.connect(gt.outputConnection);
+    hat.nextConnection.connect(repeat.previousConnection);
+    repeat.getInput('SUBSTACK').connection.connect(set.previousConnection);
+
+    var code = Blockly.Python.workspaceToCode(workspace);
+    assertContains('    for count in range(round(to_number(times))):\n', code);
+    // A number compared with other text is compared as text.
+    assertContains('        times = \'apple\' > \'5\'\n', code);
+  } finally {
+    pythonGeneratorTest_tearDown();
+  }
+}
+
+function test_pythonGenerator_listIndexText() {
+  pythonGeneratorTest_setUp({oneBasedIndex: true});
+  try {
+    var code = pythonGeneratorTest_itemOfList('last');
+    assertContains('    item = things[-1]\n', code);
+  } finally {
+    pythonGeneratorTest_tearDown();
+  }
+}
+
+function test_pythonGenerator_itemNumberOfList() {
+  pythonGeneratorTest_setUp({oneBasedIndex: true});
+  try {
+    workspace.createVariable('position', '', 'varId');
+    workspace.createVariable('things', Blockly.LIST_VARIABLE_TYPE, 'listId');
+    var hat = workspace.newBlock('event_whenflagclicked');
+    var set = workspace.newBlock('data_setvariableto');
+    set.setFieldValue('varId', 'VARIABLE');
+    var itemNum = pythonGeneratorTest_withText('data_itemnumoflist', 'ITEM',
+        'apple');
+    itemNum.setFieldValue('listId', 'LIST');
+    set.getInput('VALUE').connection.connect(itemNum.outputConnection);
+    hat.nextConnection.connect(set.previousConnection);
+
+    var code = Blockly.Python.workspaceToCode(workspace);
+    // Scratch reports 0 for a missing item.
+    assertContains('    position = things.index(\'apple\') + 1 ' +
+        'if \'apple\' in things else 0\n', code);
+  } finally {
+    pythonGeneratorTest_tearDown();
+  }
+}
+
+function test_pythonGenerator_procedures() {
+  pythonGeneratorTest_setUp();
+  try {
+    var definition = workspace.newBlock('procedures_definition');
+    var prototype = workspace.newBlock('procedures_prototype');
+    prototype.procCode_ = 'jump %s';
+    prototype.displayNames_ = ['height'];
+    prototype.argumentIds_ = ['arg0'];
+    definition.getInput('custom_block').connection.connect(
+        prototype.previousConnection);
+    var forever = workspace.newBlock('control_forever');
+    var move = workspace.newBlock('motion_movesteps');
+    move.getInput('STEPS').connection.connect(
+        workspace.newBlock('argument_reporter_string_number').outputConnection);
+    definition.nextConnection.connect(forever.previousConnection);
+    forever.getInput('SUBSTACK').connection.connect(move.previousConnection);
+
+    var hat = workspace.newBlock('event_whenflagclicked');
+    var call = pythonGeneratorTest_withNumber('procedures_call', 'arg0', '10');
+    call.procCode_ = 'jump %s';
+    call.argumentIds_ = ['arg0'];
+    hat.nextConnection.connect(call.previousConnection);
+
+    var code = Blockly.Python.workspaceToCode(workspace);
+    assertEquals(
+        'def jump(height):\n' +
+        '    while True:\n' +
+        '        move_steps(height)\n' +
+        '\n' +
+        '\n' +
+        'def when_flag_clicked():\n' +
+        '    jump(10)\n', code);
+  } finally {
+    pythonGeneratorTest_tearDown();
+  }
+}
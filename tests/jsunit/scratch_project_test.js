@@ -0,0 +1,274 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+goog.require('goog.testing');
+
+var workspace;
+
+/**
+ * A sprite target in the shape stored by project.json.
+ * @return {!Object} The target.
+ */
+function scratchProjectTest_makeTarget() {
+  return {
+    'isStage': false,
+    'variables': {'varId': ['my variable', 5]},
+    'lists': {'listId': ['my list', ['a', 'b']]},
+    'broadcasts': {},
+    'comments': {
+      'c1': {
+        'blockId': 'repeat', 'x': 300, 'y': 40, 'width': 200, 'height': 100,
+        'minimized': false, 'text': 'loops forever'
+      },
+      'c2': {
+        'blockId': null, 'x': 10, 'y': 400, 'width': 150, 'height': 80,
+        'minimized': true, 'text': 'workspace note'
+      }
+    },
+    'blocks': {
+      'hat': {
+        'opcode': 'event_whenflagclicked', 'next': 'repeat', 'parent': null,
+        'inputs': {}, 'fields': {}, 'shadow': false, 'topLevel': true,
+        'x': 50, 'y': 60
+      },
+      'repeat': {
+        'opcode': 'control_repeat', 'next': null, 'parent': 'hat',
+        'inputs': {
+          'TIMES': [3, [12, 'my variable', 'varId'], [6, '10']],
+          'SUBSTACK': [2, 'call']
+        },
+        'fields': {}, 'shadow': false, 'topLevel': false, 'comment': 'c1'
+      },
+      'call': {
+        'opcode': 'procedures_call', 'next': null, 'parent': 'repeat',
+        'inputs': {'arg0': [1, [10, 'hello']]}, 'fields': {},
+        'shadow': false, 'topLevel': false,
+        'mutation': {
+          'tagName': 'mutation', 'children': [], 'proccode': 'say %s',
+          'argumentids': '["arg0"]', 'warp': 'false'
+        }
+      },
+      'reporter': [13, 'my list', 'listId', 200, 300]
+    }
+  };
+}
+
+function scratchProjectTest_setUp() {
+  workspace = new Blockly.Workspace();
+  Blockly.defineBlocksWithJsonArray([
+    {
+      'type': 'event_whenflagclicked',
+      'message0': 'when flag clicked',
+      'nextStatement': null
+    },
+    {
+      'type': 'control_repeat',
+      'message0': 'repeat %1 %2',
+      'args0': [
+        {'type': 'input_value', 'name': 'TIMES'},
+        {'type': 'input_statement', 'name': 'SUBSTACK'}
+      ],
+      'previousStatement': null,
+      'nextStatement': null
+    },
+    {
+      'type': 'math_whole_number',
+      'message0': '%1',
+      'args0': [{'type': 'field_input', 'name': 'NUM'}],
+      'output': null
+    },
+    {
+      'type': 'text',
+      'message0': '%1',
+      'args0': [{'type': 'field_input', 'name': 'TEXT'}],
+      'output': null
+    },
+    {
+      'type': 'data_variable',
+      'message0': '%1',
+      'args0': [{'type': 'field_variable', 'name': 'VARIABLE'}],
+      'output': null
+    },
+    {
+      'type': 'data_listcontents',
+      'message0': '%1',
+      'args0': [{'type': 'field_variable', 'name': 'LIST',
+        'variableTypes': [Blockly.LIST_VARIABLE_TYPE],
+        'defaultType': Blockly.LIST_VARIABLE_TYPE}],
+      'output': null
+    }
+  ]);
+  Blockly.Blocks['procedures_call'] = {
+    init: function() {
+      this.setPreviousStatement(true);
+      this.setNextStatement(true);
+    },
+    mutationToDom: function() {
+      var container = document.createElement('mutation');
+      container.setAttribute('proccode', this.procCode_);
+      container.setAttribute('argumentids', JSON.stringify(this.argumentIds_));
+      container.setAttribute('warp', JSON.stringify(this.warp_));
+      return container;
+    },
+    domToMutation: function(xmlElement) {
+      this.procCode_ = xmlElement.getAttribute('proccode');
+      this.argumentIds_ = JSON.parse(xmlElement.getAttribute('argumentids'));
+      this.warp_ = JSON.parse(xmlElement.getAttribute('warp'));
+      for (var i = 0; i < this.argumentIds_.length; i++) {
+        if (!this.getInput(this.argumentIds_[i])) {
+          this.appendValueInput(this.argumentIds_[i]);
+        }
+      }
+    }
+  };
+}
+
+function scratchProjectTest_tearDown() {
+  workspace.dispose();
+  var types = ['event_whenflagclicked', 'control_repeat', 'math_whole_number',
+    'text', 'data_variable', 'data_listcontents', 'procedures_call'];
+  for (var i = 0; i < types.length; i++) {
+    delete Blockly.Blocks[types[i]];
+  }
+}
+
+function test_scratchProject_targetToJson_blocks() {
+  var json = Blockly.ScratchProject.targetToJson(
+      scratchProjectTest_makeTarget());
+  assertEquals('Top level blocks', 2, json['blocks'].length);
+  var hat = json['blocks'][0];
+  assertEquals('event_whenflagclicked', hat['type']);
+  assertEquals(50, hat['x']);
+  assertEquals(60, hat['y']);
+
+  var repeat = hat['next']['block'];
+  assertEquals('repeat', repeat['id']);
+  assertEquals('loops forever', repeat['comment']['text']);
+  var times = repeat['inputs']['TIMES'];
+  assertEquals('data_variable', times['block']['type']);
+  assertUndefined(times['block']['shadow']);
+  assertEquals('varId', times['block']['fields']['VARIABLE']['id']);
+  assertEquals('', times['block']['fields']['VARIABLE']['variableType']);
+  assertEquals('math_whole_number', times['shadow']['type']);
+  assertTrue(times['shadow']['shadow']);
+  assertEquals('10', times['shadow']['fields']['NUM']['value']);
+
+  var call = repeat['inputs']['SUBSTACK']['block'];
+  assertEquals('say %s', call['mutation']['proccode']);
+  assertEquals('hello', call['inputs']['arg0']['shadow']['fields']['TEXT']['value']);
+
+  var reporter = json['blocks'][1];
+  assertEquals('data_listcontents', reporter['type']);
+  assertEquals('reporter', reporter['id']);
+  assertEquals(Blockly.LIST_VARIABLE_TYPE,
+      reporter['fields']['LIST']['variableType']);
+  assertEquals(200, reporter['x']);
+  assertEquals(300, reporter['y']);
+}
+
+function test_scratchProject_targetToJson_variablesAndComments() {
+  var stage = {
+    'isStage': true,
+    'variables': {'globalId': ['score', 0, true]},
+    'lists': {},
+    'broadcasts': {'msgId': 'message1'}
+  };
+  var json = Blockly.ScratchProject.targetToJson(
+      scratchProjectTest_makeTarget(), stage);
+  var variables = json['variables'];
+  assertEquals(4, variables.length);
+  assertEquals('score', variables[0]['name']);
+  assertFalse(variables[0]['isLocal']);
+  assertTrue(variables[0]['isCloud']);
+  assertEquals(Blockly.BROADCAST_MESSAGE_VARIABLE_TYPE, variables[1]['type']);
+  assertEquals('my variable', variables[2]['name']);
+  assertTrue(variables[2]['isLocal']);
+  assertEquals(Blockly.LIST_VARIABLE_TYPE, variables[3]['type']);
+
+  assertEquals('Workspace comments', 1, json['comments'].length);
+  assertEquals('workspace note', json['comments'][0]['text']);
+  assertTrue(json['comments'][0]['minimized']);
+}
+
+function test_scratchProject_jsonToTarget_roundTrip() {
+  var target = scratchProjectTest_makeTarget();
+  var result = Blockly.ScratchProject.jsonToTarget(
+      Blockly.ScratchProject.targetToJson(target), target);
+  assertEquals(JSON.stringify(target['variables']),
+      JSON.stringify(result['variables']));
+  assertEquals(JSON.stringify(target['lists']),
+      JSON.stringify(result['lists']));
+  assertEquals(JSON.stringify(target['blocks']['reporter']),
+      JSON.stringify(result['blocks']['reporter']));
+  assertEquals(JSON.stringify(target['blocks']['repeat']['inputs']),
+      JSON.stringify(result['blocks']['repeat']['inputs']));
+  assertEquals(JSON.stringify(target['blocks']['call']['inputs']),
+      JSON.stringify(result['blocks']['call']['inputs']));
+  assertEquals('hat', result['blocks']['repeat']['parent']);
+  assertEquals('repeat', result['blocks']['hat']['next']);
+  assertEquals('c1', result['blocks']['repeat']['comment']);
+  assertEquals('repeat', result['comments']['c1']['blockId']);
+  assertNull(result['comments']['c2']['blockId']);
+}
+
+function test_scratchProject_jsonToTarget_splitsGlobals() {
+  var json = {
+    'variables': [
+      {'name': 'local', 'type': '', 'id': 'a', 'isLocal': true},
+      {'name': 'global', 'type': '', 'id': 'b', 'isLocal': false},
+      {'name': 'message1', 'type': Blockly.BROADCAST_MESSAGE_VARIABLE_TYPE,
+        'id': 'c', 'isLocal': false}
+    ]
+  };
+  var sprite = Blockly.ScratchProject.jsonToTarget(json, {'isStage': false});
+  assertEquals('["a"]', JSON.stringify(Object.keys(sprite['variables'])));
+  assertEquals('{}', JSON.stringify(sprite['broadcasts']));
+  var stage = Blockly.ScratchProject.jsonToTarget(json, {'isStage': true});
+  assertEquals('["b"]', JSON.stringify(Object.keys(stage['variables'])));
+  assertEquals('message1', stage['broadcasts']['c']);
+}
+
+function test_scratchProject_workspaceRoundTrip() {
+  scratchProjectTest_setUp();
+  try {
+    var target = scratchProjectTest_makeTarget();
+    Blockly.ScratchProject.targetToWorkspace(target, workspace);
+    assertEquals('Block count', 6, workspace.getAllBlocks().length);
+    assertEquals('say %s', workspace.getBlockById('call').procCode_);
+    assertEquals('loops forever',
+        workspace.getBlockById('repeat').getCommentText());
+    assertEquals(1, workspace.getTopComments().length);
+
+    var result = Blockly.ScratchProject.workspaceToTarget(workspace, target);
+    assertEquals(JSON.stringify(target['variables']),
+        JSON.stringify(result['variables']));
+    assertEquals(JSON.stringify(target['blocks']['reporter']),
+        JSON.stringify(result['blocks']['reporter']));
+    assertEquals(JSON.stringify(target['blocks']['call']['mutation']),
+        JSON.stringify(result['blocks']['call']['mutation']));
+    var times = result['blocks']['repeat']['inputs']['TIMES'];
+    assertEquals(Blockly.ScratchProject.INPUT_DIFF_BLOCK_SHADOW, times[0]);
+    assertEquals('[12,"my variable","varId"]', JSON.stringify(times[1]));
+    assertEquals('[6,"10"]', JSON.stringify(times[2]));
+  } finally {
+    scratchProjectTest_tearDown();
+  }
+}
@@ -44,6 +44,29 @@ function temporary_fireEvent(event) {
   Blockly.Events.fireNow_();
 }
 
+/**
+ * Set Blockly.Msg strings for a test.  The test pages don't load the message
+ * files, so tests of code that reads messages provide their own.
+ * @param {!Object.<string, string>} messages The messages, keyed by name.
+ * @return {function()} Call to put back the messages that were replaced.
+ */
+function setTestMessages(messages) {
+  var saved = {};
+  for (var key in messages) {
+    saved[key] = Blockly.Msg[key];
+    Blockly.Msg[key] = messages[key];
+  }
+  return function() {
+    for (var key in saved) {
+      if (saved[key] === undefined) {
+        delete Blockly.Msg[key];
+      } else {
+        Blockly.Msg[key] = saved[key];
+      }
+    }
+  };
+}
+
 /**
  * Check that two arrays have the same content.
  * @param {!Array.<string>} array1 The first array.
@@ -0,0 +1,404 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+goog.require('goog.testing');
+
+var workspace;
+
+var textNotationTest_TYPES = ['event_whenflagclicked', 'motion_movesteps',
+  'motion_turnright', 'looks_say', 'looks_seteffectto', 'sound_seteffectto',
+  'control_if', 'control_if_else', 'control_forever', 'sensing_mousedown',
+  'sensing_keypressed', 'sensing_keyoptions', 'operator_add', 'math_number',
+  'text', 'data_variable', 'data_setvariableto'];
+
+var textNotationTest_SCRIPT = [
+  'when flag clicked',
+  'move (10) steps',
+  'if <key (space v) pressed?> then',
+  '  say [Hello!] // greeting',
+  'else',
+  '  forever',
+  '    turn @turnRight (15) degrees',
+  '  end',
+  'end'
+].join('\n');
+
+var textNotationTest_restoreMessages;
+
+function textNotationTest_setUp() {
+  textNotationTest_restoreMessages = setTestMessages({
+    'PROCEDURES_DEFINITION': 'define %1'
+  });
+  var toolbox = Blockly.Xml.textToDom(
+      '<xml>' +
+      '<block type="motion_movesteps"><value name="STEPS">' +
+      '<shadow type="math_number"><field name="NUM">10</field></shadow>' +
+      '</value></block>' +
+      '<block type="motion_turnright"><value name="DEGREES">' +
+      '<shadow type="math_number"><field name="NUM">15</field></shadow>' +
+      '</value></block>' +
+      '<block type="looks_say"><value name="MESSAGE">' +
+      '<shadow type="text"><field name="TEXT">Hello!</field></shadow>' +
+      '</value></block>' +
+      '<block type="looks_seteffectto"><value name="VALUE">' +
+      '<shadow type="math_number"><field name="NUM">0</field></shadow>' +
+      '</value></block>' +
+      '<block type="sound_seteffectto"><value name="VALUE">' +
+      '<shadow type="math_number"><field name="NUM">100</field></shadow>' +
+      '</value></block>' +
+      '<block type="sensing_keypressed"><value name="KEY_OPTION">' +
+      '<shadow type="sensing_keyoptions">' +
+      '<field name="KEY_OPTION">space</field></shadow>' +
+      '</value></block>' +
+      '<block type="operator_add">' +
+      '<value name="NUM1"><shadow type="math_number">' +
+      '<field name="NUM"></field></shadow></value>' +
+      '<value name="NUM2"><shadow type="math_number">' +
+      '<field name="NUM"></field></shadow></value>' +
+      '</block>' +
+      '</xml>');
+  workspace = new Blockly.Workspace({'languageTree': toolbox});
+  var statement = {'previousStatement': null, 'nextStatement': null};
+  var withShape = function(json, shape) {
+    for (var key in shape) {
+      json[key] = shape[key];
+    }
+    return json;
+  };
+  var effectBlock = function(type, options) {
+    return withShape({
+      'type': type,
+      'message0': 'set %1 effect to %2',
+      'args0': [
+        {'type': 'field_dropdown', 'name': 'EFFECT', 'options': options},
+        {'type': 'input_value', 'name': 'VALUE'}
+      ]
+    }, statement);
+  };
+  Blockly.defineBlocksWithJsonArray([
+    {
+      'type': 'event_whenflagclicked',
+      'message0': 'when %1 clicked',
+      'args0': [{'type': 'field_image', 'src': 'media/green-flag.svg',
+        'width': 24, 'height': 24, 'alt': 'flag'}],
+      'nextStatement': null
+    },
+    withShape({
+      'type': 'motion_movesteps',
+      'message0': 'move %1 steps',
+      'args0': [{'type': 'input_value', 'name': 'STEPS'}]
+    }, statement),
+    withShape({
+      'type': 'motion_turnright',
+      'message0': 'turn %1 %2 degrees',
+      'args0': [
+        {'type': 'field_image', 'src': 'media/rotate-right.svg',
+          'width': 24, 'height': 24},
+        {'type': 'input_value', 'name': 'DEGREES'}
+      ]
+    }, statement),
+    withShape({
+      'type': 'looks_say',
+      'message0': 'say %1',
+      'args0': [{'type': 'input_value', 'name': 'MESSAGE'}]
+    }, statement),
+    effectBlock('looks_seteffectto', [['color', 'COLOR'], ['ghost', 'GHOST']]),
+    effectBlock('sound_seteffectto', [['pitch', 'PITCH'], ['pan', 'PAN']]),
+    withShape({
+      'type': 'control_if',
+      'message0': 'if %1 then %2',
+      'args0': [
+        {'type': 'input_value', 'name': 'CONDITION', 'check': 'Boolean'},
+        {'type': 'input_statement', 'name': 'SUBSTACK'}
+      ]
+    }, statement),
+    withShape({
+      'type': 'control_if_else',
+      'message0': 'if %1 then %2 else %3',
+      'args0': [
+        {'type': 'input_value', 'name': 'CONDITION', 'check': 'Boolean'},
+        {'type': 'input_statement', 'name': 'SUBSTACK'},
+        {'type': 'input_statement', 'name': 'SUBSTACK2'}
+      ]
+    }, statement),
+    {
+      'type': 'control_forever',
+      'message0': 'forever %1',
+      'args0': [{'type': 'input_statement', 'name': 'SUBSTACK'}],
+      'previousStatement': null
+    },
+    {
+      'type': 'sensing_mousedown',
+      'message0': 'mouse down?',
+      'output': 'Boolean'
+    },
+    {
+      'type': 'sensing_keypressed',
+      'message0': 'key %1 pressed?',
+      'args0': [{'type': 'input_value', 'name': 'KEY_OPTION'}],
+      'output': 'Boolean'
+    },
+    {
+      'type': 'sensing_keyoptions',
+      'message0': '%1',
+      'args0': [{'type': 'field_dropdown', 'name': 'KEY_OPTION',
+        'options': [['space', 'space'], ['left arrow', 'left arrow']]}],
+      'output': null
+    },
+    {
+      'type': 'operator_add',
+      'message0': '%1 + %2',
+      'args0': [
+        {'type': 'input_value', 'name': 'NUM1'},
+        {'type': 'input_value', 'name': 'NUM2'}
+      ],
+      'output': 'Number'
+    },
+    {
+      'type': 'math_number',
+      'message0': '%1',
+      'args0': [{'type': 'field_number', 'name': 'NUM'}],
+      'output': 'Number'
+    },
+    {
+      'type': 'text',
+      'message0': '%1',
+      'args0': [{'type': 'field_input', 'name': 'TEXT'}],
+      'output': 'String'
+    },
+    {
+      'type': 'data_variable',
+      'message0': '%1',
+      'args0': [{'type': 'field_variable_getter', 'name': 'VARIABLE',
+        'text': '', 'variableType': ''}],
+      'output': null
+    },
+    withShape({
+      'type': 'data_setvariableto',
+      'message0': 'set %1 to %2',
+      'args0': [
+        {'type': 'field_variable', 'name': 'VARIABLE'},
+        {'type': 'input_value', 'name': 'VALUE'}
+      ]
+    }, statement)
+  ]);
+}
+
+function textNotationTest_tearDown() {
+  workspace.dispose();
+  textNotationTest_restoreMessages();
+  for (var i = 0; i < textNotationTest_TYPES.length; i++) {
+    delete Blockly.Blocks[textNotationTest_TYPES[i]];
+  }
+}
+
+function test_textNotation_blockToText() {
+  textNotationTest_setUp();
+  try {
+    var xml = Blockly.Xml.textToDom(
+        '<xml><block type="event_whenflagclicked"><next>' +
+        '<block type="motion_movesteps"><value name="STEPS">' +
+        '<shadow type="math_number"><field name="NUM">10</field></shadow>' +
+        '</value><next><block type="control_if_else">' +
+        '<value name="CONDITION"><block type="sensing_keypressed">' +
+        '<value name="KEY_OPTION"><shadow type="sensing_keyoptions">' +
+        '<field name="KEY_OPTION">space</field></shadow></value>' +
+        '</block></value>' +
+        '<statement name="SUBSTACK"><block type="looks_say">' +
+        '<comment>greeting</comment><value name="MESSAGE">' +
+        '<shadow type="text"><field name="TEXT">Hello!</field></shadow>' +
+        '</value></block></statement>' +
+        '<statement name="SUBSTACK2"><block type="control_forever">' +
+        '<statement name="SUBSTACK"><block type="motion_turnright">' +
+        '<value name="DEGREES"><shadow type="math_number">' +
+        '<field name="NUM">15</field></shadow></value></block>' +
+        '</statement></block></statement>' +
+        '</block></next></block></next></block></xml>');
+    Blockly.Xml.domToWorkspace(xml, workspace);
+    assertEquals(textNotationTest_SCRIPT,
+        Blockly.TextNotation.workspaceToText(workspace));
+  } finally {
+    textNotationTest_tearDown();
+  }
+}
+
+function test_textNotation_textToJson_cBlocks() {
+  textNotationTest_setUp();
+  try {
+    var json = Blockly.TextNotation.textToJson(textNotationTest_SCRIPT,
+        workspace);
+    assertEquals('Scripts', 1, json['blocks'].length);
+    var hat = json['blocks'][0];
+    assertEquals('event_whenflagclicked', hat['type']);
+    var move = hat['next']['block'];
+    assertEquals('motion_movesteps', move['type']);
+    assertEquals('10', move['inputs']['STEPS']['shadow']['fields']['NUM']['value']);
+
+    var ifElse = move['next']['block'];
+    assertEquals('control_if_else', ifElse['type']);
+    var condition = ifElse['inputs']['CONDITION']['block'];
+    assertEquals('sensing_keypressed', condition['type']);
+    var say = ifElse['statements']['SUBSTACK']['block'];
+    assertEquals('looks_say', say['type']);
+    assertEquals('greeting', say['comment']['text']);
+    var forever = ifElse['statements']['SUBSTACK2']['block'];
+    assertEquals('control_forever', forever['type']);
+    assertEquals('motion_turnright',
+        forever['statements']['SUBSTACK']['block']['type']);
+    assertUndefined(ifElse['next']);
+  } finally {
+    textNotationTest_tearDown();
+  }
+}
+
+function test_textNotation_textToJson_ifWithoutElse() {
+  textNotationTest_setUp();
+  try {
+    var json = Blockly.TextNotation.textToJson(
+        'if <mouse down?> then\n  move (5) steps\nend\nsay [done]', workspace);
+    var block = json['blocks'][0];
+    assertEquals('control_if', block['type']);
+    assertEquals('motion_movesteps',
+        block['statements']['SUBSTACK']['block']['type']);
+    assertEquals('looks_say', block['next']['block']['type']);
+  } finally {
+    textNotationTest_tearDown();
+  }
+}
+
+function test_textNotation_textToJson_reportersAndMenus() {
+  textNotationTest_setUp();
+  try {
+    var json = Blockly.TextNotation.textToJson(
+        'say ((my variable) + [2])\n' +
+        'if <key (left arrow v) pressed?> then\nend\n' +
+        'set [pitch v] effect to (50)\n' +
+        'set [ghost v] effect to (50)\n' +
+        'set [score v] to [0]', workspace);
+    var say = json['blocks'][0];
+    var add = say['inputs']['MESSAGE']['block'];
+    assertEquals('operator_add', add['type']);
+    assertEquals('Shadow kept under reporter', 'text',
+        say['inputs']['MESSAGE']['shadow']['type']);
+    var variable = add['inputs']['NUM1']['block'];
+    assertEquals('data_variable', variable['type']);
+    assertEquals('my variable', variable['fields']['VARIABLE']['value']);
+    assertEquals('2', add['inputs']['NUM2']['shadow']['fields']['NUM']['value']);
+
+    var ifBlock = say['next']['block'];
+    var key = ifBlock['inputs']['CONDITION']['block'];
+    assertEquals('left arrow',
+        key['inputs']['KEY_OPTION']['shadow']['fields']['KEY_OPTION']['value']);
+
+    var pitch = ifBlock['next']['block'];
+    assertEquals('sound_seteffectto', pitch['type']);
+    assertEquals('PITCH', pitch['fields']['EFFECT']['value']);
+    var ghost = pitch['next']['block'];
+    assertEquals('looks_seteffectto', ghost['type']);
+    assertEquals('GHOST', ghost['fields']['EFFECT']['value']);
+    var set = ghost['next']['block'];
+    assertEquals('score', set['fields']['VARIABLE']['value']);
+    assertEquals('', set['fields']['VARIABLE']['variableType']);
+    assertEquals('0', set['inputs']['VALUE']['shadow']['fields']['TEXT']['value']);
+  } finally {
+    textNotationTest_tearDown();
+  }
+}
+
+function test_textNotation_setVariableToNumber() {
+  textNotationTest_setUp();
+  try {
+    // The data category gives the value a text shadow, whatever the brackets.
+    var json = Blockly.TextNotation.textToJson('set [score v] to (0)',
+        workspace);
+    var shadow = json['blocks'][0]['inputs']['VALUE']['shadow'];
+    assertEquals('text', shadow['type']);
+    assertEquals('0', shadow['fields']['TEXT']['value']);
+
+    Blockly.TextNotation.textToWorkspace('set [score v] to (0)', workspace);
+    assertEquals('set [score v] to [0]',
+        Blockly.TextNotation.workspaceToText(workspace));
+  } finally {
+    textNotationTest_tearDown();
+  }
+}
+
+function test_textNotation_textToJson_scriptsAndComments() {
+  textNotationTest_setUp();
+  try {
+    var json = Blockly.TextNotation.textToJson(
+        '// two scripts\n\nwhen flag clicked\nforever\nend\nmove (1) steps' +
+        '\n\n<mouse down?>', workspace);
+    assertEquals(1, json['comments'].length);
+    assertEquals('two scripts', json['comments'][0]['text']);
+    var types = json['blocks'].map(function(block) {
+      return block['type'];
+    });
+    assertEquals('Forever is a cap',
+        'event_whenflagclicked,motion_movesteps,sensing_mousedown',
+        types.join(','));
+    assertTrue(json['blocks'][1]['y'] > json['blocks'][0]['y']);
+  } finally {
+    textNotationTest_tearDown();
+  }
+}
+
+function test_textNotation_textToJson_customBlocks() {
+  textNotationTest_setUp();
+  try {
+    var json = Blockly.TextNotation.textToJson(
+        'jump [10] <mouse down?>\n\n' +
+        'define jump (height) <fast>\nmove (height) steps', workspace);
+    var call = json['blocks'][0];
+    assertEquals('procedures_call', call['type']);
+    assertEquals('jump %s %b', call['mutation']['proccode']);
+    var ids = JSON.parse(call['mutation']['argumentids']);
+    assertEquals(2, ids.length);
+    assertEquals('10', call['inputs'][ids[0]]['shadow']['fields']['TEXT']['value']);
+    assertEquals('sensing_mousedown', call['inputs'][ids[1]]['block']['type']);
+
+    var definition = json['blocks'][1];
+    assertEquals('procedures_definition', definition['type']);
+    var prototype = definition['statements']['custom_block']['shadow'];
+    assertEquals('jump %s %b', prototype['mutation']['proccode']);
+    assertEquals('Calls share the IDs of the definition',
+        call['mutation']['argumentids'], prototype['mutation']['argumentids']);
+    assertEquals('["height","fast"]', prototype['mutation']['argumentnames']);
+    assertEquals('["","false"]', prototype['mutation']['argumentdefaults']);
+    var argument = definition['next']['block']['inputs']['STEPS']['block'];
+    assertEquals('argument_reporter_string_number', argument['type']);
+    assertEquals('height', argument['fields']['VALUE']['value']);
+  } finally {
+    textNotationTest_tearDown();
+  }
+}
+
+function test_textNotation_roundTrip() {
+  textNotationTest_setUp();
+  try {
+    var text = textNotationTest_SCRIPT + '\n\n' +
+        'say ((my variable) + (2))\nset [ghost v] effect to (50)';
+    Blockly.TextNotation.textToWorkspace(text, workspace);
+    assertEquals(text, Blockly.TextNotation.workspaceToText(workspace));
+  } finally {
+    textNotationTest_tearDown();
+  }
+}
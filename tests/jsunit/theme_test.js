@@ -0,0 +1,225 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var themeTest_workspace;
+
+function themeTest_setUp() {
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'theme_test_block',
+    'message0': 'move',
+    'colour': Blockly.Colours.motion.primary,
+    'colourSecondary': Blockly.Colours.motion.secondary,
+    'colourTertiary': Blockly.Colours.motion.tertiary,
+    'previousStatement': null,
+    'nextStatement': null
+  }, {
+    'type': 'theme_test_custom',
+    'message0': 'custom',
+    'colour': '#123456',
+    'previousStatement': null,
+    'nextStatement': null
+  }]);
+  themeTest_workspace = Blockly.inject('blocklyDiv', {
+    'scrollbars': true,
+    'grid': {'spacing': 20, 'length': 3}
+  });
+  Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(
+      '<xml>' +
+      '  <block type="theme_test_block" id="motion" x="0" y="0"></block>' +
+      '  <block type="theme_test_custom" id="custom" x="0" y="100"></block>' +
+      '</xml>'), themeTest_workspace);
+}
+
+function themeTest_tearDown() {
+  themeTest_workspace.setTheme(Blockly.Theme.LIGHT);
+  themeTest_workspace.dispose();
+  delete Blockly.Blocks['theme_test_block'];
+  delete Blockly.Blocks['theme_test_custom'];
+}
+
+function themeTest_getCssText() {
+  return Blockly.Css.cssNode_.textContent;
+}
+
+function test_theme_colours() {
+  var theme = new Blockly.Theme('test', {
+    'workspace': '#000000',
+    'motion': {'primary': '#FF0000'}
+  });
+  assertEquals('test', theme.getName());
+  var colours = theme.getColours();
+  assertEquals('#000000', colours.workspace);
+  assertEquals('#FF0000', colours.motion.primary);
+  assertEquals('Unset category colours are kept',
+      Blockly.Theme.LIGHT.getColours().motion.secondary,
+      colours.motion.secondary);
+  assertEquals('Unset colours come from the default',
+      Blockly.Theme.LIGHT.getColours().flyout, colours.flyout);
+  assertFalse('The defaults are not changed',
+      Blockly.Theme.LIGHT.getColours().motion.primary == '#FF0000');
+}
+
+function test_theme_setTheme() {
+  themeTest_setUp();
+  try {
+    var workspace = themeTest_workspace;
+    var light = Blockly.Theme.LIGHT.getColours();
+    var highContrast = Blockly.Theme.HIGH_CONTRAST.getColours();
+    assertEquals(Blockly.Theme.LIGHT, workspace.getTheme());
+
+    workspace.setTheme(Blockly.Theme.HIGH_CONTRAST);
+    assertEquals(Blockly.Theme.HIGH_CONTRAST, workspace.getTheme());
+    assertEquals(highContrast.blockText, Blockly.Colours.blockText);
+    var motion = workspace.getBlockById('motion');
+    assertEquals(highContrast.motion.primary, motion.getColour());
+    assertEquals(highContrast.motion.tertiary, motion.getColourTertiary());
+    assertEquals('Blocks not coloured by category are unchanged',
+        '#123456', workspace.getBlockById('custom').getColour());
+    assertTrue(themeTest_getCssText().indexOf(
+        'fill: ' + highContrast.blockText) != -1);
+    assertEquals(highContrast.grid,
+        workspace.getGrid().line1_.getAttribute('stroke'));
+
+    workspace.setTheme(Blockly.Theme.DARK);
+    assertEquals('Dark block colours are the default ones',
+        light.motion.primary, motion.getColour());
+    assertTrue(themeTest_getCssText().indexOf(
+        'background-color: ' + Blockly.Theme.DARK.getColours().workspace) !=
+        -1);
+
+    workspace.setTheme(Blockly.Theme.LIGHT);
+    assertEquals(light.workspace, Blockly.Colours.workspace);
+    assertEquals(light.grid, workspace.getGrid().line1_.getAttribute('stroke'));
+  } finally {
+    themeTest_tearDown();
+  }
+}
+
+function test_theme_toolbox() {
+  var light = Blockly.Theme.LIGHT.getColours();
+  var toolbox = Blockly.Xml.textToDom(
+      '<xml>' +
+      '  <category name="Motion" id="motion" colour="' + light.motion.primary +
+      '" secondaryColour="' + light.motion.tertiary + '"></category>' +
+      '  <category name="Pale" id="pale" colour="' + light.textField +
+      '" secondaryColour="' + light.textField + '"></category>' +
+      '</xml>');
+  var workspace = Blockly.inject('blocklyDiv', {'toolbox': toolbox});
+  try {
+    workspace.setTheme(Blockly.Theme.HIGH_CONTRAST);
+    var motion = workspace.options.languageTree
+        .getElementsByTagName('category')[0];
+    assertEquals(Blockly.Theme.HIGH_CONTRAST.getColours().motion.primary,
+        motion.getAttribute('colour'));
+    assertEquals('The toolbox passed in is not changed', light.motion.primary,
+        toolbox.getElementsByTagName('category')[0].getAttribute('colour'));
+
+    workspace.setTheme(Blockly.Theme.DEUTERANOPIA);
+    var deuteranopia = Blockly.Theme.DEUTERANOPIA.getColours();
+    motion = workspace.options.languageTree
+        .getElementsByTagName('category')[0];
+    assertEquals(deuteranopia.motion.primary, motion.getAttribute('colour'));
+    assertEquals(deuteranopia.motion.tertiary,
+        motion.getAttribute('secondaryColour'));
+
+    workspace.setTheme(Blockly.Theme.DARK);
+    var pale = workspace.options.languageTree
+        .getElementsByTagName('category')[1];
+    assertEquals('A category the colour of text fields keeps its colour',
+        light.textField, pale.getAttribute('colour'));
+  } finally {
+    workspace.setTheme(Blockly.Theme.LIGHT);
+    workspace.dispose();
+  }
+}
+
+function test_theme_palettes() {
+  var defaults = Blockly.Theme.LIGHT.getColours();
+  var themes = [Blockly.Theme.DEUTERANOPIA, Blockly.Theme.PROTANOPIA,
+    Blockly.Theme.TRITANOPIA];
+  for (var i = 0; i < themes.length; i++) {
+    var colours = themes[i].getColours();
+    var seen = {};
+    for (var key in defaults) {
+      if (goog.isObject(defaults[key])) {
+        var primary = colours[key].primary;
+        assertNotEquals(themes[i].getName() + ' remaps ' + key,
+            defaults[key].primary, primary);
+        assertFalse(themes[i].getName() + ' has distinct colours',
+            primary in seen);
+        seen[primary] = true;
+      }
+    }
+  }
+
+  var dark = Blockly.Theme.DARK.withColours('darkTritanopia',
+      Blockly.Theme.PALETTES['tritanopia']);
+  assertEquals(Blockly.Theme.DARK.getColours().workspace,
+      dark.getColours().workspace);
+  assertEquals(Blockly.Theme.TRITANOPIA.getColours().looks.primary,
+      dark.getColours().looks.primary);
+}
+
+function test_theme_categoryPatterns() {
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'theme_test_motion',
+    'message0': 'move',
+    'category': Blockly.Categories.motion,
+    'previousStatement': null,
+    'nextStatement': null
+  }, {
+    'type': 'theme_test_looks',
+    'message0': 'show',
+    'category': Blockly.Categories.looks,
+    'previousStatement': null,
+    'nextStatement': null
+  }]);
+  var workspace = Blockly.inject('blocklyDiv', {'categoryPatterns': true});
+  try {
+    var motion = workspace.newBlock('theme_test_motion');
+    var looks = workspace.newBlock('theme_test_looks');
+    motion.initSvg();
+    motion.render();
+    looks.initSvg();
+    looks.render();
+    var getPattern = function(block) {
+      return block.getSvgRoot()
+          .getElementsByClassName('blocklyCategoryPatternPath')[0];
+    };
+    var motionFill = getPattern(motion).getAttribute('fill');
+    assertEquals('url(#' +
+        workspace.options.categoryPatternIds[Blockly.Categories.motion] + ')',
+        motionFill);
+    assertNotEquals(motionFill, getPattern(looks).getAttribute('fill'));
+    assertEquals(motion.svgPath_.getAttribute('d'),
+        getPattern(motion).getAttribute('d'));
+    assertNotNull(document.getElementById(
+        workspace.options.categoryPatternIds[Blockly.Categories.motion]));
+
+    motion.setShadow(true);
+    motion.render();
+    assertUndefined('Shadow blocks have no pattern', getPattern(motion));
+  } finally {
+    workspace.dispose();
+    delete Blockly.Blocks['theme_test_motion'];
+    delete Blockly.Blocks['theme_test_looks'];
+  }
+}
@@ -0,0 +1,163 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var toolboxSearchTest_workspace;
+var toolboxSearchTest_restoreMessages;
+
+function toolboxSearchTest_setUp() {
+  toolboxSearchTest_restoreMessages = setTestMessages({
+    'TOOLBOX_SEARCH_PLACEHOLDER': 'Search blocks',
+    'TOOLBOX_SEARCH_RESULTS': 'Blocks matching "%1"',
+    'TOOLBOX_SEARCH_NO_RESULTS': 'No blocks match "%1"'
+  });
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'toolbox_search_test_move',
+    'message0': 'move %1 steps',
+    'args0': [{'type': 'field_number', 'name': 'STEPS', 'value': 10}],
+    'previousStatement': null,
+    'nextStatement': null
+  }, {
+    'type': 'toolbox_search_test_turn',
+    'message0': 'turn %1 degrees',
+    'args0': [{'type': 'field_number', 'name': 'DEGREES', 'value': 15}],
+    'previousStatement': null,
+    'nextStatement': null
+  }, {
+    'type': 'toolbox_search_test_goto',
+    'message0': 'go to mouse pointer',
+    'previousStatement': null,
+    'nextStatement': null
+  }, {
+    'type': 'toolbox_search_test_remove',
+    'message0': 'remove all',
+    'previousStatement': null,
+    'nextStatement': null
+  }, {
+    'type': 'toolbox_search_test_mood',
+    'message0': 'set mood',
+    'previousStatement': null,
+    'nextStatement': null
+  }]);
+  toolboxSearchTest_workspace = Blockly.inject('blocklyDiv', {
+    'toolbox': '<xml><category name="Motion" id="motion" colour="#4C97FF" ' +
+        'secondaryColour="#3373CC"></category></xml>',
+    'toolboxSearch': true
+  });
+  // The dynamic category's callback must be registered before it is shown.
+  toolboxSearchTest_workspace.registerToolboxCategoryCallback(
+      'TOOLBOX_SEARCH_TEST', function() {
+        return [Blockly.Xml.textToDom(
+            '<xml><block type="toolbox_search_test_mood"></block></xml>')
+            .firstChild];
+      });
+  toolboxSearchTest_workspace.updateToolbox(
+      '<xml>' +
+      '  <category name="Motion" id="motion" colour="#4C97FF"' +
+      '      secondaryColour="#3373CC">' +
+      '    <block type="toolbox_search_test_move"></block>' +
+      '    <block type="toolbox_search_test_turn"></block>' +
+      '    <block type="toolbox_search_test_goto"></block>' +
+      '  </category>' +
+      '  <category name="Pen" id="pen" colour="#0FBD8C"' +
+      '      secondaryColour="#0DA57A" showStatusButton="true">' +
+      '    <block type="toolbox_search_test_remove"></block>' +
+      '  </category>' +
+      '  <category name="Feelings" id="feelings" colour="#9966FF"' +
+      '      secondaryColour="#774DCB" custom="TOOLBOX_SEARCH_TEST">' +
+      '  </category>' +
+      '</xml>');
+}
+
+function toolboxSearchTest_tearDown() {
+  toolboxSearchTest_workspace.dispose();
+  delete Blockly.Blocks['toolbox_search_test_move'];
+  delete Blockly.Blocks['toolbox_search_test_turn'];
+  delete Blockly.Blocks['toolbox_search_test_goto'];
+  delete Blockly.Blocks['toolbox_search_test_remove'];
+  delete Blockly.Blocks['toolbox_search_test_mood'];
+  toolboxSearchTest_restoreMessages();
+}
+
+function toolboxSearchTest_flyoutTypes() {
+  var flyout = toolboxSearchTest_workspace.getFlyout();
+  return flyout.getWorkspace().getTopBlocks(true).map(function(block) {
+    return block.type.replace('toolbox_search_test_', '');
+  });
+}
+
+function toolboxSearchTest_flyoutLabel() {
+  return toolboxSearchTest_workspace.getFlyout().buttons_[0].getText();
+}
+
+function test_toolboxSearch_rank() {
+  toolboxSearchTest_setUp();
+  try {
+    var toolbox = toolboxSearchTest_workspace.getToolbox();
+    assertArrayEquals(['move', 'turn', 'goto', 'remove', 'mood'],
+        toolboxSearchTest_flyoutTypes());
+
+    toolbox.search('MO');
+    assertArrayEquals('Start of text, then start of a word, then anywhere',
+        ['move', 'goto', 'mood', 'remove'], toolboxSearchTest_flyoutTypes());
+    assertEquals('Blocks matching "MO"', toolboxSearchTest_flyoutLabel());
+
+    toolbox.search('10 steps');
+    assertArrayEquals('Field values are searched', ['move'],
+        toolboxSearchTest_flyoutTypes());
+
+    toolbox.search('zzz');
+    assertArrayEquals([], toolboxSearchTest_flyoutTypes());
+    assertEquals('No blocks match "zzz"', toolboxSearchTest_flyoutLabel());
+
+    toolbox.search('');
+    assertArrayEquals(['move', 'turn', 'goto', 'remove', 'mood'],
+        toolboxSearchTest_flyoutTypes());
+    assertEquals('motion', toolbox.getSelectedCategoryId());
+  } finally {
+    toolboxSearchTest_tearDown();
+  }
+}
+
+function test_toolboxSearch_searchBox() {
+  toolboxSearchTest_setUp();
+  try {
+    var toolbox = toolboxSearchTest_workspace.getToolbox();
+    var input = toolbox.HtmlDiv.firstChild;
+    assertTrue(Blockly.utils.hasClass(input, 'scratchCategorySearch'));
+
+    input.value = 'turn';
+    input.dispatchEvent(new Event('input'));
+    assertEquals('turn', toolbox.getSearchQuery());
+    assertArrayEquals(['turn'], toolboxSearchTest_flyoutTypes());
+
+    toolbox.refreshSelection();
+    assertArrayEquals('Refreshing keeps the search', ['turn'],
+        toolboxSearchTest_flyoutTypes());
+
+    var pen = toolbox.getCategoryByIndex(1);
+    toolbox.setSelectedItemFactory(pen).call(toolbox);
+    assertEquals('Picking a category clears the search', '', input.value);
+    assertEquals('pen', toolbox.getSelectedCategoryId());
+    assertEquals(5, toolboxSearchTest_flyoutTypes().length);
+  } finally {
+    toolboxSearchTest_tearDown();
+  }
+}
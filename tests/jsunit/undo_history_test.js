@@ -0,0 +1,206 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var undoHistoryTest_workspace;
+var undoHistoryTest_history;
+var undoHistoryTest_restoreMessages;
+
+function undoHistoryTest_setUp() {
+  undoHistoryTest_restoreMessages = setTestMessages({
+    'UNDO_HISTORY_TITLE': 'History',
+    'UNDO_HISTORY_START': 'Start',
+    'UNDO_HISTORY_CREATE': 'Added \'%1\'',
+    'UNDO_HISTORY_DELETE': 'Deleted \'%1\'',
+    'UNDO_HISTORY_CHANGE': 'Changed \'%1\'',
+    'UNDO_HISTORY_MOVE': 'Moved \'%1\'',
+    'UNDO_HISTORY_CREATE_VARIABLE': 'Created variable %1',
+    'UNDO_HISTORY_RENAME_VARIABLE': 'Renamed variable %1',
+    'UNDO_HISTORY_DELETE_VARIABLE': 'Deleted variable %1',
+    'UNDO_HISTORY_COMMENT': 'Edited a comment',
+    'UNDO_HISTORY_RESTORE': 'Restored checkpoint "%1"',
+    'UNDO_HISTORY_CHECKPOINTS': 'Checkpoints',
+    'UNDO_HISTORY_SAVE_CHECKPOINT': 'Save checkpoint',
+    'UNDO_HISTORY_CHECKPOINT_TITLE': 'Checkpoint name:',
+    'UNDO_HISTORY_DEFAULT_CHECKPOINT': 'Checkpoint %1'
+  });
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'undo_history_test_block',
+    'message0': 'move %1 steps',
+    'args0': [{'type': 'field_input', 'name': 'STEPS', 'text': '10'}],
+    'previousStatement': null,
+    'nextStatement': null
+  }]);
+  Blockly.Events.fire = temporary_fireEvent;
+  undoHistoryTest_workspace = new Blockly.Workspace();
+  undoHistoryTest_history = new Blockly.UndoHistory(undoHistoryTest_workspace);
+}
+
+function undoHistoryTest_tearDown() {
+  undoHistoryTest_history.dispose();
+  undoHistoryTest_workspace.dispose();
+  Blockly.Events.fire = savedFireFunc;
+  delete Blockly.Blocks['undo_history_test_block'];
+  undoHistoryTest_restoreMessages();
+}
+
+/**
+ * Make three undo steps: add a block, move it, and rename a variable.
+ * @return {!Blockly.Block} The block.
+ */
+function undoHistoryTest_build() {
+  var workspace = undoHistoryTest_workspace;
+  Blockly.Events.setGroup(true);
+  var block = workspace.newBlock('undo_history_test_block', 'block');
+  block.moveBy(10, 10);
+  Blockly.Events.setGroup(false);
+  block.moveBy(50, 0);
+  workspace.createVariable('score', '', 'v');
+  workspace.renameVariableById('v', 'points');
+  return block;
+}
+
+function undoHistoryTest_descriptions() {
+  return undoHistoryTest_history.getEntries().map(function(entry) {
+    return entry.description;
+  });
+}
+
+function test_undoHistory_describe() {
+  undoHistoryTest_setUp();
+  try {
+    undoHistoryTest_build();
+    assertArrayEquals([
+      'Added \'move 10 steps\'',
+      'Moved \'move 10 steps\'',
+      'Created variable score',
+      'Renamed variable points'
+    ], undoHistoryTest_descriptions());
+    assertEquals(4, undoHistoryTest_history.getPosition());
+
+    undoHistoryTest_workspace.getBlockById('block').dispose();
+    assertEquals('Deleted blocks are still described',
+        'Deleted \'move 10 steps\'', undoHistoryTest_descriptions()[4]);
+  } finally {
+    undoHistoryTest_tearDown();
+  }
+}
+
+function test_undoHistory_jumpTo() {
+  undoHistoryTest_setUp();
+  try {
+    var workspace = undoHistoryTest_workspace;
+    var history = undoHistoryTest_history;
+    undoHistoryTest_build();
+    history.jumpTo(1);
+    assertEquals(1, history.getPosition());
+    assertNull(workspace.getVariableById('v'));
+    assertEquals(10, workspace.getBlockById('block').getRelativeToSurfaceXY().x);
+    var entries = history.getEntries();
+    assertEquals('Undone steps stay listed', 4, entries.length);
+    assertFalse(entries[0].undone);
+    assertTrue(entries[1].undone);
+    assertEquals('Moved \'move 10 steps\'', entries[1].description);
+
+    history.jumpTo(3);
+    assertEquals('score', workspace.getVariableById('v').name);
+    history.jumpTo(0);
+    assertEquals(0, workspace.getAllBlocks().length);
+    history.jumpTo(10);
+    assertEquals(4, history.getPosition());
+    assertEquals('points', workspace.getVariableById('v').name);
+  } finally {
+    undoHistoryTest_tearDown();
+  }
+}
+
+function test_undoHistory_checkpoints() {
+  undoHistoryTest_setUp();
+  try {
+    var workspace = undoHistoryTest_workspace;
+    var history = undoHistoryTest_history;
+    var block = undoHistoryTest_build();
+    history.createCheckpoint('working');
+    block.dispose();
+    workspace.deleteVariableById('v');
+    assertEquals(0, workspace.getAllBlocks().length);
+
+    history.restoreCheckpoint('working');
+    assertEquals(1, workspace.getAllBlocks().length);
+    assertEquals('points', workspace.getVariableById('v').name);
+    var descriptions = undoHistoryTest_descriptions();
+    assertEquals('Restored checkpoint "working"',
+        descriptions[descriptions.length - 1]);
+
+    workspace.undo(false);
+    assertEquals('Restoring can be undone', 0, workspace.getAllBlocks().length);
+    assertNull(workspace.getVariableById('v'));
+
+    assertEquals('working', history.getCheckpoints()[0].name);
+    history.deleteCheckpoint('working');
+    assertEquals(0, history.getCheckpoints().length);
+    try {
+      history.restoreCheckpoint('working');
+      fail('Restored a deleted checkpoint');
+    } catch (e) {
+      assertTrue(e instanceof Error);
+    }
+  } finally {
+    undoHistoryTest_tearDown();
+  }
+}
+
+function test_undoHistoryPanel() {
+  undoHistoryTest_setUp();
+  var workspace = Blockly.inject('blocklyDiv', {});
+  var panel = new Blockly.UndoHistoryPanel(workspace);
+  try {
+    panel.createDom();
+    Blockly.Events.setGroup(true);
+    var block = workspace.newBlock('undo_history_test_block');
+    block.initSvg();
+    block.render();
+    Blockly.Events.setGroup(false);
+    Blockly.Events.setGroup(true);
+    block.setFieldValue('20', 'STEPS');
+    Blockly.Events.setGroup(false);
+    panel.render();
+
+    var items = panel.getList_().getElementsByTagName('li');
+    assertEquals('Start plus two steps', 3, items.length);
+    assertEquals('Changed \'move 20 steps\'', items[2].textContent);
+    assertTrue(Blockly.utils.hasClass(items[2], 'blocklyUndoHistoryCurrent'));
+
+    items[1].dispatchEvent(new MouseEvent('click', {bubbles: true}));
+    items = panel.getList_().getElementsByTagName('li');
+    assertEquals(1, panel.getHistory().getPosition());
+    assertTrue(Blockly.utils.hasClass(items[2], 'blocklyUndoHistoryUndone'));
+
+    panel.getHistory().createCheckpoint('one');
+    panel.render();
+    assertEquals('one', panel.getCheckpointList_().textContent);
+    panel.setVisible(false);
+    assertFalse(panel.isVisible());
+  } finally {
+    panel.dispose();
+    workspace.dispose();
+    undoHistoryTest_tearDown();
+  }
+}
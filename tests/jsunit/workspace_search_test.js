@@ -0,0 +1,215 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var workspaceSearchTest_workspace;
+var workspaceSearchTest_restoreMessages;
+
+var workspaceSearchTest_XML =
+    '<xml>' +
+    '  <block type="workspace_search_test_wait" id="wait1" x="0" y="0">' +
+    '    <value name="DURATION">' +
+    '      <shadow type="workspace_search_test_number" id="number1">' +
+    '        <field name="NUM">1</field>' +
+    '      </shadow>' +
+    '    </value>' +
+    '    <next>' +
+    '      <block type="workspace_search_test_move" id="move">' +
+    '        <field name="STEPS">10</field>' +
+    '      </block>' +
+    '    </next>' +
+    '  </block>' +
+    '  <block type="workspace_search_test_set" id="set" x="0" y="200">' +
+    '    <field name="VAR">Score</field>' +
+    '  </block>' +
+    '  <block type="workspace_search_test_wait" id="wait2" x="0" y="400">' +
+    '    <value name="DURATION">' +
+    '      <shadow type="workspace_search_test_number" id="number2">' +
+    '        <field name="NUM">1</field>' +
+    '      </shadow>' +
+    '    </value>' +
+    '  </block>' +
+    '</xml>';
+
+function workspaceSearchTest_setUp(rendered) {
+  workspaceSearchTest_restoreMessages = setTestMessages({
+    'SEARCH_PLACEHOLDER': 'Search',
+    'SEARCH_REPLACE_PLACEHOLDER': 'Replace with',
+    'SEARCH_RESULTS': '%1 of %2',
+    'SEARCH_NO_RESULTS': 'No results',
+    'SEARCH_PREVIOUS': 'Previous',
+    'SEARCH_NEXT': 'Next',
+    'SEARCH_REPLACE': 'Replace',
+    'SEARCH_REPLACE_ALL': 'Replace all',
+    'SEARCH_CLOSE': 'Close'
+  });
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'workspace_search_test_wait',
+    'message0': 'wait %1 seconds',
+    'args0': [{'type': 'input_value', 'name': 'DURATION'}],
+    'previousStatement': null,
+    'nextStatement': null
+  }, {
+    'type': 'workspace_search_test_number',
+    'message0': '%1',
+    'args0': [{'type': 'field_number', 'name': 'NUM', 'value': 0}],
+    'output': null
+  }, {
+    'type': 'workspace_search_test_move',
+    'message0': 'move %1 steps',
+    'args0': [{'type': 'field_number', 'name': 'STEPS', 'value': 10}],
+    'previousStatement': null,
+    'nextStatement': null
+  }, {
+    'type': 'workspace_search_test_set',
+    'message0': 'set %1 to 0',
+    'args0': [{'type': 'field_variable', 'name': 'VAR', 'variable': null}],
+    'previousStatement': null,
+    'nextStatement': null
+  }]);
+  Blockly.Events.fire = temporary_fireEvent;
+  workspaceSearchTest_workspace = rendered ?
+      Blockly.inject('blocklyDiv', {'scrollbars': true}) :
+      new Blockly.Workspace();
+  Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(workspaceSearchTest_XML),
+      workspaceSearchTest_workspace);
+  workspaceSearchTest_workspace.clearUndo();
+}
+
+function workspaceSearchTest_tearDown() {
+  workspaceSearchTest_workspace.dispose();
+  Blockly.Events.fire = savedFireFunc;
+  delete Blockly.Blocks['workspace_search_test_wait'];
+  delete Blockly.Blocks['workspace_search_test_number'];
+  delete Blockly.Blocks['workspace_search_test_move'];
+  delete Blockly.Blocks['workspace_search_test_set'];
+  workspaceSearchTest_restoreMessages();
+}
+
+function workspaceSearchTest_ids(blocks) {
+  return blocks.map(function(block) {
+    return block.id;
+  });
+}
+
+function test_workspaceSearch_search() {
+  workspaceSearchTest_setUp(false);
+  var search = new Blockly.WorkspaceSearch(workspaceSearchTest_workspace);
+  try {
+    assertArrayEquals('Block text, including shadow values',
+        ['wait1', 'wait2'], workspaceSearchTest_ids(search.search('WAIT 1')));
+    assertArrayEquals('Field values', ['wait1', 'move', 'wait2'],
+        workspaceSearchTest_ids(search.search('1')));
+    assertArrayEquals('Variable names', ['set'],
+        workspaceSearchTest_ids(search.search('score')));
+    workspaceSearchTest_workspace.getBlockById('move')
+        .setCommentText('Walk to the door');
+    assertArrayEquals('Comments', ['move'],
+        workspaceSearchTest_ids(search.search('door')));
+    assertArrayEquals([], search.search('nothing like this'));
+    assertArrayEquals([], search.search(''));
+
+    search.search('wait');
+    assertEquals('wait1', search.getCurrent().id);
+    search.next();
+    assertEquals('wait2', search.getCurrent().id);
+    search.next();
+    assertEquals('Stepping wraps around', 'wait1', search.getCurrent().id);
+    search.previous();
+    assertEquals('wait2', search.getCurrent().id);
+  } finally {
+    search.dispose();
+    workspaceSearchTest_tearDown();
+  }
+}
+
+function test_workspaceSearch_replaceAll() {
+  workspaceSearchTest_setUp(false);
+  var search = new Blockly.WorkspaceSearch(workspaceSearchTest_workspace);
+  try {
+    var workspace = workspaceSearchTest_workspace;
+    search.search('1');
+    assertEquals(2, search.replaceAll('0.5'));
+    assertEquals('0.5', workspace.getBlockById('number1').getFieldValue('NUM'));
+    assertEquals('0.5', workspace.getBlockById('number2').getFieldValue('NUM'));
+    assertEquals('Only whole numbers are replaced', '10',
+        workspace.getBlockById('move').getFieldValue('STEPS'));
+    assertEquals('Variables are left alone', 'Score',
+        workspace.getBlockById('set').getField('VAR').getText());
+    assertArrayEquals(['move'], workspaceSearchTest_ids(search.getResults()));
+
+    workspace.undo(false);
+    assertEquals('One undo reverts every replacement', '1',
+        workspace.getBlockById('number1').getFieldValue('NUM'));
+    assertEquals('1', workspace.getBlockById('number2').getFieldValue('NUM'));
+
+    search.search('1');
+    search.next();
+    assertEquals('move', search.getCurrent().id);
+    search.next();
+    assertEquals(1, search.replace('2'));
+    assertEquals('Replace changes only the current result', '1',
+        workspace.getBlockById('number1').getFieldValue('NUM'));
+    assertEquals('2', workspace.getBlockById('number2').getFieldValue('NUM'));
+  } finally {
+    search.dispose();
+    workspaceSearchTest_tearDown();
+  }
+}
+
+function test_workspaceSearch_bar() {
+  workspaceSearchTest_setUp(true);
+  try {
+    var workspace = workspaceSearchTest_workspace;
+    Blockly.onKeyDown_({
+      keyCode: 70,
+      ctrlKey: true,
+      target: document.body,
+      preventDefault: function() {}
+    });
+    var search = workspace.getSearch();
+    assertTrue('Ctrl+F shows the bar', search.isVisible());
+    var bar = workspace.getInjectionDiv()
+        .getElementsByClassName('blocklySearch')[0];
+    var input = bar.getElementsByClassName('blocklySearchInput')[0];
+    assertEquals(input, document.activeElement);
+
+    input.value = 'wait';
+    input.dispatchEvent(new Event('input'));
+    var count = bar.getElementsByClassName('blocklySearchCount')[0];
+    assertEquals('1 of 2', count.textContent);
+    var wait1 = workspace.getBlockById('wait1').getSvgRoot();
+    var wait2 = workspace.getBlockById('wait2').getSvgRoot();
+    assertTrue(Blockly.utils.hasClass(wait1, 'blocklySearchCurrent'));
+    assertTrue(Blockly.utils.hasClass(wait2, 'blocklySearchMatch'));
+    assertFalse(Blockly.utils.hasClass(wait2, 'blocklySearchCurrent'));
+
+    bar.getElementsByClassName('blocklySearchNext')[0].click();
+    assertEquals('2 of 2', count.textContent);
+    assertTrue(Blockly.utils.hasClass(wait2, 'blocklySearchCurrent'));
+    assertFalse(Blockly.utils.hasClass(wait1, 'blocklySearchCurrent'));
+
+    search.hide();
+    assertFalse(search.isVisible());
+    assertFalse(Blockly.utils.hasClass(wait1, 'blocklySearchMatch'));
+  } finally {
+    workspaceSearchTest_tearDown();
+  }
+}
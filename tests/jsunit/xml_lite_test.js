@@ -0,0 +1,169 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2019 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var XML_LITE_TEXT = [
+  '<?xml version="1.0"?>',
+  '<xml xmlns="http://www.w3.org/1999/xhtml">',
+  '  <!-- A comment. -->',
+  '  <variables>',
+  '    <variable type="" id="v1" islocal="false" iscloud="false">a &amp; b</variable>',
+  '  </variables>',
+  '  <block type="xml_lite_test_block" id="b1" x="10" y="20">',
+  '    <field name="VAR" id="v1" variabletype="">a &amp; b</field>',
+  '    <comment pinned="false" h="200" w="200">one&#10;two</comment>',
+  '    <next>',
+  '      <block type="xml_lite_test_block" id="b2">',
+  '        <field name="VAR" id="v1" variabletype="">a &amp; b</field>',
+  '        <data><![CDATA[<data>]]></data>',
+  '      </block>',
+  '    </next>',
+  '  </block>',
+  '</xml>'].join('\n');
+
+function xmlLiteTest_setUp() {
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'xml_lite_test_block',
+    'message0': '%1',
+    'args0': [{'type': 'field_variable', 'name': 'VAR'}],
+    'previousStatement': null,
+    'nextStatement': null
+  }]);
+}
+
+function xmlLiteTest_tearDown() {
+  Blockly.Xml.setParser(Blockly.Xml.BROWSER_PARSER);
+  delete Blockly.Blocks['xml_lite_test_block'];
+}
+
+function test_xmlLite_textToDocument() {
+  var xml = Blockly.XmlLite.textToDocument(XML_LITE_TEXT).firstChild;
+  assertEquals('xml', xml.nodeName);
+  assertEquals(Blockly.XmlLite.XHTML_NS, xml.namespaceURI);
+  assertEquals('Comments skipped', 2, xml.children.length);
+  var variable = xml.children[0].firstChild.nextSibling;
+  assertEquals('variable', variable.nodeName);
+  assertEquals('a & b', variable.textContent);
+  assertEquals('false', variable.getAttribute('iscloud'));
+  assertNull(variable.getAttribute('isCloud'));
+  var blocks = xml.getElementsByTagName('block');
+  assertEquals(2, blocks.length);
+  assertEquals('b2', blocks[1].getAttribute('id'));
+  assertEquals(Blockly.XmlLite.XHTML_NS, blocks[1].namespaceURI);
+  assertEquals('one\ntwo',
+      blocks[0].getElementsByTagName('comment')[0].textContent);
+  assertEquals('<data>',
+      blocks[1].getElementsByTagName('data')[0].textContent);
+}
+
+function test_xmlLite_textToDocument_malformed() {
+  var texts = ['', 'text', '<xml>', '<xml></block>', '<xml/><xml/>',
+    '<xml a="1></xml>', '<xml>&nbsp;</xml>'];
+  for (var i = 0; i < texts.length; i++) {
+    try {
+      Blockly.XmlLite.textToDocument(texts[i]);
+      fail('Parsed malformed XML: ' + texts[i]);
+    } catch (e) {
+      assertTrue(texts[i], e instanceof Error);
+    }
+  }
+}
+
+function test_xmlLite_domToText() {
+  var parser = Blockly.XmlLite.PARSER;
+  var xml = parser.createElement('xml');
+  var field = parser.createElement('field');
+  field.setAttribute('name', 'a"b\n<c>');
+  field.appendChild(parser.createTextNode('1 < 2 & 3'));
+  xml.appendChild(field);
+  xml.appendChild(parser.createElement('next'));
+  var number = parser.createElement('number');
+  number.appendChild(parser.createTextNode(42));
+  xml.appendChild(number);
+  assertEquals('Created elements are XHTML',
+      '<xml xmlns="http://www.w3.org/1999/xhtml">' +
+      '<field name="a&quot;b&#10;&lt;c&gt;">1 &lt; 2 &amp; 3</field>' +
+      '<next></next><number>42</number></xml>',
+      Blockly.XmlLite.domToText(xml));
+
+  var parsed = Blockly.XmlLite.textToDocument('<xml><next/></xml>').firstChild;
+  parsed.appendChild(parser.createElement('block'));
+  assertEquals('Parsed elements have no namespace',
+      '<xml><next/><block xmlns="http://www.w3.org/1999/xhtml"></block></xml>',
+      Blockly.XmlLite.domToText(parsed));
+}
+
+function test_xmlLite_treeEditing() {
+  var xml = Blockly.XmlLite.textToDocument(
+      '<xml><a/><b/><c/></xml>').firstChild;
+  var a = xml.firstChild;
+  var c = xml.lastChild;
+  xml.insertBefore(c, a);
+  assertEquals('<xml><c/><a/><b/></xml>', Blockly.XmlLite.domToText(xml));
+  assertEquals(a, c.nextSibling);
+  assertNull(c.previousSibling);
+  var copy = xml.cloneNode(true);
+  copy.removeChild(copy.firstChild);
+  assertEquals('Copy is deep', 3, xml.childNodes.length);
+  assertEquals(xml, a.parentNode);
+  a.textContent = 'text';
+  assertEquals('<xml><c/><a>text</a><b/></xml>',
+      Blockly.XmlLite.domToText(xml));
+}
+
+function test_xmlLite_workspaceRoundTrip() {
+  xmlLiteTest_setUp();
+  var workspace = new Blockly.Workspace();
+  try {
+    Blockly.Xml.setParser(Blockly.XmlLite.PARSER);
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(XML_LITE_TEXT),
+        workspace);
+    assertEquals(2, workspace.getAllBlocks().length);
+    assertEquals('a & b', workspace.getVariableById('v1').name);
+    assertEquals('<data>', workspace.getBlockById('b2').data);
+    var liteText = Blockly.Xml.domToText(Blockly.Xml.workspaceToDom(workspace));
+
+    Blockly.Xml.setParser(Blockly.Xml.BROWSER_PARSER);
+    var browserText =
+        Blockly.Xml.domToText(Blockly.Xml.workspaceToDom(workspace));
+    assertEquals('Same text as the browser', browserText, liteText);
+
+    var ids = Blockly.Xml.clearWorkspaceAndLoadFromXml(
+        Blockly.Xml.textToDom(XML_LITE_TEXT), workspace);
+    assertEquals('Reloads without a toolbox', 'b1', ids.join());
+    assertEquals(2, workspace.getAllBlocks().length);
+  } finally {
+    workspace.dispose();
+    xmlLiteTest_tearDown();
+  }
+}
+
+function test_xmlLite_headlessWorkspace() {
+  var mainWorkspace = Blockly.mainWorkspace;
+  try {
+    var workspace = Blockly.Headless.createWorkspace({media: 'media/'});
+    assertEquals(workspace, Blockly.mainWorkspace);
+    assertFalse(workspace.rendered);
+    assertEquals('media/', workspace.options.pathToMedia);
+    workspace.dispose();
+  } finally {
+    Blockly.mainWorkspace = mainWorkspace;
+  }
+}
@@ -10,6 +10,7 @@ var UglifyJsPlugin = require('uglifyjs-webpack-plugin');
 module.exports = [{
   mode: process.env.NODE_ENV === 'production' ? 'production' : 'development',
   entry: {
+    headless: './shim/headless.js',
     horizontal: './shim/horizontal.js',
     vertical: './shim/vertical.js'
   },